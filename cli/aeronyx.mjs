@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * File: cli/aeronyx.mjs
+ * ============================================
+ * aeronyx - Command-line client for remote node management
+ *
+ * Creation Reason: Ops scripts against nodes from a terminal, on the same
+ * RemoteNodeClient / WebSocketService code the dashboard uses
+ * Main Functionality: Registers the module hooks, then runs cli/main.mjs
+ * Dependencies: cli/loader.mjs, cli/main.mjs
+ *
+ * Usage: aeronyx [options] <command> [args]   (aeronyx --help)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+
+const { main } = await import('./main.mjs');
+process.exit(await main(process.argv.slice(2)));
@@ -0,0 +1,312 @@
+/**
+ * ============================================
+ * File: cli/commands.mjs
+ * ============================================
+ * CLI subcommands
+ *
+ * Creation Reason: One function per `aeronyx <command>`, on top of
+ * RemoteNodeClient
+ * Main Functionality: Each command is `run(client, args, io)` returning
+ * { result, text, exitCode }:
+ * - result: plain data for --json
+ * - text: human output (written to stdout as-is)
+ * - exitCode: optional, e.g. the remote exit code of `exec`
+ * io: { stdin, stdout, stderr, json, getCapabilities() } - the last from
+ * cli/session (cached per session)
+ * Dependencies: node:fs, RemoteNodeClient (passed in), cli/session,
+ * lib/remote/executeRequest, lib/utils/nodeCapabilities
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Argument checks throw CliError('USAGE') -> exit 2
+ * - `shell` needs a TTY and is not available with --json
+ * - `cat` and `get` stream through DownloadService (SHA-256 verified);
+ *   `get` writes to <file>.part and renames on success, so a checksum
+ *   mismatch leaves nothing behind
+ * - `exec` keeps argument boundaries: direct mode (no shell) on agents with
+ *   exec_options, otherwise a shell line with every word quoted. Pipes and
+ *   `&&` need an explicit `sh -c '...'`
+ *
+ * Last Modified: v1.1.1 - exec reads capabilities from the session cache
+ * ============================================
+ */
+
+import { readFileSync, createWriteStream, renameSync, unlinkSync } from 'node:fs';
+import { basename } from 'node:path';
+import { CliError } from './session.mjs';
+import { NODE_FEATURES, supportsCapability } from '../src/lib/utils/nodeCapabilities.js';
+import { EXECUTE_MODES, quoteShellArgument } from '../src/lib/remote/executeRequest.js';
+
+const DETACH_KEY = 0x1d; // Ctrl-]
+
+function requireArgs(args, count, usage) {
+  if (args.positional.length < count) {
+    throw new CliError('USAGE', `Usage: aeronyx ${usage}`);
+  }
+  return args.positional;
+}
+
+function formatSize(bytes) {
+  if (!Number.isFinite(bytes)) return '-';
+  const units = ['B', 'K', 'M', 'G', 'T'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value}` : `${value.toFixed(1)}${units[unit]}`;
+}
+
+function formatTime(modified) {
+  if (!modified) return '-';
+  const date = new Date(typeof modified === 'number' && modified < 1e12 ? modified * 1000 : modified);
+  return Number.isNaN(date.getTime()) ? String(modified) : date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Node.js file sink for DownloadService (lib/utils/fileSink interface)
+ */
+function createNodeFileSink(target) {
+  const partial = `${target}.part`;
+  const stream = createWriteStream(partial, { mode: 0o644 });
+  let size = 0;
+
+  const finish = () => new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+
+  return {
+    kind: 'file',
+    write(bytes) {
+      size += bytes.length;
+      return new Promise((resolve, reject) => {
+        stream.write(bytes, error => (error ? reject(error) : resolve()));
+      });
+    },
+    async close() {
+      await finish();
+      renameSync(partial, target);
+      return { file: target, size };
+    },
+    async abort() {
+      try {
+        await finish();
+        unlinkSync(partial);
+      } catch (error) {
+        // Nothing written yet
+      }
+    }
+  };
+}
+
+/**
+ * Sink that writes straight to an output stream (cat)
+ */
+function createStreamSink(stream) {
+  let size = 0;
+
+  return {
+    kind: 'stream',
+    write(bytes) {
+      size += bytes.length;
+      return new Promise((resolve, reject) => {
+        stream.write(bytes, error => (error ? reject(error) : resolve()));
+      });
+    },
+    async close() {
+      return { size };
+    },
+    async abort() {
+      // Already written; the checksum error is reported on stderr
+    }
+  };
+}
+
+// ==================== Files ====================
+
+async function ls(client, args) {
+  const [path = '/'] = args.positional;
+  const result = await client.listDirectory(path);
+  const entries = result?.entries || [];
+
+  const text = entries.map(entry => [
+    entry.permissions || entry.mode || '-',
+    (entry.owner || '-').padEnd(8),
+    (entry.group || '-').padEnd(8),
+    formatSize(entry.size).padStart(7),
+    formatTime(entry.modified),
+    entry.is_directory ? `${entry.name}/` : entry.name
+  ].join(' ')).join('\n');
+
+  return { result, text: text ? `${text}\n` : '' };
+}
+
+async function cat(client, args, io) {
+  const [path] = requireArgs(args, 1, 'cat <path>');
+
+  if (io.json) {
+    return { result: await client.readFile(path) };
+  }
+  // Streamed byte-for-byte, so binary files can be piped
+  const result = await client.downloadFile(path, { sink: createStreamSink(io.stdout) });
+  return { result, text: '' };
+}
+
+async function put(client, args) {
+  const [local, remote] = requireArgs(args, 2, 'put <local-file> <remote-path>');
+  let bytes;
+  try {
+    bytes = new Uint8Array(readFileSync(local));
+  } catch (error) {
+    throw new CliError('LOCAL_FILE', `Cannot read ${local}: ${error.message}`);
+  }
+
+  const target = remote.endsWith('/') ? `${remote}${basename(local)}` : remote;
+  const result = await client.uploadFile(target, bytes, false);
+  return { result: { path: target, size: bytes.length, ...result }, text: `${local} -> ${target} (${formatSize(bytes.length)})\n` };
+}
+
+async function get(client, args) {
+  const [remote, local] = requireArgs(args, 1, 'get <remote-path> [local-file]');
+  const target = local || basename(remote);
+
+  const result = await client.downloadFile(remote, { sink: createNodeFileSink(target) });
+  return { result, text: `${remote} -> ${target} (${formatSize(result.size)}, sha256 ${result.sha256})\n` };
+}
+
+async function rm(client, args) {
+  const paths = requireArgs(args, 1, 'rm [-r] <path>...');
+  const results = [];
+
+  for (const path of paths) {
+    results.push(args.flags.recursive
+      ? await client.deleteDirectory(path, { recursive: true })
+      : await client.deleteFile(path));
+  }
+  return { result: paths.length === 1 ? results[0] : results, text: '' };
+}
+
+async function mv(client, args) {
+  const [source, destination] = requireArgs(args, 2, 'mv <source> <destination>');
+  const result = await client.moveFile(source, destination, { overwrite: Boolean(args.flags.force) });
+  return { result, text: '' };
+}
+
+async function cp(client, args) {
+  const [source, destination] = requireArgs(args, 2, 'cp [-r] <source> <destination>');
+  const result = await client.copyFile(source, destination, {
+    recursive: Boolean(args.flags.recursive),
+    overwrite: Boolean(args.flags.force)
+  });
+  return { result, text: '' };
+}
+
+async function chmod(client, args) {
+  const [mode, ...paths] = requireArgs(args, 2, 'chmod [-R] <mode> <path>...');
+  if (!/^[0-7]{3,4}$/.test(mode)) {
+    throw new CliError('USAGE', `Invalid mode: ${mode} (octal, e.g. 644)`);
+  }
+
+  const results = [];
+  for (const path of paths) {
+    results.push(await client.changePermissions(path, mode, { recursive: Boolean(args.flags.recursive) }));
+  }
+  return { result: paths.length === 1 ? results[0] : results, text: '' };
+}
+
+// ==================== System ====================
+
+async function exec(client, args, io) {
+  const [program, ...programArgs] = requireArgs(args, 1, 'exec <command> [args...]');
+
+  // argv reaches the node unchanged: as-is in direct mode, else each word quoted
+  // Legacy agents report nothing: they would ignore the argument list
+  const capabilities = await io.getCapabilities();
+  const direct = capabilities.reported && supportsCapability(capabilities, NODE_FEATURES.EXEC_OPTIONS);
+  const result = direct
+    ? await client.executeCommand(program, programArgs, { mode: EXECUTE_MODES.DIRECT })
+    : await client.executeCommand(args.positional.map(quoteShellArgument).join(' '));
+  const exitCode = Number.isInteger(result?.exit_code) ? result.exit_code : 0;
+
+  if (!io.json && result?.stderr) {
+    io.stderr.write(result.stderr);
+  }
+  return { result, text: result?.stdout || '', exitCode: Math.min(exitCode, 255) };
+}
+
+async function sysinfo(client) {
+  const result = await client.getSystemInfo();
+  const lines = Object.entries(result || {}).map(([key, value]) => {
+    const shown = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `${key.padEnd(16)} ${shown}`;
+  });
+  return { result, text: lines.length ? `${lines.join('\n')}\n` : '' };
+}
+
+async function shell(client, args, io) {
+  if (io.json) {
+    throw new CliError('USAGE', 'shell is interactive and cannot be used with --json');
+  }
+
+  const { stdin, stdout, stderr } = io;
+  const terminal = await client.openTerminal({
+    rows: stdout.rows || 24,
+    cols: stdout.columns || 80,
+    cwd: args.positional[0] || undefined
+  });
+
+  stderr.write('[Connected. Ctrl-] to detach]\r\n');
+
+  return new Promise((resolve) => {
+    const onResize = () => terminal.resize(stdout.rows || 24, stdout.columns || 80);
+    let finished = false;
+    const onInput = (chunk) => {
+      const detachAt = chunk.indexOf(DETACH_KEY);
+      const input = detachAt === -1 ? chunk : chunk.subarray(0, detachAt);
+      if (input.length > 0) {
+        terminal.write(input.toString('utf8'));
+      }
+      if (detachAt !== -1) {
+        finish('detached');
+        terminal.close();
+      }
+    };
+
+    const finish = (how) => {
+      if (finished) return;
+      finished = true;
+      stdin.off('data', onInput);
+      stdout.off('resize', onResize);
+      if (stdin.isTTY) stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write(`\r\n[${how === 'detached' ? 'Detached' : 'Session closed'}]\n`);
+      resolve({ result: { session_id: terminal.sessionId, ended: how }, text: '' });
+    };
+
+    terminal.on('output', data => stdout.write(typeof data === 'string' ? data : Buffer.from(data)));
+    terminal.on('error', error => stderr.write(`\r\n[Terminal error: ${error.message}]\r\n`));
+    terminal.once('closed', () => finish('closed'));
+
+    if (stdin.isTTY) stdin.setRawMode(true);
+    stdin.on('data', onInput);
+    stdin.resume();
+    stdout.on('resize', onResize);
+  });
+}
+
+export const COMMANDS = {
+  ls: { run: ls, usage: 'ls [path]', summary: 'List a directory' },
+  cat: { run: cat, usage: 'cat <path>', summary: 'Print a file' },
+  put: { run: put, usage: 'put <local-file> <remote-path>', summary: 'Upload a file (chunked when large)' },
+  get: { run: get, usage: 'get <remote-path> [local-file]', summary: 'Download a file (SHA-256 verified)' },
+  rm: { run: rm, usage: 'rm [-r] <path>...', summary: 'Delete files, or directories with -r' },
+  mv: { run: mv, usage: 'mv [-f] <source> <destination>', summary: 'Move or rename' },
+  cp: { run: cp, usage: 'cp [-r] [-f] <source> <destination>', summary: 'Copy' },
+  chmod: { run: chmod, usage: 'chmod [-R] <mode> <path>...', summary: 'Change permissions' },
+  exec: { run: exec, usage: 'exec <command> [args...]', summary: 'Run a command; exits with its exit code' },
+  sysinfo: { run: sysinfo, usage: 'sysinfo', summary: 'Show system information' },
+  shell: { run: shell, usage: 'shell [cwd]', summary: 'Interactive terminal (Ctrl-] detaches)' }
+};
+
+export default COMMANDS;
@@ -0,0 +1,57 @@
+/**
+ * ============================================
+ * File: cli/loader.mjs
+ * ============================================
+ * Node.js module hooks for running dashboard sources in the CLI
+ *
+ * Creation Reason: src/ is written for the Next.js bundler: extensionless
+ * relative imports, ESM in .js files without "type": "module"
+ * Main Functionality:
+ * - resolve(): './foo' -> './foo.js' (or './foo/index.js') when Node
+ *   cannot find the bare path
+ * - load(): src/**.js is ESM
+ * Dependencies: None
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Registered by cli/aeronyx.mjs before anything from src/ is imported
+ * - Bare package specifiers are left alone; the CLI only loads modules
+ *   that need no npm packages (services, lib)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const RESOLVABLE_ERRORS = ['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'];
+
+function isPathSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('/') ||
+    specifier.startsWith('file:');
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!RESOLVABLE_ERRORS.includes(error.code) || !isPathSpecifier(specifier) || /\.[cm]?js$/.test(specifier)) {
+      throw error;
+    }
+
+    for (const candidate of [`${specifier}.js`, `${specifier}/index.js`]) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch (candidateError) {
+        // Try the next candidate
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,261 @@
+/**
+ * ============================================
+ * File: cli/main.mjs
+ * ============================================
+ * aeronyx CLI - Argument parsing, output and exit codes
+ *
+ * Creation Reason: Entry point behind cli/aeronyx.mjs
+ * Main Functionality:
+ * - Global options (before the command):
+ *   --env <id>      production | staging | local   (AERONYX_ENV)
+ *   --node <ref>    Node reference                 (AERONYX_NODE)
+ *   --key <file>    Wallet key file                (AERONYX_KEY_FILE)
+ *   --token <jwt>   Remote management token        (AERONYX_REMOTE_TOKEN)
+ *   --wallet <addr> Wallet of a saved session (token-only runs)
+ *   --json          One JSON object on stdout: { ok, command, node, result | error }
+ *   --verbose       Service logs on stderr
+ * - Command flags (after the command): -r/-R/--recursive, -f/--force;
+ *   `exec` passes everything after the command through unchanged
+ * - Exit codes: 0 success, 1 failure, 2 usage error; `exec` exits with
+ *   the remote command's exit code
+ * Dependencies: cli/session, cli/commands, lib/utils/environment
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - stdout is reserved for command output: service console output is
+ *   dropped (or sent to stderr with --verbose)
+ * - Services keep timers (token cleanup, reconnects); the caller must
+ *   process.exit() with the returned code
+ * - Real environments need a global WebSocket (Node.js 22+, or Node.js 20
+ *   with --experimental-websocket)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { readFileSync } from 'node:fs';
+import { CliError, installNodeGlobals, openSession } from './session.mjs';
+import { COMMANDS } from './commands.mjs';
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+const VALUE_OPTIONS = {
+  '--env': 'environment',
+  '--node': 'node',
+  '--key': 'key',
+  '--token': 'token',
+  '--wallet': 'wallet'
+};
+
+const FLAG_OPTIONS = {
+  '--json': 'json',
+  '--verbose': 'verbose',
+  '--help': 'help',
+  '-h': 'help',
+  '--version': 'version'
+};
+
+const COMMAND_FLAGS = {
+  '-r': 'recursive',
+  '-R': 'recursive',
+  '--recursive': 'recursive',
+  '-f': 'force',
+  '--force': 'force'
+};
+
+function usage() {
+  const commands = Object.entries(COMMANDS)
+    .map(([, command]) => `  ${command.usage.padEnd(40)} ${command.summary}`)
+    .join('\n');
+
+  return `Usage: aeronyx [options] <command> [args]
+
+Options:
+  --env <id>       production | staging | local (default: $AERONYX_ENV or production)
+  --node <ref>     Node reference, e.g. AERO-10001 ($AERONYX_NODE)
+  --key <file>     Wallet key file: hex, JSON or keystore ($AERONYX_KEY_FILE,
+                   password in $AERONYX_KEY_PASSWORD)
+  --token <jwt>    Pre-issued remote management token ($AERONYX_REMOTE_TOKEN)
+  --wallet <addr>  Wallet of a saved session, for --token without --key
+  --json           Print one JSON object per run
+  --verbose        Print service logs on stderr
+  --version        Print the version
+
+Commands:
+${commands}
+`;
+}
+
+/**
+ * Split argv into global options, the command and its arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} { options, command, args: { positional, flags } }
+ */
+export function parseArgs(argv) {
+  const options = {
+    environment: process.env.AERONYX_ENV || 'production',
+    node: process.env.AERONYX_NODE,
+    key: process.env.AERONYX_KEY_FILE,
+    token: process.env.AERONYX_REMOTE_TOKEN,
+    wallet: process.env.AERONYX_WALLET
+  };
+
+  let index = 0;
+  while (index < argv.length && argv[index].startsWith('-')) {
+    const [name, inline] = argv[index].split(/=(.*)/s, 2);
+    if (VALUE_OPTIONS[name]) {
+      const value = inline ?? argv[++index];
+      if (value === undefined) {
+        throw new CliError('USAGE', `${name} needs a value`);
+      }
+      options[VALUE_OPTIONS[name]] = value;
+    } else if (FLAG_OPTIONS[name]) {
+      options[FLAG_OPTIONS[name]] = true;
+    } else {
+      throw new CliError('USAGE', `Unknown option: ${name}`);
+    }
+    index++;
+  }
+
+  const command = argv[index];
+  const rest = argv.slice(index + 1);
+  const args = { positional: [], flags: {} };
+
+  if (command === 'exec') {
+    args.positional = rest[0] === '--' ? rest.slice(1) : rest;
+    return { options, command, args };
+  }
+
+  let literal = false;
+  for (const arg of rest) {
+    if (!literal && arg === '--') {
+      literal = true;
+    } else if (!literal && COMMAND_FLAGS[arg]) {
+      args.flags[COMMAND_FLAGS[arg]] = true;
+    } else if (!literal && arg.startsWith('-') && arg !== '-') {
+      throw new CliError('USAGE', `Unknown flag for ${command}: ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  return { options, command, args };
+}
+
+/**
+ * Keep stdout clean: services log through console.*
+ */
+function redirectConsole(verbose) {
+  const toStderr = (...values) => {
+    process.stderr.write(`${values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(' ')}\n`);
+  };
+  const drop = () => {};
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((method) => {
+    console[method] = verbose ? toStderr : drop;
+  });
+}
+
+function readVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+async function checkEnvironment(environmentId) {
+  const { ENVIRONMENT_PROFILES } = await import('../src/lib/utils/environment.js');
+  const profile = ENVIRONMENT_PROFILES[environmentId];
+
+  if (!profile) {
+    throw new CliError('USAGE', `Unknown environment: ${environmentId} (${Object.keys(ENVIRONMENT_PROFILES).join(', ')})`);
+  }
+  if (profile.transport !== 'fake' && typeof globalThis.WebSocket === 'undefined') {
+    throw new CliError('UNSUPPORTED', 'This Node.js has no WebSocket: use Node.js 22+, or run with --experimental-websocket');
+  }
+  return profile;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io] - { stdin, stdout, stderr } (default: process streams)
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = {}) {
+  const stdin = io.stdin || process.stdin;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`aeronyx: ${error.message}\n\n${usage()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { options, command, args } = parsed;
+
+  if (options.version) {
+    stdout.write(`aeronyx ${readVersion()}\n`);
+    return EXIT_CODES.OK;
+  }
+  if (options.help || !command) {
+    (options.help ? stdout : stderr).write(usage());
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`aeronyx: Unknown command: ${command}\n\n${usage()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const report = (payload) => {
+    if (options.json) {
+      stdout.write(`${JSON.stringify({ command, node: options.node || null, ...payload })}\n`);
+    }
+  };
+
+  redirectConsole(options.verbose);
+  installNodeGlobals(options.environment);
+
+  let session = null;
+  try {
+    await checkEnvironment(options.environment);
+    session = await openSession({
+      ...options,
+      warn: message => stderr.write(`aeronyx: warning: ${message}\n`)
+    });
+
+    const outcome = await COMMANDS[command].run(session.client, args, {
+      stdin,
+      stdout,
+      stderr,
+      json: options.json,
+      getCapabilities: session.getCapabilities
+    });
+
+    if (options.json) {
+      report({ ok: true, result: outcome.result ?? null });
+    } else if (outcome.text) {
+      stdout.write(outcome.text);
+    }
+    return outcome.exitCode ?? EXIT_CODES.OK;
+  } catch (error) {
+    const code = error.code || 'ERROR';
+    if (options.json) {
+      report({ ok: false, error: { code, message: error.message } });
+    } else {
+      stderr.write(`aeronyx: ${error.message}\n`);
+    }
+    return code === 'USAGE' ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  } finally {
+    session?.close();
+  }
+}
+
+export default main;
@@ -0,0 +1,295 @@
+/**
+ * ============================================
+ * File: cli/session.mjs
+ * ============================================
+ * CLI session - Socket login and remote auth for one node
+ *
+ * Creation Reason: The dashboard services expect a browser (sessionStorage,
+ * an injected wallet, a page that stays open). The CLI provides those
+ * pieces and then uses the services unchanged.
+ * Main Functionality:
+ * - installNodeGlobals(): file-backed sessionStorage so the socket session
+ *   token (30 minutes) survives between CLI invocations
+ * - openSession(): connect + socket auth (key file or saved session),
+ *   remote auth (pre-issued token or key-signed token request), and a
+ *   RemoteNodeClient for the node
+ * - getCapabilities(): the node's agent capabilities, cached in the session
+ *   file for CLI_CONFIG.CAPABILITIES_TTL
+ * Dependencies: WebSocketService, RemoteAuthService, UploadService,
+ * DownloadService, nodeRegistration, RemoteNodeClient, ethereumSigner,
+ * cli/keyFile
+ *
+ * Authentication:
+ * - --key <file>: signs the socket challenge and the remote management
+ *   token request (generateRemoteManagementToken)
+ * - --token <jwt>: pre-issued remote management token, sent as-is. The
+ *   socket itself still needs a login: --key, or a session saved by an
+ *   earlier --key run for the same wallet
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - The environment must be chosen (NEXT_PUBLIC_AERONYX_ENV) before the
+ *   services are imported; environment.js reads it at load time
+ * - Session files live in $AERONYX_CONFIG_DIR (default ~/.aeronyx), one per
+ *   environment, mode 600
+ * - The local profile runs the in-memory fake backend inside this process;
+ *   its files reset on every invocation
+ *
+ * Last Modified: v1.1.0 - Capabilities cached per session
+ * ============================================
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { readPrivateKey } from './keyFile.mjs';
+
+const CLI_CONFIG = {
+  CONNECT_TIMEOUT: 30000,
+  POLL_INTERVAL: 100,
+  CAPABILITIES_KEY: 'aeronyx_cli_capabilities',
+  CAPABILITIES_TTL: 30 * 60 * 1000   // Asked again after the socket session's lifetime
+};
+
+// Agents without `capabilities`: older ones reject it, some never answer
+const LEGACY_ERRORS = ['INVALID_COMMAND', 'TIMEOUT'];
+
+export class CliError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+  }
+}
+
+/**
+ * sessionStorage backed by a JSON file
+ */
+function createFileStorage(path) {
+  const read = () => {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  };
+  const write = (values) => {
+    try {
+      writeFileSync(path, JSON.stringify(values), { mode: 0o600 });
+    } catch (error) {
+      // Session reuse is an optimisation; a read-only home still works
+    }
+  };
+
+  return {
+    getItem: (key) => read()[key] ?? null,
+    setItem: (key, value) => write({ ...read(), [key]: String(value) }),
+    removeItem: (key) => {
+      const values = read();
+      delete values[key];
+      write(values);
+    }
+  };
+}
+
+/**
+ * Prepare the process for the dashboard services
+ * @param {string} environmentId - Profile id (production, staging, local)
+ */
+export function installNodeGlobals(environmentId) {
+  process.env.NEXT_PUBLIC_AERONYX_ENV = environmentId;
+
+  const configDir = process.env.AERONYX_CONFIG_DIR || join(homedir(), '.aeronyx');
+  try {
+    mkdirSync(configDir, { recursive: true, mode: 0o700 });
+  } catch (error) {
+    // Falls back to an unwritable store: every run signs in again
+  }
+
+  if (typeof globalThis.sessionStorage === 'undefined') {
+    globalThis.sessionStorage = createFileStorage(join(configDir, `session-${environmentId}.json`));
+  }
+}
+
+function readStoredWallet() {
+  try {
+    return JSON.parse(globalThis.sessionStorage.getItem('aeronyx_ws_session'))?.walletAddress || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wallet provider used when no key is given: only a saved session can log in
+ */
+const NO_KEY_PROVIDER = {
+  async request() {
+    throw new CliError('AUTH_REQUIRED', 'Socket login needs a wallet key (--key); no valid saved session');
+  }
+};
+
+async function waitForSocket(webSocketService, WS_STATE) {
+  const deadline = Date.now() + CLI_CONFIG.CONNECT_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    if (webSocketService.isAuthenticated) {
+      return;
+    }
+    if (webSocketService.state === WS_STATE.ERROR || webSocketService.state === WS_STATE.CLOSED) {
+      throw new CliError('AUTH_FAILED', webSocketService.lastError || 'Connection failed');
+    }
+    await new Promise(resolve => setTimeout(resolve, CLI_CONFIG.POLL_INTERVAL));
+  }
+
+  throw new CliError('TIMEOUT', 'Timed out connecting to the server');
+}
+
+function readCapabilityCache() {
+  try {
+    return JSON.parse(globalThis.sessionStorage.getItem(CLI_CONFIG.CAPABILITIES_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * The node's capabilities, asked once per session file and node
+ * (lib/utils/nodeCapabilities shape). A legacy agent is remembered too, so
+ * one that never answers costs the timeout once, not on every run
+ * @throws {RemoteCommandError} Anything but INVALID_COMMAND / TIMEOUT
+ */
+async function queryCapabilities(client, node, lib) {
+  const cached = readCapabilityCache()[node];
+  if (cached && Date.now() - cached.checkedAt < CLI_CONFIG.CAPABILITIES_TTL) {
+    return cached;
+  }
+
+  let result;
+  try {
+    result = lib.parseCapabilities(await client.sendCommand(lib.capabilitiesCommand, {}, { retry: false }));
+  } catch (error) {
+    if (!LEGACY_ERRORS.includes(error?.code)) throw error;
+    result = lib.legacyCapabilities();
+  }
+
+  globalThis.sessionStorage.setItem(CLI_CONFIG.CAPABILITIES_KEY, JSON.stringify({
+    ...readCapabilityCache(),
+    [node]: result
+  }));
+  return result;
+}
+
+/**
+ * Connect, log in and authenticate remote management for one node
+ * @param {Object} options
+ * @param {string} options.environment - Profile id
+ * @param {string} options.node - Node reference
+ * @param {string} [options.key] - Wallet key file
+ * @param {string} [options.token] - Pre-issued remote management token
+ * @param {string} [options.wallet] - Wallet address (token-only runs)
+ * @param {Function} [options.warn] - Diagnostics sink
+ * @returns {Promise<Object>} { client, walletAddress, services, getCapabilities(), close() }
+ */
+export async function openSession(options) {
+  const { node, key, token, warn = () => {} } = options;
+
+  const [
+    { default: webSocketService, WS_STATE },
+    { default: remoteAuthService },
+    { default: uploadService },
+    { default: downloadService },
+    { default: nodeRegistrationService },
+    { RemoteNodeClient },
+    { createKeySigner },
+    { parseCapabilities, legacyCapabilities },
+    { REMOTE_COMMAND_TYPES }
+  ] = await Promise.all([
+    import('../src/services/WebSocketService.js'),
+    import('../src/services/RemoteAuthService.js'),
+    import('../src/services/UploadService.js'),
+    import('../src/services/DownloadService.js'),
+    import('../src/lib/api/nodeRegistration.js'),
+    import('../src/lib/remote/RemoteNodeClient.js'),
+    import('../src/lib/utils/ethereumSigner.js'),
+    import('../src/lib/utils/nodeCapabilities.js'),
+    import('../src/lib/constants/remoteCommands.js')
+  ]);
+
+  if (!node) {
+    throw new CliError('USAGE', 'No node given: use --node <reference> or AERONYX_NODE');
+  }
+
+  const signer = key
+    ? createKeySigner(readPrivateKey(key, { password: process.env.AERONYX_KEY_PASSWORD, warn }))
+    : null;
+  const walletAddress = signer?.address || options.wallet || readStoredWallet();
+
+  if (!walletAddress) {
+    throw new CliError('AUTH_REQUIRED', 'No wallet: use --key <file>, or --wallet with a saved session');
+  }
+  if (!signer && !token) {
+    throw new CliError('AUTH_REQUIRED', 'Remote management needs --key <file> or --token <jwt>');
+  }
+
+  // The token belongs to this socket; main() may run again in one process
+  const close = () => {
+    client.dispose('Session closed');
+    remoteAuthService.clearToken(node);
+    webSocketService.disconnect();
+  };
+
+  await webSocketService.connect({ walletAddress, wallet: signer || NO_KEY_PROVIDER });
+  const client = new RemoteNodeClient(webSocketService, node, {
+    auth: remoteAuthService,
+    uploads: uploadService,
+    downloads: downloadService,
+    debug: false
+  });
+
+  try {
+    await waitForSocket(webSocketService, WS_STATE);
+
+    let result;
+    if (token) {
+      result = await remoteAuthService.authenticateWithToken(node, token);
+    } else {
+      const challenge = await nodeRegistrationService.generateSignatureMessage(walletAddress);
+      if (!challenge.success || !challenge.data?.message) {
+        throw new CliError('AUTH_FAILED', challenge.message || 'Could not get a signature message');
+      }
+      result = await remoteAuthService.authenticate({
+        nodeReference: node,
+        walletAddress,
+        signature: signer.signMessage(challenge.data.message),
+        message: challenge.data.message,
+        walletType: 'ethereum'
+      });
+    }
+
+    if (!result.success) {
+      throw new CliError(result.code || 'REMOTE_AUTH_FAILED', result.error || 'Remote authentication failed');
+    }
+  } catch (error) {
+    close();
+    throw error;
+  }
+
+  let capabilities = null;
+  const getCapabilities = () => {
+    capabilities = capabilities || queryCapabilities(client, node, {
+      parseCapabilities,
+      legacyCapabilities,
+      capabilitiesCommand: REMOTE_COMMAND_TYPES.CAPABILITIES
+    });
+    return capabilities;
+  };
+
+  return {
+    client,
+    walletAddress,
+    services: { webSocketService, uploadService, downloadService },
+    getCapabilities,
+    close
+  };
+}
+
+export { CLI_CONFIG };
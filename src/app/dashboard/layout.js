@@ -16,21 +16,33 @@
  * - Navigation items are configured in navItems array
  * - Background effects are essential for visual consistency
  * - ConnectWallet component manages wallet connection state
+ * - The bug icon toggles the WebSocket frame inspector panel
+ * - A badge shows the environment profile when it is not production
+ * - SafetyConfirmationHost is mounted here, once, for every dashboard page
+ * - The list icon toggles the background jobs drawer; its badge counts
+ *   running jobs. JobNotifications is mounted here, once, too
  *
- * Last Modified: v2.1.0 - Removed network stats navigation link
+ * Last Modified: v2.5.0 - Background jobs drawer and notifications
  * ============================================
  */
 
 'use client';
 
-import React from 'react';
+import React, { useState } from 'react';
 import Link from 'next/link';
-import { motion } from 'framer-motion';
-import { Home, Server, Plus } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Home, Server, Plus, Bug, Settings, ListChecks } from 'lucide-react';
 import clsx from 'clsx';
 import { usePathname } from 'next/navigation';
 import ConnectWallet from '../../components/wallet/ConnectWallet';
 import Logo from '../../components/common/Logo';
+import FrameInspectorPanel from '../../components/dashboard/FrameInspectorPanel';
+import JobsDrawer from '../../components/dashboard/JobsDrawer';
+import JobNotifications from '../../components/dashboard/JobNotifications';
+import SafetyConfirmationHost from '../../components/nodes/SafetyConfirmationHost';
+import { useEnvironment } from '../../hooks/useEnvironment';
+import { useJobs } from '../../hooks/useJobs';
+import { ENVIRONMENT_IDS } from '../../lib/utils/environment';
 
 /**
  * Navigation items configuration
@@ -39,7 +51,8 @@ import Logo from '../../components/common/Logo';
 const navItems = [
   { href: '/dashboard', label: 'Dashboard', icon: Home },
   { href: '/dashboard/nodes', label: 'My Nodes', icon: Server },
-  { href: '/dashboard/register', label: 'Register Node', icon: Plus }
+  { href: '/dashboard/register', label: 'Register Node', icon: Plus },
+  { href: '/dashboard/settings', label: 'Settings', icon: Settings }
 ];
 
 /**
@@ -47,6 +60,10 @@ const navItems = [
  */
 export default function DashboardLayout({ children }) {
   const pathname = usePathname();
+  const [showInspector, setShowInspector] = useState(false);
+  const [showJobs, setShowJobs] = useState(false);
+  const { environment } = useEnvironment();
+  const { activeCount } = useJobs();
 
   return (
     <div className="min-h-screen bg-black flex flex-col">
@@ -101,8 +118,56 @@ export default function DashboardLayout({ children }) {
               })}
             </nav>
 
-            {/* Wallet */}
-            <ConnectWallet />
+            <div className="flex items-center gap-3">
+              {/* Non-production environment badge */}
+              {environment.id !== ENVIRONMENT_IDS.PRODUCTION && (
+                <Link href="/dashboard/settings">
+                  <a className="px-2 py-1 rounded-md bg-yellow-500/10 border border-yellow-500/30 text-xs text-yellow-400">
+                    {environment.label}
+                  </a>
+                </Link>
+              )}
+
+              {/* Background jobs toggle */}
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowJobs(value => !value)}
+                className={clsx(
+                  "relative p-2 rounded-lg transition-all",
+                  showJobs
+                    ? "bg-white/10 text-white"
+                    : "text-gray-400 hover:text-white hover:bg-white/5"
+                )}
+                title="Background jobs"
+              >
+                <ListChecks className="w-4 h-4" />
+                {activeCount > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-[1rem] h-4 px-1 rounded-full bg-blue-500 text-[10px] leading-4 text-white text-center">
+                    {activeCount}
+                  </span>
+                )}
+              </motion.button>
+
+              {/* Frame inspector toggle */}
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowInspector(value => !value)}
+                className={clsx(
+                  "p-2 rounded-lg transition-all",
+                  showInspector
+                    ? "bg-white/10 text-white"
+                    : "text-gray-400 hover:text-white hover:bg-white/5"
+                )}
+                title="WebSocket frame inspector"
+              >
+                <Bug className="w-4 h-4" />
+              </motion.button>
+
+              {/* Wallet */}
+              <ConnectWallet />
+            </div>
           </div>
         </div>
       </header>
@@ -112,6 +177,24 @@ export default function DashboardLayout({ children }) {
         {children}
       </main>
 
+      {/* Frame inspector */}
+      <AnimatePresence>
+        {showInspector && (
+          <FrameInspectorPanel onClose={() => setShowInspector(false)} />
+        )}
+      </AnimatePresence>
+
+      {/* Background jobs */}
+      <AnimatePresence>
+        {showJobs && (
+          <JobsDrawer onClose={() => setShowJobs(false)} />
+        )}
+      </AnimatePresence>
+      <JobNotifications onOpen={() => setShowJobs(true)} />
+
+      {/* Typed confirmations for the safety policy */}
+      <SafetyConfirmationHost />
+
       {/* Footer */}
       <footer className="relative z-10 bg-black/50 backdrop-blur-md border-t border-white/10">
         <div className="max-w-7xl mx-auto px-6 py-6">
@@ -27,8 +27,10 @@
  * - Signature auto-renewal is transparent to user
  * - All remote tools accessed through RemoteManagement modal
  * - All existing functionality preserved
+ * - Audit Log tab: AuditLogViewer (entries stored in this browser)
+ * - Safety tab: SafetyPolicyPanel (this node's safety policy override)
  * 
- * Last Modified: v5.0.0 - Production-ready with unified state
+ * Last Modified: v5.2.0 - Safety tab
  * ============================================
  */
 
@@ -40,6 +42,8 @@ import { useWallet } from '../../../../components/wallet/WalletProvider';
 import { useConnectionState } from '../../../../hooks/useConnectionState';
 import remoteAuthService from '../../../../services/RemoteAuthService';
 import RemoteManagement from '../../../../components/nodes/RemoteManagement';
+import AuditLogViewer from '../../../../components/nodes/AuditLogViewer';
+import SafetyPolicyPanel from '../../../../components/nodes/SafetyPolicyPanel';
 import { motion, AnimatePresence } from 'framer-motion';
 import Link from 'next/link';
 import { 
@@ -67,7 +71,9 @@ import {
   AlertTriangle,
   Info,
   Network,
-  Zap
+  Zap,
+  ScrollText,
+  ShieldAlert
 } from 'lucide-react';
 import clsx from 'clsx';
 
@@ -571,7 +577,9 @@ export default function NodeDetailsPage({ params }) {
 
   const tabs = [
     { id: 'overview', label: 'Overview', icon: BarChart3 },
-    { id: 'remote', label: 'Remote Tools', icon: Terminal }
+    { id: 'remote', label: 'Remote Tools', icon: Terminal },
+    { id: 'audit', label: 'Audit Log', icon: ScrollText },
+    { id: 'safety', label: 'Safety', icon: ShieldAlert }
   ];
 
   const getHealthColor = (score) => {
@@ -1043,6 +1051,16 @@ export default function NodeDetailsPage({ params }) {
               </div>
             </div>
           )}
+
+          {/* Audit Log Tab */}
+          {selectedTab === 'audit' && (
+            <AuditLogViewer nodeReference={code} />
+          )}
+
+          {/* Safety Tab */}
+          {selectedTab === 'safety' && (
+            <SafetyPolicyPanel nodeReference={code} />
+          )}
         </div>
       </div>
 
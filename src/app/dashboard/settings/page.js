@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * File: src/app/dashboard/settings/page.js
+ * ============================================
+ * Settings Page - Environment profiles and the default safety policy
+ *
+ * Creation Reason: Select the API / WebSocket environment at runtime
+ * instead of rebuilding with different NEXT_PUBLIC_* variables
+ * Main Functionality: List endpoint profiles, show their URLs, switch the
+ * active profile (persisted in user preferences); edit the default safety
+ * policy rules (SafetyPolicyPanel without a node)
+ * Dependencies: useEnvironment, useAeroNyxWebSocket, SafetyPolicyPanel
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Switching closes the socket, clears remote sessions, caches and
+ *   signatures (see EnvironmentService), so ask before switching
+ *
+ * Last Modified: v1.1.0 - Default safety policy section
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Globe, Server, FlaskConical, Check, Loader2, AlertTriangle } from 'lucide-react';
+import clsx from 'clsx';
+import { useEnvironment } from '../../../hooks/useEnvironment';
+import { useAeroNyxWebSocket } from '../../../hooks/useAeroNyxWebSocket';
+import SafetyPolicyPanel from '../../../components/nodes/SafetyPolicyPanel';
+
+const PROFILE_ICONS = {
+  production: Globe,
+  staging: Server,
+  local: FlaskConical
+};
+
+/**
+ * Settings Page Component
+ */
+export default function SettingsPage() {
+  const { environment, profiles, switchEnvironment } = useEnvironment();
+  const { wsState } = useAeroNyxWebSocket();
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSelect = (profile) => {
+    if (profile.id === environment.id) return;
+    setPendingId(profile.id);
+    setError(null);
+  };
+
+  const handleConfirm = () => {
+    try {
+      switchEnvironment(pendingId);
+      setPendingId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const pendingProfile = profiles.find(profile => profile.id === pendingId);
+
+  return (
+    <div className="max-w-4xl mx-auto px-6 py-8">
+      <h1 className="text-4xl font-bold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+        Settings
+      </h1>
+      <p className="text-gray-400 mt-1 mb-8">Backend environment and safety rules for remote operations</p>
+
+      <h2 className="text-lg font-semibold text-white mb-4">Environment</h2>
+
+      <div className="space-y-3">
+        {profiles.map(profile => {
+          const Icon = PROFILE_ICONS[profile.id] || Server;
+          const isActive = profile.id === environment.id;
+          const isPending = profile.id === pendingId;
+
+          return (
+            <motion.button
+              key={profile.id}
+              whileHover={{ scale: 1.01 }}
+              onClick={() => handleSelect(profile)}
+              className={clsx(
+                'w-full text-left p-5 rounded-xl border transition-all flex items-start gap-4',
+                isActive
+                  ? 'bg-purple-500/10 border-purple-500/40'
+                  : isPending
+                    ? 'bg-yellow-500/10 border-yellow-500/40'
+                    : 'bg-white/5 border-white/10 hover:border-white/20'
+              )}
+            >
+              <div className="w-10 h-10 rounded-lg bg-white/5 flex items-center justify-center flex-shrink-0">
+                <Icon className="w-5 h-5 text-white" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-white">{profile.label}</span>
+                  {isActive && (
+                    <span className="flex items-center gap-1 text-xs text-purple-300">
+                      <Check className="w-3 h-3" />
+                      Active
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-400 mt-1">{profile.description}</p>
+                <div className="mt-2 text-xs font-mono text-gray-500 space-y-0.5">
+                  <div className="truncate">API: {profile.apiUrl}</div>
+                  <div className="truncate">WS: {profile.wsUrl}</div>
+                </div>
+              </div>
+            </motion.button>
+          );
+        })}
+      </div>
+
+      {pendingProfile && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mt-6 p-5 rounded-xl bg-yellow-500/10 border border-yellow-500/20"
+        >
+          <div className="flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 text-yellow-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-white font-medium">Switch to {pendingProfile.label}?</p>
+              <p className="text-sm text-gray-400 mt-1">
+                The connection is rebuilt. Open terminals and remote sessions are closed.
+                You will be asked to sign again.
+              </p>
+              <div className="flex gap-3 mt-4">
+                <button
+                  onClick={handleConfirm}
+                  className="px-4 py-2 rounded-lg bg-gradient-to-r from-purple-600 to-blue-600 text-white text-sm font-medium hover:from-purple-700 hover:to-blue-700"
+                >
+                  Switch environment
+                </button>
+                <button
+                  onClick={() => setPendingId(null)}
+                  className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+
+      {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+
+      <div className="mt-6 flex items-center gap-2 text-sm text-gray-400">
+        {wsState.connected ? (
+          <>
+            <div className="w-2 h-2 bg-green-500 rounded-full" />
+            Connected to {environment.label}
+          </>
+        ) : (
+          <>
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Connecting to {environment.label}...
+          </>
+        )}
+      </div>
+
+      <h2 className="text-lg font-semibold text-white mt-10 mb-4">Safety</h2>
+      <SafetyPolicyPanel />
+    </div>
+  );
+}
@@ -15,8 +15,10 @@
  * - This is a pure presentation component
  * - No earnings or financial metrics
  * - Focus on operational status only
+ * - Memoized: node objects from stores/nodeStore keep their identity when
+ *   unchanged, so only nodes touched by a status delta re-render
  *
- * Last Modified: v1.0.0 - Created simplified version
+ * Last Modified: v1.1.0 - Memoized for delta status updates
  * ============================================
  */
 
@@ -93,7 +95,7 @@ function getNodeHealth(node) {
  * Simplified Node Card Component
  * Focus: Quick status assessment and navigation
  */
-export default function NodeCard({ node, variant = 'default', onClick }) {
+function NodeCard({ node, variant = 'default', onClick }) {
   const health = getNodeHealth(node);
   const HealthIcon = health.icon;
   
@@ -221,6 +223,8 @@ export default function NodeCard({ node, variant = 'default', onClick }) {
   );
 }
 
+export default React.memo(NodeCard);
+
 /**
  * Quick Metric Component
  * Visual representation of resource usage
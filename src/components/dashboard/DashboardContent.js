@@ -18,7 +18,7 @@
  * - Each element should answer "So what?" and "Now what?"
  * - Maintain focus on individual node management, not system-wide stats
  *
- * Last Modified: v14.0.0 - Complete redesign with user-centric approach
+ * Last Modified: v14.1.0 - Link telemetry (RTT, jitter, reconnects) in ConnectionStatus
  * ============================================
  */
 
@@ -51,6 +51,7 @@ import clsx from 'clsx';
 
 import { useWallet } from '../wallet/WalletProvider';
 import { useAeroNyxWebSocket } from '../../hooks/useAeroNyxWebSocket';
+import { useConnectionTelemetry, formatTelemetryDuration } from '../../hooks/useConnectionTelemetry';
 import NodeCard from '../common/NodeCard';
 
 // Animation variants
@@ -484,25 +485,90 @@ function IssueCard({ type, nodes, onView }) {
 // Import the new NodeCard component (add this at the top of the file with other imports)
 // import NodeCard from '../common/NodeCard';
 
+// Link quality colors (CONNECTION_QUALITY)
+const QUALITY_TEXT = {
+  good: 'text-green-400',
+  fair: 'text-yellow-400',
+  poor: 'text-red-400',
+  unknown: 'text-gray-400'
+};
+
+// RTT history sparkline
+function RttSparkline({ history }) {
+  if (history.length < 2) {
+    return <div className="h-8 flex items-center text-gray-500">Collecting samples...</div>;
+  }
+
+  const width = 160;
+  const height = 32;
+  const max = Math.max(...history.map(sample => sample.rtt), 1);
+  const points = history.map((sample, index) => {
+    const x = (index / (history.length - 1)) * width;
+    const y = height - (sample.rtt / max) * (height - 2) - 1;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg width={width} height={height} className="text-purple-400">
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
 // Connection Status Badge
 function ConnectionStatus({ wsState }) {
+  const telemetry = useConnectionTelemetry();
+
   if (!wsState.connected) {
     return (
       <div className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-red-500/10 border border-red-500/20">
         <div className="w-2 h-2 bg-red-500 rounded-full" />
         <span className="text-xs text-red-400">Offline</span>
+        {telemetry.reconnects > 0 && (
+          <span className="text-xs text-gray-500">{telemetry.reconnects} reconnects</span>
+        )}
       </div>
     );
   }
 
   if (wsState.monitoring) {
     return (
-      <div className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-green-500/10 border border-green-500/20">
-        <div className="relative">
-          <div className="w-2 h-2 bg-green-500 rounded-full" />
-          <div className="absolute inset-0 w-2 h-2 bg-green-500 rounded-full animate-ping" />
+      <div className="relative group">
+        <div className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-green-500/10 border border-green-500/20">
+          <div className="relative">
+            <div className="w-2 h-2 bg-green-500 rounded-full" />
+            <div className="absolute inset-0 w-2 h-2 bg-green-500 rounded-full animate-ping" />
+          </div>
+          <span className="text-xs text-green-400">Live</span>
+          {telemetry.rtt !== null && (
+            <span className={clsx('text-xs font-mono', QUALITY_TEXT[telemetry.quality])}>
+              {telemetry.rtt} ms
+            </span>
+          )}
+        </div>
+
+        {/* Link details */}
+        <div className="absolute right-0 top-full mt-2 z-20 hidden group-hover:block w-56 p-3 rounded-xl bg-black/90 border border-white/10 backdrop-blur text-xs">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-gray-400">Link quality</span>
+            <span className={clsx('font-medium capitalize', QUALITY_TEXT[telemetry.quality])}>
+              {telemetry.quality}
+            </span>
+          </div>
+          <RttSparkline history={telemetry.history} />
+          <div className="grid grid-cols-2 gap-x-3 gap-y-1 mt-2 text-gray-400">
+            <span>RTT (avg)</span>
+            <span className="text-right text-white font-mono">{formatTelemetryDuration(telemetry.avgRtt)}</span>
+            <span>Jitter</span>
+            <span className="text-right text-white font-mono">{formatTelemetryDuration(telemetry.jitter)}</span>
+            <span>Reconnects</span>
+            <span className="text-right text-white font-mono">{telemetry.reconnects}</span>
+            <span>Last message</span>
+            <span className="text-right text-white font-mono">
+              {telemetry.sinceLastMessage === null ? '-' : `${formatTelemetryDuration(telemetry.sinceLastMessage)} ago`}
+            </span>
+          </div>
         </div>
-        <span className="text-xs text-green-400">Live</span>
       </div>
     );
   }
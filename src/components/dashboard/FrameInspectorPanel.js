@@ -0,0 +1,310 @@
+/**
+ * ============================================
+ * File: src/components/dashboard/FrameInspectorPanel.js
+ * ============================================
+ * WebSocket Frame Inspector Panel
+ *
+ * Creation Reason: Developer panel replacing '[WebSocketService]' console
+ * reading when debugging remote management
+ * Main Functionality:
+ * 1. Live list of inbound/outbound frames with type, request_id, node,
+ *    size and request -> response latency
+ * 2. Filter by frame type, node_reference and direction
+ * 3. Masked payload view with jump to the correlated frame
+ * 4. Export the capture / replay a capture through the fake transport
+ * Dependencies: useFrameInspector
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Toggled from the dashboard header (DashboardLayout)
+ * - Only the newest DISPLAY_LIMIT frames are rendered; export contains all
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  Circle,
+  Pause,
+  Trash2,
+  Download,
+  Upload,
+  Square,
+  ArrowUpRight,
+  ArrowDownLeft,
+  Link2
+} from 'lucide-react';
+import clsx from 'clsx';
+import { useFrameInspector } from '../../hooks/useFrameInspector';
+
+const DISPLAY_LIMIT = 300;
+
+/**
+ * Format bytes for the size column
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * HH:MM:SS.mmm
+ */
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return date.toLocaleTimeString([], { hour12: false }) +
+    '.' + String(date.getMilliseconds()).padStart(3, '0');
+}
+
+/**
+ * Frame Inspector Panel Component
+ */
+export default function FrameInspectorPanel({ onClose }) {
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [nodeReference, setNodeReference] = useState('');
+  const [direction, setDirection] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const {
+    frames,
+    facets,
+    enabled,
+    replaying,
+    totalFrames,
+    findFrame,
+    toggleRecording,
+    clear,
+    exportCapture,
+    startReplay,
+    stopReplay
+  } = useFrameInspector({
+    types: selectedTypes,
+    nodeReference: nodeReference || null,
+    direction: direction || null
+  });
+
+  const visibleFrames = frames.slice(-DISPLAY_LIMIT).reverse();
+  // Looked up unfiltered so the correlated frame opens even when filtered out
+  const selected = selectedId ? findFrame(selectedId) : null;
+
+  const toggleType = (type) => {
+    setSelectedTypes(current =>
+      current.includes(type) ? current.filter(item => item !== type) : [...current, type]
+    );
+  };
+
+  const handleReplayFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setReplayError(null);
+      await startReplay(file);
+    } catch (error) {
+      setReplayError(error.message);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ y: '100%' }}
+      animate={{ y: 0 }}
+      exit={{ y: '100%' }}
+      transition={{ type: 'spring', damping: 30, stiffness: 300 }}
+      className="fixed bottom-0 left-0 right-0 z-[60] h-[45vh] bg-black/95 backdrop-blur-md border-t border-white/10 flex flex-col text-xs"
+    >
+      {/* Toolbar */}
+      <div className="flex items-center gap-2 px-4 py-2 border-b border-white/10">
+        <span className="font-semibold text-white text-sm mr-2">Frame Inspector</span>
+
+        <button
+          onClick={toggleRecording}
+          className={clsx(
+            'flex items-center gap-1 px-2 py-1 rounded',
+            enabled ? 'bg-red-500/20 text-red-400' : 'bg-white/5 text-gray-300 hover:bg-white/10'
+          )}
+          title={enabled ? 'Pause recording' : 'Start recording'}
+        >
+          {enabled ? <Pause className="w-3 h-3" /> : <Circle className="w-3 h-3" />}
+          {enabled ? 'Recording' : 'Record'}
+        </button>
+
+        <button
+          onClick={clear}
+          className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10"
+        >
+          <Trash2 className="w-3 h-3" />
+          Clear
+        </button>
+
+        <button
+          onClick={exportCapture}
+          disabled={frames.length === 0}
+          className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+        >
+          <Download className="w-3 h-3" />
+          Export
+        </button>
+
+        {replaying ? (
+          <button
+            onClick={stopReplay}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-yellow-500/20 text-yellow-400"
+          >
+            <Square className="w-3 h-3" />
+            Stop replay
+          </button>
+        ) : (
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10"
+          >
+            <Upload className="w-3 h-3" />
+            Replay
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleReplayFile}
+        />
+
+        {replayError && <span className="text-red-400 truncate">{replayError}</span>}
+
+        <span className="ml-auto text-gray-500">
+          {frames.length} / {totalFrames} frames
+        </span>
+        <button onClick={onClose} className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex items-center gap-2 px-4 py-2 border-b border-white/10 overflow-x-auto">
+        <select
+          value={direction}
+          onChange={(event) => setDirection(event.target.value)}
+          className="bg-white/5 border border-white/10 rounded px-2 py-1 text-gray-300"
+        >
+          <option value="">Both directions</option>
+          <option value="out">Outbound</option>
+          <option value="in">Inbound</option>
+        </select>
+
+        <select
+          value={nodeReference}
+          onChange={(event) => setNodeReference(event.target.value)}
+          className="bg-white/5 border border-white/10 rounded px-2 py-1 text-gray-300"
+        >
+          <option value="">All nodes</option>
+          {facets.nodeReferences.map(reference => (
+            <option key={reference} value={reference}>{reference}</option>
+          ))}
+        </select>
+
+        {facets.types.map(type => (
+          <button
+            key={type}
+            onClick={() => toggleType(type)}
+            className={clsx(
+              'px-2 py-1 rounded whitespace-nowrap font-mono',
+              selectedTypes.includes(type)
+                ? 'bg-purple-500/30 text-purple-200'
+                : 'bg-white/5 text-gray-400 hover:bg-white/10'
+            )}
+          >
+            {type}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-1 min-h-0">
+        {/* Frame list */}
+        <div className="flex-1 overflow-y-auto font-mono">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-black text-gray-500">
+              <tr className="text-left">
+                <th className="px-3 py-1 font-normal">Time</th>
+                <th className="px-1 py-1 font-normal" />
+                <th className="px-3 py-1 font-normal">Type</th>
+                <th className="px-3 py-1 font-normal">request_id</th>
+                <th className="px-3 py-1 font-normal">Node</th>
+                <th className="px-3 py-1 font-normal text-right">Size</th>
+                <th className="px-3 py-1 font-normal text-right">Latency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleFrames.map(frame => (
+                <tr
+                  key={frame.id}
+                  onClick={() => setSelectedId(frame.id)}
+                  className={clsx(
+                    'cursor-pointer border-b border-white/5',
+                    frame.id === selectedId ? 'bg-purple-500/20' : 'hover:bg-white/5',
+                    selected && frame.id === selected.correlatedId && 'bg-blue-500/10'
+                  )}
+                >
+                  <td className="px-3 py-1 text-gray-500 whitespace-nowrap">{formatTime(frame.timestamp)}</td>
+                  <td className="px-1 py-1">
+                    {frame.direction === 'out'
+                      ? <ArrowUpRight className="w-3 h-3 text-green-400" />
+                      : <ArrowDownLeft className="w-3 h-3 text-blue-400" />}
+                  </td>
+                  <td className="px-3 py-1 text-white whitespace-nowrap">{frame.type}</td>
+                  <td className="px-3 py-1 text-gray-400 truncate max-w-[12rem]">{frame.requestId || '-'}</td>
+                  <td className="px-3 py-1 text-gray-400 whitespace-nowrap">{frame.nodeReference || '-'}</td>
+                  <td className="px-3 py-1 text-gray-400 text-right whitespace-nowrap">{formatSize(frame.size)}</td>
+                  <td className="px-3 py-1 text-right whitespace-nowrap">
+                    {frame.latencyMs !== null
+                      ? <span className="text-yellow-300">{frame.latencyMs} ms</span>
+                      : <span className="text-gray-600">-</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {visibleFrames.length === 0 && (
+            <div className="p-6 text-center text-gray-500 font-sans">
+              {enabled ? 'Waiting for frames...' : 'Recording is paused. Press Record to capture frames.'}
+            </div>
+          )}
+        </div>
+
+        {/* Payload */}
+        {selected && (
+          <div className="w-[40%] border-l border-white/10 flex flex-col min-h-0">
+            <div className="flex items-center gap-2 px-3 py-2 border-b border-white/10 text-gray-400">
+              <span className="text-white font-mono">{selected.type}</span>
+              <span>#{selected.seq}</span>
+              {selected.correlatedId && (
+                <button
+                  onClick={() => setSelectedId(selected.correlatedId)}
+                  className="flex items-center gap-1 ml-auto text-blue-400 hover:text-blue-300"
+                >
+                  <Link2 className="w-3 h-3" />
+                  {selected.direction === 'out' ? 'Response' : 'Request'}
+                </button>
+              )}
+            </div>
+            <pre className="flex-1 overflow-auto p-3 text-gray-300 whitespace-pre-wrap break-all">
+              {typeof selected.payload === 'string'
+                ? selected.payload
+                : JSON.stringify(selected.payload, null, 2)}
+            </pre>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * File: src/components/dashboard/JobNotifications.js
+ * ============================================
+ * Background Job Notifications
+ *
+ * Creation Reason: A job started in a modal usually finishes after the
+ * modal is closed; the user needs to hear about it
+ * Main Functionality: a toast per finished job (auto-hidden after
+ * TOAST_MS, click opens the jobs drawer); a desktop notification as well
+ * when the tab is hidden and permission was granted (JobsDrawer asks)
+ * Dependencies: JobService, JobsDrawer (describeJobResult)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Mounted once in the dashboard layout. Jobs finishing while the drawer
+ *   is open still toast; cancelled jobs do not (the user did it)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CheckCircle, XCircle, X } from 'lucide-react';
+import jobService, { JOB_STATE } from '../../services/JobService';
+import { describeJobResult } from './JobsDrawer';
+
+const TOAST_MS = 6000;
+const MAX_TOASTS = 4;
+
+function notificationText(job) {
+  return job.state === JOB_STATE.SUCCEEDED
+    ? describeJobResult(job) || 'Done'
+    : job.error?.message || job.state;
+}
+
+/**
+ * Job Notifications Component
+ * @param {Object} props
+ * @param {Function} props.onOpen - Open the jobs drawer
+ */
+export default function JobNotifications({ onOpen }) {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => {
+    const timers = new Set();
+
+    const handleFinished = (job) => {
+      if (job.state === JOB_STATE.CANCELLED) return;
+
+      setToasts(current => [...current, job].slice(-MAX_TOASTS));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setToasts(current => current.filter(toast => toast.id !== job.id));
+      }, TOAST_MS);
+      timers.add(timer);
+
+      if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        new Notification(`${job.label} - ${job.nodeReference}`, { body: notificationText(job), tag: job.id });
+      }
+    };
+
+    jobService.on('finished', handleFinished);
+    return () => {
+      jobService.off('finished', handleFinished);
+      timers.forEach(clearTimeout);
+    };
+  }, []);
+
+  const dismiss = (id) => setToasts(current => current.filter(toast => toast.id !== id));
+
+  return (
+    <div className="fixed bottom-6 right-6 z-[70] flex flex-col gap-2 w-80">
+      <AnimatePresence>
+        {toasts.map((job) => {
+          const succeeded = job.state === JOB_STATE.SUCCEEDED;
+          const Icon = succeeded ? CheckCircle : XCircle;
+
+          return (
+            <motion.div
+              key={job.id}
+              initial={{ opacity: 0, x: 40 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: 40 }}
+              onClick={() => {
+                dismiss(job.id);
+                onOpen();
+              }}
+              className="flex items-start gap-3 p-3 rounded-lg bg-gray-900/95 border border-white/10 shadow-lg cursor-pointer"
+            >
+              <Icon className={succeeded ? 'w-5 h-5 text-green-400 flex-shrink-0' : 'w-5 h-5 text-red-400 flex-shrink-0'} />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">{job.label}</p>
+                <p className="text-xs text-gray-400 truncate">{job.nodeReference} · {notificationText(job)}</p>
+              </div>
+              <button
+                onClick={(event) => {
+                  event.stopPropagation();
+                  dismiss(job.id);
+                }}
+                className="p-0.5 rounded text-gray-500 hover:text-white"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </motion.div>
+          );
+        })}
+      </AnimatePresence>
+    </div>
+  );
+}
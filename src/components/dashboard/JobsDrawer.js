@@ -0,0 +1,274 @@
+/**
+ * ============================================
+ * File: src/components/dashboard/JobsDrawer.js
+ * ============================================
+ * Background Jobs Drawer
+ *
+ * Creation Reason: Long remote operations (compress, extract, batch copy,
+ * search) run as JobService jobs; this is where they are followed
+ * Main Functionality:
+ * 1. Every job with node, command, start time, duration, progress and
+ *    outcome, newest first
+ * 2. Cancel running / detached jobs, dismiss finished ones, clear finished
+ * 3. Result details (trimmed result as JSON)
+ * 4. Opt-in for desktop notifications (JobNotifications uses them)
+ * 5. Batch jobs: failed items with their error codes, retry of the failed
+ *    items only, report export (CSV / JSON)
+ * Dependencies: useJobs, JobService (JOB_STATE)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Toggled from the dashboard header (DashboardLayout), like the frame
+ *   inspector; closing it does not affect the jobs
+ *
+ * Last Modified: v1.1.0 - Batch reports: failed items, retry, export
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  Loader2,
+  CheckCircle,
+  XCircle,
+  Clock,
+  Unplug,
+  Bell,
+  ChevronDown,
+  ChevronRight,
+  RotateCcw,
+  Download
+} from 'lucide-react';
+import clsx from 'clsx';
+import { useJobs } from '../../hooks/useJobs';
+import { JOB_STATE } from '../../services/JobService';
+
+// Failed items listed under a batch job
+const FAILED_ITEMS_SHOWN = 5;
+
+const STATE_DISPLAY = {
+  [JOB_STATE.RUNNING]: { icon: Loader2, color: 'text-blue-400', label: 'Running', spin: true },
+  [JOB_STATE.DETACHED]: { icon: Clock, color: 'text-yellow-400', label: 'Waiting for the node' },
+  [JOB_STATE.SUCCEEDED]: { icon: CheckCircle, color: 'text-green-400', label: 'Done' },
+  [JOB_STATE.FAILED]: { icon: XCircle, color: 'text-red-400', label: 'Failed' },
+  [JOB_STATE.CANCELLED]: { icon: XCircle, color: 'text-gray-400', label: 'Cancelled' },
+  [JOB_STATE.LOST]: { icon: Unplug, color: 'text-gray-400', label: 'No answer' }
+};
+
+/**
+ * 1m 05s
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function isBatchReport(result) {
+  return Array.isArray(result?.results) && Number.isInteger(result.failed);
+}
+
+/**
+ * One-line summary of a job result
+ */
+export function describeJobResult(job) {
+  const result = job.result || {};
+  if (Number.isInteger(result.succeeded)) return `${result.succeeded} succeeded, ${result.failed || 0} failed`;
+  if (Number.isInteger(result.total)) return `${result.total} matches${result.truncated ? ` (first ${result.results.length} kept)` : ''}`;
+  if (result.destination && Number.isInteger(result.files)) return `${result.files} files -> ${result.destination}`;
+  if (result.destination) return `-> ${result.destination}`;
+  if (Number.isInteger(result.exit_code)) return `exit code ${result.exit_code}`;
+  return null;
+}
+
+function BatchReport({ job, onRetryFailed, onExport }) {
+  const failedItems = job.result.results.filter(item => !item.success);
+
+  return (
+    <div className="mt-2 space-y-1">
+      {failedItems.slice(0, FAILED_ITEMS_SHOWN).map(item => (
+        <div key={item.path} className="text-[11px] font-mono text-gray-400 truncate" title={item.error?.message}>
+          <span className="text-red-300">{item.error?.code}</span> {item.path}
+        </div>
+      ))}
+      {failedItems.length > FAILED_ITEMS_SHOWN && (
+        <div className="text-[11px] text-gray-500">and {failedItems.length - FAILED_ITEMS_SHOWN} more</div>
+      )}
+      <div className="flex items-center gap-2 pt-1">
+        {failedItems.length > 0 && (
+          <button
+            onClick={() => onRetryFailed(job.id)}
+            className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-300 bg-white/5 hover:bg-white/10"
+          >
+            <RotateCcw className="w-3 h-3" />
+            Retry {failedItems.length} failed
+          </button>
+        )}
+        <button
+          onClick={() => onExport(job, 'csv')}
+          className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-400 hover:text-white hover:bg-white/5"
+          title={job.result.truncated ? 'Failed items and the first successes (the rest were not kept)' : 'Per-item report'}
+        >
+          <Download className="w-3 h-3" />
+          CSV
+        </button>
+        <button
+          onClick={() => onExport(job, 'json')}
+          className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-400 hover:text-white hover:bg-white/5"
+        >
+          <Download className="w-3 h-3" />
+          JSON
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function JobRow({ job, now, onCancel, onDismiss, onRetryFailed, onExport }) {
+  const [expanded, setExpanded] = useState(false);
+  const display = STATE_DISPLAY[job.state];
+  const Icon = display.icon;
+  const isActive = job.state === JOB_STATE.RUNNING || job.state === JOB_STATE.DETACHED;
+  const summary = job.state === JOB_STATE.SUCCEEDED || isBatchReport(job.result)
+    ? describeJobResult(job)
+    : job.error?.message;
+  const percent = job.progress?.total ? Math.round((job.progress.done / job.progress.total) * 100) : null;
+
+  return (
+    <div className="px-4 py-3 border-b border-white/5">
+      <div className="flex items-start gap-3">
+        <Icon className={clsx('w-4 h-4 mt-0.5 flex-shrink-0', display.color, display.spin && 'animate-spin')} />
+        <div className="flex-1 min-w-0">
+          <div className="text-sm text-white truncate" title={job.label}>{job.label}</div>
+          <div className="text-xs text-gray-500">
+            {job.nodeReference} · {job.commandType} · {new Date(job.startedAt).toLocaleTimeString()}
+            {' · '}{formatDuration((job.finishedAt || now) - job.startedAt)}
+          </div>
+          <div className={clsx('text-xs mt-0.5', display.color)}>
+            {display.label}{summary ? `: ${summary}` : ''}
+          </div>
+          {percent !== null && isActive && (
+            <div className="mt-2 h-1 bg-white/10 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          )}
+          {!isActive && isBatchReport(job.result) && (
+            <BatchReport job={job} onRetryFailed={onRetryFailed} onExport={onExport} />
+          )}
+          {job.result && (
+            <button
+              onClick={() => setExpanded(value => !value)}
+              className="flex items-center gap-1 mt-1 text-xs text-gray-500 hover:text-white"
+            >
+              {expanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+              Result
+            </button>
+          )}
+          {expanded && (
+            <pre className="mt-1 p-2 rounded bg-black/40 text-[11px] font-mono text-gray-300 whitespace-pre-wrap break-all max-h-48 overflow-y-auto">
+              {JSON.stringify(job.result, null, 2)}
+            </pre>
+          )}
+        </div>
+        {isActive ? (
+          <button
+            onClick={() => onCancel(job.id)}
+            className="px-2 py-1 rounded text-xs text-gray-400 hover:text-red-300 hover:bg-white/5"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={() => onDismiss(job.id)}
+            className="p-1 rounded text-gray-500 hover:text-white hover:bg-white/5"
+            title="Dismiss"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Jobs Drawer Component
+ */
+export default function JobsDrawer({ onClose }) {
+  const { jobs, activeCount, cancelJob, dismissJob, clearFinished, retryFailed, exportReport } = useJobs();
+  const [now, setNow] = useState(Date.now());
+  const [permission, setPermission] = useState(null);
+
+  // Tick the running durations
+  useEffect(() => {
+    if (activeCount === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [activeCount]);
+
+  useEffect(() => {
+    setPermission(typeof Notification === 'undefined' ? null : Notification.permission);
+  }, []);
+
+  const requestPermission = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  return (
+    <motion.div
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      exit={{ x: '100%' }}
+      transition={{ type: 'spring', damping: 30, stiffness: 300 }}
+      className="fixed top-16 right-0 bottom-0 z-[60] w-full max-w-md bg-black/95 backdrop-blur-md border-l border-white/10 flex flex-col"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+        <div>
+          <h2 className="text-sm font-semibold text-white">Background jobs</h2>
+          <p className="text-xs text-gray-500">{activeCount} running</p>
+        </div>
+        <div className="flex items-center gap-1">
+          {permission === 'default' && (
+            <button
+              onClick={requestPermission}
+              className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-white/5"
+              title="Desktop notifications when a job finishes"
+            >
+              <Bell className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={clearFinished}
+            className="px-2 py-1 rounded text-xs text-gray-400 hover:text-white hover:bg-white/5"
+          >
+            Clear finished
+          </button>
+          <button onClick={onClose} className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-white/5">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {jobs.map(job => (
+          <JobRow
+            key={job.id}
+            job={job}
+            now={now}
+            onCancel={cancelJob}
+            onDismiss={dismissJob}
+            onRetryFailed={retryFailed}
+            onExport={exportReport}
+          />
+        ))}
+        {jobs.length === 0 && (
+          <p className="px-4 py-8 text-center text-sm text-gray-500">
+            No jobs. Compress, extract and search in the file manager run here.
+          </p>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -17,15 +17,21 @@
  * - Node type configuration determines visual styling
  * - Performance charts use cached signature for optimization
  * - Resource monitoring is critical for node health assessment
+ * - Each row is a memoized NodeListRow that reads its node from
+ *   stores/nodeStore (useNode); the node passed in is only the fallback
+ *   for nodes the store does not hold. A status delta re-renders only the
+ *   rows whose node changed, so keep row props stable
  *
- * Last Modified: v3.1.0 - Removed earnings displays, kept functional metrics
+ * Last Modified: v3.2.0 - Memoized rows subscribed to their own node
  * ============================================
  */
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useRef, memo } from 'react';
 import Link from 'next/link';
 import NodePerformanceChart from './NodePerformanceChart';
 import { useSignature } from '../../hooks/useSignature';
+import { useNode } from '../../stores/nodeStore';
+import { nodeKey } from '../../lib/utils/nodeDelta';
 
 // Node type configuration
 const NODE_TYPE_CONFIG = {
@@ -94,167 +100,104 @@ const STATUS_CONFIG = {
   registered: { bg: 'bg-blue-900/30', text: 'text-blue-500', border: 'border-blue-800' }
 };
 
-export default function NodeList({ nodes, onBlockchainIntegrate, onNodeDetails }) {
-  const [expandedNode, setExpandedNode] = useState(null);
-  const [performanceData, setPerformanceData] = useState({});
-  
-  // Use cached signature
-  const { signature, message } = useSignature('nodeList');
-
-  // Utility functions
-  const formatDate = useCallback((dateString) => {
-    if (!dateString) return 'N/A';
-    try {
-      const date = new Date(dateString);
-      return date.toLocaleString();
-    } catch {
-      return 'Invalid Date';
-    }
-  }, []);
-
-  const getNodeTypeConfig = useCallback((type) => {
-    const nodeType = type ? String(type).toLowerCase() : 'general';
-    return NODE_TYPE_CONFIG[nodeType] || NODE_TYPE_CONFIG.general;
-  }, []);
-
-  const getConnectionStatus = useCallback((node) => {
-    if (node.connectionStatus === 'offline' || node.status === 'offline') {
-      return { color: 'text-red-500', text: node.offlineDuration ? `Offline ${node.offlineDuration}` : 'Disconnected' };
-    }
-    
-    if (node.status === 'pending') {
-      return { color: 'text-yellow-500', text: 'Waiting activation' };
-    }
-    
-    if (node.isConnected) {
-      return { color: 'text-green-500', text: 'Connected' };
-    }
-    
-    if (!node.lastSeen) {
-      return { color: 'text-gray-500', text: 'Never connected' };
-    }
+// Resource bars: API `resources` key -> store `performance` key
+const RESOURCE_ROWS = [
+  { key: 'cpu', performanceKey: 'cpu', label: 'CPU', icon: '🔥' },
+  { key: 'memory', performanceKey: 'memory', label: 'Memory', icon: '💾' },
+  { key: 'storage', performanceKey: 'disk', label: 'Storage', icon: '💿' },
+  { key: 'bandwidth', performanceKey: 'network', label: 'Bandwidth', icon: '📡' }
+];
 
-    const now = new Date();
-    const lastSeenDate = new Date(node.lastSeen);
-    const diffMinutes = Math.floor((now - lastSeenDate) / (1000 * 60));
-
-    if (diffMinutes < 5) {
-      return { color: 'text-green-500', text: 'Connected' };
-    } else if (diffMinutes < 30) {
-      return { color: 'text-yellow-500', text: `Last seen ${diffMinutes}m ago` };
-    } else {
-      return { color: 'text-red-500', text: 'Connection lost' };
-    }
-  }, []);
+// Utility functions
+function getNodeTypeConfig(type) {
+  const nodeType = type ? String(type).toLowerCase() : 'general';
+  return NODE_TYPE_CONFIG[nodeType] || NODE_TYPE_CONFIG.general;
+}
 
-  const calculateHealthScore = useCallback((node) => {
-    let score = 100;
-    
-    // Status impact
-    if (node.status === 'offline') score -= 50;
-    else if (node.status === 'pending') score -= 20;
-    
-    // Resource usage impact
-    const cpuUsage = node.resources?.cpu?.usage || 0;
-    const memoryUsage = node.resources?.memory?.usage || 0;
-    
-    if (cpuUsage > 90) score -= 15;
-    else if (cpuUsage > 80) score -= 10;
-    
-    if (memoryUsage > 90) score -= 15;
-    else if (memoryUsage > 80) score -= 10;
-    
-    // Connection impact
-    const connectionStatus = getConnectionStatus(node);
-    if (connectionStatus.text.includes('Offline') || connectionStatus.text.includes('lost')) score -= 30;
-    else if (connectionStatus.text === 'Never connected') score -= 40;
-    
-    return Math.max(0, Math.min(100, Math.round(score)));
-  }, [getConnectionStatus]);
+function getConnectionStatus(node) {
+  if (node.connectionStatus === 'offline' || node.status === 'offline') {
+    return { color: 'text-red-500', text: node.offlineDuration ? `Offline ${node.offlineDuration}` : 'Disconnected' };
+  }
+  
+  if (node.status === 'pending') {
+    return { color: 'text-yellow-500', text: 'Waiting activation' };
+  }
+  
+  if (node.isConnected) {
+    return { color: 'text-green-500', text: 'Connected' };
+  }
+  
+  const lastSeen = node.lastSeen || node.last_seen;
+  if (!lastSeen) {
+    return { color: 'text-gray-500', text: 'Never connected' };
+  }
 
-  const getHealthScoreColor = useCallback((score) => {
-    if (score >= 80) return 'text-green-500';
-    if (score >= 60) return 'text-yellow-500';
-    if (score >= 40) return 'text-orange-500';
-    return 'text-red-500';
-  }, []);
+  const now = new Date();
+  const lastSeenDate = new Date(lastSeen);
+  const diffMinutes = Math.floor((now - lastSeenDate) / (1000 * 60));
 
-  const getResourceBarColor = useCallback((usage) => {
-    if (usage > 80) return 'bg-red-500';
-    if (usage > 60) return 'bg-yellow-500';
-    return 'bg-green-500';
-  }, []);
+  if (diffMinutes < 5) {
+    return { color: 'text-green-500', text: 'Connected' };
+  } else if (diffMinutes < 30) {
+    return { color: 'text-yellow-500', text: `Last seen ${diffMinutes}m ago` };
+  } else {
+    return { color: 'text-red-500', text: 'Connection lost' };
+  }
+}
 
-  // Event handlers
-  const toggleNodeExpansion = useCallback(async (nodeId) => {
-    if (expandedNode === nodeId) {
-      setExpandedNode(null);
-      return;
-    }
+function getResourceUsage(node, row) {
+  return node.resources?.[row.key]?.usage ?? node.performance?.[row.performanceKey] ?? 0;
+}
 
-    setExpandedNode(nodeId);
-    
-    if (onNodeDetails) {
-      const node = nodes.find(n => n.id === nodeId);
-      if (node && node.referenceCode) {
-        try {
-          const details = await onNodeDetails(node.referenceCode);
-          if (details) {
-            setPerformanceData(prev => ({
-              ...prev,
-              [nodeId]: details
-            }));
-          }
-        } catch (error) {
-          console.error('Failed to load node details:', error);
-        }
-      }
-    }
-  }, [expandedNode, nodes, onNodeDetails]);
+function calculateHealthScore(node, connectionStatus) {
+  let score = 100;
+  
+  // Status impact
+  if (node.status === 'offline') score -= 50;
+  else if (node.status === 'pending') score -= 20;
+  
+  // Resource usage impact
+  const cpuUsage = getResourceUsage(node, RESOURCE_ROWS[0]);
+  const memoryUsage = getResourceUsage(node, RESOURCE_ROWS[1]);
+  
+  if (cpuUsage > 90) score -= 15;
+  else if (cpuUsage > 80) score -= 10;
+  
+  if (memoryUsage > 90) score -= 15;
+  else if (memoryUsage > 80) score -= 10;
+  
+  // Connection impact
+  if (connectionStatus.text.includes('Offline') || connectionStatus.text.includes('lost')) score -= 30;
+  else if (connectionStatus.text === 'Never connected') score -= 40;
+  
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
 
-  const handleBlockchainIntegration = useCallback((event, node) => {
-    event.stopPropagation();
-    if (onBlockchainIntegrate) {
-      onBlockchainIntegrate(node);
-    }
-  }, [onBlockchainIntegrate]);
+function getHealthScoreColor(score) {
+  if (score >= 80) return 'text-green-500';
+  if (score >= 60) return 'text-yellow-500';
+  if (score >= 40) return 'text-orange-500';
+  return 'text-red-500';
+}
 
-  // Computed values for each node
-  const nodesWithComputedData = useMemo(() => {
-    return nodes.map(node => {
-      const nodeTypeConfig = getNodeTypeConfig(node.type);
-      const connectionStatus = getConnectionStatus(node);
-      const healthScore = calculateHealthScore(node);
-      const hasBlockchainIntegrations = node.blockchainIntegrations && node.blockchainIntegrations.length > 0;
-      
-      return {
-        ...node,
-        nodeTypeConfig,
-        connectionStatus,
-        healthScore,
-        hasBlockchainIntegrations
-      };
-    });
-  }, [nodes, getNodeTypeConfig, getConnectionStatus, calculateHealthScore]);
+function getResourceBarColor(usage) {
+  if (usage > 80) return 'bg-red-500';
+  if (usage > 60) return 'bg-yellow-500';
+  return 'bg-green-500';
+}
 
-  // Render methods
-  const renderResourceUsage = useCallback((resources) => (
+function ResourceUsage({ node }) {
+  return (
     <div className="space-y-3">
-      {[
-        { key: 'cpu', label: 'CPU', icon: '🔥' },
-        { key: 'memory', label: 'Memory', icon: '💾' },
-        { key: 'storage', label: 'Storage', icon: '💿' },
-        { key: 'bandwidth', label: 'Bandwidth', icon: '📡' }
-      ].map(({ key, label, icon }) => {
-        const resource = resources?.[key];
-        const usage = resource?.usage || 0;
+      {RESOURCE_ROWS.map((row) => {
+        const usage = getResourceUsage(node, row);
         const barColor = getResourceBarColor(usage);
         
         return (
-          <div key={key}>
+          <div key={row.key}>
             <div className="flex justify-between items-center text-sm mb-1">
               <span className="text-gray-400 flex items-center gap-1">
-                <span>{icon}</span> {label}
+                <span>{row.icon}</span> {row.label}
               </span>
               <span className={`font-mono ${usage > 80 ? 'text-red-400' : ''}`}>{usage}%</span>
             </div>
@@ -268,127 +211,210 @@ export default function NodeList({ nodes, onBlockchainIntegrate, onNodeDetails }
         );
       })}
     </div>
-  ), [getResourceBarColor]);
+  );
+}
 
-  const renderNodeHeader = useCallback((node) => (
-    <div className="flex items-center justify-between p-4 cursor-pointer hover:bg-background-50 transition-colors"
-         onClick={() => toggleNodeExpansion(node.id)}>
-      <div className="flex items-center gap-4">
-        <div className={`p-3 rounded-lg bg-${node.nodeTypeConfig.color}-900/20 border border-${node.nodeTypeConfig.color}-800/50`}>
-          {React.cloneElement(node.nodeTypeConfig.icon, { 
-            className: `h-6 w-6 text-${node.nodeTypeConfig.color}-400` 
-          })}
-        </div>
-        
-        <div className="min-w-0">
-          <h3 className="font-bold text-lg truncate">{node.name}</h3>
-          <div className="flex items-center gap-3 mt-1 text-sm">
-            <span className="font-mono text-xs text-gray-500">{node.referenceCode}</span>
-            <span className={`px-2 py-0.5 rounded text-xs ${STATUS_CONFIG[node.status]?.bg} ${STATUS_CONFIG[node.status]?.text} ${STATUS_CONFIG[node.status]?.border} border`}>
-              {node.status?.charAt(0).toUpperCase() + node.status?.slice(1)}
-            </span>
-            <span className={`text-xs ${node.connectionStatus.color}`}>
-              {node.connectionStatus.text}
-            </span>
+/**
+ * One node; re-renders when its node (useNode) or its own props change
+ */
+const NodeListRow = memo(function NodeListRow({
+  reference,
+  fallbackNode,
+  expanded,
+  onToggle,
+  onBlockchainIntegrate,
+  signature,
+  message
+}) {
+  const storeNode = useNode(reference);
+  const source = storeNode || fallbackNode;
+
+  // Computed values for this node
+  const node = useMemo(() => {
+    const connectionStatus = getConnectionStatus(source);
+    return {
+      ...source,
+      referenceCode: source.referenceCode || reference,
+      nodeTypeConfig: getNodeTypeConfig(source.type),
+      connectionStatus,
+      healthScore: calculateHealthScore(source, connectionStatus),
+      hasBlockchainIntegrations: source.blockchainIntegrations && source.blockchainIntegrations.length > 0
+    };
+  }, [source, reference]);
+
+  const handleBlockchainIntegration = (event) => {
+    event.stopPropagation();
+    if (onBlockchainIntegrate) {
+      onBlockchainIntegrate(node);
+    }
+  };
+
+  return (
+    <div className="card glass-effect overflow-hidden">
+      <div className="flex items-center justify-between p-4 cursor-pointer hover:bg-background-50 transition-colors"
+           onClick={() => onToggle(reference)}>
+        <div className="flex items-center gap-4">
+          <div className={`p-3 rounded-lg bg-${node.nodeTypeConfig.color}-900/20 border border-${node.nodeTypeConfig.color}-800/50`}>
+            {React.cloneElement(node.nodeTypeConfig.icon, { 
+              className: `h-6 w-6 text-${node.nodeTypeConfig.color}-400` 
+            })}
           </div>
-        </div>
-      </div>
-      
-      <div className="flex items-center gap-6">
-        <div className="text-center">
-          <div className="text-xs text-gray-400">Health</div>
-          <div className={`text-lg font-bold ${getHealthScoreColor(node.healthScore)}`}>
-            {node.healthScore}%
+          
+          <div className="min-w-0">
+            <h3 className="font-bold text-lg truncate">{node.name}</h3>
+            <div className="flex items-center gap-3 mt-1 text-sm">
+              <span className="font-mono text-xs text-gray-500">{node.referenceCode}</span>
+              <span className={`px-2 py-0.5 rounded text-xs ${STATUS_CONFIG[node.status]?.bg} ${STATUS_CONFIG[node.status]?.text} ${STATUS_CONFIG[node.status]?.border} border`}>
+                {node.status?.charAt(0).toUpperCase() + node.status?.slice(1)}
+              </span>
+              <span className={`text-xs ${node.connectionStatus.color}`}>
+                {node.connectionStatus.text}
+              </span>
+            </div>
           </div>
         </div>
         
-        <div className="text-center">
-          <div className="text-xs text-gray-400">Uptime</div>
-          <div className="text-sm font-mono">{node.uptime || '99.9%'}</div>
-        </div>
-        
-        {node.hasBlockchainIntegrations && (
-          <div className="flex items-center gap-1 px-2 py-1 rounded bg-blue-900/30 text-blue-400 border border-blue-800">
-            <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
-              <path d="M10.394 2.08a1 1 0 00-.788 0l-7 3a1 1 0 000 1.84L5.25 8.051a.999.999 0 01.356-.257l4-1.714a1 1 0 11.788 1.838L7.667 9.088l1.94.831a1 1 0 00.787 0l7-3a1 1 0 000-1.838l-7-3zM3.31 9.397L5 10.12v4.102a8.969 8.969 0 00-1.05-.174 1 1 0 01-.89-.89 11.115 11.115 0 01.25-3.762zM9.3 16.573A9.026 9.026 0 007 14.935v-3.957l1.818.78a3 3 0 002.364 0l5.508-2.361a11.026 11.026 0 01.25 3.762 1 1 0 01-.89.89 8.968 8.968 0 00-5.35 2.524 1 1 0 01-1.4 0zM6 18a1 1 0 001-1v-2.065a8.935 8.935 0 00-2-.712V17a1 1 0 001 1z" />
-            </svg>
-            <span className="text-xs">Blockchain</span>
+        <div className="flex items-center gap-6">
+          <div className="text-center">
+            <div className="text-xs text-gray-400">Health</div>
+            <div className={`text-lg font-bold ${getHealthScoreColor(node.healthScore)}`}>
+              {node.healthScore}%
+            </div>
           </div>
-        )}
-        
-        <svg 
-          className={`h-5 w-5 text-gray-400 transition-transform duration-200 ${
-            expandedNode === node.id ? 'rotate-180' : ''
-          }`} 
-          fill="none" 
-          stroke="currentColor" 
-          viewBox="0 0 24 24"
-        >
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-        </svg>
-      </div>
-    </div>
-  ), [expandedNode, getHealthScoreColor, toggleNodeExpansion]);
-
-  const renderNodeDetails = useCallback((node) => (
-    <div className="p-6 border-t border-background-200 bg-background-50/50">
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Resources */}
-        <div className="card bg-background-100 p-4">
-          <h4 className="font-bold mb-3 flex items-center gap-2">
-            <span>📊</span> Resource Usage
-          </h4>
-          {renderResourceUsage(node.resources)}
-        </div>
-        
-        {/* Performance Chart */}
-        {node.referenceCode && (
-          <div className="card bg-background-100 p-4">
-            <h4 className="font-bold mb-3 flex items-center gap-2">
-              <span>📈</span> 24h Performance
-            </h4>
-            <NodePerformanceChart 
-              nodeId={node.referenceCode}
-              height={180}
-              signature={signature}
-              message={message}
-            />
+          
+          <div className="text-center">
+            <div className="text-xs text-gray-400">Uptime</div>
+            <div className="text-sm font-mono">{node.uptime || '99.9%'}</div>
           </div>
-        )}
-      </div>
-      
-      {/* Actions */}
-      <div className="mt-6 flex gap-3">
-        <Link href={`/dashboard/nodes/${node.referenceCode}`}>
-          <button className="button-secondary flex items-center gap-2">
-            <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
-            </svg>
-            View Details
-          </button>
-        </Link>
-        
-        <button 
-          onClick={(e) => handleBlockchainIntegration(e, node)}
-          className="button-primary flex items-center gap-2"
-        >
-          <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+          
+          {node.hasBlockchainIntegrations && (
+            <div className="flex items-center gap-1 px-2 py-1 rounded bg-blue-900/30 text-blue-400 border border-blue-800">
+              <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
+                <path d="M10.394 2.08a1 1 0 00-.788 0l-7 3a1 1 0 000 1.84L5.25 8.051a.999.999 0 01.356-.257l4-1.714a1 1 0 11.788 1.838L7.667 9.088l1.94.831a1 1 0 00.787 0l7-3a1 1 0 000-1.838l-7-3zM3.31 9.397L5 10.12v4.102a8.969 8.969 0 00-1.05-.174 1 1 0 01-.89-.89 11.115 11.115 0 01.25-3.762zM9.3 16.573A9.026 9.026 0 007 14.935v-3.957l1.818.78a3 3 0 002.364 0l5.508-2.361a11.026 11.026 0 01.25 3.762 1 1 0 01-.89.89 8.968 8.968 0 00-5.35 2.524 1 1 0 01-1.4 0zM6 18a1 1 0 001-1v-2.065a8.935 8.935 0 00-2-.712V17a1 1 0 001 1z" />
+              </svg>
+              <span className="text-xs">Blockchain</span>
+            </div>
+          )}
+          
+          <svg 
+            className={`h-5 w-5 text-gray-400 transition-transform duration-200 ${
+              expanded ? 'rotate-180' : ''
+            }`} 
+            fill="none" 
+            stroke="currentColor" 
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
           </svg>
-          {node.hasBlockchainIntegrations ? 'Manage' : 'Add'} Blockchain
-        </button>
+        </div>
       </div>
+
+      {expanded && (
+        <div className="p-6 border-t border-background-200 bg-background-50/50">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Resources */}
+            <div className="card bg-background-100 p-4">
+              <h4 className="font-bold mb-3 flex items-center gap-2">
+                <span>📊</span> Resource Usage
+              </h4>
+              <ResourceUsage node={node} />
+            </div>
+            
+            {/* Performance Chart */}
+            {node.referenceCode && (
+              <div className="card bg-background-100 p-4">
+                <h4 className="font-bold mb-3 flex items-center gap-2">
+                  <span>📈</span> 24h Performance
+                </h4>
+                <NodePerformanceChart 
+                  nodeId={node.referenceCode}
+                  height={180}
+                  signature={signature}
+                  message={message}
+                />
+              </div>
+            )}
+          </div>
+          
+          {/* Actions */}
+          <div className="mt-6 flex gap-3">
+            <Link href={`/dashboard/nodes/${node.referenceCode}`}>
+              <button className="button-secondary flex items-center gap-2">
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+                </svg>
+                View Details
+              </button>
+            </Link>
+            
+            <button 
+              onClick={handleBlockchainIntegration}
+              className="button-primary flex items-center gap-2"
+            >
+              <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              {node.hasBlockchainIntegrations ? 'Manage' : 'Add'} Blockchain
+            </button>
+          </div>
+        </div>
+      )}
     </div>
-  ), [renderResourceUsage, signature, message, handleBlockchainIntegration]);
+  );
+});
+
+export default function NodeList({ nodes, onBlockchainIntegrate, onNodeDetails }) {
+  const [expandedNode, setExpandedNode] = useState(null);
+  const [performanceData, setPerformanceData] = useState({});
+  
+  // Use cached signature
+  const { signature, message } = useSignature('nodeList');
+
+  // Read by the toggle handler, which stays stable for the memoized rows
+  const expandedRef = useRef(null);
+  expandedRef.current = expandedNode;
+
+  // Event handlers
+  const toggleNodeExpansion = useCallback(async (reference) => {
+    if (expandedRef.current === reference) {
+      setExpandedNode(null);
+      return;
+    }
+
+    setExpandedNode(reference);
+    
+    if (onNodeDetails && reference) {
+      try {
+        const details = await onNodeDetails(reference);
+        if (details) {
+          setPerformanceData(prev => ({
+            ...prev,
+            [reference]: details
+          }));
+        }
+      } catch (error) {
+        console.error('Failed to load node details:', error);
+      }
+    }
+  }, [onNodeDetails]);
 
   return (
     <div className="space-y-4">
-      {nodesWithComputedData.map((node) => (
-        <div key={node.id} className="card glass-effect overflow-hidden">
-          {renderNodeHeader(node)}
-          {expandedNode === node.id && renderNodeDetails(node)}
-        </div>
-      ))}
+      {nodes.map((node) => {
+        const reference = node.referenceCode || nodeKey(node);
+        return (
+          <NodeListRow
+            key={reference || node.id}
+            reference={reference}
+            fallbackNode={node}
+            expanded={expandedNode === reference}
+            onToggle={toggleNodeExpansion}
+            onBlockchainIntegrate={onBlockchainIntegrate}
+            signature={signature}
+            message={message}
+          />
+        );
+      })}
     </div>
   );
 }
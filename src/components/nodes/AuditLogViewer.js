@@ -0,0 +1,276 @@
+/**
+ * ============================================
+ * File: src/components/nodes/AuditLogViewer.js
+ * ============================================
+ * Audit Log Viewer - Remote operations recorded for one node
+ *
+ * Creation Reason: Compliance reviews need to see and export what was
+ * done to a node (AuditLogService)
+ * Main Functionality:
+ * 1. Filters: operation type, status, date range, full-text search
+ * 2. Table of entries, newest first, live while open; click a row for
+ *    its parameters and error
+ * 3. Export CSV / JSON (all matching entries), clear this node's log
+ * Dependencies: useAuditLog, lib/utils/auditLog, remoteCommands
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Entries live in this browser only (IndexedDB); the viewer says so
+ * - Dates are local; `to` includes the whole day
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState } from 'react';
+import {
+  Search,
+  Download,
+  Trash2,
+  Loader2,
+  CheckCircle,
+  XCircle,
+  MinusCircle,
+  ScrollText
+} from 'lucide-react';
+import clsx from 'clsx';
+import { useAuditLog, EMPTY_AUDIT_FILTER } from '../../hooks/useAuditLog';
+import { AUDIT_EVENT_TYPES, AUDIT_STATUS } from '../../lib/utils/auditLog';
+import { REMOTE_COMMAND_TYPES } from '../../lib/constants/remoteCommands';
+import { formatDuration } from './FanOutPanel';
+
+// Chunk frames are part of an upload, never audited on their own
+const TYPE_OPTIONS = [
+  ...Object.values(REMOTE_COMMAND_TYPES).filter(type => !type.startsWith('upload_')),
+  ...Object.values(AUDIT_EVENT_TYPES)
+];
+
+const STATUS_STYLES = {
+  [AUDIT_STATUS.SUCCEEDED]: { Icon: CheckCircle, color: 'text-green-400' },
+  [AUDIT_STATUS.FAILED]: { Icon: XCircle, color: 'text-red-400' },
+  [AUDIT_STATUS.CANCELLED]: { Icon: MinusCircle, color: 'text-gray-400' }
+};
+
+function toDayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : null;
+}
+
+function toDayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+}
+
+function toDateInput(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * One-line summary of an entry's parameters
+ */
+function summarizeParams(params = {}) {
+  if (params.command) return params.command;
+  if (params.path && params.destination) return `${params.path} → ${params.destination}`;
+  if (params.path) return params.path;
+  if (Array.isArray(params.paths)) return `${params.paths.length} paths`;
+  if (params.session_id) return params.session_id;
+  return '';
+}
+
+/**
+ * Audit Log Viewer Component
+ * @param {Object} props
+ * @param {string} props.nodeReference
+ */
+export default function AuditLogViewer({ nodeReference }) {
+  const {
+    entries,
+    filter,
+    setFilter,
+    loading,
+    error,
+    hasMore,
+    loadMore,
+    exportEntries,
+    clear
+  } = useAuditLog(nodeReference);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const updateFilter = changes => setFilter(current => ({ ...current, ...changes }));
+  const isFiltered = JSON.stringify(filter) !== JSON.stringify(EMPTY_AUDIT_FILTER);
+
+  const handleClear = () => {
+    if (window.confirm(`Delete every audit entry for ${nodeReference} stored in this browser?`)) {
+      clear();
+    }
+  };
+
+  return (
+    <div className="bg-white/5 rounded-xl p-6 border border-white/10">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ScrollText className="w-5 h-5 text-purple-400" />
+            Audit Log
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Remote commands and terminal sessions run from this browser. Stored locally.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <button
+            onClick={() => exportEntries('csv')}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white/5 text-gray-300 hover:bg-white/10"
+          >
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+          <button
+            onClick={() => exportEntries('json')}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white/5 text-gray-300 hover:bg-white/10"
+          >
+            <Download className="w-4 h-4" />
+            JSON
+          </button>
+          <button
+            onClick={handleClear}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-red-500/10 text-red-300 hover:bg-red-500/20"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <div className="relative flex-1 min-w-[14rem]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500" />
+          <input
+            type="text"
+            value={filter.search}
+            onChange={(event) => updateFilter({ search: event.target.value })}
+            placeholder="Search commands, paths, errors…"
+            className="w-full pl-9 pr-3 py-2 bg-black/30 border border-white/10 rounded-lg text-white placeholder-gray-600 focus:outline-none focus:border-purple-500/50"
+          />
+        </div>
+        <select
+          value={filter.types[0] || ''}
+          onChange={(event) => updateFilter({ types: event.target.value ? [event.target.value] : [] })}
+          className="bg-black/30 border border-white/10 rounded-lg px-3 py-2 text-gray-200"
+        >
+          <option value="">All operations</option>
+          {TYPE_OPTIONS.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select
+          value={filter.statuses[0] || ''}
+          onChange={(event) => updateFilter({ statuses: event.target.value ? [event.target.value] : [] })}
+          className="bg-black/30 border border-white/10 rounded-lg px-3 py-2 text-gray-200"
+        >
+          <option value="">Any status</option>
+          {Object.values(AUDIT_STATUS).map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <input
+          type="date"
+          value={toDateInput(filter.from)}
+          onChange={(event) => updateFilter({ from: toDayStart(event.target.value) })}
+          className="bg-black/30 border border-white/10 rounded-lg px-3 py-2 text-gray-200"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={toDateInput(filter.to)}
+          onChange={(event) => updateFilter({ to: toDayEnd(event.target.value) })}
+          className="bg-black/30 border border-white/10 rounded-lg px-3 py-2 text-gray-200"
+        />
+        {isFiltered && (
+          <button onClick={() => setFilter(EMPTY_AUDIT_FILTER)} className="text-purple-300 hover:text-purple-200">
+            Reset
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-300 text-sm">{error}</div>
+      )}
+
+      {/* Entries */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead className="text-gray-500">
+            <tr className="text-left border-b border-white/10">
+              <th className="px-3 py-2 font-normal">Time</th>
+              <th className="px-3 py-2 font-normal">Operation</th>
+              <th className="px-3 py-2 font-normal">Target</th>
+              <th className="px-3 py-2 font-normal">Status</th>
+              <th className="px-3 py-2 font-normal text-right">Duration</th>
+              <th className="px-3 py-2 font-normal">Wallet</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => {
+              const style = STATUS_STYLES[entry.status] || STATUS_STYLES[AUDIT_STATUS.CANCELLED];
+              const { Icon } = style;
+              const expanded = expandedId === entry.id;
+
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpandedId(expanded ? null : entry.id)}
+                    className="border-b border-white/5 hover:bg-white/5 cursor-pointer align-top"
+                  >
+                    <td className="px-3 py-2 text-gray-400 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td className="px-3 py-2 font-mono text-white">{entry.type}</td>
+                    <td className="px-3 py-2 font-mono text-gray-300 max-w-md truncate">{summarizeParams(entry.params)}</td>
+                    <td className="px-3 py-2">
+                      <span className={clsx('flex items-center gap-1', style.color)}>
+                        <Icon className="w-3 h-3" />
+                        {entry.status}
+                        {entry.exit_code !== null && entry.exit_code !== 0 && <span className="font-mono">({entry.exit_code})</span>}
+                      </span>
+                      {entry.error_code && <div className="text-gray-500 font-mono mt-0.5">{entry.error_code}</div>}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-400 whitespace-nowrap">{formatDuration(entry.duration_ms)}</td>
+                    <td className="px-3 py-2 font-mono text-gray-500">
+                      {entry.wallet ? `${entry.wallet.slice(0, 6)}…${entry.wallet.slice(-4)}` : '-'}
+                    </td>
+                  </tr>
+                  {expanded && (
+                    <tr className="border-b border-white/5 bg-black/20">
+                      <td colSpan={6} className="px-3 py-3">
+                        {entry.error_message && <div className="mb-2 text-red-300">{entry.error_message}</div>}
+                        <pre className="whitespace-pre-wrap break-all font-mono text-gray-400">
+                          {JSON.stringify(entry.params, null, 2)}
+                        </pre>
+                        {entry.wallet && <div className="mt-2 font-mono text-gray-500">{entry.wallet}</div>}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {loading && entries.length === 0 && (
+          <div className="flex items-center justify-center gap-2 p-8 text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading…
+          </div>
+        )}
+        {!loading && entries.length === 0 && (
+          <div className="p-8 text-center text-gray-500">
+            {isFiltered ? 'No entries match these filters.' : 'No remote operations recorded for this node yet.'}
+          </div>
+        )}
+        {hasMore && (
+          <button onClick={loadMore} className="w-full mt-3 py-2 text-sm text-purple-300 hover:text-purple-200">
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
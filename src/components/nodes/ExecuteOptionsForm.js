@@ -0,0 +1,305 @@
+/**
+ * ============================================
+ * File: src/components/nodes/ExecuteOptionsForm.js
+ * ============================================
+ * Execute Options Form - Working directory, user, environment, timeout,
+ * stdin and shell / direct mode for the console's next command
+ *
+ * Creation Reason: Execute options (lib/remote/executeRequest) need a form,
+ * and the same options are reused on a node, so they can be saved as
+ * per-node presets (executePresetStore)
+ * Main Functionality:
+ * 1. Edits a draft (text as typed); draftToFields() turns it into
+ *    createExecuteRequest() fields
+ * 2. Shows the errors of validateExecuteRequest() and of the node's answer
+ *    (details.field) under their field
+ * 3. Preset picker, save under a name, delete
+ * Dependencies: executePresetStore, lib/remote/executeRequest
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Rendered by ExecutionConsole, which owns the draft and runs the command
+ * - Timeout is edited in seconds, requests carry milliseconds
+ * - Direct mode takes arguments one per line, exactly as they are passed
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState } from 'react';
+import { Save, Trash2, AlertCircle } from 'lucide-react';
+import clsx from 'clsx';
+import useExecutePresetStore, { useNodeExecutePresets } from '../../stores/executePresetStore';
+import {
+  EXECUTE_MODES,
+  createExecuteRequest,
+  parseEnvText,
+  formatEnvText
+} from '../../lib/remote/executeRequest';
+
+export const EMPTY_EXECUTE_DRAFT = {
+  mode: EXECUTE_MODES.SHELL,
+  argsText: '',
+  cwd: '',
+  user: '',
+  timeoutSeconds: '',
+  envText: '',
+  stdin: ''
+};
+
+/**
+ * Form draft -> createExecuteRequest() fields (without the command)
+ * @returns {Object} { fields, errors: [{ field, message }] } - env lines that do not parse
+ */
+export function draftToFields(draft) {
+  const { env, errors } = parseEnvText(draft.envText);
+  const seconds = draft.timeoutSeconds.trim();
+
+  return {
+    fields: {
+      mode: draft.mode,
+      args: draft.mode === EXECUTE_MODES.DIRECT
+        ? draft.argsText.split('\n').filter(arg => arg.length > 0)
+        : [],
+      cwd: draft.cwd,
+      user: draft.user,
+      env,
+      timeout: seconds === '' ? null : Math.round(Number(seconds) * 1000),
+      stdin: draft.stdin
+    },
+    errors: errors.map(message => ({ field: 'env', message }))
+  };
+}
+
+/**
+ * Preset request -> form draft
+ */
+export function draftFromRequest(request) {
+  const normalized = createExecuteRequest(request);
+  return {
+    mode: normalized.mode,
+    argsText: normalized.args.join('\n'),
+    cwd: normalized.cwd || '',
+    user: normalized.user || '',
+    timeoutSeconds: normalized.timeout !== null ? String(normalized.timeout / 1000) : '',
+    envText: formatEnvText(normalized.env),
+    stdin: normalized.stdin || ''
+  };
+}
+
+const INPUT_CLASS = 'w-full px-2 py-1.5 rounded-lg bg-black/40 border border-white/10 text-sm text-white font-mono placeholder-gray-600 focus:outline-none focus:border-purple-500/60 disabled:opacity-50';
+
+function Field({ label, name, errors, children, className }) {
+  const fieldErrors = errors.filter(error => error.field === name);
+  return (
+    <label className={clsx('block', className)}>
+      <span className="block text-[11px] uppercase tracking-wide text-gray-500 mb-1">{label}</span>
+      {children}
+      {fieldErrors.map((error, index) => (
+        <span key={index} className="flex items-start gap-1 mt-1 text-[11px] text-red-400">
+          <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+          {error.message}
+        </span>
+      ))}
+    </label>
+  );
+}
+
+export default function ExecuteOptionsForm({
+  nodeReference,
+  draft,
+  onChange,
+  errors = [],
+  unsupportedReason = null,
+  disabled = false
+}) {
+  const presets = useNodeExecutePresets(nodeReference);
+  const savePreset = useExecutePresetStore(state => state.savePreset);
+  const removePreset = useExecutePresetStore(state => state.removePreset);
+
+  const [presetId, setPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+
+  const update = (changes) => onChange({ ...draft, ...changes });
+  const selectedPreset = presets.find(preset => preset.id === presetId);
+
+  const applyPreset = (id) => {
+    setPresetId(id);
+    const preset = presets.find(item => item.id === id);
+    if (preset) {
+      setPresetName(preset.name);
+      onChange(draftFromRequest(preset.request));
+    }
+  };
+
+  const handleSave = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setPresetId(savePreset(nodeReference, name, draftToFields(draft).fields));
+  };
+
+  const handleRemove = () => {
+    if (!selectedPreset) return;
+    removePreset(nodeReference, selectedPreset.id);
+    setPresetId('');
+    setPresetName('');
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-white/10 bg-black/60 space-y-3 text-xs max-h-[45%] overflow-auto">
+      {unsupportedReason && (
+        <div className="flex items-start gap-2 px-3 py-2 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-300">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{unsupportedReason} Clear the options to run plain commands.</span>
+        </div>
+      )}
+
+      {/* Presets */}
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={presetId}
+          onChange={(e) => applyPreset(e.target.value)}
+          disabled={disabled || presets.length === 0}
+          className="px-2 py-1.5 rounded-lg bg-black/40 border border-white/10 text-white disabled:opacity-50"
+        >
+          <option value="">{presets.length > 0 ? 'Load preset…' : 'No presets for this node'}</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          disabled={disabled}
+          className="px-2 py-1.5 rounded-lg bg-black/40 border border-white/10 text-white placeholder-gray-600 focus:outline-none w-40"
+        />
+        <button
+          onClick={handleSave}
+          disabled={disabled || !presetName.trim()}
+          className="flex items-center gap-1 px-2 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-gray-300 disabled:opacity-40"
+          title={`Save these options for ${nodeReference}`}
+        >
+          <Save className="w-3.5 h-3.5" />
+          Save
+        </button>
+        {selectedPreset && (
+          <button
+            onClick={handleRemove}
+            disabled={disabled}
+            className="flex items-center gap-1 px-2 py-1.5 rounded-lg bg-white/5 hover:bg-red-500/20 text-gray-400 hover:text-red-300"
+            title="Delete preset"
+          >
+            <Trash2 className="w-3.5 h-3.5" />
+          </button>
+        )}
+        <button
+          onClick={() => onChange(EMPTY_EXECUTE_DRAFT)}
+          disabled={disabled}
+          className="ml-auto px-2 py-1.5 rounded-lg text-gray-400 hover:text-white hover:bg-white/5"
+        >
+          Clear options
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Field label="Mode" name="mode" errors={errors}>
+          <div className="flex rounded-lg overflow-hidden border border-white/10">
+            {[
+              { value: EXECUTE_MODES.SHELL, label: 'Shell' },
+              { value: EXECUTE_MODES.DIRECT, label: 'Direct' }
+            ].map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => update({ mode: option.value })}
+                disabled={disabled}
+                className={clsx(
+                  'flex-1 px-2 py-1.5 transition-colors',
+                  draft.mode === option.value ? 'bg-purple-600 text-white' : 'bg-black/40 text-gray-400 hover:text-white'
+                )}
+                title={option.value === EXECUTE_MODES.SHELL
+                  ? 'Run the command line through the shell (pipes, $VARS, &&)'
+                  : 'Run one program with the arguments below, no shell'}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </Field>
+        <Field label="Run as user" name="user" errors={errors}>
+          <input
+            type="text"
+            value={draft.user}
+            onChange={(e) => update({ user: e.target.value })}
+            placeholder="agent default"
+            disabled={disabled}
+            className={INPUT_CLASS}
+          />
+        </Field>
+        <Field label="Working directory" name="cwd" errors={errors}>
+          <input
+            type="text"
+            value={draft.cwd}
+            onChange={(e) => update({ cwd: e.target.value })}
+            placeholder="/srv/app"
+            disabled={disabled}
+            className={INPUT_CLASS}
+          />
+        </Field>
+        <Field label="Timeout (seconds)" name="timeout" errors={errors}>
+          <input
+            type="number"
+            min="1"
+            value={draft.timeoutSeconds}
+            onChange={(e) => update({ timeoutSeconds: e.target.value })}
+            placeholder="none"
+            disabled={disabled}
+            className={INPUT_CLASS}
+          />
+        </Field>
+      </div>
+
+      <div className={clsx('grid gap-3', draft.mode === EXECUTE_MODES.DIRECT ? 'md:grid-cols-3' : 'md:grid-cols-2')}>
+        {draft.mode === EXECUTE_MODES.DIRECT && (
+          <Field label="Arguments (one per line)" name="args" errors={errors}>
+            <textarea
+              value={draft.argsText}
+              onChange={(e) => update({ argsText: e.target.value })}
+              rows={4}
+              placeholder={'-la\n/var/log'}
+              disabled={disabled}
+              className={INPUT_CLASS}
+              spellCheck={false}
+            />
+          </Field>
+        )}
+        <Field label="Environment (KEY=value)" name="env" errors={errors}>
+          <textarea
+            value={draft.envText}
+            onChange={(e) => update({ envText: e.target.value })}
+            rows={4}
+            placeholder={'APP_ENV=production\nLOG_LEVEL=debug'}
+            disabled={disabled}
+            className={INPUT_CLASS}
+            spellCheck={false}
+          />
+          <span className="block mt-1 text-[11px] text-gray-600">Saved presets keep values in this browser: no secrets.</span>
+        </Field>
+        <Field label="Stdin" name="stdin" errors={errors}>
+          <textarea
+            value={draft.stdin}
+            onChange={(e) => update({ stdin: e.target.value })}
+            rows={4}
+            placeholder="Input passed to the command"
+            disabled={disabled}
+            className={INPUT_CLASS}
+            spellCheck={false}
+          />
+        </Field>
+      </div>
+    </div>
+  );
+}
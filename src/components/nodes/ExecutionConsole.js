@@ -0,0 +1,385 @@
+/**
+ * ============================================
+ * File: src/components/nodes/ExecutionConsole.js
+ * ============================================
+ * Execution Console - Run a command with live output
+ *
+ * Creation Reason: SystemInfo's executeCommand showed nothing until the
+ * process ended; package installs and builds need their output as it is
+ * produced
+ * Main Functionality:
+ * 1. Command line with history (↑ / ↓), Enter runs
+ * 2. stdout / stderr rendered as they arrive, ANSI colours included
+ * 3. Kill the running process; detach it into a background job
+ * 4. Exit code and duration after each run; copy / clear output
+ * 5. Options panel (ExecuteOptionsForm): cwd, user, env, timeout, stdin,
+ *    direct mode and per-node presets for the next commands
+ * Dependencies: useExecutionConsole, useNodeCapabilities, lib/utils/ansi,
+ * lib/remote/executeRequest, ExecuteOptionsForm, TerminalUI
+ * (TERMINAL_THEMES palette)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Rendered in RemoteManagement's 'console' tab; `streamCommand` comes
+ *   from useRemoteManagement
+ * - Agents without exec_stream still run commands; their output shows up
+ *   when the command finishes (a notice says so)
+ * - Only the last ANSI_CONFIG.MAX_LINES lines are kept
+ * - Options stay set until cleared and apply to every run. They are
+ *   validated before running; an error the node reports for a field
+ *   (details.field) is shown under that field
+ *
+ * Last Modified: v1.1.0 - Execute options panel
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useEffect, useRef, memo } from 'react';
+import {
+  Play,
+  Square,
+  Layers,
+  Trash2,
+  Copy,
+  Check,
+  Loader2,
+  CheckCircle,
+  XCircle,
+  MinusCircle,
+  AlertCircle,
+  Info,
+  SlidersHorizontal
+} from 'lucide-react';
+import clsx from 'clsx';
+import { TERMINAL_THEMES } from '../terminal/TerminalUI';
+import ExecuteOptionsForm, { EMPTY_EXECUTE_DRAFT, draftToFields } from './ExecuteOptionsForm';
+import { useExecutionConsole, CONSOLE_LINE_STREAMS } from '../../hooks/useExecutionConsole';
+import { useNodeCapabilities } from '../../hooks/useNodeCapabilities';
+import { ansiStyleToCss } from '../../lib/utils/ansi';
+import { EXECUTION_STATE, OUTPUT_STREAMS } from '../../lib/remote/RemoteExecution';
+import { NODE_FEATURES } from '../../lib/utils/nodeCapabilities';
+import { REMOTE_COMMAND_TYPES } from '../../lib/constants/remoteCommands';
+import {
+  EXECUTE_MODES,
+  createExecuteRequest,
+  validateExecuteRequest,
+  hasExecuteOptions,
+  describeExecuteOptions
+} from '../../lib/remote/executeRequest';
+
+const PALETTE = TERMINAL_THEMES.dark;
+
+// Stay pinned to the bottom unless the user scrolled further up than this
+const SCROLL_PIN_PX = 40;
+
+const LINE_STYLES = {
+  [CONSOLE_LINE_STREAMS.COMMAND]: 'text-purple-300 font-semibold mt-2 first:mt-0',
+  [CONSOLE_LINE_STREAMS.STATUS]: 'text-gray-500 italic',
+  [OUTPUT_STREAMS.STDERR]: 'text-red-300',
+  [OUTPUT_STREAMS.STDOUT]: ''
+};
+
+const ConsoleLine = memo(function ConsoleLine({ line }) {
+  return (
+    <div className={clsx('whitespace-pre-wrap break-all min-h-[1.25rem]', LINE_STYLES[line.stream])}>
+      {line.segments.map((segment, index) => (
+        <span key={index} style={ansiStyleToCss(segment.style, PALETTE)}>{segment.text}</span>
+      ))}
+    </div>
+  );
+});
+
+function RunState({ execution, lastEnd, jobId }) {
+  if (execution?.isRunning) {
+    return (
+      <span className="flex items-center gap-1 text-blue-400">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        {jobId ? 'Running as a background job' : 'Running'}
+      </span>
+    );
+  }
+  if (!lastEnd) return null;
+
+  if (lastEnd.state === EXECUTION_STATE.EXITED) {
+    const succeeded = lastEnd.result.exit_code === 0;
+    const Icon = succeeded ? CheckCircle : XCircle;
+    return (
+      <span className={clsx('flex items-center gap-1', succeeded ? 'text-green-400' : 'text-red-400')}>
+        <Icon className="w-3 h-3" />
+        Exit code {lastEnd.result.exit_code ?? '?'}
+      </span>
+    );
+  }
+  if (lastEnd.state === EXECUTION_STATE.KILLED) {
+    return (
+      <span className="flex items-center gap-1 text-gray-400">
+        <MinusCircle className="w-3 h-3" />
+        Killed
+      </span>
+    );
+  }
+  return (
+    <span className="flex items-center gap-1 text-red-400" title={lastEnd.error?.message}>
+      <AlertCircle className="w-3 h-3" />
+      Failed
+    </span>
+  );
+}
+
+export default function ExecutionConsole({ nodeReference, streamCommand, isRemoteAuthenticated }) {
+  const { output, execution, isRunning, jobId, lastEnd, history, run, kill, detach, clear } =
+    useExecutionConsole(streamCommand);
+  const { getUnsupportedReason } = useNodeCapabilities(nodeReference);
+
+  const [command, setCommand] = useState('');
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [copied, setCopied] = useState(false);
+  const [showOptions, setShowOptions] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_EXECUTE_DRAFT);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const scrollRef = useRef(null);
+  const pinnedRef = useRef(true);
+
+  const { fields: optionFields, errors: draftErrors } = draftToFields(draft);
+  const optionsRequest = createExecuteRequest(optionFields);
+  const hasOptions = hasExecuteOptions(optionsRequest);
+  const optionsSummary = describeExecuteOptions(optionsRequest);
+
+  const executeUnsupported = getUnsupportedReason(REMOTE_COMMAND_TYPES.EXECUTE);
+  const streamUnsupported = getUnsupportedReason(NODE_FEATURES.EXEC_STREAM);
+  const optionsUnsupported = hasOptions ? getUnsupportedReason(NODE_FEATURES.EXEC_OPTIONS) : null;
+  const canRun = isRemoteAuthenticated && !executeUnsupported && !optionsUnsupported &&
+    !isRunning && command.trim().length > 0;
+  const commandError = fieldErrors.find(error => error.field === 'command');
+
+  // The node rejected an option (missing directory, unknown user): show it at the field
+  useEffect(() => {
+    const field = lastEnd?.error?.details?.field;
+    if (!field) return;
+
+    const { message, suggestion } = lastEnd.error;
+    setFieldErrors([{ field, message: suggestion ? `${message}. ${suggestion}` : message }]);
+    if (field !== 'command') setShowOptions(true);
+  }, [lastEnd]);
+
+  // Follow new output while pinned to the bottom
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (element && pinnedRef.current) {
+      element.scrollTop = element.scrollHeight;
+    }
+  }, [output.version]);
+
+  const handleScroll = () => {
+    const element = scrollRef.current;
+    pinnedRef.current = element.scrollHeight - element.scrollTop - element.clientHeight < SCROLL_PIN_PX;
+  };
+
+  const handleDraftChange = (next) => {
+    setDraft(next);
+    setFieldErrors([]);
+  };
+
+  const handleRun = () => {
+    if (!canRun) return;
+
+    const errors = [
+      ...draftErrors,
+      ...validateExecuteRequest(createExecuteRequest({ ...optionFields, command })).errors
+    ];
+    setFieldErrors(errors);
+    if (errors.length > 0) {
+      if (errors.some(error => error.field !== 'command')) setShowOptions(true);
+      return;
+    }
+
+    pinnedRef.current = true;
+    run(command, optionFields);
+    setCommand('');
+    setHistoryIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleRun();
+    } else if (e.key === 'ArrowUp' && history.length > 0) {
+      e.preventDefault();
+      const index = Math.min(historyIndex + 1, history.length - 1);
+      setHistoryIndex(index);
+      setCommand(history[index]);
+    } else if (e.key === 'ArrowDown' && historyIndex >= 0) {
+      e.preventDefault();
+      const index = historyIndex - 1;
+      setHistoryIndex(index);
+      setCommand(index >= 0 ? history[index] : '');
+    } else if (e.key === 'c' && e.ctrlKey && isRunning && !window.getSelection()?.toString()) {
+      e.preventDefault();
+      kill();
+    }
+  };
+
+  const copyOutput = async () => {
+    try {
+      await navigator.clipboard.writeText(output.toText());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('[ExecutionConsole] Copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 flex flex-col" style={{ backgroundColor: PALETTE.background }}>
+      {/* Toolbar */}
+      <div className="px-4 py-2 border-b border-white/10 bg-black/40 flex items-center justify-between text-xs">
+        <RunState execution={execution} lastEnd={lastEnd} jobId={jobId} />
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={() => setShowOptions(value => !value)}
+            className={clsx(
+              'flex items-center gap-1 px-2 py-1.5 rounded-lg transition-colors',
+              showOptions || hasOptions ? 'bg-purple-600/30 text-purple-200' : 'bg-white/5 hover:bg-white/10 text-gray-400'
+            )}
+            title="Working directory, user, environment, timeout, stdin"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            Options
+          </button>
+          <button
+            onClick={copyOutput}
+            disabled={output.lines.length === 0}
+            className="p-1.5 rounded-lg bg-white/5 hover:bg-white/10 transition-colors disabled:opacity-40"
+            title="Copy output"
+          >
+            {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4 text-gray-400" />}
+          </button>
+          <button
+            onClick={clear}
+            disabled={output.lines.length === 0}
+            className="p-1.5 rounded-lg bg-white/5 hover:bg-white/10 transition-colors disabled:opacity-40"
+            title="Clear output"
+          >
+            <Trash2 className="w-4 h-4 text-gray-400" />
+          </button>
+        </div>
+      </div>
+
+      {showOptions && (
+        <ExecuteOptionsForm
+          nodeReference={nodeReference}
+          draft={draft}
+          onChange={handleDraftChange}
+          errors={fieldErrors}
+          unsupportedReason={optionsUnsupported}
+          disabled={isRunning}
+        />
+      )}
+
+      {(executeUnsupported || streamUnsupported) && (
+        <div className="px-4 py-2 border-b border-yellow-500/20 bg-yellow-500/10 flex items-start gap-2 text-xs text-yellow-300">
+          <Info className="w-4 h-4 flex-shrink-0" />
+          <span>
+            {executeUnsupported || `${streamUnsupported} Until then, output appears when the command finishes.`}
+          </span>
+        </div>
+      )}
+
+      {jobId && (
+        <div className="px-4 py-2 border-b border-blue-500/20 bg-blue-500/10 text-xs text-blue-300">
+          {isRunning
+            ? 'Detached: the command keeps running as a background job after this window closes. Its result is in the jobs drawer.'
+            : 'This run was detached; its result is in the jobs drawer.'}
+        </div>
+      )}
+
+      {/* Output */}
+      <div
+        ref={scrollRef}
+        onScroll={handleScroll}
+        className="flex-1 min-h-0 overflow-auto px-4 py-3 font-mono text-[13px] leading-5"
+        style={{ color: PALETTE.foreground }}
+      >
+        {output.droppedLines > 0 && (
+          <div className="text-gray-500 italic mb-2">{output.droppedLines} earlier lines not shown</div>
+        )}
+        {output.lines.length === 0 ? (
+          <div className="text-gray-500">
+            Run a command on {nodeReference}. Output streams in as it is produced.
+          </div>
+        ) : (
+          output.lines.map(line => <ConsoleLine key={line.id} line={line} />)
+        )}
+      </div>
+
+      {/* Command line */}
+      {commandError && (
+        <div className="px-4 pt-2 border-t border-white/10 bg-black/40 flex items-center gap-1 text-xs text-red-400">
+          <AlertCircle className="w-3 h-3" />
+          {commandError.message}
+        </div>
+      )}
+      <div className={clsx('px-4 py-3 bg-black/40 flex items-center gap-2', !commandError && 'border-t border-white/10')}>
+        <span className="font-mono text-purple-400">$</span>
+        <input
+          type="text"
+          value={command}
+          onChange={(e) => {
+            setCommand(e.target.value);
+            setHistoryIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={!isRemoteAuthenticated
+            ? 'Remote authentication required'
+            : optionsRequest.mode === EXECUTE_MODES.DIRECT
+              ? 'Program, e.g. /usr/bin/apt-get (arguments in Options)'
+              : 'Command, e.g. apt-get install -y htop'}
+          disabled={!isRemoteAuthenticated || !!executeUnsupported}
+          className="flex-1 bg-transparent font-mono text-sm text-white placeholder-gray-600 focus:outline-none disabled:opacity-50"
+          spellCheck={false}
+          autoComplete="off"
+        />
+        {hasOptions && (
+          <button
+            onClick={() => setShowOptions(value => !value)}
+            className="max-w-[40%] truncate px-2 py-1 rounded bg-purple-600/20 text-[11px] text-purple-200 font-mono"
+            title={optionsSummary}
+          >
+            {optionsSummary}
+          </button>
+        )}
+        {isRunning ? (
+          <>
+            {!jobId && (
+              <button
+                onClick={detach}
+                className="px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 transition-colors text-xs text-gray-300 flex items-center gap-1"
+                title="Keep running as a background job"
+              >
+                <Layers className="w-3.5 h-3.5" />
+                Detach
+              </button>
+            )}
+            <button
+              onClick={kill}
+              className="px-3 py-1.5 rounded-lg bg-red-600/80 hover:bg-red-600 transition-colors text-xs text-white flex items-center gap-1"
+              title="Kill (Ctrl+C)"
+            >
+              <Square className="w-3.5 h-3.5" />
+              Kill
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={!canRun}
+            className="px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 transition-colors text-xs text-white flex items-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Play className="w-3.5 h-3.5" />
+            Run
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,360 @@
+/**
+ * ============================================
+ * File: src/components/nodes/FanOutPanel.js
+ * ============================================
+ * Fan-out Panel - Run one command on the selected nodes
+ *
+ * Creation Reason: Running the same `execute` / `system_info` on many
+ * nodes meant opening RemoteManagement once per node
+ * Main Functionality:
+ * 1. Command form: execute (shell command) or system_info, concurrency
+ * 2. Results table filled in as nodes finish: state, exit code, duration,
+ *    stdout / error
+ * 3. Grouped view: nodes with identical output collapsed into one row
+ * 4. Re-run failed nodes (all or one), cancel, export JSON / CSV
+ * Dependencies: useFanOut, FanOutRun constants
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Opened from NodesContent selection mode; closing cancels the run
+ * - Output cells are truncated to PREVIEW_LINES; click a row to expand
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  Play,
+  Square,
+  RotateCcw,
+  Download,
+  Layers,
+  List,
+  CheckCircle,
+  XCircle,
+  Loader2,
+  Clock,
+  MinusCircle
+} from 'lucide-react';
+import clsx from 'clsx';
+import { useFanOut } from '../../hooks/useFanOut';
+import { FAN_OUT_COMMANDS, FAN_OUT_NODE_STATE, FAN_OUT_RUN_STATE } from '../../lib/remote/FanOutRun';
+import { FAN_OUT } from '../../lib/constants/remoteCommands';
+
+const PREVIEW_LINES = 3;
+
+const NODE_STATE_STYLES = {
+  [FAN_OUT_NODE_STATE.PENDING]: { Icon: Clock, color: 'text-gray-400', label: 'Pending' },
+  [FAN_OUT_NODE_STATE.AUTHENTICATING]: { Icon: Loader2, color: 'text-yellow-400', label: 'Authenticating', spin: true },
+  [FAN_OUT_NODE_STATE.RUNNING]: { Icon: Loader2, color: 'text-blue-400', label: 'Running', spin: true },
+  [FAN_OUT_NODE_STATE.SUCCEEDED]: { Icon: CheckCircle, color: 'text-green-400', label: 'Succeeded' },
+  [FAN_OUT_NODE_STATE.FAILED]: { Icon: XCircle, color: 'text-red-400', label: 'Failed' },
+  [FAN_OUT_NODE_STATE.CANCELLED]: { Icon: MinusCircle, color: 'text-gray-500', label: 'Cancelled' }
+};
+
+export function StateBadge({ state }) {
+  const style = NODE_STATE_STYLES[state] || NODE_STATE_STYLES[FAN_OUT_NODE_STATE.PENDING];
+  const { Icon } = style;
+
+  return (
+    <span className={clsx('flex items-center gap-1 whitespace-nowrap', style.color)}>
+      <Icon className={clsx('w-3 h-3', style.spin && 'animate-spin')} />
+      {style.label}
+    </span>
+  );
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Output text of a result or group, error message when there is none
+ */
+function getOutput(item) {
+  const text = [item.stdout, item.stderr].filter(Boolean).join('\n');
+  return text || item.error?.message || '';
+}
+
+function OutputCell({ item, expanded }) {
+  const text = getOutput(item);
+  const lines = text.split('\n');
+  const shown = expanded ? text : lines.slice(0, PREVIEW_LINES).join('\n');
+
+  return (
+    <pre className={clsx(
+      'whitespace-pre-wrap break-all font-mono',
+      item.error && !item.stdout ? 'text-red-300' : 'text-gray-300'
+    )}>
+      {shown}
+      {!expanded && lines.length > PREVIEW_LINES && (
+        <span className="text-gray-500">{`\n... ${lines.length - PREVIEW_LINES} more lines`}</span>
+      )}
+    </pre>
+  );
+}
+
+/**
+ * Fan-out Panel Component
+ * @param {Object} props
+ * @param {Object[]} props.nodes - Selected nodes ({ code, name, status })
+ * @param {Function} props.onClose
+ */
+export default function FanOutPanel({ nodes, onClose }) {
+  const [commandType, setCommandType] = useState(FAN_OUT_COMMANDS.EXECUTE);
+  const [command, setCommand] = useState('');
+  const [concurrency, setConcurrency] = useState(FAN_OUT.DEFAULT_CONCURRENCY);
+  const [grouped, setGrouped] = useState(false);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const {
+    results,
+    groups,
+    summary,
+    runState,
+    error,
+    startRun,
+    cancel,
+    retryFailed,
+    retryNodes,
+    exportResults
+  } = useFanOut();
+
+  const isRunning = runState === FAN_OUT_RUN_STATE.RUNNING;
+  const namesByCode = Object.fromEntries(nodes.map(node => [node.code, node.name]));
+  const retryableCount = summary ? summary.failed + summary.cancelled : 0;
+
+  const handleRun = (event) => {
+    event.preventDefault();
+    setExpandedKey(null);
+    startRun({
+      nodeReferences: nodes.map(node => node.code),
+      type: commandType,
+      command,
+      concurrency
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-6xl max-h-[90vh] flex flex-col bg-gray-950 border border-white/10 rounded-2xl text-sm"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Run on {nodes.length} node{nodes.length === 1 ? '' : 's'}</h2>
+            <p className="text-xs text-gray-500 font-mono truncate max-w-2xl">
+              {nodes.map(node => node.code).join(', ')}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-white/10">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Command form */}
+        <form onSubmit={handleRun} className="flex flex-wrap items-center gap-3 px-6 py-4 border-b border-white/10">
+          <select
+            value={commandType}
+            onChange={(event) => setCommandType(event.target.value)}
+            disabled={isRunning}
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-gray-200"
+          >
+            <option value={FAN_OUT_COMMANDS.EXECUTE}>Execute</option>
+            <option value={FAN_OUT_COMMANDS.SYSTEM_INFO}>System info</option>
+          </select>
+
+          {commandType === FAN_OUT_COMMANDS.EXECUTE && (
+            <input
+              type="text"
+              value={command}
+              onChange={(event) => setCommand(event.target.value)}
+              disabled={isRunning}
+              placeholder="uptime"
+              className="flex-1 min-w-[16rem] bg-white/5 border border-white/10 rounded-lg px-3 py-2 font-mono text-white placeholder-gray-600 focus:outline-none focus:border-purple-500/50"
+            />
+          )}
+
+          <label className="flex items-center gap-2 text-gray-400">
+            Concurrency
+            <input
+              type="number"
+              min={1}
+              max={FAN_OUT.MAX_CONCURRENCY}
+              value={concurrency}
+              onChange={(event) => setConcurrency(Number(event.target.value))}
+              disabled={isRunning}
+              className="w-16 bg-white/5 border border-white/10 rounded-lg px-2 py-2 text-white"
+            />
+          </label>
+
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={cancel}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-500/20 text-red-300 hover:bg-red-500/30"
+            >
+              <Square className="w-4 h-4" />
+              Cancel
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={commandType === FAN_OUT_COMMANDS.EXECUTE && !command.trim()}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-40"
+            >
+              <Play className="w-4 h-4" />
+              Run
+            </button>
+          )}
+        </form>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-300">{error}</div>
+        )}
+
+        {/* Summary and actions */}
+        {summary && (
+          <div className="flex flex-wrap items-center gap-4 px-6 py-3 border-b border-white/10 text-xs">
+            <span className="text-gray-400">{summary.finished} / {summary.total} done</span>
+            <span className="text-green-400">{summary.succeeded} succeeded</span>
+            <span className="text-red-400">{summary.failed} failed</span>
+            {summary.cancelled > 0 && <span className="text-gray-500">{summary.cancelled} cancelled</span>}
+            {summary.running > 0 && <span className="text-blue-400">{summary.running} running</span>}
+
+            <div className="ml-auto flex items-center gap-2">
+              <button
+                onClick={() => setGrouped(value => !value)}
+                className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10"
+              >
+                {grouped ? <List className="w-3 h-3" /> : <Layers className="w-3 h-3" />}
+                {grouped ? 'Per node' : 'Group identical output'}
+              </button>
+              <button
+                onClick={retryFailed}
+                disabled={isRunning || retryableCount === 0}
+                className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+              >
+                <RotateCcw className="w-3 h-3" />
+                Re-run failed ({retryableCount})
+              </button>
+              <button
+                onClick={() => exportResults('json')}
+                disabled={isRunning}
+                className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+              >
+                <Download className="w-3 h-3" />
+                JSON
+              </button>
+              <button
+                onClick={() => exportResults('csv')}
+                disabled={isRunning}
+                className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+              >
+                <Download className="w-3 h-3" />
+                CSV
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Results */}
+        <div className="flex-1 overflow-y-auto text-xs">
+          {!summary && (
+            <div className="p-10 text-center text-gray-500">
+              Results appear here as each node answers.
+            </div>
+          )}
+
+          {summary && !grouped && (
+            <table className="w-full">
+              <thead className="sticky top-0 bg-gray-950 text-gray-500">
+                <tr className="text-left">
+                  <th className="px-4 py-2 font-normal">Node</th>
+                  <th className="px-4 py-2 font-normal">State</th>
+                  <th className="px-4 py-2 font-normal text-right">Exit</th>
+                  <th className="px-4 py-2 font-normal text-right">Duration</th>
+                  <th className="px-4 py-2 font-normal w-1/2">Output</th>
+                  <th className="px-4 py-2 font-normal" />
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(result => (
+                  <tr
+                    key={result.nodeReference}
+                    onClick={() => setExpandedKey(key => (key === result.nodeReference ? null : result.nodeReference))}
+                    className="align-top border-b border-white/5 hover:bg-white/5 cursor-pointer"
+                  >
+                    <td className="px-4 py-2">
+                      <div className="text-white font-mono">{result.nodeReference}</div>
+                      {namesByCode[result.nodeReference] && (
+                        <div className="text-gray-500">{namesByCode[result.nodeReference]}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      <StateBadge state={result.state} />
+                      {result.error?.code && <div className="text-gray-500 font-mono mt-1">{result.error.code}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-right font-mono text-gray-300">{result.exitCode ?? '-'}</td>
+                    <td className="px-4 py-2 text-right text-gray-400 whitespace-nowrap">{formatDuration(result.durationMs)}</td>
+                    <td className="px-4 py-2">
+                      <OutputCell item={result} expanded={expandedKey === result.nodeReference} />
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {(result.state === FAN_OUT_NODE_STATE.FAILED || result.state === FAN_OUT_NODE_STATE.CANCELLED) && (
+                        <button
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            retryNodes([result.nodeReference]);
+                          }}
+                          disabled={isRunning}
+                          title="Re-run on this node"
+                          className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10 disabled:opacity-40"
+                        >
+                          <RotateCcw className="w-3 h-3" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {summary && grouped && (
+            <div className="p-4 space-y-3">
+              {groups.map(group => (
+                <div
+                  key={group.key}
+                  onClick={() => setExpandedKey(key => (key === group.key ? null : group.key))}
+                  className="rounded-xl border border-white/10 bg-white/5 p-4 cursor-pointer hover:border-white/20"
+                >
+                  <div className="flex items-center gap-3 mb-2">
+                    <StateBadge state={group.state} />
+                    {group.exitCode !== null && <span className="text-gray-500 font-mono">exit {group.exitCode}</span>}
+                    <span className="text-white font-medium">
+                      {group.nodeReferences.length} node{group.nodeReferences.length === 1 ? '' : 's'}
+                    </span>
+                    <span className="text-gray-500 font-mono truncate">{group.nodeReferences.join(', ')}</span>
+                  </div>
+                  <OutputCell item={group} expanded={expandedKey === group.key} />
+                </div>
+              ))}
+              {groups.length === 0 && (
+                <div className="p-6 text-center text-gray-500">No finished nodes yet.</div>
+              )}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
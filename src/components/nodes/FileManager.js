@@ -14,20 +14,43 @@
  * - Edit files with professional code editor
  * - Markdown files get specialized editor with preview
  * - Delete files and directories
+ * - Upload local files (chunked, resumable - see UploadService)
+ * - Download files (streamed, SHA-256 verified - see DownloadService)
+ * - Compress, extract, copy and search as background jobs (JobService)
+ * - Multi-select: copy / move / delete the selection as one batch job
  * 
  * Dependencies: 
  * - useRemoteManagement hook
  * - lucide-react icons
  * - CodeEditor component (NEW)
  * - MarkdownEditor component (NEW)
+ * - useUploads hook (UploadService)
+ * - useDownloads hook (DownloadService)
+ * - useJobs hook (JobService)
+ * - useNodeCapabilities hook (CapabilityService)
  * 
  * ⚠️ Important Notes:
  * - All operations use remote_command API (not terminal)
  * - Must wait for isRemoteAuthenticated before any operations
  * - Editor automatically detects file language
  * - All existing functionality preserved
+ * - Uploads keep running when the file manager closes; the transfer list
+ *   shows every upload for this node
+ * - Downloads ask where to save (File System Access) inside the click
+ *   handler; browsers without it get a regular Blob download at the end
+ * - Loading, opening, deleting and saving pass an AbortSignal; their Cancel
+ *   buttons send remote_command_cancel. CANCELLED is not shown as an error.
+ * - Compress / extract / copy / search are not awaited here: they run in
+ *   JobService and keep going when the modal closes. Search results are
+ *   read from the job, so they are still there after reopening
+ * - Copy to... and the selection actions are batch jobs (startBatchJob):
+ *   any number of items, sent in chunks, with a per-item report in the
+ *   jobs drawer (retry failed items, export)
+ * - Actions the node's agent does not support (FILE_ACTIONS) are hidden
+ *   from the rows and disabled in the toolbar; a banner names them and
+ *   asks for an agent upgrade
  * 
- * Last Modified: v9.0.0 - Integrated CodeMirror 6 editor
+ * Last Modified: v9.6.0 - Multi-select batch copy / move / delete
  * ============================================
  */
 
@@ -59,12 +82,23 @@ import {
   Terminal,
   Shield,
   Server,
-  Info
+  Info,
+  Pause,
+  Play,
+  ArchiveRestore,
+  Copy,
+  Search
 } from 'lucide-react';
 import clsx from 'clsx';
 
 // Import the new editor components
 import CodeEditor from '../editor/CodeEditor';
+import { useUploads } from '../../hooks/useUploads';
+import { useDownloads } from '../../hooks/useDownloads';
+import { useJobs } from '../../hooks/useJobs';
+import { useNodeCapabilities } from '../../hooks/useNodeCapabilities';
+import { JOB_STATE } from '../../services/JobService';
+import { REMOTE_COMMAND_TYPES, validatePath, validateBatchOperation } from '../../lib/constants/remoteCommands';
 
 // ==================== FILE TYPE ICONS ====================
 
@@ -115,6 +149,22 @@ const EDITABLE_EXTENSIONS = [
   'bash', 'env', 'gitignore', 'dockerfile'
 ];
 
+// Archives the node can extract
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+// Actions that depend on the node's agent (useNodeCapabilities)
+const FILE_ACTIONS = {
+  search: { command: REMOTE_COMMAND_TYPES.SEARCH, label: 'search' },
+  upload: { command: REMOTE_COMMAND_TYPES.UPLOAD, label: 'upload' },
+  download: { command: REMOTE_COMMAND_TYPES.DOWNLOAD, label: 'download and edit' },
+  delete: { command: REMOTE_COMMAND_TYPES.DELETE, label: 'delete' },
+  compress: { command: REMOTE_COMMAND_TYPES.COMPRESS, label: 'compress' },
+  copy: { command: REMOTE_COMMAND_TYPES.BATCH_COPY, label: 'copy to' },
+  move: { command: REMOTE_COMMAND_TYPES.BATCH_MOVE, label: 'move to' },
+  deleteSelected: { command: REMOTE_COMMAND_TYPES.BATCH_DELETE, label: 'delete selected' },
+  extract: { command: REMOTE_COMMAND_TYPES.EXTRACT, label: 'extract' }
+};
+
 // ==================== HELPER FUNCTIONS ====================
 
 function buildPath(currentPath, fileName) {
@@ -142,6 +192,134 @@ function isTextFile(filename) {
   return EDITABLE_EXTENSIONS.includes(extension) || !extension;
 }
 
+function parentPath(path) {
+  const parts = path.split('/').filter(Boolean);
+  return '/' + parts.slice(0, -1).join('/');
+}
+
+// ==================== UPLOAD ROW ====================
+
+const UPLOAD_STATE_LABELS = {
+  pending: 'Starting',
+  uploading: 'Uploading',
+  paused: 'Paused',
+  waiting: 'Waiting for connection',
+  verifying: 'Verifying checksum',
+  completed: 'Verified',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+function UploadRow({ upload, onPause, onResume, onCancel }) {
+  const percent = Math.floor(upload.progress * 100);
+  const isActive = ['pending', 'uploading', 'waiting', 'verifying'].includes(upload.state);
+  
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2">
+        <Upload className="w-3.5 h-3.5 text-purple-400 flex-shrink-0" />
+        <span className="text-white truncate flex-1" title={upload.path}>{upload.name}</span>
+        <span className={clsx(
+          upload.state === 'failed' ? 'text-red-400' :
+          upload.state === 'completed' ? 'text-green-400' : 'text-gray-400'
+        )}>
+          {upload.state === 'failed' && upload.error ? upload.error.message : UPLOAD_STATE_LABELS[upload.state]}
+        </span>
+        <span className="text-gray-500 w-40 text-right">
+          {formatBytes(upload.offset)} / {formatBytes(upload.size)}
+          {upload.state === 'uploading' && upload.bytesPerSecond > 0 && ` · ${formatBytes(upload.bytesPerSecond)}/s`}
+        </span>
+        {upload.state === 'paused' ? (
+          <button onClick={() => onResume(upload.id)} className="p-1 hover:bg-white/10 rounded" title="Resume">
+            <Play className="w-3.5 h-3.5 text-gray-400" />
+          </button>
+        ) : (
+          <button
+            onClick={() => onPause(upload.id)}
+            disabled={!isActive || upload.state === 'verifying'}
+            className="p-1 hover:bg-white/10 rounded disabled:opacity-30"
+            title="Pause"
+          >
+            <Pause className="w-3.5 h-3.5 text-gray-400" />
+          </button>
+        )}
+        <button
+          onClick={() => onCancel(upload.id)}
+          disabled={!isActive && upload.state !== 'paused'}
+          className="p-1 hover:bg-white/10 rounded disabled:opacity-30"
+          title="Cancel"
+        >
+          <X className="w-3.5 h-3.5 text-gray-400" />
+        </button>
+      </div>
+      <div className="mt-1 h-1 bg-white/5 rounded-full overflow-hidden">
+        <div
+          className={clsx(
+            "h-full transition-all",
+            upload.state === 'failed' ? 'bg-red-500' :
+            upload.state === 'completed' ? 'bg-green-500' : 'bg-purple-500'
+          )}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// ==================== DOWNLOAD ROW ====================
+
+const DOWNLOAD_STATE_LABELS = {
+  pending: 'Starting',
+  downloading: 'Downloading',
+  waiting: 'Waiting for connection',
+  verifying: 'Verifying checksum',
+  completed: 'Verified',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+function DownloadRow({ download, onCancel }) {
+  const percent = Math.floor(download.progress * 100);
+  const isActive = ['pending', 'downloading', 'waiting', 'verifying'].includes(download.state);
+  
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2">
+        <Download className="w-3.5 h-3.5 text-blue-400 flex-shrink-0" />
+        <span className="text-white truncate flex-1" title={download.path}>{download.name}</span>
+        <span className={clsx(
+          download.state === 'failed' ? 'text-red-400' :
+          download.state === 'completed' ? 'text-green-400' : 'text-gray-400'
+        )}>
+          {download.state === 'failed' && download.error ? download.error.message : DOWNLOAD_STATE_LABELS[download.state]}
+        </span>
+        <span className="text-gray-500 w-40 text-right">
+          {formatBytes(download.offset)} / {download.size === null ? '?' : formatBytes(download.size)}
+          {download.state === 'downloading' && download.bytesPerSecond > 0 && ` · ${formatBytes(download.bytesPerSecond)}/s`}
+        </span>
+        <button
+          onClick={() => onCancel(download.id)}
+          disabled={!isActive}
+          className="p-1 hover:bg-white/10 rounded disabled:opacity-30"
+          title="Cancel"
+        >
+          <X className="w-3.5 h-3.5 text-gray-400" />
+        </button>
+      </div>
+      <div className="mt-1 h-1 bg-white/5 rounded-full overflow-hidden">
+        <div
+          className={clsx(
+            "h-full transition-all",
+            download.state === 'failed' ? 'bg-red-500' :
+            download.state === 'completed' ? 'bg-green-500' : 'bg-blue-500'
+          )}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
 // ==================== MAIN COMPONENT ====================
 
 export default function FileManager({ 
@@ -170,11 +348,66 @@ export default function FileManager({
   const [showSuccessMessage, setShowSuccessMessage] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   
+  // Search (runs as a background job)
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchJobId, setSearchJobId] = useState(null);
+  
+  const {
+    uploads,
+    startUpload,
+    pause: pauseUpload,
+    resume: resumeUpload,
+    cancel: cancelUpload,
+    clearFinished: clearFinishedUploads
+  } = useUploads(nodeReference);
+  
+  const {
+    downloads,
+    startDownload,
+    cancel: cancelDownload,
+    clearFinished: clearFinishedDownloads
+  } = useDownloads(nodeReference);
+  
+  const { jobs, startJob, startBatchJob, whenFinished } = useJobs(nodeReference);
+  const searchJob = jobs.find(job => job.id === searchJobId) || null;
+  
+  const { capabilities, getUnsupportedReason } = useNodeCapabilities(nodeReference);
+  const unsupported = Object.fromEntries(
+    Object.entries(FILE_ACTIONS).map(([key, action]) => [key, getUnsupportedReason(action.command)])
+  );
+  const missingActions = Object.keys(FILE_ACTIONS)
+    .filter(key => unsupported[key])
+    .map(key => FILE_ACTIONS[key].label);
+  
   const isLoadingRef = useRef(false);
+  const operationRef = useRef(null);       // AbortController: load / open / delete
+  const saveControllerRef = useRef(null);  // AbortController: save
+  const fileInputRef = useRef(null);
+  const currentPathRef = useRef(currentPath);
   const hasInitialLoadRef = useRef(false);
   const isMountedRef = useRef(true);
   const scrollContainerRef = useRef(null);
 
+  // ==================== CANCELLATION ====================
+  
+  // One foreground operation at a time; starting one abandons the previous
+  const startOperation = useCallback(() => {
+    operationRef.current?.abort();
+    operationRef.current = new AbortController();
+    return operationRef.current.signal;
+  }, []);
+  
+  const cancelOperation = useCallback(() => {
+    operationRef.current?.abort();
+    operationRef.current = null;
+  }, []);
+  
+  const cancelSave = useCallback(() => {
+    saveControllerRef.current?.abort();
+    saveControllerRef.current = null;
+  }, []);
+
   // ==================== DIRECTORY LOADING ====================
   
   const loadDirectory = useCallback(async (path = '/') => {
@@ -202,7 +435,7 @@ export default function FileManager({
     try {
       console.log('[FileManager] Loading directory:', path);
       
-      const result = await listDirectory(path);
+      const result = await listDirectory(path, { signal: startOperation() });
       
       console.log('[FileManager] Directory listing result:', result);
       
@@ -243,6 +476,11 @@ export default function FileManager({
       }
       
     } catch (err) {
+      if (err?.code === 'CANCELLED') {
+        console.log('[FileManager] Directory load cancelled:', path);
+        return;
+      }
+      
       console.error('[FileManager] Failed to load directory:', err);
       
       let errorMessage = 'Failed to load directory';
@@ -274,7 +512,7 @@ export default function FileManager({
       setIsLoading(false);
       isLoadingRef.current = false;
     }
-  }, [listDirectory, isRemoteAuthenticated]);
+  }, [listDirectory, isRemoteAuthenticated, startOperation]);
 
   // ==================== NAVIGATION ====================
   
@@ -339,7 +577,7 @@ export default function FileManager({
     try {
       console.log('[FileManager] Reading file with path:', file.path);
       
-      const result = await readFile(file.path);
+      const result = await readFile(file.path, { signal: startOperation() });
       
       console.log('[FileManager] File read result:', result);
       
@@ -350,6 +588,11 @@ export default function FileManager({
       setEditingFile(file);
       setEditingContent(content);
     } catch (err) {
+      if (err?.code === 'CANCELLED') {
+        console.log('[FileManager] Opening cancelled:', file.path);
+        return;
+      }
+      
       console.error('[FileManager] Failed to read file:', err);
       
       let errorMessage = 'Failed to read file';
@@ -387,7 +630,8 @@ export default function FileManager({
       console.log('[FileManager] Saving file:', editingFile.path);
       console.log('[FileManager] Content length:', content.length);
       
-      await writeFile(editingFile.path, content);
+      saveControllerRef.current = new AbortController();
+      await writeFile(editingFile.path, content, { signal: saveControllerRef.current.signal });
       
       console.log('[FileManager] File write result: success');
       
@@ -397,6 +641,11 @@ export default function FileManager({
       await loadDirectory(currentPath);
       
     } catch (err) {
+      if (err?.code === 'CANCELLED') {
+        console.log('[FileManager] Save cancelled:', editingFile.path);
+        throw err; // Editor keeps the unsaved changes
+      }
+      
       console.error('[FileManager] Failed to save file:', err);
       
       let errorMessage = 'Failed to save file';
@@ -407,6 +656,7 @@ export default function FileManager({
       setError(errorMessage);
       throw err; // Re-throw for CodeEditor to handle
     } finally {
+      saveControllerRef.current = null;
       setIsSaving(false);
     }
   }, [editingFile, isRemoteAuthenticated, writeFile, currentPath, loadDirectory]);
@@ -440,7 +690,7 @@ export default function FileManager({
     try {
       console.log('[FileManager] Deleting file:', file.path);
       
-      await deleteFile(file.path);
+      await deleteFile(file.path, { signal: startOperation() });
       
       console.log('[FileManager] File deleted successfully');
       
@@ -449,6 +699,11 @@ export default function FileManager({
       showSuccess(`${file.name} deleted successfully`);
       
     } catch (err) {
+      if (err?.code === 'CANCELLED') {
+        console.log('[FileManager] Delete cancelled:', file.path);
+        return;
+      }
+      
       console.error('[FileManager] Failed to delete file:', err);
       
       let errorMessage = `Failed to delete ${file.name}`;
@@ -462,6 +717,213 @@ export default function FileManager({
     }
   };
 
+  // ==================== BACKGROUND JOBS ====================
+  
+  /**
+   * Start a JobService job (startJob, or startBatchJob for batches); reload
+   * the listing when it changed something and refreshPath is still open here
+   */
+  const runJob = (job, refreshPath = null, start = startJob) => {
+    if (!isRemoteAuthenticated) {
+      setError('Not authenticated. Please wait for authentication to complete.');
+      return null;
+    }
+    
+    try {
+      const started = start({ nodeReference, ...job });
+      showSuccess(`${started.label} started - see Background jobs`);
+      
+      whenFinished(started.id).then((finished) => {
+        if (
+          refreshPath &&
+          (finished?.state === JOB_STATE.SUCCEEDED || finished?.result?.succeeded > 0) &&
+          isMountedRef.current &&
+          currentPathRef.current === refreshPath
+        ) {
+          loadDirectory(refreshPath);
+        }
+      });
+      return started;
+    } catch (err) {
+      console.error('[FileManager] Failed to start job:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+  
+  /**
+   * Ask for a path; null when cancelled or invalid (error shown)
+   */
+  const askForPath = (message, defaultPath) => {
+    const path = window.prompt(message, defaultPath);
+    if (!path) return null;
+    
+    const validation = validatePath(path.trim());
+    if (!validation.valid) {
+      setError(validation.error);
+      return null;
+    }
+    return path.trim();
+  };
+  
+  const handleCompress = (file) => {
+    const destination = askForPath(`Create a zip archive of ${file.name} at`, `${file.path}.zip`);
+    if (!destination) return;
+    
+    runJob({
+      commandType: REMOTE_COMMAND_TYPES.COMPRESS,
+      params: { paths: [file.path], destination, format: 'zip', overwrite: false },
+      label: `Compress ${file.name}`
+    }, parentPath(destination));
+  };
+  
+  const handleExtract = (file) => {
+    const destination = askForPath(`Extract ${file.name} into`, currentPath);
+    if (!destination) return;
+    
+    runJob({
+      commandType: REMOTE_COMMAND_TYPES.EXTRACT,
+      params: { path: file.path, destination, format: null },
+      label: `Extract ${file.name}`
+    }, destination);
+  };
+  
+  const handleCopyTo = (file) => {
+    const destination = askForPath(`Copy ${file.name} into directory`, currentPath);
+    if (!destination) return;
+    
+    runJob({
+      commandType: REMOTE_COMMAND_TYPES.BATCH_COPY,
+      paths: [file.path],
+      destination,
+      label: `Copy ${file.name} to ${destination}`
+    }, destination, startBatchJob);
+  };
+  
+  // ==================== SELECTION ====================
+  
+  const toggleSelected = (file) => {
+    setSelectedFiles((current) => {
+      const next = new Set(current);
+      if (next.has(file.path)) {
+        next.delete(file.path);
+      } else {
+        next.add(file.path);
+      }
+      return next;
+    });
+  };
+  
+  const selectAll = () => {
+    setSelectedFiles(new Set(files.map(file => file.path)));
+  };
+  
+  /**
+   * Copy / move / delete the selection as one batch job
+   */
+  const runSelectionBatch = (commandType) => {
+    const paths = Array.from(selectedFiles);
+    const validation = validateBatchOperation(paths);
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+    
+    const count = `${paths.length} item${paths.length === 1 ? '' : 's'}`;
+    let started;
+    if (commandType === REMOTE_COMMAND_TYPES.BATCH_DELETE) {
+      if (!confirm(`Are you sure you want to delete ${count}?${validation.warning ? `\n${validation.error}` : ''}`)) return;
+      started = runJob({ commandType, paths, label: `Delete ${count}` }, currentPath, startBatchJob);
+    } else {
+      const verb = commandType === REMOTE_COMMAND_TYPES.BATCH_MOVE ? 'Move' : 'Copy';
+      const destination = askForPath(`${verb} ${count} into directory`, currentPath);
+      if (!destination) return;
+      started = runJob({ commandType, paths, destination, label: `${verb} ${count} to ${destination}` }, currentPath, startBatchJob);
+    }
+    
+    if (started) {
+      setSelectedFiles(new Set());
+    }
+  };
+  
+  const handleSearch = (event) => {
+    event.preventDefault();
+    const query = searchQuery.trim();
+    if (!query) return;
+    
+    const started = runJob({
+      commandType: REMOTE_COMMAND_TYPES.SEARCH,
+      params: { path: currentPath, query, use_regex: false, case_sensitive: false, max_depth: null },
+      label: `Search "${query}" in ${currentPath}`
+    });
+    if (started) {
+      setSearchJobId(started.id);
+    }
+  };
+  
+  const openSearchResult = (result) => {
+    navigateToDirectory(result.type === 'directory' || result.is_directory ? result.path : parentPath(result.path));
+  };
+
+  // ==================== UPLOAD ====================
+  
+  const handleUploadSelected = (event) => {
+    const selected = Array.from(event.target.files || []);
+    event.target.value = '';
+    
+    if (!isRemoteAuthenticated) {
+      setError('Not authenticated. Please wait for authentication to complete.');
+      return;
+    }
+    
+    selected.forEach((localFile) => {
+      const targetPath = buildPath(currentPath, localFile.name);
+      const targetDirectory = currentPath;
+      
+      try {
+        console.log('[FileManager] Uploading', localFile.name, 'to', targetPath);
+        const { done } = startUpload(targetPath, localFile);
+        
+        done.then(() => {
+          if (!isMountedRef.current) return;
+          showSuccess(`${localFile.name} uploaded and verified`);
+          if (currentPathRef.current === targetDirectory) {
+            loadDirectory(targetDirectory);
+          }
+        }).catch((err) => {
+          if (isMountedRef.current && err?.code !== 'CANCELLED') {
+            setError(`Upload of ${localFile.name} failed: ${err?.message || 'Unknown error'}`);
+          }
+        });
+      } catch (err) {
+        console.error('[FileManager] Failed to start upload:', err);
+        setError(err?.message || `Failed to upload ${localFile.name}`);
+      }
+    });
+  };
+
+  // Must stay synchronous up to startDownload(): the save picker needs the click's user gesture
+  const handleDownloadFile = (file) => {
+    if (!isRemoteAuthenticated) {
+      setError('Not authenticated. Please wait for authentication to complete.');
+      return;
+    }
+    
+    console.log('[FileManager] Downloading', file.path);
+    startDownload(file.path)
+      .then(({ done }) => done)
+      .then(() => {
+        if (isMountedRef.current) {
+          showSuccess(`${file.name} downloaded and verified`);
+        }
+      })
+      .catch((err) => {
+        if (isMountedRef.current && err?.code !== 'CANCELLED') {
+          setError(`Download of ${file.name} failed: ${err?.message || 'Unknown error'}`);
+        }
+      });
+  };
+
   // ==================== UTILITIES ====================
   
   const showSuccess = (message) => {
@@ -502,9 +964,15 @@ export default function FileManager({
     isMountedRef.current = true;
     return () => {
       isMountedRef.current = false;
+      operationRef.current?.abort();
+      saveControllerRef.current?.abort();
     };
   }, []);
 
+  useEffect(() => {
+    currentPathRef.current = currentPath;
+  }, [currentPath]);
+
   // ==================== BREADCRUMB NAVIGATION ====================
   
   const breadcrumbParts = currentPath.split('/').filter(Boolean);
@@ -629,16 +1097,75 @@ export default function FileManager({
             </div>
           )}
         </div>
-        <button
-          onClick={() => loadDirectory(currentPath)}
-          disabled={isLoading}
-          className="p-2 hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50"
-          title="Refresh"
-        >
-          <RefreshCw className={clsx("w-4 h-4 text-gray-400", isLoading && "animate-spin")} />
-        </button>
+        <div className="flex items-center gap-1">
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={handleUploadSelected}
+          />
+          <button
+            onClick={() => setShowSearch(value => !value)}
+            disabled={Boolean(unsupported.search)}
+            className={clsx("p-2 hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50", showSearch && "bg-white/10")}
+            title={unsupported.search || `Search in ${currentPath}`}
+          >
+            <Search className="w-4 h-4 text-gray-400" />
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={Boolean(unsupported.upload)}
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50"
+            title={unsupported.upload || `Upload to ${currentPath}`}
+          >
+            <Upload className="w-4 h-4 text-gray-400" />
+          </button>
+          <button
+            onClick={() => loadDirectory(currentPath)}
+            disabled={isLoading}
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={clsx("w-4 h-4 text-gray-400", isLoading && "animate-spin")} />
+          </button>
+        </div>
       </div>
 
+      {/* Transfers */}
+      {(uploads.length > 0 || downloads.length > 0) && (
+        <div className="px-6 py-3 border-b border-white/10 bg-black/10 space-y-2 flex-shrink-0">
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-gray-400 font-medium">Transfers</span>
+            <button
+              onClick={() => {
+                clearFinishedUploads();
+                clearFinishedDownloads();
+              }}
+              className="text-gray-500 hover:text-white transition-colors"
+            >
+              Clear finished
+            </button>
+          </div>
+          {uploads.map((upload) => (
+            <UploadRow
+              key={upload.id}
+              upload={upload}
+              onPause={pauseUpload}
+              onResume={resumeUpload}
+              onCancel={cancelUpload}
+            />
+          ))}
+          {downloads.map((download) => (
+            <DownloadRow
+              key={download.id}
+              download={download}
+              onCancel={cancelDownload}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Breadcrumb */}
       <div className="flex items-center gap-2 px-6 py-3 text-sm border-b border-white/10 bg-black/10 flex-shrink-0">
         {breadcrumbs.map((crumb, index) => (
@@ -659,6 +1186,64 @@ export default function FileManager({
         ))}
       </div>
 
+      {/* Search */}
+      {showSearch && !unsupported.search && (
+        <div className="px-6 py-3 border-b border-white/10 bg-black/10 flex-shrink-0">
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <input
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={`File name in ${currentPath}`}
+              className="flex-1 px-3 py-1.5 bg-black/30 border border-white/10 rounded-lg text-sm text-white placeholder-gray-600 focus:outline-none focus:border-purple-500/50"
+            />
+            <button
+              type="submit"
+              disabled={!searchQuery.trim()}
+              className="px-3 py-1.5 rounded-lg bg-purple-500/20 text-purple-200 text-sm hover:bg-purple-500/30 disabled:opacity-40"
+            >
+              Search
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowSearch(false)}
+              className="p-1.5 hover:bg-white/10 rounded transition-colors"
+            >
+              <X className="w-4 h-4 text-gray-400" />
+            </button>
+          </form>
+          
+          {searchJob && (searchJob.state === JOB_STATE.RUNNING || searchJob.state === JOB_STATE.DETACHED) && (
+            <p className="mt-2 flex items-center gap-2 text-xs text-gray-400">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              Searching... it keeps running if you close this window
+            </p>
+          )}
+          {searchJob && [JOB_STATE.FAILED, JOB_STATE.CANCELLED, JOB_STATE.LOST].includes(searchJob.state) && (
+            <p className="mt-2 text-xs text-red-400">{searchJob.error.message}</p>
+          )}
+          {searchJob?.state === JOB_STATE.SUCCEEDED && (
+            <div className="mt-2 max-h-48 overflow-y-auto text-xs">
+              <p className="text-gray-500 mb-1">
+                {searchJob.result.total} matches
+                {searchJob.result.truncated && `, first ${searchJob.result.results.length} shown`}
+              </p>
+              {searchJob.result.results.map(result => (
+                <button
+                  key={result.path}
+                  onClick={() => openSearchResult(result)}
+                  className="w-full flex items-center gap-2 px-2 py-1 rounded text-left text-gray-300 hover:bg-white/5 hover:text-white"
+                >
+                  {result.type === 'directory' || result.is_directory
+                    ? <Folder className="w-3.5 h-3.5 text-blue-400 flex-shrink-0" />
+                    : <File className="w-3.5 h-3.5 text-gray-500 flex-shrink-0" />}
+                  <span className="font-mono truncate">{result.path}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Success Message */}
       <AnimatePresence>
         {showSuccessMessage && (
@@ -695,6 +1280,64 @@ export default function FileManager({
         )}
       </AnimatePresence>
 
+      {/* Selection actions */}
+      {selectedFiles.size > 0 && (
+        <div className="mx-6 mt-4 px-4 py-2 bg-purple-500/10 border border-purple-500/30 rounded-lg flex items-center gap-2 flex-shrink-0 text-sm">
+          <span className="text-white">{selectedFiles.size} selected</span>
+          {selectedFiles.size < files.length && (
+            <button onClick={selectAll} className="px-2 py-1 rounded text-xs text-gray-400 hover:text-white hover:bg-white/10">
+              Select all
+            </button>
+          )}
+          <div className="flex-1" />
+          {!unsupported.copy && (
+            <button
+              onClick={() => runSelectionBatch(REMOTE_COMMAND_TYPES.BATCH_COPY)}
+              className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              <Copy className="w-3.5 h-3.5" />
+              Copy to...
+            </button>
+          )}
+          {!unsupported.move && (
+            <button
+              onClick={() => runSelectionBatch(REMOTE_COMMAND_TYPES.BATCH_MOVE)}
+              className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              <Folder className="w-3.5 h-3.5" />
+              Move to...
+            </button>
+          )}
+          {!unsupported.deleteSelected && (
+            <button
+              onClick={() => runSelectionBatch(REMOTE_COMMAND_TYPES.BATCH_DELETE)}
+              className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-300 hover:text-red-300 hover:bg-red-500/20"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+              Delete
+            </button>
+          )}
+          <button
+            onClick={() => setSelectedFiles(new Set())}
+            className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10"
+            title="Clear selection"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      {/* Agent upgrade notice */}
+      {missingActions.length > 0 && (
+        <div className="mx-6 mt-4 p-3 bg-yellow-500/10 border border-yellow-500/30 rounded-lg flex items-start gap-2 flex-shrink-0">
+          <AlertCircle className="w-5 h-5 text-yellow-400 flex-shrink-0" />
+          <p className="text-yellow-300 text-sm">
+            {capabilities?.agentVersion ? `AeroNyx agent ${capabilities.agentVersion}` : 'The agent on this node'} does
+            not support {missingActions.join(', ')}. Upgrade the agent on this node to use them.
+          </p>
+        </div>
+      )}
+
       {/* File list */}
       <div 
         ref={scrollContainerRef}
@@ -726,6 +1369,12 @@ export default function FileManager({
             <div className="text-center">
               <Loader2 className="w-8 h-8 text-purple-400 animate-spin mx-auto mb-3" />
               <p className="text-gray-400 text-sm">Loading directory...</p>
+              <button
+                onClick={cancelOperation}
+                className="mt-3 px-3 py-1 text-xs text-gray-400 hover:text-white bg-white/5 hover:bg-white/10 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
             </div>
           </div>
         ) : files.length === 0 ? (
@@ -760,6 +1409,17 @@ export default function FileManager({
                   )}
                   onClick={() => handleFileClick(file)}
                 >
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => toggleSelected(file)}
+                    onClick={(e) => e.stopPropagation()}
+                    className={clsx(
+                      "w-4 h-4 flex-shrink-0 accent-purple-500 cursor-pointer transition-opacity",
+                      selectedFiles.size === 0 && "opacity-0 group-hover:opacity-100"
+                    )}
+                    title="Select"
+                  />
                   <Icon className={clsx(
                     "w-5 h-5 flex-shrink-0 transition-colors",
                     file.type === 'directory' ? "text-blue-400" : "text-gray-400"
@@ -781,9 +1441,33 @@ export default function FileManager({
                   </div>
                   
                   <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {!unsupported.compress && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleCompress(file);
+                        }}
+                        className="p-1.5 hover:bg-white/10 rounded transition-colors"
+                        title="Compress"
+                      >
+                        <Archive className="w-4 h-4 text-gray-400 hover:text-white transition-colors" />
+                      </button>
+                    )}
+                    {!unsupported.copy && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleCopyTo(file);
+                        }}
+                        className="p-1.5 hover:bg-white/10 rounded transition-colors"
+                        title="Copy to..."
+                      >
+                        <Copy className="w-4 h-4 text-gray-400 hover:text-white transition-colors" />
+                      </button>
+                    )}
                     {file.type === 'file' && (
                       <>
-                        {isTextFile(file.name) && (
+                        {isTextFile(file.name) && !unsupported.download && (
                           <button
                             onClick={(e) => {
                               e.stopPropagation();
@@ -795,16 +1479,42 @@ export default function FileManager({
                             <Edit className="w-4 h-4 text-gray-400 hover:text-white transition-colors" />
                           </button>
                         )}
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleDeleteFile(file);
-                          }}
-                          className="p-1.5 hover:bg-red-500/20 rounded transition-colors"
-                          title="Delete"
-                        >
-                          <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400 transition-colors" />
-                        </button>
+                        {ARCHIVE_PATTERN.test(file.name) && !unsupported.extract && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleExtract(file);
+                            }}
+                            className="p-1.5 hover:bg-white/10 rounded transition-colors"
+                            title="Extract"
+                          >
+                            <ArchiveRestore className="w-4 h-4 text-gray-400 hover:text-white transition-colors" />
+                          </button>
+                        )}
+                        {!unsupported.download && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDownloadFile(file);
+                            }}
+                            className="p-1.5 hover:bg-white/10 rounded transition-colors"
+                            title="Download"
+                          >
+                            <Download className="w-4 h-4 text-gray-400 hover:text-white transition-colors" />
+                          </button>
+                        )}
+                        {!unsupported.delete && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDeleteFile(file);
+                            }}
+                            className="p-1.5 hover:bg-red-500/20 rounded transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400 transition-colors" />
+                          </button>
+                        )}
                       </>
                     )}
                   </div>
@@ -855,6 +1565,19 @@ export default function FileManager({
               className="bg-black/95 border border-white/10 rounded-xl w-full max-w-6xl h-[90vh] flex flex-col shadow-2xl overflow-hidden"
               onClick={(e) => e.stopPropagation()}
             >
+              {isSaving && (
+                <div className="flex items-center gap-2 px-4 py-2 text-xs border-b border-white/10 bg-purple-500/10 flex-shrink-0">
+                  <Loader2 className="w-3.5 h-3.5 text-purple-400 animate-spin" />
+                  <span className="text-gray-300 flex-1">Saving {editingFile.name}...</span>
+                  <button
+                    onClick={cancelSave}
+                    className="px-2 py-0.5 text-gray-400 hover:text-white hover:bg-white/10 rounded transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+              
               {/* CodeEditor Component */}
               <CodeEditor
                 file={editingFile}
@@ -864,7 +1587,7 @@ export default function FileManager({
                 isSaving={isSaving}
                 saveError={error}
                 readOnly={false}
-                className="h-full"
+                className="flex-1 min-h-0"
               />
             </motion.div>
           </motion.div>
@@ -12,14 +12,18 @@
  * - Removed loadInitialNodes() and REST API calls
  * - Simplified from 900+ lines to ~400 lines
  * - Uses shared WebSocket connection with Dashboard
+ * - Selection mode: pick nodes and run one command on all of them
+ *   (FanOutPanel) or a playbook (PlaybookPanel)
+ * - NodeCard is memoized and subscribes to its node (useNode), so a
+ *   status delta re-renders only the changed cards
  * 
- * @version 8.0.0
+ * @version 8.3.0
  * @author AeroNyx Development Team
  */
 
 'use client';
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback, memo } from 'react';
 import Link from 'next/link';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
@@ -35,12 +39,20 @@ import {
   Activity,
   DollarSign,
   RefreshCw,
-  Loader2
+  Loader2,
+  CheckSquare,
+  Square,
+  TerminalSquare,
+  ListChecks
 } from 'lucide-react';
 import clsx from 'clsx';
 
 import { useWallet } from '../wallet/WalletProvider';
 import { useAeroNyxWebSocket } from '../../hooks/useAeroNyxWebSocket';
+import { useNode } from '../../stores/nodeStore';
+import { nodeKey } from '../../lib/utils/nodeDelta';
+import FanOutPanel from './FanOutPanel';
+import PlaybookPanel from './PlaybookPanel';
 
 // Animation variants
 const containerVariants = {
@@ -69,6 +81,10 @@ export default function NodesContent() {
   const { wallet } = useWallet();
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedCodes, setSelectedCodes] = useState([]);
+  const [showFanOut, setShowFanOut] = useState(false);
+  const [showPlaybooks, setShowPlaybooks] = useState(false);
 
   // Use unified WebSocket hook
   const {
@@ -92,6 +108,23 @@ export default function NodesContent() {
     });
   }, [nodes, searchTerm, filterStatus]);
 
+  const selectedNodes = useMemo(
+    () => nodes.filter(node => selectedCodes.includes(node.code)),
+    [nodes, selectedCodes]
+  );
+
+  // Stable, so memoized cards only re-render for their own node or selection
+  const toggleSelected = useCallback((code) => {
+    setSelectedCodes(current =>
+      current.includes(code) ? current.filter(item => item !== code) : [...current, code]
+    );
+  }, []);
+
+  const toggleSelectionMode = () => {
+    setSelectionMode(value => !value);
+    setSelectedCodes([]);
+  };
+
   // Connection status badge
   const ConnectionBadge = () => {
     const statusConfig = {
@@ -148,6 +181,16 @@ export default function NodesContent() {
             </h1>
             <div className="flex items-center gap-4">
               <ConnectionBadge />
+              <button
+                onClick={toggleSelectionMode}
+                className={clsx(
+                  "flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-all",
+                  selectionMode ? "bg-purple-600 text-white" : "bg-white/5 text-gray-400 hover:bg-white/10"
+                )}
+              >
+                <CheckSquare className="w-4 h-4" />
+                {selectionMode ? 'Done' : 'Select'}
+              </button>
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
@@ -235,6 +278,48 @@ export default function NodesContent() {
           </Link>
         </motion.div>
 
+        {/* Selection bar */}
+        <AnimatePresence>
+          {selectionMode && (
+            <motion.div
+              initial={{ opacity: 0, y: -10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              className="mb-6 p-4 bg-purple-500/10 border border-purple-500/20 rounded-xl flex flex-wrap items-center gap-4"
+            >
+              <span className="text-sm text-white">{selectedNodes.length} selected</span>
+              <button
+                onClick={() => setSelectedCodes(filteredNodes.map(node => node.code))}
+                className="text-sm text-purple-300 hover:text-purple-200"
+              >
+                Select all shown
+              </button>
+              <button
+                onClick={() => setSelectedCodes([])}
+                className="text-sm text-gray-400 hover:text-gray-300"
+              >
+                Clear
+              </button>
+              <button
+                onClick={() => setShowPlaybooks(true)}
+                disabled={selectedNodes.length === 0}
+                className="ml-auto flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 text-white text-sm hover:bg-white/20 disabled:opacity-40"
+              >
+                <ListChecks className="w-4 h-4" />
+                Run playbook
+              </button>
+              <button
+                onClick={() => setShowFanOut(true)}
+                disabled={selectedNodes.length === 0}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-purple-600 text-white text-sm hover:bg-purple-700 disabled:opacity-40"
+              >
+                <TerminalSquare className="w-4 h-4" />
+                Run command
+              </button>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* Content */}
         <AnimatePresence mode="wait">
           {isLoading ? (
@@ -248,7 +333,13 @@ export default function NodesContent() {
               className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
             >
               {filteredNodes.map((node) => (
-                <NodeCard key={node.code} node={node} />
+                <NodeCard
+                  key={node.code}
+                  reference={nodeKey(node)}
+                  selectable={selectionMode}
+                  selected={selectedCodes.includes(node.code)}
+                  onToggle={toggleSelected}
+                />
               ))}
             </motion.div>
           ) : (
@@ -256,12 +347,26 @@ export default function NodesContent() {
           )}
         </AnimatePresence>
       </div>
+
+      {showFanOut && (
+        <FanOutPanel nodes={selectedNodes} onClose={() => setShowFanOut(false)} />
+      )}
+
+      {showPlaybooks && (
+        <PlaybookPanel nodes={selectedNodes} onClose={() => setShowPlaybooks(false)} />
+      )}
     </div>
   );
 }
 
 // Sub-components remain the same but simplified
-function NodeCard({ node }) {
+
+// Reads its own node from the store: a status delta re-renders only the
+// cards whose node changed
+const NodeCard = memo(function NodeCard({ reference, selectable = false, selected = false, onToggle }) {
+  const node = useNode(reference);
+  if (!node) return null;
+
   const statusConfig = {
     active: { color: 'green', Icon: CheckCircle, label: 'Active', glow: 'shadow-green-500/20' },
     online: { color: 'green', Icon: CheckCircle, label: 'Online', glow: 'shadow-green-500/20' },
@@ -291,10 +396,22 @@ function NodeCard({ node }) {
         `bg-${config.color}-500/20`
       )} />
       
-      <div className="relative bg-white/5 backdrop-blur-md rounded-2xl border border-white/10 p-6 hover:border-white/20 transition-all">
+      <div className={clsx(
+        "relative bg-white/5 backdrop-blur-md rounded-2xl border p-6 transition-all",
+        selected ? "border-purple-500/60" : "border-white/10 hover:border-white/20"
+      )}>
         {/* Header */}
         <div className="flex items-start justify-between mb-4">
-          <div>
+          {selectable && (
+            <button
+              onClick={() => onToggle(node.code)}
+              className="mr-3 mt-1 text-purple-400 hover:text-purple-300"
+              aria-label={selected ? `Deselect ${node.code}` : `Select ${node.code}`}
+            >
+              {selected ? <CheckSquare className="w-5 h-5" /> : <Square className="w-5 h-5 text-gray-500" />}
+            </button>
+          )}
+          <div className="flex-1">
             <h3 className="text-lg font-semibold text-white mb-1">{node.name}</h3>
             <p className="text-sm text-gray-400 font-mono">{node.code}</p>
           </div>
@@ -377,7 +494,7 @@ function NodeCard({ node }) {
       </div>
     </motion.div>
   );
-}
+});
 
 function MetricBar({ icon: Icon, label, value, color }) {
   const colorClasses = {
@@ -0,0 +1,455 @@
+/**
+ * ============================================
+ * File: src/components/nodes/PlaybookPanel.js
+ * ============================================
+ * Playbook Panel - Edit, dry-run and run playbooks on the selected nodes
+ *
+ * Creation Reason: Multi-step remote operations (lib/remote/playbook)
+ * from the nodes page
+ * Main Functionality:
+ * 1. Library of saved playbooks (playbookStore): new, edit, delete
+ * 2. YAML / JSON editor with validation errors as you type
+ * 3. Variables form (playbook vars as defaults) and per-node dry run
+ * 4. Run with a step view per node: state, output, skip reason; re-run
+ *    failed nodes, cancel, export JSON
+ * Dependencies: usePlaybookRun, playbookStore, playbook, FanOutPanel
+ * (StateBadge, formatDuration)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Opened from NodesContent selection mode; closing cancels the run
+ * - The editor keeps unsaved text; Run uses the editor text, not the
+ *   saved copy
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  Play,
+  Square,
+  RotateCcw,
+  Download,
+  Plus,
+  Trash2,
+  Save,
+  Eye,
+  CheckCircle,
+  XCircle,
+  Loader2,
+  Clock,
+  MinusCircle,
+  SkipForward,
+  ChevronDown,
+  ChevronRight
+} from 'lucide-react';
+import clsx from 'clsx';
+import { usePlaybookRun } from '../../hooks/usePlaybookRun';
+import usePlaybookStore, { usePlaybookList } from '../../stores/playbookStore';
+import { parsePlaybook, PLAYBOOK_TEMPLATE } from '../../lib/remote/playbook';
+import { PLAYBOOK_STEP_STATE } from '../../lib/remote/PlaybookRun';
+import { FAN_OUT_RUN_STATE } from '../../lib/remote/FanOutRun';
+import { FAN_OUT } from '../../lib/constants/remoteCommands';
+import { StateBadge, formatDuration } from './FanOutPanel';
+
+const STEP_STATE_STYLES = {
+  [PLAYBOOK_STEP_STATE.PENDING]: { Icon: Clock, color: 'text-gray-500' },
+  [PLAYBOOK_STEP_STATE.RUNNING]: { Icon: Loader2, color: 'text-blue-400', spin: true },
+  [PLAYBOOK_STEP_STATE.SUCCEEDED]: { Icon: CheckCircle, color: 'text-green-400' },
+  [PLAYBOOK_STEP_STATE.FAILED]: { Icon: XCircle, color: 'text-red-400' },
+  [PLAYBOOK_STEP_STATE.SKIPPED]: { Icon: SkipForward, color: 'text-gray-500' },
+  [PLAYBOOK_STEP_STATE.CANCELLED]: { Icon: MinusCircle, color: 'text-gray-500' }
+};
+
+const OUTPUT_PREVIEW_LINES = 6;
+
+function StepIcon({ state }) {
+  const style = STEP_STATE_STYLES[state] || STEP_STATE_STYLES[PLAYBOOK_STEP_STATE.PENDING];
+  const { Icon } = style;
+  return <Icon className={clsx('w-3.5 h-3.5 flex-shrink-0', style.color, style.spin && 'animate-spin')} />;
+}
+
+function describeCondition(condition) {
+  const checks = [
+    condition.status && `status ${condition.status}`,
+    condition.exit_code !== undefined && `exit code ${condition.exit_code}`,
+    condition.exit_code_not !== undefined && `exit code not ${condition.exit_code_not}`,
+    condition.output_contains !== undefined && `output contains "${condition.output_contains}"`,
+    condition.output_matches !== undefined && `output matches /${condition.output_matches}/`
+  ].filter(Boolean);
+  return `${condition.step}: ${checks.join(', ') || 'has run'}`;
+}
+
+/**
+ * Dry-run plan for one node
+ */
+function PlanView({ plan }) {
+  return (
+    <ol className="space-y-2">
+      {plan.steps.map((step, index) => (
+        <li key={step.id} className="rounded-lg border border-white/10 bg-white/5 p-3">
+          <div className="flex items-center gap-2">
+            <span className="text-gray-500 font-mono">{index + 1}.</span>
+            <span className="text-white">{step.name}</span>
+            <span className="text-gray-500 font-mono">{step.id}</span>
+            {step.continueOnError && <span className="text-yellow-400/80">continue on error</span>}
+          </div>
+          {step.when.length > 0 && (
+            <div className="mt-1 text-purple-300">when {step.when.map(describeCondition).join(' and ')}</div>
+          )}
+          <pre className="mt-2 whitespace-pre-wrap break-all font-mono text-gray-400">
+            {JSON.stringify(step.params, null, 2)}
+          </pre>
+          {step.errors.map(message => (
+            <div key={message} className="mt-1 text-red-300">{message}</div>
+          ))}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * Step results for one node
+ */
+function NodeSteps({ result, expanded, onToggle }) {
+  return (
+    <div className="rounded-xl border border-white/10 bg-white/5">
+      <button onClick={onToggle} className="w-full flex items-center gap-3 px-4 py-3 text-left">
+        {expanded ? <ChevronDown className="w-4 h-4 text-gray-500" /> : <ChevronRight className="w-4 h-4 text-gray-500" />}
+        <span className="text-white font-mono">{result.nodeReference}</span>
+        <StateBadge state={result.state} />
+        <span className="text-gray-500">{formatDuration(result.durationMs)}</span>
+        {result.error && <span className="text-red-300 truncate">{result.error.message}</span>}
+        <span className="ml-auto flex items-center gap-1">
+          {result.steps.map(step => <StepIcon key={step.id} state={step.state} />)}
+        </span>
+      </button>
+
+      {expanded && (
+        <ol className="border-t border-white/10 divide-y divide-white/5">
+          {result.steps.map(step => {
+            const lines = (step.output || '').split('\n');
+            return (
+              <li key={step.id} className="px-4 py-2">
+                <div className="flex items-center gap-2">
+                  <StepIcon state={step.state} />
+                  <span className="text-gray-200">{step.name}</span>
+                  {step.exitCode !== null && <span className="text-gray-500 font-mono">exit {step.exitCode}</span>}
+                  <span className="ml-auto text-gray-500">{formatDuration(step.durationMs)}</span>
+                </div>
+                {step.reason && <div className="ml-6 text-gray-500">Skipped: {step.reason}</div>}
+                {step.error && <div className="ml-6 text-red-300 font-mono">{step.error.code}: {step.error.message}</div>}
+                {step.output && (
+                  <pre className="ml-6 mt-1 whitespace-pre-wrap break-all font-mono text-gray-400">
+                    {lines.slice(0, OUTPUT_PREVIEW_LINES).join('\n')}
+                    {lines.length > OUTPUT_PREVIEW_LINES && (
+                      <span className="text-gray-600">{`\n... ${lines.length - OUTPUT_PREVIEW_LINES} more lines`}</span>
+                    )}
+                  </pre>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Playbook Panel Component
+ * @param {Object} props
+ * @param {Object[]} props.nodes - Selected nodes ({ code, name, status })
+ * @param {Function} props.onClose
+ */
+export default function PlaybookPanel({ nodes, onClose }) {
+  const playbooks = usePlaybookList();
+  const { addPlaybook, updatePlaybook, removePlaybook } = usePlaybookStore();
+
+  const [selectedId, setSelectedId] = useState(() => playbooks[0]?.id || null);
+  const [source, setSource] = useState(() => playbooks[0]?.source || PLAYBOOK_TEMPLATE);
+  const [runVars, setRunVars] = useState({});
+  const [previewNode, setPreviewNode] = useState(null);
+  const [concurrency, setConcurrency] = useState(FAN_OUT.DEFAULT_CONCURRENCY);
+  const [expandedNode, setExpandedNode] = useState(null);
+
+  const {
+    results,
+    summary,
+    runState,
+    error,
+    plan,
+    startRun,
+    cancel,
+    retryFailed,
+    exportResults
+  } = usePlaybookRun();
+
+  const isRunning = runState === FAN_OUT_RUN_STATE.RUNNING;
+  const nodeReferences = useMemo(() => nodes.map(node => node.code), [nodes]);
+  const parsed = useMemo(() => parsePlaybook(source), [source]);
+  const saved = playbooks.find(item => item.id === selectedId);
+  const isDirty = !saved || saved.source !== source;
+
+  // Only entered values override the playbook defaults
+  const vars = useMemo(
+    () => Object.fromEntries(Object.entries(runVars).filter(([, value]) => value !== '')),
+    [runVars]
+  );
+  const plans = useMemo(
+    () => (parsed.playbook ? plan(parsed.playbook, nodeReferences, vars) : []),
+    [parsed, vars, nodeReferences, plan]
+  );
+  const planErrors = plans.flatMap(item => item.errors.map(message => `${item.nodeReference} ${message}`));
+  const previewPlan = plans.find(item => item.nodeReference === previewNode);
+  const retryableCount = summary ? summary.failed + summary.cancelled : 0;
+
+  const selectPlaybook = (item) => {
+    setSelectedId(item.id);
+    setSource(item.source);
+    setRunVars({});
+    setPreviewNode(null);
+  };
+
+  const handleNew = () => {
+    setSelectedId(null);
+    setSource(PLAYBOOK_TEMPLATE);
+    setRunVars({});
+  };
+
+  const handleSave = () => {
+    if (selectedId && saved) {
+      updatePlaybook(selectedId, source);
+    } else {
+      setSelectedId(addPlaybook(source));
+    }
+  };
+
+  const handleDelete = (id) => {
+    removePlaybook(id);
+    if (id === selectedId) {
+      handleNew();
+    }
+  };
+
+  const handleRun = () => {
+    setPreviewNode(null);
+    setExpandedNode(nodeReferences.length === 1 ? nodeReferences[0] : null);
+    startRun({ playbook: parsed.playbook, nodeReferences, vars, concurrency });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-7xl h-[90vh] flex flex-col bg-gray-950 border border-white/10 rounded-2xl text-sm"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Playbook on {nodes.length} node{nodes.length === 1 ? '' : 's'}</h2>
+            <p className="text-xs text-gray-500 font-mono truncate max-w-2xl">{nodeReferences.join(', ')}</p>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-white/10">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          {/* Library */}
+          <div className="w-56 flex-shrink-0 border-r border-white/10 overflow-y-auto p-3 space-y-1">
+            <button
+              onClick={handleNew}
+              className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-purple-300 hover:bg-white/5"
+            >
+              <Plus className="w-4 h-4" />
+              New playbook
+            </button>
+            {playbooks.map(item => (
+              <div
+                key={item.id}
+                onClick={() => selectPlaybook(item)}
+                className={clsx(
+                  'group flex items-center gap-2 px-3 py-2 rounded-lg cursor-pointer',
+                  item.id === selectedId ? 'bg-purple-500/20 text-white' : 'text-gray-300 hover:bg-white/5'
+                )}
+              >
+                <span className="flex-1 truncate">{item.name}</span>
+                <button
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    handleDelete(item.id);
+                  }}
+                  title="Delete playbook"
+                  className="opacity-0 group-hover:opacity-100 text-gray-500 hover:text-red-400"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {/* Editor */}
+          <div className="w-[28rem] flex-shrink-0 flex flex-col border-r border-white/10">
+            <textarea
+              value={source}
+              onChange={(event) => setSource(event.target.value)}
+              disabled={isRunning}
+              spellCheck={false}
+              className="flex-1 p-4 bg-transparent font-mono text-xs text-gray-200 resize-none focus:outline-none"
+            />
+            <div className="border-t border-white/10 p-3 space-y-2 max-h-40 overflow-y-auto text-xs">
+              {parsed.errors.length > 0
+                ? parsed.errors.map(message => <div key={message} className="text-red-300">{message}</div>)
+                : <div className="text-green-400">{parsed.format?.toUpperCase()} · {parsed.playbook.steps.length} steps</div>}
+            </div>
+            <div className="flex items-center gap-2 p-3 border-t border-white/10">
+              <button
+                onClick={handleSave}
+                disabled={!isDirty}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 text-gray-200 hover:bg-white/10 disabled:opacity-40"
+              >
+                <Save className="w-4 h-4" />
+                {saved ? 'Save' : 'Save as new'}
+              </button>
+            </div>
+          </div>
+
+          {/* Variables, dry run and results */}
+          <div className="flex-1 flex flex-col min-w-0">
+            {parsed.playbook && (
+              <div className="flex flex-wrap items-end gap-3 px-4 py-3 border-b border-white/10">
+                {Object.entries(parsed.playbook.vars || {}).map(([name, value]) => (
+                  <label key={name} className="flex flex-col gap-1 text-xs text-gray-400">
+                    {name}
+                    <input
+                      type="text"
+                      value={runVars[name] ?? ''}
+                      onChange={(event) => setRunVars(current => ({ ...current, [name]: event.target.value }))}
+                      placeholder={String(value)}
+                      disabled={isRunning}
+                      className="w-40 bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 font-mono text-white placeholder-gray-600"
+                    />
+                  </label>
+                ))}
+                <label className="flex flex-col gap-1 text-xs text-gray-400">
+                  Concurrency
+                  <input
+                    type="number"
+                    min={1}
+                    max={FAN_OUT.MAX_CONCURRENCY}
+                    value={concurrency}
+                    onChange={(event) => setConcurrency(Number(event.target.value))}
+                    disabled={isRunning}
+                    className="w-16 bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white"
+                  />
+                </label>
+
+                <div className="ml-auto flex items-center gap-2">
+                  <select
+                    value={previewNode || ''}
+                    onChange={(event) => setPreviewNode(event.target.value || null)}
+                    className="bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-gray-200"
+                  >
+                    <option value="">Dry run for…</option>
+                    {nodeReferences.map(reference => <option key={reference} value={reference}>{reference}</option>)}
+                  </select>
+                  {isRunning ? (
+                    <button
+                      onClick={cancel}
+                      className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-red-500/20 text-red-300 hover:bg-red-500/30"
+                    >
+                      <Square className="w-4 h-4" />
+                      Cancel
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleRun}
+                      disabled={planErrors.length > 0}
+                      className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-40"
+                    >
+                      <Play className="w-4 h-4" />
+                      Run
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {(error || planErrors.length > 0) && (
+              <div className="mx-4 mt-3 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-300 text-xs space-y-1">
+                {error && <div>{error}</div>}
+                {planErrors.slice(0, 5).map(message => <div key={message}>{message}</div>)}
+              </div>
+            )}
+
+            {summary && !previewPlan && (
+              <div className="flex flex-wrap items-center gap-4 px-4 py-3 border-b border-white/10 text-xs">
+                <span className="text-gray-400">{summary.finished} / {summary.total} done</span>
+                <span className="text-green-400">{summary.succeeded} succeeded</span>
+                <span className="text-red-400">{summary.failed} failed</span>
+                {summary.cancelled > 0 && <span className="text-gray-500">{summary.cancelled} cancelled</span>}
+                {summary.running > 0 && <span className="text-blue-400">{summary.running} running</span>}
+                <div className="ml-auto flex items-center gap-2">
+                  <button
+                    onClick={retryFailed}
+                    disabled={isRunning || retryableCount === 0}
+                    className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                    Re-run failed ({retryableCount})
+                  </button>
+                  <button
+                    onClick={exportResults}
+                    disabled={isRunning}
+                    className="flex items-center gap-1 px-2 py-1 rounded bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-40"
+                  >
+                    <Download className="w-3 h-3" />
+                    JSON
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="flex-1 overflow-y-auto p-4 text-xs">
+              {previewPlan && (
+                <div>
+                  <div className="flex items-center gap-2 mb-3 text-gray-400">
+                    <Eye className="w-4 h-4" />
+                    Dry run for <span className="font-mono text-white">{previewPlan.nodeReference}</span>, nothing is sent
+                  </div>
+                  <PlanView plan={previewPlan} />
+                </div>
+              )}
+
+              {!previewPlan && summary && (
+                <div className="space-y-2">
+                  {results.map(result => (
+                    <NodeSteps
+                      key={result.nodeReference}
+                      result={result}
+                      expanded={expandedNode === result.nodeReference}
+                      onToggle={() => setExpandedNode(current => (current === result.nodeReference ? null : result.nodeReference))}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {!previewPlan && !summary && (
+                <div className="p-10 text-center text-gray-500">
+                  Pick a node for a dry run, or run the playbook to see each step here.
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -20,7 +20,7 @@
  * 
  * ⚠️ VERIFIED: No Signature display anywhere in this file
  * 
- * Last Modified: v6.1.0 - Final clean, all Signature displays removed
+ * Last Modified: v6.4.0 - Console tab (streamed execute, ExecutionConsole)
  * ============================================
  */
 
@@ -46,7 +46,8 @@ import {
   Shield,
   Clock,
   Folder,
-  Monitor
+  Monitor,
+  TerminalSquare
 } from 'lucide-react';
 import clsx from 'clsx';
 
@@ -55,8 +56,11 @@ import { useRemoteManagement } from '../../hooks/useRemoteManagement';
 import remoteAuthService from '../../services/RemoteAuthService';
 import webSocketService from '../../services/WebSocketService';
 import { useGlobalSignature } from '../../hooks/useGlobalSignature';
+import { useConnectionTelemetry, formatTelemetryDuration } from '../../hooks/useConnectionTelemetry';
+import { useNodeCapabilities } from '../../hooks/useNodeCapabilities';
 import FileManager from './FileManager';
 import SystemInfo from './SystemInfo';
+import ExecutionConsole from './ExecutionConsole';
 
 export default function RemoteManagement({ 
   nodeReference, 
@@ -101,9 +105,14 @@ export default function RemoteManagement({
     deleteFile,
     uploadFile,
     getSystemInfo,
-    executeCommand
+    executeCommand,
+    streamCommand
   } = useRemoteManagement(nodeReference);
 
+  // Link telemetry, so a slow terminal can be told apart from a slow link
+  const linkTelemetry = useConnectionTelemetry();
+  const { capabilities } = useNodeCapabilities(nodeReference);
+
   // ==================== Local State ====================
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [copied, setCopied] = useState(false);
@@ -117,7 +126,6 @@ export default function RemoteManagement({
   const outputBufferRef = useRef('');
   const initTimeoutRef = useRef(null);
   const isMountedRef = useRef(true);
-  const messageListenerRef = useRef(null);
   const lastOutputRef = useRef('');
   const lastOutputTimeRef = useRef(0); // ✅ NEW: Track time for better duplicate detection
   const initializedRef = useRef(false);
@@ -326,36 +334,10 @@ export default function RemoteManagement({
     webSocketService.on('terminalError', handleTerminalError);
     webSocketService.on('terminalClosed', handleTerminalClosed);
 
-    const handleRawMessage = (event) => {
-      try {
-        const message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-        
-        if (message.type === 'term_output') {
-          handleTerminalOutput(message);
-        } else if (message.type === 'term_error') {
-          handleTerminalError(message);
-        } else if (message.type === 'term_closed') {
-          handleTerminalClosed(message);
-        }
-      } catch (error) {
-        // Not JSON, ignore
-      }
-    };
-
-    const ws = window.globalWebSocket || webSocketService.ws;
-    if (ws && ws.addEventListener) {
-      messageListenerRef.current = handleRawMessage;
-      ws.addEventListener('message', handleRawMessage);
-    }
-
     return () => {
       webSocketService.off('terminalOutput', handleTerminalOutput);
       webSocketService.off('terminalError', handleTerminalError);
       webSocketService.off('terminalClosed', handleTerminalClosed);
-      
-      if (ws && ws.removeEventListener && messageListenerRef.current) {
-        ws.removeEventListener('message', messageListenerRef.current);
-      }
     };
   }, [isOpen, terminalSession, nodeReference]);
 
@@ -521,7 +503,8 @@ export default function RemoteManagement({
   const tabs = [
     { id: 'terminal', label: 'Terminal', icon: TerminalIcon },
     { id: 'files', label: 'File Manager', icon: Folder },
-    { id: 'system', label: 'System Info', icon: Monitor }
+    { id: 'system', label: 'System Info', icon: Monitor },
+    { id: 'console', label: 'Console', icon: TerminalSquare }
   ];
 
   return (
@@ -552,7 +535,10 @@ export default function RemoteManagement({
               </div>
               <div>
                 <h2 className="text-sm font-semibold text-white">Remote Management</h2>
-                <p className="text-xs text-gray-400">Node: {nodeReference}</p>
+                <p className="text-xs text-gray-400">
+                  Node: {nodeReference}
+                  {capabilities?.agentVersion && ` · Agent ${capabilities.agentVersion}`}
+                </p>
               </div>
               
               {/* ✅ CLEAN: Only JWT Session Time, NO Signature display */}
@@ -846,6 +832,14 @@ export default function RemoteManagement({
                 isRemoteAuthenticated={isRemoteAuthenticated}
               />
             )}
+
+            {activeTab === 'console' && (
+              <ExecutionConsole
+                nodeReference={nodeReference}
+                streamCommand={streamCommand}
+                isRemoteAuthenticated={isRemoteAuthenticated}
+              />
+            )}
           </div>
 
           {/* Status Bar */}
@@ -859,6 +853,22 @@ export default function RemoteManagement({
                   Session: {terminalSession}
                 </span>
               )}
+              <span
+                className="text-gray-400 font-mono"
+                title={`Reconnects: ${linkTelemetry.reconnects}`}
+              >
+                Link:{' '}
+                <span className={clsx({
+                  'text-green-400': linkTelemetry.quality === 'good',
+                  'text-yellow-400': linkTelemetry.quality === 'fair',
+                  'text-red-400': linkTelemetry.quality === 'poor'
+                })}>
+                  {formatTelemetryDuration(linkTelemetry.rtt)}
+                </span>
+                {linkTelemetry.jitter !== null && ` ±${formatTelemetryDuration(linkTelemetry.jitter)}`}
+                {linkTelemetry.sinceLastMessage !== null &&
+                  ` · last msg ${formatTelemetryDuration(linkTelemetry.sinceLastMessage)} ago`}
+              </span>
             </div>
             <div className="flex items-center gap-2">
               {terminalReady && terminalUIReadyRef.current ? (
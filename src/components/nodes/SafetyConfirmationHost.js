@@ -0,0 +1,150 @@
+/**
+ * ============================================
+ * File: src/components/nodes/SafetyConfirmationHost.js
+ * ============================================
+ * Safety Confirmation Host - Typed confirmation dialog
+ *
+ * Creation Reason: Operations the safety policy marks "confirm" wait for
+ * the user to type a confirmation text (SafetyPolicyService)
+ * Main Functionality: Listen for confirmation requests, show the oldest
+ * one with its reasons and nodes, confirm when the typed text matches
+ * Dependencies: SafetyPolicyService
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Mounted once in the dashboard layout. Its listener is what makes
+ *   SafetyPolicyService wait for a confirmation instead of rejecting with
+ *   CONFIRMATION_REQUIRED; mounting it twice would show the dialog twice
+ * - Paste into the input is allowed on purpose; the point is to read what
+ *   is being confirmed, not to slow the user down
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ShieldAlert } from 'lucide-react';
+import safetyPolicyService from '../../services/SafetyPolicyService';
+
+/**
+ * One-line description of the operation
+ */
+function describeOperation(request) {
+  const { params = {} } = request;
+  const target = params.command || params.input || params.path || (Array.isArray(params.paths) ? `${params.paths.length} paths` : '');
+  return target ? `${request.commandType}: ${target}` : request.commandType;
+}
+
+/**
+ * Safety Confirmation Host Component
+ */
+export default function SafetyConfirmationHost() {
+  const [requests, setRequests] = useState([]);
+  const [typed, setTyped] = useState('');
+
+  useEffect(() => {
+    const refresh = () => setRequests(safetyPolicyService.getPendingConfirmations());
+
+    safetyPolicyService.on('confirmationRequired', refresh);
+    safetyPolicyService.on('confirmationUpdated', refresh);
+    safetyPolicyService.on('confirmationResolved', refresh);
+    refresh();
+
+    return () => {
+      safetyPolicyService.off('confirmationRequired', refresh);
+      safetyPolicyService.off('confirmationUpdated', refresh);
+      safetyPolicyService.off('confirmationResolved', refresh);
+    };
+  }, []);
+
+  const request = requests[0] || null;
+  const requestId = request?.id;
+
+  useEffect(() => {
+    setTyped('');
+  }, [requestId]);
+
+  const matches = Boolean(request) && typed === request.decision.confirmText;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (matches) {
+      safetyPolicyService.confirm(request.id, typed);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {request && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[100] flex items-center justify-center bg-black/70 backdrop-blur-sm p-4"
+        >
+          <motion.form
+            initial={{ scale: 0.95 }}
+            animate={{ scale: 1 }}
+            onSubmit={handleSubmit}
+            className="w-full max-w-lg rounded-xl bg-gray-900 border border-yellow-500/30 p-6"
+          >
+            <div className="flex items-start gap-3">
+              <ShieldAlert className="w-6 h-6 text-yellow-400 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <h2 className="text-lg font-semibold text-white">Confirm a protected operation</h2>
+                <p className="text-sm text-gray-400 mt-1">
+                  {request.nodeReferences.length === 1
+                    ? `On ${request.nodeReferences[0]}`
+                    : `On ${request.nodeReferences.length} nodes: ${request.nodeReferences.join(', ')}`}
+                </p>
+              </div>
+            </div>
+
+            <pre className="mt-4 p-3 rounded-lg bg-black/40 text-xs font-mono text-gray-200 whitespace-pre-wrap break-all max-h-40 overflow-y-auto">
+              {describeOperation(request)}
+            </pre>
+
+            <ul className="mt-3 space-y-1 text-sm text-yellow-200">
+              {request.decision.reasons.map(reason => (
+                <li key={`${reason.rule}:${reason.target}`}>• {reason.reason}</li>
+              ))}
+            </ul>
+
+            <label className="block mt-4 text-sm text-gray-300">
+              Type <code className="px-1 rounded bg-white/10 font-mono text-white">{request.decision.confirmText}</code> to continue
+              <input
+                autoFocus
+                value={typed}
+                onChange={(event) => setTyped(event.target.value)}
+                className="mt-2 w-full px-3 py-2 bg-black/30 border border-white/10 rounded-lg font-mono text-white focus:outline-none focus:border-yellow-500/50"
+              />
+            </label>
+
+            {requests.length > 1 && (
+              <p className="mt-2 text-xs text-gray-500">{requests.length - 1} more waiting</p>
+            )}
+
+            <div className="flex justify-end gap-3 mt-5">
+              <button
+                type="button"
+                onClick={() => safetyPolicyService.decline(request.id)}
+                className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 text-sm hover:bg-white/10"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!matches}
+                className="px-4 py-2 rounded-lg bg-yellow-600 text-white text-sm font-medium hover:bg-yellow-700 disabled:opacity-40 disabled:hover:bg-yellow-600"
+              >
+                Run it
+              </button>
+            </div>
+          </motion.form>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,290 @@
+/**
+ * ============================================
+ * File: src/components/nodes/SafetyPolicyPanel.js
+ * ============================================
+ * Safety Policy Panel - Edit the rules for destructive remote operations
+ *
+ * Creation Reason: The safety policy (lib/utils/safetyPolicy) needs an
+ * editor for the defaults (settings page) and per-node overrides (node
+ * detail page)
+ * Main Functionality:
+ * 1. Node scope: read-only profile toggle, effective rules with the
+ *    outcome changeable per node, node-only rules, reset to defaults
+ * 2. Default scope (no nodeReference): edit the rules every node starts from
+ * 3. "Check a command": evaluate an execute command against the policy
+ * Dependencies: safetyPolicyStore, lib/utils/safetyPolicy
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - In node scope a default rule cannot be deleted, only overridden
+ *   (set it to allow); removing the override restores the default
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import React, { useState, useMemo } from 'react';
+import { ShieldAlert, Lock, Plus, RotateCcw, Trash2 } from 'lucide-react';
+import clsx from 'clsx';
+import useSafetyPolicyStore, { useNodeSafetyOverride } from '../../stores/safetyPolicyStore';
+import {
+  SAFETY_OUTCOMES,
+  resolveNodePolicy,
+  evaluateCommand,
+  validateSafetyRule
+} from '../../lib/utils/safetyPolicy';
+import { REMOTE_COMMAND_TYPES } from '../../lib/constants/remoteCommands';
+
+const OUTCOME_STYLES = {
+  [SAFETY_OUTCOMES.ALLOW]: 'text-green-300',
+  [SAFETY_OUTCOMES.CONFIRM]: 'text-yellow-300',
+  [SAFETY_OUTCOMES.BLOCK]: 'text-red-300'
+};
+
+const SECTIONS = [
+  {
+    kind: 'protectedPaths',
+    ruleKind: 'path',
+    title: 'Protected paths',
+    hint: '/etc/** covers /etc and everything below it; * matches one path segment',
+    placeholder: '/srv/data/**'
+  },
+  {
+    kind: 'dangerousCommands',
+    ruleKind: 'command',
+    title: 'Dangerous commands',
+    hint: 'Regular expressions, case-insensitive, checked against execute commands and terminal pastes',
+    placeholder: '\\bdocker\\s+system\\s+prune\\b'
+  }
+];
+
+const EMPTY_RULE = { pattern: '', outcome: SAFETY_OUTCOMES.CONFIRM, reason: '' };
+
+function OutcomeSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      className={clsx('bg-black/30 border border-white/10 rounded-lg px-2 py-1 text-xs', OUTCOME_STYLES[value])}
+    >
+      {Object.values(SAFETY_OUTCOMES).map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+    </select>
+  );
+}
+
+/**
+ * One rule list with an "add" row
+ */
+function RuleSection({ section, rules, isNodeScope, onChangeOutcome, onRemove, onAdd }) {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [error, setError] = useState(null);
+
+  const handleAdd = () => {
+    const rule = { ...draft, pattern: draft.pattern.trim(), reason: draft.reason.trim() };
+    const problem = validateSafetyRule(section.ruleKind, rule)
+      || (rules.some(existing => existing.pattern === rule.pattern) ? 'This pattern already has a rule' : null);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onAdd(rule);
+    setDraft(EMPTY_RULE);
+    setError(null);
+  };
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-sm font-medium text-white">{section.title}</h4>
+      <p className="text-xs text-gray-500 mb-2">{section.hint}</p>
+
+      <div className="divide-y divide-white/5 border border-white/10 rounded-lg">
+        {rules.map(rule => (
+          <div key={rule.pattern} className="flex items-center gap-3 px-3 py-2 text-xs">
+            <code className="flex-1 min-w-0 truncate font-mono text-gray-200" title={rule.pattern}>{rule.pattern}</code>
+            <span className="hidden md:block w-64 truncate text-gray-500" title={rule.reason}>{rule.reason}</span>
+            {isNodeScope && rule.node && <span className="text-purple-300">this node</span>}
+            <OutcomeSelect value={rule.outcome} onChange={outcome => onChangeOutcome(rule, outcome)} />
+            <button
+              onClick={() => onRemove(rule)}
+              disabled={isNodeScope && !rule.node}
+              title={isNodeScope && !rule.node ? 'Default rule: set it to allow instead' : 'Remove'}
+              className="p-1 rounded text-gray-500 hover:text-red-300 disabled:opacity-30 disabled:hover:text-gray-500"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+        {rules.length === 0 && <div className="px-3 py-2 text-xs text-gray-500">No rules</div>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        <input
+          value={draft.pattern}
+          onChange={(event) => setDraft({ ...draft, pattern: event.target.value })}
+          placeholder={section.placeholder}
+          className="flex-1 min-w-[12rem] px-2 py-1.5 bg-black/30 border border-white/10 rounded-lg font-mono text-white placeholder-gray-600"
+        />
+        <input
+          value={draft.reason}
+          onChange={(event) => setDraft({ ...draft, reason: event.target.value })}
+          placeholder="Reason"
+          className="w-48 px-2 py-1.5 bg-black/30 border border-white/10 rounded-lg text-white placeholder-gray-600"
+        />
+        <OutcomeSelect value={draft.outcome} onChange={outcome => setDraft({ ...draft, outcome })} />
+        <button
+          onClick={handleAdd}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-purple-500/20 text-purple-200 hover:bg-purple-500/30"
+        >
+          <Plus className="w-3.5 h-3.5" />
+          Add
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Safety Policy Panel Component
+ * @param {Object} props
+ * @param {string} [props.nodeReference] - Edit this node's override; omitted = the defaults
+ */
+export default function SafetyPolicyPanel({ nodeReference = null }) {
+  const protectedPaths = useSafetyPolicyStore(state => state.protectedPaths);
+  const dangerousCommands = useSafetyPolicyStore(state => state.dangerousCommands);
+  const setDefaultRules = useSafetyPolicyStore(state => state.setDefaultRules);
+  const resetDefaults = useSafetyPolicyStore(state => state.resetDefaults);
+  const setNodeOverride = useSafetyPolicyStore(state => state.setNodeOverride);
+  const clearNodeOverride = useSafetyPolicyStore(state => state.clearNodeOverride);
+  const override = useNodeSafetyOverride(nodeReference);
+  const [testCommand, setTestCommand] = useState('');
+
+  const isNodeScope = Boolean(nodeReference);
+  const policy = useMemo(() => resolveNodePolicy({
+    protectedPaths,
+    dangerousCommands,
+    nodes: override ? { [nodeReference]: override } : {}
+  }, nodeReference), [protectedPaths, dangerousCommands, override, nodeReference]);
+
+  const testDecision = testCommand.trim()
+    ? evaluateCommand(policy, REMOTE_COMMAND_TYPES.EXECUTE, { command: testCommand })
+    : null;
+
+  const nodeRules = kind => override?.[kind] || [];
+
+  const changeOutcome = (kind, rule, outcome) => {
+    if (!isNodeScope) {
+      setDefaultRules(kind, policy[kind].map(existing => (
+        existing.pattern === rule.pattern ? { ...existing, outcome } : existing
+      )));
+      return;
+    }
+    const others = nodeRules(kind).filter(existing => existing.pattern !== rule.pattern);
+    setNodeOverride(nodeReference, {
+      [kind]: [...others, { pattern: rule.pattern, reason: rule.reason, outcome }]
+    });
+  };
+
+  const removeRule = (kind, rule) => {
+    if (!isNodeScope) {
+      setDefaultRules(kind, policy[kind].filter(existing => existing.pattern !== rule.pattern));
+      return;
+    }
+    setNodeOverride(nodeReference, { [kind]: nodeRules(kind).filter(existing => existing.pattern !== rule.pattern) });
+  };
+
+  const addRule = (kind, rule) => {
+    if (isNodeScope) {
+      setNodeOverride(nodeReference, { [kind]: [...nodeRules(kind), rule] });
+    } else {
+      setDefaultRules(kind, [...policy[kind], rule]);
+    }
+  };
+
+  const handleReset = () => {
+    const message = isNodeScope
+      ? `Remove every safety override for ${nodeReference}?`
+      : 'Restore the built-in default rules? Your changes to the defaults are lost.';
+    if (!window.confirm(message)) return;
+    if (isNodeScope) {
+      clearNodeOverride(nodeReference);
+    } else {
+      resetDefaults();
+    }
+  };
+
+  return (
+    <div className="bg-white/5 rounded-xl p-6 border border-white/10">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-5">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ShieldAlert className="w-5 h-5 text-purple-400" />
+            {isNodeScope ? 'Safety Policy' : 'Default Safety Policy'}
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            {isNodeScope
+              ? 'Checked in this browser before a command is sent. Changes here apply to this node only.'
+              : 'Rules every node starts from. Nodes can override them on their Safety tab.'}
+          </p>
+        </div>
+        <button
+          onClick={handleReset}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white/5 text-gray-300 hover:bg-white/10 text-sm"
+        >
+          <RotateCcw className="w-4 h-4" />
+          {isNodeScope ? 'Use defaults' : 'Restore built-in rules'}
+        </button>
+      </div>
+
+      {isNodeScope && (
+        <label className="flex items-start gap-3 mb-6 p-4 rounded-lg bg-black/20 border border-white/10 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={policy.readOnly}
+            onChange={(event) => setNodeOverride(nodeReference, { readOnly: event.target.checked })}
+            className="mt-1"
+          />
+          <div>
+            <div className="flex items-center gap-2 text-sm text-white">
+              <Lock className="w-4 h-4 text-yellow-400" />
+              Read-only profile
+            </div>
+            <p className="text-xs text-gray-500 mt-0.5">
+              Only listing, reading, searching and system info. Every command that can change the node,
+              including execute and terminal sessions, is blocked.
+            </p>
+          </div>
+        </label>
+      )}
+
+      {SECTIONS.map(section => (
+        <RuleSection
+          key={section.kind}
+          section={section}
+          rules={policy[section.kind]}
+          isNodeScope={isNodeScope}
+          onChangeOutcome={(rule, outcome) => changeOutcome(section.kind, rule, outcome)}
+          onRemove={rule => removeRule(section.kind, rule)}
+          onAdd={rule => addRule(section.kind, rule)}
+        />
+      ))}
+
+      <h4 className="text-sm font-medium text-white mb-2">Check a command</h4>
+      <input
+        value={testCommand}
+        onChange={(event) => setTestCommand(event.target.value)}
+        placeholder="rm -rf /var/log/old"
+        className="w-full px-3 py-2 bg-black/30 border border-white/10 rounded-lg font-mono text-sm text-white placeholder-gray-600"
+      />
+      {testDecision && (
+        <div className="mt-2 text-xs">
+          <span className={clsx('font-medium', OUTCOME_STYLES[testDecision.outcome])}>{testDecision.outcome}</span>
+          {testDecision.reasons.length > 0 && (
+            <span className="text-gray-400"> - {testDecision.reasons.map(reason => reason.reason).join('; ')}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,15 +10,20 @@
  * - Handle authentication requirements
  * - Display execution time for performance monitoring
  * 
- * Dependencies: useRemoteManagement hook, lucide-react icons
+ * Dependencies: useRemoteManagement hook, useNodeCapabilities hook,
+ * lucide-react icons
  * 
  * ⚠️ Important Notes:
  * - All commands use remote_command API (not terminal)
  * - Must wait for isRemoteAuthenticated before loading
  * - Execution time displayed for monitoring
  * - Auto-refresh with configurable intervals
+ * - Loads pass an AbortSignal to getSystemInfo(); Cancel (and unmount,
+ *   or a newer load) sends remote_command_cancel for the running one
+ * - Nodes whose agent lacks system_info get an upgrade notice instead of
+ *   a load (useNodeCapabilities)
  * 
- * Last Modified: v5.0.0 - Production complete
+ * Last Modified: v5.2.0 - Upgrade notice for agents without system_info
  * ============================================
  */
 
@@ -43,9 +48,12 @@ import {
   Shield,
   Thermometer,
   Terminal,
-  Settings
+  Settings,
+  X
 } from 'lucide-react';
 import clsx from 'clsx';
+import { useNodeCapabilities } from '../../hooks/useNodeCapabilities';
+import { REMOTE_COMMAND_TYPES } from '../../lib/constants/remoteCommands';
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -107,6 +115,9 @@ export default function SystemInfo({
   const previousMetricsRef = useRef(null);
   const hasLoadedRef = useRef(false);
 
+  const { getUnsupportedReason } = useNodeCapabilities(nodeReference);
+  const unsupportedReason = getUnsupportedReason(REMOTE_COMMAND_TYPES.SYSTEM_INFO);
+
   // ==================== UTILITIES ====================
   
   const calculateTrend = useCallback((current, previous) => {
@@ -146,6 +157,10 @@ export default function SystemInfo({
       return;
     }
     
+    if (unsupportedReason) {
+      return;
+    }
+    
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
@@ -162,7 +177,7 @@ export default function SystemInfo({
     try {
       console.log('[SystemInfo] Loading system information...');
       
-      const result = await getSystemInfo();
+      const result = await getSystemInfo({ signal });
       
       if (signal.aborted) return;
       
@@ -278,9 +293,21 @@ export default function SystemInfo({
       if (isMountedRef.current && !signal.aborted) {
         setLoading(false);
       }
+      // A newer load may already own the ref
+      if (abortControllerRef.current?.signal === signal) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, [getSystemInfo, isRemoteAuthenticated, unsupportedReason, calculateTrend]);
+
+  const cancelLoad = useCallback(() => {
+    if (abortControllerRef.current) {
+      console.log('[SystemInfo] Cancelling system info load');
+      abortControllerRef.current.abort();
       abortControllerRef.current = null;
     }
-  }, [getSystemInfo, isRemoteAuthenticated, calculateTrend]);
+    setLoading(false);
+  }, []);
 
   // ==================== AUTO-REFRESH ====================
   
@@ -356,6 +383,21 @@ export default function SystemInfo({
     );
   }
 
+  // Agent without system_info
+  if (unsupportedReason) {
+    return (
+      <div className="flex items-center justify-center h-full p-6">
+        <div className="text-center max-w-2xl">
+          <div className="w-20 h-20 bg-yellow-500/10 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <AlertCircle className="w-10 h-10 text-yellow-400" />
+          </div>
+          <h3 className="text-2xl font-semibold text-white mb-3">Agent Upgrade Required</h3>
+          <p className="text-gray-400">{unsupportedReason}</p>
+        </div>
+      </div>
+    );
+  }
+
   // Loading state
   if (loading && !info) {
     return (
@@ -363,6 +405,12 @@ export default function SystemInfo({
         <div className="text-center">
           <Loader2 className="w-12 h-12 text-purple-400 animate-spin mx-auto mb-4" />
           <p className="text-gray-400">Loading system information...</p>
+          <button
+            onClick={cancelLoad}
+            className="mt-4 px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-sm text-gray-400"
+          >
+            Cancel
+          </button>
         </div>
       </div>
     );
@@ -460,6 +508,17 @@ export default function SystemInfo({
             )}
           </div>
           
+          {/* Cancel running load */}
+          {loading && (
+            <button
+              onClick={cancelLoad}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+              title="Cancel"
+            >
+              <X className="w-4 h-4 text-gray-400" />
+            </button>
+          )}
+          
           {/* Manual refresh */}
           <button
             onClick={loadSystemInfo}
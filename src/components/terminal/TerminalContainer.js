@@ -7,7 +7,8 @@
  * Creation Reason: Container for terminal business logic
  * Modification Reason: Improved error handling and lifecycle management
  * Main Functionality: Manage terminal session lifecycle and state
- * Dependencies: TerminalUI, terminalStore, terminalService
+ * Dependencies: TerminalUI, terminalStore, terminalService, SafetyPolicyService,
+ * useNodeCapabilities
  * 
  * Main Logical Flow:
  * 1. Check WebSocket and node availability before initialization
@@ -20,8 +21,12 @@
  * - Terminal UI must be ready before sending initialization
  * - Session cleanup is critical to prevent memory leaks
  * - Always use refs for async operations to prevent state updates on unmounted components
+ * - Pasted text (any multi-character input that is not an escape
+ *   sequence) passes the safety policy before it is sent; typed keys do not
+ * - A node whose agent reports no terminal support is never connected;
+ *   the overlay shows the upgrade message instead of a retry
  * 
- * Last Modified: v2.0.0 - Improved initialization and error handling
+ * Last Modified: v2.2.0 - Upgrade notice for agents without terminal support
  * ============================================
  */
 
@@ -46,6 +51,18 @@ import clsx from 'clsx';
 import TerminalUI from './TerminalUI';
 import useTerminalStore from '../../stores/terminalStore';
 import terminalService from '../../services/TerminalService';
+import safetyPolicyService from '../../services/SafetyPolicyService';
+import { ERROR_CODES } from '../../lib/utils/remoteCommandErrors';
+import { NODE_FEATURES } from '../../lib/utils/nodeCapabilities';
+import { useNodeCapabilities } from '../../hooks/useNodeCapabilities';
+
+/**
+ * Keystrokes arrive one character (or one escape sequence) at a time;
+ * anything longer is a paste
+ */
+function isPastedInput(data) {
+  return data.length > 1 && !data.startsWith('\x1b');
+}
 
 /**
  * Terminal Container Component
@@ -110,6 +127,9 @@ export default function TerminalContainer({
   const node = nodes[nodeReference];
   const isNodeOnline = node && (node.status === 'online' || node.status === 'active');
   
+  const { getUnsupportedReason } = useNodeCapabilities(nodeReference);
+  const unsupportedReason = getUnsupportedReason(NODE_FEATURES.TERMINAL);
+  
   // ==================== Session Management ====================
   
   /**
@@ -137,6 +157,11 @@ export default function TerminalContainer({
       return;
     }
     
+    // Check the node's agent has terminal sessions
+    if (unsupportedReason) {
+      return;
+    }
+    
     // Check WebSocket connection
     if (!wsState.authenticated) {
       setConnectionError('WebSocket not authenticated. Please wait...');
@@ -228,7 +253,7 @@ export default function TerminalContainer({
         }
       }
     }
-  }, [nodeReference, sessionId, isNodeOnline, wsState.authenticated, terminalReady, createSession, getSession, onError]);
+  }, [nodeReference, sessionId, isNodeOnline, unsupportedReason, wsState.authenticated, terminalReady, createSession, getSession, onError]);
   
   /**
    * Handle session output
@@ -304,9 +329,20 @@ export default function TerminalContainer({
       return;
     }
     
-    // Send input through store (which handles service layer)
-    sendInput(sessionInfo.sessionId, data);
-  }, [isConnected, sessionInfo, sendInput]);
+    if (!isPastedInput(data)) {
+      // Send input through store (which handles service layer)
+      sendInput(sessionInfo.sessionId, data);
+      return;
+    }
+
+    safetyPolicyService.authorizeTerminalInput(nodeReference, data)
+      .then(() => sendInput(sessionInfo.sessionId, data))
+      .catch((error) => {
+        if (!terminalUIRef.current) return;
+        const message = error?.code === ERROR_CODES.CANCELLED ? 'Paste not confirmed' : error?.message;
+        terminalUIRef.current.write(`\r\n\x1b[31m● ${message || 'Paste rejected'}\x1b[0m\r\n`);
+      });
+  }, [isConnected, sessionInfo, sendInput, nodeReference]);
   
   /**
    * Handle terminal resize
@@ -643,8 +679,19 @@ export default function TerminalContainer({
       
       {/* Terminal Content */}
       <div className="flex-1 relative">
+        {/* Agent Upgrade Overlay */}
+        {unsupportedReason && (
+          <div className="absolute inset-0 bg-black/80 backdrop-blur-sm z-10 flex items-center justify-center">
+            <div className="text-center p-6 max-w-md">
+              <AlertCircle className="w-12 h-12 text-yellow-400 mx-auto mb-4" />
+              <p className="text-white font-medium mb-2">Agent upgrade required</p>
+              <p className="text-gray-400 text-sm">{unsupportedReason}</p>
+            </div>
+          </div>
+        )}
+        
         {/* Error Overlay */}
-        {connectionError && (
+        {connectionError && !unsupportedReason && (
           <div className="absolute inset-0 bg-black/80 backdrop-blur-sm z-10 flex items-center justify-center">
             <div className="text-center p-6 max-w-md">
               <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
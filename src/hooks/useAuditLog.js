@@ -0,0 +1,137 @@
+/**
+ * ============================================
+ * File: src/hooks/useAuditLog.js
+ * ============================================
+ * Audit Log Hook
+ *
+ * Creation Reason: React binding for AuditLogService (node detail viewer)
+ * Main Functionality: filtered entries for one node, live while open,
+ * "load more", CSV / JSON export and clear
+ * Dependencies: AuditLogService, lib/utils/auditLog, useFanOut (downloadText)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Search is debounced by SEARCH_DEBOUNCE_MS; the other filters query
+ *   immediately
+ * - New entries are prepended without a query when they match the filter
+ * - Export re-queries with EXPORT_LIMIT, so it is not capped by the page
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import auditLogService from '../services/AuditLogService';
+import { matchesAuditFilter } from '../lib/utils/auditLog';
+import { downloadText } from './useFanOut';
+
+const PAGE_SIZE = 200;
+const EXPORT_LIMIT = 100000;
+const SEARCH_DEBOUNCE_MS = 250;
+
+export const EMPTY_AUDIT_FILTER = {
+  types: [],
+  statuses: [],
+  from: null,
+  to: null,
+  search: ''
+};
+
+/**
+ * Audit Log Hook
+ * @param {string} nodeReference - Node whose entries are shown
+ * @returns {Object} { entries, filter, setFilter, loading, error, hasMore, loadMore, exportEntries, clear, reload }
+ */
+export function useAuditLog(nodeReference) {
+  const [filter, setFilter] = useState(EMPTY_AUDIT_FILTER);
+  const [search, setSearch] = useState('');
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(filter.search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filter.search]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Search comes from the debounced copy, not filter.search
+    const query = {
+      nodeReference,
+      types: filter.types,
+      statuses: filter.statuses,
+      from: filter.from,
+      to: filter.to,
+      search
+    };
+
+    setLoading(true);
+    auditLogService.query(query, { limit })
+      .then((result) => {
+        if (!cancelled) {
+          setEntries(result);
+          setError(null);
+        }
+      })
+      .catch((queryError) => {
+        if (!cancelled) setError(queryError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    const handleEntry = (entry) => {
+      if (matchesAuditFilter(entry, query)) {
+        setEntries(current => [entry, ...current].slice(0, limit));
+      }
+    };
+    const handleCleared = () => setReloadKey(value => value + 1);
+
+    auditLogService.on('entry', handleEntry);
+    auditLogService.on('cleared', handleCleared);
+    return () => {
+      cancelled = true;
+      auditLogService.off('entry', handleEntry);
+      auditLogService.off('cleared', handleCleared);
+    };
+  }, [nodeReference, filter.types, filter.statuses, filter.from, filter.to, search, limit, reloadKey]);
+
+  const loadMore = useCallback(() => setLimit(value => value + PAGE_SIZE), []);
+
+  const reload = useCallback(() => setReloadKey(value => value + 1), []);
+
+  /**
+   * Download every matching entry
+   * @param {'json'|'csv'} format
+   */
+  const exportEntries = useCallback(async (format = 'csv') => {
+    const matching = await auditLogService.query({ ...filter, nodeReference }, { limit: EXPORT_LIMIT });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(
+      auditLogService.exportEntries(matching, format),
+      `aeronyx-audit-${nodeReference}-${stamp}.${format}`,
+      format === 'csv' ? 'text/csv' : 'application/json'
+    );
+  }, [filter, nodeReference]);
+
+  const clear = useCallback(() => auditLogService.clear(nodeReference), [nodeReference]);
+
+  return {
+    entries,
+    filter,
+    setFilter,
+    loading,
+    error,
+    hasMore: entries.length >= limit,
+    loadMore,
+    exportEntries,
+    clear,
+    reload
+  };
+}
+
+export default useAuditLog;
@@ -0,0 +1,76 @@
+/**
+ * ============================================
+ * File: src/hooks/useConnectionTelemetry.js
+ * ============================================
+ * Connection Telemetry Hook
+ *
+ * Creation Reason: React binding for WebSocketService link telemetry
+ * Main Functionality: RTT, jitter, reconnect count, quality grade, rolling
+ * history and a live "time since last message"
+ * Dependencies: WebSocketService, lib/utils/connectionTelemetry
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Measurements change once per pong (PING_INTERVAL); only the
+ *   sinceLastMessage counter ticks every TICK_MS
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import webSocketService from '../services/WebSocketService';
+
+const TICK_MS = 1000;
+
+/**
+ * Format a duration for compact status displays
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. "42 ms", "3s", "2m"
+ */
+export function formatTelemetryDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+/**
+ * Connection Telemetry Hook
+ * @returns {Object} Telemetry snapshot plus sinceLastMessage (ms)
+ */
+export function useConnectionTelemetry() {
+  const [telemetry, setTelemetry] = useState(() => webSocketService.getTelemetry());
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const handleTelemetry = (snapshot) => setTelemetry(snapshot);
+    webSocketService.on('telemetry', handleTelemetry);
+
+    // Catch up on samples taken before mounting
+    setTelemetry(webSocketService.getTelemetry());
+
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      // lastMessageAt changes on every frame; read it without an event
+      setTelemetry(current =>
+        current.lastMessageAt === webSocketService.telemetry.lastMessageAt
+          ? current
+          : { ...current, lastMessageAt: webSocketService.telemetry.lastMessageAt }
+      );
+    }, TICK_MS);
+
+    return () => {
+      webSocketService.off('telemetry', handleTelemetry);
+      clearInterval(interval);
+    };
+  }, []);
+
+  return {
+    ...telemetry,
+    sinceLastMessage: telemetry.lastMessageAt ? Math.max(0, now - telemetry.lastMessageAt) : null
+  };
+}
+
+export default useConnectionTelemetry;
@@ -0,0 +1,71 @@
+/**
+ * ============================================
+ * File: src/hooks/useDownloads.js
+ * ============================================
+ * Downloads Hook
+ *
+ * Creation Reason: React binding for DownloadService (streaming downloads)
+ * Main Functionality: Live download list for one node plus start / cancel
+ * Dependencies: DownloadService, fileSink
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - startDownload() opens the save picker where supported, so call it
+ *   directly from a click handler (user gesture)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import downloadService, { DOWNLOAD_STATE } from '../services/DownloadService';
+import { createFileSink } from '../lib/utils/fileSink';
+
+const FINISHED_STATES = [DOWNLOAD_STATE.COMPLETED, DOWNLOAD_STATE.FAILED, DOWNLOAD_STATE.CANCELLED];
+
+/**
+ * Downloads Hook
+ * @param {string|null} nodeReference - Only list this node's downloads (null = all)
+ * @returns {Object} { downloads, activeCount, startDownload, cancel, clearFinished }
+ */
+export function useDownloads(nodeReference = null) {
+  const [downloads, setDownloads] = useState(() => downloadService.getDownloads(nodeReference));
+
+  useEffect(() => {
+    const refresh = () => setDownloads(downloadService.getDownloads(nodeReference));
+
+    downloadService.on('progress', refresh);
+    downloadService.on('stateChange', refresh);
+    refresh();
+
+    return () => {
+      downloadService.off('progress', refresh);
+      downloadService.off('stateChange', refresh);
+    };
+  }, [nodeReference]);
+
+  /**
+   * @param {string} path - File on the node
+   * @param {Object} options - { sink, chunkSize }; default sink asks where to save
+   * @returns {Promise<{id, done}>} Rejects with CANCELLED if the picker is dismissed
+   */
+  const startDownload = useCallback(async (path, options = {}) => {
+    const sink = options.sink || await createFileSink(path.split('/').pop());
+    const id = downloadService.startDownload({ ...options, nodeReference, path, sink });
+    return { id, done: downloadService.waitForDownload(id) };
+  }, [nodeReference]);
+
+  const cancel = useCallback((id) => downloadService.cancel(id), []);
+  const clearFinished = useCallback(() => downloadService.clearFinished(), []);
+
+  return {
+    downloads,
+    activeCount: downloads.filter(download => !FINISHED_STATES.includes(download.state)).length,
+    startDownload,
+    cancel,
+    clearFinished
+  };
+}
+
+export default useDownloads;
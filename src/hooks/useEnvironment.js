@@ -0,0 +1,53 @@
+/**
+ * ============================================
+ * File: src/hooks/useEnvironment.js
+ * ============================================
+ * Environment Profile Hook
+ *
+ * Creation Reason: React binding for EnvironmentService
+ * Main Functionality: Active profile, profile list and switching
+ * Dependencies: EnvironmentService
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import environmentService from '../services/EnvironmentService';
+import { ENVIRONMENT_PROFILES, DEFAULT_ENVIRONMENT_ID } from '../lib/utils/environment';
+
+/**
+ * Environment Profile Hook
+ * @returns {Object} { environment, profiles, switchEnvironment }
+ */
+export function useEnvironment() {
+  // Build default first so the server-rendered markup matches
+  const [environment, setEnvironment] = useState(ENVIRONMENT_PROFILES[DEFAULT_ENVIRONMENT_ID]);
+
+  useEffect(() => {
+    const handleChange = ({ environment: next }) => setEnvironment(next);
+    environmentService.on('environmentChange', handleChange);
+
+    // Persisted profile (localStorage is only readable on the client)
+    setEnvironment(environmentService.getEnvironment());
+
+    return () => {
+      environmentService.off('environmentChange', handleChange);
+    };
+  }, []);
+
+  const switchEnvironment = useCallback(
+    (id) => environmentService.switchEnvironment(id),
+    []
+  );
+
+  return {
+    environment,
+    profiles: environmentService.getProfiles(),
+    switchEnvironment
+  };
+}
+
+export default useEnvironment;
@@ -0,0 +1,191 @@
+/**
+ * ============================================
+ * File: src/hooks/useExecutionConsole.js
+ * ============================================
+ * Execution Console Hook
+ *
+ * Creation Reason: React binding for streamed executes
+ * (RemoteNodeClient.streamCommand / RemoteExecution) in the RemoteManagement
+ * console tab
+ * Main Functionality: run one command at a time with live stdout / stderr
+ * (AnsiOutput), kill it, detach it into a background job, command history
+ * Dependencies: JobService (adoptExecution), lib/utils/ansi,
+ * lib/remote/RemoteExecution
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Output lines are kept in one AnsiOutput for the whole console; each
+ *   run adds a 'command' line before and a 'status' line after its output
+ * - Re-renders are coalesced per animation frame, like useFanOut
+ * - A detached run keeps streaming into the console while it is mounted.
+ *   Unmounting with a run still attached detaches it, so closing the modal
+ *   never leaves a process running unseen
+ * - History keeps the command text only, not the options it ran with
+ *
+ * Last Modified: v1.1.0 - run() takes execute options
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import jobService from '../services/JobService';
+import { AnsiOutput } from '../lib/utils/ansi';
+import { EXECUTION_STATE } from '../lib/remote/RemoteExecution';
+import { createExecuteRequest, formatCommandLine, describeExecuteOptions } from '../lib/remote/executeRequest';
+
+const CONSOLE_CONFIG = {
+  HISTORY_SIZE: 50
+};
+
+export const CONSOLE_LINE_STREAMS = {
+  COMMAND: 'command',
+  STATUS: 'status'
+};
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Status line text for a finished run
+ */
+function describeEnd({ state, result, error }) {
+  if (state === EXECUTION_STATE.EXITED) {
+    return `exit ${result.exit_code ?? '?'} · ${formatDuration(result.duration_ms)}`;
+  }
+  if (state === EXECUTION_STATE.KILLED) {
+    return 'killed';
+  }
+  return `failed: ${error?.message || 'Command failed'}`;
+}
+
+/**
+ * Execution Console Hook
+ * @param {Function} streamCommand - (command, args, options) => RemoteExecution (useRemoteManagement)
+ * @returns {Object} { output, execution, isRunning, jobId, lastEnd, history, run, kill, detach, clear }
+ */
+export function useExecutionConsole(streamCommand) {
+  const outputRef = useRef(null);
+  if (!outputRef.current) {
+    outputRef.current = new AnsiOutput();
+  }
+
+  const [execution, setExecution] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [lastEnd, setLastEnd] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [, setVersion] = useState(0);
+  const executionRef = useRef(null);
+  const jobIdRef = useRef(null);
+  const scheduledRef = useRef(null);
+
+  // Re-render on output, at most once per animation frame
+  const bump = useCallback(() => {
+    if (scheduledRef.current !== null) return;
+    const schedule = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame
+      : (callback) => setTimeout(callback, 16);
+    scheduledRef.current = schedule(() => {
+      scheduledRef.current = null;
+      setVersion(value => value + 1);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!execution) return undefined;
+
+    const output = outputRef.current;
+    const handleOutput = ({ stream, data }) => {
+      output.append(stream, data);
+      bump();
+    };
+    const handleEnd = (end) => {
+      output.resetStreams();
+      output.append(CONSOLE_LINE_STREAMS.STATUS, `${describeEnd(end)}\n`);
+      setLastEnd(end);
+      bump();
+    };
+
+    execution.on('output', handleOutput);
+    execution.on('end', handleEnd);
+    return () => {
+      execution.off('output', handleOutput);
+      execution.off('end', handleEnd);
+    };
+  }, [execution, bump]);
+
+  const detach = useCallback(() => {
+    const current = executionRef.current;
+    if (!current || !current.isRunning || jobIdRef.current) return null;
+
+    const job = jobService.adoptExecution(current, { label: `$ ${current.command}` });
+    jobIdRef.current = job.id;
+    setJobId(job.id);
+    return job;
+  }, []);
+
+  // Closing the console hands a running command to the jobs drawer
+  useEffect(() => () => {
+    detach();
+  }, [detach]);
+
+  /**
+   * Start a command; ignored while one is running
+   * @param {string} command - Command line (program in direct mode)
+   * @param {Object} [options] - Execute options (lib/remote/executeRequest fields)
+   * @returns {RemoteExecution|null}
+   */
+  const run = useCallback((command, options = {}) => {
+    const line = command.trim();
+    if (!line || executionRef.current?.isRunning) return null;
+
+    const request = createExecuteRequest({ ...options, command: line });
+    const summary = describeExecuteOptions(request);
+    const output = outputRef.current;
+    output.resetStreams();
+    output.append(CONSOLE_LINE_STREAMS.COMMAND, `$ ${formatCommandLine(request)}${summary ? `   [${summary}]` : ''}\n`);
+    setHistory(previous => [line, ...previous.filter(entry => entry !== line)].slice(0, CONSOLE_CONFIG.HISTORY_SIZE));
+
+    const next = streamCommand(line, request.args, options);
+    executionRef.current = next;
+    jobIdRef.current = null;
+    setJobId(null);
+    setLastEnd(null);
+    setExecution(next);
+    bump();
+    return next;
+  }, [streamCommand, bump]);
+
+  const kill = useCallback(() => {
+    const current = executionRef.current;
+    if (!current?.isRunning) return;
+
+    // A detached run is the job's: cancel it there so the job says so
+    if (jobIdRef.current) {
+      jobService.cancel(jobIdRef.current);
+    } else {
+      current.kill();
+    }
+  }, []);
+
+  const clear = useCallback(() => {
+    outputRef.current.clear();
+    bump();
+  }, [bump]);
+
+  return {
+    output: outputRef.current,
+    execution,
+    isRunning: !!execution?.isRunning,
+    jobId,
+    lastEnd,
+    history,
+    run,
+    kill,
+    detach,
+    clear
+  };
+}
+
+export default useExecutionConsole;
@@ -0,0 +1,214 @@
+/**
+ * ============================================
+ * File: src/hooks/useFanOut.js
+ * ============================================
+ * Fan-out Hook
+ *
+ * Creation Reason: React binding for FanOutRun (one command on many nodes)
+ * Main Functionality: start / cancel / retry a run, live per-node results,
+ * identical-output groups and JSON / CSV export
+ * Dependencies: FanOutRun, RemoteNodeClient, WebSocketService,
+ * RemoteAuthService, useSignature
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Remote auth happens per node inside the run, with the one cached
+ *   wallet signature (asked for at most once per run)
+ * - Node updates are coalesced into one render per animation frame
+ * - The run is cancelled when the component unmounts
+ *
+ * Last Modified: v1.1.0 - Share the run authenticator and downloadText
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import webSocketService from '../services/WebSocketService';
+import remoteAuthService from '../services/RemoteAuthService';
+import auditLogService from '../services/AuditLogService';
+import safetyPolicyService from '../services/SafetyPolicyService';
+import capabilityService from '../services/CapabilityService';
+import { RemoteNodeClient } from '../lib/remote/RemoteNodeClient';
+import { FanOutRun, FAN_OUT_RUN_STATE } from '../lib/remote/FanOutRun';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+import { useSignature } from './useSignature';
+
+/**
+ * Offer text as a file download
+ */
+export function downloadText(text, name, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Authenticator factory for multi-node runs
+ * Each authenticator does remote_auth per node, signing at most once
+ * @param {string} purpose - useSignature purpose
+ * @returns {Function} () => (nodeReference) => Promise
+ */
+export function useRunAuthenticator(purpose) {
+  const { ensureSignature, walletAddress, walletType } = useSignature(purpose);
+
+  return useCallback(() => {
+    let signaturePromise = null;
+
+    return async (nodeReference) => {
+      if (remoteAuthService.isAuthenticated(nodeReference)) {
+        return;
+      }
+
+      signaturePromise = signaturePromise || ensureSignature();
+      const signatureData = await signaturePromise;
+      if (!signatureData?.signature || !signatureData?.message) {
+        throw new RemoteCommandError(ERROR_CODES.AUTH_FAILED, 'Failed to obtain wallet signature');
+      }
+
+      const authResult = await remoteAuthService.authenticate({
+        nodeReference,
+        walletAddress,
+        signature: signatureData.signature,
+        message: signatureData.message,
+        walletType
+      });
+      if (!authResult.success) {
+        throw new RemoteCommandError(authResult.code || ERROR_CODES.AUTH_FAILED, authResult.error || 'Authentication failed');
+      }
+    };
+  }, [ensureSignature, walletAddress, walletType]);
+}
+
+/**
+ * Fan-out Hook
+ * @returns {Object} { run, results, groups, summary, runState, error, startRun, cancel, retryFailed, retryNodes, exportResults, reset }
+ */
+export function useFanOut() {
+  const createAuthenticator = useRunAuthenticator('fanOut');
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [, setVersion] = useState(0);
+  const runRef = useRef(null);
+
+  // Re-render on run activity, at most once per animation frame
+  useEffect(() => {
+    if (!run) return undefined;
+
+    let scheduled = null;
+    const bump = () => {
+      if (scheduled !== null) return;
+      const schedule = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : (callback) => setTimeout(callback, 16);
+      scheduled = schedule(() => {
+        scheduled = null;
+        setVersion(value => value + 1);
+      });
+    };
+
+    run.on('nodeUpdate', bump);
+    run.on('stateChange', bump);
+    return () => {
+      run.off('nodeUpdate', bump);
+      run.off('stateChange', bump);
+    };
+  }, [run]);
+
+  useEffect(() => () => runRef.current?.cancel(), []);
+
+  const settle = useCallback((promise) => {
+    promise.catch((runError) => setError(runError.message));
+    return promise;
+  }, []);
+
+  /**
+   * Start a run
+   * @param {Object} options - { nodeReferences, type, command, concurrency }
+   * @returns {Promise<Object[]>|null} Node results, or null when the options are invalid
+   */
+  const startRun = useCallback(({ nodeReferences, type, command, concurrency }) => {
+    runRef.current?.cancel();
+    setError(null);
+
+    let nextRun;
+    try {
+      nextRun = new FanOutRun({
+        nodeReferences,
+        command: { type, command },
+        concurrency,
+        authenticate: createAuthenticator(),
+        createClient: (nodeReference) => new RemoteNodeClient(webSocketService, nodeReference, {
+          auth: remoteAuthService,
+          audit: auditLogService,
+          safety: safetyPolicyService,
+          capabilities: capabilityService,
+          debug: false
+        })
+      });
+    } catch (runError) {
+      setError(runError.message);
+      return null;
+    }
+
+    runRef.current = nextRun;
+    setRun(nextRun);
+    return settle(nextRun.start());
+  }, [createAuthenticator, settle]);
+
+  const cancel = useCallback(() => runRef.current?.cancel(), []);
+
+  const retryNodes = useCallback((nodeReferences) => {
+    if (!runRef.current || runRef.current.state === FAN_OUT_RUN_STATE.RUNNING) return null;
+    setError(null);
+    runRef.current.authenticate = createAuthenticator();
+    return settle(runRef.current.retry(nodeReferences));
+  }, [createAuthenticator, settle]);
+
+  const retryFailed = useCallback(() => retryNodes(null), [retryNodes]);
+
+  /**
+   * Download the aggregate
+   * @param {'json'|'csv'} format
+   */
+  const exportResults = useCallback((format = 'json') => {
+    const current = runRef.current;
+    if (!current) return;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') {
+      downloadText(current.toCSV(), `aeronyx-fanout-${stamp}.csv`, 'text/csv');
+    } else {
+      downloadText(JSON.stringify(current.toJSON(), null, 2), `aeronyx-fanout-${stamp}.json`, 'application/json');
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    runRef.current?.cancel();
+    runRef.current = null;
+    setRun(null);
+    setError(null);
+  }, []);
+
+  return {
+    run,
+    results: run ? run.getResults() : [],
+    groups: run ? run.getGroups() : [],
+    summary: run ? run.getSummary() : null,
+    runState: run ? run.state : FAN_OUT_RUN_STATE.IDLE,
+    error,
+    startRun,
+    cancel,
+    retryFailed,
+    retryNodes,
+    exportResults,
+    reset
+  };
+}
+
+export default useFanOut;
@@ -0,0 +1,130 @@
+/**
+ * ============================================
+ * File: src/hooks/useFrameInspector.js
+ * ============================================
+ * Frame Inspector Hook
+ *
+ * Creation Reason: React binding for the FrameRecorder service
+ * Main Functionality: Filtered frame list, recording toggle, export and
+ * capture replay through the fake transport
+ * Dependencies: FrameRecorder, WebSocketService, lib/transport
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Frame bursts (status_update, term_output) are coalesced into one
+ *   render per animation frame
+ * - Replay swaps the WebSocketService transport for the whole page;
+ *   stopReplay() restores the default transport
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import frameRecorder from '../services/FrameRecorder';
+import webSocketService from '../services/WebSocketService';
+import { createFakeTransport, getDefaultTransport } from '../lib/transport';
+
+/**
+ * Frame Inspector Hook
+ * @param {Object} filter - { types: string[], nodeReference, direction }
+ * @returns {Object} Frames and inspector controls
+ */
+export function useFrameInspector(filter = {}) {
+  const [enabled, setEnabled] = useState(frameRecorder.enabled);
+  const [, setVersion] = useState(0);
+  const [replaying, setReplaying] = useState(webSocketService.transport?.name === 'replay');
+
+  // Re-render on recorder activity, at most once per animation frame
+  useEffect(() => {
+    let scheduled = null;
+    const bump = () => {
+      if (scheduled !== null) return;
+      const schedule = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : (callback) => setTimeout(callback, 16);
+      scheduled = schedule(() => {
+        scheduled = null;
+        setVersion(value => value + 1);
+      });
+    };
+    const handleState = ({ enabled: isEnabled }) => setEnabled(isEnabled);
+
+    frameRecorder.on('frame', bump);
+    frameRecorder.on('correlated', bump);
+    frameRecorder.on('cleared', bump);
+    frameRecorder.on('stateChange', handleState);
+
+    return () => {
+      frameRecorder.off('frame', bump);
+      frameRecorder.off('correlated', bump);
+      frameRecorder.off('cleared', bump);
+      frameRecorder.off('stateChange', handleState);
+    };
+  }, []);
+
+  const { types, nodeReference, direction } = filter;
+
+  // Recomputed per render; renders are already throttled above
+  const frames = frameRecorder.getFrames({ types, nodeReference, direction });
+  const facets = frameRecorder.getFacets();
+
+  const findFrame = useCallback(
+    (id) => frameRecorder.records.find(record => record.id === id) || null,
+    []
+  );
+
+  const toggleRecording = useCallback(() => frameRecorder.toggle(), []);
+  const clear = useCallback(() => frameRecorder.clear(), []);
+
+  /**
+   * Download the (filtered) capture as a JSON file
+   */
+  const exportCapture = useCallback(() => {
+    const capture = frameRecorder.exportCapture({ types, nodeReference, direction });
+    const blob = new Blob([JSON.stringify(capture, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `aeronyx-capture-${capture.exported_at.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return capture;
+  }, [types, nodeReference, direction]);
+
+  /**
+   * Replay a capture file through the fake transport
+   * @param {File|string} source - File from an <input type="file"> or JSON text
+   */
+  const startReplay = useCallback(async (source) => {
+    const text = typeof source === 'string' ? source : await source.text();
+    webSocketService.setTransport(createFakeTransport({ capture: text }));
+    webSocketService.reconnect();
+    setReplaying(true);
+  }, []);
+
+  const stopReplay = useCallback(() => {
+    webSocketService.setTransport(getDefaultTransport());
+    webSocketService.reconnect();
+    setReplaying(false);
+  }, []);
+
+  return {
+    frames,
+    facets,
+    enabled,
+    replaying,
+    totalFrames: frameRecorder.records.length,
+    findFrame,
+    toggleRecording,
+    clear,
+    exportCapture,
+    startReplay,
+    stopReplay
+  };
+}
+
+export default useFrameInspector;
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * File: src/hooks/useJobs.js
+ * ============================================
+ * Background Jobs Hook
+ *
+ * Creation Reason: React binding for JobService (jobs drawer, header badge,
+ * components that start jobs)
+ * Main Functionality: live job list, active count, start / cancel /
+ * dismiss / clear, batch jobs and retry of their failed items
+ * Dependencies: JobService, lib/remote/batchOperation (report export),
+ * useFanOut (downloadText)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Jobs outlive the component; unmounting does not cancel them
+ * - With nodeReference only that node's jobs are returned
+ *
+ * Last Modified: v1.1.0 - startBatchJob / retryFailed
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import jobService, { JOB_STATE } from '../services/JobService';
+import { batchReportToCSV, batchReportToJSON } from '../lib/remote/batchOperation';
+import { downloadText } from './useFanOut';
+
+/**
+ * Background Jobs Hook
+ * @param {string} [nodeReference] - Only this node's jobs
+ * @returns {Object} { jobs, activeCount, startJob, trackJob, startBatchJob, retryFailed, whenFinished,
+ *   cancelJob, dismissJob, clearFinished, exportReport }
+ */
+export function useJobs(nodeReference = null) {
+  // Filled in the effect: the server render has no saved jobs
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => setJobs(jobService.getJobs());
+
+    jobService.on('stateChange', refresh);
+    jobService.on('progress', refresh);
+    jobService.on('removed', refresh);
+    refresh();
+
+    return () => {
+      jobService.off('stateChange', refresh);
+      jobService.off('progress', refresh);
+      jobService.off('removed', refresh);
+    };
+  }, []);
+
+  const visible = nodeReference ? jobs.filter(job => job.nodeReference === nodeReference) : jobs;
+
+  const startJob = useCallback((job) => jobService.startJob(job), []);
+  const trackJob = useCallback((job, executor) => jobService.trackJob(job, executor), []);
+  const startBatchJob = useCallback((batch) => jobService.startBatchJob(batch), []);
+  const retryFailed = useCallback((id) => jobService.retryFailed(id), []);
+  const whenFinished = useCallback((id) => jobService.whenFinished(id), []);
+  const cancelJob = useCallback((id) => jobService.cancel(id), []);
+  const dismissJob = useCallback((id) => jobService.dismiss(id), []);
+  const clearFinished = useCallback(() => jobService.clearFinished(), []);
+
+  /**
+   * Download a batch job's per-item report
+   * @param {Object} job - Job snapshot with a batch report result
+   * @param {'json'|'csv'} format
+   */
+  const exportReport = useCallback((job, format = 'json') => {
+    const stamp = new Date(job.startedAt).toISOString().replace(/[:.]/g, '-');
+    const name = `aeronyx-${job.commandType}-${job.nodeReference}-${stamp}`;
+    if (format === 'csv') {
+      downloadText(batchReportToCSV(job.result), `${name}.csv`, 'text/csv');
+    } else {
+      const report = batchReportToJSON(job.result, {
+        node_reference: job.nodeReference,
+        command: job.commandType,
+        destination: job.params.destination || null,
+        truncated: Boolean(job.result.truncated)
+      });
+      downloadText(JSON.stringify(report, null, 2), `${name}.json`, 'application/json');
+    }
+  }, []);
+
+  return {
+    jobs: visible,
+    activeCount: visible.filter(job => job.state === JOB_STATE.RUNNING || job.state === JOB_STATE.DETACHED).length,
+    startJob,
+    trackJob,
+    startBatchJob,
+    retryFailed,
+    whenFinished,
+    cancelJob,
+    dismissJob,
+    clearFinished,
+    exportReport
+  };
+}
+
+export default useJobs;
@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * File: src/hooks/useNodeCapabilities.js
+ * ============================================
+ * Node Capabilities Hook
+ *
+ * Creation Reason: React binding for CapabilityService (FileManager,
+ * SystemInfo, TerminalContainer disable what the node's agent lacks)
+ * Main Functionality: the node's capabilities, kept current while mounted;
+ * getUnsupportedReason() for buttons and banners
+ * Dependencies: CapabilityService
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Mounting watches the node: it is queried after each remote
+ *   authentication. Until it answers everything counts as supported
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import capabilityService from '../services/CapabilityService';
+import { getUnsupportedReason as describeUnsupported } from '../lib/utils/nodeCapabilities';
+
+/**
+ * Node Capabilities Hook
+ * @param {string} nodeReference
+ * @returns {Object} { capabilities, getUnsupportedReason, refresh }
+ */
+export function useNodeCapabilities(nodeReference) {
+  const [capabilities, setCapabilities] = useState(null);
+
+  useEffect(() => {
+    if (!nodeReference) return undefined;
+
+    const handleChange = (event) => {
+      if (event.nodeReference === nodeReference) {
+        setCapabilities(event.capabilities);
+      }
+    };
+
+    capabilityService.on('change', handleChange);
+    setCapabilities(capabilityService.getCapabilities(nodeReference));
+    const unwatch = capabilityService.watch(nodeReference);
+
+    return () => {
+      capabilityService.off('change', handleChange);
+      unwatch();
+    };
+  }, [nodeReference]);
+
+  const getUnsupportedReason = useCallback(
+    (name) => describeUnsupported(nodeReference, capabilities, name),
+    [nodeReference, capabilities]
+  );
+
+  const refresh = useCallback(() => capabilityService.refresh(nodeReference), [nodeReference]);
+
+  return { capabilities, getUnsupportedReason, refresh };
+}
+
+export default useNodeCapabilities;
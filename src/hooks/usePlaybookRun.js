@@ -0,0 +1,159 @@
+/**
+ * ============================================
+ * File: src/hooks/usePlaybookRun.js
+ * ============================================
+ * Playbook Run Hook
+ *
+ * Creation Reason: React binding for PlaybookRun
+ * Main Functionality: dry-run plans, start / cancel / retry a run, live
+ * per-node step results and JSON export
+ * Dependencies: PlaybookRun, playbook, RemoteNodeClient, WebSocketService,
+ * RemoteAuthService, useFanOut (useRunAuthenticator, downloadText)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Same lifecycle as useFanOut: one signature per run, updates coalesced
+ *   per animation frame, cancelled on unmount
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import webSocketService from '../services/WebSocketService';
+import remoteAuthService from '../services/RemoteAuthService';
+import auditLogService from '../services/AuditLogService';
+import safetyPolicyService from '../services/SafetyPolicyService';
+import capabilityService from '../services/CapabilityService';
+import { RemoteNodeClient } from '../lib/remote/RemoteNodeClient';
+import { PlaybookRun } from '../lib/remote/PlaybookRun';
+import { FAN_OUT_RUN_STATE } from '../lib/remote/FanOutRun';
+import { planPlaybook } from '../lib/remote/playbook';
+import { useRunAuthenticator, downloadText } from './useFanOut';
+
+/**
+ * Playbook Run Hook
+ * @returns {Object} { run, results, summary, runState, error, plan, startRun, cancel, retryFailed, exportResults, reset }
+ */
+export function usePlaybookRun() {
+  const createAuthenticator = useRunAuthenticator('playbook');
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [, setVersion] = useState(0);
+  const runRef = useRef(null);
+
+  // Re-render on run activity, at most once per animation frame
+  useEffect(() => {
+    if (!run) return undefined;
+
+    let scheduled = null;
+    const bump = () => {
+      if (scheduled !== null) return;
+      const schedule = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : (callback) => setTimeout(callback, 16);
+      scheduled = schedule(() => {
+        scheduled = null;
+        setVersion(value => value + 1);
+      });
+    };
+
+    run.on('nodeUpdate', bump);
+    run.on('stateChange', bump);
+    return () => {
+      run.off('nodeUpdate', bump);
+      run.off('stateChange', bump);
+    };
+  }, [run]);
+
+  useEffect(() => () => runRef.current?.cancel(), []);
+
+  /**
+   * Dry run: the steps each node would get
+   * @returns {Object[]} planPlaybook() results, one per node
+   */
+  const plan = useCallback((playbook, nodeReferences, vars = {}) => (
+    nodeReferences.map(reference => planPlaybook(playbook, reference, vars))
+  ), []);
+
+  const settle = useCallback((promise) => {
+    promise.catch((runError) => setError(runError.message));
+    return promise;
+  }, []);
+
+  /**
+   * Start a run
+   * @param {Object} options - { playbook, nodeReferences, vars, concurrency }
+   * @returns {Promise<Object[]>|null} Node results, or null when the options are invalid
+   */
+  const startRun = useCallback(({ playbook, nodeReferences, vars, concurrency }) => {
+    runRef.current?.cancel();
+    setError(null);
+
+    let nextRun;
+    try {
+      nextRun = new PlaybookRun({
+        playbook,
+        nodeReferences,
+        vars,
+        concurrency,
+        authenticate: createAuthenticator(),
+        createClient: (nodeReference) => new RemoteNodeClient(webSocketService, nodeReference, {
+          auth: remoteAuthService,
+          audit: auditLogService,
+          safety: safetyPolicyService,
+          capabilities: capabilityService,
+          debug: false
+        })
+      });
+    } catch (runError) {
+      setError(runError.message);
+      return null;
+    }
+
+    runRef.current = nextRun;
+    setRun(nextRun);
+    return settle(nextRun.start());
+  }, [createAuthenticator, settle]);
+
+  const cancel = useCallback(() => runRef.current?.cancel(), []);
+
+  const retryFailed = useCallback(() => {
+    if (!runRef.current || runRef.current.state === FAN_OUT_RUN_STATE.RUNNING) return null;
+    setError(null);
+    runRef.current.authenticate = createAuthenticator();
+    return settle(runRef.current.retry());
+  }, [createAuthenticator, settle]);
+
+  const exportResults = useCallback(() => {
+    const current = runRef.current;
+    if (!current) return;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(JSON.stringify(current.toJSON(), null, 2), `aeronyx-playbook-${stamp}.json`, 'application/json');
+  }, []);
+
+  const reset = useCallback(() => {
+    runRef.current?.cancel();
+    runRef.current = null;
+    setRun(null);
+    setError(null);
+  }, []);
+
+  return {
+    run,
+    results: run ? run.getResults() : [],
+    summary: run ? run.getSummary() : null,
+    runState: run ? run.state : FAN_OUT_RUN_STATE.IDLE,
+    error,
+    plan,
+    startRun,
+    cancel,
+    retryFailed,
+    exportResults,
+    reset
+  };
+}
+
+export default usePlaybookRun;
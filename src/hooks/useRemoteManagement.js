@@ -22,57 +22,59 @@
  * - Errors are recoverable - components stay mounted
  * - Auto-retry managed by RemoteAuthService
  * - All existing APIs preserved
+ * - File content is sent as bytes; WebSocketService frames it as binary
+ *   or base64 JSON depending on what the server negotiated. Downloaded
+ *   content may arrive as bytes (binary) or base64 (JSON).
+ * - uploadFile() hands Blob/File sources and anything above
+ *   CHUNKED_UPLOAD.THRESHOLD to UploadService (chunked, resumable,
+ *   checksum-verified); smaller payloads still use one `upload` command
+ * - downloadFile() streams through DownloadService (ranged, SHA-256
+ *   verified) into a fileSink; readFile() still loads the whole file
+ * - Every command function takes `options.signal` (AbortSignal). Aborting
+ *   sends remote_command_cancel and rejects with RemoteCommandError
+ *   CANCELLED; callers should not show that as an error
+ * - Commands run under their COMMAND_POLICIES entry (lib/utils/commandPolicy):
+ *   own timeout, and idempotent ones (list, download, search, system_info,
+ *   ...) retry on TIMEOUT / CONNECTION_LOST. delete, execute and other
+ *   mutating commands never auto-retry. Failures are RemoteCommandErrors
+ *   with the node's error code and the same messages as before.
+ * - The command functions are thin wrappers over RemoteNodeClient
+ *   (lib/remote), which owns request ids, response handling and encoding.
+ *   This hook only adds React state (auth, terminal, connection). The UI
+ *   terminal still goes through terminalStore because TerminalContainer
+ *   renders from it; scripts use client.openTerminal() instead.
+ * - Commands the node's agent does not support (CapabilityService) reject
+ *   with UNSUPPORTED_COMMAND and an upgrade-the-agent message
+ * - streamCommand() returns a RemoteExecution right away (live output
+ *   events, kill()); it is not tied to this hook's lifetime, so a running
+ *   command survives unmount and can be handed to JobService
  * 
- * Last Modified: v9.0.0 - Enhanced error recovery without unmounting
+ * Last Modified: v9.8.1 - Removed leftovers of the pre-RemoteNodeClient hook
  * ============================================
  */
 
 'use client';
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import useTerminalStore from '../stores/terminalStore';
 import terminalService from '../services/TerminalService';
 import webSocketService from '../services/WebSocketService';
 import remoteAuthService from '../services/RemoteAuthService';
+import uploadService from '../services/UploadService';
+import downloadService from '../services/DownloadService';
+import auditLogService from '../services/AuditLogService';
+import safetyPolicyService from '../services/SafetyPolicyService';
+import capabilityService from '../services/CapabilityService';
 import { useAeroNyxWebSocket } from './useAeroNyxWebSocket';
+import { RemoteNodeClient } from '../lib/remote/RemoteNodeClient';
 
 // ==================== CONSTANTS ====================
 
-const REMOTE_COMMAND_TYPES = {
-  LIST_FILES: 'list',
-  READ_FILE: 'download',
-  WRITE_FILE: 'upload',
-  DELETE_FILE: 'delete',
-  RENAME_FILE: 'rename',
-  COPY_FILE: 'copy',
-  MOVE_FILE: 'move',
-  CREATE_DIRECTORY: 'create_directory',
-  DELETE_DIRECTORY: 'delete_directory',
-  SEARCH_FILES: 'search',
-  COMPRESS_FILES: 'compress',
-  EXTRACT_FILE: 'extract',
-  CHMOD: 'chmod',
-  CHOWN: 'chown',
-  BATCH_DELETE: 'batch_delete',
-  BATCH_MOVE: 'batch_move',
-  BATCH_COPY: 'batch_copy',
-  SYSTEM_INFO: 'system_info',
-  EXECUTE: 'execute'
-};
-
-const WS_MESSAGE_TYPES = {
-  TERM_INPUT: 'term_input',
-  REMOTE_COMMAND: 'remote_command',
-  REMOTE_COMMAND_RESPONSE: 'remote_command_response',
-  ERROR: 'error'
-};
-
 const TIMEOUTS = {
   WS_CONNECTION: 30000,
   WS_AUTH: 10000,
   WS_CHECK_INTERVAL: 500,
   TERMINAL_READY: 2000,
-  COMMAND_DEFAULT: 90000,
   RECONNECT_DELAY: 500
 };
 
@@ -81,48 +83,6 @@ const TERMINAL_CONFIG = {
   DEFAULT_COLS: 80
 };
 
-// ==================== ENCODING UTILITIES ====================
-
-const encodeToBase64 = (text) => {
-  try {
-    const encoder = new TextEncoder();
-    const uint8Array = encoder.encode(text);
-    const binaryString = Array.from(uint8Array, byte => 
-      String.fromCharCode(byte)
-    ).join('');
-    return btoa(binaryString);
-  } catch (error) {
-    console.error('[encoding] Failed to encode to Base64:', error);
-    throw new Error(`Failed to encode text to Base64: ${error.message}`);
-  }
-};
-
-const decodeFromBase64 = (base64, allowBinary = false) => {
-  try {
-    const binaryString = atob(base64);
-    const uint8Array = new Uint8Array(binaryString.length);
-    
-    for (let i = 0; i < binaryString.length; i++) {
-      uint8Array[i] = binaryString.charCodeAt(i);
-    }
-    
-    try {
-      const decoder = new TextDecoder('utf-8', { fatal: true });
-      return decoder.decode(uint8Array);
-    } catch (utf8Error) {
-      if (allowBinary) {
-        console.warn('[encoding] Content is not valid UTF-8, returning binary');
-        return binaryString;
-      } else {
-        throw new Error('Content is not valid UTF-8 text');
-      }
-    }
-  } catch (error) {
-    console.error('[encoding] Failed to decode from Base64:', error);
-    throw new Error(`Failed to decode Base64: ${error.message}`);
-  }
-};
-
 // ==================== MAIN HOOK ====================
 
 export function useRemoteManagement(nodeReference) {
@@ -140,9 +100,20 @@ export function useRemoteManagement(nodeReference) {
   const isMountedRef = useRef(true);
   const initPromiseRef = useRef(null);
   const eventHandlersRef = useRef({});
-  const commandHandlersRef = useRef(new Map());
-  const wsMessageListenerRef = useRef(null);
   
+  // ==================== Remote Node Client ====================
+  
+  // All remote command logic lives in RemoteNodeClient; this hook adds React state
+  const client = useMemo(() => new RemoteNodeClient(webSocketService, nodeReference, {
+    auth: remoteAuthService,
+    uploads: uploadService,
+    downloads: downloadService,
+    audit: auditLogService,
+    safety: safetyPolicyService,
+    capabilities: capabilityService
+  }), [nodeReference]);
+  
+
   // ==================== Store & WebSocket ====================
   const { 
     wsState, 
@@ -161,10 +132,6 @@ export function useRemoteManagement(nodeReference) {
   
   // ==================== Helper Functions ====================
   
-  const getWebSocket = useCallback(() => {
-    return window.globalWebSocket || webSocketService.ws;
-  }, []);
-  
   const isWebSocketReady = wsState?.authenticated || wsConnectionState?.authenticated;
   
   const getNodeInfo = useCallback(() => {
@@ -194,11 +161,7 @@ export function useRemoteManagement(nodeReference) {
     return { node, isNodeOnline };
   }, [wsNodes, storeNodes, nodeReference]);
   
-  const { node, isNodeOnline } = getNodeInfo();
-  
-  const generateRequestId = useCallback(() => {
-    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }, []);
+  const { isNodeOnline } = getNodeInfo();
   
   // ==================== Authentication Management ====================
   
@@ -262,9 +225,8 @@ export function useRemoteManagement(nodeReference) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < maxWaitTime) {
-      const ws = getWebSocket();
-      
-      if (ws && ws.readyState === WebSocket.OPEN) {
+      // Service flags rather than the raw socket: follower tabs have none
+      if (webSocketService.isConnected) {
         const isAuthenticated = wsState?.authenticated || wsConnectionState?.authenticated;
         
         if (isAuthenticated) {
@@ -273,7 +235,7 @@ export function useRemoteManagement(nodeReference) {
         } else {
           console.log('[useRemoteManagement] ⏳ WebSocket connected, waiting for auth...');
         }
-      } else if (ws && ws.readyState === WebSocket.CONNECTING) {
+      } else if (webSocketService.isConnecting) {
         console.log('[useRemoteManagement] ⏳ WebSocket connecting...');
       } else {
         console.log('[useRemoteManagement] ⏳ Waiting for WebSocket...');
@@ -284,7 +246,7 @@ export function useRemoteManagement(nodeReference) {
     
     console.log('[useRemoteManagement] ❌ WebSocket timeout after', maxWaitTime / 1000, 's');
     return false;
-  }, [wsState, wsConnectionState, getWebSocket]);
+  }, [wsState, wsConnectionState]);
   
   // ==================== Terminal Management (保持不变) ====================
   
@@ -512,26 +474,14 @@ export function useRemoteManagement(nodeReference) {
     
     console.log('[useRemoteManagement] Sending terminal input:', currentSession);
     
-    let base64Data;
-    try {
-      base64Data = encodeToBase64(data);
-    } catch (error) {
-      console.error('[useRemoteManagement] Failed to encode input:', error);
-      return false;
-    }
-    
-    const success = webSocketService.send({
-      type: WS_MESSAGE_TYPES.TERM_INPUT,
-      session_id: currentSession,
-      data: base64Data
-    });
+    const success = client.sendTerminalInput(currentSession, data);
     
     if (!success) {
       console.error('[useRemoteManagement] Failed to send input via WebSocket');
     }
     
     return success;
-  }, []);
+  }, [client]);
   
   const executeTerminalCommand = useCallback((command) => {
     if (!command) return false;
@@ -597,338 +547,43 @@ export function useRemoteManagement(nodeReference) {
   
   // ==================== Remote Commands ====================
   
-  const sendRemoteCommand = useCallback((commandType, commandData = {}, timeout = TIMEOUTS.COMMAND_DEFAULT) => {
-    if (!isRemoteAuthenticated) {
-      console.error('[useRemoteManagement] Not authenticated for remote commands');
-      return Promise.reject(new Error('Not authenticated for remote management'));
-    }
-    
-    const requestId = generateRequestId();
-    
-    console.log('[useRemoteManagement] Sending remote command:', commandType, 'ID:', requestId);
-    
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        commandHandlersRef.current.delete(requestId);
-        reject(new Error('Command timeout'));
-      }, timeout);
-      
-      commandHandlersRef.current.set(requestId, {
-        resolve: (result) => {
-          clearTimeout(timer);
-          commandHandlersRef.current.delete(requestId);
-          resolve(result);
-        },
-        reject: (error) => {
-          clearTimeout(timer);
-          commandHandlersRef.current.delete(requestId);
-          reject(error);
-        }
-      });
-      
-      const message = {
-        type: WS_MESSAGE_TYPES.REMOTE_COMMAND,
-        node_reference: nodeReference,
-        request_id: requestId,
-        command: {
-          type: commandType,
-          ...commandData
-        }
-      };
-      
-      const success = webSocketService.send(message);
-      
-      if (!success) {
-        clearTimeout(timer);
-        commandHandlersRef.current.delete(requestId);
-        reject(new Error('Failed to send command via WebSocket'));
-      }
-    });
-  }, [nodeReference, isRemoteAuthenticated, generateRequestId]);
-  
-  const listDirectory = useCallback(async (path) => {
-    console.log('[useRemoteManagement] listDirectory:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.LIST_FILES, { path });
-  }, [sendRemoteCommand]);
-  
-  const readFile = useCallback(async (path) => {
-    console.log('[useRemoteManagement] readFile:', path);
-    
-    if (!path || typeof path !== 'string' || path.trim().length === 0) {
-      throw new Error('Valid file path is required');
-    }
-    
-    try {
-      const result = await sendRemoteCommand(REMOTE_COMMAND_TYPES.READ_FILE, { path });
-      
-      if (!result) {
-        throw new Error('No response received from server');
-      }
-      
-      if (result.content) {
-        try {
-          result.content = decodeFromBase64(result.content, true);
-          console.log('[useRemoteManagement] Content decoded, length:', result.content.length);
-        } catch (decodeError) {
-          console.error('[useRemoteManagement] Failed to decode content:', decodeError);
-          throw new Error('Failed to decode file content. The file may be corrupted.');
-        }
-      } else {
-        console.warn('[useRemoteManagement] No content in result');
-        result.content = '';
-      }
-      
-      return result;
-    } catch (error) {
-      console.error('[useRemoteManagement] readFile error:', error);
-      
-      if (error.message.includes('timeout')) {
-        throw new Error('Request timeout. Please try again.');
-      } else if (error.message.includes('not found')) {
-        throw new Error('File not found.');
-      } else if (error.message.includes('permission')) {
-        throw new Error('Permission denied. You do not have access to this file.');
-      }
-      
-      throw error;
-    }
-  }, [sendRemoteCommand]);
-  
-  const writeFile = useCallback(async (path, content, options = {}) => {
-    console.log('[useRemoteManagement] writeFile:', path, content.length, 'bytes');
-    
-    let base64Content;
-    try {
-      base64Content = encodeToBase64(content);
-    } catch (encodeError) {
-      console.error('[useRemoteManagement] Failed to encode content:', encodeError);
-      throw new Error('Failed to encode file content');
-    }
-    
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.WRITE_FILE, { 
-      path, 
-      content: base64Content,
-      overwrite: options.overwrite !== false
-    });
-  }, [sendRemoteCommand]);
-  
-  const deleteFile = useCallback(async (path) => {
-    console.log('[useRemoteManagement] deleteFile:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.DELETE_FILE, { path });
-  }, [sendRemoteCommand]);
-  
-  const getSystemInfo = useCallback(async () => {
-    console.log('[useRemoteManagement] getSystemInfo');
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.SYSTEM_INFO);
-  }, [sendRemoteCommand]);
-  
-  const executeCommand = useCallback(async (command, args = []) => {
-    console.log('[useRemoteManagement] executeCommand:', command, args);
-    
-    const commandData = {
-      command: args.length > 0 ? `${command} ${args.join(' ')}` : command
-    };
-    
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.EXECUTE, commandData);
-  }, [sendRemoteCommand]);
-  
-  const uploadFile = useCallback(async (path, content, isBase64 = false, options = {}) => {
-    console.log('[useRemoteManagement] uploadFile:', path, 'isBase64:', isBase64);
-    
-    let base64Content = content;
-    if (!isBase64) {
-      try {
-        base64Content = encodeToBase64(content);
-      } catch (encodeError) {
-        console.error('[useRemoteManagement] Failed to encode upload content:', encodeError);
-        throw new Error('Failed to encode file for upload');
-      }
-    }
-    
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.WRITE_FILE, { 
-      path, 
-      content: base64Content,
-      overwrite: options.overwrite !== false
-    });
-  }, [sendRemoteCommand]);
-  
-  // ==================== NEW REMOTE COMMANDS (保持不变) ====================
-  
-  const renameFile = useCallback(async (oldPath, newPath, options = {}) => {
-    console.log('[useRemoteManagement] renameFile:', oldPath, '->', newPath);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.RENAME_FILE, {
-      path: oldPath,
-      destination: newPath,
-      overwrite: options.overwrite || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const copyFile = useCallback(async (sourcePath, destPath, options = {}) => {
-    console.log('[useRemoteManagement] copyFile:', sourcePath, '->', destPath);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.COPY_FILE, {
-      path: sourcePath,
-      destination: destPath,
-      recursive: options.recursive || false,
-      overwrite: options.overwrite || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const moveFile = useCallback(async (sourcePath, destPath, options = {}) => {
-    console.log('[useRemoteManagement] moveFile:', sourcePath, '->', destPath);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.MOVE_FILE, {
-      path: sourcePath,
-      destination: destPath,
-      overwrite: options.overwrite || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const createDirectory = useCallback(async (path, options = {}) => {
-    console.log('[useRemoteManagement] createDirectory:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.CREATE_DIRECTORY, {
-      path,
-      mode: options.mode || '0755'
-    });
-  }, [sendRemoteCommand]);
-  
-  const deleteDirectory = useCallback(async (path, options = {}) => {
-    console.log('[useRemoteManagement] deleteDirectory:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.DELETE_DIRECTORY, {
-      path,
-      recursive: options.recursive || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const searchFiles = useCallback(async (path, query, options = {}) => {
-    console.log('[useRemoteManagement] searchFiles:', path, query);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.SEARCH_FILES, {
-      path,
-      query,
-      use_regex: options.useRegex || false,
-      case_sensitive: options.caseSensitive || false,
-      max_depth: options.maxDepth || null
-    });
-  }, [sendRemoteCommand]);
-  
-  const compressFiles = useCallback(async (paths, destination, options = {}) => {
-    console.log('[useRemoteManagement] compressFiles:', paths, '->', destination);
-    
-    if (!Array.isArray(paths) || paths.length === 0) {
-      throw new Error('Paths must be a non-empty array');
-    }
-    
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.COMPRESS_FILES, {
-      paths,
-      destination,
-      format: options.format || 'zip',
-      overwrite: options.overwrite || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const extractFile = useCallback(async (path, options = {}) => {
-    console.log('[useRemoteManagement] extractFile:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.EXTRACT_FILE, {
-      path,
-      destination: options.destination || null,
-      format: options.format || null
-    });
-  }, [sendRemoteCommand]);
-  
-  const changePermissions = useCallback(async (path, mode, options = {}) => {
-    console.log('[useRemoteManagement] changePermissions:', path, mode);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.CHMOD, {
-      path,
-      mode,
-      recursive: options.recursive || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const changeOwner = useCallback(async (path, options = {}) => {
-    console.log('[useRemoteManagement] changeOwner:', path);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.CHOWN, {
-      path,
-      owner: options.owner || null,
-      group: options.group || null,
-      recursive: options.recursive || false
-    });
-  }, [sendRemoteCommand]);
-  
-  const batchDelete = useCallback(async (paths) => {
-    console.log('[useRemoteManagement] batchDelete:', paths.length, 'files');
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.BATCH_DELETE, { paths });
-  }, [sendRemoteCommand]);
-  
-  const batchMove = useCallback(async (paths, destination) => {
-    console.log('[useRemoteManagement] batchMove:', paths.length, 'files ->', destination);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.BATCH_MOVE, { paths, destination });
-  }, [sendRemoteCommand]);
-  
-  const batchCopy = useCallback(async (paths, destination) => {
-    console.log('[useRemoteManagement] batchCopy:', paths.length, 'files ->', destination);
-    return sendRemoteCommand(REMOTE_COMMAND_TYPES.BATCH_COPY, { paths, destination });
-  }, [sendRemoteCommand]);
+  // Stable per client; signatures and errors are RemoteNodeClient's
+  const commands = useMemo(() => ({
+    listDirectory: (path, options) => client.listDirectory(path, options),
+    readFile: (path, options) => client.readFile(path, options),
+    writeFile: (path, content, options) => client.writeFile(path, content, options),
+    deleteFile: (path, options) => client.deleteFile(path, options),
+    uploadFile: (path, content, isBase64, options) => client.uploadFile(path, content, isBase64, options),
+    startChunkedUpload: (path, source, options) => client.startChunkedUpload(path, source, options),
+    downloadFile: (path, options) => client.downloadFile(path, options),
+    renameFile: (oldPath, newPath, options) => client.renameFile(oldPath, newPath, options),
+    copyFile: (sourcePath, destPath, options) => client.copyFile(sourcePath, destPath, options),
+    moveFile: (sourcePath, destPath, options) => client.moveFile(sourcePath, destPath, options),
+    createDirectory: (path, options) => client.createDirectory(path, options),
+    deleteDirectory: (path, options) => client.deleteDirectory(path, options),
+    searchFiles: (path, query, options) => client.searchFiles(path, query, options),
+    compressFiles: (paths, destination, options) => client.compressFiles(paths, destination, options),
+    extractFile: (path, options) => client.extractFile(path, options),
+    changePermissions: (path, mode, options) => client.changePermissions(path, mode, options),
+    changeOwner: (path, options) => client.changeOwner(path, options),
+    batchDelete: (paths, options) => client.batchDelete(paths, options),
+    batchMove: (paths, destination, options) => client.batchMove(paths, destination, options),
+    batchCopy: (paths, destination, options) => client.batchCopy(paths, destination, options),
+    getSystemInfo: (options) => client.getSystemInfo(options),
+    executeCommand: (command, args, options) => client.executeCommand(command, args, options),
+    streamCommand: (command, args, options) => client.streamCommand(command, args, options)
+  }), [client]);
+  
+  const {
+    listDirectory, readFile, writeFile, deleteFile, uploadFile, startChunkedUpload, downloadFile,
+    renameFile, copyFile, moveFile, createDirectory, deleteDirectory, searchFiles,
+    compressFiles, extractFile, changePermissions, changeOwner,
+    batchDelete, batchMove, batchCopy, getSystemInfo, executeCommand, streamCommand
+  } = commands;
   
+
   // ==================== WebSocket Message Handling ====================
   
-  useEffect(() => {
-    const handleMessage = (event) => {
-      try {
-        const message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-        
-        if (message.type === WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE) {
-          console.log('[useRemoteManagement] Remote command response:', message.request_id);
-          
-          const handler = commandHandlersRef.current.get(message.request_id);
-          if (handler) {
-            if (message.success) {
-              console.log('[useRemoteManagement] ✅ Command succeeded');
-              handler.resolve(message.result || {});
-            } else {
-              let errorMessage = 'Command failed';
-              
-              if (message.error) {
-                if (typeof message.error === 'string') {
-                  errorMessage = message.error;
-                } else if (typeof message.error === 'object') {
-                  errorMessage = message.error.message || 
-                                message.error.error || 
-                                message.error.detail || 
-                                JSON.stringify(message.error);
-                }
-              }
-              
-              console.error('[useRemoteManagement] ❌ Command failed:', errorMessage);
-              
-              // ✅ FIX: Don't set error state on command failure - let caller handle it
-              // setError(errorMessage);
-              
-              handler.reject(new Error(errorMessage));
-            }
-          } else {
-            console.warn('[useRemoteManagement] ⚠️ No handler for request:', message.request_id);
-          }
-        }
-      } catch (error) {
-        // Ignore parse errors
-      }
-    };
-    
-    const ws = getWebSocket();
-    if (ws?.addEventListener) {
-      console.log('[useRemoteManagement] 🎧 Adding message listener');
-      ws.addEventListener('message', handleMessage);
-      wsMessageListenerRef.current = handleMessage;
-      
-      return () => {
-        const currentWs = getWebSocket();
-        if (currentWs?.removeEventListener && wsMessageListenerRef.current) {
-          console.log('[useRemoteManagement] 🔇 Removing message listener');
-          currentWs.removeEventListener('message', wsMessageListenerRef.current);
-          wsMessageListenerRef.current = null;
-        }
-      };
-    }
-  }, [getWebSocket]);
-  
   useEffect(() => {
     const handleWebSocketError = (message) => {
       if (message.type === 'error') {
@@ -976,19 +631,16 @@ export function useRemoteManagement(nodeReference) {
     return () => {
       console.log('[useRemoteManagement] Hook unmounting');
       
-      // ✅ FIX: Only reject if truly unmounting, not on re-render
-      if (!isMountedRef.current) {
-        commandHandlersRef.current.forEach(handler => {
-          handler.reject(new Error('Component unmounted'));
-        });
-        commandHandlersRef.current.clear();
-      }
-      
       isInitializedRef.current = false;
       initPromiseRef.current = null;
     };
   }, []);
   
+  // Pending commands of this client are rejected on unmount or node change
+  useEffect(() => {
+    return () => client.dispose('Component unmounted');
+  }, [client]);
+  
   // ✅ FIX: Don't auto-close terminal when node goes offline - show error instead
   useEffect(() => {
     if (terminalSession && !isNodeOnline) {
@@ -1028,10 +680,10 @@ export function useRemoteManagement(nodeReference) {
         isNodeOnline,
         hasError: !!error,
         isRetrying,
-        pendingCommands: commandHandlersRef.current.size
+        pendingCommands: client.pendingCount
       });
     }
-  }, [terminalSession, terminalReady, isConnecting, isRemoteAuthenticated, isNodeOnline, error, isRetrying]);
+  }, [client, terminalSession, terminalReady, isConnecting, isRemoteAuthenticated, isNodeOnline, error, isRetrying]);
   
   // ==================== Return API ====================
   
@@ -1061,6 +713,8 @@ export function useRemoteManagement(nodeReference) {
     writeFile,
     deleteFile,
     uploadFile,
+    startChunkedUpload,
+    downloadFile,
     
     // File Operations (New)
     renameFile,
@@ -1090,6 +744,10 @@ export function useRemoteManagement(nodeReference) {
     // System & Execution
     getSystemInfo,
     executeCommand,
+    streamCommand,
+    
+    // Framework-agnostic client behind the functions above (scripts, tools)
+    client,
     
     // Store state
     wsState,
@@ -1107,14 +765,8 @@ export function useRemoteManagement(nodeReference) {
     },
     
     // WebSocket state helpers
-    isWebSocketConnected: () => {
-      const ws = getWebSocket();
-      return ws && ws.readyState === WebSocket.OPEN;
-    },
-    isWebSocketConnecting: () => {
-      const ws = getWebSocket();
-      return ws && ws.readyState === WebSocket.CONNECTING;
-    },
+    isWebSocketConnected: () => webSocketService.isConnected,
+    isWebSocketConnecting: () => webSocketService.isConnecting,
     
     // Debug helper
     debugState: () => {
@@ -1127,15 +779,14 @@ export function useRemoteManagement(nodeReference) {
       console.log('WebSocket Ready:', isWebSocketReady);
       console.log('Error:', error);
       console.log('Is Retrying:', isRetrying);
-      console.log('Pending Commands:', commandHandlersRef.current.size);
+      console.log('Pending Commands:', client.pendingCount);
       
-      const ws = getWebSocket();
-      console.log('WebSocket State:', ws?.readyState);
+      console.log('WebSocket State:', webSocketService.ws?.readyState);
       console.log('=========================');
     },
     
     // Debug info
-    pendingCommandsCount: commandHandlersRef.current.size,
+    pendingCommandsCount: client.pendingCount,
     retryCount: remoteAuthService.getRetryCount(nodeReference) // NEW
   };
 }
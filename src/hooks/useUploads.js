@@ -0,0 +1,78 @@
+/**
+ * ============================================
+ * File: src/hooks/useUploads.js
+ * ============================================
+ * Uploads Hook
+ *
+ * Creation Reason: React binding for UploadService (chunked uploads)
+ * Main Functionality: Live upload list for one node plus start / pause /
+ * resume / cancel actions
+ * Dependencies: UploadService, SafetyPolicyService
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Uploads belong to the service, not the component: they keep running
+ *   (and resuming) after the FileManager unmounts
+ * - startUpload() passes the safety policy first (it may ask for a typed
+ *   confirmation), so the upload id is only known through `started`
+ *
+ * Last Modified: v1.1.0 - Safety policy gate before uploads start
+ * ============================================
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import uploadService, { UPLOAD_STATE } from '../services/UploadService';
+import safetyPolicyService from '../services/SafetyPolicyService';
+import { REMOTE_COMMAND_TYPES } from '../lib/constants/remoteCommands';
+
+const FINISHED_STATES = [UPLOAD_STATE.COMPLETED, UPLOAD_STATE.FAILED, UPLOAD_STATE.CANCELLED];
+
+/**
+ * Uploads Hook
+ * @param {string|null} nodeReference - Only list this node's uploads (null = all)
+ * @returns {Object} { uploads, activeCount, startUpload, pause, resume, cancel, clearFinished }
+ */
+export function useUploads(nodeReference = null) {
+  const [uploads, setUploads] = useState(() => uploadService.getUploads(nodeReference));
+
+  useEffect(() => {
+    const refresh = () => setUploads(uploadService.getUploads(nodeReference));
+
+    uploadService.on('progress', refresh);
+    uploadService.on('stateChange', refresh);
+    refresh();
+
+    return () => {
+      uploadService.off('progress', refresh);
+      uploadService.off('stateChange', refresh);
+    };
+  }, [nodeReference]);
+
+  /**
+   * @returns {Object} { started: Promise<id>, done: Promise<result> }
+   */
+  const startUpload = useCallback((path, source, options = {}) => {
+    const started = safetyPolicyService
+      .authorize(nodeReference, REMOTE_COMMAND_TYPES.UPLOAD, { path, overwrite: options.overwrite !== false }, options)
+      .then(() => uploadService.startUpload({ ...options, nodeReference, path, source }));
+    return { started, done: started.then(id => uploadService.waitForUpload(id)) };
+  }, [nodeReference]);
+
+  const pause = useCallback((id) => uploadService.pause(id), []);
+  const resume = useCallback((id) => uploadService.resume(id), []);
+  const cancel = useCallback((id) => uploadService.cancel(id), []);
+  const clearFinished = useCallback(() => uploadService.clearFinished(), []);
+
+  return {
+    uploads,
+    activeCount: uploads.filter(upload => !FINISHED_STATES.includes(upload.state)).length,
+    startUpload,
+    pause,
+    resume,
+    cancel,
+    clearFinished
+  };
+}
+
+export default useUploads;
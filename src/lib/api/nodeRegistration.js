@@ -3,7 +3,8 @@
  * File Creation/Modification Notes
  * ============================================
  * Creation Reason: API service for node registration and monitoring
- * Modification Reason: Fixed checkNodeStatus endpoint URL to match backend
+ * Modification Reason: request() accepts an injectable transport so the app
+ * can run against the in-memory fake backend
  * Main Functionality: Handles all node-related API calls
  * Dependencies: None
  *
@@ -16,8 +17,10 @@
  * - The checkNodeStatus URL was fixed from /nodes/check-status/ to /check-node-status/
  * - Always check backend URL patterns when API errors occur
  * - All responses follow standardized format with success/data/message fields
+ * - Never call fetch() directly - go through the transport (lib/transport)
+ * - The base URL comes from the active environment profile per request
  *
- * Last Modified: v3.1.1 - Fixed checkNodeStatus endpoint URL
+ * Last Modified: v3.3.0 - Runtime environment profiles
  * ============================================
  */
 
@@ -33,7 +36,11 @@
  * @author AeroNyx Development Team
  */
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'https://api.aeronyx.network';
+import { getDefaultTransport } from '../transport';
+import { getActiveEnvironment } from '../utils/environment';
+
+// Transport used by request() when none is passed (see lib/transport)
+let apiTransport = null;
 
 /**
  * API response type definition
@@ -49,21 +56,25 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || 'https://api.aeronyx.network'
  * 
  * @param {string} endpoint - API endpoint path
  * @param {Object} options - Fetch options
+ * @param {Object} [options.transport] - Transport override ({ fetch(url, init) })
  * @returns {Promise<APIResponse>} Standardized response
  */
 async function request(endpoint, options = {}) {
-  const url = `${API_URL}${endpoint}`;
+  // Resolved per request - the environment profile can change at runtime
+  const url = `${getActiveEnvironment().apiUrl}${endpoint}`;
+  const { transport: transportOverride, ...fetchOptions } = options;
+  const transport = transportOverride || apiTransport || getDefaultTransport();
   
   const headers = {
     'Content-Type': 'application/json',
     'Accept': 'application/json',
     'User-Agent': 'AeroNyx-Web-Client/3.0.0',
-    ...options.headers,
+    ...fetchOptions.headers,
   };
 
   const config = {
     method: 'GET',
-    ...options,
+    ...fetchOptions,
     headers,
   };
 
@@ -74,7 +85,7 @@ async function request(endpoint, options = {}) {
     
     config.signal = controller.signal;
     
-    const response = await fetch(url, config);
+    const response = await transport.fetch(url, config);
     
     clearTimeout(timeoutId);
     
@@ -157,6 +168,19 @@ async function request(endpoint, options = {}) {
  */
 const nodeRegistrationService = {
   
+  /**
+   * Replace the transport used by every request
+   * Pass null to go back to the default transport
+   * 
+   * @param {Object|null} transport - { name, fetch(url, init) }
+   */
+  setTransport: (transport) => {
+    if (transport && typeof transport.fetch !== 'function') {
+      throw new Error('Transport must implement fetch(url, init)');
+    }
+    apiTransport = transport;
+  },
+  
   /**
    * Create a new node in the system
    * 
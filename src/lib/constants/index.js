@@ -3,6 +3,8 @@
  */
 
 // API URLs
+// Build-time default only; requests use the active environment profile
+// (lib/utils/environment)
 export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'https://api.aeronyx.network';
 export const API_BASE_PATH = '/api';
 export const API_AERONYX_PATH = '/api/aeronyx';
@@ -58,7 +60,11 @@ export const STORAGE_KEYS = {
   WALLET_INFO: 'aeroNyxWalletInfo',
   SIGNATURE_INFO: 'aeroNyxSignatureInfo',
   NODE_CACHE: 'aeroNyxNodeCache',
-  USER_PREFERENCES: 'aeroNyxUserPreferences'
+  USER_PREFERENCES: 'aeroNyxUserPreferences',
+  PLAYBOOKS: 'aeroNyxPlaybooks',
+  SAFETY_POLICY: 'aeroNyxSafetyPolicy',
+  JOBS: 'aeroNyxJobs',
+  EXECUTE_PRESETS: 'aeroNyxExecutePresets'
 };
 
 // Network Configuration
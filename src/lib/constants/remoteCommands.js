@@ -6,22 +6,37 @@
  * 
  * Creation Reason: Centralized management of remote command types, timeout configurations, and validation rules
  * Main Functionality: Provides type-safe command constants and configurations
- * Dependencies: None
+ * Dependencies: remoteCommandErrors (ERROR_CODES)
  * 
  * Main Logical Flow:
  * 1. Define all supported remote command types
- * 2. Configure timeout for each command
+ * 2. Configure the execution policy (timeout, retries, idempotency) for each command
  * 3. Define file size and path validation rules
  * 
  * ⚠️ Important Note for Next Developer:
  * - These constants MUST match the backend Rust code exactly
- * - When adding new commands, synchronously update COMMAND_TIMEOUTS
+ * - When adding new commands, add a COMMAND_POLICIES entry (COMMAND_TIMEOUTS
+ *   is derived from it). Only mark a command idempotent if running it twice
+ *   leaves the node exactly as running it once did AND returns the same
+ *   result: a retried delete would report FILE_NOT_FOUND.
+ * - Policies are applied by lib/utils/commandPolicy (executeWithPolicy)
  * - Consider backend configuration when modifying limits
+ * - `capabilities` is answered by agent 2.0+; older agents reply
+ *   INVALID_COMMAND (see lib/utils/nodeCapabilities)
+ * - MAX_FILES is the node's limit per batch command; larger selections
+ *   (up to MAX_ITEMS) are split by chunkBatchItems() and sent as several
+ *   commands (lib/remote/batchOperation)
+ * - A streamed execute is not bound by its COMMAND_POLICIES timeout; it
+ *   fails after STREAMING_EXECUTE.IDLE_TIMEOUT without output
+ * - An execute with its own `timeout_ms` waits that long (plus
+ *   EXECUTE_REQUEST_LIMITS.TIMEOUT_GRACE) instead of the policy timeout
  * 
- * Last Modified: v1.0.1 - Fixed path for lib/constants location
+ * Last Modified: v1.8.0 - Execute request limits
  * ============================================
  */
 
+import { ERROR_CODES } from '../utils/remoteCommandErrors';
+
 /**
  * Remote Command Type Enumeration
  * Must match backend RemoteCommandType enum
@@ -56,36 +71,111 @@ export const REMOTE_COMMAND_TYPES = {
   BATCH_MOVE: 'batch_move',
   BATCH_COPY: 'batch_copy',
   
+  // Integrity
+  CHECKSUM: 'checksum',
+  
   // System & Execution
   SYSTEM_INFO: 'system_info',
-  EXECUTE: 'execute'
+  EXECUTE: 'execute',
+  CAPABILITIES: 'capabilities',
+
+  // Chunked uploads (see CHUNKED_UPLOAD)
+  UPLOAD_BEGIN: 'upload_begin',
+  UPLOAD_CHUNK: 'upload_chunk',
+  UPLOAD_STATUS: 'upload_status',
+  UPLOAD_COMMIT: 'upload_commit',
+  UPLOAD_ABORT: 'upload_abort'
+};
+
+/**
+ * Retry Backoff (milliseconds)
+ * Delay before retry n (0-based): INITIAL_DELAY * FACTOR^n, capped at
+ * MAX_DELAY, then randomized by +/- JITTER
+ */
+export const RETRY_BACKOFF = {
+  INITIAL_DELAY: 500,
+  FACTOR: 2,
+  MAX_DELAY: 8000,
+  JITTER: 0.2
+};
+
+// Failures that say nothing about the command itself
+const TRANSIENT_ERRORS = [
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.CONNECTION_LOST,
+  ERROR_CODES.NETWORK_ERROR
+];
+
+// Safe to repeat: retried transparently on transient errors
+const idempotent = (timeout, overrides = {}) => ({
+  timeout,
+  idempotent: true,
+  retryOn: TRANSIENT_ERRORS,
+  maxRetries: 2,
+  backoff: RETRY_BACKOFF,
+  ...overrides
+});
+
+// Never retried automatically: a lost response may hide a success
+const nonIdempotent = (timeout) => ({
+  timeout,
+  idempotent: false,
+  retryOn: [],
+  maxRetries: 0,
+  backoff: RETRY_BACKOFF
+});
+
+/**
+ * Command Execution Policies
+ * - timeout: ms before the attempt fails with TIMEOUT
+ * - idempotent: whether repeating the command is harmless
+ * - retryOn / maxRetries / backoff: automatic retries (idempotent only)
+ * Chunked upload commands are retried by UploadService itself, so the
+ * command layer never retries them
+ */
+export const COMMAND_POLICIES = {
+  [REMOTE_COMMAND_TYPES.UPLOAD]: nonIdempotent(120000),        // overwrite=false fails on a repeat
+  [REMOTE_COMMAND_TYPES.DOWNLOAD]: idempotent(120000),
+  [REMOTE_COMMAND_TYPES.DELETE]: nonIdempotent(30000),
+  [REMOTE_COMMAND_TYPES.RENAME]: nonIdempotent(10000),
+  [REMOTE_COMMAND_TYPES.COPY]: nonIdempotent(60000),
+  [REMOTE_COMMAND_TYPES.MOVE]: nonIdempotent(60000),
+  [REMOTE_COMMAND_TYPES.LIST]: idempotent(30000),
+  [REMOTE_COMMAND_TYPES.CREATE_DIRECTORY]: nonIdempotent(10000),
+  [REMOTE_COMMAND_TYPES.DELETE_DIRECTORY]: nonIdempotent(60000),
+  [REMOTE_COMMAND_TYPES.SEARCH]: idempotent(60000),
+  [REMOTE_COMMAND_TYPES.COMPRESS]: nonIdempotent(180000),
+  [REMOTE_COMMAND_TYPES.EXTRACT]: nonIdempotent(180000),
+  [REMOTE_COMMAND_TYPES.CHMOD]: idempotent(10000),             // Sets an absolute mode
+  [REMOTE_COMMAND_TYPES.CHOWN]: idempotent(10000),
+  [REMOTE_COMMAND_TYPES.BATCH_DELETE]: nonIdempotent(120000),
+  [REMOTE_COMMAND_TYPES.BATCH_MOVE]: nonIdempotent(120000),
+  [REMOTE_COMMAND_TYPES.BATCH_COPY]: nonIdempotent(120000),
+  [REMOTE_COMMAND_TYPES.CHECKSUM]: idempotent(300000, { maxRetries: 1 }), // Node hashes the whole file
+  [REMOTE_COMMAND_TYPES.SYSTEM_INFO]: idempotent(30000),
+  [REMOTE_COMMAND_TYPES.EXECUTE]: nonIdempotent(60000),
+  [REMOTE_COMMAND_TYPES.CAPABILITIES]: idempotent(10000),
+  [REMOTE_COMMAND_TYPES.UPLOAD_BEGIN]: nonIdempotent(15000),
+  [REMOTE_COMMAND_TYPES.UPLOAD_CHUNK]: idempotent(60000, { maxRetries: 0 }),
+  [REMOTE_COMMAND_TYPES.UPLOAD_STATUS]: idempotent(15000, { maxRetries: 0 }),
+  [REMOTE_COMMAND_TYPES.UPLOAD_COMMIT]: nonIdempotent(300000), // Node hashes the whole file
+  [REMOTE_COMMAND_TYPES.UPLOAD_ABORT]: idempotent(15000, { maxRetries: 0 })
 };
 
+/**
+ * Policy for command types missing from COMMAND_POLICIES
+ */
+export const DEFAULT_COMMAND_POLICY = nonIdempotent(30000);
+
 /**
  * Command Timeout Configuration (milliseconds)
- * Different timeouts based on operation complexity
+ * Derived from COMMAND_POLICIES
  */
 export const COMMAND_TIMEOUTS = {
-  [REMOTE_COMMAND_TYPES.UPLOAD]: 120000,
-  [REMOTE_COMMAND_TYPES.DOWNLOAD]: 120000,
-  [REMOTE_COMMAND_TYPES.DELETE]: 30000,
-  [REMOTE_COMMAND_TYPES.RENAME]: 10000,
-  [REMOTE_COMMAND_TYPES.COPY]: 60000,
-  [REMOTE_COMMAND_TYPES.MOVE]: 60000,
-  [REMOTE_COMMAND_TYPES.LIST]: 30000,
-  [REMOTE_COMMAND_TYPES.CREATE_DIRECTORY]: 10000,
-  [REMOTE_COMMAND_TYPES.DELETE_DIRECTORY]: 60000,
-  [REMOTE_COMMAND_TYPES.SEARCH]: 60000,
-  [REMOTE_COMMAND_TYPES.COMPRESS]: 180000,
-  [REMOTE_COMMAND_TYPES.EXTRACT]: 180000,
-  [REMOTE_COMMAND_TYPES.CHMOD]: 10000,
-  [REMOTE_COMMAND_TYPES.CHOWN]: 10000,
-  [REMOTE_COMMAND_TYPES.BATCH_DELETE]: 120000,
-  [REMOTE_COMMAND_TYPES.BATCH_MOVE]: 120000,
-  [REMOTE_COMMAND_TYPES.BATCH_COPY]: 120000,
-  [REMOTE_COMMAND_TYPES.SYSTEM_INFO]: 30000,
-  [REMOTE_COMMAND_TYPES.EXECUTE]: 60000,
-  DEFAULT: 30000
+  ...Object.fromEntries(
+    Object.entries(COMMAND_POLICIES).map(([type, policy]) => [type, policy.timeout])
+  ),
+  DEFAULT: DEFAULT_COMMAND_POLICY.timeout
 };
 
 /**
@@ -95,17 +185,81 @@ export const COMMAND_TIMEOUTS = {
 export const FILE_SIZE_LIMITS = {
   MAX_UPLOAD_SIZE: 50 * 1024 * 1024,     // 50MB
   MAX_DOWNLOAD_SIZE: 50 * 1024 * 1024,   // 50MB
+  MAX_CHUNKED_UPLOAD_SIZE: 64 * 1024 * 1024 * 1024, // 64GB
+  MAX_CHUNKED_DOWNLOAD_SIZE: 64 * 1024 * 1024 * 1024, // 64GB
   WARN_SIZE: 10 * 1024 * 1024,           // 10MB (show warning)
 };
 
+/**
+ * Chunked Upload Settings
+ * Files above THRESHOLD (or any Blob/File source) go through
+ * upload_begin -> upload_chunk x N -> upload_commit (SHA-256 verified)
+ */
+export const CHUNKED_UPLOAD = {
+  CHUNK_SIZE: 1024 * 1024,              // 1MB per upload_chunk
+  MAX_IN_FLIGHT: 4,                     // Unacknowledged chunks at once
+  THRESHOLD: 8 * 1024 * 1024,           // Smaller payloads use a single upload
+  CHUNK_RETRIES: 3,                     // Per chunk, before the upload fails
+  RESUME_TIMEOUT: 60000                 // Wait for reconnect before failing
+};
+
+/**
+ * Chunked Download Settings
+ * checksum (size + SHA-256) -> download { offset, length } x N, streamed
+ * to disk and hashed on the way
+ */
+export const CHUNKED_DOWNLOAD = {
+  CHUNK_SIZE: 1024 * 1024,              // 1MB per ranged download
+  MAX_IN_FLIGHT: 4,                     // Outstanding ranges at once
+  CHUNK_RETRIES: 3,                     // Per range, before the download fails
+  RESUME_TIMEOUT: 60000                 // Wait for reconnect before failing
+};
+
 /**
  * Batch Operation Limits
  */
 export const BATCH_OPERATION_LIMITS = {
-  MAX_FILES: 100,    // Maximum 100 files per batch operation
+  MAX_FILES: 100,    // Maximum 100 files per batch command (node limit)
+  MAX_ITEMS: 10000,  // Maximum files per chunked batch operation
+  CONCURRENCY: 2,    // Chunks in flight at once
   WARN_COUNT: 20,    // Show warning when exceeding 20 files
 };
 
+/**
+ * Streaming Execute Settings
+ * `execute` with `stream: true` (protocol 1.4, lib/remote/RemoteExecution):
+ * no overall timeout, only a limit on silence
+ */
+export const STREAMING_EXECUTE = {
+  IDLE_TIMEOUT: 10 * 60000,             // No output frame for this long -> TIMEOUT
+  OUTPUT_LIMIT: 1024 * 1024             // Characters kept per stream (the tail)
+};
+
+/**
+ * Execute Request Limits
+ * Options of one `execute` (lib/remote/executeRequest); the node enforces
+ * `timeout_ms` itself, the client waits TIMEOUT_GRACE longer for the answer
+ */
+export const EXECUTE_REQUEST_LIMITS = {
+  MIN_TIMEOUT: 1000,                    // 1s
+  MAX_TIMEOUT: 24 * 3600000,            // 24h
+  TIMEOUT_GRACE: 5000,
+  MAX_ARGS: 256,
+  MAX_ENV_VARS: 100,
+  MAX_STDIN: 1024 * 1024                // Characters
+};
+
+/**
+ * Fan-out Settings
+ * One execute / system_info command run across several nodes
+ * (lib/remote/FanOutRun)
+ */
+export const FAN_OUT = {
+  DEFAULT_CONCURRENCY: 5,   // Nodes running at once
+  MAX_CONCURRENCY: 20,
+  MAX_NODES: 200            // Nodes per run
+};
+
 /**
  * Supported Compression Formats
  * Must match backend CompressionFormat enum
@@ -152,13 +306,16 @@ export function formatBytes(bytes) {
 /**
  * Validate File Size
  * @param {number} size - File size in bytes
- * @param {string} operation - Operation type ('upload' or 'download')
+ * @param {string} operation - Operation type ('upload', 'chunked_upload', 'download'
+ *   or 'chunked_download')
  * @returns {Object} { valid: boolean, warning: boolean, error: string }
  */
 export function validateFileSize(size, operation = 'upload') {
-  const maxSize = operation === 'upload' 
-    ? FILE_SIZE_LIMITS.MAX_UPLOAD_SIZE 
-    : FILE_SIZE_LIMITS.MAX_DOWNLOAD_SIZE;
+  const maxSize = {
+    upload: FILE_SIZE_LIMITS.MAX_UPLOAD_SIZE,
+    chunked_upload: FILE_SIZE_LIMITS.MAX_CHUNKED_UPLOAD_SIZE,
+    chunked_download: FILE_SIZE_LIMITS.MAX_CHUNKED_DOWNLOAD_SIZE
+  }[operation] || FILE_SIZE_LIMITS.MAX_DOWNLOAD_SIZE;
   
   if (size > maxSize) {
     return { 
@@ -182,22 +339,33 @@ export function validateFileSize(size, operation = 'upload') {
 /**
  * Validate Batch Operation
  * @param {Array} items - Array of items
- * @returns {Object} { valid: boolean, warning: boolean, error: string }
+ * @returns {Object} { valid: boolean, warning: boolean, error: string, chunks: number }
  */
 export function validateBatchOperation(items) {
   if (!Array.isArray(items)) {
-    return { valid: false, warning: false, error: 'Invalid items list' };
+    return { valid: false, warning: false, error: 'Invalid items list', chunks: 0 };
   }
   
   if (items.length === 0) {
-    return { valid: false, warning: false, error: 'No items selected' };
+    return { valid: false, warning: false, error: 'No items selected', chunks: 0 };
   }
   
-  if (items.length > BATCH_OPERATION_LIMITS.MAX_FILES) {
+  if (items.length > BATCH_OPERATION_LIMITS.MAX_ITEMS) {
     return { 
       valid: false, 
       warning: false,
-      error: `Batch operation supports maximum ${BATCH_OPERATION_LIMITS.MAX_FILES} files` 
+      error: `Batch operation supports maximum ${BATCH_OPERATION_LIMITS.MAX_ITEMS} files`,
+      chunks: 0
+    };
+  }
+  
+  const chunks = Math.ceil(items.length / BATCH_OPERATION_LIMITS.MAX_FILES);
+  if (chunks > 1) {
+    return { 
+      valid: true, 
+      warning: true,
+      error: `Operating on ${items.length} files in ${chunks} batches, this may take longer`,
+      chunks
     };
   }
   
@@ -205,11 +373,26 @@ export function validateBatchOperation(items) {
     return { 
       valid: true, 
       warning: true,
-      error: `Operating on ${items.length} files, this may take longer` 
+      error: `Operating on ${items.length} files, this may take longer`,
+      chunks
     };
   }
   
-  return { valid: true, warning: false, error: null };
+  return { valid: true, warning: false, error: null, chunks };
+}
+
+/**
+ * Split batch items into node-sized chunks
+ * @param {Array} items - Array of items
+ * @param {number} [size] - Items per chunk (BATCH_OPERATION_LIMITS.MAX_FILES)
+ * @returns {Array<Array>} Chunks, in order
+ */
+export function chunkBatchItems(items, size = BATCH_OPERATION_LIMITS.MAX_FILES) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
 }
 
 /**
@@ -267,23 +450,42 @@ export function isArchiveFile(filename) {
  * @returns {number} Timeout in milliseconds
  */
 export function getCommandTimeout(commandType) {
-  return COMMAND_TIMEOUTS[commandType] || COMMAND_TIMEOUTS.DEFAULT;
+  return getCommandPolicy(commandType).timeout;
+}
+
+/**
+ * Get Command Execution Policy
+ * @param {string} commandType - Command type
+ * @returns {Object} { timeout, idempotent, retryOn, maxRetries, backoff }
+ */
+export function getCommandPolicy(commandType) {
+  return COMMAND_POLICIES[commandType] || DEFAULT_COMMAND_POLICY;
 }
 
 // Export everything
 export default {
   REMOTE_COMMAND_TYPES,
+  COMMAND_POLICIES,
+  DEFAULT_COMMAND_POLICY,
   COMMAND_TIMEOUTS,
+  RETRY_BACKOFF,
   FILE_SIZE_LIMITS,
+  CHUNKED_UPLOAD,
+  CHUNKED_DOWNLOAD,
   BATCH_OPERATION_LIMITS,
+  STREAMING_EXECUTE,
+  EXECUTE_REQUEST_LIMITS,
+  FAN_OUT,
   COMPRESSION_FORMATS,
   validatePath,
   validateFileSize,
   validateBatchOperation,
+  chunkBatchItems,
   formatBytes,
   getFileExtension,
   isTextFile,
   isEditableFile,
   isArchiveFile,
   getCommandTimeout,
+  getCommandPolicy,
 };
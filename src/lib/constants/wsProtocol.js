@@ -0,0 +1,581 @@
+/**
+ * ============================================
+ * File: src/lib/constants/wsProtocol.js
+ * ============================================
+ * Dashboard WebSocket Protocol Definition
+ *
+ * Creation Reason: The service accepted any payload shape and only logged
+ * unknown types. A backend change could silently break the UI.
+ * Main Functionality: Declares every inbound/outbound message with a field
+ * schema, validates frames at the boundary and negotiates the protocol version
+ * Dependencies: None
+ *
+ * Main Logical Flow:
+ * 1. Client advertises PROTOCOL_VERSION in get_message/auth frames
+ * 2. Server advertises its version in the 'connected' frame
+ * 3. negotiateProtocolVersion() decides whether the two can talk
+ * 4. parseInboundFrame()/validateOutbound() guard every frame
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Field schemas MUST match the backend consumer exactly
+ * - Keep schemas lenient: only fields the UI relies on are required,
+ *   extra fields are always allowed
+ * - Bump PROTOCOL_VERSION minor for additive changes, major for breaking ones
+ * - 1.1: delta-encoded status_update (see STATUS_ENCODING). Servers that
+ *   ignore start_monitor.status_encoding keep sending snapshots.
+ * - 1.2: binary framing offered in auth.binary_encodings and accepted in
+ *   auth_success.binary_encoding (see lib/utils/binaryFraming). Servers
+ *   that do not answer keep JSON.
+ * - 1.3: remote_command_cancel { node_reference, request_id } stops a
+ *   running remote_command; the node sends no response for it. Only sent
+ *   when the negotiated version supports it (supportsProtocolFeature).
+ * - 1.4: remote_command_output { request_id, stream, data, seq } carries
+ *   the output of an `execute` sent with `stream: true` as it is produced;
+ *   the remote_command_response that follows has the exit code. Only
+ *   requested when the negotiated version supports it.
+ *
+ * Last Modified: v1.4.0 - Streaming execute output
+ * ============================================
+ */
+
+/**
+ * Protocol version spoken by this dashboard build
+ */
+export const PROTOCOL_VERSION = '1.4';
+
+/**
+ * Versions this dashboard can speak, newest first
+ * A server that advertises none is assumed to be LEGACY_PROTOCOL_VERSION
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['1.4', '1.3', '1.2', '1.1', '1.0'];
+export const LEGACY_PROTOCOL_VERSION = '1.0';
+
+/**
+ * Message Type Enumeration
+ */
+export const WS_MESSAGE_TYPES = {
+  // Inbound (server -> client)
+  CONNECTED: 'connected',
+  SIGNATURE_MESSAGE: 'signature_message',
+  AUTH_SUCCESS: 'auth_success',
+  AUTH_ERROR: 'auth_error',
+  ERROR: 'error',
+  MONITOR_STARTED: 'monitor_started',
+  MONITOR_STOPPED: 'monitor_stopped',
+  STATUS_UPDATE: 'status_update',
+  PONG: 'pong',
+  HEARTBEAT_ACK: 'heartbeat_ack',
+  TERM_READY: 'term_ready',
+  TERM_OUTPUT: 'term_output',
+  TERM_ERROR: 'term_error',
+  TERM_CLOSED: 'term_closed',
+  REMOTE_AUTH_SUCCESS: 'remote_auth_success',
+  REMOTE_COMMAND_RESPONSE: 'remote_command_response',
+  REMOTE_COMMAND_OUTPUT: 'remote_command_output',
+
+  // Outbound (client -> server)
+  GET_MESSAGE: 'get_message',
+  AUTH: 'auth',
+  START_MONITOR: 'start_monitor',
+  STOP_MONITOR: 'stop_monitor',
+  PING: 'ping',
+  TERM_INIT: 'term_init',
+  TERM_INPUT: 'term_input',
+  TERM_RESIZE: 'term_resize',
+  TERM_CLOSE: 'term_close',
+  REMOTE_AUTH: 'remote_auth',
+  REMOTE_COMMAND: 'remote_command',
+  REMOTE_COMMAND_CANCEL: 'remote_command_cancel'
+};
+
+/**
+ * Minimum protocol version for optional frames
+ */
+export const PROTOCOL_FEATURES = {
+  COMMAND_CANCEL: '1.3',
+  EXEC_STREAM: '1.4'
+};
+
+/**
+ * status_update encodings
+ * - snapshot: `nodes` is the complete node list (default, legacy servers)
+ * - delta: `patches` (per-node partial updates, see lib/utils/nodeDelta)
+ *   and `removed` (references) relative to the previous `sequence`
+ */
+export const STATUS_ENCODING = {
+  SNAPSHOT: 'snapshot',
+  DELTA: 'delta'
+};
+
+/**
+ * Field type names used in schemas
+ * A field may list several types, e.g. ['string', 'object']
+ */
+export const FIELD_TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  OBJECT: 'object',
+  ARRAY: 'array',
+  ANY: 'any'
+};
+
+const T = FIELD_TYPES;
+
+// Shorthand field descriptors
+const required = (type) => ({ type, required: true });
+const optional = (type) => ({ type, required: false });
+
+/**
+ * Inbound message schemas (server -> client)
+ */
+export const INBOUND_SCHEMAS = {
+  [WS_MESSAGE_TYPES.CONNECTED]: {
+    protocol_version: optional(T.STRING),
+    supported_versions: optional(T.ARRAY),
+    server_version: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.SIGNATURE_MESSAGE]: {
+    message: required(T.STRING),
+    nonce: optional(T.STRING),
+    expires_in: optional(T.NUMBER)
+  },
+  [WS_MESSAGE_TYPES.AUTH_SUCCESS]: {
+    session_token: optional(T.STRING),
+    nodes: optional(T.ARRAY),
+    protocol_version: optional(T.STRING),
+    binary_encoding: optional(T.STRING)    // Accepted binary framing (lib/utils/binaryFraming)
+  },
+  [WS_MESSAGE_TYPES.AUTH_ERROR]: {
+    message: optional(T.STRING),
+    code: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.ERROR]: {
+    message: optional(T.STRING),
+    code: optional(T.STRING),
+    request_id: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.MONITOR_STARTED]: {},
+  [WS_MESSAGE_TYPES.MONITOR_STOPPED]: {},
+  [WS_MESSAGE_TYPES.STATUS_UPDATE]: {
+    encoding: optional(T.STRING),
+    sequence: optional(T.NUMBER),
+    nodes: optional(T.ARRAY),      // required for snapshots
+    patches: optional(T.ARRAY),    // required for deltas
+    removed: optional(T.ARRAY),
+    summary: optional(T.OBJECT),
+    timestamp: optional([T.STRING, T.NUMBER])
+  },
+  [WS_MESSAGE_TYPES.PONG]: {
+    timestamp: optional([T.STRING, T.NUMBER])
+  },
+  [WS_MESSAGE_TYPES.HEARTBEAT_ACK]: {},
+  [WS_MESSAGE_TYPES.TERM_READY]: {
+    session_id: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.TERM_OUTPUT]: {
+    session_id: required(T.STRING),
+    data: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.TERM_ERROR]: {
+    session_id: optional(T.STRING),
+    error: optional(T.STRING),
+    message: optional(T.STRING),
+    code: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.TERM_CLOSED]: {
+    session_id: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.REMOTE_AUTH_SUCCESS]: {
+    node_reference: optional(T.STRING),
+    session_id: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE]: {
+    request_id: required(T.STRING),
+    success: required(T.BOOLEAN),
+    result: optional(T.ANY),
+    error: optional([T.STRING, T.OBJECT])
+  },
+  [WS_MESSAGE_TYPES.REMOTE_COMMAND_OUTPUT]: {
+    request_id: required(T.STRING),
+    stream: required(T.STRING),    // 'stdout' | 'stderr'
+    data: required(T.STRING),      // Text (bytes in a binary envelope)
+    seq: optional(T.NUMBER)
+  }
+};
+
+/**
+ * Outbound message schemas (client -> server)
+ * 'auth' accepts either a session token or a signature triple, see validateOutbound
+ */
+export const OUTBOUND_SCHEMAS = {
+  [WS_MESSAGE_TYPES.GET_MESSAGE]: {
+    wallet_address: required(T.STRING),
+    protocol_version: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.AUTH]: {
+    wallet_address: required(T.STRING),
+    session_token: optional(T.STRING),
+    signature: optional(T.STRING),
+    message: optional(T.STRING),
+    wallet_type: optional(T.STRING),
+    protocol_version: optional(T.STRING),
+    binary_encodings: optional(T.ARRAY)
+  },
+  [WS_MESSAGE_TYPES.START_MONITOR]: {
+    status_encoding: optional(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.STOP_MONITOR]: {},
+  [WS_MESSAGE_TYPES.PING]: {
+    timestamp: optional(T.NUMBER)
+  },
+  [WS_MESSAGE_TYPES.TERM_INIT]: {
+    session_id: required(T.STRING),
+    node_reference: required(T.STRING),
+    rows: required(T.NUMBER),
+    cols: required(T.NUMBER),
+    cwd: optional(T.STRING),
+    env: optional(T.OBJECT)
+  },
+  [WS_MESSAGE_TYPES.TERM_INPUT]: {
+    session_id: required(T.STRING),
+    data: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.TERM_RESIZE]: {
+    session_id: required(T.STRING),
+    rows: required(T.NUMBER),
+    cols: required(T.NUMBER)
+  },
+  [WS_MESSAGE_TYPES.TERM_CLOSE]: {
+    session_id: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.REMOTE_AUTH]: {
+    jwt_token: required(T.STRING)
+  },
+  [WS_MESSAGE_TYPES.REMOTE_COMMAND]: {
+    node_reference: required(T.STRING),
+    request_id: required(T.STRING),
+    command: required(T.OBJECT)
+  },
+  [WS_MESSAGE_TYPES.REMOTE_COMMAND_CANCEL]: {
+    node_reference: required(T.STRING),
+    request_id: required(T.STRING)
+  }
+};
+
+/**
+ * Protocol error codes
+ */
+export const PROTOCOL_ERROR_CODES = {
+  MALFORMED_FRAME: 'MALFORMED_FRAME',     // Not JSON / not an object
+  MISSING_TYPE: 'MISSING_TYPE',           // No string 'type' field
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',           // Type not declared in the schema
+  INVALID_FIELDS: 'INVALID_FIELDS',       // Declared fields missing or wrong type
+  VERSION_MISMATCH: 'VERSION_MISMATCH'    // No common protocol version
+};
+
+/**
+ * Protocol Error Class
+ * Raised for frames that violate the declared schema
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} code - One of PROTOCOL_ERROR_CODES
+   * @param {string} message - Human readable message
+   * @param {Object} details - { direction, type, errors, frame }
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for logging
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      details: this.details,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+/**
+ * Get type name of a value as used in schemas
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return T.ARRAY;
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate fields against a schema
+ * @param {Object} message - Frame to check
+ * @param {Object} schema - Field descriptors
+ * @returns {Array<string>} List of violations (empty when valid)
+ */
+export function validateFields(message, schema) {
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, descriptor]) => {
+    const value = message[field];
+
+    if (value === undefined || value === null) {
+      if (descriptor.required) {
+        errors.push(`'${field}' is required`);
+      }
+      return;
+    }
+
+    const allowed = Array.isArray(descriptor.type) ? descriptor.type : [descriptor.type];
+    if (!allowed.includes(T.ANY) && !allowed.includes(typeOf(value))) {
+      errors.push(`'${field}' must be ${allowed.join(' or ')}, got ${typeOf(value)}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a decoded frame for a direction
+ * @param {Object} message - Decoded frame
+ * @param {Object} schemas - INBOUND_SCHEMAS or OUTBOUND_SCHEMAS
+ * @param {string} direction - 'inbound' | 'outbound'
+ * @returns {{valid: boolean, error?: ProtocolError}}
+ */
+function validateFrame(message, schemas, direction) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return {
+      valid: false,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.MALFORMED_FRAME,
+        'Frame is not a JSON object',
+        { direction }
+      )
+    };
+  }
+
+  if (typeof message.type !== 'string' || !message.type) {
+    return {
+      valid: false,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.MISSING_TYPE,
+        'Frame has no type',
+        { direction, frame: message }
+      )
+    };
+  }
+
+  const schema = schemas[message.type];
+  if (!schema) {
+    return {
+      valid: false,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.UNKNOWN_TYPE,
+        `Unknown ${direction} message type: ${message.type}`,
+        { direction, type: message.type, frame: message }
+      )
+    };
+  }
+
+  const errors = validateFields(message, schema);
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.INVALID_FIELDS,
+        `Invalid ${message.type} frame: ${errors.join(', ')}`,
+        { direction, type: message.type, errors, frame: message }
+      )
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Decode and validate a raw inbound frame
+ * @param {string} data - Raw frame text
+ * @returns {{message: Object|null, error: ProtocolError|null}}
+ *   message is set whenever JSON decoding succeeded, even if invalid
+ */
+export function parseInboundFrame(data) {
+  let message;
+  try {
+    message = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch (error) {
+    return {
+      message: null,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.MALFORMED_FRAME,
+        'Frame is not valid JSON',
+        { direction: 'inbound', cause: error.message }
+      )
+    };
+  }
+
+  const result = validateFrame(message, INBOUND_SCHEMAS, 'inbound');
+  return {
+    message: message && typeof message === 'object' ? message : null,
+    error: result.valid ? validateStatusEncoding(message) : result.error
+  };
+}
+
+/**
+ * status_update carries either nodes (snapshot) or patches (delta)
+ * @returns {ProtocolError|null}
+ */
+function validateStatusEncoding(message) {
+  if (message.type !== WS_MESSAGE_TYPES.STATUS_UPDATE) return null;
+
+  const encoding = message.encoding || STATUS_ENCODING.SNAPSHOT;
+  let problem = null;
+
+  if (encoding === STATUS_ENCODING.SNAPSHOT && !Array.isArray(message.nodes)) {
+    problem = "'nodes' is required for snapshot status_update";
+  } else if (encoding === STATUS_ENCODING.DELTA && !Array.isArray(message.patches)) {
+    problem = "'patches' is required for delta status_update";
+  } else if (encoding !== STATUS_ENCODING.SNAPSHOT && encoding !== STATUS_ENCODING.DELTA) {
+    problem = `unknown encoding '${encoding}'`;
+  }
+
+  return problem
+    ? new ProtocolError(
+      PROTOCOL_ERROR_CODES.INVALID_FIELDS,
+      `Invalid status_update frame: ${problem}`,
+      { direction: 'inbound', type: message.type, errors: [problem], frame: message }
+    )
+    : null;
+}
+
+/**
+ * Validate an outbound frame before it is sent
+ * @param {Object} message - Frame to send
+ * @returns {{valid: boolean, error?: ProtocolError}}
+ */
+export function validateOutbound(message) {
+  const result = validateFrame(message, OUTBOUND_SCHEMAS, 'outbound');
+  if (!result.valid) return result;
+
+  // auth needs either a session token or a full signature
+  if (message.type === WS_MESSAGE_TYPES.AUTH &&
+      !message.session_token && !(message.signature && message.message)) {
+    return {
+      valid: false,
+      error: new ProtocolError(
+        PROTOCOL_ERROR_CODES.INVALID_FIELDS,
+        "Invalid auth frame: 'session_token' or 'signature' and 'message' required",
+        { direction: 'outbound', type: message.type, frame: message }
+      )
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Major part of a version string ('1.2' -> 1)
+ */
+function majorOf(version) {
+  return parseInt(String(version).split('.')[0], 10);
+}
+
+/**
+ * Compare two version strings
+ * @returns {number} Negative if a < b, positive if a > b
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Whether a negotiated version supports a feature
+ * @param {string|null} version - Negotiated version
+ * @param {string} minimum - PROTOCOL_FEATURES value
+ * @returns {boolean}
+ */
+export function supportsProtocolFeature(version, minimum) {
+  return !!version && compareVersions(version, minimum) >= 0;
+}
+
+/**
+ * Negotiate protocol version from the server 'connected' frame
+ * @param {Object} serverInfo - { protocol_version?, supported_versions? }
+ * @returns {{compatible: boolean, version: string|null, serverVersion: string|null, error?: ProtocolError}}
+ */
+export function negotiateProtocolVersion(serverInfo = {}) {
+  const serverVersions = Array.isArray(serverInfo.supported_versions)
+    ? serverInfo.supported_versions.map(String)
+    : serverInfo.protocol_version
+      ? [String(serverInfo.protocol_version)]
+      : [];
+
+  // Server predates version negotiation
+  if (serverVersions.length === 0) {
+    return {
+      compatible: true,
+      version: LEGACY_PROTOCOL_VERSION,
+      serverVersion: null
+    };
+  }
+
+  // Exact match first, newest wins
+  const common = SUPPORTED_PROTOCOL_VERSIONS
+    .filter(v => serverVersions.includes(v))
+    .sort((a, b) => compareVersions(b, a));
+  if (common.length > 0) {
+    return { compatible: true, version: common[0], serverVersion: serverVersions[0] };
+  }
+
+  // Same major is additive-compatible
+  const sameMajor = SUPPORTED_PROTOCOL_VERSIONS
+    .filter(v => serverVersions.some(s => majorOf(s) === majorOf(v)))
+    .sort((a, b) => compareVersions(b, a));
+  if (sameMajor.length > 0) {
+    return { compatible: true, version: sameMajor[0], serverVersion: serverVersions[0] };
+  }
+
+  return {
+    compatible: false,
+    version: null,
+    serverVersion: serverVersions[0],
+    error: new ProtocolError(
+      PROTOCOL_ERROR_CODES.VERSION_MISMATCH,
+      `Server protocol ${serverVersions.join('/')} is not supported by this dashboard ` +
+      `(${SUPPORTED_PROTOCOL_VERSIONS.join('/')}). Please refresh the page.`,
+      { serverVersions, clientVersions: SUPPORTED_PROTOCOL_VERSIONS }
+    )
+  };
+}
+
+export default {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LEGACY_PROTOCOL_VERSION,
+  WS_MESSAGE_TYPES,
+  PROTOCOL_FEATURES,
+  STATUS_ENCODING,
+  FIELD_TYPES,
+  INBOUND_SCHEMAS,
+  OUTBOUND_SCHEMAS,
+  PROTOCOL_ERROR_CODES,
+  ProtocolError,
+  validateFields,
+  parseInboundFrame,
+  validateOutbound,
+  supportsProtocolFeature,
+  negotiateProtocolVersion
+};
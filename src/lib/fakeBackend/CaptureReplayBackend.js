@@ -0,0 +1,249 @@
+/**
+ * ============================================
+ * File: src/lib/fakeBackend/CaptureReplayBackend.js
+ * ============================================
+ * Capture Replay Backend - Plays an exported frame capture back to the client
+ *
+ * Creation Reason: Reproduce a recorded remote management session offline
+ * Main Functionality: Drop-in replacement for FakeAeroNyxBackend behind
+ * createFakeTransport({ capture })
+ * Dependencies: frameCapture, wsProtocol
+ *
+ * Main Logical Flow:
+ * 1. Inbound ('in') frames are sent to the client with their recorded
+ *    spacing (scaled by `speed`, capped at `maxDelay`)
+ * 2. An outbound ('out') frame is a gate: replay pauses until the client
+ *    sends a frame of the same type
+ * 3. request_id values of the client are substituted into the recorded
+ *    responses, so pending requests resolve normally
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Secrets are masked in captures; tokens the client receives are
+ *   '[MASKED]' and only work against this backend
+ * - Captures started after login contain no handshake. The backend then
+ *   answers get_message/auth itself so the client reaches authenticated.
+ * - HTTP is not recorded; handleHttp answers 404
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { parseCapture, MASKED_VALUE } from '../utils/frameCapture';
+import {
+  WS_MESSAGE_TYPES,
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS
+} from '../constants/wsProtocol';
+
+export const REPLAY_CONFIG = {
+  SPEED: 1,
+  MAX_DELAY: 2000
+};
+
+/**
+ * Capture Replay Backend Class
+ */
+export class CaptureReplayBackend {
+  /**
+   * @param {string|Object} capture - Exported capture (text or object)
+   * @param {Object} options
+   * @param {number} options.speed - Playback speed multiplier
+   * @param {number} options.maxDelay - Longest pause between frames in ms
+   */
+  constructor(capture, options = {}) {
+    this.capture = parseCapture(capture);
+    this.frames = this.capture.frames;
+    this.speed = options.speed ?? REPLAY_CONFIG.SPEED;
+    this.maxDelay = options.maxDelay ?? REPLAY_CONFIG.MAX_DELAY;
+
+    this.hasHandshake = this.frames.some(frame =>
+      frame.direction === 'in' && frame.type === WS_MESSAGE_TYPES.AUTH_SUCCESS
+    );
+    this.hasConnected = this.frames.some(frame =>
+      frame.direction === 'in' && frame.type === WS_MESSAGE_TYPES.CONNECTED
+    );
+
+    this.debug = false;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[CaptureReplayBackend]', ...args);
+    }
+  }
+
+  /**
+   * Open a client connection and start playback
+   * @param {Object} sink - { send(frame), close(code, reason) }
+   * @returns {Object} Connection { receive(text), close() }
+   */
+  openConnection(sink) {
+    const connection = {
+      sink,
+      cursor: 0,
+      lastOffset: null,
+      waitingFor: null,
+      timer: null,
+      closed: false,
+      authenticated: false,
+      requestIds: new Map(),    // recorded request_id -> client request_id
+      receive: (text) => this.handleFrame(connection, text),
+      close: () => this.closeConnection(connection)
+    };
+
+    if (!this.hasConnected) {
+      sink.send({
+        type: WS_MESSAGE_TYPES.CONNECTED,
+        protocol_version: this.capture.protocol_version || PROTOCOL_VERSION,
+        supported_versions: SUPPORTED_PROTOCOL_VERSIONS,
+        server_version: 'replay'
+      });
+    }
+
+    // Without a handshake the capture starts mid-session; wait for auth first
+    if (this.hasHandshake) {
+      this.advance(connection);
+    }
+
+    return connection;
+  }
+
+  closeConnection(connection) {
+    connection.closed = true;
+    if (connection.timer) {
+      clearTimeout(connection.timer);
+      connection.timer = null;
+    }
+  }
+
+  /**
+   * Play frames until the next outbound gate or the end of the capture
+   */
+  advance(connection) {
+    if (connection.closed || connection.timer) return;
+
+    const frame = this.frames[connection.cursor];
+    if (!frame) {
+      this.log('Replay finished');
+      return;
+    }
+
+    if (frame.direction === 'out') {
+      connection.waitingFor = frame;
+      return;
+    }
+
+    const delay = connection.lastOffset === null
+      ? 0
+      : Math.min(this.maxDelay, Math.max(0, frame.offset_ms - connection.lastOffset) / this.speed);
+
+    connection.timer = setTimeout(() => {
+      connection.timer = null;
+      if (connection.closed) return;
+
+      connection.cursor++;
+      connection.lastOffset = frame.offset_ms;
+      this.sendRecorded(connection, frame);
+      this.advance(connection);
+    }, delay);
+  }
+
+  /**
+   * Send a recorded inbound frame, mapping request_id to the client's
+   */
+  sendRecorded(connection, frame) {
+    if (!frame.data || typeof frame.data !== 'object') {
+      this.log('Skipping unparsed frame', frame.seq);
+      return;
+    }
+
+    const data = { ...frame.data };
+    // Replays are JSON only; binary payloads were recorded as size markers
+    if (data.type === WS_MESSAGE_TYPES.AUTH_SUCCESS) {
+      delete data.binary_encoding;
+    }
+    if (data.request_id && connection.requestIds.has(data.request_id)) {
+      data.request_id = connection.requestIds.get(data.request_id);
+    }
+
+    connection.sink.send(data);
+  }
+
+  /**
+   * Client frame received
+   */
+  handleFrame(connection, text) {
+    let frame;
+    try {
+      frame = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+
+    if (!this.hasHandshake && this.answerHandshake(connection, frame)) {
+      return;
+    }
+
+    if (frame.type === WS_MESSAGE_TYPES.PING && connection.waitingFor?.type !== WS_MESSAGE_TYPES.PING) {
+      connection.sink.send({ type: WS_MESSAGE_TYPES.PONG, timestamp: Date.now() });
+      return;
+    }
+
+    const gate = connection.waitingFor;
+    if (!gate || gate.type !== frame.type) {
+      this.log('Ignoring client frame', frame.type);
+      return;
+    }
+
+    if (gate.request_id && frame.request_id && gate.request_id !== frame.request_id) {
+      connection.requestIds.set(gate.request_id, frame.request_id);
+    }
+
+    connection.waitingFor = null;
+    connection.cursor++;
+    connection.lastOffset = gate.offset_ms;
+    this.advance(connection);
+  }
+
+  /**
+   * Synthetic login for captures that start after authentication
+   * @returns {boolean} Whether the frame was consumed
+   */
+  answerHandshake(connection, frame) {
+    if (frame.type === WS_MESSAGE_TYPES.GET_MESSAGE) {
+      connection.sink.send({
+        type: WS_MESSAGE_TYPES.SIGNATURE_MESSAGE,
+        message: `AeroNyx capture replay\nWallet: ${frame.wallet_address}`,
+        nonce: 'replay',
+        expires_in: 300
+      });
+      return true;
+    }
+
+    if (frame.type === WS_MESSAGE_TYPES.AUTH && !connection.authenticated) {
+      connection.authenticated = true;
+      connection.sink.send({
+        type: WS_MESSAGE_TYPES.AUTH_SUCCESS,
+        session_token: MASKED_VALUE,
+        protocol_version: this.capture.protocol_version || PROTOCOL_VERSION,
+        nodes: []
+      });
+      this.advance(connection);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * HTTP is not part of a capture
+   */
+  handleHttp(method, path) {
+    return {
+      status: 404,
+      body: { success: false, message: `${method} ${path} is not available during capture replay` }
+    };
+  }
+}
+
+export default CaptureReplayBackend;
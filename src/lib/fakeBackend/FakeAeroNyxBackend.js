@@ -0,0 +1,1223 @@
+/**
+ * ============================================
+ * File: src/lib/fakeBackend/FakeAeroNyxBackend.js
+ * ============================================
+ * In-memory fake of the AeroNyx API and user-monitor WebSocket
+ *
+ * Creation Reason: Every feature needed wss to the live API and a real node.
+ * This backend lets the dashboard, terminal and FileManager run offline.
+ * Main Functionality:
+ * - WebSocket: connected -> get_message -> signature_message -> auth ->
+ *   auth_success, start_monitor/status_update streams (snapshot or delta
+ *   encoding, as requested by start_monitor.status_encoding), ping/pong,
+ *   remote_auth, term_* sessions (ScriptedShell) and remote_command over a
+ *   per-node VirtualFileSystem
+ * - Chunked uploads: upload_begin/chunk/status/commit/abort. Sessions
+ *   belong to the node, not the connection, so they survive reconnects;
+ *   commit verifies the SHA-256 before writing the file
+ * - Ranged downloads (download offset/length) and the checksum command
+ * - remote_command_cancel: execute responses are delayed by the command's
+ *   `sleep` time and can be cancelled meanwhile (no response is sent).
+ *   Side effects have already happened by then.
+ * - Streamed execute (`stream: true`, agents with exec_stream): each
+ *   command of the line sends remote_command_output frames as it runs,
+ *   the response carries the exit code. Other agents ignore `stream`
+ * - Execute options (agents with exec_options): cwd must exist, user is
+ *   one of FAKE_CONFIG.EXECUTE_USERS, stdin feeds cat / wc, shell: false
+ *   runs one builtin without the shell, timeout_ms stops at the first
+ *   sleep that crosses it (exit code 124, timed_out)
+ * - Agent versions: each node answers only its agent's command set
+ *   (fixtures AGENT_PROFILES); `capabilities` reports it, other commands
+ *   are rejected with INVALID_COMMAND like an older agent would
+ * - Binary framing: accepted when offered in auth (binaryFraming option,
+ *   default on); term_output and download content then go out as binary
+ *   envelopes and upload content may arrive as one
+ * - HTTP: the nodeRegistration endpoints the UI calls (signature message,
+ *   remote management token, overview, node details, history)
+ * Dependencies: wsProtocol, remoteCommandErrors, VirtualFileSystem,
+ * ScriptedShell, fixtures
+ *
+ * Main Logical Flow:
+ * 1. fakeTransport.createSocket() calls openConnection() with a sink
+ * 2. Client frames arrive in connection.receive(); replies go to the sink
+ * 3. fakeTransport.fetch() calls handleHttp()
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Signatures are NOT verified - any signature over the issued message
+ *   is accepted. Never ship a build that defaults to this backend.
+ * - Frame shapes must stay valid against lib/constants/wsProtocol.js;
+ *   the client drops frames that fail validation
+ * - State lives for the lifetime of the instance (page reload resets it)
+ *
+ * Last Modified: v1.7.0 - Execute options (cwd, env, user, timeout_ms, stdin, shell)
+ * ============================================
+ */
+
+import {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  WS_MESSAGE_TYPES,
+  STATUS_ENCODING
+} from '../constants/wsProtocol';
+import { REMOTE_COMMAND_TYPES } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+import { nodeKey, diffNode } from '../utils/nodeDelta';
+import { sha256Hex } from '../utils/sha256';
+import {
+  BINARY_ENCODING,
+  isBinaryFrame,
+  encodeBinaryFrame,
+  decodeBinaryFrame,
+  getBinaryPayload,
+  toJsonFrame,
+  base64ToBytes
+} from '../utils/binaryFraming';
+import { VirtualFileSystem, normalizePath, dirname, basename } from './VirtualFileSystem';
+import { ScriptedShell } from './ScriptedShell';
+import {
+  createFakeNodes,
+  jitterNodeMetrics,
+  seedFileSystem,
+  buildSystemInfo,
+  getAgentProfile
+} from './fixtures';
+
+// Backend configuration
+const FAKE_CONFIG = {
+  STATUS_INTERVAL: 5000,
+  SESSION_DURATION: 30 * 60 * 1000,
+  NONCE_TTL: 15 * 60 * 1000,     // Matches TIME_CONSTANTS.SIGNATURE_VALIDITY_MINUTES
+  MAX_UPLOAD_CHUNK: 4 * 1024 * 1024,
+  ARCHIVE_MAGIC: 'AERONYX-FAKE-ARCHIVE\n',
+  STREAM_STEP_MS: 50,            // Pause between the commands of a streamed execute
+  EXECUTE_USERS: {               // execute `user` (exec_options) -> shell user
+    root: 'root',
+    0: 'root',
+    aeronyx: 'aeronyx',
+    1000: 'aeronyx'
+  }
+};
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+/**
+ * Decode terminal input
+ * The dashboard base64-encodes term_input; TerminalService sends raw text
+ */
+function decodeTerminalInput(data) {
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(data) && data.length % 4 === 0) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(base64ToBytes(data));
+    } catch (error) {
+      // Not base64 UTF-8 - fall through to raw
+    }
+  }
+  return data;
+}
+
+/**
+ * Upload content: bytes (binary envelope) or base64 (JSON)
+ */
+function decodeUploadContent(content) {
+  if (isBinaryFrame(content)) {
+    return content.slice();
+  }
+  try {
+    return base64ToBytes(content || '');
+  } catch (error) {
+    throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'content must be base64');
+  }
+}
+
+/**
+ * Random id helper
+ */
+function randomId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Fake AeroNyx Backend Class
+ */
+export class FakeAeroNyxBackend {
+  /**
+   * @param {Object} options
+   * @param {number} options.statusInterval - ms between status_update frames
+   * @param {Array} options.nodes - Node fixtures (defaults to createFakeNodes())
+   */
+  constructor(options = {}) {
+    this.statusInterval = options.statusInterval ?? FAKE_CONFIG.STATUS_INTERVAL;
+    this.binaryFraming = options.binaryFraming !== false;
+    this.startedAt = Date.now();
+
+    this.nodes = options.nodes || createFakeNodes();
+    this.fileSystems = new Map();
+    this.nodes.forEach(node => {
+      this.fileSystems.set(node.code, seedFileSystem(new VirtualFileSystem(), node));
+    });
+
+    this.nonces = new Map();        // nonce -> { wallet, message, expiresAt }
+    this.sessions = new Map();      // session token -> { wallet, expiresAt }
+    this.connections = new Set();
+    this.uploads = new Map();       // upload_id -> chunked upload session
+
+    this.debug = false;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[FakeAeroNyxBackend]', ...args);
+    }
+  }
+
+  // ==================== Node Helpers ====================
+
+  getNode(reference) {
+    return this.nodes.find(node => node.code === reference) || null;
+  }
+
+  getFileSystem(reference) {
+    return this.fileSystems.get(reference) || null;
+  }
+
+  systemInfoFor(node) {
+    return buildSystemInfo(node, this.getFileSystem(node.code), this.startedAt);
+  }
+
+  // ==================== Signature / Tokens ====================
+
+  /**
+   * Issue a signature message for a wallet
+   */
+  issueSignatureMessage(walletAddress) {
+    const nonce = randomId('nonce');
+    const wallet = walletAddress.toLowerCase();
+    const message = [
+      'AeroNyx Dashboard Authentication',
+      `Wallet: ${walletAddress}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date().toISOString()}`
+    ].join('\n');
+
+    this.nonces.set(nonce, {
+      wallet,
+      message,
+      expiresAt: Date.now() + FAKE_CONFIG.NONCE_TTL
+    });
+
+    return { message, nonce };
+  }
+
+  /**
+   * Check a signed message was issued by us (signature itself is not verified)
+   */
+  verifySignedMessage(walletAddress, signature, message) {
+    if (!signature || !message || !walletAddress) return false;
+    const match = message.match(/Nonce:\s*(\S+)/);
+    const issued = match && this.nonces.get(match[1]);
+    return !!issued &&
+      issued.expiresAt > Date.now() &&
+      issued.wallet === walletAddress.toLowerCase() &&
+      issued.message === message;
+  }
+
+  /**
+   * Issue a remote management JWT-like token
+   */
+  issueRemoteToken(walletAddress, referenceCode, durationMinutes = 60) {
+    const payload = {
+      wallet_address: walletAddress.toLowerCase(),
+      node_reference: referenceCode,
+      exp: Date.now() + durationMinutes * 60 * 1000
+    };
+    return `fake.${btoa(JSON.stringify(payload))}.unsigned`;
+  }
+
+  /**
+   * Decode a remote token, null if invalid or expired
+   */
+  decodeRemoteToken(token) {
+    try {
+      const [prefix, body] = String(token).split('.');
+      if (prefix !== 'fake') return null;
+      const payload = JSON.parse(atob(body));
+      return payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== WebSocket ====================
+
+  /**
+   * Open a client connection
+   * @param {Object} sink - { send(frameObject), close(code, reason) }
+   * @returns {Object} Connection with receive(text) and close()
+   */
+  openConnection(sink) {
+    const connection = {
+      id: randomId('conn'),
+      sink,
+      wallet: null,
+      authenticated: false,
+      monitorTimer: null,
+      statusEncoding: STATUS_ENCODING.SNAPSHOT,
+      binaryEncoding: null,
+      statusSequence: 0,
+      lastStatus: null,
+      remoteNodes: new Set(),
+      terminals: new Map(),
+      runningCommands: new Map(),   // request_id -> response timer
+      receive: (text) => this.handleFrame(connection, text),
+      close: () => this.closeConnection(connection)
+    };
+
+    this.connections.add(connection);
+    this.log('Connection opened', connection.id);
+
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.CONNECTED,
+      protocol_version: PROTOCOL_VERSION,
+      supported_versions: SUPPORTED_PROTOCOL_VERSIONS,
+      server_version: 'fake-1.0.0'
+    });
+
+    return connection;
+  }
+
+  /**
+   * Tear down a connection
+   */
+  closeConnection(connection) {
+    if (connection.monitorTimer) {
+      clearInterval(connection.monitorTimer);
+      connection.monitorTimer = null;
+    }
+    connection.terminals.clear();
+    connection.runningCommands.forEach(timer => clearTimeout(timer));
+    connection.runningCommands.clear();
+    this.connections.delete(connection);
+    this.log('Connection closed', connection.id);
+  }
+
+  /**
+   * Send a frame; payload bytes go out as a binary envelope when the
+   * connection negotiated one, otherwise as base64 JSON
+   */
+  send(connection, frame) {
+    if (!this.connections.has(connection)) return;
+
+    if (connection.binaryEncoding) {
+      // Real servers stream PTY / process bytes; the shell produces text
+      const isTextOutput = frame.type === WS_MESSAGE_TYPES.TERM_OUTPUT ||
+        frame.type === WS_MESSAGE_TYPES.REMOTE_COMMAND_OUTPUT;
+      const binaryFrame = isTextOutput && typeof frame.data === 'string'
+        ? { ...frame, data: textEncoder.encode(frame.data) }
+        : frame;
+      if (getBinaryPayload(binaryFrame)) {
+        connection.sink.send(encodeBinaryFrame(binaryFrame));
+        return;
+      }
+    }
+
+    connection.sink.send(toJsonFrame(frame));
+  }
+
+  sendError(connection, message, code, extra = {}) {
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.ERROR,
+      message,
+      ...(code ? { code } : {}),
+      ...extra
+    });
+  }
+
+  /**
+   * Handle one client frame
+   */
+  handleFrame(connection, data) {
+    let frame;
+    try {
+      frame = isBinaryFrame(data) ? decodeBinaryFrame(data) : JSON.parse(data);
+    } catch (error) {
+      this.sendError(connection, 'Invalid frame', 'INVALID_MESSAGE');
+      return;
+    }
+
+    this.log('Frame', frame.type);
+
+    // Frames allowed before auth
+    switch (frame.type) {
+      case WS_MESSAGE_TYPES.GET_MESSAGE:
+        return this.handleGetMessage(connection, frame);
+      case WS_MESSAGE_TYPES.AUTH:
+        return this.handleAuth(connection, frame);
+      case WS_MESSAGE_TYPES.PING:
+        return this.send(connection, { type: WS_MESSAGE_TYPES.PONG, timestamp: Date.now() });
+      default:
+        break;
+    }
+
+    if (!connection.authenticated) {
+      this.sendError(connection, 'Not authenticated');
+      return;
+    }
+
+    switch (frame.type) {
+      case WS_MESSAGE_TYPES.START_MONITOR:
+        return this.startMonitor(connection, frame);
+      case WS_MESSAGE_TYPES.STOP_MONITOR:
+        return this.stopMonitor(connection);
+      case WS_MESSAGE_TYPES.REMOTE_AUTH:
+        return this.handleRemoteAuth(connection, frame);
+      case WS_MESSAGE_TYPES.TERM_INIT:
+        return this.handleTermInit(connection, frame);
+      case WS_MESSAGE_TYPES.TERM_INPUT:
+        return this.handleTermInput(connection, frame);
+      case WS_MESSAGE_TYPES.TERM_RESIZE:
+        return undefined;
+      case WS_MESSAGE_TYPES.TERM_CLOSE:
+        return this.handleTermClose(connection, frame);
+      case WS_MESSAGE_TYPES.REMOTE_COMMAND:
+        return this.handleRemoteCommand(connection, frame);
+      case WS_MESSAGE_TYPES.REMOTE_COMMAND_CANCEL:
+        return this.handleRemoteCommandCancel(connection, frame);
+      default:
+        this.sendError(connection, `Unknown message type: ${frame.type}`, 'UNKNOWN_MESSAGE_TYPE');
+        return undefined;
+    }
+  }
+
+  handleGetMessage(connection, frame) {
+    if (!frame.wallet_address) {
+      this.sendError(connection, 'wallet_address is required', 'INVALID_MESSAGE');
+      return;
+    }
+    const { message, nonce } = this.issueSignatureMessage(frame.wallet_address);
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.SIGNATURE_MESSAGE,
+      message,
+      nonce,
+      expires_in: FAKE_CONFIG.NONCE_TTL / 1000
+    });
+  }
+
+  handleAuth(connection, frame) {
+    const wallet = (frame.wallet_address || '').toLowerCase();
+
+    if (frame.session_token) {
+      const session = this.sessions.get(frame.session_token);
+      if (!session || session.expiresAt < Date.now() || session.wallet !== wallet) {
+        this.sendError(connection, 'Invalid or expired session token', 'SESSION_INVALID');
+        return;
+      }
+      this.completeAuth(connection, wallet, frame.session_token, frame);
+      return;
+    }
+
+    if (!this.verifySignedMessage(wallet, frame.signature, frame.message)) {
+      this.sendError(connection, 'Signature verification failed', 'NONCE_NOT_FOUND');
+      return;
+    }
+
+    const nonce = frame.message.match(/Nonce:\s*(\S+)/)[1];
+    this.nonces.delete(nonce);
+
+    const token = randomId('session');
+    this.sessions.set(token, {
+      wallet,
+      expiresAt: Date.now() + FAKE_CONFIG.SESSION_DURATION
+    });
+    this.completeAuth(connection, wallet, token, frame);
+  }
+
+  completeAuth(connection, wallet, token, frame) {
+    const binary = this.binaryFraming &&
+      Array.isArray(frame.binary_encodings) && frame.binary_encodings.includes(BINARY_ENCODING);
+
+    connection.wallet = wallet;
+    connection.authenticated = true;
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.AUTH_SUCCESS,
+      session_token: token,
+      nodes: this.nodes,
+      protocol_version: PROTOCOL_VERSION,
+      ...(binary ? { binary_encoding: BINARY_ENCODING } : {})
+    });
+    // Binary from the next frame on; auth_success itself is JSON
+    connection.binaryEncoding = binary ? BINARY_ENCODING : null;
+  }
+
+  startMonitor(connection, frame = {}) {
+    this.stopMonitorTimer(connection);
+    connection.statusEncoding = frame.status_encoding === STATUS_ENCODING.DELTA
+      ? STATUS_ENCODING.DELTA
+      : STATUS_ENCODING.SNAPSHOT;
+
+    this.send(connection, { type: WS_MESSAGE_TYPES.MONITOR_STARTED });
+    this.sendSnapshot(connection);
+
+    if (this.statusInterval > 0) {
+      connection.monitorTimer = setInterval(() => {
+        this.nodes.forEach(jitterNodeMetrics);
+        if (connection.statusEncoding === STATUS_ENCODING.DELTA) {
+          this.sendDelta(connection);
+        } else {
+          this.sendSnapshot(connection);
+        }
+      }, this.statusInterval);
+    }
+  }
+
+  stopMonitorTimer(connection) {
+    if (connection.monitorTimer) {
+      clearInterval(connection.monitorTimer);
+      connection.monitorTimer = null;
+    }
+  }
+
+  stopMonitor(connection) {
+    this.stopMonitorTimer(connection);
+    this.send(connection, { type: WS_MESSAGE_TYPES.MONITOR_STOPPED });
+  }
+
+  /**
+   * Full node list; also the base for following deltas
+   */
+  sendSnapshot(connection) {
+    connection.statusSequence += 1;
+    connection.lastStatus = new Map(
+      this.nodes.map(node => [nodeKey(node), JSON.parse(JSON.stringify(node))])
+    );
+
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.STATUS_UPDATE,
+      encoding: STATUS_ENCODING.SNAPSHOT,
+      sequence: connection.statusSequence,
+      nodes: this.nodes,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Patches for nodes that changed since the last status frame
+   */
+  sendDelta(connection) {
+    const previous = connection.lastStatus || new Map();
+    const current = new Map();
+    const patches = [];
+
+    this.nodes.forEach(node => {
+      const reference = nodeKey(node);
+      const patch = diffNode(previous.get(reference), node);
+      if (patch) {
+        patches.push(patch);
+      }
+      current.set(reference, JSON.parse(JSON.stringify(node)));
+    });
+
+    const removed = Array.from(previous.keys()).filter(reference => !current.has(reference));
+    connection.lastStatus = current;
+
+    if (patches.length === 0 && removed.length === 0) return;
+
+    connection.statusSequence += 1;
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.STATUS_UPDATE,
+      encoding: STATUS_ENCODING.DELTA,
+      sequence: connection.statusSequence,
+      patches,
+      removed,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  handleRemoteAuth(connection, frame) {
+    const payload = this.decodeRemoteToken(frame.jwt_token);
+    if (!payload || payload.wallet_address !== connection.wallet) {
+      this.sendError(connection, 'Invalid or expired remote management token', ERROR_CODES.INVALID_JWT);
+      return;
+    }
+
+    const node = this.getNode(payload.node_reference);
+    if (!node) {
+      this.sendError(connection, `Node ${payload.node_reference} not found`, ERROR_CODES.NODE_NOT_FOUND);
+      return;
+    }
+    if (node.status === 'offline') {
+      this.sendError(connection, `Node ${node.code} is not connected`, ERROR_CODES.REMOTE_NOT_ENABLED);
+      return;
+    }
+
+    connection.remoteNodes.add(node.code);
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.REMOTE_AUTH_SUCCESS,
+      node_reference: node.code
+    });
+  }
+
+  handleTermInit(connection, frame) {
+    const node = this.getNode(frame.node_reference);
+    if (!node || !connection.remoteNodes.has(node.code)) {
+      this.send(connection, {
+        type: WS_MESSAGE_TYPES.TERM_ERROR,
+        session_id: frame.session_id,
+        error: 'Remote authentication required',
+        code: ERROR_CODES.UNAUTHORIZED
+      });
+      return;
+    }
+
+    if (!getAgentProfile(node).features.includes('terminal')) {
+      this.send(connection, {
+        type: WS_MESSAGE_TYPES.TERM_ERROR,
+        session_id: frame.session_id,
+        error: 'Terminal sessions are not supported by this agent',
+        code: ERROR_CODES.INVALID_COMMAND
+      });
+      return;
+    }
+
+    const shell = new ScriptedShell({
+      vfs: this.getFileSystem(node.code),
+      node,
+      systemInfo: () => this.systemInfoFor(node),
+      cwd: frame.cwd,
+      env: frame.env
+    });
+    connection.terminals.set(frame.session_id, shell);
+
+    this.send(connection, { type: WS_MESSAGE_TYPES.TERM_READY, session_id: frame.session_id });
+    this.send(connection, {
+      type: WS_MESSAGE_TYPES.TERM_OUTPUT,
+      session_id: frame.session_id,
+      data: shell.banner()
+    });
+  }
+
+  handleTermInput(connection, frame) {
+    const shell = connection.terminals.get(frame.session_id);
+    if (!shell) {
+      this.send(connection, {
+        type: WS_MESSAGE_TYPES.TERM_ERROR,
+        session_id: frame.session_id,
+        error: 'Terminal session not found'
+      });
+      return;
+    }
+
+    const { output, exited } = shell.input(decodeTerminalInput(frame.data));
+    if (output) {
+      this.send(connection, {
+        type: WS_MESSAGE_TYPES.TERM_OUTPUT,
+        session_id: frame.session_id,
+        data: output
+      });
+    }
+    if (exited) {
+      this.handleTermClose(connection, frame);
+    }
+  }
+
+  handleTermClose(connection, frame) {
+    if (connection.terminals.delete(frame.session_id)) {
+      this.send(connection, { type: WS_MESSAGE_TYPES.TERM_CLOSED, session_id: frame.session_id });
+    }
+  }
+
+  handleRemoteCommand(connection, frame) {
+    const respond = (body) => this.send(connection, {
+      type: WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE,
+      request_id: frame.request_id,
+      ...body
+    });
+
+    try {
+      const node = this.getNode(frame.node_reference);
+      if (!node) {
+        throw new RemoteCommandError(ERROR_CODES.NODE_NOT_FOUND, `Node ${frame.node_reference} not found`);
+      }
+      if (!connection.remoteNodes.has(node.code)) {
+        throw new RemoteCommandError(ERROR_CODES.UNAUTHORIZED, 'Remote authentication required');
+      }
+
+      if (this.streamsExecute(node, frame.command)) {
+        this.streamExecute(connection, node, frame, respond);
+        return;
+      }
+
+      const result = this.executeCommand(node, frame.command || {});
+
+      // execute with sleep: answer later unless it is cancelled first
+      const delay = frame.command?.type === REMOTE_COMMAND_TYPES.EXECUTE ? result.duration_ms : 0;
+      if (delay > 0) {
+        connection.runningCommands.set(frame.request_id, setTimeout(() => {
+          connection.runningCommands.delete(frame.request_id);
+          respond({ success: true, result });
+        }, delay));
+        return;
+      }
+
+      respond({ success: true, result });
+    } catch (error) {
+      const code = error instanceof RemoteCommandError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+      const details = error instanceof RemoteCommandError && Object.keys(error.details).length > 0
+        ? { details: error.details }
+        : {};
+      respond({
+        success: false,
+        error: { code, message: error.message, ...details }
+      });
+    }
+  }
+
+  /**
+   * execute with stream: true, on an agent that streams (exec_stream)
+   */
+  streamsExecute(node, command) {
+    return command?.type === REMOTE_COMMAND_TYPES.EXECUTE && command.stream === true &&
+      !!command.command && getAgentProfile(node).features.includes('exec_stream');
+  }
+
+  /**
+   * Streamed execute: each command of the line sends its output as
+   * remote_command_output frames (one per line), then waits its `sleep`
+   * time or STREAM_STEP_MS; the response carries only the exit code.
+   * Cancellable between steps like a delayed execute
+   */
+  streamExecute(connection, node, frame, respond) {
+    const { steps, timeoutMs } = this.prepareExecute(node, frame.command);
+    const started = Date.now();
+    let seq = 0;
+    let exitCode = 0;
+    let elapsed = 0;
+
+    const output = (stream, text) => {
+      if (!text) return;
+      text.split(/(?<=\n)/).forEach((data) => {
+        this.send(connection, {
+          type: WS_MESSAGE_TYPES.REMOTE_COMMAND_OUTPUT,
+          request_id: frame.request_id,
+          stream,
+          data,
+          seq: seq++
+        });
+      });
+    };
+
+    const next = () => {
+      const step = steps.next();
+      if (step.done) {
+        connection.runningCommands.delete(frame.request_id);
+        respond({
+          success: true,
+          result: { exit_code: exitCode, duration_ms: Date.now() - started, streamed: true }
+        });
+        return;
+      }
+
+      output('stdout', step.value.stdout);
+      output('stderr', step.value.stderr);
+      exitCode = step.value.exitCode;
+
+      const delay = step.value.delayMs || FAKE_CONFIG.STREAM_STEP_MS;
+      if (timeoutMs !== null && elapsed + delay > timeoutMs) {
+        // Killed by its timeout_ms while waiting
+        connection.runningCommands.set(frame.request_id, setTimeout(() => {
+          connection.runningCommands.delete(frame.request_id);
+          respond({
+            success: true,
+            result: { exit_code: 124, timed_out: true, duration_ms: Date.now() - started, streamed: true }
+          });
+        }, Math.max(0, timeoutMs - elapsed)));
+        return;
+      }
+      elapsed += delay;
+      connection.runningCommands.set(frame.request_id, setTimeout(next, delay));
+    };
+
+    connection.runningCommands.set(frame.request_id, setTimeout(next, 0));
+  }
+
+  /**
+   * Shell and steps of an execute. Agents with exec_options honour user,
+   * stdin, timeout_ms and shell: false, and reject a missing working
+   * directory or an unknown user; older agents ignore those fields
+   * @returns {Object} { shell, steps (runSteps / directSteps), timeoutMs }
+   */
+  prepareExecute(node, command) {
+    if (!command.command) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, "'command' is required");
+    }
+
+    const vfs = this.getFileSystem(node.code);
+    const withOptions = getAgentProfile(node).features.includes('exec_options');
+    const args = Array.isArray(command.args) ? command.args.map(String) : [];
+    let user;
+
+    if (withOptions) {
+      if (command.cwd && !vfs.isDirectory(normalizePath(command.cwd))) {
+        throw new RemoteCommandError(ERROR_CODES.FILE_NOT_FOUND, `Working directory not found: ${command.cwd}`, { field: 'cwd' });
+      }
+      if (command.user) {
+        user = FAKE_CONFIG.EXECUTE_USERS[command.user];
+        if (!user) {
+          throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `Unknown user: ${command.user}`, { field: 'user' });
+        }
+      }
+    }
+
+    const shell = new ScriptedShell({
+      vfs,
+      node,
+      systemInfo: () => this.systemInfoFor(node),
+      cwd: command.cwd,
+      env: command.env,
+      ...(withOptions ? { user, stdin: command.stdin } : {})
+    });
+    const steps = withOptions && command.shell === false
+      ? shell.directSteps(command.command, args)
+      : shell.runSteps(args.length ? `${command.command} ${args.join(' ')}` : command.command);
+
+    return {
+      shell,
+      steps,
+      timeoutMs: withOptions && Number.isInteger(command.timeout_ms) ? command.timeout_ms : null
+    };
+  }
+
+  handleRemoteCommandCancel(connection, frame) {
+    const timer = connection.runningCommands.get(frame.request_id);
+    if (timer) {
+      clearTimeout(timer);
+      connection.runningCommands.delete(frame.request_id);
+      this.log('Cancelled remote command', frame.request_id);
+    }
+  }
+
+  // ==================== Remote Commands ====================
+
+  /**
+   * Execute a remote command against a node
+   * @param {Object} node - Node fixture
+   * @param {Object} command - { type, ...params }
+   * @returns {Object} Command result
+   */
+  executeCommand(node, command) {
+    const vfs = this.getFileSystem(node.code);
+    const requirePath = (value, field = 'path') => {
+      if (!value) {
+        throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `'${field}' is required`);
+      }
+      return normalizePath(value);
+    };
+
+    const profile = getAgentProfile(node);
+    if (!profile.commands.includes(command.type)) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_COMMAND, `Unsupported command: ${command.type}`);
+    }
+
+    switch (command.type) {
+      case REMOTE_COMMAND_TYPES.CAPABILITIES:
+        return {
+          agent_version: node.agent_version,
+          commands: profile.commands,
+          features: profile.features
+        };
+
+      case REMOTE_COMMAND_TYPES.LIST: {
+        const path = requirePath(command.path || '/');
+        return { path, entries: vfs.list(path) };
+      }
+
+      case REMOTE_COMMAND_TYPES.DOWNLOAD: {
+        const path = requirePath(command.path);
+        const bytes = vfs.readFile(path);
+        // send() base64-encodes it for JSON connections
+        if (command.offset === undefined && command.length === undefined) {
+          return { path, content: bytes, size: bytes.length };
+        }
+
+        const offset = Number(command.offset || 0);
+        const length = command.length === undefined ? bytes.length - offset : Number(command.length);
+        if (!Number.isSafeInteger(offset) || !Number.isSafeInteger(length) || offset < 0 || length < 0 ||
+            offset > bytes.length) {
+          throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `Invalid range ${command.offset}+${command.length}`);
+        }
+        const content = bytes.slice(offset, offset + length);
+        return { path, content, size: bytes.length, offset, length: content.length };
+      }
+
+      case REMOTE_COMMAND_TYPES.CHECKSUM: {
+        const path = requirePath(command.path);
+        const algorithm = command.algorithm || 'sha256';
+        if (algorithm !== 'sha256') {
+          throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `Unsupported algorithm: ${algorithm}`);
+        }
+        const bytes = vfs.readFile(path);
+        return { path, size: bytes.length, algorithm, sha256: sha256Hex(bytes) };
+      }
+
+      case REMOTE_COMMAND_TYPES.UPLOAD: {
+        const path = requirePath(command.path);
+        const bytes = decodeUploadContent(command.content);
+        vfs.writeFile(path, bytes, { overwrite: command.overwrite !== false });
+        return { path, size: bytes.length, bytes_written: bytes.length };
+      }
+
+      case REMOTE_COMMAND_TYPES.DELETE: {
+        const path = requirePath(command.path);
+        vfs.remove(path, { recursive: !!command.recursive });
+        return { path, deleted: true };
+      }
+
+      case REMOTE_COMMAND_TYPES.RENAME:
+      case REMOTE_COMMAND_TYPES.MOVE: {
+        const path = requirePath(command.path);
+        const destination = vfs.move(path, requirePath(command.destination, 'destination'), {
+          overwrite: !!command.overwrite
+        });
+        return { path, destination };
+      }
+
+      case REMOTE_COMMAND_TYPES.COPY: {
+        const path = requirePath(command.path);
+        const destination = vfs.copy(path, requirePath(command.destination, 'destination'), {
+          recursive: !!command.recursive,
+          overwrite: !!command.overwrite
+        });
+        return { path, destination };
+      }
+
+      case REMOTE_COMMAND_TYPES.CREATE_DIRECTORY: {
+        const path = requirePath(command.path);
+        vfs.mkdir(path, { parents: true, mode: command.mode ? parseInt(command.mode, 8) : undefined });
+        return { path, created: true };
+      }
+
+      case REMOTE_COMMAND_TYPES.DELETE_DIRECTORY: {
+        const path = requirePath(command.path);
+        vfs.requireDirectory(path);
+        vfs.remove(path, { recursive: !!command.recursive });
+        return { path, deleted: true };
+      }
+
+      case REMOTE_COMMAND_TYPES.SEARCH: {
+        const path = requirePath(command.path || '/');
+        const results = vfs.search(path, command.query, {
+          useRegex: !!command.use_regex,
+          caseSensitive: !!command.case_sensitive,
+          maxDepth: command.max_depth || null
+        });
+        return { path, query: command.query, results, total: results.length };
+      }
+
+      case REMOTE_COMMAND_TYPES.COMPRESS: {
+        if (!Array.isArray(command.paths) || command.paths.length === 0) {
+          throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, "'paths' must be a non-empty array");
+        }
+        const destination = requirePath(command.destination, 'destination');
+        const items = vfs.snapshot(command.paths);
+        const archive = FAKE_CONFIG.ARCHIVE_MAGIC + JSON.stringify({ format: command.format || 'zip', items });
+        vfs.writeFile(destination, archive, { overwrite: !!command.overwrite });
+        return { destination, files: items.length, size: archive.length };
+      }
+
+      case REMOTE_COMMAND_TYPES.EXTRACT: {
+        const path = requirePath(command.path);
+        const text = textDecoder.decode(vfs.readFile(path));
+        if (!text.startsWith(FAKE_CONFIG.ARCHIVE_MAGIC)) {
+          throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `${path} is not an archive created by this backend`);
+        }
+        const { items } = JSON.parse(text.slice(FAKE_CONFIG.ARCHIVE_MAGIC.length));
+        const destination = command.destination
+          ? requirePath(command.destination, 'destination')
+          : dirname(path);
+        const files = vfs.restore(items, destination);
+        return { path, destination, files };
+      }
+
+      case REMOTE_COMMAND_TYPES.CHMOD: {
+        const path = requirePath(command.path);
+        const changed = vfs.chmod(path, command.mode, { recursive: !!command.recursive });
+        return { path, mode: String(command.mode), changed };
+      }
+
+      case REMOTE_COMMAND_TYPES.CHOWN: {
+        const path = requirePath(command.path);
+        const changed = vfs.chown(path, command.owner, command.group, { recursive: !!command.recursive });
+        return { path, owner: command.owner, group: command.group, changed };
+      }
+
+      case REMOTE_COMMAND_TYPES.BATCH_DELETE:
+      case REMOTE_COMMAND_TYPES.BATCH_MOVE:
+      case REMOTE_COMMAND_TYPES.BATCH_COPY:
+        return this.executeBatch(vfs, command);
+
+      case REMOTE_COMMAND_TYPES.SYSTEM_INFO:
+        return this.systemInfoFor(node);
+
+      case REMOTE_COMMAND_TYPES.EXECUTE: {
+        const started = Date.now();
+        const { shell, steps, timeoutMs } = this.prepareExecute(node, command);
+        const result = shell.collect(steps, timeoutMs);
+        return {
+          stdout: result.stdout,
+          stderr: result.stderr,
+          exit_code: result.exitCode,
+          duration_ms: Date.now() - started + result.delayMs,
+          ...(result.timedOut ? { timed_out: true } : {})
+        };
+      }
+
+      case REMOTE_COMMAND_TYPES.UPLOAD_BEGIN:
+      case REMOTE_COMMAND_TYPES.UPLOAD_CHUNK:
+      case REMOTE_COMMAND_TYPES.UPLOAD_STATUS:
+      case REMOTE_COMMAND_TYPES.UPLOAD_COMMIT:
+      case REMOTE_COMMAND_TYPES.UPLOAD_ABORT:
+        return this.executeChunkedUpload(node, vfs, command, requirePath);
+
+      default:
+        throw new RemoteCommandError(ERROR_CODES.INVALID_COMMAND, `Unsupported command: ${command.type}`);
+    }
+  }
+
+  /**
+   * Chunked upload commands
+   * Chunks must arrive at the current offset; anything else is answered
+   * with UPLOAD_OFFSET_MISMATCH and details.offset so the client can
+   * continue from there
+   */
+  executeChunkedUpload(node, vfs, command, requirePath) {
+    if (command.type === REMOTE_COMMAND_TYPES.UPLOAD_BEGIN) {
+      const path = requirePath(command.path);
+      const size = Number(command.size);
+      if (!Number.isSafeInteger(size) || size < 0) {
+        throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, "'size' must be a non-negative integer");
+      }
+      if (command.overwrite === false && vfs.exists(path)) {
+        throw new RemoteCommandError(ERROR_CODES.FILE_EXISTS, `File exists: ${path}`);
+      }
+
+      const upload = {
+        id: randomId('upl'),
+        node: node.code,
+        path,
+        size,
+        overwrite: command.overwrite !== false,
+        chunks: [],
+        offset: 0
+      };
+      this.uploads.set(upload.id, upload);
+      return {
+        upload_id: upload.id,
+        path,
+        size,
+        offset: 0,
+        max_chunk_size: FAKE_CONFIG.MAX_UPLOAD_CHUNK
+      };
+    }
+
+    const upload = this.uploads.get(command.upload_id);
+    if (!upload || upload.node !== node.code) {
+      throw new RemoteCommandError(ERROR_CODES.UPLOAD_NOT_FOUND, `Upload ${command.upload_id} not found`);
+    }
+
+    switch (command.type) {
+      case REMOTE_COMMAND_TYPES.UPLOAD_CHUNK: {
+        if (command.offset !== upload.offset) {
+          throw new RemoteCommandError(
+            ERROR_CODES.UPLOAD_OFFSET_MISMATCH,
+            `Expected offset ${upload.offset}, got ${command.offset}`,
+            { offset: upload.offset }
+          );
+        }
+        const bytes = decodeUploadContent(command.content);
+        if (bytes.length > FAKE_CONFIG.MAX_UPLOAD_CHUNK || upload.offset + bytes.length > upload.size) {
+          throw new RemoteCommandError(ERROR_CODES.FILE_TOO_LARGE, 'Chunk exceeds the declared upload size');
+        }
+        upload.chunks.push(bytes);
+        upload.offset += bytes.length;
+        return { upload_id: upload.id, offset: upload.offset, size: upload.size };
+      }
+
+      case REMOTE_COMMAND_TYPES.UPLOAD_STATUS:
+        return { upload_id: upload.id, path: upload.path, offset: upload.offset, size: upload.size };
+
+      case REMOTE_COMMAND_TYPES.UPLOAD_COMMIT: {
+        if (upload.offset !== upload.size) {
+          throw new RemoteCommandError(
+            ERROR_CODES.UPLOAD_OFFSET_MISMATCH,
+            `Upload incomplete: ${upload.offset} of ${upload.size} bytes`,
+            { offset: upload.offset }
+          );
+        }
+
+        const bytes = new Uint8Array(upload.size);
+        let position = 0;
+        upload.chunks.forEach(chunk => {
+          bytes.set(chunk, position);
+          position += chunk.length;
+        });
+        this.uploads.delete(upload.id);
+
+        const digest = sha256Hex(bytes);
+        if (String(command.sha256 || '').toLowerCase() !== digest) {
+          throw new RemoteCommandError(
+            ERROR_CODES.CHECKSUM_MISMATCH,
+            `SHA-256 mismatch for ${upload.path}`,
+            { expected: command.sha256, actual: digest }
+          );
+        }
+
+        vfs.writeFile(upload.path, bytes, { overwrite: upload.overwrite });
+        return { path: upload.path, size: bytes.length, bytes_written: bytes.length, sha256: digest };
+      }
+
+      case REMOTE_COMMAND_TYPES.UPLOAD_ABORT:
+        this.uploads.delete(upload.id);
+        return { upload_id: upload.id, aborted: true };
+
+      default:
+        throw new RemoteCommandError(ERROR_CODES.INVALID_COMMAND, `Unsupported command: ${command.type}`);
+    }
+  }
+
+  /**
+   * Batch operations report per-path results
+   */
+  executeBatch(vfs, command) {
+    if (!Array.isArray(command.paths) || command.paths.length === 0) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, "'paths' must be a non-empty array");
+    }
+
+    const results = command.paths.map(path => {
+      try {
+        if (command.type === REMOTE_COMMAND_TYPES.BATCH_DELETE) {
+          vfs.remove(path, { recursive: true });
+          return { path, success: true };
+        }
+
+        const target = normalizePath(`${command.destination}/${basename(normalizePath(path))}`);
+        if (command.type === REMOTE_COMMAND_TYPES.BATCH_MOVE) {
+          vfs.move(path, target, { overwrite: !!command.overwrite });
+        } else {
+          vfs.copy(path, target, { recursive: true, overwrite: !!command.overwrite });
+        }
+        return { path, destination: target, success: true };
+      } catch (error) {
+        return {
+          path,
+          success: false,
+          error: {
+            code: error.code || ERROR_CODES.OPERATION_FAILED,
+            message: error.message
+          }
+        };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    return {
+      results,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    };
+  }
+
+  // ==================== HTTP ====================
+
+  /**
+   * Handle an HTTP API request
+   * @param {string} method - HTTP method
+   * @param {string} path - URL path (no host)
+   * @param {Object|null} body - Parsed JSON body
+   * @returns {{status: number, body: Object}}
+   */
+  handleHttp(method, path, body) {
+    const ok = (data) => ({ status: 200, body: { success: true, data, message: null } });
+    const fail = (status, message) => ({ status, body: { success: false, data: null, message } });
+    const params = body || {};
+
+    switch (path) {
+      case '/api/aeronyx/generate-signature-message/':
+        if (!params.wallet_address) return fail(400, 'wallet_address is required');
+        return ok(this.issueSignatureMessage(params.wallet_address));
+
+      case '/api/aeronyx/remote-management/generate-token/': {
+        if (!this.verifySignedMessage(params.wallet_address, params.signature, params.message)) {
+          return fail(401, 'Signature verification failed');
+        }
+        const node = this.getNode(params.reference_code);
+        if (!node) return fail(404, `Node ${params.reference_code} not found`);
+        const minutes = params.duration_minutes || 60;
+        return ok({
+          token: this.issueRemoteToken(params.wallet_address, node.code, minutes),
+          expires_in: minutes * 60,
+          node_reference: node.code
+        });
+      }
+
+      case '/api/aeronyx/user/nodes-overview/': {
+        const active = this.nodes.filter(node => node.status !== 'offline').length;
+        return ok({
+          nodes: this.nodes,
+          summary: {
+            total_nodes: this.nodes.length,
+            active_nodes: active,
+            offline_nodes: this.nodes.length - active
+          }
+        });
+      }
+
+      case '/api/aeronyx/user/node-detailed-status/': {
+        const node = this.getNode(params.reference_code);
+        return node ? ok(node) : fail(404, `Node ${params.reference_code} not found`);
+      }
+
+      case '/api/aeronyx/user/node-performance-history/': {
+        const node = this.getNode(params.reference_code);
+        if (!node) return fail(404, `Node ${params.reference_code} not found`);
+        const hours = Math.min(params.hours || 24, 168);
+        const now = Date.now();
+        const history = Array.from({ length: hours }, (_, index) => {
+          const i = hours - 1 - index;
+          const wave = Math.sin(i * 0.2) * 10;
+          return {
+            timestamp: new Date(now - i * 60 * 60 * 1000).toISOString(),
+            cpu_usage: Math.max(0, Math.min(100, node.performance.cpu + wave)),
+            memory_usage: Math.max(0, Math.min(100, node.performance.memory + wave / 2)),
+            bandwidth_usage: Math.max(0, Math.min(100, node.performance.network + wave)),
+            storage_usage: node.performance.disk,
+            network_latency: 40 + Math.abs(wave),
+            uptime: node.status === 'offline' ? 0 : 100
+          };
+        });
+        return ok({
+          node_id: node.code,
+          time_range_hours: hours,
+          data_points: history.length,
+          performance_history: history
+        });
+      }
+
+      case '/api/aeronyx/check-node-status/': {
+        const node = this.getNode(params.reference_code);
+        return node ? ok({ reference_code: node.code, status: node.status }) : fail(404, 'Node not found');
+      }
+
+      case '/api/aeronyx/node-types/':
+        return ok(['general', 'compute', 'storage', 'ai', 'onion', 'privacy'].map(id => ({ id, name: id })));
+
+      case '/api/aeronyx/node-resources/':
+        return ok(['cpu', 'gpu', 'storage', 'bandwidth'].map(id => ({ id, name: id })));
+
+      default:
+        return fail(404, `Fake backend has no handler for ${method} ${path}`);
+    }
+  }
+}
+
+export default FakeAeroNyxBackend;
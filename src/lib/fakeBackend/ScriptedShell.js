@@ -0,0 +1,628 @@
+/**
+ * ============================================
+ * File: src/lib/fakeBackend/ScriptedShell.js
+ * ============================================
+ * Scripted shell for the fake AeroNyx backend
+ *
+ * Creation Reason: term_init/term_input need a shell to talk to when
+ * running without a real node
+ * Main Functionality:
+ * - run(line): non-interactive execution used by remote_command 'execute'
+ * - input(data): interactive line discipline used by the terminal
+ *   (echo, backspace, Ctrl-C, Enter)
+ * Dependencies: VirtualFileSystem
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Only a small builtin set is scripted (ls, cd, cat, echo, mkdir, ...);
+ *   anything else reports 'command not found' with exit code 127
+ * - Interactive output uses CRLF line endings as xterm expects
+ * - sleep does not block: run() reports the total as `delayMs` and the
+ *   backend delays the execute response by that much (to exercise
+ *   cancellation). In the interactive terminal it returns at once.
+ * - runSteps() yields one result per command of a line; a streamed
+ *   execute sends each step's output, then waits its delayMs
+ * - stdin is read once: the first cat / wc without a file gets it, later
+ *   ones get nothing (as from a pipe)
+ *
+ * Last Modified: v1.4.0 - Backslash escapes, `sh -c`, `exit <code>`
+ * ============================================
+ */
+
+import { resolvePath, basename } from './VirtualFileSystem';
+
+const HELP_TEXT = [
+  'Fake AeroNyx shell - available commands:',
+  '  pwd cd ls cat echo printf seq touch mkdir rm mv cp chmod head tail wc',
+  '  whoami hostname uname date uptime df free env sleep history clear help exit',
+  ''
+].join('\n');
+
+/**
+ * Split a command line into words (supports '...' and "..." quoting and
+ * backslash escapes, e.g. 'it'\''s')
+ */
+export function tokenize(line) {
+  const tokens = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+  let escaped = false;
+
+  for (const char of line) {
+    if (escaped) {
+      if (quote === '"' && !'$`"\\'.includes(char)) current += '\\';
+      current += char;
+      hasToken = true;
+      escaped = false;
+    } else if (char === '\\' && quote !== "'") {
+      escaped = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (hasToken) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Split args into flags and operands ('-rf', 'a' -> flags r,f)
+ */
+function parseArgs(args) {
+  const flags = new Set();
+  const operands = [];
+  args.forEach(arg => {
+    if (arg.startsWith('-') && arg.length > 1 && !/^-\d/.test(arg)) {
+      arg.slice(1).split('').forEach(flag => flags.add(flag));
+    } else {
+      operands.push(arg);
+    }
+  });
+  return { flags, operands };
+}
+
+/**
+ * Scripted Shell Class
+ */
+export class ScriptedShell {
+  /**
+   * @param {Object} options
+   * @param {VirtualFileSystem} options.vfs - Node filesystem
+   * @param {Object} options.node - Node fixture
+   * @param {Function} options.systemInfo - () => system_info payload
+   * @param {string} options.user - Login user
+   * @param {string} options.cwd - Initial directory
+   * @param {Object} options.env - Extra environment variables
+   * @param {string} options.stdin - Input for cat / wc without a file operand
+   */
+  constructor(options) {
+    this.vfs = options.vfs;
+    this.node = options.node;
+    this.systemInfo = options.systemInfo;
+    this.user = options.user || 'aeronyx';
+    this.home = this.user === 'root' ? '/root' : `/home/${this.user}`;
+    this.cwd = options.cwd && this.vfs.isDirectory(options.cwd) ? options.cwd : this.home;
+    this.env = {
+      HOME: this.home,
+      USER: this.user,
+      SHELL: '/bin/sh',
+      PATH: '/usr/local/bin:/usr/bin:/bin',
+      ...(options.env || {})
+    };
+    this.stdin = typeof options.stdin === 'string' ? options.stdin : '';
+    this.history = [];
+    this.lineBuffer = '';
+    this.exited = false;
+  }
+
+  get hostname() {
+    return this.node.system_info.hostname;
+  }
+
+  // ==================== Interactive ====================
+
+  /**
+   * Welcome banner and first prompt
+   */
+  banner() {
+    return [
+      `Welcome to ${this.node.name} (${this.node.system_info.os})`,
+      '',
+      ' * AeroNyx fake backend - everything here is in memory',
+      " * Type 'help' for the list of commands",
+      ''
+    ].join('\r\n') + '\r\n' + this.prompt();
+  }
+
+  /**
+   * Shell prompt
+   */
+  prompt() {
+    const where = this.cwd === this.home
+      ? '~'
+      : this.cwd.startsWith(`${this.home}/`) ? `~${this.cwd.slice(this.home.length)}` : this.cwd;
+    return `\x1b[32m${this.user}@${this.hostname}\x1b[0m:\x1b[34m${where}\x1b[0m$ `;
+  }
+
+  /**
+   * Feed raw terminal input
+   * @param {string} data - Keystrokes
+   * @returns {{output: string, exited: boolean}}
+   */
+  input(data) {
+    let output = '';
+
+    for (const char of data) {
+      if (this.exited) break;
+
+      if (char === '\r' || char === '\n') {
+        const line = this.lineBuffer;
+        this.lineBuffer = '';
+        output += '\r\n';
+
+        if (line.trim()) {
+          this.history.push(line);
+          const result = this.run(line);
+          if (result.clear) {
+            output += '\x1b[2J\x1b[H';
+          }
+          const text = result.stdout + result.stderr;
+          if (text) {
+            output += text.replace(/\r?\n/g, '\r\n');
+          }
+        }
+
+        if (!this.exited) {
+          output += this.prompt();
+        }
+      } else if (char === '\x7f' || char === '\b') {
+        if (this.lineBuffer.length > 0) {
+          this.lineBuffer = this.lineBuffer.slice(0, -1);
+          output += '\b \b';
+        }
+      } else if (char === '\x03') {
+        this.lineBuffer = '';
+        output += '^C\r\n' + this.prompt();
+      } else if (char === '\x04') {
+        if (!this.lineBuffer) {
+          this.exited = true;
+          output += 'logout\r\n';
+        }
+      } else if (char === '\x1b') {
+        // Escape sequences (arrows) are not scripted - ignore the ESC
+      } else if (char >= ' ') {
+        this.lineBuffer += char;
+        output += char;
+      }
+    }
+
+    return { output, exited: this.exited };
+  }
+
+  // ==================== Execution ====================
+
+  /**
+   * Run a command line
+   * Supports '&&', ';' and a single trailing '>' / '>>' redirect per command
+   * @param {string} line - Command line
+   * @returns {{stdout: string, stderr: string, exitCode: number, clear?: boolean, delayMs: number}}
+   */
+  run(line) {
+    return this.collect(this.runSteps(line));
+  }
+
+  /**
+   * Run one program with an argument list, without the shell: no
+   * expansion, operators or redirects (execute with shell: false)
+   * @param {string} program - Builtin name
+   * @param {string[]} args - Arguments as given
+   * @returns {{stdout: string, stderr: string, exitCode: number, delayMs: number}}
+   */
+  runDirect(program, args = []) {
+    return this.collect(this.directSteps(program, args));
+  }
+
+  /**
+   * runDirect() as a one-step runSteps()
+   */
+  * directSteps(program, args = []) {
+    try {
+      yield this.builtin(program, args);
+    } catch (error) {
+      yield { stdout: '', stderr: `${program}: ${error.message}\n`, exitCode: 1 };
+    }
+  }
+
+  /**
+   * Sum the results of runSteps() / directSteps()
+   * @param {Iterable} steps
+   * @param {number|null} timeoutMs - Stop once the steps' sleeps exceed it
+   *   (exit code 124, like timeout(1))
+   */
+  collect(steps, timeoutMs = null) {
+    let stdout = '';
+    let stderr = '';
+    let exitCode = 0;
+    let clear = false;
+    let delayMs = 0;
+
+    for (const result of steps) {
+      stdout += result.stdout;
+      stderr += result.stderr;
+      exitCode = result.exitCode;
+      clear = clear || !!result.clear;
+      delayMs += result.delayMs || 0;
+
+      if (timeoutMs !== null && delayMs > timeoutMs) {
+        return { stdout, stderr, exitCode: 124, clear, delayMs: timeoutMs, timedOut: true };
+      }
+    }
+
+    return { stdout, stderr, exitCode, clear, delayMs };
+  }
+
+  /**
+   * Run a command line one command at a time (streamed execute sends each
+   * step's output before the next one runs)
+   * @param {string} line - Command line
+   * @yields {{stdout: string, stderr: string, exitCode: number, clear?: boolean, delayMs?: number}}
+   */
+  * runSteps(line) {
+    let exitCode = 0;
+
+    const segments = line.split(/(&&|;)/);
+    for (let i = 0; i < segments.length; i += 2) {
+      const segment = segments[i].trim();
+      const operator = segments[i - 1];
+      if (!segment) continue;
+      if (operator === '&&' && exitCode !== 0) break;
+
+      const result = this.runSimple(segment);
+      exitCode = result.exitCode;
+      yield result;
+      if (this.exited) break;
+    }
+  }
+
+  /**
+   * Run one command with optional output redirect
+   */
+  runSimple(segment) {
+    const redirect = segment.match(/^(.*?)\s*(>>?)\s*(\S+)\s*$/);
+    const commandPart = redirect ? redirect[1] : segment;
+    const words = tokenize(this.expand(commandPart));
+    if (words.length === 0) {
+      return { stdout: '', stderr: '', exitCode: 0 };
+    }
+
+    let result;
+    try {
+      result = this.builtin(words[0], words.slice(1));
+    } catch (error) {
+      result = { stdout: '', stderr: `${words[0]}: ${error.message}\n`, exitCode: 1 };
+    }
+
+    if (redirect && result.exitCode === 0) {
+      try {
+        this.vfs.writeFile(this.resolve(redirect[3]), result.stdout, {
+          append: redirect[2] === '>>'
+        });
+        result = { ...result, stdout: '' };
+      } catch (error) {
+        result = { stdout: '', stderr: `sh: ${redirect[3]}: ${error.message}\n`, exitCode: 1 };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Expand $VAR and $(hostname), except inside '...'
+   */
+  expand(text) {
+    return text.split(/('[^']*')/).map((part, index) => (index % 2 === 1 ? part : part
+      .replace(/\$\(hostname\)/g, this.hostname)
+      .replace(/\$([A-Z_][A-Z0-9_]*)/g, (match, name) => this.env[name] ?? ''))).join('');
+  }
+
+  /**
+   * Resolve a path against cwd ('~' is home)
+   */
+  resolve(path) {
+    const expanded = path === '~' ? this.home : path.replace(/^~\//, `${this.home}/`);
+    return resolvePath(this.cwd, expanded);
+  }
+
+  /**
+   * The remaining stdin (empty after the first read)
+   */
+  readStdin() {
+    const text = this.stdin;
+    this.stdin = '';
+    return text;
+  }
+
+  /**
+   * Builtin command dispatch
+   */
+  builtin(name, args) {
+    const ok = (stdout = '') => ({ stdout, stderr: '', exitCode: 0 });
+    const fail = (stderr, exitCode = 1) => ({ stdout: '', stderr: `${name}: ${stderr}\n`, exitCode });
+    const { flags, operands } = parseArgs(args);
+
+    switch (name) {
+      case 'pwd':
+        return ok(`${this.cwd}\n`);
+
+      case 'cd': {
+        const target = this.resolve(operands[0] || '~');
+        if (!this.vfs.isDirectory(target)) {
+          return fail(`${operands[0]}: No such file or directory`);
+        }
+        this.cwd = target;
+        return ok();
+      }
+
+      case 'ls': {
+        const targets = operands.length ? operands : ['.'];
+        let output = '';
+        for (const target of targets) {
+          const path = this.resolve(target);
+          const entries = this.vfs.isDirectory(path)
+            ? this.vfs.list(path)
+            : [this.vfs.describe(path)];
+          const visible = entries.filter(entry => flags.has('a') || !entry.name.startsWith('.'));
+          if (targets.length > 1) output += `${target}:\n`;
+          if (flags.has('l')) {
+            output += visible.map(entry => [
+              entry.permissions,
+              entry.owner.padEnd(8),
+              entry.group.padEnd(8),
+              String(entry.size).padStart(8),
+              entry.modified.slice(0, 16).replace('T', ' '),
+              entry.name
+            ].join(' ')).join('\n');
+          } else {
+            output += visible.map(entry => entry.name).join('  ');
+          }
+          if (visible.length) output += '\n';
+        }
+        return ok(output);
+      }
+
+      case 'cat':
+        if (!operands.length) return ok(this.readStdin());
+        return ok(operands.map(file => (file === '-' ? this.readStdin() : this.vfs.readText(this.resolve(file)))).join(''));
+
+      case 'head':
+      case 'tail': {
+        if (!operands.length) return fail('missing file operand');
+        const countIndex = args.indexOf('-n');
+        const count = countIndex >= 0 ? parseInt(args[countIndex + 1], 10) || 10 : 10;
+        const files = args.filter((arg, index) =>
+          !arg.startsWith('-') && (countIndex < 0 || index !== countIndex + 1)
+        );
+        if (!files.length) return fail('missing file operand');
+        const lines = this.vfs.readText(this.resolve(files[0])).split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        const selected = name === 'head' ? lines.slice(0, count) : lines.slice(-count);
+        return ok(selected.length ? `${selected.join('\n')}\n` : '');
+      }
+
+      case 'wc': {
+        const text = operands.length ? this.vfs.readText(this.resolve(operands[0])) : this.readStdin();
+        const lineCount = (text.match(/\n/g) || []).length;
+        const wordCount = text.split(/\s+/).filter(Boolean).length;
+        return ok(`${lineCount} ${wordCount} ${text.length}${operands.length ? ` ${operands[0]}` : ''}\n`);
+      }
+
+      case 'echo':
+        return ok(`${(flags.has('n') ? operands : args).join(' ')}${flags.has('n') ? '' : '\n'}`);
+
+      case 'printf': {
+        // Format escapes and %s only (enough for coloured output: '\e[32m')
+        let index = 1;
+        const text = (args[0] || '')
+          .replace(/%s/g, () => args[index++] ?? '')
+          .replace(/\\(e|033|n|t|r|\\)/g, (match, escape) => (
+            { e: '\x1b', '033': '\x1b', n: '\n', t: '\t', r: '\r', '\\': '\\' }[escape]
+          ));
+        return ok(text);
+      }
+
+      case 'seq': {
+        const [first, last] = operands.length > 1 ? operands.map(Number) : [1, Number(operands[0])];
+        if (!Number.isInteger(first) || !Number.isInteger(last)) {
+          return fail(`invalid argument '${operands.join(' ')}'`);
+        }
+        const numbers = [];
+        for (let n = first; n <= last && numbers.length < 10000; n++) numbers.push(n);
+        return ok(numbers.length ? `${numbers.join('\n')}\n` : '');
+      }
+
+      case 'touch':
+        operands.forEach(file => {
+          const path = this.resolve(file);
+          if (this.vfs.exists(path)) {
+            this.vfs.require(path).modified = new Date().toISOString();
+          } else {
+            this.vfs.writeFile(path, '');
+          }
+        });
+        return ok();
+
+      case 'mkdir':
+        if (!operands.length) return fail('missing operand');
+        operands.forEach(dir => this.vfs.mkdir(this.resolve(dir), { parents: flags.has('p') }));
+        return ok();
+
+      case 'rm':
+      case 'rmdir':
+        if (!operands.length) return fail('missing operand');
+        for (const target of operands) {
+          const path = this.resolve(target);
+          if (!this.vfs.exists(path)) {
+            if (flags.has('f')) continue;
+            return fail(`cannot remove '${target}': No such file or directory`);
+          }
+          if (name === 'rm' && this.vfs.isDirectory(path) && !flags.has('r') && !flags.has('R')) {
+            return fail(`cannot remove '${target}': Is a directory`);
+          }
+          this.vfs.remove(path, { recursive: name === 'rm' });
+        }
+        return ok();
+
+      case 'mv':
+        if (operands.length < 2) return fail('missing destination file operand');
+        this.vfs.move(this.resolve(operands[0]), this.resolve(operands[1]), { overwrite: true });
+        return ok();
+
+      case 'cp':
+        if (operands.length < 2) return fail('missing destination file operand');
+        this.vfs.copy(this.resolve(operands[0]), this.resolve(operands[1]), {
+          recursive: flags.has('r') || flags.has('R'),
+          overwrite: true
+        });
+        return ok();
+
+      case 'chmod':
+        if (operands.length < 2) return fail('missing operand');
+        this.vfs.chmod(this.resolve(operands[1]), operands[0], { recursive: flags.has('R') });
+        return ok();
+
+      case 'whoami':
+        return ok(`${this.user}\n`);
+
+      case 'hostname':
+        return ok(`${this.hostname}\n`);
+
+      case 'uname':
+        return ok(flags.has('a')
+          ? `Linux ${this.hostname} 5.15.0-105-generic #115-Ubuntu SMP x86_64 GNU/Linux\n`
+          : 'Linux\n');
+
+      case 'date':
+        return ok(`${new Date().toUTCString()}\n`);
+
+      case 'uptime': {
+        const info = this.systemInfo();
+        const days = Math.floor(info.uptime_seconds / 86400);
+        return ok(` ${new Date().toTimeString().slice(0, 8)} up ${days} days,  1 user,  load average: ${info.load_average.join(', ')}\n`);
+      }
+
+      case 'df': {
+        const disk = this.systemInfo().disks[0];
+        return ok([
+          'Filesystem      Size  Used Avail Use% Mounted on',
+          `/dev/vda1      ${String(disk.total_gb).padStart(4)}G ${String(disk.used_gb).padStart(4)}G ${String(disk.available_gb).padStart(4)}G ${String(Math.round(disk.usage_percent)).padStart(3)}% /`,
+          ''
+        ].join('\n'));
+      }
+
+      case 'free': {
+        const memory = this.systemInfo().memory;
+        return ok([
+          '               total        used        free',
+          `Mem:     ${String(memory.total_mb).padStart(11)} ${String(memory.used_mb).padStart(11)} ${String(memory.available_mb).padStart(11)}`,
+          ''
+        ].join('\n'));
+      }
+
+      case 'env':
+        return ok(Object.entries(this.env).map(([key, value]) => `${key}=${value}`).join('\n') + '\n');
+
+      case 'export':
+        operands.forEach(assignment => {
+          const [key, ...rest] = assignment.split('=');
+          if (key) this.env[key] = rest.join('=');
+        });
+        return ok();
+
+      case 'sleep': {
+        const seconds = Number(operands[0]);
+        if (!operands.length || !Number.isFinite(seconds) || seconds < 0) {
+          return fail(`invalid time interval '${operands[0] ?? ''}'`);
+        }
+        return { ...ok(), delayMs: Math.round(seconds * 1000) };
+      }
+
+      case 'history':
+        return ok(this.history.map((entry, index) => `${String(index + 1).padStart(5)}  ${entry}`).join('\n') + '\n');
+
+      case 'clear':
+        return { ...ok(), clear: true };
+
+      case 'help':
+        return ok(HELP_TEXT);
+
+      case 'exit':
+      case 'logout':
+        this.exited = true;
+        return { ...ok('logout\n'), exitCode: Number.parseInt(operands[0], 10) || 0 };
+
+      case 'true':
+        return ok();
+
+      case 'false':
+        return { stdout: '', stderr: '', exitCode: 1 };
+
+      case 'sh':
+      case 'bash': {
+        // -c and scripts run through the same builtins
+        if (flags.has('c')) return this.collect(this.runSteps(operands[0] || ''));
+        if (!operands.length) return fail('interactive sub-shells are not supported');
+        const script = this.vfs.readText(this.resolve(operands[0]));
+        return this.runScript(script);
+      }
+
+      default: {
+        // ./script.sh style execution
+        if (name.includes('/')) {
+          const path = this.resolve(name);
+          const entry = this.vfs.require(path);
+          if (!(entry.mode & 0o111)) {
+            return { stdout: '', stderr: `sh: ${name}: Permission denied\n`, exitCode: 126 };
+          }
+          return this.runScript(this.vfs.readText(path));
+        }
+        return { stdout: '', stderr: `sh: ${basename(name)}: command not found\n`, exitCode: 127 };
+      }
+    }
+  }
+
+  /**
+   * Run a script body line by line
+   */
+  runScript(script) {
+    let stdout = '';
+    let stderr = '';
+    let exitCode = 0;
+    script.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      const result = this.run(trimmed);
+      stdout += result.stdout;
+      stderr += result.stderr;
+      exitCode = result.exitCode;
+    });
+    return { stdout, stderr, exitCode };
+  }
+}
+
+export default ScriptedShell;
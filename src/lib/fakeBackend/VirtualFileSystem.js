@@ -0,0 +1,573 @@
+/**
+ * ============================================
+ * File: src/lib/fakeBackend/VirtualFileSystem.js
+ * ============================================
+ * In-memory POSIX-like filesystem for the fake AeroNyx backend
+ *
+ * Creation Reason: remote_command file operations need something to act on
+ * when running without a real node
+ * Main Functionality: Files, directories, modes and owners kept in a Map,
+ * with the operations the node agent exposes (list, read, write, move, ...)
+ * Dependencies: remoteCommandErrors (error codes match the node agent)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - All paths are absolute and normalized; '..' never escapes '/'
+ * - Errors are RemoteCommandError with agent error codes so the UI
+ *   error mapping is exercised exactly as against a real node
+ * - /proc and /sys are read-only
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+
+const READ_ONLY_ROOTS = ['/proc', '/sys'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Normalize an absolute path ('/a/./b/../c/' -> '/a/c')
+ * @param {string} path - Absolute path
+ * @returns {string} Normalized path
+ */
+export function normalizePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.includes('\0')) {
+    throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Invalid path: ${path}`);
+  }
+
+  const parts = [];
+  path.split('/').forEach(part => {
+    if (!part || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+
+  return '/' + parts.join('/');
+}
+
+/**
+ * Parent directory of a normalized path
+ */
+export function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index <= 0 ? '/' : path.slice(0, index);
+}
+
+/**
+ * Last segment of a normalized path
+ */
+export function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Join a base directory and a (possibly relative) path
+ */
+export function resolvePath(cwd, path) {
+  if (!path) return normalizePath(cwd);
+  return normalizePath(path.startsWith('/') ? path : `${cwd}/${path}`);
+}
+
+/**
+ * Virtual File System Class
+ */
+export class VirtualFileSystem {
+  /**
+   * @param {Object} options
+   * @param {string} options.owner - Default owner for new entries
+   * @param {string} options.group - Default group for new entries
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || 'aeronyx';
+    this.group = options.group || 'aeronyx';
+    this.entries = new Map();
+    this.systemAccess = false;
+
+    this.entries.set('/', this.createEntry('directory', { mode: 0o755, owner: 'root', group: 'root' }));
+  }
+
+  /**
+   * Create an entry record
+   */
+  createEntry(type, options = {}) {
+    return {
+      type,
+      content: type === 'file' ? (options.content || new Uint8Array(0)) : null,
+      mode: options.mode ?? (type === 'directory' ? 0o755 : 0o644),
+      owner: options.owner || this.owner,
+      group: options.group || this.group,
+      modified: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run fn with read-only roots writable (used for seeding /proc)
+   */
+  withSystemAccess(fn) {
+    this.systemAccess = true;
+    try {
+      return fn(this);
+    } finally {
+      this.systemAccess = false;
+    }
+  }
+
+  // ==================== Lookup ====================
+
+  /**
+   * Get entry or null
+   */
+  lookup(path) {
+    return this.entries.get(normalizePath(path)) || null;
+  }
+
+  /**
+   * Get entry or throw FILE_NOT_FOUND
+   */
+  require(path) {
+    const normalized = normalizePath(path);
+    const entry = this.entries.get(normalized);
+    if (!entry) {
+      throw new RemoteCommandError(ERROR_CODES.FILE_NOT_FOUND, `No such file or directory: ${normalized}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Get directory entry or throw
+   */
+  requireDirectory(path) {
+    const entry = this.require(path);
+    if (entry.type !== 'directory') {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Not a directory: ${normalizePath(path)}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Throw if the path lives under a read-only root
+   */
+  assertWritable(path) {
+    if (this.systemAccess) return;
+    if (READ_ONLY_ROOTS.some(root => path === root || path.startsWith(`${root}/`))) {
+      throw new RemoteCommandError(ERROR_CODES.PERMISSION_DENIED, `Read-only file system: ${path}`);
+    }
+  }
+
+  exists(path) {
+    return this.lookup(path) !== null;
+  }
+
+  isDirectory(path) {
+    return this.lookup(path)?.type === 'directory';
+  }
+
+  /**
+   * Direct children paths of a directory
+   */
+  childPaths(path) {
+    const prefix = path === '/' ? '/' : `${path}/`;
+    const children = [];
+    this.entries.forEach((entry, entryPath) => {
+      if (entryPath !== '/' && entryPath.startsWith(prefix) &&
+          !entryPath.slice(prefix.length).includes('/')) {
+        children.push(entryPath);
+      }
+    });
+    return children.sort();
+  }
+
+  /**
+   * All descendant paths of a directory (depth-first order)
+   */
+  descendantPaths(path) {
+    const prefix = path === '/' ? '/' : `${path}/`;
+    return Array.from(this.entries.keys())
+      .filter(entryPath => entryPath !== path && entryPath.startsWith(prefix))
+      .sort();
+  }
+
+  /**
+   * 'drwxr-xr-x' style permission string
+   */
+  permissionString(entry) {
+    const flags = ['r', 'w', 'x'];
+    let result = entry.type === 'directory' ? 'd' : '-';
+    for (let shift = 6; shift >= 0; shift -= 3) {
+      const bits = (entry.mode >> shift) & 7;
+      flags.forEach((flag, i) => {
+        result += bits & (4 >> i) ? flag : '-';
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Describe an entry the way the node agent does
+   */
+  describe(path) {
+    const normalized = normalizePath(path);
+    const entry = this.require(normalized);
+    return {
+      name: basename(normalized) || '/',
+      path: normalized,
+      type: entry.type,
+      is_directory: entry.type === 'directory',
+      size: entry.type === 'file' ? entry.content.length : 4096,
+      permissions: this.permissionString(entry),
+      mode: entry.mode.toString(8).padStart(4, '0'),
+      owner: entry.owner,
+      group: entry.group,
+      modified: entry.modified
+    };
+  }
+
+  // ==================== Read ====================
+
+  /**
+   * List directory entries
+   */
+  list(path) {
+    const normalized = normalizePath(path);
+    this.requireDirectory(normalized);
+    return this.childPaths(normalized).map(child => this.describe(child));
+  }
+
+  /**
+   * Read file bytes
+   * @returns {Uint8Array}
+   */
+  readFile(path) {
+    const entry = this.require(path);
+    if (entry.type !== 'file') {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Is a directory: ${normalizePath(path)}`);
+    }
+    return entry.content;
+  }
+
+  /**
+   * Read file as UTF-8 text
+   */
+  readText(path) {
+    return textDecoder.decode(this.readFile(path));
+  }
+
+  // ==================== Write ====================
+
+  /**
+   * Write file bytes or text
+   * @param {string} path - Target path
+   * @param {Uint8Array|string} content - Content
+   * @param {Object} options - { overwrite = true, append = false, mode }
+   */
+  writeFile(path, content, options = {}) {
+    const { overwrite = true, append = false } = options;
+    const normalized = normalizePath(path);
+    this.assertWritable(normalized);
+    this.requireDirectory(dirname(normalized));
+
+    const bytes = typeof content === 'string' ? textEncoder.encode(content) : content;
+    const existing = this.entries.get(normalized);
+
+    if (existing) {
+      if (existing.type === 'directory') {
+        throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Is a directory: ${normalized}`);
+      }
+      if (!overwrite && !append) {
+        throw new RemoteCommandError(ERROR_CODES.FILE_EXISTS, `File exists: ${normalized}`);
+      }
+
+      if (append) {
+        const merged = new Uint8Array(existing.content.length + bytes.length);
+        merged.set(existing.content);
+        merged.set(bytes, existing.content.length);
+        existing.content = merged;
+      } else {
+        existing.content = bytes;
+      }
+      existing.modified = new Date().toISOString();
+      return existing;
+    }
+
+    const entry = this.createEntry('file', { content: bytes, mode: options.mode });
+    this.entries.set(normalized, entry);
+    return entry;
+  }
+
+  /**
+   * Create directory
+   * @param {Object} options - { parents = false, mode }
+   */
+  mkdir(path, options = {}) {
+    const { parents = false } = options;
+    const normalized = normalizePath(path);
+    this.assertWritable(normalized);
+
+    const existing = this.entries.get(normalized);
+    if (existing) {
+      if (parents && existing.type === 'directory') return existing;
+      throw new RemoteCommandError(ERROR_CODES.FILE_EXISTS, `File exists: ${normalized}`);
+    }
+
+    const parent = dirname(normalized);
+    if (!this.entries.has(parent)) {
+      if (!parents) {
+        throw new RemoteCommandError(ERROR_CODES.FILE_NOT_FOUND, `No such file or directory: ${parent}`);
+      }
+      this.mkdir(parent, options);
+    }
+    this.requireDirectory(parent);
+
+    const entry = this.createEntry('directory', { mode: options.mode });
+    this.entries.set(normalized, entry);
+    return entry;
+  }
+
+  /**
+   * Remove file or directory
+   * @param {Object} options - { recursive = false }
+   */
+  remove(path, options = {}) {
+    const normalized = normalizePath(path);
+    if (normalized === '/') {
+      throw new RemoteCommandError(ERROR_CODES.PERMISSION_DENIED, 'Refusing to remove /');
+    }
+    this.assertWritable(normalized);
+
+    const entry = this.require(normalized);
+    if (entry.type === 'directory') {
+      const descendants = this.descendantPaths(normalized);
+      if (descendants.length > 0 && !options.recursive) {
+        throw new RemoteCommandError(ERROR_CODES.DIRECTORY_NOT_EMPTY, `Directory not empty: ${normalized}`);
+      }
+      descendants.forEach(descendant => this.entries.delete(descendant));
+    }
+    this.entries.delete(normalized);
+  }
+
+  /**
+   * Copy file or directory
+   * @param {Object} options - { recursive = false, overwrite = false }
+   */
+  copy(source, destination, options = {}) {
+    const from = normalizePath(source);
+    let to = normalizePath(destination);
+    const entry = this.require(from);
+
+    // Copying into an existing directory keeps the source name
+    if (this.isDirectory(to) && to !== from) {
+      to = normalizePath(`${to}/${basename(from)}`);
+    }
+    this.assertWritable(to);
+
+    if (to === from || to.startsWith(`${from}/`)) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Cannot copy ${from} into itself`);
+    }
+    if (entry.type === 'directory' && !options.recursive) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `${from} is a directory (use recursive)`);
+    }
+    if (this.entries.has(to) && !options.overwrite) {
+      throw new RemoteCommandError(ERROR_CODES.FILE_EXISTS, `File exists: ${to}`);
+    }
+    this.requireDirectory(dirname(to));
+
+    if (this.entries.has(to)) {
+      this.remove(to, { recursive: true });
+    }
+
+    const clone = (item) => ({
+      ...item,
+      content: item.content ? item.content.slice() : null,
+      modified: new Date().toISOString()
+    });
+
+    this.entries.set(to, clone(entry));
+    if (entry.type === 'directory') {
+      this.descendantPaths(from).forEach(descendant => {
+        this.entries.set(to + descendant.slice(from.length), clone(this.entries.get(descendant)));
+      });
+    }
+    return to;
+  }
+
+  /**
+   * Move / rename file or directory
+   * @param {Object} options - { overwrite = false }
+   */
+  move(source, destination, options = {}) {
+    const from = normalizePath(source);
+    this.assertWritable(from);
+    const entry = this.require(from);
+
+    let to = normalizePath(destination);
+    if (this.isDirectory(to) && to !== from) {
+      to = normalizePath(`${to}/${basename(from)}`);
+    }
+    this.assertWritable(to);
+
+    if (to === from) return to;
+    if (to.startsWith(`${from}/`)) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, `Cannot move ${from} into itself`);
+    }
+    if (this.entries.has(to) && !options.overwrite) {
+      throw new RemoteCommandError(ERROR_CODES.FILE_EXISTS, `File exists: ${to}`);
+    }
+    this.requireDirectory(dirname(to));
+
+    if (this.entries.has(to)) {
+      this.remove(to, { recursive: true });
+    }
+
+    const descendants = entry.type === 'directory' ? this.descendantPaths(from) : [];
+    this.entries.delete(from);
+    this.entries.set(to, entry);
+    descendants.forEach(descendant => {
+      const item = this.entries.get(descendant);
+      this.entries.delete(descendant);
+      this.entries.set(to + descendant.slice(from.length), item);
+    });
+    entry.modified = new Date().toISOString();
+    return to;
+  }
+
+  /**
+   * Change mode
+   * @param {string|number} mode - Octal string ('0755') or number
+   */
+  chmod(path, mode, options = {}) {
+    const normalized = normalizePath(path);
+    this.assertWritable(normalized);
+    const numericMode = typeof mode === 'number' ? mode : parseInt(String(mode), 8);
+    if (Number.isNaN(numericMode) || numericMode < 0 || numericMode > 0o7777) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `Invalid mode: ${mode}`);
+    }
+
+    const targets = [normalized];
+    if (options.recursive && this.isDirectory(normalized)) {
+      targets.push(...this.descendantPaths(normalized));
+    }
+    targets.forEach(target => {
+      const entry = this.require(target);
+      entry.mode = numericMode;
+    });
+    return targets.length;
+  }
+
+  /**
+   * Change owner/group
+   */
+  chown(path, owner, group, options = {}) {
+    const normalized = normalizePath(path);
+    this.assertWritable(normalized);
+    if (!owner && !group) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Owner or group is required');
+    }
+
+    const targets = [normalized];
+    if (options.recursive && this.isDirectory(normalized)) {
+      targets.push(...this.descendantPaths(normalized));
+    }
+    targets.forEach(target => {
+      const entry = this.require(target);
+      if (owner) entry.owner = owner;
+      if (group) entry.group = group;
+    });
+    return targets.length;
+  }
+
+  /**
+   * Search names under a directory
+   * @param {Object} options - { useRegex, caseSensitive, maxDepth }
+   */
+  search(path, query, options = {}) {
+    const root = normalizePath(path);
+    this.requireDirectory(root);
+    if (!query) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Search query is required');
+    }
+
+    let matcher;
+    if (options.useRegex) {
+      try {
+        const regex = new RegExp(query, options.caseSensitive ? '' : 'i');
+        matcher = (name) => regex.test(name);
+      } catch (error) {
+        throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `Invalid regex: ${error.message}`);
+      }
+    } else {
+      const needle = options.caseSensitive ? query : query.toLowerCase();
+      matcher = (name) => (options.caseSensitive ? name : name.toLowerCase()).includes(needle);
+    }
+
+    const rootDepth = root === '/' ? 0 : root.split('/').length - 1;
+    return this.descendantPaths(root)
+      .filter(candidate => {
+        const depth = candidate.split('/').length - 1 - rootDepth;
+        return (!options.maxDepth || depth <= options.maxDepth) && matcher(basename(candidate));
+      })
+      .map(candidate => this.describe(candidate));
+  }
+
+  /**
+   * Total bytes stored
+   */
+  usedBytes() {
+    let total = 0;
+    this.entries.forEach(entry => {
+      if (entry.content) total += entry.content.length;
+    });
+    return total;
+  }
+
+  // ==================== Snapshot ====================
+
+  /**
+   * Serialize a subtree (used by the fake compress/extract commands)
+   */
+  snapshot(paths) {
+    const items = [];
+    paths.forEach(path => {
+      const normalized = normalizePath(path);
+      const entry = this.require(normalized);
+      const base = dirname(normalized);
+      const collect = [normalized, ...(entry.type === 'directory' ? this.descendantPaths(normalized) : [])];
+      collect.forEach(item => {
+        const record = this.entries.get(item);
+        items.push({
+          path: item.slice(base === '/' ? 0 : base.length),
+          type: record.type,
+          mode: record.mode,
+          content: record.content ? Array.from(record.content) : null
+        });
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Restore a snapshot below a directory
+   */
+  restore(items, destination, options = {}) {
+    const root = normalizePath(destination);
+    this.mkdir(root, { parents: true });
+    items.forEach(item => {
+      const target = normalizePath(`${root}/${item.path}`);
+      if (item.type === 'directory') {
+        this.mkdir(target, { parents: true, mode: item.mode });
+      } else {
+        this.writeFile(target, Uint8Array.from(item.content || []), {
+          overwrite: options.overwrite !== false,
+          mode: item.mode
+        });
+      }
+    });
+    return items.length;
+  }
+}
+
+export default VirtualFileSystem;
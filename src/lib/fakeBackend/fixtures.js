@@ -0,0 +1,250 @@
+/**
+ * ============================================
+ * File: src/lib/fakeBackend/fixtures.js
+ * ============================================
+ * Seed data for the fake AeroNyx backend
+ *
+ * Creation Reason: The fake backend needs a believable fleet and node
+ * filesystems for offline development
+ * Main Functionality: Node fixtures, filesystem seeding, metric jitter and
+ * system_info payloads in the same shape the node agent reports
+ * Dependencies: VirtualFileSystem
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Node fields mirror status_update from the real API (code, status,
+ *   performance, system_info, earnings, ...)
+ * - system_info mirrors what SystemInfo.js parses
+ * - Nodes run different agent versions (AGENT_PROFILES) so capability
+ *   negotiation has something to negotiate: AERO-10002 is a legacy agent
+ *   without `capabilities`, AERO-10003 lacks the archive and batch commands
+ *
+ * Last Modified: v1.2.0 - exec_stream feature on agent 2.3.0
+ * ============================================
+ */
+
+import { REMOTE_COMMAND_TYPES } from '../constants/remoteCommands';
+
+const NODE_BLUEPRINTS = [
+  { code: 'AERO-10001', name: 'Frankfurt Compute', type: 'compute', status: 'active', cores: 16, memoryGb: 64, diskGb: 1000, agent: '2.3.0' },
+  { code: 'AERO-10002', name: 'Singapore Storage', type: 'storage', status: 'active', cores: 8, memoryGb: 32, diskGb: 8000, agent: '1.4.0' },
+  { code: 'AERO-10003', name: 'Virginia AI', type: 'ai', status: 'active', cores: 32, memoryGb: 256, diskGb: 2000, agent: '2.0.1' },
+  { code: 'AERO-10004', name: 'Tokyo Edge', type: 'general', status: 'offline', cores: 4, memoryGb: 8, diskGb: 250, agent: '2.3.0' }
+];
+
+const ALL_COMMANDS = Object.values(REMOTE_COMMAND_TYPES);
+const without = (...types) => ALL_COMMANDS.filter(type => !types.includes(type));
+
+// Remote commands and features each agent version answers
+const AGENT_PROFILES = {
+  '2.3.0': { commands: ALL_COMMANDS, features: ['terminal', 'exec_stream', 'exec_options'] },
+  '2.0.1': {
+    commands: without(
+      REMOTE_COMMAND_TYPES.COMPRESS,
+      REMOTE_COMMAND_TYPES.EXTRACT,
+      REMOTE_COMMAND_TYPES.BATCH_DELETE,
+      REMOTE_COMMAND_TYPES.BATCH_MOVE,
+      REMOTE_COMMAND_TYPES.BATCH_COPY
+    ),
+    features: ['terminal']
+  },
+  '1.4.0': {
+    commands: without(
+      REMOTE_COMMAND_TYPES.CAPABILITIES,
+      REMOTE_COMMAND_TYPES.COMPRESS,
+      REMOTE_COMMAND_TYPES.EXTRACT
+    ),
+    features: ['terminal']
+  }
+};
+
+/**
+ * Commands and features of a node's agent
+ * @param {Object} node - Node fixture
+ * @returns {Object} { commands, features }
+ */
+export function getAgentProfile(node) {
+  return AGENT_PROFILES[node.agent_version] || AGENT_PROFILES['2.3.0'];
+}
+
+/**
+ * Clamp to a percentage
+ */
+function clampPercent(value) {
+  return Math.max(0, Math.min(100, Math.round(value * 10) / 10));
+}
+
+/**
+ * Create the fake fleet
+ * @returns {Array<Object>} Nodes in status_update shape
+ */
+export function createFakeNodes() {
+  const now = Date.now();
+
+  return NODE_BLUEPRINTS.map((blueprint, index) => {
+    const online = blueprint.status !== 'offline';
+    return {
+      code: blueprint.code,
+      reference_code: blueprint.code,
+      name: blueprint.name,
+      type: blueprint.type,
+      status: blueprint.status,
+      last_seen: new Date(online ? now : now - 6 * 60 * 60 * 1000).toISOString(),
+      uptime: online ? `${12 + index * 3}d ${index * 5}h` : '0d 0h',
+      earnings: (125.5 * (index + 1)).toFixed(4),
+      total_earnings: (125.5 * (index + 1)).toFixed(4),
+      agent_version: blueprint.agent,
+      performance: {
+        cpu: online ? 20 + index * 12 : 0,
+        memory: online ? 35 + index * 8 : 0,
+        disk: 40 + index * 5,
+        network: online ? 15 + index * 10 : 0
+      },
+      system_info: {
+        hostname: blueprint.code.toLowerCase(),
+        cpu_cores: blueprint.cores,
+        cpu_model: 'AeroNyx Virtual CPU',
+        memory_total: blueprint.memoryGb * 1024 * 1024 * 1024,
+        disk_total: blueprint.diskGb * 1024 * 1024 * 1024,
+        os: 'Ubuntu 22.04.4 LTS'
+      }
+    };
+  });
+}
+
+/**
+ * Random-walk the metrics of online nodes
+ * @param {Object} node - Node to mutate
+ * @returns {Object} Same node
+ */
+export function jitterNodeMetrics(node) {
+  if (node.status === 'offline') return node;
+
+  const step = () => (Math.random() - 0.5) * 8;
+  node.performance = {
+    cpu: clampPercent(node.performance.cpu + step()),
+    memory: clampPercent(node.performance.memory + step() / 2),
+    disk: clampPercent(node.performance.disk + step() / 20),
+    network: clampPercent(node.performance.network + step())
+  };
+  node.last_seen = new Date().toISOString();
+  return node;
+}
+
+/**
+ * Seed a node filesystem
+ * @param {VirtualFileSystem} vfs - Target filesystem
+ * @param {Object} node - Node fixture
+ */
+export function seedFileSystem(vfs, node) {
+  return vfs.withSystemAccess(() => seedEntries(vfs, node));
+}
+
+/**
+ * Write the seed entries (read-only roots are writable here)
+ */
+function seedEntries(vfs, node) {
+  const hostname = node.system_info.hostname;
+  const root = { owner: 'root', group: 'root' };
+
+  ['/bin', '/etc', '/tmp', '/var', '/var/log', '/opt', '/opt/aeronyx', '/proc', '/home']
+    .forEach(dir => vfs.mkdir(dir, { parents: true }));
+  vfs.chown('/etc', root.owner, root.group);
+  vfs.chown('/bin', root.owner, root.group);
+  vfs.chmod('/tmp', '1777');
+
+  vfs.mkdir('/home/aeronyx/projects', { parents: true });
+
+  vfs.writeFile('/etc/hostname', `${hostname}\n`);
+  vfs.writeFile('/etc/os-release', [
+    'NAME="Ubuntu"',
+    'VERSION="22.04.4 LTS (Jammy Jellyfish)"',
+    'ID=ubuntu',
+    'PRETTY_NAME="Ubuntu 22.04.4 LTS"',
+    ''
+  ].join('\n'));
+  vfs.writeFile('/opt/aeronyx/config.toml', [
+    '[node]',
+    `reference_code = "${node.code}"`,
+    `type = "${node.type}"`,
+    '',
+    '[remote_management]',
+    'enabled = true',
+    ''
+  ].join('\n'));
+  vfs.writeFile('/var/log/aeronyx.log', [
+    `${new Date().toISOString()} INFO  agent started (v${node.agent_version})`,
+    `${new Date().toISOString()} INFO  connected to api.aeronyx.network`,
+    `${new Date().toISOString()} INFO  heartbeat ok`,
+    ''
+  ].join('\n'));
+  vfs.writeFile('/home/aeronyx/README.md', [
+    `# ${node.name}`,
+    '',
+    'This node is served by the local fake AeroNyx backend.',
+    'Files here live in memory and reset on page reload.',
+    ''
+  ].join('\n'));
+  vfs.writeFile('/home/aeronyx/.bashrc', 'export PS1="\\u@\\h:\\w$ "\n');
+  vfs.writeFile('/home/aeronyx/projects/hello.sh', '#!/bin/sh\necho "hello from $(hostname)"\n', { mode: 0o755 });
+  vfs.writeFile('/proc/cpuinfo', `model name\t: ${node.system_info.cpu_model}\ncpu cores\t: ${node.system_info.cpu_cores}\n`);
+  vfs.chown('/proc', root.owner, root.group, { recursive: true });
+
+  return vfs;
+}
+
+/**
+ * Build a system_info command result
+ * @param {Object} node - Node fixture
+ * @param {VirtualFileSystem} vfs - Node filesystem
+ * @param {number} startedAt - Fake boot timestamp
+ */
+export function buildSystemInfo(node, vfs, startedAt) {
+  const info = node.system_info;
+  const totalMb = Math.round(info.memory_total / (1024 * 1024));
+  const usedMb = Math.round(totalMb * (node.performance.memory / 100));
+  const totalGb = Math.round(info.disk_total / (1024 * 1024 * 1024));
+  const usedGb = Math.round(totalGb * (node.performance.disk / 100) + vfs.usedBytes() / (1024 * 1024 * 1024));
+  const load = node.performance.cpu / 100 * info.cpu_cores;
+
+  return {
+    hostname: info.hostname,
+    os: {
+      name: 'Linux',
+      version: info.os,
+      kernel: '5.15.0-105-generic'
+    },
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000) + 86400 * 12,
+    cpu: {
+      model: info.cpu_model,
+      cores: info.cpu_cores,
+      usage_percent: node.performance.cpu,
+      temperature: 42 + Math.round(node.performance.cpu / 5)
+    },
+    load_average: [load, load * 0.9, load * 0.8].map(v => Math.round(v * 100) / 100),
+    memory: {
+      total_mb: totalMb,
+      used_mb: usedMb,
+      available_mb: totalMb - usedMb,
+      usage_percent: node.performance.memory
+    },
+    disks: [{
+      mount_point: '/',
+      total_gb: totalGb,
+      used_gb: usedGb,
+      available_gb: totalGb - usedGb,
+      usage_percent: node.performance.disk
+    }],
+    network: {
+      interfaces: [
+        { name: 'eth0', ip_address: '10.0.0.' + (10 + NODE_BLUEPRINTS.findIndex(b => b.code === node.code)), status: 'up' },
+        { name: 'lo', ip_address: '127.0.0.1', status: 'up' }
+      ]
+    },
+    processes: {
+      total: 142,
+      running: 2,
+      sleeping: 140,
+      zombie: 0
+    }
+  };
+}
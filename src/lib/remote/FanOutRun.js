@@ -0,0 +1,404 @@
+/**
+ * ============================================
+ * File: src/lib/remote/FanOutRun.js
+ * ============================================
+ * Fan-out run - One execute / system_info command across many nodes
+ *
+ * Creation Reason: Remote management is scoped to one nodeReference; ops
+ * wanted to run the same command on a selection of nodes from NodesContent
+ * Main Functionality:
+ * - start(): runs the command on every node, at most `concurrency` at a
+ *   time, emitting 'nodeUpdate' as each node moves pending -> running ->
+ *   succeeded / failed
+ * - retry(): runs the command again on failed (or given) nodes
+ * - cancel(): aborts running commands, skips the rest
+ * - getGroups(): nodes with identical output grouped together
+ * - toJSON() / toCSV(): the aggregate for export
+ * Dependencies: remoteCommands (FAN_OUT), remoteCommandErrors, utils/csv,
+ * EventEmitter
+ *
+ * Main Logical Flow (per node):
+ * 1. authenticate(nodeReference, signal) when given (remote_auth)
+ * 2. createClient(nodeReference) -> RemoteNodeClient, command, dispose
+ * 3. execute: succeeded only with exit code 0; system_info: succeeded
+ *    when the node answers
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - No service imports: useFanOut passes createClient / authenticate
+ * - A node result is replaced, not mutated, on every update, so React can
+ *   compare by reference
+ * - Only one start() / retry() at a time; retry() while running throws
+ *
+ * Last Modified: v1.0.1 - CSV cells through utils/csv (formula-safe)
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import { FAN_OUT } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+import { toCsvCell } from '../utils/csv';
+
+export const FAN_OUT_COMMANDS = {
+  EXECUTE: 'execute',
+  SYSTEM_INFO: 'system_info'
+};
+
+export const FAN_OUT_NODE_STATE = {
+  PENDING: 'pending',
+  AUTHENTICATING: 'authenticating',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const FAN_OUT_RUN_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_NODE_STATES = [
+  FAN_OUT_NODE_STATE.SUCCEEDED,
+  FAN_OUT_NODE_STATE.FAILED,
+  FAN_OUT_NODE_STATE.CANCELLED
+];
+
+const CSV_COLUMNS = ['node_reference', 'state', 'exit_code', 'duration_ms', 'error_code', 'error_message', 'stdout', 'stderr'];
+
+function createNodeResult(nodeReference) {
+  return {
+    nodeReference,
+    state: FAN_OUT_NODE_STATE.PENDING,
+    stdout: '',
+    stderr: '',
+    exitCode: null,
+    durationMs: null,
+    error: null,
+    result: null,
+    attempts: 0,
+    startedAt: null,
+    finishedAt: null
+  };
+}
+
+function toErrorInfo(error) {
+  return {
+    code: error?.code || ERROR_CODES.UNKNOWN,
+    message: error?.message || 'Command failed'
+  };
+}
+
+export class FanOutRun extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.nodeReferences - Target nodes
+   * @param {Object} options.command - { type: FAN_OUT_COMMANDS value, command: shell command for execute }
+   * @param {Function} options.createClient - (nodeReference) => RemoteNodeClient
+   * @param {Function} [options.authenticate] - (nodeReference, signal) => Promise; rejects when auth fails
+   * @param {number} [options.concurrency] - Nodes at once (FAN_OUT.DEFAULT_CONCURRENCY)
+   */
+  constructor(options = {}) {
+    super();
+
+    const { nodeReferences = [], command = {}, createClient, authenticate = null } = options;
+    const uniqueNodes = [...new Set(nodeReferences)];
+
+    if (uniqueNodes.length === 0) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Select at least one node');
+    }
+    if (uniqueNodes.length > FAN_OUT.MAX_NODES) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `At most ${FAN_OUT.MAX_NODES} nodes per run`);
+    }
+    if (!Object.values(FAN_OUT_COMMANDS).includes(command.type)) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_COMMAND, `Unsupported fan-out command: ${command.type}`);
+    }
+    if (command.type === FAN_OUT_COMMANDS.EXECUTE && !command.command?.trim()) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Command is required');
+    }
+    if (typeof createClient !== 'function') {
+      throw new Error('FanOutRun requires createClient');
+    }
+
+    this.id = `fanout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.command = { type: command.type, command: command.command?.trim() || null };
+    this.concurrency = Math.min(
+      Math.max(1, Math.floor(options.concurrency || FAN_OUT.DEFAULT_CONCURRENCY)),
+      FAN_OUT.MAX_CONCURRENCY
+    );
+    this.createClient = createClient;
+    this.authenticate = authenticate;
+
+    this.nodeReferences = uniqueNodes;
+    this.results = new Map(uniqueNodes.map(reference => [reference, createNodeResult(reference)]));
+    this.state = FAN_OUT_RUN_STATE.IDLE;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.abortController = null;
+  }
+
+  // ==================== Running ====================
+
+  /**
+   * Run the command on every node
+   * @returns {Promise<Object[]>} Node results, in selection order
+   */
+  start() {
+    return this.runNodes(this.nodeReferences);
+  }
+
+  /**
+   * Run the command again
+   * @param {string[]} [nodeReferences] - Nodes to re-run (default: failed and cancelled)
+   * @returns {Promise<Object[]>} Node results
+   */
+  retry(nodeReferences = null) {
+    const targets = (nodeReferences || this.getResults()
+      .filter(result => result.state === FAN_OUT_NODE_STATE.FAILED || result.state === FAN_OUT_NODE_STATE.CANCELLED)
+      .map(result => result.nodeReference))
+      .filter(reference => this.results.has(reference));
+
+    return this.runNodes(targets);
+  }
+
+  /**
+   * Abort running commands; nodes not started yet are cancelled
+   */
+  cancel() {
+    if (this.state !== FAN_OUT_RUN_STATE.RUNNING) {
+      return;
+    }
+    this.abortController.abort();
+  }
+
+  async runNodes(nodeReferences) {
+    if (this.state === FAN_OUT_RUN_STATE.RUNNING) {
+      throw new RemoteCommandError(ERROR_CODES.OPERATION_FAILED, 'Fan-out run is already running');
+    }
+    if (nodeReferences.length === 0) {
+      return this.getResults();
+    }
+
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    this.startedAt = this.startedAt || Date.now();
+    this.finishedAt = null;
+    nodeReferences.forEach(reference => this.update(reference, {
+      ...createNodeResult(reference),
+      attempts: this.results.get(reference).attempts
+    }));
+    this.setState(FAN_OUT_RUN_STATE.RUNNING);
+
+    const queue = [...nodeReferences];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const reference = queue.shift();
+        if (signal.aborted) {
+          this.update(reference, {
+            state: FAN_OUT_NODE_STATE.CANCELLED,
+            error: toErrorInfo(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Run cancelled'))
+          });
+          continue;
+        }
+        await this.runNode(reference, signal);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, queue.length) }, worker)
+    );
+
+    this.finishedAt = Date.now();
+    this.setState(signal.aborted ? FAN_OUT_RUN_STATE.CANCELLED : FAN_OUT_RUN_STATE.COMPLETED);
+    this.emit('completed', this.getSummary());
+    return this.getResults();
+  }
+
+  async runNode(nodeReference, signal) {
+    const startedAt = Date.now();
+    this.update(nodeReference, {
+      state: this.authenticate ? FAN_OUT_NODE_STATE.AUTHENTICATING : FAN_OUT_NODE_STATE.RUNNING,
+      attempts: this.results.get(nodeReference).attempts + 1,
+      startedAt
+    });
+
+    let client = null;
+    try {
+      if (this.authenticate) {
+        await this.authenticate(nodeReference, signal);
+        if (signal.aborted) {
+          throw new RemoteCommandError(ERROR_CODES.CANCELLED, 'Run cancelled');
+        }
+        this.update(nodeReference, { state: FAN_OUT_NODE_STATE.RUNNING });
+      }
+
+      client = this.createClient(nodeReference);
+      const result = this.command.type === FAN_OUT_COMMANDS.EXECUTE
+        ? await client.executeCommand(this.command.command, [], { signal })
+        : await client.getSystemInfo({ signal });
+
+      this.update(nodeReference, this.describeResult(result, Date.now() - startedAt));
+    } catch (error) {
+      this.update(nodeReference, {
+        state: error?.code === ERROR_CODES.CANCELLED ? FAN_OUT_NODE_STATE.CANCELLED : FAN_OUT_NODE_STATE.FAILED,
+        error: toErrorInfo(error),
+        durationMs: Date.now() - startedAt,
+        finishedAt: Date.now()
+      });
+    } finally {
+      client?.dispose('Fan-out node finished');
+    }
+  }
+
+  /**
+   * Node result fields for a command response
+   */
+  describeResult(result, elapsedMs) {
+    const finishedAt = Date.now();
+
+    if (this.command.type === FAN_OUT_COMMANDS.SYSTEM_INFO) {
+      return {
+        state: FAN_OUT_NODE_STATE.SUCCEEDED,
+        stdout: JSON.stringify(result ?? null, null, 2),
+        exitCode: null,
+        durationMs: elapsedMs,
+        result,
+        finishedAt
+      };
+    }
+
+    const exitCode = Number.isInteger(result?.exit_code) ? result.exit_code : 0;
+    return {
+      state: exitCode === 0 ? FAN_OUT_NODE_STATE.SUCCEEDED : FAN_OUT_NODE_STATE.FAILED,
+      stdout: result?.stdout || '',
+      stderr: result?.stderr || '',
+      exitCode,
+      durationMs: Number.isFinite(result?.duration_ms) ? result.duration_ms : elapsedMs,
+      error: exitCode === 0 ? null : { code: ERROR_CODES.COMMAND_FAILED, message: `Exited with code ${exitCode}` },
+      result,
+      finishedAt
+    };
+  }
+
+  update(nodeReference, changes) {
+    const next = { ...this.results.get(nodeReference), ...changes };
+    this.results.set(nodeReference, next);
+    this.emit('nodeUpdate', next);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('stateChange', { id: this.id, state });
+  }
+
+  // ==================== Reading ====================
+
+  /**
+   * @returns {Object[]} Node results in selection order
+   */
+  getResults() {
+    return this.nodeReferences.map(reference => this.results.get(reference));
+  }
+
+  /**
+   * @returns {Object} { total, pending, running, succeeded, failed, cancelled, finished }
+   */
+  getSummary() {
+    const summary = { total: this.nodeReferences.length, pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+
+    this.results.forEach((result) => {
+      if (result.state === FAN_OUT_NODE_STATE.AUTHENTICATING || result.state === FAN_OUT_NODE_STATE.RUNNING) {
+        summary.running++;
+      } else {
+        summary[result.state]++;
+      }
+    });
+    summary.finished = summary.succeeded + summary.failed + summary.cancelled;
+    return summary;
+  }
+
+  /**
+   * Finished nodes grouped by identical output (exit code, stdout,
+   * stderr, error), largest group first
+   * @returns {Object[]} [{ key, state, exitCode, stdout, stderr, error, nodeReferences }]
+   */
+  getGroups() {
+    const groups = new Map();
+
+    this.getResults()
+      .filter(result => FINISHED_NODE_STATES.includes(result.state))
+      .forEach((result) => {
+        const key = JSON.stringify([
+          result.state,
+          result.exitCode,
+          result.stdout,
+          result.stderr,
+          result.exitCode === null ? result.error?.code || null : null,
+          result.exitCode === null ? result.error?.message || null : null
+        ]);
+
+        if (!groups.has(key)) {
+          groups.set(key, {
+            key,
+            state: result.state,
+            exitCode: result.exitCode,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            error: result.error,
+            nodeReferences: []
+          });
+        }
+        groups.get(key).nodeReferences.push(result.nodeReference);
+      });
+
+    return [...groups.values()].sort((a, b) => b.nodeReferences.length - a.nodeReferences.length);
+  }
+
+  // ==================== Export ====================
+
+  /**
+   * Aggregate for a JSON export
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      command: this.command,
+      state: this.state,
+      started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      finished_at: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+      summary: this.getSummary(),
+      results: this.getResults().map(result => ({
+        node_reference: result.nodeReference,
+        state: result.state,
+        exit_code: result.exitCode,
+        duration_ms: result.durationMs,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        error: result.error,
+        attempts: result.attempts
+      }))
+    };
+  }
+
+  /**
+   * Aggregate as CSV, one row per node
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = this.getResults().map(result => [
+      result.nodeReference,
+      result.state,
+      result.exitCode,
+      result.durationMs,
+      result.error?.code,
+      result.error?.message,
+      result.stdout,
+      result.stderr
+    ].map(toCsvCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+export default FanOutRun;
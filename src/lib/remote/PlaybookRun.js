@@ -0,0 +1,412 @@
+/**
+ * ============================================
+ * File: src/lib/remote/PlaybookRun.js
+ * ============================================
+ * Playbook run - A playbook's steps on one or many nodes
+ *
+ * Creation Reason: Run playbooks (lib/remote/playbook) from the nodes page
+ * Main Functionality:
+ * - plan(): the dry run for one node (variables resolved, nothing sent)
+ * - start(): every node runs the steps in order, at most `concurrency`
+ *   nodes at a time, emitting 'stepUpdate' / 'nodeUpdate' as it goes
+ * - retry(): runs the playbook again on failed (or given) nodes
+ * - cancel(): aborts the running steps, the rest are cancelled
+ * - toJSON(): per-node step results for export
+ * Dependencies: playbook, FanOutRun (node / run states), remoteCommands
+ * (FAN_OUT), remoteCommandErrors, EventEmitter
+ *
+ * Main Logical Flow (per node):
+ * 1. planPlaybook() for the node; plan errors fail the node before it is
+ *    contacted
+ * 2. authenticate(nodeReference, signal) when given, createClient()
+ * 3. Each step: skipped when its `when` does not hold or an earlier step
+ *    stopped the node; execute steps fail on a non-zero exit code
+ * 4. A failed step stops the node unless it has continue_on_error
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Same shape as FanOutRun: injected createClient / authenticate, node
+ *   results replaced (not mutated) on every update
+ * - Step output is capped at STEP_OUTPUT_LIMIT characters; conditions see
+ *   the capped text
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import { FAN_OUT } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+import { FAN_OUT_NODE_STATE, FAN_OUT_RUN_STATE } from './FanOutRun';
+import {
+  PLAYBOOK_ACTIONS,
+  planPlaybook,
+  evaluateCondition,
+  getStepOutput
+} from './playbook';
+
+export const PLAYBOOK_STEP_STATE = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+const STEP_OUTPUT_LIMIT = 64 * 1024;
+
+function toErrorInfo(error) {
+  return {
+    code: error?.code || ERROR_CODES.UNKNOWN,
+    message: error?.message || 'Step failed'
+  };
+}
+
+function cancelledError() {
+  return new RemoteCommandError(ERROR_CODES.CANCELLED, 'Run cancelled');
+}
+
+function createStepResult(step) {
+  return {
+    id: step.id,
+    name: step.name,
+    action: step.action,
+    params: step.params,
+    state: PLAYBOOK_STEP_STATE.PENDING,
+    output: '',
+    exitCode: null,
+    error: null,
+    reason: null,
+    durationMs: null
+  };
+}
+
+export class PlaybookRun extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.playbook - From parsePlaybook
+   * @param {string[]} options.nodeReferences - Target nodes
+   * @param {Object} [options.vars] - Run variables (override playbook vars)
+   * @param {Function} options.createClient - (nodeReference) => RemoteNodeClient
+   * @param {Function} [options.authenticate] - (nodeReference, signal) => Promise
+   * @param {number} [options.concurrency] - Nodes at once (FAN_OUT.DEFAULT_CONCURRENCY)
+   */
+  constructor(options = {}) {
+    super();
+
+    const { playbook, nodeReferences = [], vars = {}, createClient, authenticate = null } = options;
+    const uniqueNodes = [...new Set(nodeReferences)];
+
+    if (!playbook?.steps?.length) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Playbook has no steps');
+    }
+    if (uniqueNodes.length === 0) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Select at least one node');
+    }
+    if (uniqueNodes.length > FAN_OUT.MAX_NODES) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, `At most ${FAN_OUT.MAX_NODES} nodes per run`);
+    }
+    if (typeof createClient !== 'function') {
+      throw new Error('PlaybookRun requires createClient');
+    }
+
+    this.id = `playbook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.playbook = playbook;
+    this.vars = vars;
+    this.concurrency = Math.min(
+      Math.max(1, Math.floor(options.concurrency || FAN_OUT.DEFAULT_CONCURRENCY)),
+      FAN_OUT.MAX_CONCURRENCY
+    );
+    this.createClient = createClient;
+    this.authenticate = authenticate;
+
+    this.nodeReferences = uniqueNodes;
+    this.results = new Map(uniqueNodes.map(reference => [reference, this.createNodeResult(reference)]));
+    this.state = FAN_OUT_RUN_STATE.IDLE;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.abortController = null;
+  }
+
+  /**
+   * Dry run for one node
+   * @returns {Object} planPlaybook() result
+   */
+  plan(nodeReference) {
+    return planPlaybook(this.playbook, nodeReference, this.vars);
+  }
+
+  createNodeResult(nodeReference) {
+    const plan = this.plan(nodeReference);
+    return {
+      nodeReference,
+      state: FAN_OUT_NODE_STATE.PENDING,
+      steps: plan.steps.map(createStepResult),
+      planErrors: plan.errors,
+      error: null,
+      durationMs: null,
+      attempts: 0,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  // ==================== Running ====================
+
+  /**
+   * Run the playbook on every node
+   * @returns {Promise<Object[]>} Node results, in selection order
+   */
+  start() {
+    return this.runNodes(this.nodeReferences);
+  }
+
+  /**
+   * Run the playbook again from the first step
+   * @param {string[]} [nodeReferences] - Nodes to re-run (default: failed and cancelled)
+   */
+  retry(nodeReferences = null) {
+    const targets = (nodeReferences || this.getResults()
+      .filter(result => result.state === FAN_OUT_NODE_STATE.FAILED || result.state === FAN_OUT_NODE_STATE.CANCELLED)
+      .map(result => result.nodeReference))
+      .filter(reference => this.results.has(reference));
+
+    return this.runNodes(targets);
+  }
+
+  cancel() {
+    if (this.state !== FAN_OUT_RUN_STATE.RUNNING) {
+      return;
+    }
+    this.abortController.abort();
+  }
+
+  async runNodes(nodeReferences) {
+    if (this.state === FAN_OUT_RUN_STATE.RUNNING) {
+      throw new RemoteCommandError(ERROR_CODES.OPERATION_FAILED, 'Playbook run is already running');
+    }
+    if (nodeReferences.length === 0) {
+      return this.getResults();
+    }
+
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    this.startedAt = this.startedAt || Date.now();
+    this.finishedAt = null;
+    nodeReferences.forEach(reference => this.update(reference, {
+      ...this.createNodeResult(reference),
+      attempts: this.results.get(reference).attempts
+    }));
+    this.setState(FAN_OUT_RUN_STATE.RUNNING);
+
+    const queue = [...nodeReferences];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const reference = queue.shift();
+        if (signal.aborted) {
+          this.finishNode(reference, FAN_OUT_NODE_STATE.CANCELLED, cancelledError());
+          continue;
+        }
+        await this.runNode(reference, signal);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, queue.length) }, worker)
+    );
+
+    this.finishedAt = Date.now();
+    this.setState(signal.aborted ? FAN_OUT_RUN_STATE.CANCELLED : FAN_OUT_RUN_STATE.COMPLETED);
+    this.emit('completed', this.getSummary());
+    return this.getResults();
+  }
+
+  async runNode(nodeReference, signal) {
+    const startedAt = Date.now();
+    const plan = this.plan(nodeReference);
+    this.update(nodeReference, {
+      state: this.authenticate ? FAN_OUT_NODE_STATE.AUTHENTICATING : FAN_OUT_NODE_STATE.RUNNING,
+      attempts: this.results.get(nodeReference).attempts + 1,
+      startedAt
+    });
+
+    if (plan.errors.length > 0) {
+      this.finishNode(nodeReference, FAN_OUT_NODE_STATE.FAILED,
+        new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, plan.errors[0]));
+      return;
+    }
+
+    let client = null;
+    try {
+      if (this.authenticate) {
+        await this.authenticate(nodeReference, signal);
+        if (signal.aborted) throw cancelledError();
+        this.update(nodeReference, { state: FAN_OUT_NODE_STATE.RUNNING });
+      }
+      client = this.createClient(nodeReference);
+
+      const outcomes = {};
+      let failure = null;
+
+      for (let index = 0; index < plan.steps.length; index++) {
+        const step = plan.steps[index];
+
+        if (signal.aborted) throw cancelledError();
+        if (failure) {
+          this.updateStep(nodeReference, index, {
+            state: PLAYBOOK_STEP_STATE.SKIPPED,
+            reason: `Stopped after step "${failure.stepId}" failed`
+          });
+          outcomes[step.id] = { status: PLAYBOOK_STEP_STATE.SKIPPED, exitCode: null, output: '' };
+          continue;
+        }
+
+        const condition = evaluateCondition(step.when, outcomes);
+        if (!condition.met) {
+          this.updateStep(nodeReference, index, { state: PLAYBOOK_STEP_STATE.SKIPPED, reason: condition.reason });
+          outcomes[step.id] = { status: PLAYBOOK_STEP_STATE.SKIPPED, exitCode: null, output: '' };
+          continue;
+        }
+
+        const stepResult = await this.runStep(client, nodeReference, index, step, signal);
+        outcomes[step.id] = { status: stepResult.state, exitCode: stepResult.exitCode, output: stepResult.output };
+
+        if (stepResult.state === PLAYBOOK_STEP_STATE.CANCELLED) throw cancelledError();
+        if (stepResult.state === PLAYBOOK_STEP_STATE.FAILED && !step.continueOnError) {
+          failure = { stepId: step.id, error: stepResult.error };
+        }
+      }
+
+      this.finishNode(nodeReference, failure ? FAN_OUT_NODE_STATE.FAILED : FAN_OUT_NODE_STATE.SUCCEEDED,
+        failure ? { ...failure.error, message: `${failure.stepId}: ${failure.error.message}` } : null);
+    } catch (error) {
+      const cancelled = error?.code === ERROR_CODES.CANCELLED;
+      this.finishNode(nodeReference, cancelled ? FAN_OUT_NODE_STATE.CANCELLED : FAN_OUT_NODE_STATE.FAILED, error);
+    } finally {
+      client?.dispose('Playbook node finished');
+    }
+  }
+
+  /**
+   * One step; never throws
+   * @returns {Object} The step result
+   */
+  async runStep(client, nodeReference, index, step, signal) {
+    const startedAt = Date.now();
+    this.updateStep(nodeReference, index, { state: PLAYBOOK_STEP_STATE.RUNNING });
+
+    try {
+      const result = await PLAYBOOK_ACTIONS[step.action].run(client, step.params, signal);
+      const exitCode = Number.isInteger(result?.exit_code) ? result.exit_code : null;
+      const failed = exitCode !== null && exitCode !== 0;
+
+      return this.updateStep(nodeReference, index, {
+        state: failed ? PLAYBOOK_STEP_STATE.FAILED : PLAYBOOK_STEP_STATE.SUCCEEDED,
+        output: getStepOutput(step.action, result).slice(0, STEP_OUTPUT_LIMIT),
+        exitCode,
+        error: failed ? { code: ERROR_CODES.COMMAND_FAILED, message: `Exited with code ${exitCode}` } : null,
+        durationMs: Date.now() - startedAt
+      });
+    } catch (error) {
+      return this.updateStep(nodeReference, index, {
+        state: error?.code === ERROR_CODES.CANCELLED ? PLAYBOOK_STEP_STATE.CANCELLED : PLAYBOOK_STEP_STATE.FAILED,
+        error: toErrorInfo(error),
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
+
+  finishNode(nodeReference, state, error) {
+    const current = this.results.get(nodeReference);
+    const finishedAt = Date.now();
+
+    this.update(nodeReference, {
+      state,
+      error: error ? toErrorInfo(error) : null,
+      // Steps that never got to run
+      steps: current.steps.map(step => (
+        step.state === PLAYBOOK_STEP_STATE.PENDING || step.state === PLAYBOOK_STEP_STATE.RUNNING
+          ? { ...step, state: state === FAN_OUT_NODE_STATE.CANCELLED ? PLAYBOOK_STEP_STATE.CANCELLED : PLAYBOOK_STEP_STATE.SKIPPED }
+          : step
+      )),
+      durationMs: current.startedAt ? finishedAt - current.startedAt : null,
+      finishedAt
+    });
+  }
+
+  updateStep(nodeReference, index, changes) {
+    const current = this.results.get(nodeReference);
+    const step = { ...current.steps[index], ...changes };
+    const steps = current.steps.slice();
+    steps[index] = step;
+
+    this.update(nodeReference, { steps });
+    this.emit('stepUpdate', { nodeReference, step });
+    return step;
+  }
+
+  update(nodeReference, changes) {
+    const next = { ...this.results.get(nodeReference), ...changes };
+    this.results.set(nodeReference, next);
+    this.emit('nodeUpdate', next);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('stateChange', { id: this.id, state });
+  }
+
+  // ==================== Reading ====================
+
+  getResults() {
+    return this.nodeReferences.map(reference => this.results.get(reference));
+  }
+
+  /**
+   * @returns {Object} { total, pending, running, succeeded, failed, cancelled, finished }
+   */
+  getSummary() {
+    const summary = { total: this.nodeReferences.length, pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+
+    this.results.forEach((result) => {
+      if (result.state === FAN_OUT_NODE_STATE.AUTHENTICATING || result.state === FAN_OUT_NODE_STATE.RUNNING) {
+        summary.running++;
+      } else {
+        summary[result.state]++;
+      }
+    });
+    summary.finished = summary.succeeded + summary.failed + summary.cancelled;
+    return summary;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      playbook: this.playbook.name,
+      vars: this.vars,
+      state: this.state,
+      started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      finished_at: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+      summary: this.getSummary(),
+      results: this.getResults().map(result => ({
+        node_reference: result.nodeReference,
+        state: result.state,
+        duration_ms: result.durationMs,
+        error: result.error,
+        attempts: result.attempts,
+        steps: result.steps.map(step => ({
+          id: step.id,
+          action: step.action,
+          state: step.state,
+          exit_code: step.exitCode,
+          duration_ms: step.durationMs,
+          reason: step.reason,
+          error: step.error,
+          output: step.output
+        }))
+      }))
+    };
+  }
+}
+
+export default PlaybookRun;
@@ -0,0 +1,274 @@
+/**
+ * ============================================
+ * File: src/lib/remote/RemoteExecution.js
+ * ============================================
+ * One streaming `execute` on a remote node, without React
+ *
+ * Creation Reason: executeCommand() waits for the process to finish and
+ * returns one blob; package installs and builds showed nothing until the
+ * end (or until the 60s execute timeout)
+ * Main Functionality: sends `execute` with `stream: true` and emits the
+ * node's remote_command_output frames as 'output' events; the final
+ * remote_command_response carries the exit code. kill() stops the process.
+ * Dependencies: wsProtocol, remoteCommands (STREAMING_EXECUTE),
+ * remoteCommandErrors, EventEmitter
+ *
+ * Events:
+ * - 'output'  { stream: 'stdout' | 'stderr', data } as the node sends it
+ * - 'end'     { state, result, error } once, however the run ended
+ *
+ * Main Logical Flow:
+ * 1. Created by RemoteNodeClient.streamCommand(), which runs the
+ *    capability check, safety gate and audit, then calls start()
+ * 2. Output frames reset the idle timer; no frame for
+ *    STREAMING_EXECUTE.IDLE_TIMEOUT -> TIMEOUT
+ * 3. The response settles `done`: the node's result plus the collected
+ *    stdout / stderr
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - `streamed` is false when the server does not speak protocol 1.4: the
+ *   command is sent as a plain execute and its whole output is emitted
+ *   when the response arrives. Agents that ignore `stream` behave the same
+ * - Listens on the transport itself, not through RemoteNodeClient's
+ *   pending map: disposing the client (component unmount) does not end
+ *   the run, so it can be handed to JobService (adoptExecution)
+ * - Collected output keeps the last STREAMING_EXECUTE.OUTPUT_LIMIT
+ *   characters per stream (`truncated` in the result); 'output' events
+ *   carry everything
+ * - A killed run rejects with CANCELLED; the node sends nothing after
+ *   remote_command_cancel
+ * - A run with its own timeout_ms ends EXITED with exit_code 124 and
+ *   timed_out when the node stops it; the idle timeout still applies
+ *
+ * Last Modified: v1.1.0 - Execute options (commandData)
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import { WS_MESSAGE_TYPES } from '../constants/wsProtocol';
+import { REMOTE_COMMAND_TYPES, STREAMING_EXECUTE } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+
+export const EXECUTION_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  EXITED: 'exited',       // Node answered; see result.exit_code
+  FAILED: 'failed',
+  KILLED: 'killed'
+};
+
+export const OUTPUT_STREAMS = {
+  STDOUT: 'stdout',
+  STDERR: 'stderr'
+};
+
+export class RemoteExecution extends EventEmitter {
+  /**
+   * @param {Object} transport - send(message), on/off, cancelRemoteCommand (WebSocketService)
+   * @param {string} nodeReference - Node code
+   * @param {Object} options
+   * @param {string} options.command - Command line (display, and sent when commandData is omitted)
+   * @param {Object} [options.commandData] - `execute` fields (lib/remote/executeRequest)
+   * @param {boolean} [options.streamed=true] - Ask the node to stream (protocol 1.4)
+   * @param {number} [options.idleTimeout] - ms without a frame before TIMEOUT
+   * @param {number} [options.outputLimit] - Characters kept per stream
+   */
+  constructor(transport, nodeReference, options = {}) {
+    super();
+
+    this.transport = transport;
+    this.nodeReference = nodeReference;
+    this.command = options.command;
+    this.commandData = options.commandData || { command: options.command };
+    this.streamed = options.streamed !== false;
+    this.idleTimeout = options.idleTimeout || STREAMING_EXECUTE.IDLE_TIMEOUT;
+    this.outputLimit = options.outputLimit || STREAMING_EXECUTE.OUTPUT_LIMIT;
+
+    this.requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.state = EXECUTION_STATE.IDLE;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.output = { [OUTPUT_STREAMS.STDOUT]: '', [OUTPUT_STREAMS.STDERR]: '' };
+    this.truncated = false;
+    this.receivedFrames = false;
+    this.lastSeq = -1;
+    this.result = null;
+    this.error = null;
+
+    this.done = new Promise((resolve, reject) => {
+      this.settle = { resolve, reject };
+    });
+    // Failures are also reported as 'end'; nobody has to await `done`
+    this.done.catch(() => {});
+
+    this.handleOutput = this.handleOutput.bind(this);
+    this.handleResponse = this.handleResponse.bind(this);
+  }
+
+  get isRunning() {
+    return this.state === EXECUTION_STATE.IDLE || this.state === EXECUTION_STATE.RUNNING;
+  }
+
+  /**
+   * Send the command
+   * @param {AbortSignal} [signal] - Aborting kills the process
+   * @returns {Promise<Object>} `done`
+   */
+  start(signal) {
+    if (this.state !== EXECUTION_STATE.IDLE) {
+      return this.done;
+    }
+    if (signal?.aborted) {
+      this.fail(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'), EXECUTION_STATE.KILLED);
+      return this.done;
+    }
+
+    this.state = EXECUTION_STATE.RUNNING;
+    this.startedAt = Date.now();
+    this.transport.on('remoteCommandOutput', this.handleOutput);
+    this.transport.on('remoteCommandResponse', this.handleResponse);
+    signal?.addEventListener('abort', () => this.kill(), { once: true });
+
+    const sent = this.transport.send({
+      type: WS_MESSAGE_TYPES.REMOTE_COMMAND,
+      node_reference: this.nodeReference,
+      request_id: this.requestId,
+      command: {
+        type: REMOTE_COMMAND_TYPES.EXECUTE,
+        ...this.commandData,
+        ...(this.streamed ? { stream: true } : {})
+      }
+    });
+
+    if (!sent) {
+      this.fail(new RemoteCommandError(ERROR_CODES.CONNECTION_LOST, 'Failed to send command via WebSocket'));
+    } else {
+      this.resetIdleTimer();
+    }
+    return this.done;
+  }
+
+  /**
+   * Stop the process on the node (protocol 1.3 cancel) and end the run
+   */
+  kill() {
+    if (!this.isRunning) return;
+
+    if (this.state === EXECUTION_STATE.RUNNING) {
+      this.transport.cancelRemoteCommand?.(this.nodeReference, this.requestId);
+    }
+    this.fail(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command killed'), EXECUTION_STATE.KILLED);
+  }
+
+  /**
+   * End the run with an error (also used by RemoteNodeClient when the
+   * capability check or safety gate stops it before it is sent)
+   * @param {Error} error
+   * @param {string} [state] - EXECUTION_STATE.FAILED or KILLED
+   */
+  fail(error, state = EXECUTION_STATE.FAILED) {
+    if (!this.isRunning) return;
+
+    this.finishWith(error?.code === ERROR_CODES.CANCELLED ? EXECUTION_STATE.KILLED : state);
+    this.error = error;
+    this.settle.reject(error);
+    this.emit('end', { state: this.state, result: null, error });
+  }
+
+  getInfo() {
+    return {
+      requestId: this.requestId,
+      nodeReference: this.nodeReference,
+      command: this.command,
+      state: this.state,
+      streamed: this.streamed,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+
+  // ==================== Transport events ====================
+
+  handleOutput(message) {
+    if (message?.request_id !== this.requestId || this.state !== EXECUTION_STATE.RUNNING) return;
+
+    // Frames arrive in order; a repeated seq is a duplicate
+    if (typeof message.seq === 'number') {
+      if (message.seq <= this.lastSeq) return;
+      this.lastSeq = message.seq;
+    }
+
+    this.receivedFrames = true;
+    this.resetIdleTimer();
+    this.append(message.stream === OUTPUT_STREAMS.STDERR ? OUTPUT_STREAMS.STDERR : OUTPUT_STREAMS.STDOUT, message.data);
+  }
+
+  handleResponse(message) {
+    if (message?.request_id !== this.requestId || this.state !== EXECUTION_STATE.RUNNING) return;
+
+    if (!message.success) {
+      const error = message.error || {};
+      this.fail(new RemoteCommandError(
+        error.code || ERROR_CODES.COMMAND_FAILED,
+        typeof error === 'string' ? error : error.message || 'Command failed',
+        error.details || {}
+      ));
+      return;
+    }
+
+    // Not streamed (older server or agent): the output comes with the result
+    const nodeResult = message.result || {};
+    if (!this.receivedFrames) {
+      this.append(OUTPUT_STREAMS.STDOUT, nodeResult.stdout);
+      this.append(OUTPUT_STREAMS.STDERR, nodeResult.stderr);
+    }
+
+    this.finishWith(EXECUTION_STATE.EXITED);
+    this.result = {
+      ...nodeResult,
+      stdout: this.output.stdout,
+      stderr: this.output.stderr,
+      exit_code: Number.isInteger(nodeResult.exit_code) ? nodeResult.exit_code : null,
+      duration_ms: nodeResult.duration_ms ?? this.finishedAt - this.startedAt,
+      streamed: this.receivedFrames || nodeResult.streamed === true,
+      ...(this.truncated ? { truncated: true } : {})
+    };
+    this.settle.resolve(this.result);
+    this.emit('end', { state: this.state, result: this.result, error: null });
+  }
+
+  // ==================== Internals ====================
+
+  append(stream, data) {
+    if (typeof data !== 'string' || data.length === 0) return;
+
+    const text = this.output[stream] + data;
+    if (text.length > this.outputLimit) {
+      this.output[stream] = text.slice(text.length - this.outputLimit);
+      this.truncated = true;
+    } else {
+      this.output[stream] = text;
+    }
+    this.emit('output', { stream, data });
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.fail(new RemoteCommandError(
+        ERROR_CODES.TIMEOUT,
+        `No output from the node for ${Math.ceil(this.idleTimeout / 1000)}s`
+      ));
+    }, this.idleTimeout);
+  }
+
+  finishWith(state) {
+    clearTimeout(this.idleTimer);
+    this.transport.off('remoteCommandOutput', this.handleOutput);
+    this.transport.off('remoteCommandResponse', this.handleResponse);
+    this.state = state;
+    this.finishedAt = Date.now();
+  }
+}
+
+export default RemoteExecution;
@@ -0,0 +1,866 @@
+/**
+ * ============================================
+ * File: src/lib/remote/RemoteNodeClient.js
+ * ============================================
+ * Remote node client - Every remote command for one node, without React
+ *
+ * Creation Reason: Request ids, response handlers, content encoding and
+ * the command wrappers lived inside useRemoteManagement, so scripts,
+ * workers and tools could not reuse them
+ * Main Functionality:
+ * - sendCommand(): one remote_command under its COMMAND_POLICIES entry
+ *   (timeout, retries for idempotent commands, AbortSignal cancel)
+ * - One promise method per command (listDirectory, readFile, ...,
+ *   batchCopy, executeCommand), same signatures as useRemoteManagement
+ * - streamCommand(): execute with live stdout / stderr (RemoteExecution)
+ * - Batch methods split large selections into chunks (runBatch) and
+ *   resolve to a per-item report
+ * - Chunked transfers through the injected upload / download services
+ * - Terminal sessions: openTerminal() -> RemoteTerminal, and
+ *   sendTerminalInput() for sessions created elsewhere (terminalStore)
+ * - Audit: every command, transfer and terminal start / stop is reported
+ *   to the injected `audit` recorder (AuditLogService in the app)
+ * - Safety: every mutating operation is first passed to the injected
+ *   `safety` gate (SafetyPolicyService in the app)
+ * - Capabilities: commands the node's agent lacks (injected
+ *   `capabilities`, CapabilityService in the app) fail with
+ *   UNSUPPORTED_COMMAND before they are sent
+ * Dependencies: wsProtocol, remoteCommands, commandPolicy,
+ * remoteCommandErrors, binaryFraming, contentEncoding, RemoteTerminal,
+ * RemoteExecution, batchOperation, executeRequest, nodeCapabilities
+ *
+ * Transport interface (WebSocketService satisfies it):
+ *   send(message) -> boolean
+ *   on(event, fn) / off(event, fn)      'remoteCommandResponse',
+ *                                       'remoteCommandOutput', terminal*
+ *   cancelRemoteCommand(node, requestId) optional (protocol 1.3)
+ *   supportsFeature(minimum)            optional; streamCommand() only
+ *                                       asks for streaming when it is true
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Nothing here imports a service singleton. useRemoteManagement passes
+ *   webSocketService, remoteAuthService, uploadService and downloadService;
+ *   scripts pass their own
+ * - Without `uploads` / `downloads`, chunked transfers reject with
+ *   OPERATION_FAILED; small uploads still work
+ * - The response listener is attached on the first command and removed by
+ *   dispose(); a disposed client re-attaches if used again. Commands still
+ *   pending fail with CANCELLED
+ * - Failures are RemoteCommandErrors (node's code, or TIMEOUT /
+ *   CONNECTION_LOST / CANCELLED / UNAUTHORIZED)
+ * - One audit entry per logical command: retries are not reported
+ *   separately, and an execute with a non-zero exit code is a failure
+ * - The safety gate runs inside the audited operation, so blocked and
+ *   declined commands are audited too (POLICY_BLOCKED / cancelled). It
+ *   runs once per logical command, never per retry
+ * - sendCommand's onDispatch(requestId) sees every attempt's request id;
+ *   JobService keeps the last one to pick up an answer that arrives after
+ *   the command timed out here
+ * - A node answering INVALID_COMMAND does not know the command: it is
+ *   reported to `capabilities` (markUnsupported) and rethrown as
+ *   UNSUPPORTED_COMMAND with the upgrade message
+ * - A batch passes the safety gate once, with every path: chunks differ in
+ *   paths, so gating each would ask for one confirmation per chunk. Each
+ *   chunk is still its own command and audit entry
+ * - A streamed execute is audited once, when it ends (killed runs as
+ *   cancelled). Its execution outlives dispose(): see RemoteExecution
+ * - executeCommand / streamCommand take execute options (cwd, env, user,
+ *   timeout, stdin, direct mode; lib/remote/executeRequest). Invalid ones
+ *   throw INVALID_PARAMETERS / INVALID_PATH with details.field; any option
+ *   needs the exec_options feature, since an older agent would silently
+ *   drop it (run as the wrong user, in the wrong directory)
+ *
+ * Last Modified: v1.7.2 - Batches pass the safety gate once
+ * ============================================
+ */
+
+import { WS_MESSAGE_TYPES, PROTOCOL_FEATURES } from '../constants/wsProtocol';
+import {
+  REMOTE_COMMAND_TYPES,
+  CHUNKED_UPLOAD,
+  EXECUTE_REQUEST_LIMITS,
+  validateBatchOperation
+} from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+import { executeWithPolicy } from '../utils/commandPolicy';
+import { isBinaryFrame, base64ToBytes } from '../utils/binaryFraming';
+import { encodeToBase64, encodeToBytes, decodeContent } from './contentEncoding';
+import { RemoteTerminal } from './RemoteTerminal';
+import { RemoteExecution } from './RemoteExecution';
+import { runBatchOperation } from './batchOperation';
+import {
+  createExecuteRequest,
+  validateExecuteRequest,
+  hasExecuteOptions,
+  toExecuteCommandData,
+  formatCommandLine
+} from './executeRequest';
+import { AUDIT_EVENT_TYPES, AUDIT_STATUS } from '../utils/auditLog';
+import { NODE_FEATURES } from '../utils/nodeCapabilities';
+
+/**
+ * Message text of a failed remote_command_response
+ */
+function getResponseErrorMessage(error) {
+  if (typeof error === 'string') {
+    return error;
+  }
+  if (error && typeof error === 'object') {
+    return error.message || error.error || error.detail || JSON.stringify(error);
+  }
+  return 'Command failed';
+}
+
+export class RemoteNodeClient {
+  /**
+   * @param {Object} transport - Message channel, see header
+   * @param {string} nodeReference - Node code
+   * @param {Object} options
+   * @param {Object} [options.auth] - { isAuthenticated(nodeReference) }; omitted = let the node decide
+   * @param {Object} [options.uploads] - UploadService instance for chunked uploads
+   * @param {Object} [options.downloads] - DownloadService instance for streaming downloads
+   * @param {Object} [options.audit] - { record(entry) } audit recorder (lib/utils/auditLog entries)
+   * @param {Object} [options.safety] - { authorize(nodeReference, type, data, { signal }) -> Promise } safety gate
+   * @param {Object} [options.capabilities] - { getUnsupportedReason(nodeReference, name), markUnsupported(nodeReference, name) }
+   * @param {boolean} [options.debug=true] - Console logging
+   */
+  constructor(transport, nodeReference, options = {}) {
+    if (!transport) {
+      throw new Error('RemoteNodeClient requires a transport');
+    }
+
+    this.transport = transport;
+    this.nodeReference = nodeReference;
+    this.auth = options.auth || null;
+    this.uploads = options.uploads || null;
+    this.downloads = options.downloads || null;
+    this.audit = options.audit || null;
+    this.safety = options.safety || null;
+    this.capabilities = options.capabilities || null;
+    this.debug = options.debug !== false;
+
+    this.pending = new Map(); // request_id -> { resolve, reject }
+    this.listening = false;
+    this.handleResponse = this.handleResponse.bind(this);
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[RemoteNodeClient]', ...args);
+    }
+  }
+
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  isAuthenticated() {
+    return this.auth ? this.auth.isAuthenticated(this.nodeReference) : true;
+  }
+
+  recordAudit(entry) {
+    if (!this.audit) return;
+    try {
+      this.audit.record({ node_reference: this.nodeReference, ...entry });
+    } catch (error) {
+      console.error('[RemoteNodeClient] Audit record failed:', error);
+    }
+  }
+
+  /**
+   * Report an operation to the audit recorder; the operation's result or
+   * error passes through unchanged
+   * @param {string} type - REMOTE_COMMAND_TYPES / AUDIT_EVENT_TYPES value
+   * @param {Object} params - Fields as sent (sanitized by the recorder)
+   * @param {Function} operation - () => Promise
+   */
+  audited(type, params, operation) {
+    if (!this.audit) {
+      return operation();
+    }
+
+    const startedAt = Date.now();
+    const report = (changes) => this.recordAudit({ type, params, duration_ms: Date.now() - startedAt, ...changes });
+
+    return new Promise(resolve => resolve(operation())).then((result) => {
+      const exitCode = Number.isInteger(result?.exit_code) ? result.exit_code : null;
+      report(exitCode !== null && exitCode !== 0
+        ? { status: AUDIT_STATUS.FAILED, exit_code: exitCode, error_code: ERROR_CODES.COMMAND_FAILED }
+        : { status: AUDIT_STATUS.SUCCEEDED, exit_code: exitCode });
+      return result;
+    }, (error) => {
+      report({
+        status: error?.code === ERROR_CODES.CANCELLED ? AUDIT_STATUS.CANCELLED : AUDIT_STATUS.FAILED,
+        error_code: error?.code || ERROR_CODES.UNKNOWN,
+        error_message: error?.message || null
+      });
+      throw error;
+    });
+  }
+
+  /**
+   * Pass an operation through the safety gate
+   * @returns {Promise} Rejects (POLICY_BLOCKED, CONFIRMATION_REQUIRED,
+   * CANCELLED) when the operation must not be sent
+   */
+  authorize(type, params, signal) {
+    if (!this.safety) {
+      return Promise.resolve();
+    }
+    return this.safety.authorize(this.nodeReference, type, params, { signal });
+  }
+
+  /**
+   * Throw UNSUPPORTED_COMMAND when the node's agent lacks a command or
+   * feature
+   * @param {string} name - REMOTE_COMMAND_TYPES or NODE_FEATURES value
+   */
+  checkSupported(name) {
+    const reason = this.capabilities?.getUnsupportedReason(this.nodeReference, name);
+    if (reason) {
+      throw new RemoteCommandError(ERROR_CODES.UNSUPPORTED_COMMAND, reason, { command: name });
+    }
+  }
+
+  /**
+   * INVALID_COMMAND from the node: the agent does not know the command
+   */
+  toUnsupportedError(name, error) {
+    if (!this.capabilities || error?.code !== ERROR_CODES.INVALID_COMMAND) {
+      return error;
+    }
+    const reason = this.capabilities.markUnsupported(this.nodeReference, name);
+    this.log('Node does not support', name);
+    return new RemoteCommandError(ERROR_CODES.UNSUPPORTED_COMMAND, reason, { command: name });
+  }
+
+  /**
+   * Reject pending commands and detach from the transport
+   * @param {string} reason - Rejection message
+   */
+  dispose(reason = 'Client disposed') {
+    if (this.listening) {
+      this.transport.off('remoteCommandResponse', this.handleResponse);
+      this.listening = false;
+    }
+
+    const handlers = Array.from(this.pending.values());
+    this.pending.clear();
+    // CANCELLED, not CONNECTION_LOST: the retry policy must not send them again
+    handlers.forEach(handler => handler.reject(new RemoteCommandError(ERROR_CODES.CANCELLED, reason)));
+  }
+
+  // ==================== Commands ====================
+
+  /**
+   * One attempt; rejects with RemoteCommandError so the policy can classify it
+   */
+  sendCommandOnce(commandType, commandData, timeout, signal, onDispatch) {
+    if (!this.isAuthenticated()) {
+      console.error('[RemoteNodeClient] Not authenticated for remote commands');
+      return Promise.reject(new RemoteCommandError(ERROR_CODES.UNAUTHORIZED, 'Not authenticated for remote management'));
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+    }
+
+    if (!this.listening) {
+      this.transport.on('remoteCommandResponse', this.handleResponse);
+      this.listening = true;
+    }
+
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    this.log('Sending remote command:', commandType, 'ID:', requestId);
+    onDispatch?.(requestId);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        signal?.removeEventListener('abort', onAbort);
+        reject(new RemoteCommandError(ERROR_CODES.TIMEOUT, 'Command timeout'));
+      }, timeout);
+
+      // Tell the node to stop, then settle locally; a late response finds no handler
+      const onAbort = () => {
+        const handler = this.pending.get(requestId);
+        if (!handler) return;
+        this.log('Cancelling remote command:', commandType, 'ID:', requestId);
+        this.transport.cancelRemoteCommand?.(this.nodeReference, requestId);
+        handler.reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(requestId);
+        callback(value);
+      };
+      this.pending.set(requestId, { resolve: settle(resolve), reject: settle(reject) });
+
+      const success = this.transport.send({
+        type: WS_MESSAGE_TYPES.REMOTE_COMMAND,
+        node_reference: this.nodeReference,
+        request_id: requestId,
+        command: {
+          type: commandType,
+          ...commandData
+        }
+      });
+
+      if (!success) {
+        this.pending.get(requestId)?.reject(
+          new RemoteCommandError(ERROR_CODES.CONNECTION_LOST, 'Failed to send command via WebSocket')
+        );
+      }
+    });
+  }
+
+  /**
+   * Send a remote command under its execution policy (COMMAND_POLICIES):
+   * per-command timeout, transparent retries for idempotent commands.
+   * The capability check and the safety gate decide first
+   * @param {string} commandType - Command type
+   * @param {Object} commandData - Command fields
+   * @param {Object} options - { signal, timeout, retry: false to disable retries,
+   *   onDispatch(requestId) before each attempt is sent, features: NODE_FEATURES
+   *   the command also needs, authorized: true when the caller already passed the
+   *   safety gate for it }
+   * @returns {Promise<Object>} Command result
+   */
+  sendCommand(commandType, commandData = {}, options = {}) {
+    return this.audited(commandType, commandData, async () => {
+      this.checkSupported(commandType);
+      (options.features || []).forEach(feature => this.checkSupported(feature));
+      if (!options.authorized) {
+        await this.authorize(commandType, commandData, options.signal);
+      }
+      try {
+        return await executeWithPolicy(
+          commandType,
+          ({ timeout }) => this.sendCommandOnce(commandType, commandData, timeout, options.signal, options.onDispatch),
+          {
+            ...options,
+            onRetry: (retry, error, delay) => {
+              this.log('Retrying', commandType, `(${retry})`, 'after', error.code, 'in', delay, 'ms');
+            }
+          }
+        );
+      } catch (error) {
+        throw this.toUnsupportedError(commandType, error);
+      }
+    });
+  }
+
+  handleResponse(message) {
+    try {
+      const handler = this.pending.get(message.request_id);
+      if (!handler) {
+        // Other ids belong to transport.sendRequest() callers (UploadService)
+        // or to another client on the same transport
+        return;
+      }
+
+      if (message.success) {
+        this.log('✅ Command succeeded:', message.request_id);
+        handler.resolve(message.result || {});
+        return;
+      }
+
+      const errorMessage = getResponseErrorMessage(message.error);
+      console.error('[RemoteNodeClient] ❌ Command failed:', errorMessage);
+      handler.reject(new RemoteCommandError(
+        message.error?.code || ERROR_CODES.COMMAND_FAILED,
+        errorMessage,
+        message.error?.details || {}
+      ));
+    } catch (error) {
+      console.error('[RemoteNodeClient] Response handler error:', error);
+    }
+  }
+
+  // ==================== Files ====================
+
+  async listDirectory(path, options = {}) {
+    this.log('listDirectory:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.LIST, { path }, { signal: options.signal });
+  }
+
+  /**
+   * Load a whole file as text (binary string for non-UTF-8 content)
+   * @returns {Promise<Object>} Result with decoded `content`
+   */
+  async readFile(path, options = {}) {
+    this.log('readFile:', path);
+
+    if (!path || typeof path !== 'string' || path.trim().length === 0) {
+      throw new Error('Valid file path is required');
+    }
+
+    try {
+      const result = await this.sendCommand(REMOTE_COMMAND_TYPES.DOWNLOAD, { path }, { signal: options.signal });
+
+      if (!result) {
+        throw new Error('No response received from server');
+      }
+
+      if (result.content) {
+        try {
+          result.content = decodeContent(result.content, true);
+        } catch (decodeError) {
+          throw new Error('Failed to decode file content. The file may be corrupted.');
+        }
+      } else {
+        result.content = '';
+      }
+
+      return result;
+    } catch (error) {
+      console.error('[RemoteNodeClient] readFile error:', error);
+
+      if (error.message.includes('timeout')) {
+        throw new Error('Request timeout. Please try again.');
+      } else if (error.message.includes('not found')) {
+        throw new Error('File not found.');
+      } else if (error.message.includes('permission')) {
+        throw new Error('Permission denied. You do not have access to this file.');
+      }
+
+      throw error;
+    }
+  }
+
+  async writeFile(path, content, options = {}) {
+    this.log('writeFile:', path, content.length, 'bytes');
+
+    let bytes;
+    try {
+      bytes = encodeToBytes(content);
+    } catch (encodeError) {
+      throw new Error('Failed to encode file content');
+    }
+
+    return this.sendCommand(REMOTE_COMMAND_TYPES.UPLOAD, {
+      path,
+      content: bytes,
+      overwrite: options.overwrite !== false
+    }, { signal: options.signal });
+  }
+
+  async deleteFile(path, options = {}) {
+    this.log('deleteFile:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.DELETE, { path }, { signal: options.signal });
+  }
+
+  /**
+   * Start a chunked, resumable upload. Synchronous, so it bypasses the
+   * safety gate: callers authorize first (uploadFile does)
+   * @param {string} path - Destination on the node
+   * @param {Blob|Uint8Array} source - Content
+   * @param {Object} options - { overwrite, chunkSize, signal }
+   * @returns {string} Upload id (uploads.waitForUpload(id) for the result)
+   */
+  startChunkedUpload(path, source, options = {}) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated for remote management');
+    }
+    if (!this.uploads) {
+      throw new RemoteCommandError(ERROR_CODES.OPERATION_FAILED, 'Chunked uploads need an upload service');
+    }
+
+    return this.uploads.startUpload({
+      nodeReference: this.nodeReference,
+      path,
+      source,
+      overwrite: options.overwrite !== false,
+      chunkSize: options.chunkSize,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Upload text, base64 or bytes; Blob/File sources and anything above
+   * CHUNKED_UPLOAD.THRESHOLD go through the chunked upload service
+   * @param {string} path - Destination on the node
+   * @param {string|Uint8Array|Blob} content - Content
+   * @param {boolean} isBase64 - content is a base64 string
+   * @param {Object} options - { overwrite, chunked, chunkSize, signal }
+   */
+  async uploadFile(path, content, isBase64 = false, options = {}) {
+    this.log('uploadFile:', path, 'isBase64:', isBase64);
+
+    // Small base64 input is sent as-is (JSON); text and bytes go out as bytes
+    let uploadContent = content;
+    if (isBase64) {
+      if (options.chunked || content.length * 0.75 > CHUNKED_UPLOAD.THRESHOLD) {
+        uploadContent = base64ToBytes(content);
+      }
+    } else if (typeof content === 'string') {
+      try {
+        uploadContent = encodeToBytes(content);
+      } catch (encodeError) {
+        throw new Error('Failed to encode file for upload');
+      }
+    }
+
+    const isBlob = typeof Blob !== 'undefined' && uploadContent instanceof Blob;
+    const isLarge = isBinaryFrame(uploadContent) && uploadContent.byteLength > CHUNKED_UPLOAD.THRESHOLD;
+    if (options.chunked || isBlob || isLarge) {
+      return this.audited(REMOTE_COMMAND_TYPES.UPLOAD, {
+        path,
+        content: uploadContent,
+        overwrite: options.overwrite !== false,
+        chunked: true
+      }, async () => {
+        this.checkSupported(REMOTE_COMMAND_TYPES.UPLOAD_BEGIN);
+        await this.authorize(REMOTE_COMMAND_TYPES.UPLOAD, { path, overwrite: options.overwrite !== false }, options.signal);
+        const uploadId = this.startChunkedUpload(path, uploadContent, options);
+        return this.uploads.waitForUpload(uploadId);
+      });
+    }
+
+    return this.sendCommand(REMOTE_COMMAND_TYPES.UPLOAD, {
+      path,
+      content: uploadContent,
+      overwrite: options.overwrite !== false
+    }, { signal: options.signal });
+  }
+
+  /**
+   * Stream a file from the node into a sink (lib/utils/fileSink)
+   * @param {string} path - File on the node
+   * @param {Object} options - { sink, chunkSize, signal }
+   * @returns {Promise<Object>} { path, size, sha256, ...sink result }
+   */
+  async downloadFile(path, options = {}) {
+    this.log('downloadFile:', path);
+
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated for remote management');
+    }
+    if (!this.downloads) {
+      throw new RemoteCommandError(ERROR_CODES.OPERATION_FAILED, 'Streaming downloads need a download service');
+    }
+
+    return this.audited(REMOTE_COMMAND_TYPES.DOWNLOAD, { path, streamed: true }, () => {
+      this.checkSupported(REMOTE_COMMAND_TYPES.CHECKSUM);
+      const downloadId = this.downloads.startDownload({
+        nodeReference: this.nodeReference,
+        path,
+        sink: options.sink,
+        chunkSize: options.chunkSize,
+        signal: options.signal
+      });
+      return this.downloads.waitForDownload(downloadId);
+    });
+  }
+
+  async renameFile(oldPath, newPath, options = {}) {
+    this.log('renameFile:', oldPath, '->', newPath);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.RENAME, {
+      path: oldPath,
+      destination: newPath,
+      overwrite: options.overwrite || false
+    }, { signal: options.signal });
+  }
+
+  async copyFile(sourcePath, destPath, options = {}) {
+    this.log('copyFile:', sourcePath, '->', destPath);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.COPY, {
+      path: sourcePath,
+      destination: destPath,
+      recursive: options.recursive || false,
+      overwrite: options.overwrite || false
+    }, { signal: options.signal });
+  }
+
+  async moveFile(sourcePath, destPath, options = {}) {
+    this.log('moveFile:', sourcePath, '->', destPath);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.MOVE, {
+      path: sourcePath,
+      destination: destPath,
+      overwrite: options.overwrite || false
+    }, { signal: options.signal });
+  }
+
+  // ==================== Directories ====================
+
+  async createDirectory(path, options = {}) {
+    this.log('createDirectory:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.CREATE_DIRECTORY, {
+      path,
+      mode: options.mode || '0755'
+    }, { signal: options.signal });
+  }
+
+  async deleteDirectory(path, options = {}) {
+    this.log('deleteDirectory:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.DELETE_DIRECTORY, {
+      path,
+      recursive: options.recursive || false
+    }, { signal: options.signal });
+  }
+
+  // ==================== Search, archives, permissions ====================
+
+  async searchFiles(path, query, options = {}) {
+    this.log('searchFiles:', path, query);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.SEARCH, {
+      path,
+      query,
+      use_regex: options.useRegex || false,
+      case_sensitive: options.caseSensitive || false,
+      max_depth: options.maxDepth || null
+    }, { signal: options.signal });
+  }
+
+  async compressFiles(paths, destination, options = {}) {
+    this.log('compressFiles:', paths, '->', destination);
+
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error('Paths must be a non-empty array');
+    }
+
+    return this.sendCommand(REMOTE_COMMAND_TYPES.COMPRESS, {
+      paths,
+      destination,
+      format: options.format || 'zip',
+      overwrite: options.overwrite || false
+    }, { signal: options.signal });
+  }
+
+  async extractFile(path, options = {}) {
+    this.log('extractFile:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.EXTRACT, {
+      path,
+      destination: options.destination || null,
+      format: options.format || null
+    }, { signal: options.signal });
+  }
+
+  async changePermissions(path, mode, options = {}) {
+    this.log('changePermissions:', path, mode);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.CHMOD, {
+      path,
+      mode,
+      recursive: options.recursive || false
+    }, { signal: options.signal });
+  }
+
+  async changeOwner(path, options = {}) {
+    this.log('changeOwner:', path);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.CHOWN, {
+      path,
+      owner: options.owner || null,
+      group: options.group || null,
+      recursive: options.recursive || false
+    }, { signal: options.signal });
+  }
+
+  // ==================== Batch ====================
+
+  /**
+   * batch_delete / batch_move / batch_copy in node-sized chunks
+   * (lib/remote/batchOperation)
+   * @param {string} commandType - BATCH_* command type
+   * @param {string[]} paths - Items, up to BATCH_OPERATION_LIMITS.MAX_ITEMS
+   * @param {Object} fields - Other command fields ({ destination })
+   * @param {Object} options - { signal, concurrency, onProgress(done, total) }
+   * @returns {Promise<Object>} Per-item report
+   */
+  async runBatch(commandType, paths, fields = {}, options = {}) {
+    const validation = validateBatchOperation(paths);
+    if (!validation.valid) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, validation.error);
+    }
+
+    // One decision (and at most one confirmation) for the whole batch; a
+    // blocked or declined batch is audited once, nothing is sent
+    const batchParams = { paths, ...fields };
+    this.checkSupported(commandType);
+    await this.authorize(commandType, batchParams, options.signal)
+      .catch(error => this.audited(commandType, batchParams, () => Promise.reject(error)));
+
+    return runBatchOperation({
+      paths,
+      sendChunk: (chunk, signal) => this.sendCommand(commandType, { paths: chunk, ...fields }, { signal, authorized: true }),
+      concurrency: options.concurrency,
+      signal: options.signal,
+      onProgress: options.onProgress
+    });
+  }
+
+  async batchDelete(paths, options = {}) {
+    this.log('batchDelete:', paths.length, 'files');
+    return this.runBatch(REMOTE_COMMAND_TYPES.BATCH_DELETE, paths, {}, options);
+  }
+
+  async batchMove(paths, destination, options = {}) {
+    this.log('batchMove:', paths.length, 'files ->', destination);
+    return this.runBatch(REMOTE_COMMAND_TYPES.BATCH_MOVE, paths, { destination }, options);
+  }
+
+  async batchCopy(paths, destination, options = {}) {
+    this.log('batchCopy:', paths.length, 'files ->', destination);
+    return this.runBatch(REMOTE_COMMAND_TYPES.BATCH_COPY, paths, { destination }, options);
+  }
+
+  // ==================== System ====================
+
+  async getSystemInfo(options = {}) {
+    this.log('getSystemInfo');
+    return this.sendCommand(REMOTE_COMMAND_TYPES.SYSTEM_INFO, {}, { signal: options.signal });
+  }
+
+  /**
+   * Execute request from executeCommand / streamCommand arguments
+   * (lib/remote/executeRequest); invalid options throw before anything
+   * is sent or audited, like an invalid batch
+   * @returns {Object} { request, commandData, features }
+   */
+  prepareExecute(command, args, options) {
+    const request = createExecuteRequest({ ...options, command, args });
+    const validation = validateExecuteRequest(request);
+    if (!validation.valid) {
+      const [first] = validation.errors;
+      throw new RemoteCommandError(first.code, `${first.field}: ${first.message}`, {
+        field: first.field,
+        errors: validation.errors
+      });
+    }
+
+    return {
+      request,
+      commandData: toExecuteCommandData(request),
+      features: hasExecuteOptions(request) ? [NODE_FEATURES.EXEC_OPTIONS] : []
+    };
+  }
+
+  /**
+   * Run a command and wait for it to finish
+   * @param {string} command - Command line (shell mode) or program (direct mode)
+   * @param {string[]} args - Arguments: joined with spaces in shell mode, argv in direct mode
+   * @param {Object} options - { signal } and execute options: { mode, cwd, env, user,
+   *   timeout (ms, enforced by the node), stdin } (lib/remote/executeRequest)
+   * @returns {Promise<Object>} { stdout, stderr, exit_code, duration_ms, timed_out? }
+   */
+  async executeCommand(command, args = [], options = {}) {
+    this.log('executeCommand:', command, args);
+
+    const { request, commandData, features } = this.prepareExecute(command, args, options);
+    return this.sendCommand(REMOTE_COMMAND_TYPES.EXECUTE, commandData, {
+      signal: options.signal,
+      timeout: request.timeout !== null ? request.timeout + EXECUTE_REQUEST_LIMITS.TIMEOUT_GRACE : undefined,
+      features
+    });
+  }
+
+  /**
+   * Run a command with its output streamed as it is produced
+   * (lib/remote/RemoteExecution). Returns at once so listeners can be
+   * attached before the first output; capability check, safety gate and
+   * audit run as for executeCommand
+   * @param {string} command - Command line (shell mode) or program (direct mode)
+   * @param {string[]} args - Arguments, as for executeCommand
+   * @param {Object} options - { signal (kills the process), idleTimeout } and the
+   *   execute options of executeCommand
+   * @returns {RemoteExecution} 'output' / 'end' events, `done` promise
+   */
+  streamCommand(command, args = [], options = {}) {
+    let prepared;
+    try {
+      prepared = this.prepareExecute(command, args, options);
+    } catch (error) {
+      // Invalid options: a failed run, reported once listeners are attached
+      const rejected = new RemoteExecution(this.transport, this.nodeReference, { command });
+      Promise.resolve().then(() => rejected.fail(error));
+      return rejected;
+    }
+
+    const { request, commandData, features } = prepared;
+    const line = formatCommandLine(request);
+    const execution = new RemoteExecution(this.transport, this.nodeReference, {
+      command: line,
+      commandData,
+      streamed: this.transport.supportsFeature?.(PROTOCOL_FEATURES.EXEC_STREAM) === true,
+      idleTimeout: options.idleTimeout
+    });
+    this.log('streamCommand:', line, 'ID:', execution.requestId, execution.streamed ? '' : '(not streamed)');
+
+    const params = { ...commandData, stream: true };
+    this.audited(REMOTE_COMMAND_TYPES.EXECUTE, params, async () => {
+      if (!this.isAuthenticated()) {
+        throw new RemoteCommandError(ERROR_CODES.UNAUTHORIZED, 'Not authenticated for remote management');
+      }
+      this.checkSupported(REMOTE_COMMAND_TYPES.EXECUTE);
+      features.forEach(feature => this.checkSupported(feature));
+      await this.authorize(REMOTE_COMMAND_TYPES.EXECUTE, commandData, options.signal);
+      try {
+        return await execution.start(options.signal);
+      } catch (error) {
+        throw this.toUnsupportedError(REMOTE_COMMAND_TYPES.EXECUTE, error);
+      }
+    }).catch(error => execution.fail(error));
+
+    return execution;
+  }
+
+  // ==================== Terminal ====================
+
+  /**
+   * Open a terminal session on the node
+   * @param {Object} options - { rows, cols, cwd, env }
+   * @returns {Promise<RemoteTerminal>} Ready session
+   */
+  async openTerminal(options = {}) {
+    if (!this.isAuthenticated()) {
+      throw new RemoteCommandError(ERROR_CODES.UNAUTHORIZED, 'Not authenticated for remote management');
+    }
+
+    const terminal = new RemoteTerminal(this.transport, this.nodeReference, options);
+    const params = { session_id: terminal.sessionId, rows: terminal.rows, cols: terminal.cols, cwd: terminal.cwd, env: terminal.env };
+    this.log('Opening terminal session:', terminal.sessionId);
+
+    await this.audited(AUDIT_EVENT_TYPES.TERMINAL_START, params, async () => {
+      this.checkSupported(NODE_FEATURES.TERMINAL);
+      await this.authorize(AUDIT_EVENT_TYPES.TERMINAL_START, params);
+      return terminal.open();
+    });
+    if (this.audit) {
+      const openedAt = Date.now();
+      terminal.once('closed', () => this.recordAudit({
+        type: AUDIT_EVENT_TYPES.TERMINAL_STOP,
+        params,
+        status: AUDIT_STATUS.SUCCEEDED,
+        duration_ms: Date.now() - openedAt
+      }));
+    }
+    return terminal;
+  }
+
+  /**
+   * Send input to an existing session by id (sessions created by
+   * TerminalService / terminalStore)
+   * @param {string} sessionId - Session id
+   * @param {string} data - Input text
+   * @returns {boolean} Whether the frame was sent
+   */
+  sendTerminalInput(sessionId, data) {
+    let base64Data;
+    try {
+      base64Data = encodeToBase64(data);
+    } catch (error) {
+      return false;
+    }
+
+    return this.transport.send({
+      type: WS_MESSAGE_TYPES.TERM_INPUT,
+      session_id: sessionId,
+      data: base64Data
+    });
+  }
+}
+
+export default RemoteNodeClient;
@@ -0,0 +1,260 @@
+/**
+ * ============================================
+ * File: src/lib/remote/RemoteTerminal.js
+ * ============================================
+ * One terminal session on a remote node, without React or the store
+ *
+ * Creation Reason: Scripts and tools need terminal sessions on the same
+ * transport the dashboard uses; TerminalService is bound to the
+ * webSocketService singleton and feeds terminalStore
+ * Main Functionality: term_init / term_input / term_resize / term_close
+ * for one session_id; 'output', 'ready', 'error' and 'closed' events
+ * Dependencies: wsProtocol, contentEncoding, EventEmitter
+ *
+ * Main Logical Flow:
+ * 1. open() sends term_init
+ * 2. Ready on term_ready, on the first output, or after READY_FALLBACK_MS
+ *    (backends that never send term_ready) - same rules as TerminalSession
+ * 3. write() base64-encodes input; output arrives already decoded to text
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Created by RemoteNodeClient.openTerminal(); the transport must emit
+ *   terminalReady / terminalOutput / terminalError / terminalClosed like
+ *   WebSocketService does
+ * - close() (or a term_closed from the node) detaches every listener
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import { WS_MESSAGE_TYPES } from '../constants/wsProtocol';
+import { encodeToBase64 } from './contentEncoding';
+
+export const REMOTE_TERMINAL_STATE = {
+  IDLE: 'idle',
+  OPENING: 'opening',
+  READY: 'ready',
+  CLOSED: 'closed',
+  ERROR: 'error'
+};
+
+const TERMINAL_TIMING = {
+  READY_FALLBACK_MS: 1000,
+  OPEN_TIMEOUT_MS: 10000
+};
+
+const TRANSPORT_EVENTS = {
+  terminalReady: 'handleReady',
+  terminalOutput: 'handleOutput',
+  terminalError: 'handleError',
+  terminalClosed: 'handleClosed'
+};
+
+export class RemoteTerminal extends EventEmitter {
+  /**
+   * @param {Object} transport - send(message) + on/off (WebSocketService)
+   * @param {string} nodeReference - Node code
+   * @param {Object} options - { rows, cols, cwd, env }
+   */
+  constructor(transport, nodeReference, options = {}) {
+    super();
+
+    this.transport = transport;
+    this.nodeReference = nodeReference;
+    this.sessionId = `term_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.rows = options.rows || 24;
+    this.cols = options.cols || 80;
+    this.cwd = options.cwd || '/';
+    this.env = options.env || {};
+    this.state = REMOTE_TERMINAL_STATE.IDLE;
+
+    this.listeners = {};
+    Object.entries(TRANSPORT_EVENTS).forEach(([event, method]) => {
+      this.listeners[event] = (message) => {
+        if (message?.session_id === this.sessionId) {
+          this[method](message);
+        }
+      };
+    });
+  }
+
+  /**
+   * Start the session on the node
+   * @returns {Promise<RemoteTerminal>} Resolves when the session is ready
+   */
+  open() {
+    if (this.openPromise) {
+      return this.openPromise;
+    }
+
+    this.openPromise = new Promise((resolve, reject) => {
+      this.settleOpen = { resolve, reject };
+    });
+
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      this.transport.on(event, listener);
+    });
+    this.state = REMOTE_TERMINAL_STATE.OPENING;
+
+    const sent = this.transport.send({
+      type: WS_MESSAGE_TYPES.TERM_INIT,
+      session_id: this.sessionId,
+      node_reference: this.nodeReference,
+      rows: this.rows,
+      cols: this.cols,
+      cwd: this.cwd,
+      env: this.env
+    });
+
+    if (!sent) {
+      this.fail(new Error('Failed to send initialization message'));
+      return this.openPromise;
+    }
+
+    this.readyTimer = setTimeout(() => this.markReady(), TERMINAL_TIMING.READY_FALLBACK_MS);
+    this.openTimer = setTimeout(() => {
+      this.fail(new Error('Terminal initialization timeout - no response from server'));
+    }, TERMINAL_TIMING.OPEN_TIMEOUT_MS);
+
+    return this.openPromise;
+  }
+
+  /**
+   * Send raw input (keystrokes, pasted text)
+   * @param {string} data - Input
+   * @returns {boolean} Whether the frame was sent
+   */
+  write(data) {
+    if (this.state !== REMOTE_TERMINAL_STATE.READY) {
+      return false;
+    }
+
+    return this.transport.send({
+      type: WS_MESSAGE_TYPES.TERM_INPUT,
+      session_id: this.sessionId,
+      data: encodeToBase64(data)
+    });
+  }
+
+  /**
+   * Send one command line (newline appended)
+   * @param {string} command - Command
+   * @returns {boolean} Whether the frame was sent
+   */
+  execute(command) {
+    if (!command) return false;
+    return this.write(command.endsWith('\n') ? command : `${command}\n`);
+  }
+
+  /**
+   * @returns {boolean} Whether the frame was sent
+   */
+  resize(rows, cols) {
+    if (this.state !== REMOTE_TERMINAL_STATE.READY) {
+      return false;
+    }
+
+    this.rows = rows;
+    this.cols = cols;
+    return this.transport.send({
+      type: WS_MESSAGE_TYPES.TERM_RESIZE,
+      session_id: this.sessionId,
+      rows,
+      cols
+    });
+  }
+
+  /**
+   * End the session and detach from the transport
+   */
+  close() {
+    if (this.state === REMOTE_TERMINAL_STATE.CLOSED) return;
+
+    if (this.state === REMOTE_TERMINAL_STATE.READY || this.state === REMOTE_TERMINAL_STATE.OPENING) {
+      this.transport.send({ type: WS_MESSAGE_TYPES.TERM_CLOSE, session_id: this.sessionId });
+    }
+    this.handleClosed();
+  }
+
+  getInfo() {
+    return {
+      sessionId: this.sessionId,
+      nodeReference: this.nodeReference,
+      state: this.state,
+      rows: this.rows,
+      cols: this.cols
+    };
+  }
+
+  // ==================== Transport events ====================
+
+  handleReady() {
+    this.markReady();
+  }
+
+  handleOutput(message) {
+    // First output doubles as the ready signal
+    this.markReady();
+    if (message.data !== undefined && message.data !== null) {
+      this.emit('output', message.data);
+    }
+  }
+
+  handleError(message) {
+    const error = new Error(message.error || message.message || 'Terminal error');
+    error.code = message.code;
+
+    if (this.state === REMOTE_TERMINAL_STATE.OPENING) {
+      this.fail(error);
+    } else {
+      this.state = REMOTE_TERMINAL_STATE.ERROR;
+      // An unhandled 'error' event would throw inside the transport's emit
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    }
+  }
+
+  handleClosed() {
+    const wasOpening = this.state === REMOTE_TERMINAL_STATE.OPENING;
+    this.state = REMOTE_TERMINAL_STATE.CLOSED;
+    this.detach();
+
+    if (wasOpening) {
+      this.settleOpen?.reject(new Error('Terminal session closed'));
+    }
+    this.emit('closed');
+  }
+
+  // ==================== Internals ====================
+
+  markReady() {
+    if (this.state !== REMOTE_TERMINAL_STATE.OPENING) return;
+
+    this.clearTimers();
+    this.state = REMOTE_TERMINAL_STATE.READY;
+    this.emit('ready');
+    this.settleOpen.resolve(this);
+  }
+
+  fail(error) {
+    this.state = REMOTE_TERMINAL_STATE.ERROR;
+    this.detach();
+    this.settleOpen.reject(error);
+  }
+
+  clearTimers() {
+    clearTimeout(this.readyTimer);
+    clearTimeout(this.openTimer);
+  }
+
+  detach() {
+    this.clearTimers();
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      this.transport.off(event, listener);
+    });
+  }
+}
+
+export default RemoteTerminal;
@@ -0,0 +1,182 @@
+/**
+ * ============================================
+ * File: src/lib/remote/batchOperation.js
+ * ============================================
+ * Batch operation - batch_delete / batch_move / batch_copy of any size
+ *
+ * Creation Reason: A selection above BATCH_OPERATION_LIMITS.MAX_FILES was
+ * rejected outright, and a batch answered with one opaque result
+ * Main Functionality:
+ * - runBatchOperation(): split the paths into node-sized chunks, send them
+ *   with bounded concurrency, return a per-item report
+ * - getFailedPaths(): the items to send again when retrying failures
+ * - batchReportToJSON() / batchReportToCSV(): the report for export
+ * Dependencies: remoteCommands (BATCH_OPERATION_LIMITS, chunkBatchItems),
+ * remoteCommandErrors, utils/csv
+ *
+ * Report shape (a superset of the node's batch result):
+ *   { results: [{ path, destination, success, error: { code, message } }],
+ *     total, succeeded, failed, chunks }
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Error codes in the report are always ERROR_CODES values; codes a node
+ *   sends that the client does not know become OPERATION_FAILED
+ * - A chunk that fails as a whole (TIMEOUT, POLICY_BLOCKED, ...) fails each
+ *   of its items with that error; the other chunks still run. When no
+ *   chunk is answered at all the first error is thrown instead, so a
+ *   small batch fails exactly like one command did
+ * - Cancelling stops sending: items of unsent chunks are CANCELLED
+ * - Duplicate paths are sent once
+ *
+ * Last Modified: v1.0.1 - CSV cells through utils/csv (formula-safe)
+ * ============================================
+ */
+
+import { BATCH_OPERATION_LIMITS, chunkBatchItems } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../utils/remoteCommandErrors';
+import { toCsvCell } from '../utils/csv';
+
+const KNOWN_ERROR_CODES = Object.values(ERROR_CODES);
+
+const CSV_COLUMNS = ['path', 'destination', 'success', 'error_code', 'error_message'];
+
+function toItemError(error) {
+  const code = typeof error === 'object' && error ? error.code : null;
+  return {
+    code: KNOWN_ERROR_CODES.includes(code) ? code : ERROR_CODES.OPERATION_FAILED,
+    message: (typeof error === 'string' ? error : error?.message) || 'Operation failed'
+  };
+}
+
+/**
+ * Per-item results of one chunk from the node's answer
+ */
+function chunkResults(paths, result) {
+  const byPath = new Map((result?.results || []).map(item => [item.path, item]));
+  return paths.map((path) => {
+    const item = byPath.get(path);
+    if (!item) {
+      return { path, destination: null, success: false, error: toItemError('No result from the node') };
+    }
+    return {
+      path,
+      destination: item.destination || null,
+      success: item.success === true,
+      error: item.success === true ? null : toItemError(item.error)
+    };
+  });
+}
+
+function failedResults(paths, error) {
+  return paths.map(path => ({ path, destination: null, success: false, error: toItemError(error) }));
+}
+
+/**
+ * Report from per-item results
+ * @param {Array<Object>} results - { path, destination, success, error }
+ * @param {number} chunks - Commands sent
+ */
+export function createBatchReport(results, chunks) {
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    results,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    chunks
+  };
+}
+
+/**
+ * Run a batch operation in chunks
+ * @param {Object} options
+ * @param {string[]} options.paths - Items
+ * @param {Function} options.sendChunk - (paths, signal) => Promise<node batch result>
+ * @param {number} [options.concurrency] - Chunks at once (BATCH_OPERATION_LIMITS.CONCURRENCY)
+ * @param {number} [options.chunkSize] - Items per chunk (BATCH_OPERATION_LIMITS.MAX_FILES)
+ * @param {AbortSignal} [options.signal] - Stop sending chunks
+ * @param {Function} [options.onProgress] - (doneItems, totalItems)
+ * @returns {Promise<Object>} Report (see header)
+ */
+export async function runBatchOperation({ paths, sendChunk, concurrency, chunkSize, signal, onProgress }) {
+  const unique = Array.from(new Set(paths));
+  const chunks = chunkBatchItems(unique, chunkSize || BATCH_OPERATION_LIMITS.MAX_FILES);
+  const results = new Array(chunks.length);
+  const limit = Math.max(1, Math.floor(concurrency || BATCH_OPERATION_LIMITS.CONCURRENCY));
+
+  let done = 0;
+  let answered = 0;
+  let firstError = null;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next;
+      next += 1;
+      const chunk = chunks[index];
+
+      if (signal?.aborted) {
+        results[index] = failedResults(chunk, new RemoteCommandError(ERROR_CODES.CANCELLED, 'Batch operation cancelled'));
+      } else {
+        try {
+          results[index] = chunkResults(chunk, await sendChunk(chunk, signal));
+          answered += 1;
+        } catch (error) {
+          firstError = firstError || error;
+          results[index] = failedResults(chunk, error);
+        }
+      }
+
+      done += chunk.length;
+      onProgress?.(done, unique.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, chunks.length) }, worker));
+
+  if (answered === 0 && firstError) {
+    throw firstError;
+  }
+  return createBatchReport(results.flat(), chunks.length);
+}
+
+/**
+ * @returns {string[]} Paths of the failed items
+ */
+export function getFailedPaths(report) {
+  return (report?.results || []).filter(result => !result.success).map(result => result.path);
+}
+
+/**
+ * Report for JSON export
+ * @param {Object} report
+ * @param {Object} context - { node_reference, command, destination }
+ */
+export function batchReportToJSON(report, context = {}) {
+  return {
+    ...context,
+    summary: { total: report.total, succeeded: report.succeeded, failed: report.failed, chunks: report.chunks },
+    results: report.results.map(result => ({
+      path: result.path,
+      destination: result.destination,
+      success: result.success,
+      error_code: result.error?.code || null,
+      error_message: result.error?.message || null
+    }))
+  };
+}
+
+/**
+ * Report for CSV export (one row per item)
+ */
+export function batchReportToCSV(report) {
+  const rows = report.results.map(result => [
+    result.path,
+    result.destination,
+    result.success,
+    result.error?.code,
+    result.error?.message
+  ].map(toCsvCell).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,76 @@
+/**
+ * ============================================
+ * File: src/lib/remote/contentEncoding.js
+ * ============================================
+ * Text <-> wire encoding for remote commands and terminal input
+ *
+ * Creation Reason: Moved out of useRemoteManagement so RemoteNodeClient
+ * and RemoteTerminal (and anything outside React) encode the same way
+ * Main Functionality: encodeToBase64 (term_input), encodeToBytes (upload
+ * content), decodeContent (download content: bytes or base64)
+ * Dependencies: binaryFraming
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Downloaded content arrives as bytes (binary framing) or base64 (JSON);
+ *   decodeContent() accepts both
+ *
+ * Last Modified: v1.0.0 - Extracted from useRemoteManagement
+ * ============================================
+ */
+
+import { isBinaryFrame, base64ToBytes, bytesToBase64 } from '../utils/binaryFraming';
+
+/**
+ * UTF-8 encode text and base64 it (terminal input)
+ * @param {string} text - Text
+ * @returns {string} Base64
+ */
+export function encodeToBase64(text) {
+  try {
+    return bytesToBase64(new TextEncoder().encode(text));
+  } catch (error) {
+    console.error('[encoding] Failed to encode to Base64:', error);
+    throw new Error(`Failed to encode text to Base64: ${error.message}`);
+  }
+}
+
+/**
+ * UTF-8 encode text (file content)
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes
+ */
+export function encodeToBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Decode downloaded content: bytes (binary framing) or base64 (JSON)
+ * Non-UTF-8 content is returned as a binary string when allowBinary is set
+ * @param {Uint8Array|string} content - Content field of a download result
+ * @param {boolean} allowBinary - Return non-UTF-8 content instead of throwing
+ * @returns {string} Text
+ */
+export function decodeContent(content, allowBinary = false) {
+  try {
+    const uint8Array = isBinaryFrame(content) ? content : base64ToBytes(content);
+
+    try {
+      const decoder = new TextDecoder('utf-8', { fatal: true });
+      return decoder.decode(uint8Array);
+    } catch (utf8Error) {
+      if (allowBinary) {
+        console.warn('[encoding] Content is not valid UTF-8, returning binary');
+        let binaryString = '';
+        for (let i = 0; i < uint8Array.length; i += 0x8000) {
+          binaryString += String.fromCharCode.apply(null, uint8Array.subarray(i, i + 0x8000));
+        }
+        return binaryString;
+      } else {
+        throw new Error('Content is not valid UTF-8 text');
+      }
+    }
+  } catch (error) {
+    console.error('[encoding] Failed to decode content:', error);
+    throw new Error(`Failed to decode content: ${error.message}`);
+  }
+}
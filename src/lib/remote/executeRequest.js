@@ -0,0 +1,260 @@
+/**
+ * ============================================
+ * File: src/lib/remote/executeRequest.js
+ * ============================================
+ * Execute requests - Options of one `execute` command
+ *
+ * Creation Reason: executeCommand() only took a command and arguments;
+ * deploy and maintenance commands need a working directory, environment,
+ * another user, their own timeout or input on stdin
+ * Main Functionality:
+ * - createExecuteRequest(): loose fields (form, preset, options) -> request
+ * - validateExecuteRequest(): { valid, errors: [{ field, code, message }] }
+ * - toExecuteCommandData(): request -> `execute` command fields
+ * - formatCommandLine() / describeExecuteOptions(): text for the console,
+ *   job labels and preset lists
+ * - quoteShellArgument(): one argv word for a shell-mode command line
+ * - parseEnvText() / formatEnvText(): KEY=value lines <-> env object
+ * Dependencies: remoteCommands (validatePath, EXECUTE_REQUEST_LIMITS),
+ * remoteCommandErrors (ERROR_CODES)
+ *
+ * Request shape:
+ *   { command, args: [], mode: 'shell' | 'direct', cwd, env: {}, user,
+ *     timeout (ms), stdin }
+ *   cwd / user / timeout / stdin are null when not set
+ *
+ * Wire fields (`execute`, agents with the exec_options feature):
+ *   shell mode:  command (args joined with spaces, as before)
+ *   direct mode: command (program), args, shell: false - no shell parsing,
+ *                expansion or operators on the node
+ *   either:      cwd, env, user, timeout_ms, stdin (text)
+ *   A finished command that ran into timeout_ms answers exit_code 124 and
+ *   timed_out: true
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Validation returns lists like validatePath / validateBatchOperation;
+ *   nothing here throws. RemoteNodeClient turns the first error into a
+ *   RemoteCommandError (details: { field, errors })
+ * - A request without options produces exactly the fields executeCommand
+ *   always sent, so agents without exec_options still run it
+ * - cwd must be absolute: the node's default directory differs per user
+ *
+ * Last Modified: v1.1.0 - quoteShellArgument() exported for the CLI
+ * ============================================
+ */
+
+import { validatePath, EXECUTE_REQUEST_LIMITS } from '../constants/remoteCommands';
+import { ERROR_CODES } from '../utils/remoteCommandErrors';
+
+export const EXECUTE_MODES = {
+  SHELL: 'shell',     // Command line run by the node's shell
+  DIRECT: 'direct'    // Program + argument list, no shell
+};
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Login name or numeric uid
+const USER_PATTERN = /^(?:[a-z_][a-z0-9_.-]{0,31}\$?|\d+)$/i;
+
+function optionalText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+/**
+ * Request from loose fields; unknown fields are dropped
+ * @param {Object} fields - { command, args, mode, cwd, env, user, timeout, stdin }
+ * @returns {Object} Request (see header)
+ */
+export function createExecuteRequest(fields = {}) {
+  const timeout = fields.timeout === null || fields.timeout === undefined || fields.timeout === ''
+    ? null
+    : Number(fields.timeout);
+
+  return {
+    command: typeof fields.command === 'string' ? fields.command.trim() : '',
+    args: Array.isArray(fields.args) ? fields.args.map(String) : [],
+    mode: fields.mode === EXECUTE_MODES.DIRECT ? EXECUTE_MODES.DIRECT : EXECUTE_MODES.SHELL,
+    cwd: optionalText(fields.cwd),
+    env: fields.env && typeof fields.env === 'object' && !Array.isArray(fields.env)
+      ? Object.fromEntries(Object.entries(fields.env).map(([name, value]) => [name, String(value ?? '')]))
+      : {},
+    user: optionalText(fields.user),
+    timeout,
+    stdin: typeof fields.stdin === 'string' && fields.stdin.length > 0 ? fields.stdin : null
+  };
+}
+
+/**
+ * True when the request needs an agent with the exec_options feature
+ */
+export function hasExecuteOptions(request) {
+  return request.mode === EXECUTE_MODES.DIRECT ||
+    request.cwd !== null ||
+    Object.keys(request.env).length > 0 ||
+    request.user !== null ||
+    request.timeout !== null ||
+    request.stdin !== null;
+}
+
+/**
+ * @param {Object} request - From createExecuteRequest
+ * @returns {Object} { valid, errors: [{ field, code, message }] }
+ */
+export function validateExecuteRequest(request) {
+  const errors = [];
+  const add = (field, message, code = ERROR_CODES.INVALID_PARAMETERS) => errors.push({ field, code, message });
+  const limits = EXECUTE_REQUEST_LIMITS;
+
+  if (!request.command) {
+    add('command', 'Command cannot be empty');
+  } else if (request.command.includes('\0')) {
+    add('command', 'Command contains illegal characters');
+  } else if (request.mode === EXECUTE_MODES.DIRECT && /\s/.test(request.command)) {
+    add('command', 'Direct mode runs one program: put its arguments in the argument list');
+  }
+
+  if (request.args.length > limits.MAX_ARGS) {
+    add('args', `At most ${limits.MAX_ARGS} arguments`);
+  } else if (request.args.some(arg => arg.includes('\0'))) {
+    add('args', 'Arguments contain illegal characters');
+  }
+
+  if (request.cwd !== null) {
+    const check = validatePath(request.cwd);
+    if (!check.valid) {
+      add('cwd', check.error, ERROR_CODES.INVALID_PATH);
+    } else if (!request.cwd.startsWith('/')) {
+      add('cwd', 'Working directory must be an absolute path', ERROR_CODES.INVALID_PATH);
+    }
+  }
+
+  const names = Object.keys(request.env);
+  if (names.length > limits.MAX_ENV_VARS) {
+    add('env', `At most ${limits.MAX_ENV_VARS} environment variables`);
+  }
+  const badName = names.find(name => !ENV_NAME_PATTERN.test(name));
+  if (badName !== undefined) {
+    add('env', `Invalid variable name "${badName}"`);
+  } else if (Object.values(request.env).some(value => value.includes('\0'))) {
+    add('env', 'Environment values contain illegal characters');
+  }
+
+  if (request.user !== null && !USER_PATTERN.test(request.user)) {
+    add('user', 'User must be a login name or a numeric uid');
+  }
+
+  if (request.timeout !== null) {
+    if (!Number.isInteger(request.timeout)) {
+      add('timeout', 'Timeout must be a whole number of milliseconds');
+    } else if (request.timeout < limits.MIN_TIMEOUT || request.timeout > limits.MAX_TIMEOUT) {
+      add('timeout', `Timeout must be between ${limits.MIN_TIMEOUT / 1000}s and ${limits.MAX_TIMEOUT / 3600000}h`);
+    }
+  }
+
+  if (request.stdin !== null && request.stdin.length > limits.MAX_STDIN) {
+    add('stdin', `Input is larger than ${Math.round(limits.MAX_STDIN / 1024)} KB`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * `execute` command fields (without `type`)
+ * @param {Object} request - Valid request
+ * @returns {Object}
+ */
+export function toExecuteCommandData(request) {
+  const data = request.mode === EXECUTE_MODES.DIRECT
+    ? { command: request.command, args: request.args, shell: false }
+    : { command: request.args.length > 0 ? `${request.command} ${request.args.join(' ')}` : request.command };
+
+  if (request.cwd !== null) data.cwd = request.cwd;
+  if (Object.keys(request.env).length > 0) data.env = request.env;
+  if (request.user !== null) data.user = request.user;
+  if (request.timeout !== null) data.timeout_ms = request.timeout;
+  if (request.stdin !== null) data.stdin = request.stdin;
+  return data;
+}
+
+/**
+ * One word for a POSIX shell command line: left as-is when it has only
+ * safe characters, else single-quoted
+ * @param {string} arg
+ * @returns {string} e.g. 'it'\''s'
+ */
+export function quoteShellArgument(arg) {
+  const text = String(arg);
+  return /^[A-Za-z0-9_@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * The command as one line (direct-mode arguments quoted the way a shell
+ * would need them)
+ */
+export function formatCommandLine(request) {
+  if (request.mode === EXECUTE_MODES.DIRECT) {
+    return [request.command, ...request.args.map(quoteShellArgument)].join(' ');
+  }
+  return request.args.length > 0 ? `${request.command} ${request.args.join(' ')}` : request.command;
+}
+
+/**
+ * Short summary of the options, '' without any
+ * @returns {string} e.g. 'as deploy · in /srv/app · 2 env · 30s timeout · stdin'
+ */
+export function describeExecuteOptions(request) {
+  const envCount = Object.keys(request.env).length;
+  return [
+    request.mode === EXECUTE_MODES.DIRECT && 'no shell',
+    request.user !== null && `as ${request.user}`,
+    request.cwd !== null && `in ${request.cwd}`,
+    envCount > 0 && `${envCount} env`,
+    request.timeout !== null && `${request.timeout / 1000}s timeout`,
+    request.stdin !== null && 'stdin'
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * KEY=value lines -> env object; blank lines and # comments are skipped
+ * @param {string} text
+ * @returns {Object} { env, errors: [string] }
+ */
+export function parseEnvText(text) {
+  const env = {};
+  const errors = [];
+
+  String(text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const separator = line.indexOf('=');
+    if (separator <= 0) {
+      errors.push(`Line ${index + 1}: expected KEY=value`);
+      return;
+    }
+    env[line.slice(0, separator).trim()] = line.slice(separator + 1);
+  });
+
+  return { env, errors };
+}
+
+/**
+ * env object -> KEY=value lines
+ */
+export function formatEnvText(env = {}) {
+  return Object.entries(env).map(([name, value]) => `${name}=${value}`).join('\n');
+}
+
+export default {
+  EXECUTE_MODES,
+  createExecuteRequest,
+  hasExecuteOptions,
+  validateExecuteRequest,
+  toExecuteCommandData,
+  formatCommandLine,
+  quoteShellArgument,
+  describeExecuteOptions,
+  parseEnvText,
+  formatEnvText
+};
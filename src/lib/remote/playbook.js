@@ -0,0 +1,512 @@
+/**
+ * ============================================
+ * File: src/lib/remote/playbook.js
+ * ============================================
+ * Playbooks - Declarative multi-step remote operations
+ *
+ * Creation Reason: The same sequences (upload a config, chmod it, restart
+ * the service, check the logs) were repeated by hand on every node
+ * Main Functionality:
+ * - parsePlaybook(): JSON or YAML text -> validated playbook
+ * - planPlaybook(): steps for one node with variables resolved (dry run)
+ * - evaluateCondition(): `when` against earlier step results
+ * - PLAYBOOK_ACTIONS: step action -> RemoteNodeClient call
+ * Dependencies: js-yaml, remoteCommands (REMOTE_COMMAND_TYPES, validatePath)
+ *
+ * Format:
+ *   name: Restart nginx
+ *   vars: { service: nginx }              # defaults
+ *   nodes:                                # per-node overrides
+ *     AERO-10002: { vars: { service: nginx-alt } }
+ *   steps:
+ *     - id: restart                       # default step<N>
+ *       action: execute                   # a REMOTE_COMMAND_TYPES value
+ *       command: systemctl restart {{ service }}
+ *       continue_on_error: true           # later steps still run if it fails
+ *     - action: execute
+ *       command: journalctl -u {{ service }} -n 50
+ *       when: { step: restart, status: failed }
+ *     - action: execute                   # execute options (lib/remote/executeRequest)
+ *       command: ./migrate.sh
+ *       cwd: /srv/app
+ *       user: deploy
+ *       env: { APP_ENV: production }
+ *       timeout: 600000                   # ms, enforced by the node
+ *
+ * Variables: `{{ name }}` in any string field; `{{ node }}` is the node
+ * reference. Precedence: playbook vars < run vars < node overrides.
+ * Conditions (`when`, one object or a list that must all hold):
+ *   step (earlier step id), status (succeeded | failed | skipped),
+ *   exit_code, exit_code_not, output_contains, output_matches (regex)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Validation returns { errors: [] } lists like validatePath /
+ *   validateBatchOperation; nothing here throws on bad input
+ * - A new action needs a PLAYBOOK_ACTIONS entry: required params, which
+ *   params are paths (validated after interpolation) and the client call
+ *
+ * Last Modified: v1.1.0 - execute steps take cwd, env, user, timeout, stdin
+ * ============================================
+ */
+
+import yaml from 'js-yaml';
+import { REMOTE_COMMAND_TYPES, validatePath } from '../constants/remoteCommands';
+
+const T = REMOTE_COMMAND_TYPES;
+
+export const STEP_STATUSES = ['succeeded', 'failed', 'skipped'];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const STEP_KEYS = ['id', 'name', 'action', 'when', 'continue_on_error'];
+const CONDITION_KEYS = ['step', 'status', 'exit_code', 'exit_code_not', 'output_contains', 'output_matches'];
+
+/**
+ * Step actions: required params, path params and the client call
+ * run(client, params, signal) -> Promise<result>
+ */
+export const PLAYBOOK_ACTIONS = {
+  [T.UPLOAD]: {
+    label: 'Upload file',
+    required: ['path', 'content'],
+    paths: ['path'],
+    run: (client, p, signal) => client.uploadFile(p.path, String(p.content), false, { overwrite: p.overwrite !== false, signal })
+  },
+  [T.DOWNLOAD]: {
+    label: 'Read file',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.readFile(p.path, { signal })
+  },
+  [T.DELETE]: {
+    label: 'Delete file',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.deleteFile(p.path, { signal })
+  },
+  [T.RENAME]: {
+    label: 'Rename',
+    required: ['path', 'destination'],
+    paths: ['path', 'destination'],
+    run: (client, p, signal) => client.renameFile(p.path, p.destination, { overwrite: p.overwrite, signal })
+  },
+  [T.COPY]: {
+    label: 'Copy',
+    required: ['path', 'destination'],
+    paths: ['path', 'destination'],
+    run: (client, p, signal) => client.copyFile(p.path, p.destination, { recursive: p.recursive, overwrite: p.overwrite, signal })
+  },
+  [T.MOVE]: {
+    label: 'Move',
+    required: ['path', 'destination'],
+    paths: ['path', 'destination'],
+    run: (client, p, signal) => client.moveFile(p.path, p.destination, { overwrite: p.overwrite, signal })
+  },
+  [T.LIST]: {
+    label: 'List directory',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.listDirectory(p.path, { signal })
+  },
+  [T.CREATE_DIRECTORY]: {
+    label: 'Create directory',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.createDirectory(p.path, { mode: p.mode, signal })
+  },
+  [T.DELETE_DIRECTORY]: {
+    label: 'Delete directory',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.deleteDirectory(p.path, { recursive: p.recursive, signal })
+  },
+  [T.SEARCH]: {
+    label: 'Search',
+    required: ['path', 'query'],
+    paths: ['path'],
+    run: (client, p, signal) => client.searchFiles(p.path, p.query, {
+      useRegex: p.use_regex,
+      caseSensitive: p.case_sensitive,
+      maxDepth: p.max_depth,
+      signal
+    })
+  },
+  [T.COMPRESS]: {
+    label: 'Compress',
+    required: ['paths', 'destination'],
+    paths: ['destination'],
+    run: (client, p, signal) => client.compressFiles(p.paths, p.destination, { format: p.format, overwrite: p.overwrite, signal })
+  },
+  [T.EXTRACT]: {
+    label: 'Extract',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.extractFile(p.path, { destination: p.destination, format: p.format, signal })
+  },
+  [T.CHMOD]: {
+    label: 'Change permissions',
+    required: ['path', 'mode'],
+    paths: ['path'],
+    run: (client, p, signal) => client.changePermissions(p.path, String(p.mode), { recursive: p.recursive, signal })
+  },
+  [T.CHOWN]: {
+    label: 'Change owner',
+    required: ['path'],
+    paths: ['path'],
+    run: (client, p, signal) => client.changeOwner(p.path, { owner: p.owner, group: p.group, recursive: p.recursive, signal })
+  },
+  [T.SYSTEM_INFO]: {
+    label: 'System info',
+    required: [],
+    paths: [],
+    run: (client, p, signal) => client.getSystemInfo({ signal })
+  },
+  [T.EXECUTE]: {
+    label: 'Execute',
+    required: ['command'],
+    paths: ['cwd'],
+    run: (client, p, signal) => client.executeCommand(String(p.command), [], {
+      cwd: p.cwd,
+      env: p.env,
+      user: p.user,
+      timeout: p.timeout,
+      stdin: p.stdin,
+      signal
+    })
+  }
+};
+
+export const PLAYBOOK_TEMPLATE = `name: Update service config
+description: Upload a config, restrict it, restart the service and check the logs
+vars:
+  service: aeronyx-agent
+  config_path: /tmp/{{ service }}.conf
+nodes:
+  AERO-10002:
+    vars:
+      service: aeronyx-agent-beta
+steps:
+  - id: upload
+    action: upload
+    path: "{{ config_path }}"
+    content: |
+      # Managed by playbook on {{ node }}
+      log_level = info
+  - id: chmod
+    action: chmod
+    path: "{{ config_path }}"
+    mode: "600"
+  - id: restart
+    action: execute
+    command: echo restarting {{ service }}
+    continue_on_error: true
+  - id: logs
+    action: execute
+    command: tail -n 20 /var/log/syslog
+    when:
+      step: restart
+      status: failed
+`;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toConditionList(when) {
+  if (when === undefined || when === null) return [];
+  return Array.isArray(when) ? when : [when];
+}
+
+function validateVars(vars, where, errors) {
+  if (vars === undefined) return;
+  if (!isPlainObject(vars)) {
+    errors.push(`${where}: vars must be a mapping`);
+    return;
+  }
+  Object.entries(vars).forEach(([name, value]) => {
+    if (value !== null && typeof value === 'object') {
+      errors.push(`${where}: variable "${name}" must be a string, number or boolean`);
+    }
+  });
+}
+
+function validateCondition(condition, where, earlierIds, errors) {
+  if (!isPlainObject(condition)) {
+    errors.push(`${where}: each condition must be a mapping`);
+    return;
+  }
+  Object.keys(condition)
+    .filter(key => !CONDITION_KEYS.includes(key))
+    .forEach(key => errors.push(`${where}: unknown condition "${key}"`));
+
+  if (!earlierIds.includes(condition.step)) {
+    errors.push(`${where}: condition must name an earlier step (got "${condition.step}")`);
+  }
+  if (condition.status !== undefined && !STEP_STATUSES.includes(condition.status)) {
+    errors.push(`${where}: status must be one of ${STEP_STATUSES.join(', ')}`);
+  }
+  ['exit_code', 'exit_code_not'].forEach((key) => {
+    if (condition[key] !== undefined && !Number.isInteger(condition[key])) {
+      errors.push(`${where}: ${key} must be an integer`);
+    }
+  });
+  if (condition.output_matches !== undefined) {
+    try {
+      new RegExp(condition.output_matches);
+    } catch (error) {
+      errors.push(`${where}: output_matches is not a valid regular expression`);
+    }
+  }
+}
+
+/**
+ * Check a parsed playbook object and fill in step ids
+ * @param {Object} source - Parsed JSON / YAML
+ * @returns {Object} { playbook, errors }
+ */
+export function validatePlaybook(source) {
+  const errors = [];
+
+  if (!isPlainObject(source)) {
+    return { playbook: null, errors: ['Playbook must be a mapping with name and steps'] };
+  }
+  if (typeof source.name !== 'string' || !source.name.trim()) {
+    errors.push('name is required');
+  }
+  validateVars(source.vars, 'vars', errors);
+
+  if (source.nodes !== undefined) {
+    if (!isPlainObject(source.nodes)) {
+      errors.push('nodes must map node references to overrides');
+    } else {
+      Object.entries(source.nodes).forEach(([reference, override]) => {
+        if (!isPlainObject(override)) {
+          errors.push(`nodes.${reference} must be a mapping`);
+          return;
+        }
+        validateVars(override.vars, `nodes.${reference}`, errors);
+      });
+    }
+  }
+
+  if (!Array.isArray(source.steps) || source.steps.length === 0) {
+    errors.push('steps must be a non-empty list');
+    return { playbook: null, errors };
+  }
+
+  const ids = [];
+  const steps = source.steps.map((step, index) => {
+    const where = `steps[${index}]`;
+    if (!isPlainObject(step)) {
+      errors.push(`${where} must be a mapping`);
+      return null;
+    }
+
+    const id = step.id !== undefined ? String(step.id) : `step${index + 1}`;
+    if (ids.includes(id)) {
+      errors.push(`${where}: duplicate step id "${id}"`);
+    }
+
+    const action = PLAYBOOK_ACTIONS[step.action];
+    if (!action) {
+      errors.push(`${where}: unknown action "${step.action}" (${Object.keys(PLAYBOOK_ACTIONS).join(', ')})`);
+    } else {
+      action.required
+        .filter(param => step[param] === undefined || step[param] === null || step[param] === '')
+        .forEach(param => errors.push(`${where} (${step.action}): ${param} is required`));
+    }
+
+    toConditionList(step.when).forEach((condition, conditionIndex) => {
+      validateCondition(condition, `${where}.when[${conditionIndex}]`, ids, errors);
+    });
+
+    ids.push(id);
+    return { ...step, id };
+  });
+
+  return {
+    playbook: errors.length === 0 ? { ...source, name: source.name.trim(), steps } : null,
+    errors
+  };
+}
+
+/**
+ * Parse playbook text (JSON, or YAML)
+ * @param {string} text - Playbook source
+ * @returns {Object} { playbook, format, errors }
+ */
+export function parsePlaybook(text) {
+  const source = String(text || '').trim();
+  if (!source) {
+    return { playbook: null, format: null, errors: ['Playbook is empty'] };
+  }
+
+  const format = source.startsWith('{') ? 'json' : 'yaml';
+  let parsed;
+  try {
+    parsed = format === 'json'
+      ? JSON.parse(source)
+      : yaml.load(source, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    return { playbook: null, format, errors: [`Invalid ${format.toUpperCase()}: ${error.message.split('\n')[0]}`] };
+  }
+
+  return { ...validatePlaybook(parsed), format };
+}
+
+/**
+ * Replace {{ name }} in strings, recursively
+ * @returns {*} Value with variables substituted; names not in vars are reported to `missing`
+ */
+export function interpolate(value, vars, missing = new Set()) {
+  if (typeof value === 'string') {
+    return value.replace(VARIABLE_PATTERN, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+        missing.add(name);
+        return match;
+      }
+      return String(vars[name]);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, vars, missing));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars, missing)]));
+  }
+  return value;
+}
+
+/**
+ * Variables for one node
+ * Playbook vars may refer to each other: resolved until nothing changes
+ */
+export function resolveVariables(playbook, nodeReference, runVars = {}) {
+  const merged = {
+    ...(playbook.vars || {}),
+    ...runVars,
+    ...(playbook.nodes?.[nodeReference]?.vars || {}),
+    node: nodeReference
+  };
+
+  let resolved = merged;
+  for (let pass = 0; pass < 5; pass++) {
+    const next = interpolate(resolved, resolved);
+    if (JSON.stringify(next) === JSON.stringify(resolved)) break;
+    resolved = next;
+  }
+  return resolved;
+}
+
+/**
+ * Steps for one node, variables resolved (the dry run)
+ * @param {Object} playbook - From parsePlaybook
+ * @param {string} nodeReference - Target node
+ * @param {Object} [runVars] - Values entered for this run
+ * @returns {Object} { nodeReference, vars, steps: [{ id, name, action, label, params, when, continueOnError, errors }], errors }
+ */
+export function planPlaybook(playbook, nodeReference, runVars = {}) {
+  const vars = resolveVariables(playbook, nodeReference, runVars);
+
+  const steps = playbook.steps.map((step) => {
+    const missing = new Set();
+    const params = Object.fromEntries(
+      Object.entries(step)
+        .filter(([key]) => !STEP_KEYS.includes(key))
+        .map(([key, value]) => [key, interpolate(value, vars, missing)])
+    );
+    const when = toConditionList(step.when).map(condition => interpolate(condition, vars, missing));
+    const action = PLAYBOOK_ACTIONS[step.action];
+
+    const errors = [...missing].map(name => `Undefined variable "${name}"`);
+    action.paths
+      .filter(param => typeof params[param] === 'string')
+      .forEach((param) => {
+        const check = validatePath(params[param]);
+        if (!check.valid) errors.push(`${param}: ${check.error}`);
+      });
+
+    return {
+      id: step.id,
+      name: step.name || `${action.label}${params.path ? ` ${params.path}` : params.command ? `: ${params.command}` : ''}`,
+      action: step.action,
+      label: action.label,
+      params,
+      when,
+      continueOnError: step.continue_on_error === true,
+      errors
+    };
+  });
+
+  return {
+    nodeReference,
+    vars,
+    steps,
+    errors: steps.flatMap(step => step.errors.map(error => `${step.id}: ${error}`))
+  };
+}
+
+/**
+ * Text a condition's output_* checks look at
+ * @param {string} action - Step action
+ * @param {*} result - Command result
+ * @returns {string}
+ */
+export function getStepOutput(action, result) {
+  if (result === null || result === undefined) return '';
+
+  switch (action) {
+    case T.EXECUTE:
+      return [result.stdout, result.stderr].filter(Boolean).join('\n');
+    case T.DOWNLOAD:
+      return typeof result.content === 'string' ? result.content : '';
+    case T.LIST:
+      return (result.entries || result.files || []).map(entry => entry.name).join('\n');
+    case T.SEARCH:
+      return (result.results || result.matches || []).map(match => match.path || match).join('\n');
+    default:
+      return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+}
+
+/**
+ * Whether a step's `when` holds
+ * @param {Object[]} conditions - Resolved conditions (planPlaybook)
+ * @param {Object} stepResults - { [stepId]: { status, exitCode, output } }
+ * @returns {Object} { met, reason }
+ */
+export function evaluateCondition(conditions, stepResults) {
+  for (const condition of conditions) {
+    const result = stepResults[condition.step];
+    const label = `step "${condition.step}"`;
+
+    if (!result) {
+      return { met: false, reason: `${label} has not run` };
+    }
+    if (condition.status !== undefined && result.status !== condition.status) {
+      return { met: false, reason: `${label} ${result.status}, not ${condition.status}` };
+    }
+    if (condition.exit_code !== undefined && result.exitCode !== condition.exit_code) {
+      return { met: false, reason: `${label} exit code ${result.exitCode ?? '-'}, not ${condition.exit_code}` };
+    }
+    if (condition.exit_code_not !== undefined && result.exitCode === condition.exit_code_not) {
+      return { met: false, reason: `${label} exit code is ${condition.exit_code_not}` };
+    }
+    if (condition.output_contains !== undefined && !String(result.output || '').includes(condition.output_contains)) {
+      return { met: false, reason: `${label} output does not contain "${condition.output_contains}"` };
+    }
+    if (condition.output_matches !== undefined && !new RegExp(condition.output_matches).test(String(result.output || ''))) {
+      return { met: false, reason: `${label} output does not match /${condition.output_matches}/` };
+    }
+  }
+  return { met: true, reason: null };
+}
+
+export default {
+  PLAYBOOK_ACTIONS,
+  PLAYBOOK_TEMPLATE,
+  parsePlaybook,
+  validatePlaybook,
+  planPlaybook,
+  evaluateCondition,
+  getStepOutput
+};
@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * File: src/lib/transport/browserTransport.js
+ * ============================================
+ * Browser Transport - Real network access
+ *
+ * Creation Reason: WebSocketService and nodeRegistration used the global
+ * WebSocket and fetch directly, so nothing could run without the live API.
+ * Main Functionality: Default transport backed by the platform WebSocket/fetch
+ * Dependencies: None
+ *
+ * Transport contract (shared with fakeTransport.js):
+ * - name: string
+ * - createSocket(url): WebSocket-like object with readyState, send(),
+ *   close(), onopen/onmessage/onerror/onclose
+ * - fetch(url, init): Promise<Response-like> with ok, status,
+ *   headers.get(), json(), text()
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Compare readyState against SOCKET_STATE, not the global WebSocket,
+ *   so the service also runs where WebSocket is undefined (Node.js)
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+/**
+ * Socket ready states (same values as the WebSocket standard)
+ */
+export const SOCKET_STATE = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+/**
+ * Transport backed by the platform WebSocket and fetch
+ */
+export const browserTransport = {
+  name: 'browser',
+
+  createSocket(url) {
+    if (typeof WebSocket === 'undefined') {
+      throw new Error('WebSocket is not available in this environment');
+    }
+    return new WebSocket(url);
+  },
+
+  fetch(url, init) {
+    return fetch(url, init);
+  }
+};
+
+export default browserTransport;
@@ -0,0 +1,217 @@
+/**
+ * ============================================
+ * File: src/lib/transport/fakeTransport.js
+ * ============================================
+ * Fake Transport - Routes sockets and HTTP to an in-memory backend
+ *
+ * Creation Reason: Offline development and testing without the live
+ * AeroNyx API or a real node
+ * Main Functionality: WebSocket-like FakeSocket and a fetch() that both talk
+ * to one FakeAeroNyxBackend instance
+ * Dependencies: FakeAeroNyxBackend, browserTransport (SOCKET_STATE)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Frames are JSON-encoded (or copied, for binary envelopes) in both
+ *   directions, exactly like the wire, so the client never shares object
+ *   references or buffers with the backend
+ * - Delivery is asynchronous (latency option) to keep event ordering honest
+ * - The same backend serves sockets and HTTP so remote management tokens
+ *   issued over HTTP are accepted by remote_auth
+ * - Pass { capture } to replay a frame inspector export instead of
+ *   simulating nodes (see CaptureReplayBackend)
+ *
+ * Last Modified: v1.2.0 - Binary frames
+ * ============================================
+ */
+
+import { SOCKET_STATE } from './browserTransport';
+import { FakeAeroNyxBackend } from '../fakeBackend/FakeAeroNyxBackend';
+import { CaptureReplayBackend } from '../fakeBackend/CaptureReplayBackend';
+
+/**
+ * WebSocket-like socket connected to a FakeAeroNyxBackend
+ */
+export class FakeSocket {
+  static CONNECTING = SOCKET_STATE.CONNECTING;
+  static OPEN = SOCKET_STATE.OPEN;
+  static CLOSING = SOCKET_STATE.CLOSING;
+  static CLOSED = SOCKET_STATE.CLOSED;
+
+  /**
+   * @param {string} url - Requested URL (informational)
+   * @param {FakeAeroNyxBackend} backend - Backend to talk to
+   * @param {Object} options - { latency }
+   */
+  constructor(url, backend, options = {}) {
+    this.url = url;
+    this.backend = backend;
+    this.latency = options.latency ?? 20;
+    this.readyState = SOCKET_STATE.CONNECTING;
+    this.connection = null;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.listeners = new Map();
+
+    setTimeout(() => this.open(), this.latency);
+  }
+
+  /**
+   * addEventListener compatibility
+   */
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  dispatch(type, event) {
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+    this.listeners.get(type)?.forEach(listener => listener.call(this, event));
+  }
+
+  open() {
+    if (this.readyState !== SOCKET_STATE.CONNECTING) return;
+
+    this.readyState = SOCKET_STATE.OPEN;
+    this.dispatch('open', { type: 'open' });
+
+    this.connection = this.backend.openConnection({
+      // Objects are JSON frames; Uint8Array is a binary envelope
+      send: (frame) => this.deliver(frame instanceof Uint8Array
+        ? frame.slice().buffer
+        : JSON.stringify(frame)),
+      close: (code, reason) => this.close(code, reason)
+    });
+  }
+
+  /**
+   * Deliver a server frame to the client
+   */
+  deliver(data) {
+    setTimeout(() => {
+      if (this.readyState === SOCKET_STATE.OPEN) {
+        this.dispatch('message', { type: 'message', data });
+      }
+    }, this.latency);
+  }
+
+  /**
+   * Send a client frame to the backend
+   */
+  send(data) {
+    if (this.readyState !== SOCKET_STATE.OPEN) {
+      throw new Error('FakeSocket is not open');
+    }
+    let frame;
+    if (typeof data === 'string') {
+      frame = data;
+    } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      frame = data instanceof ArrayBuffer
+        ? new Uint8Array(data.slice(0))
+        : new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    } else {
+      frame = String(data);
+    }
+
+    setTimeout(() => {
+      if (this.connection) {
+        this.connection.receive(frame);
+      }
+    }, this.latency);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === SOCKET_STATE.CLOSED || this.readyState === SOCKET_STATE.CLOSING) return;
+
+    this.readyState = SOCKET_STATE.CLOSING;
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+
+    setTimeout(() => {
+      this.readyState = SOCKET_STATE.CLOSED;
+      this.dispatch('close', { type: 'close', code, reason, wasClean: code === 1000 });
+    }, 0);
+  }
+}
+
+/**
+ * Create a transport backed by an in-memory fake backend
+ * @param {Object} options
+ * @param {FakeAeroNyxBackend} options.backend - Existing backend (optional)
+ * @param {string|Object} options.capture - Frame capture to replay instead
+ * @param {number} options.speed - Replay speed multiplier (with capture)
+ * @param {number} options.latency - Simulated one-way latency in ms
+ * @param {number} options.statusInterval - ms between status_update frames
+ * @param {boolean} options.binaryFraming - Accept binary framing (default true)
+ * @returns {Object} Transport
+ */
+export function createFakeTransport(options = {}) {
+  let backend = options.backend;
+  if (!backend && options.capture) {
+    backend = new CaptureReplayBackend(options.capture, { speed: options.speed });
+  }
+  if (!backend) {
+    backend = new FakeAeroNyxBackend({
+      statusInterval: options.statusInterval,
+      binaryFraming: options.binaryFraming
+    });
+  }
+  const latency = options.latency ?? 20;
+
+  return {
+    name: options.capture ? 'replay' : 'fake',
+    backend,
+
+    createSocket(url) {
+      return new FakeSocket(url, backend, { latency });
+    },
+
+    async fetch(url, init = {}) {
+      if (init.signal?.aborted) {
+        const abortError = new Error('The operation was aborted');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, latency));
+
+      const path = new URL(url, 'http://fake.local').pathname;
+      let body = null;
+      if (init.body) {
+        try {
+          body = JSON.parse(init.body);
+        } catch (error) {
+          body = null;
+        }
+      }
+
+      const response = backend.handleHttp((init.method || 'GET').toUpperCase(), path, body);
+      const text = JSON.stringify(response.body);
+
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        status: response.status,
+        headers: {
+          get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null)
+        },
+        json: async () => JSON.parse(text),
+        text: async () => text
+      };
+    }
+  };
+}
+
+export default createFakeTransport;
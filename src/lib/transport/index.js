@@ -0,0 +1,69 @@
+/**
+ * ============================================
+ * File: src/lib/transport/index.js
+ * ============================================
+ * Transport selection
+ *
+ * Creation Reason: WebSocketService and nodeRegistration share one
+ * transport so a fake backend sees both the socket and the HTTP calls
+ * Main Functionality: Resolves the default transport from the active
+ * environment profile
+ * Dependencies: browserTransport, workerTransport, fakeTransport,
+ * lib/utils/environment
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - The 'local' profile (or NEXT_PUBLIC_AERONYX_TRANSPORT=fake as the
+ *   build default) runs the whole app against the in-memory fake backend
+ * - The fake transport is created once per page so its backend state
+ *   survives profile switches
+ * - Tests/tools inject their own via webSocketService.setTransport() and
+ *   nodeRegistrationService.setTransport()
+ * - Real network profiles run the socket in a worker (workerTransport)
+ *   where Worker is available; NEXT_PUBLIC_AERONYX_SOCKET_WORKER=off
+ *   keeps it on the main thread
+ *
+ * Last Modified: v1.2.0 - Socket worker for network profiles
+ * ============================================
+ */
+
+import { browserTransport, SOCKET_STATE } from './browserTransport';
+import { createFakeTransport, FakeSocket } from './fakeTransport';
+import {
+  workerTransport,
+  createWorkerTransport,
+  isSocketWorkerSupported,
+  WorkerSocket
+} from './workerTransport';
+import { getActiveEnvironment } from '../utils/environment';
+
+let sharedFakeTransport = null;
+
+const SOCKET_WORKER_ENABLED = process.env.NEXT_PUBLIC_AERONYX_SOCKET_WORKER !== 'off';
+
+/**
+ * Get the transport used when none is injected
+ * @param {Object} [environment] - Profile (defaults to the active one)
+ * @returns {Object} Transport
+ */
+export function getDefaultTransport(environment = getActiveEnvironment()) {
+  if (environment.transport !== 'fake') {
+    return SOCKET_WORKER_ENABLED && isSocketWorkerSupported()
+      ? workerTransport
+      : browserTransport;
+  }
+
+  if (!sharedFakeTransport) {
+    sharedFakeTransport = createFakeTransport();
+  }
+  return sharedFakeTransport;
+}
+
+export {
+  SOCKET_STATE,
+  browserTransport,
+  workerTransport,
+  createWorkerTransport,
+  createFakeTransport,
+  FakeSocket,
+  WorkerSocket
+};
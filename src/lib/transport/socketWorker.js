@@ -0,0 +1,26 @@
+/**
+ * ============================================
+ * File: src/lib/transport/socketWorker.js
+ * ============================================
+ * Socket worker entry point
+ *
+ * Creation Reason: Dedicated worker that owns the dashboard's WebSocket
+ * (see socketWorkerHost for the port protocol)
+ * Main Functionality: { op: 'open', url, port } -> attachSocketHost()
+ * Dependencies: socketWorkerHost
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Loaded by workerTransport via new Worker(new URL(...)); webpack
+ *   bundles it as a separate chunk. Don't import it anywhere else.
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { attachSocketHost } from './socketWorkerHost';
+
+self.onmessage = ({ data }) => {
+  if (data?.op === 'open' && data.port) {
+    attachSocketHost(data.port, data.url);
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * ============================================
+ * File: src/lib/transport/workerTransport.js
+ * ============================================
+ * Worker Transport - WebSocket owned by a dedicated worker
+ *
+ * Creation Reason: JSON parsing of large status_update frames and the
+ * fleet aggregation ran on the main thread and made typing in TerminalUI
+ * stutter while a big fleet update landed
+ * Main Functionality:
+ * 1. WorkerSocket: WebSocket-like proxy; the real socket lives in
+ *    socketWorker.js and talks to it over a MessagePort
+ * 2. Message events carry `prepared` ({ message, nodeResult }) so
+ *    WebSocketService skips parsing, validation and aggregation
+ * Dependencies: browserTransport, socketWorker (worker entry)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - One worker per page, one MessagePort per socket. Port protocol is
+ *   documented in socketWorkerHost.js.
+ * - If the worker cannot start (no Worker support, CSP) sockets fall back
+ *   to the main thread; if it crashes, its sockets close with 1006 and
+ *   the normal reconnect ladder spawns a new worker
+ * - fetch() is not proxied - HTTP responses are small
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { browserTransport, SOCKET_STATE } from './browserTransport';
+
+/**
+ * Whether this environment can run the socket worker
+ */
+export function isSocketWorkerSupported() {
+  return typeof Worker !== 'undefined' && typeof MessageChannel !== 'undefined';
+}
+
+/**
+ * WebSocket-like proxy for a socket living in the socket worker
+ */
+export class WorkerSocket {
+  static CONNECTING = SOCKET_STATE.CONNECTING;
+  static OPEN = SOCKET_STATE.OPEN;
+  static CLOSING = SOCKET_STATE.CLOSING;
+  static CLOSED = SOCKET_STATE.CLOSED;
+
+  /**
+   * @param {string} url - Socket URL
+   * @param {Object} worker - Socket worker ({ postMessage(message, transfer) })
+   */
+  constructor(url, worker) {
+    this.url = url;
+    this.readyState = SOCKET_STATE.CONNECTING;
+    this.binaryType = 'arraybuffer';
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.listeners = new Map();
+
+    const channel = new MessageChannel();
+    this.port = channel.port1;
+    this.port.onmessage = ({ data }) => this.handlePortMessage(data);
+    worker.postMessage({ op: 'open', url, port: channel.port2 }, [channel.port2]);
+  }
+
+  /**
+   * addEventListener compatibility
+   */
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  dispatch(type, event) {
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+    this.listeners.get(type)?.forEach(listener => listener.call(this, event));
+  }
+
+  /**
+   * Event from the worker side of the port
+   */
+  handlePortMessage(payload) {
+    switch (payload.event) {
+      case 'open':
+        if (this.readyState !== SOCKET_STATE.CONNECTING) return;
+        this.readyState = SOCKET_STATE.OPEN;
+        this.dispatch('open', { type: 'open' });
+        break;
+
+      case 'message':
+        if (this.readyState !== SOCKET_STATE.OPEN) return;
+        this.dispatch('message', { type: 'message', data: payload.data, prepared: payload.prepared || null });
+        break;
+
+      case 'error':
+        this.dispatch('error', { type: 'error' });
+        break;
+
+      case 'close':
+        this.finish(payload.code, payload.reason, payload.wasClean);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  send(data) {
+    if (this.readyState !== SOCKET_STATE.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    this.port.postMessage({ op: 'send', data });
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === SOCKET_STATE.CLOSING || this.readyState === SOCKET_STATE.CLOSED) return;
+
+    this.readyState = SOCKET_STATE.CLOSING;
+    this.port.postMessage({ op: 'close', code, reason });
+  }
+
+  /**
+   * Drop the worker's delta position (start_monitor was sent)
+   */
+  expectStatusSnapshot() {
+    if (this.readyState === SOCKET_STATE.OPEN) {
+      this.port.postMessage({ op: 'expectSnapshot' });
+    }
+  }
+
+  /**
+   * Socket closed (or the worker died)
+   */
+  finish(code = 1006, reason = '', wasClean = false) {
+    if (this.readyState === SOCKET_STATE.CLOSED) return;
+
+    this.readyState = SOCKET_STATE.CLOSED;
+    this.port.onmessage = null;
+    this.port.close();
+    this.dispatch('close', { type: 'close', code, reason, wasClean });
+  }
+}
+
+/**
+ * Create a transport whose sockets run in a dedicated worker
+ * @param {Object} options
+ * @param {Function} options.spawnWorker - Returns the worker (tests inject one)
+ * @param {Object} options.fallback - Transport used when no worker can start
+ * @returns {Object} Transport
+ */
+export function createWorkerTransport(options = {}) {
+  const spawnWorker = options.spawnWorker ||
+    (() => new Worker(new URL('./socketWorker.js', import.meta.url)));
+  const fallback = options.fallback || browserTransport;
+  const sockets = new Set();
+  let worker = null;
+
+  const handleWorkerError = (event) => {
+    console.error('[workerTransport] Socket worker failed:', event?.message || event);
+    const failed = worker;
+    worker = null;
+
+    sockets.forEach(socket => {
+      socket.dispatch('error', { type: 'error' });
+      socket.finish(1006, 'Socket worker failed', false);
+    });
+    sockets.clear();
+
+    try {
+      failed?.terminate?.();
+    } catch (error) {
+      // Already gone
+    }
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = spawnWorker();
+      if (typeof worker.addEventListener === 'function') {
+        worker.addEventListener('error', handleWorkerError);
+      }
+    }
+    return worker;
+  };
+
+  return {
+    name: 'worker',
+
+    createSocket(url) {
+      let target;
+      try {
+        target = getWorker();
+      } catch (error) {
+        console.warn('[workerTransport] Socket worker unavailable, using the main thread:', error);
+        return fallback.createSocket(url);
+      }
+
+      const socket = new WorkerSocket(url, target);
+      sockets.add(socket);
+      socket.addEventListener('close', () => sockets.delete(socket));
+      return socket;
+    },
+
+    fetch(url, init) {
+      return fallback.fetch(url, init);
+    }
+  };
+}
+
+/**
+ * Shared worker transport (the worker starts with the first socket)
+ */
+export const workerTransport = createWorkerTransport();
+
+export default workerTransport;
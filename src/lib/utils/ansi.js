@@ -0,0 +1,295 @@
+/**
+ * ============================================
+ * File: src/lib/utils/ansi.js
+ * ============================================
+ * ANSI output - Coloured process output for rendering outside xterm
+ *
+ * Creation Reason: Streamed execute output (lib/remote/RemoteExecution)
+ * is shown in a plain DOM console; package managers and build tools
+ * colour their output with SGR escape sequences
+ * Main Functionality:
+ * - AnsiOutput: stdout / stderr chunks -> lines of styled segments, with
+ *   SGR state kept per stream across chunks
+ * - ansiStyleToCss(): a segment style as React inline style, coloured from
+ *   an xterm-style palette (TERMINAL_THEMES in TerminalUI)
+ * - stripAnsi(): plain text for copying and job results
+ * Dependencies: None
+ *
+ * Segment style shape:
+ *   { fg, bg, bold, dim, italic, underline, inverse }
+ *   fg / bg: null, a palette key ('red', 'brightRed', ...) or '#rrggbb'
+ *   (256-colour and truecolor sequences)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Only SGR (ESC [ ... m) is interpreted; other CSI and OSC sequences are
+ *   dropped, not rendered
+ * - '\r' without '\n' starts the line over (progress bars redraw this
+ *   way); output is not a terminal, cursor movement is not emulated
+ * - A sequence split across chunks is held back until the next chunk of
+ *   the same stream
+ * - Lines are mutated in place but every changed line is a new object, so
+ *   memoized rows re-render only when their line changed; `version`
+ *   increases with every change
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+export const ANSI_CONFIG = {
+  MAX_LINES: 5000          // Oldest lines are dropped past this
+};
+
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// CSI (any final byte), OSC (BEL or ST terminated), two-byte escapes
+const ESCAPE_PATTERN = /\x1b(?:\[([0-9;?]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+// An escape cut off at the end of a chunk
+const PARTIAL_ESCAPE_PATTERN = /\x1b(?:\[[0-9;?]*|\][^\x07\x1b]*(?:\x1b)?)?$/;
+
+const PLAIN_STYLE = Object.freeze({
+  fg: null,
+  bg: null,
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: false,
+  inverse: false
+});
+
+function toHex(...channels) {
+  return `#${channels.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 256-colour index -> palette key (0-15) or hex
+ */
+function color256(index) {
+  if (index < 8) return COLOR_NAMES[index];
+  if (index < 16) return `bright${COLOR_NAMES[index - 8][0].toUpperCase()}${COLOR_NAMES[index - 8].slice(1)}`;
+  if (index < 232) {
+    const cube = index - 16;
+    return toHex(CUBE_LEVELS[Math.floor(cube / 36)], CUBE_LEVELS[Math.floor(cube / 6) % 6], CUBE_LEVELS[cube % 6]);
+  }
+  const grey = 8 + (index - 232) * 10;
+  return toHex(grey, grey, grey);
+}
+
+function basicColor(offset, bright) {
+  const name = COLOR_NAMES[offset];
+  return bright ? `bright${name[0].toUpperCase()}${name.slice(1)}` : name;
+}
+
+/**
+ * Apply one SGR parameter list to a style
+ * @param {Object} style - Current style (not mutated)
+ * @param {string} params - '1;31', '38;5;208', '' (reset)
+ * @returns {Object} New style (the same object when nothing changed)
+ */
+export function applySgr(style, params) {
+  const codes = params === '' ? [0] : params.split(';').map(code => (code === '' ? 0 : Number(code)));
+  let next = { ...style };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0) next = { ...PLAIN_STYLE };
+    else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 22) { next.bold = false; next.dim = false; }
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 27) next.inverse = false;
+    else if (code >= 30 && code <= 37) next.fg = basicColor(code - 30, false);
+    else if (code >= 90 && code <= 97) next.fg = basicColor(code - 90, true);
+    else if (code >= 40 && code <= 47) next.bg = basicColor(code - 40, false);
+    else if (code >= 100 && code <= 107) next.bg = basicColor(code - 100, true);
+    else if (code === 39) next.fg = null;
+    else if (code === 49) next.bg = null;
+    else if (code === 38 || code === 48) {
+      // 38;5;n  or  38;2;r;g;b
+      let color = null;
+      if (codes[i + 1] === 5 && Number.isInteger(codes[i + 2])) {
+        color = color256(Math.min(255, codes[i + 2]));
+        i += 2;
+      } else if (codes[i + 1] === 2 && codes.length >= i + 5) {
+        color = toHex(...codes.slice(i + 2, i + 5).map(value => Math.min(255, value || 0)));
+        i += 4;
+      }
+      if (color) next[code === 38 ? 'fg' : 'bg'] = color;
+    }
+  }
+
+  const changed = Object.keys(PLAIN_STYLE).some(key => next[key] !== style[key]);
+  return changed ? Object.freeze(next) : style;
+}
+
+/**
+ * Text without escape sequences (carriage returns kept)
+ */
+export function stripAnsi(text) {
+  return typeof text === 'string' ? text.replace(ESCAPE_PATTERN, '') : '';
+}
+
+/**
+ * Inline style for a segment
+ * @param {Object} style - Segment style
+ * @param {Object} palette - { foreground, background, red, brightRed, ... }
+ * @returns {Object|undefined} React style, undefined for plain text
+ */
+export function ansiStyleToCss(style, palette = {}) {
+  if (!style || style === PLAIN_STYLE) return undefined;
+
+  const resolve = color => (color && color.startsWith('#') ? color : palette[color]);
+  let color = resolve(style.fg);
+  let background = resolve(style.bg);
+  if (style.inverse) {
+    [color, background] = [background || palette.background, color || palette.foreground];
+  }
+
+  const css = {};
+  if (color) css.color = color;
+  if (background) css.backgroundColor = background;
+  if (style.bold) css.fontWeight = 600;
+  if (style.dim) css.opacity = 0.7;
+  if (style.italic) css.fontStyle = 'italic';
+  if (style.underline) css.textDecoration = 'underline';
+  return css;
+}
+
+/**
+ * Lines of styled output from stdout / stderr chunks
+ */
+export class AnsiOutput {
+  /**
+   * @param {Object} options - { maxLines }
+   */
+  constructor(options = {}) {
+    this.maxLines = options.maxLines || ANSI_CONFIG.MAX_LINES;
+    this.clear();
+  }
+
+  /**
+   * Drop all lines and styles
+   */
+  clear() {
+    this.lines = [];            // { id, stream, segments: [{ text, style }], open }
+    this.streams = {};          // stream -> { style, pending }
+    this.droppedLines = 0;
+    this.nextId = 0;
+    this.version = (this.version || 0) + 1;
+  }
+
+  /**
+   * Forget per-stream styles and held-back escapes, and end the last line
+   * (the next chunks come from a new process)
+   */
+  resetStreams() {
+    this.streams = {};
+    const last = this.lines[this.lines.length - 1];
+    if (last?.open) {
+      this.replaceLast({ ...last, open: false });
+    }
+    this.version += 1;
+  }
+
+  /**
+   * Add a chunk of one stream
+   * @param {string} stream - 'stdout' | 'stderr' (or any label)
+   * @param {string} data - Text as received
+   */
+  append(stream, data) {
+    if (typeof data !== 'string' || data.length === 0) return;
+
+    const streamState = this.streams[stream] || { style: PLAIN_STYLE, pending: '' };
+    this.streams[stream] = streamState;
+
+    let text = streamState.pending + data;
+    const partial = text.match(PARTIAL_ESCAPE_PATTERN);
+    streamState.pending = partial ? partial[0] : '';
+    if (partial) text = text.slice(0, partial.index);
+
+    let index = 0;
+    ESCAPE_PATTERN.lastIndex = 0;
+    let match = ESCAPE_PATTERN.exec(text);
+    while (match) {
+      this.writeText(stream, text.slice(index, match.index), streamState.style);
+      if (match[2] === 'm') {
+        streamState.style = applySgr(streamState.style, match[1]);
+      }
+      index = ESCAPE_PATTERN.lastIndex;
+      match = ESCAPE_PATTERN.exec(text);
+    }
+    this.writeText(stream, text.slice(index), streamState.style);
+
+    if (this.lines.length > this.maxLines) {
+      const excess = this.lines.length - this.maxLines;
+      this.lines.splice(0, excess);
+      this.droppedLines += excess;
+    }
+    this.version += 1;
+  }
+
+  /**
+   * @returns {string} All lines as plain text
+   */
+  toText() {
+    return this.lines.map(line => line.segments.map(segment => segment.text).join('')).join('\n');
+  }
+
+  // ==================== Internals ====================
+
+  writeText(stream, text, style) {
+    if (!text) return;
+
+    const parts = text.replace(/\r\n/g, '\n').split(/(\n|\r)/);
+    parts.forEach((part) => {
+      if (part === '\n') {
+        const line = this.openLine(stream);
+        this.replaceLast({ ...line, open: false });
+      } else if (part === '\r') {
+        const line = this.openLine(stream);
+        this.replaceLast({ ...line, segments: [] });
+      } else if (part) {
+        const line = this.openLine(stream);
+        const segments = line.segments.slice();
+        const last = segments[segments.length - 1];
+        if (last && last.style === style) {
+          segments[segments.length - 1] = { text: last.text + part, style };
+        } else {
+          segments.push({ text: part, style });
+        }
+        this.replaceLast({ ...line, segments });
+      }
+    });
+  }
+
+  /**
+   * The stream's unfinished last line, or a new one
+   */
+  openLine(stream) {
+    const last = this.lines[this.lines.length - 1];
+    if (last && last.open && last.stream === stream) {
+      return last;
+    }
+    const line = { id: this.nextId, stream, segments: [], open: true };
+    this.nextId += 1;
+    this.lines.push(line);
+    return line;
+  }
+
+  replaceLast(line) {
+    this.lines[this.lines.length - 1] = line;
+  }
+}
+
+export default {
+  ANSI_CONFIG,
+  AnsiOutput,
+  applySgr,
+  ansiStyleToCss,
+  stripAnsi
+};
@@ -0,0 +1,162 @@
+/**
+ * ============================================
+ * File: src/lib/utils/auditLog.js
+ * ============================================
+ * Audit log entries - Shape, parameter sanitizing, filtering and export
+ *
+ * Creation Reason: AuditLogService (storage) and the viewer share one
+ * definition of an entry
+ * Main Functionality:
+ * - sanitizeAuditParams(): command fields safe to keep (no file content,
+ *   execute stdin, credentials or environment values)
+ * - matchesAuditFilter(): node / type / status / time range / full-text
+ * - auditEntriesToCSV()
+ * Dependencies: frameCapture (maskSensitive), csv (toCsvCell)
+ *
+ * Entry (snake_case, exported as-is):
+ * { id, timestamp (ms), wallet, node_reference, type, params, status,
+ *   error_code, error_message, exit_code, duration_ms }
+ * `type` is a REMOTE_COMMAND_TYPES value or an AUDIT_EVENT_TYPES value.
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Sanitizing happens before anything is stored; the log must never hold
+ *   file content or secrets
+ * - Full-text search runs over the same text the CSV contains
+ *
+ * Last Modified: v1.1.1 - CSV cells through utils/csv (formula-safe)
+ * ============================================
+ */
+
+import { maskSensitive, MASKED_VALUE } from './frameCapture';
+import { toCsvCell } from './csv';
+
+export const AUDIT_EVENT_TYPES = {
+  TERMINAL_START: 'terminal_start',
+  TERMINAL_STOP: 'terminal_stop'
+};
+
+export const AUDIT_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const AUDIT_CSV_COLUMNS = [
+  'timestamp',
+  'wallet',
+  'node_reference',
+  'type',
+  'status',
+  'error_code',
+  'error_message',
+  'exit_code',
+  'duration_ms',
+  'params'
+];
+
+const LIMITS = {
+  STRING_LENGTH: 1000,
+  ARRAY_ITEMS: 50
+};
+
+// Fields whose values are payload, not parameters
+const CONTENT_KEYS = ['content', 'data', 'chunk', 'stdin'];
+
+function describeContent(value) {
+  const size = typeof value === 'string' ? value.length : value?.byteLength ?? value?.size ?? value?.length;
+  return Number.isFinite(size) ? `[${size} bytes]` : '[content]';
+}
+
+function sanitizeValue(key, value) {
+  if (CONTENT_KEYS.includes(key)) {
+    return describeContent(value);
+  }
+  if (key === 'env' && value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).map(name => [name, MASKED_VALUE]));
+  }
+  if (typeof value === 'string') {
+    return value.length > LIMITS.STRING_LENGTH ? `${value.slice(0, LIMITS.STRING_LENGTH)}… [${value.length} chars]` : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, LIMITS.ARRAY_ITEMS).map(item => sanitizeValue(null, item));
+    return value.length > LIMITS.ARRAY_ITEMS ? [...items, `… ${value.length - LIMITS.ARRAY_ITEMS} more`] : items;
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    return describeContent(value);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, sanitizeValue(childKey, child)]));
+  }
+  return value;
+}
+
+/**
+ * Command fields safe to store
+ * @param {Object} params - Command fields as sent
+ * @returns {Object} Copy without content, credentials or env values
+ */
+export function sanitizeAuditParams(params) {
+  if (!params || typeof params !== 'object') {
+    return {};
+  }
+  return maskSensitive(sanitizeValue(null, params));
+}
+
+/**
+ * Text searched by full-text filters
+ */
+export function getAuditSearchText(entry) {
+  return [
+    entry.node_reference,
+    entry.wallet,
+    entry.type,
+    entry.status,
+    entry.error_code,
+    entry.error_message,
+    entry.exit_code,
+    JSON.stringify(entry.params || {})
+  ].filter(value => value !== null && value !== undefined).join(' ').toLowerCase();
+}
+
+/**
+ * @param {Object} entry - Audit entry
+ * @param {Object} filter - { nodeReference, types, statuses, from, to, search }
+ * @returns {boolean}
+ */
+export function matchesAuditFilter(entry, filter = {}) {
+  if (filter.nodeReference && entry.node_reference !== filter.nodeReference) return false;
+  if (filter.types?.length && !filter.types.includes(entry.type)) return false;
+  if (filter.statuses?.length && !filter.statuses.includes(entry.status)) return false;
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp > filter.to) return false;
+
+  const terms = String(filter.search || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length > 0) {
+    const text = getAuditSearchText(entry);
+    return terms.every(term => text.includes(term));
+  }
+  return true;
+}
+
+/**
+ * Entries as CSV, one row per entry
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export function auditEntriesToCSV(entries) {
+  const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map((column) => {
+    if (column === 'timestamp') return toCsvCell(new Date(entry.timestamp).toISOString());
+    if (column === 'params') return toCsvCell(JSON.stringify(entry.params || {}));
+    return toCsvCell(entry[column]);
+  }).join(','));
+
+  return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export default {
+  AUDIT_EVENT_TYPES,
+  AUDIT_STATUS,
+  sanitizeAuditParams,
+  matchesAuditFilter,
+  auditEntriesToCSV
+};
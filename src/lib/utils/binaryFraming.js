@@ -0,0 +1,491 @@
+/**
+ * ============================================
+ * File: src/lib/utils/binaryFraming.js
+ * ============================================
+ * Binary WebSocket framing for terminal and file transfer traffic
+ *
+ * Creation Reason: term_output and upload/download content travelled as
+ * base64 inside JSON (+33% on the wire, plus atob/btoa loops over every
+ * byte on the main thread)
+ * Main Functionality:
+ * 1. Minimal MessagePack codec (nil, bool, int, float, str, bin, array, map)
+ * 2. Length-prefixed envelope: MessagePack header + raw payload bytes
+ * 3. JSON fallback (payload as base64) when binary was not negotiated
+ * Dependencies: None
+ *
+ * Envelope layout (one WebSocket binary message):
+ *   byte 0      ENVELOPE_VERSION
+ *   bytes 1-4   header length N (uint32, big endian)
+ *   bytes 5..   header: MessagePack map = the frame without its payload
+ *               field, plus `_binary: '<dotted path>'` if a payload follows
+ *   rest        payload bytes (placed back at the dotted path on decode)
+ *
+ * Negotiation: the client offers `binary_encodings: [BINARY_ENCODING]` in
+ * `auth`; the server opts in with `binary_encoding` in `auth_success`.
+ * Without that confirmation everything stays JSON.
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Only BINARY_FIELDS carry raw bytes. Add a type there (both sides)
+ *   instead of sending ad-hoc binary frames.
+ * - Decoded payloads are views into the received buffer (no copy). Copy
+ *   them before mutating.
+ *
+ * Last Modified: v1.1.0 - remote_command_output carries raw bytes
+ * ============================================
+ */
+
+export const BINARY_ENCODING = 'msgpack-envelope-v1';
+
+export const ENVELOPE_VERSION = 1;
+
+const ENVELOPE_HEADER_OFFSET = 5;
+const BINARY_PATH_KEY = '_binary';
+
+/**
+ * Frame type -> dotted path of the field carried as raw bytes
+ */
+export const BINARY_FIELDS = {
+  term_output: 'data',
+  remote_command_output: 'data',
+  remote_command: 'command.content',
+  remote_command_response: 'result.content'
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// ==================== Byte helpers ====================
+
+/**
+ * Is this a binary WebSocket message (ArrayBuffer or typed array)?
+ */
+export function isBinaryFrame(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Encode bytes to base64 (browser and Node.js)
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ==================== MessagePack ====================
+
+/**
+ * Growable byte buffer for the encoder
+ */
+class ByteWriter {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  i64(value) {
+    this.ensure(8);
+    this.view.setBigInt64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  u64(value) {
+    this.ensure(8);
+    this.view.setBigUint64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+function writeLength(writer, length, fix, fixMax, c8, c16, c32) {
+  if (fix !== null && length <= fixMax) {
+    writer.u8(fix | length);
+  } else if (c8 !== null && length <= 0xff) {
+    writer.u8(c8);
+    writer.u8(length);
+  } else if (length <= 0xffff) {
+    writer.u8(c16);
+    writer.u16(length);
+  } else {
+    writer.u8(c32);
+    writer.u32(length);
+  }
+}
+
+function writeNumber(writer, value) {
+  if (!Number.isInteger(value) || !Number.isSafeInteger(value)) {
+    writer.u8(0xcb);
+    writer.f64(value);
+  } else if (value >= 0) {
+    if (value <= 0x7f) {
+      writer.u8(value);
+    } else if (value <= 0xff) {
+      writer.u8(0xcc);
+      writer.u8(value);
+    } else if (value <= 0xffff) {
+      writer.u8(0xcd);
+      writer.u16(value);
+    } else if (value <= 0xffffffff) {
+      writer.u8(0xce);
+      writer.u32(value);
+    } else {
+      writer.u8(0xcf);
+      writer.u64(value);
+    }
+  } else if (value >= -32) {
+    writer.u8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.u8(0xd0);
+    writer.u8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.u8(0xd1);
+    writer.u16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    writer.u8(0xd2);
+    writer.u32(value >>> 0);
+  } else {
+    writer.u8(0xd3);
+    writer.i64(value);
+  }
+}
+
+function writeValue(writer, value) {
+  if (value === null || value === undefined) {
+    writer.u8(0xc0);
+  } else if (typeof value === 'boolean') {
+    writer.u8(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    writeNumber(writer, value);
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    writeLength(writer, bytes.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+    writer.raw(bytes);
+  } else if (isBinaryFrame(value)) {
+    const bytes = toUint8Array(value);
+    writeLength(writer, bytes.length, null, 0, 0xc4, 0xc5, 0xc6);
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    writeLength(writer, value.length, 0x90, 15, null, 0xdc, 0xdd);
+    value.forEach(item => writeValue(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    writeLength(writer, entries.length, 0x80, 15, null, 0xde, 0xdf);
+    entries.forEach(([key, item]) => {
+      writeValue(writer, key);
+      writeValue(writer, item);
+    });
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+  }
+}
+
+/**
+ * Encode a value as MessagePack
+ * @param {*} value - JSON-like value; typed arrays become bin
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeMsgPack(value) {
+  const writer = new ByteWriter();
+  writeValue(writer, value);
+  return writer.result();
+}
+
+/**
+ * MessagePack decoder over one buffer
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of MessagePack data');
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  u8() { return this.view.getUint8(this.take(1)); }
+  u16() { return this.view.getUint16(this.take(2)); }
+  u32() { return this.view.getUint32(this.take(4)); }
+
+  str(length) {
+    const start = this.take(length);
+    return textDecoder.decode(this.bytes.subarray(start, start + length));
+  }
+
+  bin(length) {
+    const start = this.take(length);
+    return this.bytes.subarray(start, start + length);
+  }
+
+  array(length) {
+    const result = new Array(length);
+    for (let i = 0; i < length; i++) {
+      result[i] = this.value();
+    }
+    return result;
+  }
+
+  map(length) {
+    const result = {};
+    for (let i = 0; i < length; i++) {
+      const key = this.value();
+      result[key] = this.value();
+    }
+    return result;
+  }
+
+  value() {
+    const byte = this.u8();
+
+    if (byte <= 0x7f) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if ((byte & 0xe0) === 0xa0) return this.str(byte & 0x1f);
+    if ((byte & 0xf0) === 0x90) return this.array(byte & 0x0f);
+    if ((byte & 0xf0) === 0x80) return this.map(byte & 0x0f);
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this.bin(this.u8());
+      case 0xc5: return this.bin(this.u16());
+      case 0xc6: return this.bin(this.u32());
+      case 0xca: return this.view.getFloat32(this.take(4));
+      case 0xcb: return this.view.getFloat64(this.take(8));
+      case 0xcc: return this.u8();
+      case 0xcd: return this.u16();
+      case 0xce: return this.u32();
+      case 0xcf: return Number(this.view.getBigUint64(this.take(8)));
+      case 0xd0: return this.view.getInt8(this.take(1));
+      case 0xd1: return this.view.getInt16(this.take(2));
+      case 0xd2: return this.view.getInt32(this.take(4));
+      case 0xd3: return Number(this.view.getBigInt64(this.take(8)));
+      case 0xd9: return this.str(this.u8());
+      case 0xda: return this.str(this.u16());
+      case 0xdb: return this.str(this.u32());
+      case 0xdc: return this.array(this.u16());
+      case 0xdd: return this.array(this.u32());
+      case 0xde: return this.map(this.u16());
+      case 0xdf: return this.map(this.u32());
+      default:
+        throw new Error(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+    }
+  }
+}
+
+/**
+ * Decode MessagePack bytes
+ * @param {Uint8Array|ArrayBuffer} data - Encoded bytes
+ * @returns {*} Decoded value; bin values are Uint8Array views
+ */
+export function decodeMsgPack(data) {
+  return new ByteReader(toUint8Array(data)).value();
+}
+
+// ==================== Envelope ====================
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Copy `object` with `path` set to `value` (only the containers on the
+ * path are copied)
+ */
+function withPath(object, path, value) {
+  const [key, ...rest] = path.split('.');
+  const copy = { ...object };
+
+  if (rest.length === 0) {
+    if (value === undefined) {
+      delete copy[key];
+    } else {
+      copy[key] = value;
+    }
+  } else {
+    copy[key] = withPath(object[key] || {}, rest.join('.'), value);
+  }
+  return copy;
+}
+
+/**
+ * Raw payload of a frame, if its type carries one and it is bytes
+ * @param {Object} message - Frame
+ * @returns {Uint8Array|null} Payload
+ */
+export function getBinaryPayload(message) {
+  const path = BINARY_FIELDS[message?.type];
+  if (!path) return null;
+
+  const value = getPath(message, path);
+  return isBinaryFrame(value) ? toUint8Array(value) : null;
+}
+
+/**
+ * Encode a frame as a binary envelope
+ * @param {Object} message - Frame (payload field may hold bytes)
+ * @returns {Uint8Array} Envelope
+ */
+export function encodeBinaryFrame(message) {
+  const payload = getBinaryPayload(message);
+  const path = BINARY_FIELDS[message.type];
+  const header = encodeMsgPack(payload
+    ? { ...withPath(message, path, undefined), [BINARY_PATH_KEY]: path }
+    : message);
+  const body = payload || new Uint8Array(0);
+
+  const envelope = new Uint8Array(ENVELOPE_HEADER_OFFSET + header.length + body.length);
+  envelope[0] = ENVELOPE_VERSION;
+  new DataView(envelope.buffer).setUint32(1, header.length);
+  envelope.set(header, ENVELOPE_HEADER_OFFSET);
+  envelope.set(body, ENVELOPE_HEADER_OFFSET + header.length);
+  return envelope;
+}
+
+/**
+ * Split an envelope into its header and payload
+ */
+function readEnvelope(data) {
+  const bytes = toUint8Array(data);
+  if (bytes.length < ENVELOPE_HEADER_OFFSET || bytes[0] !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported binary envelope version ${bytes[0]}`);
+  }
+
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(1);
+  const headerEnd = ENVELOPE_HEADER_OFFSET + headerLength;
+  if (headerEnd > bytes.length) {
+    throw new Error('Binary envelope header exceeds frame length');
+  }
+
+  const header = decodeMsgPack(bytes.subarray(ENVELOPE_HEADER_OFFSET, headerEnd));
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    throw new Error('Binary envelope header is not a map');
+  }
+
+  return { header, payload: bytes.subarray(headerEnd) };
+}
+
+/**
+ * Decode a binary envelope into a frame
+ * @param {ArrayBuffer|Uint8Array} data - Envelope
+ * @returns {Object} Frame with the payload (Uint8Array) at its path
+ */
+export function decodeBinaryFrame(data) {
+  const { header, payload } = readEnvelope(data);
+  const { [BINARY_PATH_KEY]: path, ...message } = header;
+  return path ? withPath(message, path, payload) : message;
+}
+
+/**
+ * Frame header with the payload replaced by a size marker
+ * (frame inspector - avoids copying payloads into the record)
+ * @param {ArrayBuffer|Uint8Array} data - Envelope
+ * @returns {Object|null} Summary, or null if not a valid envelope
+ */
+export function describeBinaryFrame(data) {
+  try {
+    const { header, payload } = readEnvelope(data);
+    const { [BINARY_PATH_KEY]: path, ...message } = header;
+    return path ? withPath(message, path, `<binary ${payload.length} bytes>`) : message;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * JSON fallback: the frame with its payload bytes as base64
+ * @param {Object} message - Frame
+ * @returns {Object} JSON-safe frame
+ */
+export function toJsonFrame(message) {
+  const payload = getBinaryPayload(message);
+  return payload
+    ? withPath(message, BINARY_FIELDS[message.type], bytesToBase64(payload))
+    : message;
+}
+
+export default {
+  BINARY_ENCODING,
+  BINARY_FIELDS,
+  isBinaryFrame,
+  encodeMsgPack,
+  decodeMsgPack,
+  encodeBinaryFrame,
+  decodeBinaryFrame,
+  describeBinaryFrame,
+  getBinaryPayload,
+  toJsonFrame,
+  bytesToBase64,
+  base64ToBytes
+};
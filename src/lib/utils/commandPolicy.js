@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * File: src/lib/utils/commandPolicy.js
+ * ============================================
+ * Command execution policy - Timeouts and automatic retries per command
+ *
+ * Creation Reason: Every remote command used the same 90s timeout and
+ * retries were applied ad hoc (handleErrorWithRetry), so a flaky `list`
+ * failed while a retried `delete` could run twice
+ * Main Functionality: executeWithPolicy() runs one command under its
+ * COMMAND_POLICIES entry: per-command timeout, retries with exponential
+ * backoff on the policy's error codes, idempotent commands only
+ * Dependencies: remoteCommands (COMMAND_POLICIES), remoteCommandErrors
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - The attempt function must reject with errors carrying a `code`
+ *   (RemoteCommandError); anything else is never retried
+ * - Aborting the signal stops retrying, including during the backoff wait
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { getCommandPolicy } from '../constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from './remoteCommandErrors';
+
+/**
+ * Delay before a retry
+ * @param {Object} backoff - RETRY_BACKOFF shape
+ * @param {number} retry - 0-based retry number
+ * @param {Function} random - Random source (0..1)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(backoff, retry, random = Math.random) {
+  const base = Math.min(backoff.INITIAL_DELAY * Math.pow(backoff.FACTOR, retry), backoff.MAX_DELAY);
+  const jitter = base * backoff.JITTER * (random() * 2 - 1);
+  return Math.max(0, Math.round(base + jitter));
+}
+
+/**
+ * Whether a failed attempt should be retried under a policy
+ * @param {Object} policy - COMMAND_POLICIES entry
+ * @param {Error} error - Failure of the last attempt
+ * @param {number} retries - Retries made so far
+ * @returns {boolean}
+ */
+export function shouldRetry(policy, error, retries) {
+  return policy.idempotent &&
+    retries < policy.maxRetries &&
+    policy.retryOn.includes(error?.code);
+}
+
+/**
+ * Wait, rejecting with CANCELLED if the signal aborts
+ */
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a remote command under its execution policy
+ * @param {string} commandType - REMOTE_COMMAND_TYPES value
+ * @param {Function} attempt - ({ timeout, attempt }) => Promise; sends the command once
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {number} [options.timeout] - Overrides the policy timeout
+ * @param {boolean} [options.retry=true] - false disables automatic retries
+ * @param {Function} [options.onRetry] - (retry, error, delay) before each wait
+ * @returns {Promise} Result of the first successful attempt
+ */
+export async function executeWithPolicy(commandType, attempt, options = {}) {
+  const { signal = null, retry = true, onRetry = null } = options;
+  const policy = getCommandPolicy(commandType);
+  const timeout = options.timeout || policy.timeout;
+
+  for (let retries = 0; ; retries++) {
+    try {
+      return await attempt({ timeout, attempt: retries + 1 });
+    } catch (error) {
+      if (!retry || signal?.aborted || !shouldRetry(policy, error, retries)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(policy.backoff, retries);
+      if (onRetry) {
+        onRetry(retries + 1, error, delay);
+      }
+      await waitForRetry(delay, signal);
+    }
+  }
+}
+
+export default executeWithPolicy;
@@ -0,0 +1,182 @@
+/**
+ * ============================================
+ * File: src/lib/utils/connectionTelemetry.js
+ * ============================================
+ * Connection quality telemetry for the AeroNyx WebSocket
+ *
+ * Creation Reason: Ping/pong only fed liveness detection, so a sluggish
+ * terminal could not be attributed to the link or to the node
+ * Main Functionality: RTT per ping/pong, jitter, reconnect count, time of
+ * the last inbound message, rolling history and a quality grade
+ * Dependencies: None
+ *
+ * Definitions:
+ * - rtt: time from sending `ping` to receiving `pong` / `heartbeat_ack`
+ * - jitter: smoothed mean deviation of consecutive RTTs (RFC 3550 style,
+ *   gain 1/16), so a single spike does not dominate
+ * - reconnects: scheduled reconnects since the service was created
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Only one ping is outstanding at a time (one per PING_INTERVAL); a pong
+ *   without a recorded ping is ignored for RTT
+ * - Snapshots are plain JSON so follower tabs can mirror the leader's
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+export const TELEMETRY_CONFIG = {
+  HISTORY_SIZE: 60,              // Samples kept (one per pong, ~15 minutes)
+  JITTER_GAIN: 1 / 16,
+  QUALITY_THRESHOLDS: {
+    GOOD: { rtt: 150, jitter: 30 },
+    FAIR: { rtt: 400, jitter: 100 }
+  }
+};
+
+export const CONNECTION_QUALITY = {
+  UNKNOWN: 'unknown',
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+};
+
+/**
+ * Grade a link from RTT and jitter
+ * @param {number|null} rtt - Round trip time in ms
+ * @param {number|null} jitter - Jitter in ms
+ * @returns {string} One of CONNECTION_QUALITY
+ */
+export function gradeConnection(rtt, jitter) {
+  if (rtt === null || rtt === undefined) return CONNECTION_QUALITY.UNKNOWN;
+
+  const { GOOD, FAIR } = TELEMETRY_CONFIG.QUALITY_THRESHOLDS;
+  const jitterValue = jitter || 0;
+
+  if (rtt <= GOOD.rtt && jitterValue <= GOOD.jitter) return CONNECTION_QUALITY.GOOD;
+  if (rtt <= FAIR.rtt && jitterValue <= FAIR.jitter) return CONNECTION_QUALITY.FAIR;
+  return CONNECTION_QUALITY.POOR;
+}
+
+/**
+ * Connection Telemetry Class
+ */
+export class ConnectionTelemetry {
+  constructor(options = {}) {
+    this.historySize = options.historySize || TELEMETRY_CONFIG.HISTORY_SIZE;
+    this.reset();
+  }
+
+  /**
+   * Clear all measurements
+   */
+  reset() {
+    this.pingSentAt = null;
+    this.rtt = null;
+    this.jitter = null;
+    this.minRtt = null;
+    this.maxRtt = null;
+    this.reconnects = 0;
+    this.lastMessageAt = null;
+    this.connectedAt = null;
+    this.history = [];
+  }
+
+  /**
+   * A new socket opened; drop the ping that belonged to the old one
+   */
+  recordConnected(now = Date.now()) {
+    this.connectedAt = now;
+    this.pingSentAt = null;
+  }
+
+  recordPing(now = Date.now()) {
+    this.pingSentAt = now;
+  }
+
+  /**
+   * @returns {number|null} Measured RTT, or null without a pending ping
+   */
+  recordPong(now = Date.now()) {
+    if (this.pingSentAt === null) return null;
+
+    const rtt = now - this.pingSentAt;
+    this.pingSentAt = null;
+
+    if (this.rtt === null) {
+      this.jitter = 0;
+    } else {
+      const deviation = Math.abs(rtt - this.rtt);
+      this.jitter += (deviation - this.jitter) * TELEMETRY_CONFIG.JITTER_GAIN;
+    }
+
+    this.rtt = rtt;
+    this.minRtt = this.minRtt === null ? rtt : Math.min(this.minRtt, rtt);
+    this.maxRtt = this.maxRtt === null ? rtt : Math.max(this.maxRtt, rtt);
+
+    this.history.push({
+      timestamp: now,
+      rtt,
+      jitter: Math.round(this.jitter),
+      reconnects: this.reconnects
+    });
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    return rtt;
+  }
+
+  recordMessage(now = Date.now()) {
+    this.lastMessageAt = now;
+  }
+
+  recordReconnect() {
+    this.reconnects++;
+  }
+
+  /**
+   * Plain snapshot of the current measurements
+   * @returns {Object} Telemetry snapshot
+   */
+  getSnapshot() {
+    const jitter = this.jitter === null ? null : Math.round(this.jitter);
+    const rtts = this.history.map(sample => sample.rtt);
+
+    return {
+      rtt: this.rtt,
+      avgRtt: rtts.length > 0
+        ? Math.round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length)
+        : null,
+      minRtt: this.minRtt,
+      maxRtt: this.maxRtt,
+      jitter,
+      reconnects: this.reconnects,
+      lastMessageAt: this.lastMessageAt,
+      connectedAt: this.connectedAt,
+      quality: gradeConnection(this.rtt, jitter),
+      history: this.history.slice()
+    };
+  }
+
+  /**
+   * Follower tabs: adopt the leader's link measurements
+   * lastMessageAt stays local - relayed frames update it here too
+   * @param {Object} snapshot - Snapshot from getSnapshot()
+   */
+  applySnapshot(snapshot) {
+    if (!snapshot) return;
+
+    this.rtt = snapshot.rtt;
+    this.jitter = snapshot.jitter;
+    this.minRtt = snapshot.minRtt;
+    this.maxRtt = snapshot.maxRtt;
+    this.reconnects = snapshot.reconnects;
+    this.connectedAt = snapshot.connectedAt;
+    this.history = Array.isArray(snapshot.history)
+      ? snapshot.history.slice(-this.historySize)
+      : [];
+  }
+}
+
+export default ConnectionTelemetry;
@@ -0,0 +1,44 @@
+/**
+ * ============================================
+ * File: src/lib/utils/csv.js
+ * ============================================
+ * CSV cells for the exports (audit log, fan-out, batch reports)
+ *
+ * Creation Reason: Each exporter had its own escaper and none of them
+ * guarded against formula injection: a remote path or stdout starting
+ * with '=' was evaluated when the export was opened in a spreadsheet
+ * Main Functionality: toCsvCell(value) - RFC 4180 quoting, text that a
+ * spreadsheet would read as a formula prefixed with '
+ * Dependencies: None
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Numbers are written as-is (a negative exit code stays a number);
+ *   only text is checked for a formula prefix
+ * - The ' prefix is part of the cell: a tool re-importing the CSV sees it
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell
+ * @param {*} value - null / undefined become an empty cell
+ * @returns {string}
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  const text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  toCsvCell
+};
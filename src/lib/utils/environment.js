@@ -0,0 +1,150 @@
+/**
+ * ============================================
+ * File: src/lib/utils/environment.js
+ * ============================================
+ * Runtime environment profiles (API + WebSocket endpoints)
+ *
+ * Creation Reason: API_URL was baked in at build time and the WebSocket
+ * URL was hard-coded, so every environment needed its own build
+ * Main Functionality:
+ * 1. Named endpoint profiles: production, staging, local (fake backend)
+ * 2. Active profile persisted in STORAGE_KEYS.USER_PREFERENCES
+ *    ({ ..., environment: '<profile id>' })
+ * Dependencies: lib/constants
+ *
+ * Profile shape: { id, label, description, apiUrl, wsUrl, transport }
+ * - transport: 'browser' (real network) or 'fake' (in-memory backend)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Read endpoints through getActiveEnvironment() at call time, never
+ *   copy them into module constants - the profile changes at runtime
+ * - Switching profiles (teardown + reconnect) is EnvironmentService's job;
+ *   setActiveEnvironmentId() here only persists the choice
+ * - NEXT_PUBLIC_* variables still set the build-time defaults
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { STORAGE_KEYS } from '../constants';
+
+const PREFERENCE_KEY = 'environment';
+
+export const ENVIRONMENT_IDS = {
+  PRODUCTION: 'production',
+  STAGING: 'staging',
+  LOCAL: 'local'
+};
+
+export const ENVIRONMENT_PROFILES = {
+  [ENVIRONMENT_IDS.PRODUCTION]: {
+    id: ENVIRONMENT_IDS.PRODUCTION,
+    label: 'Production',
+    description: 'AeroNyx mainnet API',
+    apiUrl: process.env.NEXT_PUBLIC_API_URL || 'https://api.aeronyx.network',
+    wsUrl: process.env.NEXT_PUBLIC_WS_URL || 'wss://api.aeronyx.network/ws/aeronyx/user-monitor/',
+    transport: 'browser'
+  },
+  [ENVIRONMENT_IDS.STAGING]: {
+    id: ENVIRONMENT_IDS.STAGING,
+    label: 'Staging',
+    description: 'Pre-release API for testing server changes',
+    apiUrl: process.env.NEXT_PUBLIC_STAGING_API_URL || 'https://staging-api.aeronyx.network',
+    wsUrl: process.env.NEXT_PUBLIC_STAGING_WS_URL || 'wss://staging-api.aeronyx.network/ws/aeronyx/user-monitor/',
+    transport: 'browser'
+  },
+  [ENVIRONMENT_IDS.LOCAL]: {
+    id: ENVIRONMENT_IDS.LOCAL,
+    label: 'Local (fake backend)',
+    description: 'In-memory fake AeroNyx backend, no network needed',
+    apiUrl: 'http://fake.local',
+    wsUrl: 'ws://fake.local/ws/aeronyx/user-monitor/',
+    transport: 'fake'
+  }
+};
+
+/**
+ * Profile used when nothing is persisted
+ * NEXT_PUBLIC_AERONYX_TRANSPORT=fake keeps selecting the fake backend
+ */
+export const DEFAULT_ENVIRONMENT_ID =
+  ENVIRONMENT_PROFILES[process.env.NEXT_PUBLIC_AERONYX_ENV]
+    ? process.env.NEXT_PUBLIC_AERONYX_ENV
+    : process.env.NEXT_PUBLIC_AERONYX_TRANSPORT === 'fake'
+      ? ENVIRONMENT_IDS.LOCAL
+      : ENVIRONMENT_IDS.PRODUCTION;
+
+/**
+ * Read the USER_PREFERENCES object
+ * @returns {Object} Preferences ({} when missing or unreadable)
+ */
+export function readUserPreferences() {
+  if (typeof localStorage === 'undefined') return {};
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
+    const preferences = stored ? JSON.parse(stored) : {};
+    return preferences && typeof preferences === 'object' ? preferences : {};
+  } catch (error) {
+    console.error('[Environment] Failed to read preferences:', error);
+    return {};
+  }
+}
+
+/**
+ * Merge values into the USER_PREFERENCES object
+ * @param {Object} values - Preference values to set
+ */
+export function writeUserPreferences(values) {
+  if (typeof localStorage === 'undefined') return;
+
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS.USER_PREFERENCES,
+      JSON.stringify({ ...readUserPreferences(), ...values })
+    );
+  } catch (error) {
+    console.error('[Environment] Failed to save preferences:', error);
+  }
+}
+
+/**
+ * All profiles in display order
+ * @returns {Array<Object>} Profiles
+ */
+export function getEnvironmentProfiles() {
+  return Object.values(ENVIRONMENT_PROFILES);
+}
+
+/**
+ * Id of the persisted profile (falls back to the default)
+ * @returns {string} Profile id
+ */
+export function getActiveEnvironmentId() {
+  const id = readUserPreferences()[PREFERENCE_KEY];
+  return ENVIRONMENT_PROFILES[id] ? id : DEFAULT_ENVIRONMENT_ID;
+}
+
+/**
+ * Active profile
+ * @returns {Object} Profile
+ */
+export function getActiveEnvironment() {
+  return ENVIRONMENT_PROFILES[getActiveEnvironmentId()];
+}
+
+/**
+ * Persist the active profile id
+ * @param {string} id - Profile id
+ * @returns {Object} The selected profile
+ */
+export function setActiveEnvironmentId(id) {
+  if (!ENVIRONMENT_PROFILES[id]) {
+    throw new Error(`Unknown environment profile: ${id}`);
+  }
+
+  writeUserPreferences({ [PREFERENCE_KEY]: id });
+  return ENVIRONMENT_PROFILES[id];
+}
+
+export { PREFERENCE_KEY as ENVIRONMENT_PREFERENCE_KEY };
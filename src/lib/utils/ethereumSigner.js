@@ -0,0 +1,374 @@
+/**
+ * ============================================
+ * File: src/lib/utils/ethereumSigner.js
+ * ============================================
+ * Ethereum personal_sign with a raw private key
+ *
+ * Creation Reason: The aeronyx CLI signs the socket and remote management
+ * challenges with a wallet key file, where no injected wallet
+ * (window.ethereum / OKX) exists
+ * Main Functionality:
+ * - keccak256()
+ * - secp256k1 signing with RFC 6979 deterministic nonces, low-s and a
+ *   recovery id (65-byte r || s || v signatures, v = 27/28)
+ * - privateKeyToAddress(), personalSign(), createKeySigner() (an
+ *   EIP-1193-style provider WebSocketService.connect() accepts as `wallet`)
+ * Dependencies: sha256 (HMAC for RFC 6979)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Pure JS BigInt math: correct but not constant-time. Fine for a CLI
+ *   signing a few challenges; do not use it for bulk signing or in the
+ *   browser where a real wallet is available
+ * - Signatures match MetaMask / ethers for the same key and message
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { Sha256 } from './sha256';
+
+// ==================== Keccak-256 ====================
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offset of lane x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+].map(BigInt);
+
+const KECCAK_RATE = 136; // bytes, 1088-bit rate for a 256-bit output
+
+function rotate(lane, offset) {
+  if (offset === 0n) return lane;
+  return ((lane << offset) | (lane >> (64n - offset))) & MASK_64;
+}
+
+function keccakF(state) {
+  const c = new Array(5);
+  const b = new Array(25);
+
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotate(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d;
+      }
+    }
+
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK_64 & b[(x + 2) % 5 + y]);
+      }
+    }
+
+    state[0] ^= ROUND_CONSTANTS[round];
+  }
+}
+
+/**
+ * Keccak-256 (the Ethereum variant, not NIST SHA3-256)
+ * @param {Uint8Array|string} data - Bytes (strings are UTF-8 encoded)
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function keccak256(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+  // Keccak padding: 0x01 ... 0x80 up to a multiple of the rate
+  const paddedLength = (Math.floor(bytes.length / KECCAK_RATE) + 1) * KECCAK_RATE;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[paddedLength - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < paddedLength; offset += KECCAK_RATE) {
+    for (let lane = 0; lane < KECCAK_RATE / 8; lane++) {
+      let value = 0n;
+      for (let i = 7; i >= 0; i--) {
+        value = (value << 8n) | BigInt(padded[offset + lane * 8 + i]);
+      }
+      state[lane] ^= value;
+    }
+    keccakF(state);
+  }
+
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    digest[i] = Number((state[i >> 3] >> BigInt((i & 7) * 8)) & 0xffn);
+  }
+  return digest;
+}
+
+// ==================== secp256k1 ====================
+
+const CURVE = {
+  P: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+  N: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+  G: {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+  }
+};
+
+function mod(value, modulus) {
+  const result = value % modulus;
+  return result >= 0n ? result : result + modulus;
+}
+
+function invert(value, modulus) {
+  let [a, b] = [mod(value, modulus), modulus];
+  let [x, lastX] = [0n, 1n];
+  while (b !== 0n) {
+    const quotient = a / b;
+    [a, b] = [b, a - quotient * b];
+    [x, lastX] = [lastX - quotient * x, x];
+  }
+  return mod(lastX, modulus);
+}
+
+// Affine points; null is the point at infinity
+function addPoints(p1, p2) {
+  if (!p1) return p2;
+  if (!p2) return p1;
+
+  const { P } = CURVE;
+  let slope;
+  if (p1.x === p2.x) {
+    if (mod(p1.y + p2.y, P) === 0n) return null;
+    slope = mod(3n * p1.x * p1.x * invert(2n * p1.y, P), P);
+  } else {
+    slope = mod((p2.y - p1.y) * invert(p2.x - p1.x, P), P);
+  }
+
+  const x = mod(slope * slope - p1.x - p2.x, P);
+  return { x, y: mod(slope * (p1.x - x) - p1.y, P) };
+}
+
+function multiplyPoint(scalar, point) {
+  let result = null;
+  let addend = point;
+  let k = scalar;
+  while (k > 0n) {
+    if (k & 1n) {
+      result = addPoints(result, addend);
+    }
+    addend = addPoints(addend, addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+// ==================== Byte helpers ====================
+
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  bytes.forEach(byte => {
+    value = (value << 8n) | BigInt(byte);
+  });
+  return value;
+}
+
+function bigIntToBytes(value, length = 32) {
+  const bytes = new Uint8Array(length);
+  let remaining = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return bytes;
+}
+
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * Hex string (with or without 0x) to bytes
+ */
+export function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') || hex.startsWith('0X') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error('Invalid hex string');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Bytes to 0x-prefixed lowercase hex
+ */
+export function bytesToHex(bytes) {
+  return '0x' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hmacSha256(key, ...data) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? hexToBytes(new Sha256().update(key).digest()) : key);
+
+  const inner = new Sha256().update(block.map(byte => byte ^ 0x36));
+  data.forEach(part => inner.update(part));
+  const innerDigest = hexToBytes(inner.digest());
+
+  return hexToBytes(
+    new Sha256().update(block.map(byte => byte ^ 0x5c)).update(innerDigest).digest()
+  );
+}
+
+// ==================== Signing ====================
+
+function toPrivateKey(privateKey) {
+  const bytes = typeof privateKey === 'string' ? hexToBytes(privateKey.trim()) : privateKey;
+  const d = bytesToBigInt(bytes);
+  if (bytes.length !== 32 || d <= 0n || d >= CURVE.N) {
+    throw new Error('Invalid private key');
+  }
+  return d;
+}
+
+/**
+ * Sign a 32-byte hash (RFC 6979 nonce, low-s)
+ * @param {Uint8Array} hash - Message hash
+ * @param {string|Uint8Array} privateKey - 32-byte key (hex or bytes)
+ * @returns {{ r: bigint, s: bigint, recovery: number }}
+ */
+export function signHash(hash, privateKey) {
+  const { N, G } = CURVE;
+  const d = toPrivateKey(privateKey);
+  const z = mod(bytesToBigInt(hash), N);
+  const x = bigIntToBytes(d);
+  const h = bigIntToBytes(z);
+
+  let v = new Uint8Array(32).fill(0x01);
+  let k = new Uint8Array(32);
+  k = hmacSha256(k, v, Uint8Array.of(0x00), x, h);
+  v = hmacSha256(k, v);
+  k = hmacSha256(k, v, Uint8Array.of(0x01), x, h);
+  v = hmacSha256(k, v);
+
+  for (;;) {
+    v = hmacSha256(k, v);
+    const nonce = bytesToBigInt(v);
+
+    if (nonce > 0n && nonce < N) {
+      const point = multiplyPoint(nonce, G);
+      const r = mod(point.x, N);
+      let s = mod(invert(nonce, N) * (z + r * d), N);
+
+      if (r !== 0n && s !== 0n) {
+        let recovery = (point.y & 1n ? 1 : 0) | (point.x >= N ? 2 : 0);
+        if (s > N / 2n) {
+          s = N - s;
+          recovery ^= 1;
+        }
+        return { r, s, recovery };
+      }
+    }
+
+    k = hmacSha256(k, v, Uint8Array.of(0x00));
+    v = hmacSha256(k, v);
+  }
+}
+
+/**
+ * Wallet address for a private key
+ * @param {string|Uint8Array} privateKey - 32-byte key (hex or bytes)
+ * @returns {string} Lowercase 0x address
+ */
+export function privateKeyToAddress(privateKey) {
+  const point = multiplyPoint(toPrivateKey(privateKey), CURVE.G);
+  const publicKey = concatBytes(bigIntToBytes(point.x), bigIntToBytes(point.y));
+  return bytesToHex(keccak256(publicKey).slice(12));
+}
+
+/**
+ * EIP-191 hash of a personal_sign message
+ * @param {string|Uint8Array} message - Text, 0x-hex (as wallets treat it) or bytes
+ * @returns {Uint8Array} 32-byte hash
+ */
+export function hashPersonalMessage(message) {
+  let bytes = message;
+  if (typeof message === 'string') {
+    bytes = /^0x([0-9a-fA-F]{2})*$/.test(message)
+      ? hexToBytes(message)
+      : new TextEncoder().encode(message);
+  }
+  const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${bytes.length}`);
+  return keccak256(concatBytes(prefix, bytes));
+}
+
+/**
+ * personal_sign
+ * @param {string|Uint8Array} message - Message
+ * @param {string|Uint8Array} privateKey - 32-byte key (hex or bytes)
+ * @returns {string} 0x-hex 65-byte signature (r || s || v)
+ */
+export function personalSign(message, privateKey) {
+  const { r, s, recovery } = signHash(hashPersonalMessage(message), privateKey);
+  return bytesToHex(concatBytes(bigIntToBytes(r), bigIntToBytes(s), Uint8Array.of(27 + recovery)));
+}
+
+/**
+ * Minimal EIP-1193 provider backed by a private key
+ * Answers eth_accounts / eth_requestAccounts / personal_sign, which is all
+ * WebSocketService and the CLI ask a wallet for
+ * @param {string|Uint8Array} privateKey - 32-byte key (hex or bytes)
+ * @returns {Object} { address, request({ method, params }), signMessage(message) }
+ */
+export function createKeySigner(privateKey) {
+  const address = privateKeyToAddress(privateKey);
+
+  return {
+    address,
+    isKeySigner: true,
+    signMessage: (message) => personalSign(message, privateKey),
+    async request({ method, params = [] }) {
+      switch (method) {
+        case 'eth_accounts':
+        case 'eth_requestAccounts':
+          return [address];
+        case 'personal_sign': {
+          const [message, account] = params;
+          if (account && account.toLowerCase() !== address) {
+            throw new Error(`Key does not belong to ${account}`);
+          }
+          return personalSign(message, privateKey);
+        }
+        default:
+          throw new Error(`Unsupported wallet method: ${method}`);
+      }
+    }
+  };
+}
+
+export default createKeySigner;
@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * File: src/lib/utils/frameCapture.js
+ * ============================================
+ * Frame capture format shared by the frame inspector and the replay backend
+ *
+ * Creation Reason: Captures exported from the inspector must load into the
+ * fake transport without either side importing the other
+ * Main Functionality: Sensitive field masking, capture build/parse
+ * Dependencies: None
+ *
+ * Capture format (version 1):
+ * {
+ *   format: 'aeronyx-frame-capture',
+ *   version: 1,
+ *   exported_at: ISO string,
+ *   protocol_version: '1.0' | null,
+ *   frames: [{ seq, offset_ms, direction: 'in'|'out', type, request_id,
+ *              node_reference, size, latency_ms, data }]
+ * }
+ * `data` is the masked JSON frame (or the masked raw string if it did not
+ * parse). offset_ms is relative to the first captured frame.
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Masking happens at record time, so secrets never reach the panel,
+ *   memory snapshots or exported files
+ * - Add new secret-bearing field names to SENSITIVE_KEY_PATTERN
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+export const CAPTURE_FORMAT = 'aeronyx-frame-capture';
+export const CAPTURE_VERSION = 1;
+
+export const MASKED_VALUE = '[MASKED]';
+
+// Field names whose values are credentials
+const SENSITIVE_KEY_PATTERN = /(token|signature|jwt|secret|password|authorization|private_?key)/i;
+
+// JWT-shaped strings are masked wherever they appear
+const JWT_PATTERN = /^eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+const JWT_INLINE_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+/**
+ * Return a deep copy of a value with credentials replaced by MASKED_VALUE
+ * @param {*} value - Parsed frame or any nested value
+ * @returns {*} Masked copy
+ */
+export function maskSensitive(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSensitive);
+  }
+
+  if (value && typeof value === 'object') {
+    const masked = {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (SENSITIVE_KEY_PATTERN.test(key) && child !== null && child !== undefined && child !== '') {
+        masked[key] = MASKED_VALUE;
+      } else {
+        masked[key] = maskSensitive(child);
+      }
+    });
+    return masked;
+  }
+
+  if (typeof value === 'string' && JWT_PATTERN.test(value)) {
+    return MASKED_VALUE;
+  }
+
+  return value;
+}
+
+/**
+ * Mask JWTs inside a raw (unparseable) frame string
+ * @param {string} text - Raw frame
+ * @returns {string} Masked text
+ */
+export function maskRawFrame(text) {
+  return String(text).replace(JWT_INLINE_PATTERN, MASKED_VALUE);
+}
+
+/**
+ * Build an exportable capture from inspector records
+ * @param {Array} records - FrameRecorder records (oldest first)
+ * @param {Object} meta - { protocolVersion }
+ * @returns {Object} Capture
+ */
+export function buildCapture(records, meta = {}) {
+  const start = records.length > 0 ? records[0].timestamp : 0;
+
+  return {
+    format: CAPTURE_FORMAT,
+    version: CAPTURE_VERSION,
+    exported_at: new Date().toISOString(),
+    protocol_version: meta.protocolVersion || null,
+    frames: records.map(record => ({
+      seq: record.seq,
+      offset_ms: record.timestamp - start,
+      direction: record.direction,
+      type: record.type,
+      request_id: record.requestId,
+      node_reference: record.nodeReference,
+      size: record.size,
+      latency_ms: record.latencyMs,
+      data: record.payload
+    }))
+  };
+}
+
+/**
+ * Parse and validate a capture
+ * @param {string|Object} input - Capture JSON text or object
+ * @returns {Object} Capture with frames sorted by seq
+ * @throws {Error} When the input is not a supported capture
+ */
+export function parseCapture(input) {
+  const capture = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!capture || capture.format !== CAPTURE_FORMAT) {
+    throw new Error('Not an AeroNyx frame capture');
+  }
+  if (capture.version !== CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version: ${capture.version}`);
+  }
+  if (!Array.isArray(capture.frames)) {
+    throw new Error('Capture has no frames');
+  }
+
+  const frames = capture.frames
+    .filter(frame => frame && (frame.direction === 'in' || frame.direction === 'out'))
+    .sort((a, b) => a.seq - b.seq);
+
+  return { ...capture, frames };
+}
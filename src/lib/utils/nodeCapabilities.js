@@ -0,0 +1,150 @@
+/**
+ * ============================================
+ * File: src/lib/utils/nodeCapabilities.js
+ * ============================================
+ * Node capabilities - What a node's agent can do
+ *
+ * Creation Reason: The dashboard assumed every node supports the same
+ * command set; an older agent answered new commands with INVALID_COMMAND
+ * or not at all, which surfaced as a generic error or timeout
+ * Main Functionality:
+ * - parseCapabilities(): the `capabilities` answer (agent 2.0+)
+ * - legacyCapabilities(): agents that do not know `capabilities`
+ * - getUnsupportedReason(): null, or the upgrade message for a command or
+ *   feature the agent lacks
+ * - withUnsupported(): record a command the node rejected as unknown
+ * Dependencies: remoteCommands (REMOTE_COMMAND_TYPES)
+ *
+ * Capabilities shape:
+ *   { agentVersion, commands: [type], features: [feature], reported,
+ *     unsupported: [type or feature], checkedAt }
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - reported=false (legacy agent or not asked yet): everything is assumed
+ *   supported until the node rejects it; only `unsupported` is trusted
+ * - Features are abilities outside remote_command (NODE_FEATURES); a
+ *   reported list without `features` keeps the terminal, which every
+ *   agent has had
+ * - An agent without EXEC_STREAM still runs a streamed execute: its
+ *   output arrives with the result (RemoteExecution falls back)
+ * - An agent without EXEC_OPTIONS would ignore the execute options and run
+ *   the command as its own user in its own directory, so RemoteNodeClient
+ *   refuses to send them instead
+ *
+ * Last Modified: v1.2.0 - exec_options feature
+ * ============================================
+ */
+
+import { REMOTE_COMMAND_TYPES } from '../constants/remoteCommands';
+
+/**
+ * Abilities that are not remote commands
+ */
+export const NODE_FEATURES = {
+  TERMINAL: 'terminal',
+  EXEC_STREAM: 'exec_stream',   // execute with stream: true (output as it is produced)
+  EXEC_OPTIONS: 'exec_options'  // execute with cwd / env / user / timeout_ms / stdin / shell: false
+};
+
+const FEATURE_NAMES = Object.values(NODE_FEATURES);
+
+// Shown in upgrade messages
+const CAPABILITY_LABELS = {
+  [REMOTE_COMMAND_TYPES.UPLOAD]: 'uploads',
+  [REMOTE_COMMAND_TYPES.UPLOAD_BEGIN]: 'large uploads',
+  [REMOTE_COMMAND_TYPES.DOWNLOAD]: 'downloads',
+  [REMOTE_COMMAND_TYPES.CHECKSUM]: 'verified downloads',
+  [REMOTE_COMMAND_TYPES.LIST]: 'file listing',
+  [REMOTE_COMMAND_TYPES.SEARCH]: 'file search',
+  [REMOTE_COMMAND_TYPES.COMPRESS]: 'compressing files',
+  [REMOTE_COMMAND_TYPES.EXTRACT]: 'extracting archives',
+  [REMOTE_COMMAND_TYPES.BATCH_DELETE]: 'batch delete',
+  [REMOTE_COMMAND_TYPES.BATCH_MOVE]: 'batch move',
+  [REMOTE_COMMAND_TYPES.BATCH_COPY]: 'batch copy',
+  [REMOTE_COMMAND_TYPES.SYSTEM_INFO]: 'system information',
+  [REMOTE_COMMAND_TYPES.EXECUTE]: 'command execution',
+  [NODE_FEATURES.TERMINAL]: 'terminal sessions',
+  [NODE_FEATURES.EXEC_STREAM]: 'streamed command output',
+  [NODE_FEATURES.EXEC_OPTIONS]: 'execute options (working directory, environment, user, timeout, stdin)'
+};
+
+/**
+ * Capabilities from a `capabilities` command result
+ * @param {Object} result - { agent_version, commands, features }
+ * @returns {Object} Capabilities (reported)
+ */
+export function parseCapabilities(result = {}) {
+  return {
+    agentVersion: result.agent_version ? String(result.agent_version) : null,
+    commands: Array.isArray(result.commands) ? result.commands.map(String) : [],
+    features: Array.isArray(result.features) ? result.features.map(String) : [NODE_FEATURES.TERMINAL],
+    reported: true,
+    unsupported: [],
+    checkedAt: Date.now()
+  };
+}
+
+/**
+ * Capabilities of an agent that does not answer `capabilities`
+ * @param {string|null} agentVersion - From the node list, when known
+ */
+export function legacyCapabilities(agentVersion = null) {
+  return {
+    agentVersion,
+    commands: [],
+    features: [],
+    reported: false,
+    unsupported: [REMOTE_COMMAND_TYPES.CAPABILITIES],
+    checkedAt: Date.now()
+  };
+}
+
+/**
+ * Whether the agent can run a command or has a feature
+ * @param {Object|null} capabilities - null = not known yet
+ * @param {string} name - REMOTE_COMMAND_TYPES or NODE_FEATURES value
+ */
+export function supportsCapability(capabilities, name) {
+  if (!capabilities) return true;
+  if (capabilities.unsupported.includes(name)) return false;
+  if (!capabilities.reported) return true;
+  return FEATURE_NAMES.includes(name)
+    ? capabilities.features.includes(name)
+    : capabilities.commands.includes(name);
+}
+
+/**
+ * @param {string} name - REMOTE_COMMAND_TYPES or NODE_FEATURES value
+ * @returns {string} 'file search', or the command type itself
+ */
+export function describeCapability(name) {
+  return CAPABILITY_LABELS[name] || name;
+}
+
+/**
+ * Upgrade message for a missing command or feature
+ * @param {string} nodeReference
+ * @param {Object|null} capabilities
+ * @param {string} name - REMOTE_COMMAND_TYPES or NODE_FEATURES value
+ * @returns {string|null} null when supported
+ */
+export function getUnsupportedReason(nodeReference, capabilities, name) {
+  if (supportsCapability(capabilities, name)) return null;
+
+  const agent = capabilities.agentVersion
+    ? `AeroNyx agent ${capabilities.agentVersion}`
+    : 'the AeroNyx agent';
+  return `${nodeReference} runs ${agent}, which does not support ${describeCapability(name)}. ` +
+    'Upgrade the agent on this node to use it.';
+}
+
+/**
+ * Capabilities with one more command the node rejected as unknown
+ * @param {Object|null} capabilities
+ * @param {string} name
+ */
+export function withUnsupported(capabilities, name) {
+  const base = capabilities || { ...legacyCapabilities(), unsupported: [] };
+  if (base.unsupported.includes(name)) return base;
+  return { ...base, unsupported: [...base.unsupported, name] };
+}
@@ -0,0 +1,154 @@
+/**
+ * ============================================
+ * File: src/lib/utils/nodeDelta.js
+ * ============================================
+ * Node delta helpers for delta-encoded status_update frames
+ *
+ * Creation Reason: Large fleets re-rendered every node on every tick
+ * because status_update replaced the whole node list
+ * Main Functionality: Node identity, patch application and snapshot
+ * reconciliation with structural sharing, and patch computation (used by
+ * the fake backend)
+ * Dependencies: None
+ *
+ * Patch format:
+ * { reference_code, ...changedFields }
+ * - Plain-object fields (performance, system_info, ...) merge recursively
+ * - Arrays and primitives replace the previous value
+ * - A null value is kept as null (the server cleared the field)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - applyNodePatch/reconcileNode return the SAME object when nothing
+ *   changed. Memoized rows (NodeCard) rely on that identity to skip
+ *   re-rendering.
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+/**
+ * Stable key of a node (reference_code, falling back to code)
+ * @param {Object} node - Node or patch
+ * @returns {string|null} Reference
+ */
+export function nodeKey(node) {
+  if (!node) return null;
+  return node.reference_code || node.code || null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => valuesEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Merge a patch into an object, reusing unchanged branches
+ */
+function mergePatch(target, patch) {
+  let result = target;
+
+  Object.entries(patch).forEach(([key, value]) => {
+    const current = target[key];
+    const next = isPlainObject(value) && isPlainObject(current)
+      ? mergePatch(current, value)
+      : value;
+
+    if (!valuesEqual(current, next)) {
+      if (result === target) {
+        result = { ...target };
+      }
+      result[key] = next;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply a patch to a node
+ * @param {Object} node - Current node (may be undefined for new nodes)
+ * @param {Object} patch - Patch from a delta frame
+ * @returns {Object} Patched node; the input object if nothing changed
+ */
+export function applyNodePatch(node, patch) {
+  if (!node) {
+    return { ...patch };
+  }
+  return mergePatch(node, patch);
+}
+
+/**
+ * Reconcile a node from a snapshot with its previous version
+ * Unlike applyNodePatch, fields absent from `next` are dropped.
+ * @param {Object} previous - Previous node (may be undefined)
+ * @param {Object} next - Node from the snapshot
+ * @returns {Object} `previous` if deep-equal, otherwise `next` with
+ *   unchanged nested objects taken from `previous`
+ */
+export function reconcileNode(previous, next) {
+  if (!previous || valuesEqual(previous, next)) {
+    return previous || next;
+  }
+
+  const result = {};
+  Object.entries(next).forEach(([key, value]) => {
+    const before = previous[key];
+    if (valuesEqual(before, value)) {
+      result[key] = before;
+    } else if (isPlainObject(before) && isPlainObject(value)) {
+      result[key] = reconcileNode(before, value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Compute the patch that turns `previous` into `next`
+ * @param {Object} previous - Previous node state (undefined for new nodes)
+ * @param {Object} next - Current node state
+ * @returns {Object|null} Patch including reference_code, or null if equal
+ */
+export function diffNode(previous, next) {
+  const reference = nodeKey(next);
+
+  if (!previous) {
+    return { ...next, reference_code: reference };
+  }
+
+  const diffObject = (before, after) => {
+    const changes = {};
+    let changed = false;
+
+    Object.entries(after).forEach(([key, value]) => {
+      if (isPlainObject(value) && isPlainObject(before[key])) {
+        const nested = diffObject(before[key], value);
+        if (nested) {
+          changes[key] = nested;
+          changed = true;
+        }
+      } else if (!valuesEqual(before[key], value)) {
+        changes[key] = value;
+        changed = true;
+      }
+    });
+
+    return changed ? changes : null;
+  };
+
+  const changes = diffObject(previous, next);
+  return changes ? { reference_code: reference, ...changes } : null;
+}
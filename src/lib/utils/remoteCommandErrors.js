@@ -15,11 +15,13 @@
  * 4. Classify error severity levels
  * 
  * ⚠️ Important Note for Next Developer:
- * - Error codes MUST match backend Rust code exactly
+ * - Error codes MUST match backend Rust code exactly, except the
+ *   client-side codes (safety policy, UNSUPPORTED_COMMAND,
+ *   INVALID_RESPONSE), which never come from a node
  * - When adding new error codes, synchronously update ERROR_MESSAGES
  * - User messages should be clear and actionable
  * 
- * Last Modified: v1.0.0 - Initial implementation
+ * Last Modified: v1.4.0 - INVALID_RESPONSE (reply failed frame validation)
  * ============================================
  */
 
@@ -45,11 +47,26 @@ export const ERROR_CODES = {
   INVALID_PATH: 'INVALID_PATH',
   DIRECTORY_NOT_EMPTY: 'DIRECTORY_NOT_EMPTY',
   
+  // Chunked upload errors
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+  UPLOAD_NOT_FOUND: 'UPLOAD_NOT_FOUND',
+  UPLOAD_OFFSET_MISMATCH: 'UPLOAD_OFFSET_MISMATCH',
+  
   // Operation-related errors
   OPERATION_FAILED: 'OPERATION_FAILED',
   TIMEOUT: 'TIMEOUT',
   CANCELLED: 'CANCELLED',
   
+  // Client-side safety policy (lib/utils/safetyPolicy); never sent by a node
+  POLICY_BLOCKED: 'POLICY_BLOCKED',
+  CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED',
+  
+  // Client-side agent capability check (lib/utils/nodeCapabilities); never sent by a node
+  UNSUPPORTED_COMMAND: 'UNSUPPORTED_COMMAND',
+  
+  // Client-side frame validation (lib/constants/wsProtocol); never sent by a node
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  
   // System-related errors
   NODE_OFFLINE: 'NODE_OFFLINE',
   NODE_NOT_FOUND: 'NODE_NOT_FOUND',
@@ -97,11 +114,26 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.INVALID_PATH]: 'Invalid file path',
   [ERROR_CODES.DIRECTORY_NOT_EMPTY]: 'Directory is not empty',
   
+  // Chunked upload errors
+  [ERROR_CODES.CHECKSUM_MISMATCH]: 'Uploaded file checksum does not match',
+  [ERROR_CODES.UPLOAD_NOT_FOUND]: 'Upload session not found on node',
+  [ERROR_CODES.UPLOAD_OFFSET_MISMATCH]: 'Upload chunk out of order',
+  
   // Operation-related errors
   [ERROR_CODES.OPERATION_FAILED]: 'Operation failed',
   [ERROR_CODES.TIMEOUT]: 'Operation timed out',
   [ERROR_CODES.CANCELLED]: 'Operation cancelled',
   
+  // Safety policy errors
+  [ERROR_CODES.POLICY_BLOCKED]: 'Blocked by the safety policy',
+  [ERROR_CODES.CONFIRMATION_REQUIRED]: 'Typed confirmation required',
+  
+  // Node agent capabilities
+  [ERROR_CODES.UNSUPPORTED_COMMAND]: 'Not supported by the node agent',
+  
+  // Frame validation
+  [ERROR_CODES.INVALID_RESPONSE]: 'Malformed response from the node',
+  
   // System-related errors
   [ERROR_CODES.NODE_OFFLINE]: 'Node is offline',
   [ERROR_CODES.NODE_NOT_FOUND]: 'Node not found',
@@ -151,6 +183,10 @@ export const ERROR_SEVERITY_MAP = {
   [ERROR_CODES.FILE_TOO_LARGE]: ERROR_SEVERITY.WARNING,
   [ERROR_CODES.TIMEOUT]: ERROR_SEVERITY.WARNING,
   [ERROR_CODES.TOKEN_EXPIRED]: ERROR_SEVERITY.WARNING,
+  [ERROR_CODES.UPLOAD_OFFSET_MISMATCH]: ERROR_SEVERITY.WARNING,
+  [ERROR_CODES.POLICY_BLOCKED]: ERROR_SEVERITY.WARNING,
+  [ERROR_CODES.CONFIRMATION_REQUIRED]: ERROR_SEVERITY.WARNING,
+  [ERROR_CODES.UNSUPPORTED_COMMAND]: ERROR_SEVERITY.WARNING,
   
   // Error level - standard errors that prevent operation
   [ERROR_CODES.INVALID_COMMAND]: ERROR_SEVERITY.ERROR,
@@ -162,6 +198,9 @@ export const ERROR_SEVERITY_MAP = {
   [ERROR_CODES.OPERATION_FAILED]: ERROR_SEVERITY.ERROR,
   [ERROR_CODES.AUTH_FAILED]: ERROR_SEVERITY.ERROR,
   [ERROR_CODES.INVALID_JWT]: ERROR_SEVERITY.ERROR,
+  [ERROR_CODES.CHECKSUM_MISMATCH]: ERROR_SEVERITY.ERROR,
+  [ERROR_CODES.UPLOAD_NOT_FOUND]: ERROR_SEVERITY.ERROR,
+  [ERROR_CODES.INVALID_RESPONSE]: ERROR_SEVERITY.ERROR,
   
   // Critical level - serious system issues
   [ERROR_CODES.NODE_OFFLINE]: ERROR_SEVERITY.CRITICAL,
@@ -188,7 +227,14 @@ export const ERROR_SUGGESTIONS = {
   [ERROR_CODES.TOKEN_EXPIRED]: 'Your session has expired. Please re-authenticate',
   [ERROR_CODES.DISK_FULL]: 'Free up disk space on the remote node',
   [ERROR_CODES.DIRECTORY_NOT_EMPTY]: 'Use recursive delete option or empty the directory first',
-  [ERROR_CODES.REMOTE_NOT_ENABLED]: 'Enable remote management in node configuration'
+  [ERROR_CODES.REMOTE_NOT_ENABLED]: 'Enable remote management in node configuration',
+  [ERROR_CODES.CHECKSUM_MISMATCH]: 'The file changed or was corrupted in transit. Upload it again',
+  [ERROR_CODES.UPLOAD_NOT_FOUND]: 'The node discarded the partial upload. Start the upload again',
+  [ERROR_CODES.UPLOAD_OFFSET_MISMATCH]: 'The upload will resume from the offset the node reports',
+  [ERROR_CODES.POLICY_BLOCKED]: 'Change the safety policy for this node if the operation is intended',
+  [ERROR_CODES.CONFIRMATION_REQUIRED]: 'Run the operation from the dashboard to confirm it',
+  [ERROR_CODES.UNSUPPORTED_COMMAND]: 'Upgrade the AeroNyx agent on this node',
+  [ERROR_CODES.INVALID_RESPONSE]: 'The agent and dashboard protocol versions may differ. Upgrade the AeroNyx agent on this node'
 };
 
 /**
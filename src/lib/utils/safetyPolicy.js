@@ -0,0 +1,432 @@
+/**
+ * ============================================
+ * File: src/lib/utils/safetyPolicy.js
+ * ============================================
+ * Safety policy - Client-side rules for destructive remote operations
+ *
+ * Creation Reason: validatePath() only rejects `..` and NUL (and
+ * RemoteNodeClient does not call it); nothing stopped `delete_directory /` or `execute rm -rf /` from reaching a node
+ * Main Functionality:
+ * - DEFAULT_SAFETY_POLICY: protected path patterns (system directories,
+ *   the AeroNyx agent) and dangerous command patterns for execute and
+ *   terminal paste
+ * - resolveNodePolicy(): the defaults merged with one node's overrides
+ * - evaluateCommand() / evaluateTerminalInput(): allow, confirm (typed
+ *   confirmation) or block, with the reasons
+ * Dependencies: remoteCommands (REMOTE_COMMAND_TYPES)
+ *
+ * Policy shape (safetyPolicyStore):
+ *   { protectedPaths: [rule], dangerousCommands: [rule],
+ *     nodes: { [nodeReference]: { readOnly, protectedPaths, dangerousCommands } } }
+ *   rule = { pattern, outcome, reason }
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - A guard rail in the browser, not a security boundary: the node still
+ *   enforces its own permissions
+ * - Path patterns: `/etc/**` is /etc and everything under it, `*` is one
+ *   path segment, anything else is an exact path. The most specific
+ *   matching path rule wins, so a node can allow `/etc/nginx/**` under a
+ *   protected `/etc/**`
+ * - Operations that can remove or rewrite a whole tree (delete_directory,
+ *   recursive chmod / chown, delete / move of a path that may be a
+ *   directory) also hit every protected pattern below their path
+ * - Command patterns are regular expression sources (the policy is JSON),
+ *   matched case-insensitively against the whole text
+ * - Node rules replace default rules with the same pattern
+ * - Unknown command types count as mutating: read-only profiles block them
+ * - execute is matched on its command with direct-mode args, and on its
+ *   stdin separately
+ * - Paths reach the gate unvalidated: `..` is resolved here
+ *   (/tmp/../etc is /etc), and a target that is still relative is blocked
+ *
+ * Last Modified: v1.2.0 - Resolve `..`, block relative targets
+ * ============================================
+ */
+
+import { REMOTE_COMMAND_TYPES } from '../constants/remoteCommands';
+
+export const SAFETY_OUTCOMES = {
+  ALLOW: 'allow',
+  CONFIRM: 'confirm',
+  BLOCK: 'block'
+};
+
+const OUTCOME_SEVERITY = {
+  [SAFETY_OUTCOMES.ALLOW]: 0,
+  [SAFETY_OUTCOMES.CONFIRM]: 1,
+  [SAFETY_OUTCOMES.BLOCK]: 2
+};
+
+/**
+ * Commands that never change the node; everything else is mutating
+ */
+export const READ_ONLY_COMMANDS = [
+  REMOTE_COMMAND_TYPES.LIST,
+  REMOTE_COMMAND_TYPES.DOWNLOAD,
+  REMOTE_COMMAND_TYPES.SEARCH,
+  REMOTE_COMMAND_TYPES.CHECKSUM,
+  REMOTE_COMMAND_TYPES.SYSTEM_INFO,
+  REMOTE_COMMAND_TYPES.UPLOAD_STATUS
+];
+
+const { ALLOW, CONFIRM, BLOCK } = SAFETY_OUTCOMES;
+
+export const DEFAULT_SAFETY_POLICY = {
+  protectedPaths: [
+    { pattern: '/', outcome: BLOCK, reason: 'Filesystem root' },
+    { pattern: '/boot/**', outcome: BLOCK, reason: 'Boot loader and kernels' },
+    { pattern: '/proc/**', outcome: BLOCK, reason: 'Kernel interface' },
+    { pattern: '/sys/**', outcome: BLOCK, reason: 'Kernel interface' },
+    { pattern: '/dev/**', outcome: BLOCK, reason: 'Device files' },
+    { pattern: '/opt/aeronyx/**', outcome: BLOCK, reason: 'AeroNyx agent' },
+    { pattern: '/etc/aeronyx/**', outcome: BLOCK, reason: 'AeroNyx agent configuration' },
+    { pattern: '/var/lib/aeronyx/**', outcome: BLOCK, reason: 'AeroNyx agent data' },
+    { pattern: '/etc/**', outcome: CONFIRM, reason: 'System configuration' },
+    { pattern: '/bin/**', outcome: CONFIRM, reason: 'System binaries' },
+    { pattern: '/sbin/**', outcome: CONFIRM, reason: 'System binaries' },
+    { pattern: '/usr/**', outcome: CONFIRM, reason: 'System programs and libraries' },
+    { pattern: '/lib/**', outcome: CONFIRM, reason: 'System libraries' },
+    { pattern: '/lib64/**', outcome: CONFIRM, reason: 'System libraries' },
+    { pattern: '/home', outcome: CONFIRM, reason: 'All home directories' },
+    { pattern: '/root', outcome: CONFIRM, reason: 'Root home directory' }
+  ],
+  dangerousCommands: [
+    { pattern: '\\brm\\s+(-\\S+\\s+)*\\/\\*?(\\s|[;&|]|$)', outcome: BLOCK, reason: 'Deletes the filesystem root' },
+    { pattern: '--no-preserve-root', outcome: BLOCK, reason: 'Disables the root deletion safeguard' },
+    { pattern: '\\bmkfs(\\.\\w+)?\\b', outcome: BLOCK, reason: 'Formats a filesystem' },
+    { pattern: '\\bdd\\b[^;&|]*\\bof=\\/dev\\/', outcome: BLOCK, reason: 'Writes to a raw device' },
+    { pattern: '>\\s*\\/dev\\/(sd|hd|vd|xvd|nvme)', outcome: BLOCK, reason: 'Overwrites a disk device' },
+    { pattern: ':\\(\\)\\s*\\{\\s*:\\s*\\|\\s*:\\s*&\\s*\\}\\s*;\\s*:', outcome: BLOCK, reason: 'Fork bomb' },
+    { pattern: '\\bch(mod|own)\\s+(-\\S+\\s+)*-[a-z]*r[^;&|]*\\s\\/(\\s|[;&|]|$)', outcome: BLOCK, reason: 'Recursive permission change on the filesystem root' },
+    { pattern: '\\brm\\s+(-\\S+\\s+)*(-[a-z]*r[a-z]*|--recursive)', outcome: CONFIRM, reason: 'Recursive delete' },
+    { pattern: '(^|[\\n;&|(]\\s*|\\bsudo\\s+|\\bsystemctl\\s+)(shutdown|reboot|halt|poweroff)\\b', outcome: CONFIRM, reason: 'Stops or restarts the node' },
+    { pattern: '\\bsystemctl\\s+(stop|disable|mask|kill)\\s+aeronyx', outcome: CONFIRM, reason: 'Stops the AeroNyx agent' },
+    { pattern: '\\b(pkill|killall)\\b[^;&|]*aeronyx', outcome: CONFIRM, reason: 'Stops the AeroNyx agent' },
+    { pattern: '\\b(curl|wget)\\b[^;&|]*\\|\\s*(sudo\\s+)?(ba|z|da)?sh\\b', outcome: CONFIRM, reason: 'Runs a downloaded script' },
+    { pattern: '\\bcrontab\\s+-r\\b', outcome: CONFIRM, reason: 'Removes every cron job' }
+  ],
+  nodes: {}
+};
+
+// ==================== Paths ====================
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Collapse `//`, drop `.` segments and the trailing slash, resolve `..`
+ * (never above `/`). A relative path keeps the `..` it cannot resolve
+ * @returns {string|null} null for empty or non-string input
+ */
+export function normalizePolicyPath(path) {
+  if (typeof path !== 'string' || path.trim() === '') return null;
+  const absolute = path.trim().startsWith('/');
+  const segments = [];
+
+  path.trim().split('/').forEach((segment) => {
+    if (segment === '' || segment === '.') return;
+    if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else if (segment !== '..' || !absolute) {
+      segments.push(segment);
+    }
+  });
+
+  const normalized = segments.join('/');
+  return absolute ? `/${normalized}` : normalized;
+}
+
+const compiledPaths = new Map();
+const compiledCommands = new Map();
+
+/**
+ * @returns {Object} { regex, prefix, specificity }; prefix is the literal
+ * part a tree operation must contain to reach the pattern
+ */
+function compilePathPattern(pattern) {
+  if (compiledPaths.has(pattern)) {
+    return compiledPaths.get(pattern);
+  }
+
+  const normalized = normalizePolicyPath(pattern) || '/';
+  const tree = normalized === '/**' || normalized.endsWith('/**');
+  const base = tree ? normalized.slice(0, -3) : normalized;
+  const source = base
+    .split('/')
+    .map(segment => segment.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('/');
+  const wildcard = base.indexOf('*');
+  const prefix = wildcard === -1 ? base : base.slice(0, base.lastIndexOf('/', wildcard));
+
+  const compiled = {
+    regex: new RegExp(`^${source}${tree ? '(?:/.*)?' : ''}$`),
+    prefix: prefix || '/',
+    specificity: base.replace(/\*/g, '').length * 2 + (tree ? 0 : 1)
+  };
+  compiledPaths.set(pattern, compiled);
+  return compiled;
+}
+
+function compileCommandPattern(pattern) {
+  if (!compiledCommands.has(pattern)) {
+    compiledCommands.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return compiledCommands.get(pattern);
+}
+
+function isUnder(path, ancestor) {
+  return path === ancestor || path.startsWith(ancestor === '/' ? '/' : `${ancestor}/`);
+}
+
+function parentOf(path) {
+  const index = path.lastIndexOf('/');
+  return index <= 0 ? '/' : path.slice(0, index);
+}
+
+/**
+ * Paths a command writes, removes or rewrites
+ * @param {string} commandType - REMOTE_COMMAND_TYPES value
+ * @param {Object} commandData - Command fields as sent
+ * @returns {Object[]} [{ path, tree }]; tree = the whole subtree is affected
+ */
+export function getCommandTargets(commandType, commandData = {}) {
+  const targets = [];
+  const add = (value, tree) => {
+    (Array.isArray(value) ? value : [value]).forEach((path) => {
+      const normalized = normalizePolicyPath(path);
+      if (normalized) targets.push({ path: normalized, tree });
+    });
+  };
+
+  switch (commandType) {
+    case REMOTE_COMMAND_TYPES.UPLOAD:
+    case REMOTE_COMMAND_TYPES.UPLOAD_BEGIN:
+    case REMOTE_COMMAND_TYPES.CREATE_DIRECTORY:
+      add(commandData.path, false);
+      break;
+    case REMOTE_COMMAND_TYPES.DELETE:
+    case REMOTE_COMMAND_TYPES.DELETE_DIRECTORY:
+      add(commandData.path, true);
+      break;
+    case REMOTE_COMMAND_TYPES.RENAME:
+    case REMOTE_COMMAND_TYPES.MOVE:
+      add(commandData.path, true);
+      add(commandData.destination, false);
+      break;
+    case REMOTE_COMMAND_TYPES.COPY:
+    case REMOTE_COMMAND_TYPES.COMPRESS:
+    case REMOTE_COMMAND_TYPES.BATCH_COPY:
+      add(commandData.destination, false);
+      break;
+    case REMOTE_COMMAND_TYPES.EXTRACT: {
+      const archive = normalizePolicyPath(commandData.path);
+      add(commandData.destination || (archive ? parentOf(archive) : null), false);
+      break;
+    }
+    case REMOTE_COMMAND_TYPES.CHMOD:
+    case REMOTE_COMMAND_TYPES.CHOWN:
+      add(commandData.path, Boolean(commandData.recursive));
+      break;
+    case REMOTE_COMMAND_TYPES.BATCH_DELETE:
+      add(commandData.paths, true);
+      break;
+    case REMOTE_COMMAND_TYPES.BATCH_MOVE:
+      add(commandData.paths, true);
+      add(commandData.destination, false);
+      break;
+    default:
+      break;
+  }
+  return targets;
+}
+
+// ==================== Policy ====================
+
+export function isMutatingCommand(commandType) {
+  return !READ_ONLY_COMMANDS.includes(commandType);
+}
+
+/**
+ * Default rules with node rules replacing those with the same pattern
+ */
+function mergeRules(defaults = [], overrides = []) {
+  const merged = new Map(defaults.map(rule => [rule.pattern, rule]));
+  overrides.forEach(rule => merged.set(rule.pattern, { ...rule, node: true }));
+  return Array.from(merged.values());
+}
+
+/**
+ * Effective policy for one node
+ * @param {Object} policy - Policy shape (see header)
+ * @param {string} nodeReference
+ * @returns {Object} { readOnly, protectedPaths, dangerousCommands }
+ */
+export function resolveNodePolicy(policy = DEFAULT_SAFETY_POLICY, nodeReference = null) {
+  const override = (nodeReference && policy.nodes?.[nodeReference]) || {};
+  return {
+    readOnly: Boolean(override.readOnly),
+    protectedPaths: mergeRules(policy.protectedPaths, override.protectedPaths),
+    dangerousCommands: mergeRules(policy.dangerousCommands, override.dangerousCommands)
+  };
+}
+
+/**
+ * Problems with one rule, for editors
+ * @param {'path'|'command'} kind
+ * @param {Object} rule - { pattern, outcome, reason }
+ * @returns {string|null} Error message
+ */
+export function validateSafetyRule(kind, rule) {
+  if (!rule?.pattern || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+    return 'Pattern is required';
+  }
+  if (!Object.values(SAFETY_OUTCOMES).includes(rule.outcome)) {
+    return `Outcome must be one of: ${Object.values(SAFETY_OUTCOMES).join(', ')}`;
+  }
+  if (kind === 'path') {
+    if (!rule.pattern.startsWith('/')) return 'Path patterns must be absolute';
+    if (rule.pattern.includes('..')) return 'Path patterns cannot contain ..';
+    return null;
+  }
+  try {
+    new RegExp(rule.pattern, 'i');
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+  return null;
+}
+
+function decide(reasons) {
+  const outcome = reasons.reduce(
+    (worst, reason) => (OUTCOME_SEVERITY[reason.outcome] > OUTCOME_SEVERITY[worst] ? reason.outcome : worst),
+    ALLOW
+  );
+  const confirmation = reasons.find(reason => reason.outcome === CONFIRM);
+  return {
+    outcome,
+    reasons,
+    confirmText: outcome === CONFIRM ? confirmation.confirmText : null
+  };
+}
+
+function safeRules(rules, kind) {
+  return rules.filter(rule => validateSafetyRule(kind, rule) === null);
+}
+
+/**
+ * Path rules hit by one target
+ */
+function evaluateTarget(rules, target) {
+  const inside = [];
+  let direct = null;
+
+  rules.forEach((rule) => {
+    const compiled = compilePathPattern(rule.pattern);
+    if (compiled.regex.test(target.path)) {
+      const better = !direct ||
+        compiled.specificity > direct.specificity ||
+        (compiled.specificity === direct.specificity &&
+          OUTCOME_SEVERITY[rule.outcome] > OUTCOME_SEVERITY[direct.rule.outcome]);
+      if (better) direct = { rule, specificity: compiled.specificity };
+    } else if (target.tree && rule.outcome !== ALLOW && isUnder(compiled.prefix, target.path)) {
+      inside.push({
+        outcome: rule.outcome,
+        reason: `${rule.reason || rule.pattern} (inside ${target.path})`,
+        rule: rule.pattern,
+        target: target.path,
+        confirmText: target.path
+      });
+    }
+  });
+
+  // Protected paths below the target only matter when stricter than the target's own rule
+  const floor = direct ? OUTCOME_SEVERITY[direct.rule.outcome] : 0;
+  const reasons = inside.filter(reason => OUTCOME_SEVERITY[reason.outcome] > floor);
+
+  if (direct && direct.rule.outcome !== ALLOW) {
+    reasons.unshift({
+      outcome: direct.rule.outcome,
+      reason: direct.rule.reason || direct.rule.pattern,
+      rule: direct.rule.pattern,
+      target: target.path,
+      confirmText: target.path
+    });
+  }
+  return reasons;
+}
+
+/**
+ * Command rules matching a shell text
+ */
+function evaluateText(rules, text) {
+  if (typeof text !== 'string' || text === '') return [];
+
+  return safeRules(rules, 'command').flatMap((rule) => {
+    if (rule.outcome === ALLOW) return [];
+    const match = compileCommandPattern(rule.pattern).exec(text);
+    return match
+      ? [{ outcome: rule.outcome, reason: rule.reason || rule.pattern, rule: rule.pattern, target: null, confirmText: match[0].trim() || text.trim() }]
+      : [];
+  });
+}
+
+// Path rules only match absolute paths; the node would resolve a relative one
+// against a directory the policy cannot see
+const RELATIVE_PATH_REASON = {
+  outcome: BLOCK,
+  reason: 'Path is not absolute',
+  rule: 'absolutePath',
+  confirmText: null
+};
+
+const READ_ONLY_REASON = {
+  outcome: BLOCK,
+  reason: 'Node profile is read-only',
+  rule: 'readOnly',
+  target: null,
+  confirmText: null
+};
+
+/**
+ * Decide whether a command may be sent
+ * @param {Object} nodePolicy - resolveNodePolicy() result
+ * @param {string} commandType - REMOTE_COMMAND_TYPES / AUDIT_EVENT_TYPES value
+ * @param {Object} commandData - Command fields as sent
+ * @returns {Object} { outcome, reasons: [{ outcome, reason, rule, target, confirmText }], confirmText }
+ */
+export function evaluateCommand(nodePolicy, commandType, commandData = {}) {
+  if (nodePolicy.readOnly && isMutatingCommand(commandType)) {
+    return decide([READ_ONLY_REASON]);
+  }
+
+  const pathRules = safeRules(nodePolicy.protectedPaths, 'path');
+  const reasons = getCommandTargets(commandType, commandData).flatMap(target => (
+    target.path.startsWith('/')
+      ? evaluateTarget(pathRules, target)
+      : [{ ...RELATIVE_PATH_REASON, target: target.path }]
+  ));
+
+  if (commandType === REMOTE_COMMAND_TYPES.EXECUTE) {
+    // Direct-mode arguments and stdin (`sh -s`) are part of what runs
+    const line = Array.isArray(commandData.args) && commandData.args.length > 0
+      ? `${commandData.command} ${commandData.args.join(' ')}`
+      : commandData.command;
+    reasons.push(...evaluateText(nodePolicy.dangerousCommands, line));
+    reasons.push(...evaluateText(nodePolicy.dangerousCommands, commandData.stdin));
+  }
+  return decide(reasons);
+}
+
+/**
+ * Decide whether text pasted into a terminal may be sent
+ * @param {Object} nodePolicy - resolveNodePolicy() result
+ * @param {string} text - Pasted text
+ * @returns {Object} Same shape as evaluateCommand()
+ */
+export function evaluateTerminalInput(nodePolicy, text) {
+  if (nodePolicy.readOnly) {
+    return decide([READ_ONLY_REASON]);
+  }
+  return decide(evaluateText(nodePolicy.dangerousCommands, text));
+}
@@ -0,0 +1,192 @@
+/**
+ * ============================================
+ * File: src/lib/utils/sha256.js
+ * ============================================
+ * Incremental SHA-256
+ *
+ * Creation Reason: Chunked uploads of multi-GB files need a checksum that
+ * is built chunk by chunk. WebCrypto's digest() only hashes a complete
+ * buffer, which would mean holding the whole file in memory.
+ * Main Functionality: Sha256 class (update() / digest()), sha256Hex()
+ * Dependencies: None
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Pure JS, runs on the main thread, in workers and in Node.js (CLI,
+ *   fake backend). Digests are lowercase hex.
+ * - digest() finalizes the hasher. Use copy().digest() to read a digest
+ *   and keep hashing (UploadService does this before upload_commit).
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Incremental SHA-256 hasher
+ */
+export class Sha256 {
+  constructor() {
+    this.state = new Uint32Array(INITIAL_STATE);
+    this.buffer = new Uint8Array(64);
+    this.bufferLength = 0;
+    this.bytesHashed = 0;
+    this.words = new Uint32Array(64);
+    this.finished = false;
+  }
+
+  /**
+   * Hash more bytes
+   * @param {Uint8Array|ArrayBuffer} data - Next bytes
+   * @returns {Sha256} this
+   */
+  update(data) {
+    if (this.finished) {
+      throw new Error('Sha256: update() after digest()');
+    }
+
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let position = 0;
+    this.bytesHashed += bytes.length;
+
+    if (this.bufferLength > 0) {
+      while (this.bufferLength < 64 && position < bytes.length) {
+        this.buffer[this.bufferLength++] = bytes[position++];
+      }
+      if (this.bufferLength === 64) {
+        this.compress(this.buffer, 0);
+        this.bufferLength = 0;
+      }
+    }
+
+    while (bytes.length - position >= 64) {
+      this.compress(bytes, position);
+      position += 64;
+    }
+
+    while (position < bytes.length) {
+      this.buffer[this.bufferLength++] = bytes[position++];
+    }
+
+    return this;
+  }
+
+  /**
+   * Finish and return the digest
+   * @returns {string} Lowercase hex digest
+   */
+  digest() {
+    if (!this.finished) {
+      const bitsHigh = Math.floor(this.bytesHashed / 0x20000000);
+      const bitsLow = (this.bytesHashed << 3) >>> 0;
+
+      this.buffer[this.bufferLength++] = 0x80;
+      if (this.bufferLength > 56) {
+        this.buffer.fill(0, this.bufferLength);
+        this.compress(this.buffer, 0);
+        this.bufferLength = 0;
+      }
+      this.buffer.fill(0, this.bufferLength, 56);
+
+      const view = new DataView(this.buffer.buffer);
+      view.setUint32(56, bitsHigh);
+      view.setUint32(60, bitsLow);
+      this.compress(this.buffer, 0);
+      this.finished = true;
+    }
+
+    let hex = '';
+    this.state.forEach(word => {
+      hex += word.toString(16).padStart(8, '0');
+    });
+    return hex;
+  }
+
+  /**
+   * Independent copy of the current state
+   * @returns {Sha256} Copy
+   */
+  copy() {
+    const clone = new Sha256();
+    clone.state.set(this.state);
+    clone.buffer.set(this.buffer);
+    clone.bufferLength = this.bufferLength;
+    clone.bytesHashed = this.bytesHashed;
+    clone.finished = this.finished;
+    return clone;
+  }
+
+  /**
+   * Process one 64-byte block
+   */
+  compress(bytes, offset) {
+    const w = this.words;
+    const s = this.state;
+
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = ((bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]) >>> 0;
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let a = s[0], b = s[1], c = s[2], d = s[3], e = s[4], f = s[5], g = s[6], h = s[7];
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    s[0] = (s[0] + a) >>> 0;
+    s[1] = (s[1] + b) >>> 0;
+    s[2] = (s[2] + c) >>> 0;
+    s[3] = (s[3] + d) >>> 0;
+    s[4] = (s[4] + e) >>> 0;
+    s[5] = (s[5] + f) >>> 0;
+    s[6] = (s[6] + g) >>> 0;
+    s[7] = (s[7] + h) >>> 0;
+  }
+}
+
+/**
+ * SHA-256 of a complete buffer
+ * @param {Uint8Array|ArrayBuffer|string} data - Bytes (strings are UTF-8 encoded)
+ * @returns {string} Lowercase hex digest
+ */
+export function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return new Sha256().update(bytes).digest();
+}
+
+export default Sha256;
@@ -0,0 +1,293 @@
+/**
+ * ============================================
+ * File: src/services/AuditLogService.js
+ * ============================================
+ * Audit log service - Local record of remote operations
+ *
+ * Creation Reason: Nothing recorded what was done to a node; compliance
+ * reviews need who ran what, where, when and with what result
+ * Main Functionality:
+ * 1. record(): one entry per remote command and terminal start / stop,
+ *    stamped with the connected wallet
+ * 2. query(): filtered, full-text searched entries, newest first
+ * 3. exportEntries(): CSV / JSON, clear()
+ * Dependencies: WebSocketService (wallet), lib/utils/auditLog, IndexedDB
+ *
+ * Main Logical Flow:
+ * 1. RemoteNodeClient (options.audit) and TerminalService call record()
+ * 2. The entry is sanitized, emitted as 'entry' and queued for IndexedDB
+ * 3. Writes are batched per tick; the oldest entries are pruned past
+ *    CONFIG.MAX_ENTRIES
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Without IndexedDB (SSR, the CLI, private modes that block it) entries
+ *   are kept in memory only, capped at CONFIG.MEMORY_ENTRIES
+ * - record() never throws and never waits: auditing must not slow down
+ *   or break a command
+ * - Search is a cursor scan (IndexedDB has no full-text index); the
+ *   [node_reference, timestamp] index keeps per-node queries cheap
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import {
+  sanitizeAuditParams,
+  matchesAuditFilter,
+  auditEntriesToCSV
+} from '../lib/utils/auditLog';
+
+const CONFIG = {
+  DB_NAME: 'aeronyx-audit-log',
+  DB_VERSION: 1,
+  STORE: 'entries',
+  MAX_ENTRIES: 50000,
+  PRUNE_EVERY: 200,          // Check the size every N writes
+  MEMORY_ENTRIES: 2000,
+  DEFAULT_LIMIT: 500
+};
+
+/**
+ * Promise for an IDBRequest
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Audit Log Service Class
+ */
+class AuditLogService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.dbPromise = null;
+    this.queue = [];
+    this.flushScheduled = false;
+    this.writesSincePrune = 0;
+    this.memory = [];            // Fallback store, oldest first
+  }
+
+  // ==================== Storage ====================
+
+  /**
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+    if (typeof indexedDB === 'undefined') {
+      this.dbPromise = Promise.resolve(null);
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CONFIG.STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('node_timestamp', ['node_reference', 'timestamp']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[AuditLogService] IndexedDB unavailable, keeping entries in memory:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => console.warn('[AuditLogService] Database upgrade blocked by another tab');
+    });
+    return this.dbPromise;
+  }
+
+  // ==================== Recording ====================
+
+  /**
+   * Record an operation
+   * @param {Object} entry - { node_reference, type, params, status, error_code, error_message, exit_code, duration_ms }
+   * @returns {Object} The stored entry
+   */
+  record(entry) {
+    const stored = {
+      id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: Date.now(),
+      wallet: webSocketService.walletAddress || null,
+      node_reference: entry.node_reference || null,
+      type: entry.type,
+      params: sanitizeAuditParams(entry.params),
+      status: entry.status,
+      error_code: entry.error_code || null,
+      error_message: entry.error_message || null,
+      exit_code: Number.isInteger(entry.exit_code) ? entry.exit_code : null,
+      duration_ms: Number.isFinite(entry.duration_ms) ? Math.round(entry.duration_ms) : null
+    };
+
+    this.queue.push(stored);
+    this.scheduleFlush();
+    this.emit('entry', stored);
+    return stored;
+  }
+
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+    this.flushScheduled = true;
+    setTimeout(() => {
+      this.flushScheduled = false;
+      this.flush().catch(error => console.error('[AuditLogService] Failed to write entries:', error));
+    }, 0);
+  }
+
+  async flush() {
+    const entries = this.queue.splice(0);
+    if (entries.length === 0) return;
+
+    const db = await this.openDatabase();
+    if (!db) {
+      this.memory.push(...entries);
+      if (this.memory.length > CONFIG.MEMORY_ENTRIES) {
+        this.memory.splice(0, this.memory.length - CONFIG.MEMORY_ENTRIES);
+      }
+      return;
+    }
+
+    const transaction = db.transaction(CONFIG.STORE, 'readwrite');
+    const store = transaction.objectStore(CONFIG.STORE);
+    entries.forEach(entry => store.put(entry));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    this.writesSincePrune += entries.length;
+    if (this.writesSincePrune >= CONFIG.PRUNE_EVERY) {
+      this.writesSincePrune = 0;
+      await this.prune(db);
+    }
+  }
+
+  /**
+   * Delete the oldest entries past MAX_ENTRIES
+   */
+  async prune(db) {
+    const transaction = db.transaction(CONFIG.STORE, 'readwrite');
+    const store = transaction.objectStore(CONFIG.STORE);
+    let excess = (await requestToPromise(store.count())) - CONFIG.MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    const cursorRequest = store.index('timestamp').openCursor();
+    await new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  // ==================== Reading ====================
+
+  /**
+   * Entries matching a filter, newest first
+   * @param {Object} filter - { nodeReference, types, statuses, from, to, search }
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object[]>}
+   */
+  async query(filter = {}, options = {}) {
+    const limit = options.limit || CONFIG.DEFAULT_LIMIT;
+    await this.flush();
+
+    const db = await this.openDatabase();
+    if (!db) {
+      return this.memory
+        .filter(entry => matchesAuditFilter(entry, filter))
+        .reverse()
+        .slice(0, limit);
+    }
+
+    const store = db.transaction(CONFIG.STORE, 'readonly').objectStore(CONFIG.STORE);
+    const lower = filter.from || 0;
+    const upper = filter.to || Number.MAX_SAFE_INTEGER;
+    const cursorRequest = filter.nodeReference
+      ? store.index('node_timestamp').openCursor(
+        IDBKeyRange.bound([filter.nodeReference, lower], [filter.nodeReference, upper]), 'prev')
+      : store.index('timestamp').openCursor(IDBKeyRange.bound(lower, upper), 'prev');
+
+    const entries = [];
+    return new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+        if (matchesAuditFilter(cursor.value, filter)) {
+          entries.push(cursor.value);
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  /**
+   * Delete entries
+   * @param {string} [nodeReference] - Only this node's entries (default: all)
+   */
+  async clear(nodeReference = null) {
+    await this.flush();
+    const db = await this.openDatabase();
+
+    if (!db) {
+      this.memory = nodeReference ? this.memory.filter(entry => entry.node_reference !== nodeReference) : [];
+    } else if (!nodeReference) {
+      const store = db.transaction(CONFIG.STORE, 'readwrite').objectStore(CONFIG.STORE);
+      await requestToPromise(store.clear());
+    } else {
+      const store = db.transaction(CONFIG.STORE, 'readwrite').objectStore(CONFIG.STORE);
+      const range = IDBKeyRange.bound([nodeReference, 0], [nodeReference, Number.MAX_SAFE_INTEGER]);
+      const keys = await requestToPromise(store.index('node_timestamp').getAllKeys(range));
+      await Promise.all(keys.map(key => requestToPromise(store.delete(key))));
+    }
+
+    this.emit('cleared', { nodeReference });
+  }
+
+  // ==================== Export ====================
+
+  /**
+   * @param {Object[]} entries - From query()
+   * @param {'json'|'csv'} format
+   * @returns {string}
+   */
+  exportEntries(entries, format = 'json') {
+    if (format === 'csv') {
+      return auditEntriesToCSV(entries);
+    }
+    return JSON.stringify({
+      exported_at: new Date().toISOString(),
+      count: entries.length,
+      entries: entries.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }))
+    }, null, 2);
+  }
+}
+
+// Create singleton instance
+const auditLogService = new AuditLogService();
+auditLogService.setMaxListeners(20);
+
+if (typeof window !== 'undefined') {
+  window.auditLogService = auditLogService;
+}
+
+export default auditLogService;
@@ -0,0 +1,223 @@
+/**
+ * ============================================
+ * File: src/services/CapabilityService.js
+ * ============================================
+ * Capability service - Which commands each node's agent supports
+ *
+ * Creation Reason: Every node was assumed to run the newest agent; a
+ * command an older agent does not know failed with a generic error or
+ * timeout instead of saying the agent needs an upgrade
+ * Main Functionality:
+ * 1. watch(): ask a node for its agent version and command set
+ *    (`capabilities`) after each remote authentication
+ * 2. Capability map per node (lib/utils/nodeCapabilities shape)
+ * 3. getUnsupportedReason() / markUnsupported() for RemoteNodeClient
+ *    (options.capabilities), TerminalService and the UI
+ * Dependencies: WebSocketService, RemoteAuthService, nodeStore,
+ * lib/remote/RemoteNodeClient, lib/utils/nodeCapabilities
+ *
+ * Events:
+ * - 'change'  { nodeReference, capabilities } after a refresh or when a
+ *             node rejected a command as unknown
+ *
+ * Main Logical Flow:
+ * 1. useNodeCapabilities (or any caller) watches a node
+ * 2. On 'authenticated' the node is asked again (an agent may have been
+ *    upgraded since the last session)
+ * 3. INVALID_COMMAND or no answer -> legacy agent: everything is assumed
+ *    supported until the node rejects a command, which RemoteNodeClient
+ *    reports through markUnsupported()
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - The query uses its own RemoteNodeClient without audit or safety: it
+ *   is not a user operation and would flood the audit log
+ * - Unknown nodes (never asked) report everything as supported; the UI
+ *   only disables what a node is known to lack
+ * - reset() (EnvironmentService) forgets every node; watchers stay and
+ *   query again on the next remote authentication
+ *
+ * Last Modified: v1.1.0 - reset() on environment switch
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import remoteAuthService from './RemoteAuthService';
+import useNodeStore from '../stores/nodeStore';
+import { RemoteNodeClient } from '../lib/remote/RemoteNodeClient';
+import { REMOTE_COMMAND_TYPES } from '../lib/constants/remoteCommands';
+import { ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+import {
+  parseCapabilities,
+  legacyCapabilities,
+  getUnsupportedReason,
+  withUnsupported
+} from '../lib/utils/nodeCapabilities';
+
+// An agent that ignores unknown commands never answers at all
+const LEGACY_ERRORS = [ERROR_CODES.INVALID_COMMAND, ERROR_CODES.TIMEOUT];
+
+/**
+ * Capability Service Class
+ */
+class CapabilityService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.capabilities = new Map();  // nodeReference -> capabilities
+    this.requests = new Map();      // nodeReference -> Promise (query in flight)
+    this.watchers = new Map();      // nodeReference -> { count, onAuthenticated }
+    this.clients = new Map();       // nodeReference -> RemoteNodeClient
+    this.generation = 0;            // bumped by reset()
+    this.debug = true;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[CapabilityService]', ...args);
+    }
+  }
+
+  /**
+   * @returns {Object|null} Capabilities, null when not known yet
+   */
+  getCapabilities(nodeReference) {
+    return this.capabilities.get(nodeReference) || null;
+  }
+
+  /**
+   * Upgrade message for a command or feature the node lacks
+   * @param {string} nodeReference
+   * @param {string} name - REMOTE_COMMAND_TYPES or NODE_FEATURES value
+   * @returns {string|null} null when supported (or not known yet)
+   */
+  getUnsupportedReason(nodeReference, name) {
+    return getUnsupportedReason(nodeReference, this.getCapabilities(nodeReference), name);
+  }
+
+  /**
+   * Record a command the node rejected as unknown
+   * @returns {string} Upgrade message
+   */
+  markUnsupported(nodeReference, name) {
+    this.set(nodeReference, withUnsupported(this.getCapabilities(nodeReference), name));
+    return this.getUnsupportedReason(nodeReference, name);
+  }
+
+  set(nodeReference, capabilities) {
+    this.capabilities.set(nodeReference, capabilities);
+    this.emit('change', { nodeReference, capabilities });
+  }
+
+  /**
+   * Forget all nodes (the backend changed); queries still in flight are
+   * discarded when they land
+   */
+  reset() {
+    const nodeReferences = [...this.capabilities.keys()];
+    this.generation += 1;
+    this.capabilities.clear();
+    this.requests.clear();
+
+    nodeReferences.forEach(nodeReference => {
+      this.emit('change', { nodeReference, capabilities: null });
+    });
+  }
+
+  // ==================== Queries ====================
+
+  /**
+   * Follow a node: query it now (when authenticated) and after every
+   * remote authentication
+   * @param {string} nodeReference
+   * @returns {Function} Stop watching
+   */
+  watch(nodeReference) {
+    let watcher = this.watchers.get(nodeReference);
+    if (!watcher) {
+      watcher = {
+        count: 0,
+        onAuthenticated: () => this.refresh(nodeReference).catch(() => {})
+      };
+      this.watchers.set(nodeReference, watcher);
+      remoteAuthService.on(nodeReference, 'authenticated', watcher.onAuthenticated);
+
+      if (remoteAuthService.isAuthenticated(nodeReference) && !this.capabilities.has(nodeReference)) {
+        watcher.onAuthenticated();
+      }
+    }
+    watcher.count += 1;
+
+    return () => {
+      watcher.count -= 1;
+      if (watcher.count === 0 && this.watchers.get(nodeReference) === watcher) {
+        remoteAuthService.off(nodeReference, 'authenticated', watcher.onAuthenticated);
+        this.watchers.delete(nodeReference);
+      }
+    };
+  }
+
+  /**
+   * Ask the node for its capabilities; concurrent calls share one query
+   * @returns {Promise<Object>} Capabilities
+   */
+  refresh(nodeReference) {
+    if (!this.requests.has(nodeReference)) {
+      const request = this.query(nodeReference).finally(() => {
+        if (this.requests.get(nodeReference) === request) {
+          this.requests.delete(nodeReference);
+        }
+      });
+      this.requests.set(nodeReference, request);
+    }
+    return this.requests.get(nodeReference);
+  }
+
+  async query(nodeReference) {
+    const generation = this.generation;
+    let capabilities;
+    try {
+      const result = await this.getClient(nodeReference).sendCommand(
+        REMOTE_COMMAND_TYPES.CAPABILITIES,
+        {},
+        { retry: false }
+      );
+      capabilities = parseCapabilities(result);
+    } catch (error) {
+      if (!LEGACY_ERRORS.includes(error.code)) {
+        this.log('Capability query failed for', nodeReference, '-', error.message);
+        throw error;
+      }
+      const node = useNodeStore.getState().byReference[nodeReference];
+      capabilities = legacyCapabilities(node?.agent_version || null);
+    }
+
+    // Answer from the backend before reset()
+    if (generation !== this.generation) return capabilities;
+
+    this.log(nodeReference, 'agent', capabilities.agentVersion || 'unknown',
+      capabilities.reported ? `(${capabilities.commands.length} commands)` : '(legacy)');
+    this.set(nodeReference, capabilities);
+    return capabilities;
+  }
+
+  getClient(nodeReference) {
+    if (!this.clients.has(nodeReference)) {
+      this.clients.set(nodeReference, new RemoteNodeClient(webSocketService, nodeReference, {
+        auth: remoteAuthService,
+        debug: false
+      }));
+    }
+    return this.clients.get(nodeReference);
+  }
+}
+
+// Create singleton instance
+const capabilityService = new CapabilityService();
+capabilityService.setMaxListeners(50);
+
+if (typeof window !== 'undefined') {
+  window.capabilityService = capabilityService;
+}
+
+export default capabilityService;
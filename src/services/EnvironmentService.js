@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * File: src/services/EnvironmentService.js
+ * ============================================
+ * Environment service - Runtime switching between endpoint profiles
+ *
+ * Creation Reason: One static build must be able to point at production,
+ * staging or the local fake backend without rebuilding
+ *
+ * Main Functionality:
+ * 1. switchEnvironment(id): persist the profile, tear down the socket,
+ *    drop everything tied to the old backend, reconnect
+ * 2. Follow profile changes made in other tabs (storage event)
+ *
+ * Teardown on switch:
+ * - WebSocketService: new transport (closes the socket, clears the session)
+ * - RemoteAuthService node JWTs, terminal sessions, node store
+ * - CapabilityService node capabilities
+ * - CacheService namespaces, cached and global wallet signatures
+ *
+ * Dependencies: lib/utils/environment, WebSocketService, RemoteAuthService,
+ * CapabilityService, stores, signature caches
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Anything that caches per-backend state must be reset in
+ *   resetBackendState(), otherwise it leaks across environments
+ * - Signatures are cleared because the signed message comes from the
+ *   backend; the wallet is asked to sign again after a switch
+ *
+ * Last Modified: v1.0.1 - Reset node capabilities on switch
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import remoteAuthService from './RemoteAuthService';
+import capabilityService from './CapabilityService';
+import useNodeStore from '../stores/nodeStore';
+import useTerminalStore from '../stores/terminalStore';
+import { cacheService, CacheNamespace } from '../lib/services/CacheService';
+import signatureCache from '../lib/utils/signatureCache';
+import globalSignatureManager from '../lib/utils/globalSignatureManager';
+import { getDefaultTransport } from '../lib/transport';
+import { STORAGE_KEYS } from '../lib/constants';
+import {
+  getActiveEnvironment,
+  getActiveEnvironmentId,
+  getEnvironmentProfiles,
+  setActiveEnvironmentId
+} from '../lib/utils/environment';
+
+/**
+ * Environment Service Class
+ */
+class EnvironmentService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.environmentId = getActiveEnvironmentId();
+    this.debug = true;
+
+    this.handleStorage = this.handleStorage.bind(this);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this.handleStorage);
+    }
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[EnvironmentService]', ...args);
+    }
+  }
+
+  /**
+   * Active profile
+   * @returns {Object} { id, label, description, apiUrl, wsUrl, transport }
+   */
+  getEnvironment() {
+    return getActiveEnvironment();
+  }
+
+  getProfiles() {
+    return getEnvironmentProfiles();
+  }
+
+  /**
+   * Switch to another profile and rebuild the connection
+   * @param {string} id - Profile id
+   * @returns {Object} The active profile
+   */
+  switchEnvironment(id) {
+    if (id === this.environmentId) {
+      return this.getEnvironment();
+    }
+
+    setActiveEnvironmentId(id);
+    return this.applyEnvironment();
+  }
+
+  /**
+   * Apply the persisted profile to every service
+   */
+  applyEnvironment() {
+    const previousId = this.environmentId;
+    const environment = getActiveEnvironment();
+    this.environmentId = environment.id;
+
+    this.log(`Switching environment: ${previousId} -> ${environment.id}`);
+
+    const walletAddress = webSocketService.walletAddress;
+    const wallet = webSocketService.walletProvider;
+
+    // Closes the socket and clears the session token of the old backend
+    webSocketService.setTransport(getDefaultTransport(environment));
+
+    this.resetBackendState(walletAddress);
+
+    if (walletAddress) {
+      webSocketService.enableReconnection();
+      webSocketService.connect({ walletAddress, wallet });
+    }
+
+    this.emit('environmentChange', { environment, previousId });
+    return environment;
+  }
+
+  /**
+   * Drop state that belongs to the previous backend
+   */
+  resetBackendState(walletAddress) {
+    remoteAuthService.clearAllTokens();
+    capabilityService.reset();
+    useTerminalStore.getState().reset();
+    useNodeStore.getState().reset();
+
+    Object.values(CacheNamespace).forEach(namespace => cacheService.clear(namespace));
+
+    if (walletAddress) {
+      signatureCache.clearWalletCache(walletAddress);
+    }
+    globalSignatureManager.clear();
+  }
+
+  /**
+   * Profile switched in another tab
+   */
+  handleStorage(event) {
+    if (event.key !== STORAGE_KEYS.USER_PREFERENCES) return;
+
+    if (getActiveEnvironmentId() !== this.environmentId) {
+      this.log('Environment changed in another tab');
+      this.applyEnvironment();
+    }
+  }
+}
+
+// Create singleton instance
+const environmentService = new EnvironmentService();
+
+if (typeof window !== 'undefined') {
+  window.environmentService = environmentService;
+}
+
+export default environmentService;
@@ -0,0 +1,371 @@
+/**
+ * ============================================
+ * File: src/services/FrameRecorder.js
+ * ============================================
+ * Frame recorder - Captures WebSocket traffic for the frame inspector
+ *
+ * Creation Reason: Debugging remote management meant reading
+ * '[WebSocketService]' console spam
+ * Main Functionality:
+ * 1. Record every inbound/outbound frame while enabled
+ * 2. Correlate responses with their request (request_id, or the fixed
+ *    request/reply pairs in REPLY_TYPES) and measure latency
+ * 3. Resolve node_reference for terminal frames via their session_id
+ * 4. Export the capture (lib/utils/frameCapture) for fake transport replay
+ * Dependencies: WebSocketService ('frame' event), frameCapture
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Recording is off by default; WebSocketService skips frame emission
+ *   entirely when nobody listens
+ * - Payloads are masked when recorded, never at display time
+ * - The buffer is a ring of CONFIG.MAX_FRAMES records
+ * - Binary frames are recorded by header only; payload bytes are replaced
+ *   with a size marker so large transfers don't fill memory
+ *
+ * Last Modified: v1.1.0 - Record binary frames
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import { WS_MESSAGE_TYPES } from '../lib/constants/wsProtocol';
+import { maskSensitive, maskRawFrame, buildCapture } from '../lib/utils/frameCapture';
+import { describeBinaryFrame } from '../lib/utils/binaryFraming';
+
+const CONFIG = {
+  MAX_FRAMES: 2000,
+  PENDING_TIMEOUT: 5 * 60 * 1000,   // Forget unanswered requests after 5 minutes
+  STORAGE_KEY: 'aeronyx_frame_inspector'
+};
+
+/**
+ * Replies for request types that carry no request_id
+ */
+const REPLY_TYPES = {
+  [WS_MESSAGE_TYPES.GET_MESSAGE]: [WS_MESSAGE_TYPES.SIGNATURE_MESSAGE],
+  [WS_MESSAGE_TYPES.AUTH]: [WS_MESSAGE_TYPES.AUTH_SUCCESS, WS_MESSAGE_TYPES.AUTH_ERROR],
+  [WS_MESSAGE_TYPES.START_MONITOR]: [WS_MESSAGE_TYPES.MONITOR_STARTED],
+  [WS_MESSAGE_TYPES.STOP_MONITOR]: [WS_MESSAGE_TYPES.MONITOR_STOPPED],
+  [WS_MESSAGE_TYPES.PING]: [WS_MESSAGE_TYPES.PONG, WS_MESSAGE_TYPES.HEARTBEAT_ACK],
+  [WS_MESSAGE_TYPES.REMOTE_AUTH]: [WS_MESSAGE_TYPES.REMOTE_AUTH_SUCCESS],
+  [WS_MESSAGE_TYPES.TERM_INIT]: [WS_MESSAGE_TYPES.TERM_READY, WS_MESSAGE_TYPES.TERM_ERROR]
+};
+
+/**
+ * Byte length of a frame
+ */
+function frameSize(data) {
+  if (typeof data !== 'string') {
+    return data?.byteLength ?? data?.size ?? 0;
+  }
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(data).length;
+  }
+  return data.length;
+}
+
+/**
+ * Frame Recorder Class
+ */
+class FrameRecorder extends EventEmitter {
+  constructor() {
+    super();
+
+    this.enabled = false;
+    this.records = [];
+    this.seq = 0;
+
+    this.pendingByRequestId = new Map();   // request_id -> outbound record
+    this.pendingByType = new Map();        // reply type -> [outbound records]
+    this.sessionNodes = new Map();         // terminal session_id -> node_reference
+
+    this.handleFrame = this.handleFrame.bind(this);
+  }
+
+  /**
+   * Restore the enabled flag from the previous page load
+   */
+  restore() {
+    if (typeof window === 'undefined') return;
+
+    try {
+      if (window.localStorage.getItem(CONFIG.STORAGE_KEY) === 'on') {
+        this.enable();
+      }
+    } catch (error) {
+      // Storage unavailable - stay disabled
+    }
+  }
+
+  /**
+   * Start recording
+   */
+  enable() {
+    if (this.enabled) return;
+
+    this.enabled = true;
+    webSocketService.on('frame', this.handleFrame);
+    this.persist();
+    this.emit('stateChange', { enabled: true });
+  }
+
+  /**
+   * Stop recording (keeps the captured frames)
+   */
+  disable() {
+    if (!this.enabled) return;
+
+    this.enabled = false;
+    webSocketService.off('frame', this.handleFrame);
+    this.persist();
+    this.emit('stateChange', { enabled: false });
+  }
+
+  toggle() {
+    if (this.enabled) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+  }
+
+  persist() {
+    if (typeof window === 'undefined') return;
+
+    try {
+      window.localStorage.setItem(CONFIG.STORAGE_KEY, this.enabled ? 'on' : 'off');
+    } catch (error) {
+      // Ignore quota/private mode errors
+    }
+  }
+
+  /**
+   * Drop all captured frames
+   */
+  clear() {
+    this.records = [];
+    this.pendingByRequestId.clear();
+    this.pendingByType.clear();
+    this.sessionNodes.clear();
+    this.emit('cleared');
+  }
+
+  // ==================== Recording ====================
+
+  /**
+   * WebSocketService 'frame' listener
+   * @param {Object} frame - { direction, data, timestamp }
+   */
+  handleFrame({ direction, data, timestamp }) {
+    let parsed = null;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        parsed = null;
+      }
+    } else {
+      parsed = describeBinaryFrame(data);
+    }
+
+    const message = parsed && typeof parsed === 'object' ? parsed : {};
+    const record = {
+      id: `frame_${++this.seq}`,
+      seq: this.seq,
+      timestamp: timestamp || Date.now(),
+      direction,
+      type: typeof message.type === 'string' ? message.type : 'unparsed',
+      requestId: message.request_id || null,
+      sessionId: message.session_id || null,
+      nodeReference: this.resolveNodeReference(message),
+      size: frameSize(data),
+      latencyMs: null,
+      correlatedId: null,
+      payload: parsed !== null ? maskSensitive(parsed) : maskRawFrame(data)
+    };
+
+    if (direction === 'out') {
+      this.trackRequest(record);
+    } else {
+      this.correlateResponse(record);
+    }
+
+    this.records.push(record);
+    if (this.records.length > CONFIG.MAX_FRAMES) {
+      this.records.splice(0, this.records.length - CONFIG.MAX_FRAMES);
+    }
+
+    this.emit('frame', record);
+  }
+
+  /**
+   * node_reference from the frame, or from its terminal session
+   */
+  resolveNodeReference(message) {
+    const reference = message.node_reference || message.nodeReference || null;
+
+    if (message.session_id) {
+      if (reference) {
+        this.sessionNodes.set(message.session_id, reference);
+        return reference;
+      }
+      return this.sessionNodes.get(message.session_id) || null;
+    }
+
+    return reference;
+  }
+
+  /**
+   * Remember an outbound request until its reply arrives
+   */
+  trackRequest(record) {
+    this.prunePending(record.timestamp);
+
+    if (record.requestId) {
+      this.pendingByRequestId.set(record.requestId, record);
+      return;
+    }
+
+    const replies = REPLY_TYPES[record.type];
+    if (!replies) return;
+
+    replies.forEach(replyType => {
+      const queue = this.pendingByType.get(replyType) || [];
+      queue.push(record);
+      this.pendingByType.set(replyType, queue);
+    });
+  }
+
+  /**
+   * Link an inbound frame to the request it answers
+   */
+  correlateResponse(record) {
+    let request = null;
+
+    if (record.requestId && this.pendingByRequestId.has(record.requestId)) {
+      request = this.pendingByRequestId.get(record.requestId);
+      this.pendingByRequestId.delete(record.requestId);
+    } else {
+      const queue = this.pendingByType.get(record.type);
+      if (queue && queue.length > 0) {
+        // Terminal replies must match the session they were opened for
+        const index = record.sessionId
+          ? queue.findIndex(candidate => candidate.sessionId === record.sessionId)
+          : 0;
+        if (index >= 0) {
+          request = queue[index];
+          this.forgetTypedRequest(request);
+        }
+      }
+    }
+
+    if (!request) return;
+
+    record.correlatedId = request.id;
+    record.latencyMs = record.timestamp - request.timestamp;
+    record.nodeReference = record.nodeReference || request.nodeReference;
+    request.correlatedId = record.id;
+    request.latencyMs = record.latencyMs;
+    this.emit('correlated', { request, response: record });
+  }
+
+  /**
+   * Remove a request from every reply queue it was waiting in
+   */
+  forgetTypedRequest(request) {
+    (REPLY_TYPES[request.type] || []).forEach(replyType => {
+      const queue = this.pendingByType.get(replyType);
+      if (!queue) return;
+      const remaining = queue.filter(candidate => candidate !== request);
+      if (remaining.length > 0) {
+        this.pendingByType.set(replyType, remaining);
+      } else {
+        this.pendingByType.delete(replyType);
+      }
+    });
+  }
+
+  /**
+   * Forget requests that were never answered
+   */
+  prunePending(now) {
+    const cutoff = now - CONFIG.PENDING_TIMEOUT;
+
+    this.pendingByRequestId.forEach((request, requestId) => {
+      if (request.timestamp < cutoff) {
+        this.pendingByRequestId.delete(requestId);
+      }
+    });
+
+    this.pendingByType.forEach((queue, replyType) => {
+      const remaining = queue.filter(request => request.timestamp >= cutoff);
+      if (remaining.length > 0) {
+        this.pendingByType.set(replyType, remaining);
+      } else {
+        this.pendingByType.delete(replyType);
+      }
+    });
+  }
+
+  // ==================== Queries ====================
+
+  /**
+   * Get captured frames, oldest first
+   * @param {Object} filter - { types: string[], nodeReference, direction }
+   * @returns {Array} Records
+   */
+  getFrames(filter = {}) {
+    const { types, nodeReference, direction } = filter;
+
+    return this.records.filter(record => {
+      if (types && types.length > 0 && !types.includes(record.type)) return false;
+      if (nodeReference && record.nodeReference !== nodeReference) return false;
+      if (direction && record.direction !== direction) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Distinct frame types and node references seen so far (for filters)
+   */
+  getFacets() {
+    const types = new Set();
+    const nodeReferences = new Set();
+
+    this.records.forEach(record => {
+      types.add(record.type);
+      if (record.nodeReference) {
+        nodeReferences.add(record.nodeReference);
+      }
+    });
+
+    return {
+      types: Array.from(types).sort(),
+      nodeReferences: Array.from(nodeReferences).sort()
+    };
+  }
+
+  /**
+   * Build an exportable capture
+   * @param {Object} filter - Same as getFrames; defaults to everything
+   * @returns {Object} Capture (see lib/utils/frameCapture)
+   */
+  exportCapture(filter = {}) {
+    return buildCapture(this.getFrames(filter), {
+      protocolVersion: webSocketService.protocolVersion
+    });
+  }
+}
+
+// Create singleton instance
+const frameRecorder = new FrameRecorder();
+frameRecorder.setMaxListeners(20);
+frameRecorder.restore();
+
+if (typeof window !== 'undefined') {
+  window.frameRecorder = frameRecorder;
+}
+
+export { CONFIG as FRAME_RECORDER_CONFIG };
+
+export default frameRecorder;
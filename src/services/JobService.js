@@ -0,0 +1,565 @@
+/**
+ * ============================================
+ * File: src/services/JobService.js
+ * ============================================
+ * Job service - Background jobs for long-running remote operations
+ *
+ * Creation Reason: compress, extract, batch_copy and large searches were
+ * awaited inside the component that started them; closing the
+ * RemoteManagement modal lost the result
+ * Main Functionality:
+ * 1. startJob(): one remote command, run by this service on its own
+ *    RemoteNodeClient per node, so no component has to stay mounted
+ * 2. trackJob(): a multi-step operation (executor function) with progress
+ *    startBatchJob(): chunked batch delete / move / copy with a per-item
+ *    report; retryFailed() runs one again for its failed items only
+ *    adoptExecution(): a streamed execute detached from the console
+ * 3. Jobs list with node, command, start time, progress and outcome,
+ *    persisted in localStorage; cancel / dismiss / clear
+ * 4. Re-attach: a job whose answer does not arrive in time is 'detached'
+ *    and completed when the node's response shows up later
+ * Dependencies: WebSocketService, RemoteAuthService, AuditLogService,
+ * SafetyPolicyService, CapabilityService, lib/remote/RemoteNodeClient
+ *
+ * Events (payload is the job snapshot, see getJob()):
+ * - 'stateChange'  job added or its state changed (JOB_STATE)
+ * - 'progress'     trackJob() executor reported progress
+ * - 'finished'     job reached a final state (notifications)
+ * - 'removed'      job dismissed ({ id })
+ *
+ * Main Logical Flow:
+ * 1. The command is sent through RemoteNodeClient.sendCommand with
+ *    onDispatch, so the job knows its request_id
+ * 2. TIMEOUT / CONNECTION_LOST -> DETACHED; the service listens on the
+ *    transport for that request_id until CONFIG.DETACHED_TTL_MS
+ * 3. On reload, running single-command jobs come back DETACHED; running
+ *    trackJob() jobs come back LOST (their executor is gone)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - A late answer after a reload only arrives if the server routes it to
+ *   the new socket; otherwise the job ends LOST when the TTL runs out
+ * - Results are kept in the job (and localStorage) trimmed to
+ *   CONFIG.RESULT_ITEMS per array; the full answer is not stored. Batch
+ *   reports keep every failed item, since retryFailed() needs them
+ * - A batch report with failed items ends the job FAILED (the report is
+ *   still the job's result), as does a non-zero exit code, also when it
+ *   arrives as a late answer
+ * - An adopted execution keeps its request id: if it stops sending output
+ *   (TIMEOUT) the job is DETACHED and its final answer still completes it,
+ *   without the output produced in between
+ * - The per-node clients live as long as the page; components never
+ *   dispose of them, which is what keeps a job alive after a modal closes
+ *
+ * Last Modified: v1.3.0 - adoptExecution() for detached streamed executes
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import remoteAuthService from './RemoteAuthService';
+import auditLogService from './AuditLogService';
+import safetyPolicyService from './SafetyPolicyService';
+import capabilityService from './CapabilityService';
+import { RemoteNodeClient } from '../lib/remote/RemoteNodeClient';
+import { STORAGE_KEYS } from '../lib/constants';
+import { sanitizeAuditParams } from '../lib/utils/auditLog';
+import { getFailedPaths } from '../lib/remote/batchOperation';
+import { REMOTE_COMMAND_TYPES } from '../lib/constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+
+export const JOB_STATE = {
+  RUNNING: 'running',
+  DETACHED: 'detached',     // No answer in time; waiting for a late response
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  LOST: 'lost'              // Never answered, or interrupted by a reload
+};
+
+export const FINISHED_JOB_STATES = [
+  JOB_STATE.SUCCEEDED,
+  JOB_STATE.FAILED,
+  JOB_STATE.CANCELLED,
+  JOB_STATE.LOST
+];
+
+const CONFIG = {
+  MAX_JOBS: 100,                  // Oldest finished jobs are dropped past this
+  DETACHED_TTL_MS: 30 * 60000,
+  EXPIRY_CHECK_MS: 30000,
+  RESULT_ITEMS: 200,
+  RESULT_TEXT: 64 * 1024          // Characters kept of long output (the tail)
+};
+
+// The node may still be working on it: wait for a late answer
+const DETACH_ERRORS = [ERROR_CODES.TIMEOUT, ERROR_CODES.CONNECTION_LOST, ERROR_CODES.NETWORK_ERROR];
+
+function isFailedItem(item) {
+  return item?.success === false;
+}
+
+/**
+ * Result as stored in the job: arrays trimmed to CONFIG.RESULT_ITEMS
+ * (batch results: every failed item plus the first successes), text to
+ * its last CONFIG.RESULT_TEXT characters
+ */
+function compactResult(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return result ?? null;
+  }
+  const compact = {};
+  Object.entries(result).forEach(([key, value]) => {
+    if (Array.isArray(value) && value.length > CONFIG.RESULT_ITEMS) {
+      let kept = 0;
+      compact[key] = value.filter((item) => {
+        if (isFailedItem(item)) return true;
+        kept += 1;
+        return kept <= CONFIG.RESULT_ITEMS;
+      });
+      compact.truncated = true;
+    } else if (typeof value === 'string' && value.length > CONFIG.RESULT_TEXT) {
+      compact[key] = value.slice(value.length - CONFIG.RESULT_TEXT);
+      compact.truncated = true;
+    } else {
+      compact[key] = value;
+    }
+  });
+  return compact;
+}
+
+/**
+ * Final state of a job from its result
+ */
+function resultOutcome(result) {
+  const exitCode = Number.isInteger(result?.exit_code) ? result.exit_code : null;
+  if (exitCode !== null && exitCode !== 0) {
+    return {
+      state: JOB_STATE.FAILED,
+      error: { code: ERROR_CODES.COMMAND_FAILED, message: `Exited with code ${exitCode}` }
+    };
+  }
+  if (Array.isArray(result?.results) && result.failed > 0) {
+    return {
+      state: JOB_STATE.FAILED,
+      error: { code: ERROR_CODES.OPERATION_FAILED, message: `${result.failed} of ${result.total} items failed` }
+    };
+  }
+  return { state: JOB_STATE.SUCCEEDED };
+}
+
+function toJobError(error) {
+  return {
+    code: error?.code || ERROR_CODES.UNKNOWN,
+    message: error?.message || 'Unknown error'
+  };
+}
+
+/**
+ * Job Service Class
+ */
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.jobs = new Map();          // id -> job snapshot, oldest first
+    this.controllers = new Map();   // id -> AbortController (running jobs)
+    this.clients = new Map();       // nodeReference -> RemoteNodeClient
+    this.waiters = new Map();       // id -> [resolve] (whenFinished)
+    this.listening = false;
+    this.expiryTimer = null;
+    this.debug = true;
+
+    this.handleResponse = this.handleResponse.bind(this);
+    this.restore();
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[JobService]', ...args);
+    }
+  }
+
+  // ==================== Persistence ====================
+
+  restore() {
+    if (typeof localStorage === 'undefined') return;
+
+    let stored = [];
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.JOBS) || '[]');
+    } catch (error) {
+      console.warn('[JobService] Ignoring unreadable saved jobs:', error);
+    }
+    if (!Array.isArray(stored)) return;
+
+    const now = Date.now();
+    stored.forEach((job) => {
+      if (job.state === JOB_STATE.RUNNING) {
+        Object.assign(job, job.multiStep || !job.requestId
+          ? { state: JOB_STATE.LOST, finishedAt: now, error: { code: ERROR_CODES.CONNECTION_LOST, message: 'Interrupted by a page reload' } }
+          : { state: JOB_STATE.DETACHED, detachedAt: now });
+      }
+      this.jobs.set(job.id, job);
+    });
+
+    if (stored.length > 0) {
+      this.log('Restored', stored.length, 'jobs');
+      this.save();
+      this.watchDetached();
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(STORAGE_KEYS.JOBS, JSON.stringify(Array.from(this.jobs.values())));
+    } catch (error) {
+      console.warn('[JobService] Failed to save jobs:', error);
+    }
+  }
+
+  // ==================== Starting ====================
+
+  /**
+   * Long-lived client for a node (not tied to a component)
+   */
+  getClient(nodeReference) {
+    if (!this.clients.has(nodeReference)) {
+      this.clients.set(nodeReference, new RemoteNodeClient(webSocketService, nodeReference, {
+        auth: remoteAuthService,
+        audit: auditLogService,
+        safety: safetyPolicyService,
+        capabilities: capabilityService,
+        debug: false
+      }));
+    }
+    return this.clients.get(nodeReference);
+  }
+
+  /**
+   * Run one remote command as a background job
+   * @param {Object} job
+   * @param {string} job.nodeReference
+   * @param {string} job.commandType - REMOTE_COMMAND_TYPES value
+   * @param {Object} [job.params] - Command fields
+   * @param {string} [job.label] - Shown in the jobs drawer
+   * @param {number} [job.timeout] - Overrides the command policy timeout
+   * @returns {Object} Job snapshot (the command runs in the background)
+   */
+  startJob({ nodeReference, commandType, params = {}, label, timeout }) {
+    const job = this.createJob({ nodeReference, commandType, params, label, multiStep: false });
+
+    this.run(job.id, ({ client, signal, onDispatch }) => (
+      client.sendCommand(commandType, params, { signal, timeout, onDispatch })
+    ));
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Run a multi-step operation as a background job
+   * @param {Object} job - { nodeReference, commandType, params, label }
+   * @param {Function} executor - ({ client, signal, setProgress(done, total) }) => Promise<result>
+   * @returns {Object} Job snapshot
+   */
+  trackJob({ nodeReference, commandType, params = {}, label }, executor) {
+    const job = this.createJob({ nodeReference, commandType, params, label, multiStep: true });
+
+    this.run(job.id, ({ client, signal }) => executor({
+      client,
+      signal,
+      setProgress: (done, total) => this.setProgress(job.id, done, total)
+    }));
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Start a batch delete / move / copy of any size: sent in chunks, with
+   * progress and a per-item report as the result
+   * @param {Object} batch - { nodeReference, commandType (batch_*), paths, destination, label }
+   * @returns {Object} Job snapshot
+   */
+  startBatchJob({ nodeReference, commandType, paths, destination = null, label }) {
+    const fields = destination ? { destination } : {};
+
+    return this.trackJob(
+      { nodeReference, commandType, params: { paths, ...fields }, label },
+      ({ client, signal, setProgress }) => client.runBatch(commandType, paths, fields, {
+        signal,
+        onProgress: setProgress
+      })
+    );
+  }
+
+  /**
+   * Run a finished batch job again for its failed items only
+   * @param {string} id - Batch job id
+   * @returns {Object} Snapshot of the new job
+   */
+  retryFailed(id) {
+    const job = this.jobs.get(id);
+    const paths = getFailedPaths(job?.result);
+    if (!job || paths.length === 0) {
+      throw new Error('No failed items to retry');
+    }
+
+    return this.startBatchJob({
+      nodeReference: job.nodeReference,
+      commandType: job.commandType,
+      paths,
+      destination: job.params.destination || null,
+      label: `${job.label.replace(/ \(retry\)$/, '')} (retry)`
+    });
+  }
+
+  /**
+   * Take over a streamed execute started elsewhere (the execution
+   * console's detach): the job ends with the run, and cancelling the job
+   * kills the process
+   * @param {RemoteExecution} execution - From RemoteNodeClient.streamCommand()
+   * @param {Object} [job] - { label }
+   * @returns {Object} Job snapshot
+   */
+  adoptExecution(execution, { label } = {}) {
+    const job = this.createJob({
+      nodeReference: execution.nodeReference,
+      commandType: REMOTE_COMMAND_TYPES.EXECUTE,
+      params: { command: execution.command, stream: true },
+      label: label || execution.command,
+      multiStep: false
+    });
+    this.update(job.id, { requestId: execution.requestId });
+
+    this.run(job.id, ({ signal }) => {
+      signal.addEventListener('abort', () => execution.kill(), { once: true });
+      return execution.done;
+    });
+    return this.getJob(job.id);
+  }
+
+  createJob({ nodeReference, commandType, params, label, multiStep }) {
+    if (!nodeReference || !commandType) {
+      throw new Error('nodeReference and commandType are required');
+    }
+
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      nodeReference,
+      commandType,
+      params: sanitizeAuditParams(params),
+      label: label || commandType,
+      multiStep,
+      state: JOB_STATE.RUNNING,
+      startedAt: Date.now(),
+      detachedAt: null,
+      finishedAt: null,
+      requestId: null,
+      progress: null,               // { done, total } from trackJob() executors
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    this.log('Started', job.label, 'on', nodeReference);
+    this.update(job.id, {});
+    return job;
+  }
+
+  async run(id, executor) {
+    const job = this.jobs.get(id);
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+
+    try {
+      const result = await executor({
+        client: this.getClient(job.nodeReference),
+        signal: controller.signal,
+        onDispatch: requestId => this.update(id, { requestId })
+      });
+      this.finish(id, { ...resultOutcome(result), result: compactResult(result) });
+    } catch (error) {
+      const current = this.jobs.get(id);
+      if (current?.state !== JOB_STATE.RUNNING) return;
+
+      if (!current.multiStep && current.requestId && DETACH_ERRORS.includes(error?.code)) {
+        this.log('Detached', current.label, '- waiting for', current.requestId);
+        this.update(id, { state: JOB_STATE.DETACHED, detachedAt: Date.now(), error: toJobError(error) });
+        this.watchDetached();
+        return;
+      }
+
+      this.finish(id, {
+        state: error?.code === ERROR_CODES.CANCELLED ? JOB_STATE.CANCELLED : JOB_STATE.FAILED,
+        error: toJobError(error)
+      });
+    } finally {
+      this.controllers.delete(id);
+    }
+  }
+
+  // ==================== State ====================
+
+  update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const updated = { ...job, ...changes };
+    this.jobs.set(id, updated);
+    this.save();
+    this.emit('stateChange', { ...updated });
+    return updated;
+  }
+
+  setProgress(id, done, total) {
+    const job = this.jobs.get(id);
+    if (!job || job.state !== JOB_STATE.RUNNING) return;
+
+    const updated = { ...job, progress: { done, total } };
+    this.jobs.set(id, updated);
+    this.emit('progress', updated);
+  }
+
+  finish(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_JOB_STATES.includes(job.state)) return;
+
+    const finished = this.update(id, { ...changes, finishedAt: Date.now() });
+    this.log('Finished', finished.label, '->', finished.state);
+    this.emit('finished', finished);
+
+    (this.waiters.get(id) || []).forEach(resolve => resolve(finished));
+    this.waiters.delete(id);
+    this.watchDetached();
+  }
+
+  /**
+   * Drop the oldest finished jobs past CONFIG.MAX_JOBS
+   */
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED_JOB_STATES.includes(job.state));
+    finished.slice(0, Math.max(0, this.jobs.size - CONFIG.MAX_JOBS)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  // ==================== Re-attach ====================
+
+  /**
+   * Listen for late answers while any job is detached; expire old ones
+   */
+  watchDetached() {
+    const detached = Array.from(this.jobs.values()).some(job => job.state === JOB_STATE.DETACHED);
+
+    if (detached && !this.listening) {
+      webSocketService.on('remoteCommandResponse', this.handleResponse);
+      this.listening = true;
+      this.expiryTimer = setInterval(() => this.expireDetached(), CONFIG.EXPIRY_CHECK_MS);
+    } else if (!detached && this.listening) {
+      webSocketService.off('remoteCommandResponse', this.handleResponse);
+      this.listening = false;
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+
+  handleResponse(message) {
+    const job = Array.from(this.jobs.values()).find(candidate => (
+      candidate.state === JOB_STATE.DETACHED && candidate.requestId === message.request_id
+    ));
+    if (!job) return;
+
+    this.log('Re-attached', job.label, 'via', message.request_id);
+    if (message.success) {
+      const result = message.result || {};
+      this.finish(job.id, { error: null, ...resultOutcome(result), result: compactResult(result) });
+    } else {
+      this.finish(job.id, {
+        state: JOB_STATE.FAILED,
+        error: toJobError(new RemoteCommandError(
+          message.error?.code || ERROR_CODES.COMMAND_FAILED,
+          message.error?.message || 'Command failed'
+        ))
+      });
+    }
+  }
+
+  expireDetached(now = Date.now()) {
+    this.jobs.forEach((job) => {
+      if (job.state === JOB_STATE.DETACHED && now - job.detachedAt >= CONFIG.DETACHED_TTL_MS) {
+        this.finish(job.id, {
+          state: JOB_STATE.LOST,
+          error: { code: ERROR_CODES.TIMEOUT, message: `No answer from the node within ${CONFIG.DETACHED_TTL_MS / 60000} minutes` }
+        });
+      }
+    });
+  }
+
+  // ==================== Control ====================
+
+  /**
+   * Cancel a running or detached job (the node is asked to stop)
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_JOB_STATES.includes(job.state)) return;
+
+    if (job.state === JOB_STATE.DETACHED) {
+      webSocketService.cancelRemoteCommand?.(job.nodeReference, job.requestId);
+    }
+    this.finish(id, { state: JOB_STATE.CANCELLED, error: { code: ERROR_CODES.CANCELLED, message: 'Cancelled' } });
+    this.controllers.get(id)?.abort();
+  }
+
+  /**
+   * Remove a finished job from the list
+   */
+  dismiss(id) {
+    const job = this.jobs.get(id);
+    if (!job || !FINISHED_JOB_STATES.includes(job.state)) return;
+
+    this.jobs.delete(id);
+    this.save();
+    this.emit('removed', { id });
+  }
+
+  clearFinished() {
+    Array.from(this.jobs.values())
+      .filter(job => FINISHED_JOB_STATES.includes(job.state))
+      .forEach(job => this.dismiss(job.id));
+  }
+
+  // ==================== Queries ====================
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * @returns {Object[]} Jobs, newest first
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).reverse().map(job => ({ ...job }));
+  }
+
+  /**
+   * @returns {Promise<Object>} Final job snapshot; never rejects
+   */
+  whenFinished(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_JOB_STATES.includes(job.state)) {
+      return Promise.resolve(job ? { ...job } : null);
+    }
+    return new Promise((resolve) => {
+      this.waiters.set(id, [...(this.waiters.get(id) || []), resolve]);
+    });
+  }
+}
+
+// Create singleton instance
+const jobService = new JobService();
+jobService.setMaxListeners(20);
+
+if (typeof window !== 'undefined') {
+  window.jobService = jobService;
+}
+
+export default jobService;
@@ -29,7 +29,15 @@
  * - Service is singleton to ensure single source of truth
  * - ALL existing APIs preserved for backward compatibility
  * 
- * Last Modified: v3.0.0 - Enhanced error handling and auto-retry
+ * - remote_auth is per socket: after a WebSocket reconnect the node forgets
+ *   it. restoreSession() re-sends the cached token (used by UploadService
+ *   to resume transfers)
+ * - authenticateWithToken() accepts a pre-issued token (CLI, scripts)
+ *   without going through the token API
+ * - Node error frames carry no node_reference, so only one remote_auth is
+ *   in flight per socket; parallel authentications (fan-out) queue up
+ * 
+ * Last Modified: v3.3.0 - One remote_auth in flight at a time
  * ============================================
  */
 
@@ -51,6 +59,12 @@ class RemoteAuthService {
     // Authentication state cache for reactivity
     this.authStateCache = new Map();
     
+    // In-flight remote_auth re-sends after a reconnect
+    this.restorePromises = new Map();
+
+    // Tail of the remote_auth queue (see _sendRemoteAuth)
+    this.remoteAuthQueue = Promise.resolve();
+    
     // Constants
     this.TOKEN_VALIDITY_MS = 59 * 60 * 1000; // 59 minutes
     this.AUTH_TIMEOUT_MS = 10000; // 10 seconds
@@ -368,35 +382,72 @@ class RemoteAuthService {
     }
 
     // Step 4: Store token with expiry
-    const tokenData = {
+    this._storeToken(nodeReference, jwtToken, Date.now() + this.TOKEN_VALIDITY_MS);
+
+    return {
+      success: true,
+      token: jwtToken
+    };
+  }
+
+  /**
+   * Authenticate with a pre-issued remote management token
+   * (generateRemoteManagementToken output handed to a script or the CLI);
+   * no wallet signature involved
+   * @param {string} nodeReference - Node the token was issued for
+   * @param {string} jwtToken - Token
+   * @param {number} [expiresAt] - Expiry (ms epoch); defaults to the usual validity
+   * @returns {Promise<Object>} { success, token } or { success: false, error, code }
+   */
+  async authenticateWithToken(nodeReference, jwtToken, expiresAt = Date.now() + this.TOKEN_VALIDITY_MS) {
+    if (!nodeReference || !jwtToken) {
+      return { success: false, error: 'Node reference and token are required' };
+    }
+
+    const authResult = await this._sendRemoteAuth(jwtToken, nodeReference);
+    if (!authResult.success) {
+      this.emit(nodeReference, 'error', { message: authResult.error, code: authResult.code });
+      return authResult;
+    }
+
+    this._storeToken(nodeReference, jwtToken, expiresAt);
+    return { success: true, token: jwtToken };
+  }
+
+  /**
+   * Cache an accepted token and announce it
+   */
+  _storeToken(nodeReference, jwtToken, expiresAt) {
+    this.tokens.set(nodeReference, {
       token: jwtToken,
       nodeReference,
       createdAt: Date.now(),
-      expiresAt: Date.now() + this.TOKEN_VALIDITY_MS
-    };
-
-    this.tokens.set(nodeReference, tokenData);
+      expiresAt
+    });
     this.authStateCache.set(nodeReference, true);
     this.authRetryCount.set(nodeReference, 0); // Reset on success
 
     console.log('[RemoteAuthService] Authentication successful for node:', nodeReference);
 
-    // Emit success event
     this.emit(nodeReference, 'authenticated', { nodeReference, token: jwtToken });
 
-    // Schedule token cleanup
-    this._scheduleTokenCleanup(nodeReference, this.TOKEN_VALIDITY_MS);
+    this._scheduleTokenCleanup(nodeReference, expiresAt - Date.now());
+  }
 
-    return {
-      success: true,
-      token: jwtToken
-    };
+  /**
+   * Send remote_auth and wait for its answer, one node at a time: an
+   * `error` frame does not say which remote_auth it answers
+   */
+  _sendRemoteAuth(jwtToken, nodeReference) {
+    const attempt = this.remoteAuthQueue.then(() => this._sendRemoteAuthFrame(jwtToken, nodeReference));
+    this.remoteAuthQueue = attempt;
+    return attempt;
   }
 
   /**
    * Send remote_auth message and wait for response - ENHANCED error handling
    */
-  async _sendRemoteAuth(jwtToken, nodeReference) {
+  async _sendRemoteAuthFrame(jwtToken, nodeReference) {
     return new Promise((resolve) => {
       const timeout = setTimeout(() => {
         webSocketService.off('message', handleMessage);
@@ -407,8 +458,9 @@ class RemoteAuthService {
       }, this.AUTH_TIMEOUT_MS);
 
       const handleMessage = (message) => {
-        // Check for success
-        if (message.type === 'remote_auth_success') {
+        // Check for success (ignoring confirmations for other nodes)
+        if (message.type === 'remote_auth_success' &&
+            (!message.node_reference || message.node_reference === nodeReference)) {
           clearTimeout(timeout);
           webSocketService.off('message', handleMessage);
           resolve({ success: true });
@@ -465,6 +517,37 @@ class RemoteAuthService {
     });
   }
 
+  /**
+   * Re-send remote_auth with the cached token on the current socket
+   * Needed after a WebSocket reconnect; no wallet signature involved.
+   * @returns {Promise<boolean>} Whether the node accepted the token
+   */
+  async restoreSession(nodeReference) {
+    const token = this.getToken(nodeReference);
+    if (!token) {
+      return false;
+    }
+    
+    if (this.restorePromises.has(nodeReference)) {
+      return this.restorePromises.get(nodeReference);
+    }
+    
+    const restorePromise = this._sendRemoteAuth(token, nodeReference).then((result) => {
+      if (!result.success) {
+        console.warn('[RemoteAuthService] Session restore failed for node:', nodeReference, result.error);
+        if (['INVALID_JWT', 'INVALID_TOKEN', 'AUTH_FAILED'].includes(result.code)) {
+          this.clearToken(nodeReference);
+        }
+      }
+      return result.success;
+    }).finally(() => {
+      this.restorePromises.delete(nodeReference);
+    });
+    
+    this.restorePromises.set(nodeReference, restorePromise);
+    return restorePromise;
+  }
+
   /**
    * Schedule automatic token cleanup
    */
@@ -502,6 +585,7 @@ class RemoteAuthService {
     
     this.tokens.clear();
     this.authenticationPromises.clear();
+    this.restorePromises.clear();
     this.authStateCache.clear();
     this.authRetryCount.clear();
     console.log('[RemoteAuthService] Cleared all tokens');
@@ -0,0 +1,293 @@
+/**
+ * ============================================
+ * File: src/services/SafetyPolicyService.js
+ * ============================================
+ * Safety policy service - Gate destructive remote operations
+ *
+ * Creation Reason: Nothing stood between a click (or a fan-out run) and
+ * `delete_directory /` or `execute rm -rf`; this service applies the
+ * safety policy before a command leaves the browser
+ * Main Functionality:
+ * 1. authorize(): evaluate a command against the node's policy
+ *    (safetyPolicyStore); resolve to send it, reject to stop it
+ * 2. authorizeTerminalInput(): the same for text pasted into a terminal
+ * 3. Typed confirmations: 'confirmationRequired' for the dialog
+ *    (SafetyConfirmationHost), confirm(id, typedText) / decline(id)
+ * Dependencies: safetyPolicyStore, lib/utils/safetyPolicy,
+ * lib/utils/auditLog (sanitizeAuditParams), remoteCommandErrors
+ *
+ * Main Logical Flow:
+ * 1. RemoteNodeClient (options.safety), TerminalService and the upload
+ *    hook call authorize() before sending
+ * 2. allow -> resolve; block -> POLICY_BLOCKED
+ * 3. confirm -> one pending request per identical operation; every caller
+ *    waits on it, so a fan-out run asks once, not once per node
+ * 4. The typed text must equal decision.confirmText; declining rejects
+ *    the waiters with CANCELLED
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Without a 'confirmationRequired' listener (SSR, scripts, the CLI)
+ *   confirm outcomes reject with CONFIRMATION_REQUIRED instead of waiting
+ * - A confirmed operation is approved again without asking for
+ *   CONFIG.APPROVAL_TTL_MS, so fan-out nodes queued behind the first ones
+ *   do not ask again; the key includes the full parameters
+ * - Aborting a caller's signal only withdraws that caller; the request is
+ *   dropped when no caller is left
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import useSafetyPolicyStore from '../stores/safetyPolicyStore';
+import {
+  SAFETY_OUTCOMES,
+  resolveNodePolicy,
+  evaluateCommand,
+  evaluateTerminalInput
+} from '../lib/utils/safetyPolicy';
+import { sanitizeAuditParams } from '../lib/utils/auditLog';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+
+const CONFIG = {
+  APPROVAL_TTL_MS: 60000
+};
+
+// Operation type of pasted terminal text (not a remote command)
+export const TERMINAL_INPUT = 'terminal_input';
+
+function describeReasons(decision) {
+  return decision.reasons.map(reason => reason.reason).join('; ');
+}
+
+/**
+ * Request as given to listeners (without the waiting callers)
+ */
+function toPublicRequest(request) {
+  return {
+    id: request.id,
+    commandType: request.commandType,
+    params: request.params,
+    decision: request.decision,
+    nodeReferences: [...request.nodeReferences],
+    createdAt: request.createdAt
+  };
+}
+
+/**
+ * Safety Policy Service Class
+ */
+class SafetyPolicyService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.requests = new Map();   // id -> { id, key, ..., waiters }
+    this.approvals = new Map();  // key -> expiry timestamp
+    this.debug = true;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[SafetyPolicyService]', ...args);
+    }
+  }
+
+  // ==================== Evaluation ====================
+
+  /**
+   * Effective policy for one node (defaults + override)
+   */
+  getNodePolicy(nodeReference) {
+    return resolveNodePolicy(useSafetyPolicyStore.getState(), nodeReference);
+  }
+
+  /**
+   * @returns {Object} evaluateCommand() decision, nothing enforced
+   */
+  evaluate(nodeReference, commandType, commandData = {}) {
+    return evaluateCommand(this.getNodePolicy(nodeReference), commandType, commandData);
+  }
+
+  /**
+   * Gate one remote command
+   * @param {string} nodeReference
+   * @param {string} commandType - REMOTE_COMMAND_TYPES / AUDIT_EVENT_TYPES value
+   * @param {Object} commandData - Command fields as sent
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} The decision, once the command may be sent
+   */
+  authorize(nodeReference, commandType, commandData = {}, options = {}) {
+    const decision = this.evaluate(nodeReference, commandType, commandData);
+    return this.enforce(decision, {
+      nodeReference,
+      commandType,
+      params: sanitizeAuditParams(commandData)
+    }, options.signal);
+  }
+
+  /**
+   * Gate text pasted into a terminal session
+   * @param {string} nodeReference
+   * @param {string} text - Pasted text
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} The decision, once the text may be sent
+   */
+  authorizeTerminalInput(nodeReference, text, options = {}) {
+    const decision = evaluateTerminalInput(this.getNodePolicy(nodeReference), text);
+    return this.enforce(decision, {
+      nodeReference,
+      commandType: TERMINAL_INPUT,
+      params: sanitizeAuditParams({ input: text })
+    }, options.signal);
+  }
+
+  async enforce(decision, context, signal) {
+    if (decision.outcome === SAFETY_OUTCOMES.ALLOW) {
+      return decision;
+    }
+
+    if (decision.outcome === SAFETY_OUTCOMES.BLOCK) {
+      this.log('Blocked', context.commandType, 'on', context.nodeReference, '-', describeReasons(decision));
+      throw new RemoteCommandError(
+        ERROR_CODES.POLICY_BLOCKED,
+        `Blocked by the safety policy: ${describeReasons(decision)}`,
+        { reasons: decision.reasons }
+      );
+    }
+
+    await this.requestConfirmation(decision, context, signal);
+    return decision;
+  }
+
+  // ==================== Confirmations ====================
+
+  /**
+   * Wait for a typed confirmation, sharing one request between identical
+   * operations
+   */
+  requestConfirmation(decision, context, signal) {
+    const key = `${context.commandType}|${decision.confirmText}|${JSON.stringify(context.params)}`;
+    const now = Date.now();
+
+    if ((this.approvals.get(key) || 0) > now) {
+      return Promise.resolve();
+    }
+    if (this.listenerCount('confirmationRequired') === 0) {
+      return Promise.reject(new RemoteCommandError(
+        ERROR_CODES.CONFIRMATION_REQUIRED,
+        `Typed confirmation required: ${describeReasons(decision)}`,
+        { reasons: decision.reasons }
+      ));
+    }
+
+    let request = Array.from(this.requests.values()).find(candidate => candidate.key === key);
+    const isNew = !request;
+    if (isNew) {
+      request = {
+        id: `confirm_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        key,
+        commandType: context.commandType,
+        params: context.params,
+        decision,
+        nodeReferences: [],
+        createdAt: now,
+        waiters: new Set()
+      };
+      this.requests.set(request.id, request);
+    }
+    if (!request.nodeReferences.includes(context.nodeReference)) {
+      request.nodeReferences.push(context.nodeReference);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+      const onAbort = () => {
+        request.waiters.delete(waiter);
+        reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+        if (request.waiters.size === 0) {
+          this.settle(request, false);
+        }
+      };
+
+      request.waiters.add(waiter);
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    if (this.requests.has(request.id)) {
+      this.emit(isNew ? 'confirmationRequired' : 'confirmationUpdated', toPublicRequest(request));
+    }
+    return promise;
+  }
+
+  /**
+   * Confirm a pending request
+   * @param {string} id - Request id
+   * @param {string} typedText - What the user typed
+   * @returns {boolean} false when the text does not match (still pending)
+   */
+  confirm(id, typedText) {
+    const request = this.requests.get(id);
+    if (!request || typedText !== request.decision.confirmText) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.approvals.forEach((expiresAt, key) => {
+      if (expiresAt <= now) this.approvals.delete(key);
+    });
+    this.approvals.set(request.key, now + CONFIG.APPROVAL_TTL_MS);
+
+    this.log('Confirmed', request.commandType, 'on', request.nodeReferences.join(', '));
+    this.settle(request, true);
+    return true;
+  }
+
+  /**
+   * Decline a pending request; its callers reject with CANCELLED
+   */
+  decline(id) {
+    const request = this.requests.get(id);
+    if (request) {
+      this.settle(request, false);
+    }
+  }
+
+  settle(request, confirmed) {
+    this.requests.delete(request.id);
+    request.waiters.forEach(waiter => (confirmed
+      ? waiter.resolve()
+      : waiter.reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Not confirmed'))));
+    request.waiters.clear();
+    this.emit('confirmationResolved', { id: request.id, confirmed });
+  }
+
+  /**
+   * Pending requests, oldest first
+   */
+  getPendingConfirmations() {
+    return Array.from(this.requests.values()).map(toPublicRequest);
+  }
+}
+
+// Create singleton instance
+const safetyPolicyService = new SafetyPolicyService();
+safetyPolicyService.setMaxListeners(20);
+
+if (typeof window !== 'undefined') {
+  window.safetyPolicyService = safetyPolicyService;
+}
+
+export default safetyPolicyService;
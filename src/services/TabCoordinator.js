@@ -0,0 +1,360 @@
+/**
+ * ============================================
+ * File: src/services/TabCoordinator.js
+ * ============================================
+ * Tab coordinator - One authenticated socket shared by all dashboard tabs
+ *
+ * Creation Reason: Every open tab opened its own socket, signed its own
+ * auth message and held its own remote-auth state
+ *
+ * Main Functionality:
+ * 1. Leader election with the Web Locks API: the tab holding LOCK_NAME is
+ *    the leader; the others queue for the lock
+ * 2. The leader owns the WebSocketService socket and relays inbound frames
+ *    (status updates, terminal streams, remote command responses) and its
+ *    connection state over a BroadcastChannel
+ * 3. Followers put WebSocketService in relay mode: their frames are sent
+ *    by the leader, their state mirrors the leader's
+ * 4. Failover: when the leader closes (pagehide) or dies, the browser
+ *    grants the lock to the next tab, which connects with the mirrored
+ *    session token (no new signature); other followers re-attach
+ *
+ * Channel messages: { kind, leaderId, ... }
+ * - leader → all:      'leader', 'state' { state }, 'frame' { data }, 'leaving'
+ *   ('state' is re-sent on connection state and telemetry changes)
+ * - follower → leader: 'hello', 'send' { frame }, 'reconnect'
+ *
+ * Dependencies: WebSocketService
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Without BroadcastChannel or navigator.locks every tab is STANDALONE
+ *   (its own socket, the previous behavior)
+ * - Requests in flight on a follower are rejected on failover; their
+ *   responses went to the old leader's socket
+ * - Frames are relayed to every follower; request_id / session_id keep
+ *   tabs from acting on each other's responses
+ *
+ * Last Modified: v1.1.0 - Mirror link telemetry to follower tabs
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+
+const CONFIG = {
+  CHANNEL_NAME: 'aeronyx-ws-relay',
+  LOCK_NAME: 'aeronyx-ws-leader'
+};
+
+export const TAB_ROLE = {
+  STANDALONE: 'standalone',
+  LEADER: 'leader',
+  FOLLOWER: 'follower'
+};
+
+const MESSAGE_KIND = {
+  LEADER: 'leader',
+  STATE: 'state',
+  FRAME: 'frame',
+  LEAVING: 'leaving',
+  HELLO: 'hello',
+  SEND: 'send',
+  RECONNECT: 'reconnect'
+};
+
+// Kinds only the leader sends (followers also hear each other)
+const LEADER_KINDS = new Set([
+  MESSAGE_KIND.LEADER,
+  MESSAGE_KIND.STATE,
+  MESSAGE_KIND.FRAME,
+  MESSAGE_KIND.LEAVING
+]);
+
+/**
+ * Tab Coordinator Class
+ */
+class TabCoordinator extends EventEmitter {
+  constructor() {
+    super();
+
+    this.tabId = `tab_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    this.role = TAB_ROLE.STANDALONE;
+    this.started = false;
+    this.channel = null;
+    this.leaderId = null;              // Follower: current leader tab
+    this.releaseLeadership = null;     // Leader: resolves the held lock
+    this.resigned = false;             // Leader released the lock on pagehide
+
+    this.relay = {
+      send: (frame) => this.sendToLeader(frame),
+      hello: () => this.post(MESSAGE_KIND.HELLO),
+      reconnect: () => this.post(MESSAGE_KIND.RECONNECT)
+    };
+
+    this.handleRelay = (data) => this.post(MESSAGE_KIND.FRAME, { data });
+    this.handleConnectionState = () => this.broadcastState();
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+
+    this.debug = true;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[TabCoordinator]', ...args);
+    }
+  }
+
+  /**
+   * Join the election (idempotent, browser only)
+   */
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+
+    if (typeof BroadcastChannel === 'undefined' || !navigator.locks) {
+      this.log('BroadcastChannel/Web Locks unavailable - standalone tab');
+      return;
+    }
+
+    this.channel = new BroadcastChannel(CONFIG.CHANNEL_NAME);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('pageshow', this.handlePageShow);
+
+    this.elect();
+  }
+
+  /**
+   * Take the lock if free, otherwise follow and queue for it
+   */
+  elect() {
+    navigator.locks.request(CONFIG.LOCK_NAME, { ifAvailable: true }, (lock) => {
+      if (lock) {
+        return this.holdLeadership();
+      }
+
+      this.becomeFollower();
+      // Queue for leadership; granted when the current leader goes away
+      navigator.locks.request(CONFIG.LOCK_NAME, () => this.holdLeadership());
+      return undefined;
+    });
+  }
+
+  /**
+   * Post a channel message
+   */
+  post(kind, payload = {}) {
+    if (!this.channel) return false;
+
+    try {
+      this.channel.postMessage({ kind, from: this.tabId, leaderId: this.leaderId, ...payload });
+      return true;
+    } catch (error) {
+      console.error('[TabCoordinator] Failed to post message:', error);
+      return false;
+    }
+  }
+
+  setRole(role) {
+    if (this.role === role) return;
+    this.role = role;
+    this.log('Role:', role);
+    this.emit('roleChange', { role, tabId: this.tabId, leaderId: this.leaderId });
+  }
+
+  // ==================== Leader ====================
+
+  /**
+   * Lock callback: lead until the returned promise resolves
+   */
+  holdLeadership() {
+    this.becomeLeader();
+    return new Promise(resolve => {
+      this.releaseLeadership = resolve;
+    });
+  }
+
+  becomeLeader() {
+    this.leaderId = this.tabId;
+    this.setRole(TAB_ROLE.LEADER);
+
+    webSocketService.detachRelay();
+    webSocketService.on('relay', this.handleRelay);
+    webSocketService.on('connectionState', this.handleConnectionState);
+    webSocketService.on('telemetry', this.handleConnectionState);
+
+    this.post(MESSAGE_KIND.LEADER);
+    this.broadcastState();
+
+    // Take over the connection with the mirrored session (no new signature)
+    if (webSocketService.walletAddress) {
+      webSocketService.enableReconnection();
+      webSocketService.connect({
+        walletAddress: webSocketService.walletAddress,
+        wallet: webSocketService.walletProvider
+      });
+    }
+  }
+
+  broadcastState() {
+    if (this.role !== TAB_ROLE.LEADER) return;
+    this.post(MESSAGE_KIND.STATE, { state: webSocketService.getLeaderState() });
+  }
+
+  /**
+   * Follower message handling on the leader side
+   */
+  handleFollowerMessage(message) {
+    switch (message.kind) {
+      case MESSAGE_KIND.HELLO:
+        this.broadcastState();
+        break;
+
+      case MESSAGE_KIND.SEND: {
+        let frame;
+        try {
+          frame = JSON.parse(message.frame);
+        } catch (error) {
+          return;
+        }
+        webSocketService.send(frame);
+        break;
+      }
+
+      case MESSAGE_KIND.RECONNECT:
+        webSocketService.reconnect();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // ==================== Follower ====================
+
+  becomeFollower() {
+    this.setRole(TAB_ROLE.FOLLOWER);
+    webSocketService.attachRelay(this.relay);
+  }
+
+  /**
+   * relay.send(): false while no leader is known so send() reports failure
+   */
+  sendToLeader(frame) {
+    if (!this.leaderId) return false;
+    return this.post(MESSAGE_KIND.SEND, { frame });
+  }
+
+  /**
+   * The leader changed or left: drop in-flight work and follow the next one
+   */
+  handleLeaderLost() {
+    this.leaderId = null;
+    webSocketService.detachRelay();
+    webSocketService.attachRelay(this.relay);
+  }
+
+  /**
+   * Leader message handling on the follower side
+   */
+  handleLeaderMessage(message) {
+    if (message.kind === MESSAGE_KIND.LEAVING) {
+      if (message.from === this.leaderId) {
+        this.log('Leader tab closing');
+        this.handleLeaderLost();
+      }
+      return;
+    }
+
+    // A different leader means the previous one died without 'leaving'
+    if (this.leaderId && message.from !== this.leaderId) {
+      this.log('New leader tab', message.from);
+      this.handleLeaderLost();
+    }
+    this.leaderId = message.from;
+
+    switch (message.kind) {
+      case MESSAGE_KIND.LEADER:
+        this.relay.hello();
+        break;
+
+      case MESSAGE_KIND.STATE:
+        webSocketService.applyLeaderState(message.state);
+        break;
+
+      case MESSAGE_KIND.FRAME:
+        webSocketService.receiveRelayedFrame(message.data);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // ==================== Channel ====================
+
+  handleMessage(message) {
+    // A resigned leader must stay silent or followers flap between leaders
+    if (!message || message.from === this.tabId || this.resigned) return;
+
+    const fromLeader = LEADER_KINDS.has(message.kind);
+    if (this.role === TAB_ROLE.LEADER && !fromLeader) {
+      this.handleFollowerMessage(message);
+    } else if (this.role === TAB_ROLE.FOLLOWER && fromLeader) {
+      this.handleLeaderMessage(message);
+    }
+  }
+
+  /**
+   * Leader tab closing: tell followers, then release the lock
+   */
+  handlePageHide() {
+    if (this.role !== TAB_ROLE.LEADER) return;
+
+    this.resigned = true;
+    this.post(MESSAGE_KIND.LEAVING);
+    webSocketService.off('relay', this.handleRelay);
+    webSocketService.off('connectionState', this.handleConnectionState);
+    webSocketService.off('telemetry', this.handleConnectionState);
+
+    if (this.releaseLeadership) {
+      this.releaseLeadership();
+      this.releaseLeadership = null;
+    }
+  }
+
+  /**
+   * Page restored from the back/forward cache after resigning: rejoin
+   */
+  handlePageShow(event) {
+    if (!event.persisted || !this.resigned) return;
+
+    this.resigned = false;
+    this.leaderId = null;
+    this.role = TAB_ROLE.STANDALONE;
+    this.elect();
+  }
+
+  /**
+   * Current role snapshot
+   */
+  getStatus() {
+    return {
+      tabId: this.tabId,
+      role: this.role,
+      leaderId: this.role === TAB_ROLE.LEADER ? this.tabId : this.leaderId
+    };
+  }
+}
+
+// Create singleton instance
+const tabCoordinator = new TabCoordinator();
+
+if (typeof window !== 'undefined') {
+  window.tabCoordinator = tabCoordinator;
+}
+
+export { CONFIG as TAB_COORDINATOR_CONFIG };
+
+export default tabCoordinator;
@@ -7,7 +7,8 @@
  * Creation Reason: Terminal session lifecycle management
  * Modification Reason: Support both explicit term_ready and auto-ready fallback
  * Main Functionality: Terminal session management with robust initialization
- * Dependencies: webSocketService, EventEmitter
+ * Dependencies: webSocketService, AuditLogService, SafetyPolicyService,
+ * CapabilityService, EventEmitter
  * 
  * Main Logical Flow:
  * 1. Create terminal session with unique ID
@@ -20,13 +21,24 @@
  * - Also works with backends that don't send term_ready
  * - Auto-ready after 1 second as fallback
  * - All existing functionality preserved
+ * - Session start / stop is recorded in the audit log (AuditLogService)
+ * - Sessions pass the safety policy first: read-only node profiles get
+ *   no terminal (POLICY_BLOCKED, audited as a failed start)
+ * - Nodes whose agent reports no terminal support fail before term_init
+ *   with UNSUPPORTED_COMMAND (CapabilityService)
  * 
- * Last Modified: v3.0.0 - Complete fix with auto-ready fallback
+ * Last Modified: v3.3.0 - Agent capability check on session start
  * ============================================
  */
 
 import webSocketService from './WebSocketService';
+import auditLogService from './AuditLogService';
+import safetyPolicyService from './SafetyPolicyService';
+import capabilityService from './CapabilityService';
 import EventEmitter from 'events';
+import { AUDIT_EVENT_TYPES, AUDIT_STATUS } from '../lib/utils/auditLog';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+import { NODE_FEATURES } from '../lib/utils/nodeCapabilities';
 
 // Terminal session states
 const TERMINAL_STATE = {
@@ -475,16 +487,44 @@ class TerminalService extends EventEmitter {
     // This is important so WebSocket events can find the session
     this.sessions.set(sessionId, session);
     
+    const startedAt = Date.now();
+    const auditParams = { session_id: sessionId, rows: options.rows, cols: options.cols, cwd: options.cwd, env: options.env };
+    let openedAt = null;
+
     // Listen for session closed event
     session.once('closed', () => {
       this.sessions.delete(sessionId);
       this.emit('sessionClosed', sessionId);
+      if (openedAt) {
+        auditLogService.record({
+          node_reference: nodeReference,
+          type: AUDIT_EVENT_TYPES.TERMINAL_STOP,
+          params: auditParams,
+          status: AUDIT_STATUS.SUCCEEDED,
+          duration_ms: Date.now() - openedAt
+        });
+      }
     });
     
     try {
+      const unsupported = capabilityService.getUnsupportedReason(nodeReference, NODE_FEATURES.TERMINAL);
+      if (unsupported) {
+        throw new RemoteCommandError(ERROR_CODES.UNSUPPORTED_COMMAND, unsupported, { command: NODE_FEATURES.TERMINAL });
+      }
+      await safetyPolicyService.authorize(nodeReference, AUDIT_EVENT_TYPES.TERMINAL_START, auditParams);
+
       // Initialize session
       await session.initialize(options);
       
+      openedAt = Date.now();
+      auditLogService.record({
+        node_reference: nodeReference,
+        type: AUDIT_EVENT_TYPES.TERMINAL_START,
+        params: auditParams,
+        status: AUDIT_STATUS.SUCCEEDED,
+        duration_ms: openedAt - startedAt
+      });
+
       // Emit session created event
       this.emit('sessionCreated', session);
       
@@ -492,6 +532,15 @@ class TerminalService extends EventEmitter {
     } catch (error) {
       // Clean up failed session
       this.sessions.delete(sessionId);
+      auditLogService.record({
+        node_reference: nodeReference,
+        type: AUDIT_EVENT_TYPES.TERMINAL_START,
+        params: auditParams,
+        status: AUDIT_STATUS.FAILED,
+        error_code: error?.code || ERROR_CODES.OPERATION_FAILED,
+        error_message: error?.message || String(error),
+        duration_ms: Date.now() - startedAt
+      });
       throw error;
     }
   }
@@ -0,0 +1,647 @@
+/**
+ * ============================================
+ * File: src/services/UploadService.js
+ * ============================================
+ * Upload service - Chunked, resumable file uploads to remote nodes
+ *
+ * Creation Reason: The single `upload` command sends the whole file in one
+ * frame and is capped at FILE_SIZE_LIMITS.MAX_UPLOAD_SIZE (50MB). Node
+ * snapshots and binaries are several GB.
+ * Main Functionality:
+ * 1. upload_begin -> upload_chunk x N -> upload_commit, with up to
+ *    CHUNKED_UPLOAD.MAX_IN_FLIGHT unacknowledged chunks
+ * 2. SHA-256 built incrementally from acknowledged chunks and verified
+ *    by the node on commit
+ * 3. Pause / resume / cancel, progress events
+ * 4. Automatic resume after a WebSocket reconnect: remote_auth is restored
+ *    with the cached token, upload_status gives the node's offset
+ * Dependencies: WebSocketService, RemoteAuthService, remoteCommands,
+ * remoteCommandErrors, sha256
+ *
+ * Events (payload is the upload snapshot, see getUpload()):
+ * - 'progress'     chunk acknowledged
+ * - 'stateChange'  state changed (UPLOAD_STATE)
+ * - 'completed'    node verified the checksum and wrote the file
+ * - 'failed'       gave up (snapshot.error has code/message)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Sources are read lazily (Blob.slice), so a multi-GB File never sits in
+ *   memory. Strings are UTF-8 encoded up front.
+ * - The node's offset is the truth. On OFFSET_MISMATCH or after a
+ *   reconnect we ask for it and re-hash from the source if it moved past
+ *   what we saw acknowledged.
+ * - Upload sessions live on the node, not the socket; cancel() sends
+ *   upload_abort so the node can free the partial file
+ *
+ * Last Modified: v1.2.0 - Resume once per reconnect; log() behind debug
+ * ============================================
+ */
+
+import EventEmitter from 'events';
+import webSocketService from './WebSocketService';
+import remoteAuthService from './RemoteAuthService';
+import { WS_MESSAGE_TYPES } from '../lib/constants/wsProtocol';
+import {
+  REMOTE_COMMAND_TYPES,
+  CHUNKED_UPLOAD,
+  validatePath,
+  validateFileSize,
+  getCommandTimeout
+} from '../lib/constants/remoteCommands';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+import { Sha256 } from '../lib/utils/sha256';
+
+export const UPLOAD_STATE = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  WAITING: 'waiting',         // Connection lost, resumes on reconnect
+  VERIFYING: 'verifying',     // upload_commit sent
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATES = [UPLOAD_STATE.COMPLETED, UPLOAD_STATE.FAILED, UPLOAD_STATE.CANCELLED];
+
+// Errors that mean "the socket went away" rather than "the node refused"
+const CONNECTION_ERRORS = [ERROR_CODES.CONNECTION_LOST, ERROR_CODES.NETWORK_ERROR];
+
+// Retried (CHUNK_RETRIES times in a row) after re-reading the node's offset
+const RECOVERABLE_ERRORS = [
+  ...CONNECTION_ERRORS,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.UNAUTHORIZED,
+  ERROR_CODES.UPLOAD_OFFSET_MISMATCH,
+  ERROR_CODES.UPLOAD_NOT_FOUND
+];
+
+/**
+ * Normalize an upload source
+ * @returns {Object} { size, read(start, end) -> Promise<Uint8Array> }
+ */
+function createReader(source) {
+  if (typeof source === 'string') {
+    source = new TextEncoder().encode(source);
+  }
+
+  if (source instanceof ArrayBuffer) {
+    source = new Uint8Array(source);
+  }
+
+  if (ArrayBuffer.isView(source)) {
+    const bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    return {
+      size: bytes.length,
+      read: async (start, end) => bytes.subarray(start, end)
+    };
+  }
+
+  if (source && typeof source.slice === 'function' && typeof source.size === 'number') {
+    return {
+      size: source.size,
+      read: async (start, end) => new Uint8Array(await source.slice(start, end).arrayBuffer())
+    };
+  }
+
+  throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'Upload source must be a File, Blob, bytes or text');
+}
+
+/**
+ * Upload Service Class
+ */
+class UploadService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.uploads = new Map();   // id -> upload record
+    this.seq = 0;
+
+    // 'connectionState' fires for authenticated and again for monitoring;
+    // only the change into authenticated resumes
+    this.wasAuthenticated = webSocketService.isAuthenticated;
+    this.debug = true;
+
+    webSocketService.on('connectionState', (state) => this.handleConnectionState(state));
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[UploadService]', ...args);
+    }
+  }
+
+  // ==================== Public API ====================
+
+  /**
+   * Start a chunked upload
+   * @param {Object} options
+   * @param {string} options.nodeReference - Target node
+   * @param {string} options.path - Destination path on the node
+   * @param {File|Blob|Uint8Array|ArrayBuffer|string} options.source - Content
+   * @param {boolean} [options.overwrite=true] - Replace an existing file
+   * @param {number} [options.chunkSize] - Bytes per chunk
+   * @param {AbortSignal} [options.signal] - Aborting cancels the upload
+   * @returns {string} Upload id
+   */
+  startUpload({ nodeReference, path, source, overwrite = true, chunkSize = CHUNKED_UPLOAD.CHUNK_SIZE, signal = null }) {
+    if (!nodeReference) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PARAMETERS, 'nodeReference is required');
+    }
+
+    const pathCheck = validatePath(path);
+    if (!pathCheck.valid) {
+      throw new RemoteCommandError(ERROR_CODES.INVALID_PATH, pathCheck.error);
+    }
+
+    const reader = createReader(source);
+    const sizeCheck = validateFileSize(reader.size, 'chunked_upload');
+    if (!sizeCheck.valid) {
+      throw new RemoteCommandError(ERROR_CODES.FILE_TOO_LARGE, sizeCheck.error);
+    }
+
+    let settle;
+    const done = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    done.catch(() => {});   // Callers that never wait must not see unhandled rejections
+
+    const upload = {
+      id: `upload_${Date.now()}_${++this.seq}`,
+      nodeReference,
+      path,
+      name: source?.name || path.split('/').pop(),
+      size: reader.size,
+      overwrite,
+      chunkSize: Math.max(1, Math.floor(chunkSize)),
+      reader,
+
+      state: UPLOAD_STATE.PENDING,
+      uploadId: null,         // Node-side session id
+      offset: 0,              // Bytes acknowledged and hashed
+      acked: new Map(),       // offset -> bytes, acknowledged out of order
+      hasher: new Sha256(),
+      needsSync: false,
+      attempts: 0,
+      running: null,
+      resumeTimer: null,
+
+      result: null,
+      error: null,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      rate: { time: Date.now(), offset: 0, bytesPerSecond: 0 },
+
+      done,
+      settle
+    };
+
+    this.uploads.set(upload.id, upload);
+    this.log('Starting upload', upload.id, path, reader.size, 'bytes');
+
+    this.start(upload);
+    this.bindSignal(upload.id, signal);
+    return upload.id;
+  }
+
+  /**
+   * Promise for an upload's outcome
+   * @returns {Promise<Object>} upload_commit result; rejects with RemoteCommandError
+   */
+  waitForUpload(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) {
+      return Promise.reject(new RemoteCommandError(ERROR_CODES.UPLOAD_NOT_FOUND, `Unknown upload ${id}`));
+    }
+    return upload.done;
+  }
+
+  /**
+   * Stop sending chunks (in-flight chunks still complete)
+   */
+  pause(id) {
+    const upload = this.uploads.get(id);
+    if (!upload || ![UPLOAD_STATE.PENDING, UPLOAD_STATE.UPLOADING, UPLOAD_STATE.WAITING].includes(upload.state)) {
+      return false;
+    }
+
+    this.clearResumeTimer(upload);
+    this.setState(upload, UPLOAD_STATE.PAUSED);
+    return true;
+  }
+
+  /**
+   * Continue a paused upload
+   */
+  resume(id) {
+    const upload = this.uploads.get(id);
+    if (!upload || upload.state !== UPLOAD_STATE.PAUSED) {
+      return false;
+    }
+
+    upload.needsSync = upload.uploadId !== null;
+    upload.attempts = 0;
+    this.start(upload);
+    return true;
+  }
+
+  /**
+   * Cancel an upload and discard the partial file on the node
+   */
+  cancel(id) {
+    const upload = this.uploads.get(id);
+    if (!upload || FINISHED_STATES.includes(upload.state)) {
+      return false;
+    }
+
+    this.clearResumeTimer(upload);
+    this.setState(upload, UPLOAD_STATE.CANCELLED);
+    upload.acked.clear();
+    upload.settle.reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Upload cancelled'));
+
+    if (upload.uploadId && webSocketService.isAuthenticated) {
+      this.sendCommand(upload, REMOTE_COMMAND_TYPES.UPLOAD_ABORT, { upload_id: upload.uploadId })
+        .catch(error => this.log('upload_abort failed:', error.message));
+    }
+    return true;
+  }
+
+  /**
+   * Cancel when the caller's AbortSignal fires
+   */
+  bindSignal(id, signal) {
+    if (!signal) return;
+    if (signal.aborted) {
+      this.cancel(id);
+      return;
+    }
+    signal.addEventListener('abort', () => this.cancel(id), { once: true });
+  }
+
+  /**
+   * Snapshot of one upload
+   */
+  getUpload(id) {
+    const upload = this.uploads.get(id);
+    return upload ? this.toSnapshot(upload) : null;
+  }
+
+  /**
+   * Snapshots of all uploads, optionally for one node
+   */
+  getUploads(nodeReference = null) {
+    return Array.from(this.uploads.values())
+      .filter(upload => !nodeReference || upload.nodeReference === nodeReference)
+      .map(upload => this.toSnapshot(upload));
+  }
+
+  /**
+   * Forget completed, failed and cancelled uploads
+   */
+  clearFinished() {
+    this.uploads.forEach((upload, id) => {
+      if (FINISHED_STATES.includes(upload.state)) {
+        this.uploads.delete(id);
+      }
+    });
+    this.emit('stateChange', null);
+  }
+
+  // ==================== Transfer ====================
+
+  /**
+   * Run the transfer unless it is already running
+   */
+  start(upload) {
+    if (!webSocketService.isAuthenticated) {
+      this.wait(upload);
+      return;
+    }
+
+    this.setState(upload, UPLOAD_STATE.UPLOADING);
+    if (!upload.running) {
+      upload.running = this.run(upload).finally(() => {
+        upload.running = null;
+      });
+    }
+  }
+
+  async run(upload) {
+    while (upload.state === UPLOAD_STATE.UPLOADING) {
+      try {
+        if (!upload.uploadId) {
+          await this.begin(upload);
+        } else if (upload.needsSync) {
+          await this.sync(upload);
+        }
+
+        await this.pump(upload);
+
+        if (upload.state === UPLOAD_STATE.UPLOADING && upload.offset === upload.size) {
+          await this.commit(upload);
+        }
+      } catch (error) {
+        await this.handleError(upload, error);
+      }
+    }
+  }
+
+  async begin(upload) {
+    const result = await this.sendCommand(upload, REMOTE_COMMAND_TYPES.UPLOAD_BEGIN, {
+      path: upload.path,
+      size: upload.size,
+      overwrite: upload.overwrite
+    });
+
+    upload.uploadId = result.upload_id;
+    if (result.max_chunk_size && upload.chunkSize > result.max_chunk_size) {
+      upload.chunkSize = result.max_chunk_size;
+    }
+    await this.syncOffset(upload, result.offset || 0);
+  }
+
+  /**
+   * Ask the node where the upload stands
+   */
+  async sync(upload) {
+    const result = await this.sendCommand(upload, REMOTE_COMMAND_TYPES.UPLOAD_STATUS, {
+      upload_id: upload.uploadId
+    });
+    await this.syncOffset(upload, result.offset);
+    upload.needsSync = false;
+  }
+
+  /**
+   * Move to the node's offset, re-hashing from the source when needed
+   */
+  async syncOffset(upload, nodeOffset) {
+    upload.acked.clear();
+
+    if (nodeOffset < upload.offset) {
+      upload.hasher = new Sha256();
+      upload.offset = 0;
+    }
+
+    while (upload.offset < nodeOffset) {
+      const end = Math.min(upload.offset + upload.chunkSize, nodeOffset);
+      upload.hasher.update(await upload.reader.read(upload.offset, end));
+      upload.offset = end;
+    }
+
+    this.log('Upload', upload.id, 'continues at', nodeOffset);
+  }
+
+  /**
+   * Send chunks with up to MAX_IN_FLIGHT awaiting acknowledgement
+   */
+  async pump(upload) {
+    const inFlight = new Set();
+    let next = upload.offset;
+
+    while (upload.state === UPLOAD_STATE.UPLOADING && upload.offset < upload.size) {
+      while (inFlight.size < CHUNKED_UPLOAD.MAX_IN_FLIGHT && next < upload.size) {
+        const start = next;
+        const end = Math.min(start + upload.chunkSize, upload.size);
+        next = end;
+
+        const chunk = this.sendChunk(upload, start, end);
+        chunk.catch(() => {}).finally(() => inFlight.delete(chunk));
+        inFlight.add(chunk);
+      }
+
+      if (inFlight.size === 0) break;
+      try {
+        await Promise.race(inFlight);
+      } catch (error) {
+        // Settle the rest before the caller resyncs the offset
+        await Promise.allSettled(inFlight);
+        throw error;
+      }
+    }
+
+    // Paused: let in-flight chunks land so the offset is accurate
+    await Promise.allSettled(inFlight);
+  }
+
+  async sendChunk(upload, start, end) {
+    const bytes = await upload.reader.read(start, end);
+    await this.sendCommand(upload, REMOTE_COMMAND_TYPES.UPLOAD_CHUNK, {
+      upload_id: upload.uploadId,
+      offset: start,
+      content: bytes
+    });
+
+    if (start < upload.offset || upload.state === UPLOAD_STATE.CANCELLED) return;
+
+    // Hash strictly in order; later chunks may be acknowledged first
+    upload.acked.set(start, bytes);
+    while (upload.acked.has(upload.offset)) {
+      const acked = upload.acked.get(upload.offset);
+      upload.acked.delete(upload.offset);
+      upload.hasher.update(acked);
+      upload.offset += acked.length;
+    }
+
+    upload.attempts = 0;
+    this.updateRate(upload);
+    this.emit('progress', this.toSnapshot(upload));
+  }
+
+  async commit(upload) {
+    this.setState(upload, UPLOAD_STATE.VERIFYING);
+
+    // digest() finalizes - hash a copy so a failed commit can still resume
+    const sha256 = upload.hasher.copy().digest();
+    const result = await this.sendCommand(upload, REMOTE_COMMAND_TYPES.UPLOAD_COMMIT, {
+      upload_id: upload.uploadId,
+      sha256
+    });
+
+    if (upload.state !== UPLOAD_STATE.VERIFYING) return;
+
+    upload.result = { ...result, sha256 };
+    this.setState(upload, UPLOAD_STATE.COMPLETED);
+    this.log('Upload verified', upload.id, sha256);
+    this.emit('completed', this.toSnapshot(upload));
+    upload.settle.resolve(upload.result);
+  }
+
+  /**
+   * Decide between resuming, resyncing and failing
+   */
+  async handleError(upload, error) {
+    const remoteError = error instanceof RemoteCommandError
+      ? error
+      : RemoteCommandError.fromResponse(error?.message || error);
+
+    if (FINISHED_STATES.includes(upload.state) || upload.state === UPLOAD_STATE.PAUSED) {
+      return;
+    }
+
+    if (upload.state === UPLOAD_STATE.VERIFYING) {
+      this.setState(upload, UPLOAD_STATE.UPLOADING);
+    }
+
+    if (CONNECTION_ERRORS.includes(remoteError.code) && !webSocketService.isAuthenticated) {
+      upload.needsSync = upload.uploadId !== null;
+      this.wait(upload);
+      return;
+    }
+
+    if (!RECOVERABLE_ERRORS.includes(remoteError.code) ||
+        ++upload.attempts > CHUNKED_UPLOAD.CHUNK_RETRIES) {
+      this.fail(upload, remoteError);
+      return;
+    }
+
+    this.log('Upload', upload.id, 'recovering from', remoteError.code, `(attempt ${upload.attempts})`);
+
+    if (remoteError.code === ERROR_CODES.UPLOAD_NOT_FOUND) {
+      // The node dropped the partial file - start over
+      upload.uploadId = null;
+      upload.offset = 0;
+      upload.acked.clear();
+      upload.hasher = new Sha256();
+      return;
+    }
+
+    // New socket: the node needs remote_auth again
+    if (remoteError.code === ERROR_CODES.UNAUTHORIZED &&
+        !await remoteAuthService.restoreSession(upload.nodeReference)) {
+      this.fail(upload, new RemoteCommandError(
+        ERROR_CODES.TOKEN_EXPIRED,
+        'Remote management session expired. Authenticate again and retry the upload.'
+      ));
+      return;
+    }
+
+    upload.needsSync = upload.uploadId !== null;
+  }
+
+  fail(upload, error) {
+    upload.error = { code: error.code, message: error.message, suggestion: error.suggestion };
+    this.setState(upload, UPLOAD_STATE.FAILED);
+    this.log('Upload failed', upload.id, error.code, error.message);
+    this.emit('failed', this.toSnapshot(upload));
+    upload.settle.reject(error);
+  }
+
+  /**
+   * Park until the dashboard socket is authenticated again
+   */
+  wait(upload) {
+    this.setState(upload, UPLOAD_STATE.WAITING);
+
+    if (!upload.resumeTimer) {
+      upload.resumeTimer = setTimeout(() => {
+        upload.resumeTimer = null;
+        if (upload.state === UPLOAD_STATE.WAITING) {
+          this.fail(upload, new RemoteCommandError(ERROR_CODES.CONNECTION_LOST, 'Connection did not come back in time'));
+        }
+      }, CHUNKED_UPLOAD.RESUME_TIMEOUT);
+    }
+  }
+
+  clearResumeTimer(upload) {
+    if (upload.resumeTimer) {
+      clearTimeout(upload.resumeTimer);
+      upload.resumeTimer = null;
+    }
+  }
+
+  /**
+   * Resume waiting uploads once the socket is authenticated again
+   */
+  handleConnectionState(state) {
+    const authenticated = Boolean(state?.authenticated);
+    const reconnected = authenticated && !this.wasAuthenticated;
+    this.wasAuthenticated = authenticated;
+    if (!reconnected) return;
+
+    this.uploads.forEach(upload => {
+      if (upload.state !== UPLOAD_STATE.WAITING) return;
+
+      this.clearResumeTimer(upload);
+      this.log('Connection back, resuming', upload.id);
+
+      remoteAuthService.restoreSession(upload.nodeReference).then((restored) => {
+        if (upload.state !== UPLOAD_STATE.WAITING) return;
+        if (!restored) {
+          this.fail(upload, new RemoteCommandError(
+            ERROR_CODES.TOKEN_EXPIRED,
+            'Remote management session expired. Authenticate again and retry the upload.'
+          ));
+          return;
+        }
+        upload.attempts = 0;
+        this.start(upload);
+      });
+    });
+  }
+
+  // ==================== Helpers ====================
+
+  sendCommand(upload, type, params) {
+    return webSocketService.sendRequest({
+      type: WS_MESSAGE_TYPES.REMOTE_COMMAND,
+      node_reference: upload.nodeReference,
+      command: { type, ...params }
+    }, getCommandTimeout(type)).then(response => response.result || {});
+  }
+
+  setState(upload, state) {
+    if (upload.state === state) return;
+
+    upload.state = state;
+    upload.updatedAt = Date.now();
+    if (state === UPLOAD_STATE.UPLOADING) {
+      upload.rate = { time: Date.now(), offset: upload.offset, bytesPerSecond: upload.rate.bytesPerSecond };
+    }
+    this.emit('stateChange', this.toSnapshot(upload));
+  }
+
+  /**
+   * Transfer rate over roughly the last second
+   */
+  updateRate(upload) {
+    const now = Date.now();
+    upload.updatedAt = now;
+
+    const elapsed = now - upload.rate.time;
+    if (elapsed >= 1000) {
+      upload.rate = {
+        time: now,
+        offset: upload.offset,
+        bytesPerSecond: Math.round(((upload.offset - upload.rate.offset) * 1000) / elapsed)
+      };
+    }
+  }
+
+  toSnapshot(upload) {
+    return {
+      id: upload.id,
+      nodeReference: upload.nodeReference,
+      path: upload.path,
+      name: upload.name,
+      size: upload.size,
+      offset: upload.offset,
+      progress: upload.size > 0 ? upload.offset / upload.size : 1,
+      state: upload.state,
+      bytesPerSecond: upload.rate.bytesPerSecond,
+      sha256: upload.result?.sha256 || null,
+      error: upload.error,
+      startedAt: upload.startedAt,
+      updatedAt: upload.updatedAt
+    };
+  }
+}
+
+// Create singleton instance
+const uploadService = new UploadService();
+uploadService.setMaxListeners(20);
+
+if (typeof window !== 'undefined') {
+  window.uploadService = uploadService;
+}
+
+export default uploadService;
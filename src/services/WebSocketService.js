@@ -2,39 +2,118 @@
  * ============================================
  * File: src/services/WebSocketService.js
  * ============================================
- * WebSocket service layer - Handles all WebSocket communication
- * 
- * MINOR UPDATE: Enhanced terminal event handling for compatibility
- * 
+ * WebSocket service layer - The single connection core for the dashboard
+ *
+ * MAJOR UPDATE: Merged the WebSocketManager from useAeroNyxWebSocket into
+ * this service. There is now exactly ONE socket per page, owned here.
+ *
  * Responsibilities:
- * 1. Manage WebSocket connection lifecycle
- * 2. Handle message sending and receiving
- * 3. Automatic reconnection mechanism
- * 4. Message queue management
- * 
+ * 1. Manage WebSocket connection lifecycle (connect, timeout, reconnect ladder)
+ * 2. Run the wallet authentication flow (get_message -> sign -> auth)
+ * 3. Start/stop node monitoring and relay status updates
+ * 4. Relay terminal and remote_command traffic
+ * 5. Ping/pong liveness detection
+ * 6. Message queue management
+ *
  * Features:
  * - Singleton pattern, globally unique instance
- * - Automatic reconnection
+ * - Automatic reconnection with quick/normal/slow retry ladder
+ * - Session token reuse (sessionStorage, 30 minutes)
  * - Message deduplication
  * - Event emitter pattern
- * 
+ *
  * ⚠️ Important Note for Next Developer:
- * - All existing functionality preserved
- * - Enhanced terminal events for better compatibility
- * - No functions deleted, only enhanced
+ * - Hooks (useAeroNyxWebSocket, useRemoteManagement, ...) are thin subscribers.
+ *   Never open a second WebSocket anywhere else.
+ * - Subscribe to 'connectionState' for the { connected, authenticated,
+ *   monitoring, authState, error } snapshot used by the UI
+ * - Terminal events are emitted ONCE under their camelCase name
+ *   (terminalOutput, terminalReady, ...). Emitting both spellings caused
+ *   duplicated output in TerminalService, which listens to both.
+ * - Every frame is validated against lib/constants/wsProtocol.js in both
+ *   directions. Malformed frames are dropped and emitted as 'protocolError'.
+ * - Sockets come from the injected transport (see lib/transport). Compare
+ *   readyState with SOCKET_STATE, never the global WebSocket.
+ * - status_update snapshots are emitted as 'statusUpdate', per-node deltas
+ *   as 'statusDelta' (sequence-checked). stores/nodeStore applies both.
+ * - In follower tabs (see TabCoordinator) `relay` is set: no socket is
+ *   opened, send() goes to the leader tab and state mirrors the leader's
+ * - Every raw frame is emitted as 'frame' { direction, data, timestamp }
+ *   for the frame inspector. Always write to the socket via send() (or
+ *   call emitFrame yourself) so captures stay complete.
+ * - The socket URL comes from the active environment profile at connect
+ *   time (lib/utils/environment); EnvironmentService handles switching
+ * - Link quality (RTT from ping/pong, jitter, reconnects, last message) is
+ *   kept in `telemetry` and emitted as 'telemetry' (see getTelemetry())
+ * - Binary framing (lib/utils/binaryFraming) is offered in `auth` and used
+ *   once auth_success confirms it. Pass payloads (upload content) as
+ *   Uint8Array: send() writes a binary envelope or falls back to base64
+ *   JSON. Binary term_output is decoded to text here; download content
+ *   arrives as a Uint8Array instead of a base64 string.
+ * - status_update frames go through a NodeAggregator (sequence check, node
+ *   model, stats) and come out as 'nodeUpdate'. With the worker transport
+ *   the socket, JSON parsing, validation and aggregation run in the socket
+ *   worker; its message events carry `prepared` ({ message, nodeResult })
+ *   and status frames arrive without their nodes/patches. Use 'nodeUpdate'
+ *   (or stores/nodeStore), not 'statusUpdate'/'statusDelta', for node data.
+ * - sendRequest() rejects with RemoteCommandError: the node's error code for
+ *   failed remote commands, TIMEOUT, or CONNECTION_LOST when the socket
+ *   drops while the request is pending (UploadService resumes on that)
+ * - sendRequest(message, timeout, { signal }) rejects with CANCELLED when
+ *   the signal aborts; remote commands also get remote_command_cancel
+ *   (cancelRemoteCommand) if the server speaks protocol 1.3
+ * - remote_command_output (protocol 1.4, streaming execute) is emitted as
+ *   'remoteCommandOutput' with its data decoded to text; check
+ *   supportsFeature(PROTOCOL_FEATURES.EXEC_STREAM) before asking for it
  * ============================================
  */
 
 import EventEmitter from 'events';
+import {
+  PROTOCOL_VERSION,
+  PROTOCOL_ERROR_CODES,
+  ProtocolError,
+  WS_MESSAGE_TYPES,
+  STATUS_ENCODING,
+  parseInboundFrame,
+  validateOutbound,
+  negotiateProtocolVersion,
+  supportsProtocolFeature,
+  PROTOCOL_FEATURES
+} from '../lib/constants/wsProtocol';
+import { getDefaultTransport, SOCKET_STATE } from '../lib/transport';
+import ConnectionTelemetry from '../lib/utils/connectionTelemetry';
+import { getActiveEnvironment } from '../lib/utils/environment';
+import NodeAggregator from '../lib/utils/nodeAggregation';
+import { RemoteCommandError, ERROR_CODES } from '../lib/utils/remoteCommandErrors';
+import {
+  BINARY_ENCODING,
+  isBinaryFrame,
+  encodeBinaryFrame,
+  decodeBinaryFrame,
+  getBinaryPayload,
+  toJsonFrame
+} from '../lib/utils/binaryFraming';
 
 // Configuration constants
 const CONFIG = {
-  WS_URL: 'wss://api.aeronyx.network/ws/aeronyx/user-monitor/',
-  RECONNECT_INTERVAL: 3000,
-  MAX_RECONNECT_ATTEMPTS: 5,
-  PING_INTERVAL: 30000,
+  CONNECTION_TIMEOUT: 10000,     // 10 seconds for initial connection
+  AUTH_START_DELAY: 500,         // Server may not send 'connected', start auth ourselves
+  PING_INTERVAL: 15000,          // Send ping every 15 seconds
+  PONG_TIMEOUT: 35000,           // Consider dead if no pong for 35 seconds
+  QUICK_RETRY_COUNT: 3,          // Number of quick retries
+  QUICK_RETRY_DELAY: 1000,       // 1 second for quick retries
+  NORMAL_RETRY_DELAY: 5000,      // 5 seconds for normal retries
+  SLOW_RETRY_DELAY: 15000,       // 15 seconds for slow retries
+  SLOW_RETRY_THRESHOLD: 10,      // After 10 attempts, use slow retry
+  AUTH_RETRY_DELAY: 1000,        // 1 second for auth retries
+  MAX_CONSECUTIVE_FAILURES: 100, // Max consecutive failures before giving up
   MESSAGE_TIMEOUT: 30000,
   INPUT_DEBOUNCE_MS: 5,
+  SESSION_STORAGE_KEY: 'aeronyx_ws_session',
+  SESSION_DURATION: 30 * 60 * 1000, // 30 minutes
+  STATUS_ENCODING: STATUS_ENCODING.DELTA, // Requested from start_monitor
+  BINARY_FRAMING: true,          // Offer binary envelopes in auth
 };
 
 // WebSocket state enumeration
@@ -42,6 +121,8 @@ export const WS_STATE = {
   IDLE: 'idle',
   CONNECTING: 'connecting',
   CONNECTED: 'connected',
+  REQUESTING_MESSAGE: 'requesting_message',
+  SIGNING: 'signing',
   AUTHENTICATING: 'authenticating',
   AUTHENTICATED: 'authenticated',
   MONITORING: 'monitoring',
@@ -49,6 +130,29 @@ export const WS_STATE = {
   CLOSED: 'closed',
 };
 
+// Session errors that require a fresh signature
+const SESSION_ERROR_CODES = ['SESSION_INVALID', 'SESSION_EXPIRED', 'NONCE_NOT_FOUND'];
+
+// Inbound types only the leader tab handles; followers mirror its state
+const LEADER_ONLY_TYPES = new Set([
+  'connected',
+  'signature_message',
+  'auth_success',
+  'auth_error',
+  'monitor_started',
+  'monitor_stopped',
+  'pong',
+  'heartbeat_ack'
+]);
+
+// Terminal message type -> emitted event name
+const TERMINAL_EVENTS = {
+  term_ready: 'terminalReady',
+  term_output: 'terminalOutput',
+  term_error: 'terminalError',
+  term_closed: 'terminalClosed',
+};
+
 /**
  * WebSocket Service Class
  * Uses event emitter pattern, allowing components to subscribe to specific events
@@ -56,45 +160,76 @@ export const WS_STATE = {
 class WebSocketService extends EventEmitter {
   constructor() {
     super();
-    
-    // WebSocket instance
+
+    // WebSocket instance and the transport that creates it
     this.ws = null;
-    
+    this.transport = getDefaultTransport();
+
     // Connection state
     this.state = WS_STATE.IDLE;
     this.isConnected = false;
     this.isAuthenticated = false;
     this.isMonitoring = false;
-    
+    this.isConnecting = false;
+    this.authenticationInProgress = false;
+    this.lastError = null;
+
+    // Monitoring is started automatically after auth unless disabled
+    this.autoMonitor = true;
+
+    // Binary framing negotiated in auth_success (null = JSON only)
+    this.binaryEncoding = null;
+    this.terminalDecoders = new Map(); // session_id -> streaming TextDecoder
+    this.commandDecoders = new Map();  // 'request_id:stream' -> streaming TextDecoder
+
+    // Status stream for sockets without a worker (sequence + node model)
+    this.nodeAggregator = new NodeAggregator();
+
     // Remote authentication state tracking
     this.isRemoteAuthenticated = false;
     this.remoteAuthNodes = new Set(); // Track which nodes are remote authenticated
-    
+
     // Reconnection management
     this.reconnectAttempts = 0;
+    this.consecutiveFailures = 0;
     this.reconnectTimeout = null;
-    
+    this.connectionTimeout = null;
+    this.authStartTimeout = null;
+    this.shouldReconnect = true;
+
     // Ping/Pong management
     this.pingInterval = null;
     this.lastPong = Date.now();
-    
+
+    // Link quality measurements (RTT, jitter, reconnects, last message)
+    this.telemetry = new ConnectionTelemetry();
+
     // Message queue (for caching messages when disconnected)
     this.messageQueue = [];
-    
+
     // Input deduplication
     this.lastInput = { data: '', timestamp: 0 };
-    
+
     // Session information
     this.sessionToken = null;
     this.walletAddress = null;
-    
+    this.walletProvider = null;
+    this.signatureNonce = null;
+
     // Pending requests (for responsive messages)
     this.pendingRequests = new Map();
-    
+
+    // Cross-tab relay to the leader tab (set while this tab is a follower)
+    this.relay = null;
+
+    // Negotiated protocol version (null until 'connected' is received)
+    this.protocolVersion = null;
+    this.serverProtocolVersion = null;
+
     // Debug mode
     this.debug = true;
   }
-  
+
   /**
    * Log output (with debug control)
    */
@@ -103,14 +238,104 @@ class WebSocketService extends EventEmitter {
       console.log('[WebSocketService]', ...args);
     }
   }
-  
+
+  /**
+   * Frame as written to the debug log
+   * Frames carrying file content (upload chunks, download ranges) are cut
+   * to type, request_id and payload size; the frame inspector keeps them whole
+   * @param {Object} message - Frame
+   * @returns {Object} Frame or summary
+   */
+  describeForLog(message) {
+    const content = message.type === WS_MESSAGE_TYPES.REMOTE_COMMAND
+      ? message.command?.content
+      : message.type === WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE
+        ? message.result?.content
+        : undefined;
+    if (content === undefined || content === null) return message;
+
+    return {
+      type: message.type,
+      request_id: message.request_id,
+      size: isBinaryFrame(content) ? content.byteLength : String(content).length
+    };
+  }
+
   /**
    * Error log
    */
   error(...args) {
     console.error('[WebSocketService]', ...args);
   }
-  
+
+  /**
+   * Emit 'error' only when someone listens
+   * EventEmitter throws on unhandled 'error' events
+   */
+  emitError(payload) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', payload);
+    }
+  }
+
+  /**
+   * Emit a raw wire frame for observers (FrameRecorder)
+   * Only emitted when someone listens - no cost when the inspector is off
+   * @param {string} direction - 'in' or 'out'
+   * @param {string} data - Frame exactly as sent/received
+   */
+  emitFrame(direction, data) {
+    if (this.listenerCount('frame') > 0) {
+      this.emit('frame', { direction, data, timestamp: Date.now() });
+    }
+  }
+
+  // ==================== Connection State ====================
+
+  /**
+   * Get connection state snapshot for the UI
+   * @returns {Object} { connected, authenticated, monitoring, authState, error }
+   */
+  getConnectionState() {
+    return {
+      connected: this.isConnected,
+      authenticated: this.isAuthenticated,
+      monitoring: this.isMonitoring,
+      authState: this.state === WS_STATE.CLOSED ? WS_STATE.IDLE : this.state,
+      error: this.lastError
+    };
+  }
+
+  /**
+   * Notify subscribers that the connection snapshot changed
+   */
+  emitConnectionState() {
+    this.emit('connectionState', this.getConnectionState());
+  }
+
+  /**
+   * Update state and emit event
+   * @param {string} newState - One of WS_STATE
+   * @param {string|null} [error] - Error message to publish, undefined keeps the current one
+   */
+  updateState(newState, error) {
+    const oldState = this.state;
+    this.state = newState;
+
+    if (error !== undefined) {
+      this.lastError = error;
+    }
+
+    if (oldState !== newState) {
+      this.log(`State changed: ${oldState} -> ${newState}`);
+      this.emit('stateChange', { oldState, newState });
+    }
+
+    this.emitConnectionState();
+  }
+
+  // ==================== Connection Lifecycle ====================
+
   /**
    * Connect to WebSocket server
    * @param {Object} options - Connection options
@@ -120,175 +345,363 @@ class WebSocketService extends EventEmitter {
    */
   async connect(options = {}) {
     const { walletAddress, wallet } = options;
-    
+
+    if (!walletAddress) {
+      this.log('Cannot connect - wallet not ready');
+      return false;
+    }
+
+    const walletChanged = this.walletAddress &&
+      this.walletAddress.toLowerCase() !== walletAddress.toLowerCase();
+
+    this.walletAddress = walletAddress;
+    this.walletProvider = wallet || this.walletProvider || this.getInjectedProvider();
+
+    // Follower tabs use the leader's socket
+    if (this.relay) {
+      this.relay.hello();
+      return true;
+    }
+
+    // A different wallet must not reuse the previous socket's authentication
+    if (walletChanged && this.ws) {
+      this.log('Wallet changed, restarting connection');
+      this.closeSocket(1000, 'Wallet changed');
+      this.rejectPendingRequests('Wallet changed');
+      this.resetConnectionFlags();
+    }
+
     // Prevent duplicate connections
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && this.ws.readyState === SOCKET_STATE.OPEN) {
       this.log('Already connected');
+
+      if (!this.isAuthenticated && !this.authenticationInProgress) {
+        this.log('Connected but not authenticated, starting auth');
+        this.startAuthentication();
+      }
       return true;
     }
-    
-    if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+
+    if ((this.ws && this.ws.readyState === SOCKET_STATE.CONNECTING) || this.isConnecting) {
       this.log('Connection in progress');
       return false;
     }
-    
-    this.walletAddress = walletAddress;
-    this.walletProvider = wallet;
-    
+
+    // Clean up any dead connection
+    if (this.ws) {
+      this.log('Cleaning up dead connection');
+      this.ws = null;
+    }
+
+    this.isConnecting = true;
+    this.authenticationInProgress = false;
+    this.protocolVersion = null;
+    this.serverProtocolVersion = null;
+
     return new Promise((resolve) => {
       try {
-        this.log('Connecting to:', CONFIG.WS_URL);
-        this.updateState(WS_STATE.CONNECTING);
-        
+        const url = getActiveEnvironment().wsUrl;
+        this.log('Connecting to:', url, `(${this.transport.name} transport)`);
+        this.updateState(WS_STATE.CONNECTING, null);
+
         // Create WebSocket connection
-        this.ws = new WebSocket(CONFIG.WS_URL);
-        
+        const ws = this.transport.createSocket(url);
+        ws.binaryType = 'arraybuffer';
+        this.ws = ws;
+        this.publishGlobalSocket();
+
         // Connection timeout handler
-        const connectTimeout = setTimeout(() => {
-          if (this.ws.readyState === WebSocket.CONNECTING) {
+        this.connectionTimeout = setTimeout(() => {
+          if (ws.readyState === SOCKET_STATE.CONNECTING) {
             this.error('Connection timeout');
-            this.ws.close();
+            this.lastError = 'Connection timeout';
+            ws.close();
             resolve(false);
           }
-        }, 10000);
-        
+        }, CONFIG.CONNECTION_TIMEOUT);
+
         // Connection open
-        this.ws.onopen = () => {
-          clearTimeout(connectTimeout);
+        ws.onopen = () => {
+          this.clearConnectionTimeout();
           this.log('Connected');
+          this.isConnecting = false;
           this.isConnected = true;
+          this.lastPong = Date.now();
+          this.telemetry.recordConnected();
           this.reconnectAttempts = 0;
-          this.updateState(WS_STATE.CONNECTED);
-          
-          // Update global WebSocket reference
-          if (typeof window !== 'undefined') {
-            window.globalWebSocket = this.ws;
-          }
-          
-          // Start ping loop
-          this.startPingInterval();
-          
+          this.consecutiveFailures = 0;
+          this.updateState(WS_STATE.CONNECTED, null);
+
           // Emit event
           this.emit('connected');
-          
+
           // Process queued messages
           this.flushMessageQueue();
-          
+
+          // Server may not send a 'connected' message - start auth ourselves
+          this.authStartTimeout = setTimeout(() => {
+            this.authStartTimeout = null;
+            if (this.ws === ws && ws.readyState === SOCKET_STATE.OPEN &&
+                !this.isAuthenticated && !this.authenticationInProgress) {
+              this.startAuthentication();
+            }
+          }, CONFIG.AUTH_START_DELAY);
+
           resolve(true);
         };
-        
+
         // Receive message
-        this.ws.onmessage = (event) => {
-          this.handleMessage(event.data);
+        ws.onmessage = (event) => {
+          this.emitFrame('in', event.data);
+          this.handleMessage(event.data, event.prepared);
         };
-        
-        // Connection error
-        this.ws.onerror = (error) => {
-          clearTimeout(connectTimeout);
+
+        // Connection error - close event does the actual processing
+        ws.onerror = (error) => {
+          this.clearConnectionTimeout();
           this.error('Connection error:', error);
-          this.updateState(WS_STATE.ERROR);
-          this.emit('error', error);
+          this.consecutiveFailures++;
+          this.emitError(error);
           resolve(false);
         };
-        
+
         // Connection close
-        this.ws.onclose = (event) => {
-          clearTimeout(connectTimeout);
-          this.log('Connection closed:', event.code, event.reason);
-          this.handleDisconnect(event);
+        ws.onclose = (event) => {
+          this.clearConnectionTimeout();
+          this.log('Connection closed:', event.code, event.reason || 'No reason provided');
+
+          // Ignore late events from a socket we already replaced
+          if (this.ws === ws) {
+            this.handleDisconnect(event);
+          }
           resolve(false);
         };
-        
+
       } catch (error) {
         this.error('Failed to connect:', error);
-        this.updateState(WS_STATE.ERROR);
+        this.ws = null;
+        this.isConnecting = false;
+        this.publishGlobalSocket();
+        this.updateState(WS_STATE.ERROR, 'Failed to connect');
+
+        if (this.shouldReconnect) {
+          this.scheduleReconnect();
+        }
         resolve(false);
       }
     });
   }
-  
+
+  /**
+   * Replace the transport used for new sockets
+   * Closes the current socket; call connect() afterwards
+   * @param {Object} transport - { name, createSocket(url) }
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.createSocket !== 'function') {
+      throw new Error('Transport must implement createSocket(url)');
+    }
+
+    if (this.ws) {
+      this.disconnect();
+    }
+
+    this.log('Using transport:', transport.name);
+    this.transport = transport;
+    this.clearSession();
+    this.shouldReconnect = true;
+  }
+
   /**
    * Disconnect
    */
   disconnect() {
-    this.log('Disconnecting');
-    
-    // Clean up timers
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
-    }
-    
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
+    if (this.relay) {
+      this.log('Leader tab owns the connection - not disconnecting');
+      return;
     }
-    
-    // Clean up pending requests
-    this.pendingRequests.forEach((request) => {
-      if (request.timeout) {
-        clearTimeout(request.timeout);
-      }
-      if (request.reject) {
-        request.reject(new Error('Connection closed'));
-      }
-    });
-    this.pendingRequests.clear();
-    
+
+    this.log('Disconnecting');
+
+    // Stop reconnection attempts
+    this.shouldReconnect = false;
+    this.clearTimers();
+    this.rejectPendingRequests('Connection closed');
+
     // Close WebSocket
     if (this.ws) {
-      this.ws.close(1000, 'User disconnect');
-      this.ws = null;
+      if (this.ws.readyState === SOCKET_STATE.OPEN && this.isMonitoring) {
+        const stopFrame = JSON.stringify({ type: 'stop_monitor' });
+        this.ws.send(stopFrame);
+        this.emitFrame('out', stopFrame);
+      }
+      this.closeSocket(1000, 'User disconnect');
     }
-    
+
     // Reset state
+    this.resetConnectionFlags();
+    this.reconnectAttempts = 0;
+    this.consecutiveFailures = 0;
+    this.updateState(WS_STATE.CLOSED);
+  }
+
+  /**
+   * Reconnect with a fresh socket (manual refresh)
+   */
+  reconnect() {
+    if (this.relay) {
+      this.log('Asking leader tab to reconnect');
+      this.relay.reconnect();
+      return;
+    }
+
+    this.log('Manual reconnect requested');
+
+    this.clearTimers();
+    this.telemetry.recordReconnect();
+    this.emitTelemetry();
+
+    // Reset all flags and counters
+    this.reconnectAttempts = 0;
+    this.consecutiveFailures = 0;
+    this.shouldReconnect = true;
+
+    if (this.ws) {
+      this.closeSocket(1000, 'Manual reconnecting');
+    }
+    this.rejectPendingRequests('Reconnecting');
+
+    this.resetConnectionFlags();
+    this.updateState(WS_STATE.IDLE);
+
+    if (this.walletAddress) {
+      this.reconnectTimeout = setTimeout(() => {
+        this.reconnectTimeout = null;
+        this.connect({
+          walletAddress: this.walletAddress,
+          wallet: this.walletProvider
+        });
+      }, CONFIG.QUICK_RETRY_DELAY);
+    }
+  }
+
+  /**
+   * Enable reconnection (useful after manual disconnect)
+   */
+  enableReconnection() {
+    this.shouldReconnect = true;
+    this.reconnectAttempts = 0;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Close the current socket without triggering auto-reconnect. Its
+   * onclose is detached, so handleDisconnect() does not run: callers
+   * reject pending requests themselves
+   */
+  closeSocket(code, reason) {
+    const ws = this.ws;
+    this.ws = null;
+    this.publishGlobalSocket();
+
+    if (ws) {
+      ws.onclose = null;
+      ws.onerror = null;
+      ws.onmessage = null;
+      try {
+        ws.close(code, reason);
+      } catch (error) {
+        this.error('Failed to close socket:', error);
+      }
+    }
+  }
+
+  /**
+   * Reset per-connection flags
+   */
+  resetConnectionFlags() {
+    this.isConnecting = false;
     this.isConnected = false;
     this.isAuthenticated = false;
     this.isMonitoring = false;
+    this.authenticationInProgress = false;
     this.isRemoteAuthenticated = false;
     this.remoteAuthNodes.clear();
-    this.updateState(WS_STATE.CLOSED);
+    this.nodeAggregator.reset();
+    this.binaryEncoding = null;
+    this.terminalDecoders.clear();
+    this.commandDecoders.clear();
   }
-  
+
   /**
    * Handle disconnection
    */
   handleDisconnect(event) {
-    this.isConnected = false;
-    this.isAuthenticated = false;
-    this.isMonitoring = false;
-    this.isRemoteAuthenticated = false;
-    this.remoteAuthNodes.clear();
     this.ws = null;
-    
-    // Clean up timers
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
-    }
-    
+    this.publishGlobalSocket();
+    this.resetConnectionFlags();
+    this.clearTimers();
+
+    // Replies can never arrive on the next socket
+    this.rejectPendingRequests('Connection lost');
+
     // Emit disconnection event
     this.emit('disconnected', event);
-    
-    // Abnormal closure, attempt reconnection
-    if (event.code !== 1000 && this.reconnectAttempts < CONFIG.MAX_RECONNECT_ATTEMPTS) {
+
+    const error = event.code === 1006
+      ? 'Connection failed - check network or CORS'
+      : (event.reason || this.lastError || null);
+
+    // Handle reconnection for abnormal closures
+    // 1000 = normal closure, 1001 = going away
+    if (event.code !== 1000 && event.code !== 1001 && this.shouldReconnect) {
+      this.updateState(WS_STATE.IDLE, error);
+      this.log('Abnormal closure, scheduling reconnect');
       this.scheduleReconnect();
     } else {
-      this.updateState(WS_STATE.CLOSED);
+      this.updateState(WS_STATE.CLOSED, error);
     }
   }
-  
+
   /**
    * Schedule reconnection
+   * Quick retries first, then normal, then slow
    */
   scheduleReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (CONFIG.MAX_CONSECUTIVE_FAILURES &&
+        this.consecutiveFailures >= CONFIG.MAX_CONSECUTIVE_FAILURES) {
+      this.error('Max consecutive failures reached, stopping reconnection attempts');
+      this.shouldReconnect = false;
+      this.lastError = 'Max reconnection attempts reached. Please refresh the page.';
+      this.emitConnectionState();
+      return;
+    }
+
     this.reconnectAttempts++;
-    const delay = Math.min(CONFIG.RECONNECT_INTERVAL * this.reconnectAttempts, 30000);
-    
-    this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${CONFIG.MAX_RECONNECT_ATTEMPTS})`);
-    
+
+    let delay;
+    if (this.reconnectAttempts <= CONFIG.QUICK_RETRY_COUNT) {
+      delay = CONFIG.QUICK_RETRY_DELAY;
+    } else if (this.reconnectAttempts <= CONFIG.SLOW_RETRY_THRESHOLD) {
+      delay = CONFIG.NORMAL_RETRY_DELAY;
+    } else {
+      delay = CONFIG.SLOW_RETRY_DELAY;
+    }
+
+    this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.telemetry.recordReconnect();
+    this.emitTelemetry();
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+    this.emitConnectionState();
+
     this.reconnectTimeout = setTimeout(() => {
-      if (this.walletAddress) {
+      this.reconnectTimeout = null;
+      if (this.walletAddress && this.shouldReconnect) {
         this.connect({
           walletAddress: this.walletAddress,
           wallet: this.walletProvider
@@ -296,192 +709,616 @@ class WebSocketService extends EventEmitter {
       }
     }, delay);
   }
-  
+
   /**
-   * Update state and emit event
+   * Clear connection timeout
+   */
+  clearConnectionTimeout() {
+    if (this.connectionTimeout) {
+      clearTimeout(this.connectionTimeout);
+      this.connectionTimeout = null;
+    }
+  }
+
+  /**
+   * Clear all timers
+   */
+  clearTimers() {
+    this.clearConnectionTimeout();
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.authStartTimeout) {
+      clearTimeout(this.authStartTimeout);
+      this.authStartTimeout = null;
+    }
+
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * Reject all pending requests
+   */
+  rejectPendingRequests(reason) {
+    this.pendingRequests.forEach((request) => {
+      if (request.timeout) {
+        clearTimeout(request.timeout);
+      }
+      if (request.reject) {
+        request.reject(new RemoteCommandError(ERROR_CODES.CONNECTION_LOST, reason));
+      }
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Keep window.globalWebSocket pointing at the live socket (debugging)
+   */
+  publishGlobalSocket() {
+    if (typeof window !== 'undefined') {
+      window.globalWebSocket = this.ws;
+    }
+  }
+
+  /**
+   * Start ping interval - only after authentication
+   */
+  startPingInterval() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+    }
+
+    this.lastPong = Date.now();
+
+    this.pingInterval = setInterval(() => {
+      if (this.isConnected && this.isAuthenticated) {
+        // Check last pong
+        const timeSinceLastPong = Date.now() - this.lastPong;
+        if (timeSinceLastPong > CONFIG.PONG_TIMEOUT) {
+          this.log(`No pong received for ${CONFIG.PONG_TIMEOUT / 1000} seconds, reconnecting`);
+          this.reconnect();
+          return;
+        }
+
+        this.sendPing();
+      }
+    }, CONFIG.PING_INTERVAL);
+
+    // First RTT sample right away instead of after one interval
+    this.sendPing();
+  }
+
+  /**
+   * Send a ping; its pong gives the next RTT sample
+   */
+  sendPing() {
+    if (this.send({ type: 'ping', timestamp: Date.now() })) {
+      this.telemetry.recordPing();
+    }
+  }
+
+  /**
+   * Pong / heartbeat_ack received
+   */
+  handlePong() {
+    this.lastPong = Date.now();
+    if (this.telemetry.recordPong(this.lastPong) !== null) {
+      this.emitTelemetry();
+    }
+  }
+
+  // ==================== Telemetry ====================
+
+  /**
+   * Current link quality snapshot
+   * @returns {Object} { rtt, avgRtt, minRtt, maxRtt, jitter, reconnects,
+   *   lastMessageAt, connectedAt, quality, history }
+   */
+  getTelemetry() {
+    return this.telemetry.getSnapshot();
+  }
+
+  emitTelemetry() {
+    if (this.listenerCount('telemetry') > 0) {
+      this.emit('telemetry', this.getTelemetry());
+    }
+  }
+
+  // ==================== Authentication ====================
+
+  /**
+   * Get injected wallet provider
+   */
+  getInjectedProvider() {
+    if (typeof window === 'undefined') return null;
+    return window.okxwallet || window.ethereum || null;
+  }
+
+  /**
+   * Start authentication flow
+   * Reuses a stored session token when available, otherwise asks for a message to sign
+   */
+  startAuthentication() {
+    if (this.authenticationInProgress) {
+      this.log('Authentication already in progress');
+      return;
+    }
+
+    if (!this.walletAddress) {
+      this.error('Cannot authenticate - wallet not ready');
+      this.updateState(WS_STATE.ERROR, 'Wallet not connected');
+      return;
+    }
+
+    this.authenticationInProgress = true;
+
+    const storedSession = this.getStoredSession();
+    if (storedSession) {
+      this.log('Using stored session token');
+      this.updateState(WS_STATE.AUTHENTICATING);
+      this.authenticateWithToken(storedSession.token);
+    } else {
+      this.log('Requesting signature message from server');
+      this.updateState(WS_STATE.REQUESTING_MESSAGE);
+      this.requestSignatureMessage();
+    }
+  }
+
+  /**
+   * Sign message with wallet
+   * @param {string} message - Message from server
+   * @returns {Promise<Object>} { signature, message, wallet }
+   */
+  async signMessage(message) {
+    this.log('Signing message for wallet:', this.walletAddress);
+
+    // Extract wallet from message
+    const walletMatch = message.match(/Wallet:\s*(0x[a-fA-F0-9]{40})/);
+    const messageWallet = walletMatch ? walletMatch[1] : this.walletAddress;
+
+    const injected = this.getInjectedProvider();
+
+    // For OKX wallet or Ethereum wallets
+    if (injected) {
+      let accounts = await injected.request({ method: 'eth_accounts' });
+      if (!accounts || accounts.length === 0) {
+        this.log('No accounts found, requesting access...');
+        accounts = await injected.request({ method: 'eth_requestAccounts' });
+        if (!accounts || accounts.length === 0) {
+          throw new Error('No accounts available after request');
+        }
+      }
+
+      const accountToUse = accounts.find(acc =>
+        acc.toLowerCase() === messageWallet.toLowerCase()
+      ) || accounts[0];
+
+      if (accountToUse.toLowerCase() !== this.walletAddress.toLowerCase()) {
+        this.log('Account mismatch, updating wallet address');
+        this.walletAddress = accountToUse;
+      }
+
+      const signature = await injected.request({
+        method: 'personal_sign',
+        params: [message, accountToUse]
+      });
+
+      return {
+        signature: signature.startsWith('0x') ? signature : `0x${signature}`,
+        message,
+        wallet: accountToUse
+      };
+    }
+
+    // For other wallet providers
+    if (this.walletProvider && typeof this.walletProvider.request === 'function') {
+      const signature = await this.walletProvider.request({
+        method: 'personal_sign',
+        params: [message, messageWallet]
+      });
+
+      return {
+        signature: signature.startsWith('0x') ? signature : `0x${signature}`,
+        message,
+        wallet: messageWallet
+      };
+    }
+
+    throw new Error('No wallet provider available');
+  }
+
+  /**
+   * Handle signature_message: sign and send auth
    */
-  updateState(newState) {
-    const oldState = this.state;
-    this.state = newState;
-    
-    if (oldState !== newState) {
-      this.log(`State changed: ${oldState} -> ${newState}`);
-      this.emit('stateChange', { oldState, newState });
+  async handleSignatureMessage(message) {
+    this.emit('signatureRequired', message);
+
+    if (message.nonce) {
+      this.signatureNonce = message.nonce;
+    }
+
+    this.updateState(WS_STATE.SIGNING);
+
+    try {
+      const signed = await this.signMessage(message.message);
+
+      this.updateState(WS_STATE.AUTHENTICATING);
+
+      // ⚠️ CRITICAL: Auth message format MUST match backend expectations
+      this.authenticate(signed.signature, signed.message, signed.wallet);
+    } catch (error) {
+      this.error('Signing error:', error);
+      this.authenticationInProgress = false;
+
+      const rejected = error.code === 4001 || error.message?.includes('rejected');
+      this.updateState(
+        WS_STATE.ERROR,
+        rejected ? 'User rejected signature request' : 'Failed to sign message: ' + error.message
+      );
     }
   }
-  
+
+  // ==================== Message Handling ====================
+
   /**
-   * Start ping interval
+   * Binary term_output and remote_command_output carry raw bytes; decode
+   * them to text with a streaming decoder per session (per request and
+   * stream for command output) so UTF-8 sequences split across frames
+   * survive
    */
-  startPingInterval() {
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
+  decodeTextOutput(message) {
+    if (!isBinaryFrame(message.data)) {
+      return message;
     }
-    
-    this.pingInterval = setInterval(() => {
-      if (this.isConnected && this.isAuthenticated) {
-        // Check last pong
-        const timeSinceLastPong = Date.now() - this.lastPong;
-        if (timeSinceLastPong > CONFIG.PING_INTERVAL * 3) {
-          this.log('No pong received, reconnecting');
-          this.ws.close();
-          return;
-        }
-        
-        // Send ping
-        this.send({
-          type: 'ping',
-          timestamp: Date.now()
-        });
-      }
-    }, CONFIG.PING_INTERVAL);
+
+    let decoders;
+    let key;
+    if (message.type === WS_MESSAGE_TYPES.TERM_OUTPUT) {
+      decoders = this.terminalDecoders;
+      key = message.session_id;
+    } else if (message.type === WS_MESSAGE_TYPES.REMOTE_COMMAND_OUTPUT) {
+      decoders = this.commandDecoders;
+      key = `${message.request_id}:${message.stream}`;
+    } else {
+      return message;
+    }
+
+    let decoder = decoders.get(key);
+    if (!decoder) {
+      decoder = new TextDecoder('utf-8');
+      decoders.set(key, decoder);
+    }
+    return { ...message, data: decoder.decode(message.data, { stream: true }) };
   }
-  
+
   /**
-   * Handle received message - ENHANCED for better terminal support
+   * Handle received message
+   * @param {string|ArrayBuffer} data - Raw frame
+   * @param {Object} [prepared] - Already parsed and validated by the socket
+   *   worker: { message, nodeResult }
    */
-  handleMessage(data) {
+  handleMessage(data, prepared = null) {
+    this.telemetry.recordMessage();
+
+    let frame = data;
+    if (isBinaryFrame(data)) {
+      try {
+        frame = this.decodeTextOutput(decodeBinaryFrame(data));
+      } catch (error) {
+        this.handleProtocolError(new ProtocolError(
+          PROTOCOL_ERROR_CODES.MALFORMED_FRAME,
+          `Invalid binary frame: ${error.message}`,
+          { direction: 'inbound' }
+        ), null);
+        return;
+      }
+    }
+
+    const { message, error: protocolError } = prepared
+      ? { message: prepared.message, error: null }
+      : parseInboundFrame(frame);
+
+    if (protocolError) {
+      // Unknown types are forwarded for forward compatibility
+      if (protocolError.code === PROTOCOL_ERROR_CODES.UNKNOWN_TYPE) {
+        this.log('Unknown message type:', message.type);
+        this.relayToFollowers(data, message);
+        this.emit('protocolError', protocolError);
+        this.emit('unknownMessage', message);
+        this.emit('message', message);
+        return;
+      }
+
+      this.handleProtocolError(protocolError, message);
+      return;
+    }
+
+    this.log('Received:', message.type, this.describeForLog(message));
+    this.relayToFollowers(data, message);
+
     try {
-      const message = JSON.parse(data);
-      this.log('Received:', message.type, message);
-      
       // Handle different message types
       switch (message.type) {
-        case 'connected':
+        case WS_MESSAGE_TYPES.CONNECTED:
+          this.consecutiveFailures = 0;
+          if (!this.negotiateProtocol(message)) {
+            return;
+          }
           this.emit('serverConnected', message);
+          if (!this.isAuthenticated && !this.authenticationInProgress) {
+            this.startAuthentication();
+          }
           break;
-          
+
         case 'signature_message':
-          this.emit('signatureRequired', message);
+          this.handleSignatureMessage(message);
           break;
-          
+
         case 'auth_success':
-          this.handleAuthSuccess(message);
+          this.handleAuthSuccess(message, prepared?.nodeResult);
           break;
-          
+
         case 'auth_error':
         case 'error':
           this.handleError(message);
           break;
-          
+
         case 'monitor_started':
           this.isMonitoring = true;
           this.updateState(WS_STATE.MONITORING);
           this.emit('monitoringStarted', message);
           break;
-          
+
+        case 'monitor_stopped':
+          this.isMonitoring = false;
+          this.updateState(WS_STATE.AUTHENTICATED);
+          this.emit('monitoringStopped', message);
+          break;
+
         case 'status_update':
-          this.emit('statusUpdate', message);
+          this.handleStatusUpdate(message, prepared?.nodeResult);
           break;
-          
+
         case 'pong':
-          this.lastPong = Date.now();
+        case 'heartbeat_ack':
+          this.handlePong();
           break;
-          
+
         case 'term_ready':
-          // ENHANCED: Emit multiple event names for compatibility
-          this.emit('terminalReady', message);
-          this.emit('term_ready', message);
-          // Additional event for TerminalService compatibility
-          if (message.session_id) {
-            this.emit('terminalReady', message);
-          }
-          break;
-          
         case 'term_output':
-          // ENHANCED: Emit multiple event names for compatibility
-          this.emit('terminalOutput', message);
-          this.emit('term_output', message);
-          break;
-          
         case 'term_error':
-          // ENHANCED: Emit multiple event names for compatibility
-          this.emit('terminalError', message);
-          this.emit('term_error', message);
-          break;
-          
         case 'term_closed':
-          // ENHANCED: Emit multiple event names for compatibility
-          this.emit('terminalClosed', message);
-          this.emit('term_closed', message);
+          if (message.type === 'term_closed') {
+            this.terminalDecoders.delete(message.session_id);
+          }
+          this.emit(TERMINAL_EVENTS[message.type], message);
           break;
-          
+
         case 'remote_auth_success':
           this.handleRemoteAuthSuccess(message);
           break;
-          
+
         case 'remote_command_response':
+          this.commandDecoders.delete(`${message.request_id}:stdout`);
+          this.commandDecoders.delete(`${message.request_id}:stderr`);
           this.handleCommandResponse(message);
           break;
-          
+
+        case 'remote_command_output':
+          this.emit('remoteCommandOutput', message);
+          break;
+
         default:
-          this.log('Unknown message type:', message.type);
+          this.log('Unhandled message type:', message.type);
           this.emit('unknownMessage', message);
       }
-      
-      // Emit generic message event
-      this.emit('message', message);
-      
     } catch (error) {
-      this.error('Failed to parse message:', error);
+      this.error('Message handling error:', error);
+    }
+
+    // Emit generic message event
+    this.emit('message', message);
+  }
+
+  /**
+   * Handle a frame that failed schema validation
+   * The frame is dropped; a pending remote command gets a failure response
+   * instead of waiting for its timeout
+   * @param {ProtocolError} protocolError - Validation error
+   * @param {Object|null} message - Decoded frame, if any
+   */
+  handleProtocolError(protocolError, message) {
+    this.error('Protocol error:', protocolError.code, protocolError.message);
+    this.emit('protocolError', protocolError);
+
+    if (message?.type === WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE &&
+        typeof message.request_id === 'string') {
+      this.handleCommandResponse({
+        type: WS_MESSAGE_TYPES.REMOTE_COMMAND_RESPONSE,
+        request_id: message.request_id,
+        success: false,
+        error: {
+          code: ERROR_CODES.INVALID_RESPONSE,
+          message: protocolError.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Negotiate protocol version from a server frame
+   * On mismatch the connection is closed and not retried - reconnecting
+   * to the same server would fail the same way
+   * @param {Object} message - 'connected' or 'auth_success' frame
+   * @returns {boolean} Whether the server is compatible
+   */
+  negotiateProtocol(message) {
+    const result = negotiateProtocolVersion(message);
+
+    if (!result.compatible) {
+      this.error('Protocol version mismatch:', result.error.message);
+      this.protocolVersion = null;
+      this.serverProtocolVersion = result.serverVersion;
+      this.emit('protocolError', result.error);
+
+      this.shouldReconnect = false;
+      this.clearTimers();
+      this.closeSocket(1000, 'Protocol version mismatch');
+      this.rejectPendingRequests('Protocol version mismatch');
+      this.resetConnectionFlags();
+      this.updateState(WS_STATE.ERROR, result.error.message);
+      return false;
+    }
+
+    if (result.version !== this.protocolVersion) {
+      this.log('Protocol version:', result.version, 'server:', result.serverVersion || 'legacy');
     }
+    this.protocolVersion = result.version;
+    this.serverProtocolVersion = result.serverVersion;
+    this.emit('protocolNegotiated', result);
+    return true;
   }
-  
+
   /**
    * Handle authentication success
+   * @param {Object} message - auth_success frame
+   * @param {Object} [nodeResult] - Initial nodes aggregated by the socket worker
    */
-  handleAuthSuccess(message) {
+  handleAuthSuccess(message, nodeResult) {
+    // Servers may confirm the protocol version in the auth response
+    if (message.protocol_version && !this.negotiateProtocol(message)) {
+      return;
+    }
+
     this.log('Authentication successful');
+    this.authenticationInProgress = false;
     this.isAuthenticated = true;
-    this.sessionToken = message.session_token;
-    this.updateState(WS_STATE.AUTHENTICATED);
-    
+
+    this.binaryEncoding = message.binary_encoding === BINARY_ENCODING ? BINARY_ENCODING : null;
+    this.log('Frame encoding:', this.binaryEncoding || 'json');
+
     // Store session
     if (message.session_token) {
+      this.sessionToken = message.session_token;
       this.storeSession(message.session_token);
     }
-    
+
+    this.updateState(WS_STATE.AUTHENTICATED, null);
+    this.startPingInterval();
+
     this.emit('authenticated', message);
+
+    // Initial nodes may come with the auth response
+    if (nodeResult || Array.isArray(message.nodes)) {
+      const update = nodeResult
+        ? nodeResult.update
+        : this.nodeAggregator.applySnapshot(message.nodes);
+      this.emit('statusUpdate', { type: 'status_update', nodes: message.nodes });
+      this.emitNodeUpdate(update);
+    }
+
+    if (this.autoMonitor) {
+      this.log('Starting monitoring');
+      this.startMonitoring();
+    }
+  }
+
+  /**
+   * Handle status_update (snapshot or delta)
+   * Snapshots are emitted as 'statusUpdate', deltas as 'statusDelta', the
+   * resulting node changes as 'nodeUpdate'.
+   * A delta that does not follow the last sequence means frames were lost;
+   * we re-subscribe, which makes the server send a fresh snapshot.
+   * @param {Object} message - status_update frame
+   * @param {Object} [result] - Aggregation done by the socket worker
+   */
+  handleStatusUpdate(message, result = this.nodeAggregator.applyStatusUpdate(message)) {
+    if (result.resync) {
+      this.log('Status delta out of sequence, resubscribing:', result.resync.expected, '->', result.resync.received);
+      this.emit('statusResync', result.resync);
+      this.startMonitoring();
+      return;
+    }
+
+    if (!result.applied) {
+      return;
+    }
+
+    this.emit(message.encoding === STATUS_ENCODING.DELTA ? 'statusDelta' : 'statusUpdate', message);
+    this.emitNodeUpdate(result.update);
+  }
+
+  /**
+   * Publish aggregated node changes (nodeStore applies them)
+   * An empty update still ticks lastUpdate
+   * @param {Object|null} update - NodeAggregator update
+   */
+  emitNodeUpdate(update) {
+    this.emit('nodeUpdate', update || { changed: [], patches: [], removed: [], order: null, stats: null });
   }
-  
+
   /**
    * Handle remote authentication success
    */
   handleRemoteAuthSuccess(message) {
     this.log('Remote authentication successful');
     this.isRemoteAuthenticated = true;
-    
+
     // Track which node was authenticated if provided
     if (message.node_reference) {
       this.remoteAuthNodes.add(message.node_reference);
     }
-    
+
     this.emit('remoteAuthSuccess', message);
-    // ADDED: Also emit alternative naming for compatibility
-    this.emit('remote_auth_success', message);
   }
-  
+
   /**
    * Handle error message
    */
   handleError(message) {
     this.error('Server error:', message);
-    
-    if (message.code === 'SESSION_INVALID' || message.code === 'SESSION_EXPIRED') {
+
+    if (SESSION_ERROR_CODES.includes(message.code) ||
+        message.message === 'Invalid or expired session token') {
+      // Clear stored session and retry with signature
       this.sessionToken = null;
       this.isAuthenticated = false;
+      this.authenticationInProgress = false;
       this.clearStoredSession();
       this.emit('sessionExpired', message);
+
+      this.log('Session invalid, retrying authentication');
+      setTimeout(() => this.startAuthentication(), CONFIG.AUTH_RETRY_DELAY);
     } else if (message.code === 'INVALID_JWT' || message.code === 'REMOTE_AUTH_FAILED') {
       // Clear remote auth on JWT errors
       this.isRemoteAuthenticated = false;
       this.remoteAuthNodes.clear();
       this.emit('remoteAuthFailed', message);
+    } else if (message.message === 'Not authenticated') {
+      if (!this.authenticationInProgress) {
+        this.log('Not authenticated, starting auth flow');
+        this.startAuthentication();
+      }
+    } else if (message.message === 'Internal error' && !this.isAuthenticated) {
+      // Server internal error during auth - retry with standard delay
+      this.log('Server internal error, retrying');
+      this.authenticationInProgress = false;
+      setTimeout(() => this.startAuthentication(), CONFIG.AUTH_RETRY_DELAY);
     } else {
-      this.emit('error', message);
+      if (this.authenticationInProgress || !this.isAuthenticated) {
+        this.authenticationInProgress = false;
+        this.updateState(WS_STATE.ERROR, message.message || 'Server error');
+      }
+      this.emitError(message);
     }
   }
-  
+
   /**
    * Handle command response
    */
@@ -490,15 +1327,21 @@ class WebSocketService extends EventEmitter {
     if (pending) {
       clearTimeout(pending.timeout);
       this.pendingRequests.delete(message.request_id);
-      
+
       if (message.success) {
         pending.resolve(message);
       } else {
-        pending.reject(new Error(message.error || 'Command failed'));
+        pending.reject(message.error
+          ? RemoteCommandError.fromResponse(message.error)
+          : new RemoteCommandError(ERROR_CODES.COMMAND_FAILED));
       }
     }
+
+    this.emit('remoteCommandResponse', message);
   }
-  
+
+  // ==================== Sending ====================
+
   /**
    * Send message (with deduplication)
    * @param {Object} message - Message to send
@@ -506,81 +1349,175 @@ class WebSocketService extends EventEmitter {
    * @returns {boolean} Whether successfully sent
    */
   send(message, options = {}) {
+    // Schema validation - never put a malformed frame on the wire
+    const validation = validateOutbound(message);
+    if (!validation.valid) {
+      this.error('Refusing to send invalid frame:', validation.error.message);
+      this.emit('protocolError', validation.error);
+      return false;
+    }
+
     // Input deduplication (only for term_input type)
     if (message.type === 'term_input') {
       const now = Date.now();
-      const isDuplicate = 
+      const isDuplicate =
         message.data === this.lastInput.data &&
         (now - this.lastInput.timestamp) < CONFIG.INPUT_DEBOUNCE_MS;
-      
+
       if (isDuplicate) {
         this.log('Ignoring duplicate input');
         return false;
       }
-      
+
       this.lastInput = {
         data: message.data,
         timestamp: now
       };
     }
-    
+
+    // Follower tabs send through the leader's socket (always JSON)
+    if (this.relay) {
+      const frame = JSON.stringify(toJsonFrame(message));
+      if (this.relay.send(frame) === false) {
+        this.log('Cannot send message - no leader tab');
+        return false;
+      }
+      this.emitFrame('out', frame);
+      this.log('Relayed to leader:', message.type);
+      return true;
+    }
+
     // If connection available, send immediately
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && this.ws.readyState === SOCKET_STATE.OPEN) {
       try {
-        this.ws.send(JSON.stringify(message));
-        this.log('Sent:', message.type, message);
+        const frame = this.serializeFrame(message);
+        this.ws.send(frame);
+        this.emitFrame('out', frame);
+        this.log('Sent:', message.type, this.describeForLog(message));
         return true;
       } catch (error) {
         this.error('Failed to send message:', error);
         return false;
       }
     }
-    
+
     // If queue option is set, add to queue
     if (options.queue) {
       this.messageQueue.push({ message, options });
       this.log('Message queued:', message.type);
       return true;
     }
-    
+
     this.log('Cannot send message - not connected');
     return false;
   }
-  
+
   /**
    * Send request and wait for response
    * @param {Object} message - Request message
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} options - { signal: AbortSignal }
    * @returns {Promise} Response Promise
    */
-  sendRequest(message, timeout = CONFIG.MESSAGE_TIMEOUT) {
+  sendRequest(message, timeout = CONFIG.MESSAGE_TIMEOUT, options = {}) {
+    const { signal } = options;
+
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Request cancelled'));
+        return;
+      }
+
       // Generate request ID
       const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       message.request_id = requestId;
-      
+
+      const onAbort = () => {
+        if (!this.pendingRequests.has(requestId)) return;
+        clearTimeout(timeoutHandle);
+        this.pendingRequests.delete(requestId);
+        if (message.type === WS_MESSAGE_TYPES.REMOTE_COMMAND) {
+          this.cancelRemoteCommand(message.node_reference, requestId);
+        }
+        reject(new RemoteCommandError(ERROR_CODES.CANCELLED, 'Request cancelled'));
+      };
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
       // Set timeout
       const timeoutHandle = setTimeout(() => {
         this.pendingRequests.delete(requestId);
-        reject(new Error('Request timeout'));
+        settle(reject)(new RemoteCommandError(ERROR_CODES.TIMEOUT, 'Request timeout'));
       }, timeout);
-      
+
       // Store pending request
       this.pendingRequests.set(requestId, {
-        resolve,
-        reject,
+        resolve: settle(resolve),
+        reject: settle(reject),
         timeout: timeoutHandle
       });
-      
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       // Send message
       if (!this.send(message)) {
         this.pendingRequests.delete(requestId);
         clearTimeout(timeoutHandle);
-        reject(new Error('Failed to send request'));
+        settle(reject)(new RemoteCommandError(ERROR_CODES.CONNECTION_LOST, 'Failed to send request'));
       }
     });
   }
-  
+
+  /**
+   * Whether the negotiated protocol has an optional frame
+   * @param {string} minimum - PROTOCOL_FEATURES value
+   * @returns {boolean}
+   */
+  supportsFeature(minimum) {
+    return supportsProtocolFeature(this.protocolVersion, minimum);
+  }
+
+  /**
+   * Ask the node to stop a running remote command
+   * Servers before protocol 1.3 don't know the frame; the caller still
+   * drops the request locally
+   * @param {string} nodeReference - Node running the command
+   * @param {string} requestId - request_id of the remote_command
+   * @returns {boolean} Whether the cancel frame was sent
+   */
+  cancelRemoteCommand(nodeReference, requestId) {
+    // No response follows a cancel, so nothing else clears these
+    this.commandDecoders.delete(`${requestId}:stdout`);
+    this.commandDecoders.delete(`${requestId}:stderr`);
+
+    if (!supportsProtocolFeature(this.protocolVersion, PROTOCOL_FEATURES.COMMAND_CANCEL)) {
+      this.log('Server does not support command cancellation, dropping', requestId, 'locally');
+      return false;
+    }
+
+    this.log('Cancelling remote command', requestId);
+    return this.send({
+      type: WS_MESSAGE_TYPES.REMOTE_COMMAND_CANCEL,
+      node_reference: nodeReference,
+      request_id: requestId
+    });
+  }
+
+
+  /**
+   * Wire form of a frame: binary envelope when negotiated and the frame
+   * carries payload bytes, otherwise JSON (payload bytes as base64)
+   * @param {Object} message - Validated frame
+   * @returns {string|Uint8Array} Data for ws.send()
+   */
+  serializeFrame(message) {
+    if (this.binaryEncoding && getBinaryPayload(message)) {
+      return encodeBinaryFrame(message);
+    }
+    return JSON.stringify(toJsonFrame(message));
+  }
+
   /**
    * Process message queue
    */
@@ -590,78 +1527,217 @@ class WebSocketService extends EventEmitter {
       this.send(message, { ...options, queue: false });
     }
   }
-  
+
+  // ==================== Cross-Tab Relay ====================
+
+  /**
+   * Whether followers should process an inbound frame themselves
+   * Handshake frames and session errors are the leader's business
+   */
+  isRelayable(message) {
+    if (LEADER_ONLY_TYPES.has(message.type)) return false;
+
+    if (message.type === 'error') {
+      return !(SESSION_ERROR_CODES.includes(message.code) ||
+        message.message === 'Invalid or expired session token' ||
+        message.message === 'Not authenticated' ||
+        (message.message === 'Internal error' && !this.isAuthenticated));
+    }
+
+    return true;
+  }
+
+  /**
+   * Leader: hand a received frame to TabCoordinator ('relay' event)
+   */
+  relayToFollowers(data, message) {
+    if (!this.relay && this.listenerCount('relay') > 0 && this.isRelayable(message)) {
+      this.emit('relay', data);
+    }
+  }
+
+  /**
+   * Snapshot the leader publishes to follower tabs
+   */
+  getLeaderState() {
+    return {
+      ...this.getConnectionState(),
+      remoteAuthNodes: Array.from(this.remoteAuthNodes),
+      sessionToken: this.sessionToken,
+      walletAddress: this.walletAddress,
+      protocolVersion: this.protocolVersion,
+      telemetry: this.getTelemetry()
+    };
+  }
+
+  /**
+   * Become a follower: drop our socket and route traffic through the leader
+   * @param {Object} relay - { send(frame), hello(), reconnect() }
+   */
+  attachRelay(relay) {
+    this.log('Following leader tab');
+
+    this.clearTimers();
+    if (this.ws) {
+      this.closeSocket(1000, 'Following leader tab');
+    }
+    this.resetConnectionFlags();
+    this.relay = relay;
+
+    if (this.walletAddress) {
+      relay.hello();
+    }
+  }
+
+  /**
+   * Stop following (leader tab went away or this tab is taking over)
+   * In-flight requests are rejected - their responses went to the old socket
+   */
+  detachRelay() {
+    if (!this.relay) return;
+
+    this.log('Leader tab gone, detaching relay');
+    this.relay = null;
+    this.rejectPendingRequests('Leader tab closed');
+    this.resetConnectionFlags();
+    this.updateState(WS_STATE.IDLE, null);
+    this.emit('disconnected', { code: 1001, reason: 'Leader tab closed' });
+  }
+
+  /**
+   * Follower: frame received by the leader's socket
+   */
+  receiveRelayedFrame(data) {
+    if (!this.relay) return;
+
+    this.emitFrame('in', data);
+    this.handleMessage(data);
+  }
+
+  /**
+   * Follower: mirror the leader's connection state
+   * The session token is kept so this tab can take over without signing
+   */
+  applyLeaderState(leaderState) {
+    if (!this.relay) return;
+
+    this.isConnected = leaderState.connected;
+    this.isAuthenticated = leaderState.authenticated;
+    this.isMonitoring = leaderState.monitoring;
+    this.remoteAuthNodes = new Set(leaderState.remoteAuthNodes || []);
+    this.isRemoteAuthenticated = this.remoteAuthNodes.size > 0;
+    this.protocolVersion = leaderState.protocolVersion || this.protocolVersion;
+    if (leaderState.telemetry) {
+      this.telemetry.applySnapshot(leaderState.telemetry);
+      this.emitTelemetry();
+    }
+
+    if (!this.walletAddress && leaderState.walletAddress) {
+      this.walletAddress = leaderState.walletAddress;
+    }
+
+    const sameWallet = this.walletAddress && leaderState.walletAddress &&
+      this.walletAddress.toLowerCase() === leaderState.walletAddress.toLowerCase();
+    if (sameWallet && leaderState.sessionToken && leaderState.sessionToken !== this.sessionToken) {
+      this.sessionToken = leaderState.sessionToken;
+      this.storeSession(leaderState.sessionToken);
+    }
+
+    this.updateState(leaderState.authState, leaderState.error);
+  }
+
+  // ==================== Session Storage ====================
+
   /**
    * Store session to sessionStorage
    */
   storeSession(token) {
+    if (!this.walletAddress) return;
+
     try {
       const session = {
         token,
-        walletAddress: this.walletAddress,
+        walletAddress: this.walletAddress.toLowerCase(),
         timestamp: Date.now(),
-        expiresAt: Date.now() + (30 * 60 * 1000) // 30 minutes
+        expiresAt: Date.now() + CONFIG.SESSION_DURATION
       };
-      sessionStorage.setItem('aeronyx_ws_session', JSON.stringify(session));
+      sessionStorage.setItem(CONFIG.SESSION_STORAGE_KEY, JSON.stringify(session));
     } catch (error) {
       this.error('Failed to store session:', error);
     }
   }
-  
+
   /**
    * Get stored session
    */
   getStoredSession() {
+    if (!this.walletAddress) return null;
+
     try {
-      const stored = sessionStorage.getItem('aeronyx_ws_session');
+      const stored = sessionStorage.getItem(CONFIG.SESSION_STORAGE_KEY);
       if (!stored) return null;
-      
+
       const session = JSON.parse(stored);
-      
+
       // Check if expired
-      if (Date.now() > session.expiresAt) {
+      if (!session.expiresAt || Date.now() > session.expiresAt) {
         this.clearStoredSession();
         return null;
       }
-      
+
       // Check if wallet address matches
-      if (session.walletAddress !== this.walletAddress) {
+      if (session.walletAddress !== this.walletAddress.toLowerCase()) {
         return null;
       }
-      
+
       return session;
     } catch (error) {
       this.error('Failed to get stored session:', error);
       return null;
     }
   }
-  
+
   /**
    * Clear stored session
    */
   clearStoredSession() {
     try {
-      sessionStorage.removeItem('aeronyx_ws_session');
+      sessionStorage.removeItem(CONFIG.SESSION_STORAGE_KEY);
     } catch (error) {
       this.error('Failed to clear session:', error);
     }
   }
-  
+
+  /**
+   * Clear session token (memory and storage)
+   */
+  clearSession() {
+    this.sessionToken = null;
+    this.clearStoredSession();
+    this.log('Session cleared');
+  }
+
+  // ==================== Protocol Messages ====================
+
   /**
    * Authenticate
+   * ⚠️ CRITICAL: Use 'message' field (NOT 'signature_message') and 'ethereum' wallet_type
    * @param {string} signature - Signature
    * @param {string} message - Original message
+   * @param {string} [wallet] - Signing account, defaults to the connected wallet
    */
-  authenticate(signature, message) {
+  authenticate(signature, message, wallet = this.walletAddress) {
     return this.send({
       type: 'auth',
-      wallet_address: this.walletAddress.toLowerCase(),
+      wallet_address: wallet.toLowerCase(),
       signature: signature,
       message: message,
-      wallet_type: 'ethereum'
+      wallet_type: 'ethereum',
+      protocol_version: this.protocolVersion || PROTOCOL_VERSION,
+      ...this.getBinaryOffer()
     });
   }
-  
+
   /**
    * Authenticate with session token
    * @param {string} token - Session token
@@ -670,38 +1746,60 @@ class WebSocketService extends EventEmitter {
     return this.send({
       type: 'auth',
       session_token: token,
-      wallet_address: this.walletAddress.toLowerCase()
+      wallet_address: this.walletAddress.toLowerCase(),
+      protocol_version: this.protocolVersion || PROTOCOL_VERSION,
+      ...this.getBinaryOffer()
     });
   }
-  
+
+  /**
+   * Binary encodings offered in auth (the server picks one or none)
+   */
+  getBinaryOffer() {
+    return CONFIG.BINARY_FRAMING ? { binary_encodings: [BINARY_ENCODING] } : {};
+  }
+
   /**
    * Request signature message
    */
   requestSignatureMessage() {
     return this.send({
       type: 'get_message',
-      wallet_address: this.walletAddress.toLowerCase()
+      wallet_address: this.walletAddress.toLowerCase(),
+      protocol_version: this.protocolVersion || PROTOCOL_VERSION
     });
   }
-  
+
   /**
    * Start monitoring
    */
   startMonitoring() {
+    // (Re)subscribing always yields a snapshot; drop the delta position
+    this.nodeAggregator.expectSnapshot();
+    this.ws?.expectStatusSnapshot?.();
+
     return this.send({
-      type: 'start_monitor'
+      type: 'start_monitor',
+      status_encoding: CONFIG.STATUS_ENCODING
     });
   }
-  
+
   /**
    * Stop monitoring
    */
   stopMonitoring() {
-    return this.send({
+    const sent = this.send({
       type: 'stop_monitor'
     });
+
+    if (sent && this.isMonitoring) {
+      this.isMonitoring = false;
+      this.updateState(WS_STATE.AUTHENTICATED);
+    }
+
+    return sent;
   }
-  
+
   /**
    * Check if remote authenticated for a specific node
    * @param {string} nodeReference - Node reference to check
@@ -710,7 +1808,7 @@ class WebSocketService extends EventEmitter {
   isRemoteAuthenticatedForNode(nodeReference) {
     return this.remoteAuthNodes.has(nodeReference);
   }
-  
+
   /**
    * Clear remote authentication for a specific node
    * @param {string} nodeReference - Node reference to clear
@@ -723,18 +1821,24 @@ class WebSocketService extends EventEmitter {
 // Create singleton instance
 const webSocketService = new WebSocketService();
 
+// Hooks subscribe from many components at once
+webSocketService.setMaxListeners(100);
+
 // Attach to window for global access and debugging
 if (typeof window !== 'undefined') {
   window.webSocketService = webSocketService;
-  
+
   // Create a function to update globalWebSocket safely
   window.updateGlobalWebSocket = function() {
     window.globalWebSocket = webSocketService.ws;
   };
-  
+
   // Initial set
   window.globalWebSocket = webSocketService.ws;
 }
 
+// Export connection config for external use/debugging
+export { CONFIG as CONNECTION_CONFIG };
+
 // Export singleton
 export default webSocketService;
@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * File: src/stores/executePresetStore.js
+ * ============================================
+ * Zustand Store - Saved execute options per node
+ *
+ * Creation Reason: The same working directory, user and environment are
+ * set up again for every command on a node (deploy user in /srv/app);
+ * presets are kept in the browser (localStorage) next to the other user
+ * data
+ *
+ * Responsibilities:
+ * 1. Presets keyed by node reference, then id:
+ *    { id, name, request, updatedAt }
+ * 2. `request` is an execute request without the command
+ *    (lib/remote/executeRequest)
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Environment values are stored as typed, in plain localStorage; the
+ *   preset form says so. Do not put credentials in presets
+ * - Saving under an existing name replaces that preset
+ * - Stored requests go through createExecuteRequest() again when read,
+ *   so a preset saved by an older version still has every field
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { create } from 'zustand';
+import { devtools, persist, createJSONStorage } from 'zustand/middleware';
+import { STORAGE_KEYS } from '../lib/constants';
+import { createExecuteRequest } from '../lib/remote/executeRequest';
+
+function createId() {
+  return `ep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Request fields a preset keeps (everything but the command)
+ */
+function toPresetRequest(request) {
+  const { command, ...options } = createExecuteRequest(request);
+  return options;
+}
+
+/**
+ * Execute Preset Store
+ */
+const useExecutePresetStore = create(
+  devtools(
+    persist((set, get) => ({
+      // ==================== State ====================
+
+      /**
+       * { [nodeReference]: { [id]: preset } }
+       */
+      nodes: {},
+
+      // ==================== Actions ====================
+
+      /**
+       * Save the options of a request for one node
+       * @param {string} nodeReference
+       * @param {string} name - Preset name
+       * @param {Object} request - Execute request (the command is not kept)
+       * @returns {string} Preset id
+       */
+      savePreset: (nodeReference, name, request) => {
+        const presets = get().nodes[nodeReference] || {};
+        const existing = Object.values(presets).find(preset => preset.name === name);
+        const id = existing?.id || createId();
+
+        set(state => ({
+          nodes: {
+            ...state.nodes,
+            [nodeReference]: {
+              ...presets,
+              [id]: { id, name, request: toPresetRequest(request), updatedAt: Date.now() }
+            }
+          }
+        }));
+        return id;
+      },
+
+      removePreset: (nodeReference, id) => {
+        set((state) => {
+          const presets = { ...(state.nodes[nodeReference] || {}) };
+          delete presets[id];
+
+          const nodes = { ...state.nodes };
+          if (Object.keys(presets).length > 0) {
+            nodes[nodeReference] = presets;
+          } else {
+            delete nodes[nodeReference];
+          }
+          return { nodes };
+        });
+      }
+    }), {
+      name: STORAGE_KEYS.EXECUTE_PRESETS,
+      storage: createJSONStorage(() => localStorage),
+      partialize: state => ({ nodes: state.nodes })
+    }),
+    { name: 'execute-preset-store' }
+  )
+);
+
+// ==================== Selector Hooks ====================
+
+const NO_PRESETS = {};
+
+/**
+ * One node's presets by name, requests normalized
+ */
+export const useNodeExecutePresets = (nodeReference) => {
+  const presets = useExecutePresetStore(state => state.nodes[nodeReference] || NO_PRESETS);
+  return Object.values(presets)
+    .map(preset => ({ ...preset, request: toPresetRequest(preset.request) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export default useExecutePresetStore;
@@ -0,0 +1,159 @@
+/**
+ * ============================================
+ * File: src/stores/nodeStore.js
+ * ============================================
+ * Zustand Store - Normalized node state
+ *
+ * Creation Reason: status_update replaced the whole node array each tick,
+ * re-rendering every NodeCard on wallets with hundreds of nodes
+ *
+ * Responsibilities:
+ * 1. Keep nodes keyed by reference_code (byReference) plus server order
+ * 2. Apply node updates ('nodeUpdate' from WebSocketService). Frames are
+ *    parsed and aggregated off the main thread where possible (see
+ *    lib/utils/nodeAggregation and the socket worker); this store only
+ *    swaps in the changed nodes and the precomputed stats.
+ * 3. Derive the ordered list once per update
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Unchanged nodes keep their object identity across updates. Subscribe
+ *   with useNode(reference) or pass nodes to memoized rows; never copy
+ *   nodes while passing them down.
+ * - `list` is rebuilt only when a node, the order or membership changes,
+ *   so selecting it does not cause render loops
+ * - Don't compute fleet stats here; extend computeNodeStats instead so
+ *   the worker does it
+ *
+ * Last Modified: v1.1.0 - Consume aggregated updates from the socket worker
+ * ============================================
+ */
+
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import webSocketService from '../services/WebSocketService';
+import { nodeKey, reconcileNode, applyNodePatch } from '../lib/utils/nodeDelta';
+import { EMPTY_STATS, computeNodeStats } from '../lib/utils/nodeAggregation';
+
+export { computeNodeStats };
+
+/**
+ * Node Store
+ */
+const useNodeStore = create(
+  devtools((set, get) => ({
+    // ==================== State ====================
+
+    /**
+     * Nodes keyed by reference_code
+     */
+    byReference: {},
+
+    /**
+     * References in server order
+     */
+    order: [],
+
+    /**
+     * Ordered node list (derived from byReference + order)
+     */
+    list: [],
+
+    stats: EMPTY_STATS,
+    lastUpdate: null,
+
+    // ==================== Actions ====================
+
+    /**
+     * Apply an aggregated update (lib/utils/nodeAggregation)
+     * Full nodes are reconciled with the current ones (a new connection
+     * reports every node); patches are merged into them
+     * @param {Object} update - { changed, patches, removed, order, stats }
+     */
+    applyUpdate: ({ changed = [], patches = [], removed = [], order: nextOrder = null, stats }) => {
+      const state = get();
+      let byReference = state.byReference;
+
+      const apply = (node, merge) => {
+        const reference = nodeKey(node);
+        if (!reference) return;
+
+        const previous = state.byReference[reference];
+        const next = merge(previous, node);
+        if (next === previous) return;
+
+        if (byReference === state.byReference) {
+          byReference = { ...byReference };
+        }
+        byReference[reference] = next;
+      };
+      changed.forEach(node => apply(node, reconcileNode));
+      patches.forEach(patch => apply(patch, applyNodePatch));
+
+      // A full order also drops nodes a fresh aggregator never saw
+      const kept = nextOrder ? new Set(nextOrder) : null;
+      const gone = kept
+        ? Object.keys(byReference).filter(reference => !kept.has(reference))
+        : removed.filter(reference => byReference[reference]);
+      if (gone.length > 0) {
+        byReference = { ...byReference };
+        gone.forEach(reference => delete byReference[reference]);
+      }
+
+      const order = nextOrder || (gone.length > 0
+        ? state.order.filter(reference => byReference[reference])
+        : state.order);
+
+      if (byReference === state.byReference && order === state.order) {
+        set({ lastUpdate: new Date() });
+        return;
+      }
+
+      set({
+        byReference,
+        order,
+        list: order.map(reference => byReference[reference]),
+        stats: stats || computeNodeStats(order.map(reference => byReference[reference])),
+        lastUpdate: new Date()
+      });
+    },
+
+    /**
+     * Reset Store
+     */
+    reset: () => {
+      set({
+        byReference: {},
+        order: [],
+        list: [],
+        stats: EMPTY_STATS,
+        lastUpdate: null
+      });
+    }
+  }), { name: 'node-store' })
+);
+
+// ==================== Selector Hooks ====================
+
+/**
+ * Subscribe to a single node; re-renders only when that node changes
+ * @param {string} reference - reference_code
+ */
+export const useNode = (reference) =>
+  useNodeStore(state => state.byReference[reference]);
+
+/**
+ * Ordered references (changes only on membership/order changes)
+ */
+export const useNodeReferences = () => useNodeStore(state => state.order);
+
+export const useNodeList = () => useNodeStore(state => state.list);
+
+export const useNodeStats = () => useNodeStore(state => state.stats);
+
+// Set up WebSocket event listeners
+webSocketService.on('nodeUpdate', (update) => {
+  useNodeStore.getState().applyUpdate(update);
+});
+
+// Export Store
+export default useNodeStore;
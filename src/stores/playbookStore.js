@@ -0,0 +1,119 @@
+/**
+ * ============================================
+ * File: src/stores/playbookStore.js
+ * ============================================
+ * Zustand Store - Saved playbooks
+ *
+ * Creation Reason: Playbooks are written once and re-run on many nodes;
+ * they are kept in the browser (localStorage) next to the other user data
+ *
+ * Responsibilities:
+ * 1. Keep playbook sources by id: { id, name, source, format, updatedAt }
+ * 2. Seed one example (PLAYBOOK_TEMPLATE) on first use
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - Only the source text is stored; parse with parsePlaybook() when
+ *   running, so a playbook saved by an older version is re-validated
+ * - Invalid sources can be saved (drafts); `name` falls back to the
+ *   previous name when the source does not parse
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { create } from 'zustand';
+import { devtools, persist, createJSONStorage } from 'zustand/middleware';
+import { STORAGE_KEYS } from '../lib/constants';
+import { parsePlaybook, PLAYBOOK_TEMPLATE } from '../lib/remote/playbook';
+
+function describeSource(source, fallbackName) {
+  const { playbook, format } = parsePlaybook(source);
+  return {
+    name: playbook?.name || fallbackName,
+    format: format || 'yaml'
+  };
+}
+
+function createId() {
+  return `pb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+const EXAMPLE_ID = 'pb_example';
+
+/**
+ * Playbook Store
+ */
+const usePlaybookStore = create(
+  devtools(
+    persist((set, get) => ({
+      // ==================== State ====================
+
+      /**
+       * Playbooks keyed by id
+       */
+      playbooks: {
+        [EXAMPLE_ID]: {
+          id: EXAMPLE_ID,
+          source: PLAYBOOK_TEMPLATE,
+          updatedAt: null,
+          ...describeSource(PLAYBOOK_TEMPLATE, 'Example')
+        }
+      },
+
+      // ==================== Actions ====================
+
+      /**
+       * Save a new playbook
+       * @param {string} source - JSON or YAML text
+       * @returns {string} Playbook id
+       */
+      addPlaybook: (source) => {
+        const id = createId();
+        set(state => ({
+          playbooks: {
+            ...state.playbooks,
+            [id]: { id, source, updatedAt: Date.now(), ...describeSource(source, 'Untitled playbook') }
+          }
+        }));
+        return id;
+      },
+
+      updatePlaybook: (id, source) => {
+        const current = get().playbooks[id];
+        if (!current) return;
+
+        set(state => ({
+          playbooks: {
+            ...state.playbooks,
+            [id]: { ...current, source, updatedAt: Date.now(), ...describeSource(source, current.name) }
+          }
+        }));
+      },
+
+      removePlaybook: (id) => {
+        set((state) => {
+          const playbooks = { ...state.playbooks };
+          delete playbooks[id];
+          return { playbooks };
+        });
+      }
+    }), {
+      name: STORAGE_KEYS.PLAYBOOKS,
+      storage: createJSONStorage(() => localStorage),
+      partialize: state => ({ playbooks: state.playbooks })
+    }),
+    { name: 'playbook-store' }
+  )
+);
+
+// ==================== Selector Hooks ====================
+
+/**
+ * Playbooks, most recently edited first
+ */
+export const usePlaybookList = () => {
+  const playbooks = usePlaybookStore(state => state.playbooks);
+  return Object.values(playbooks).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
+
+export default usePlaybookStore;
@@ -0,0 +1,111 @@
+/**
+ * ============================================
+ * File: src/stores/safetyPolicyStore.js
+ * ============================================
+ * Zustand Store - Safety policy for destructive remote operations
+ *
+ * Creation Reason: The safety policy (lib/utils/safetyPolicy) is edited in
+ * the dashboard and must survive reloads; it is kept in the browser
+ * (localStorage) next to the other user data
+ *
+ * Responsibilities:
+ * 1. Default rules for every node: protectedPaths, dangerousCommands
+ * 2. Per-node overrides: { readOnly, protectedPaths, dangerousCommands }
+ *
+ * ⚠️ Important Note for Next Developer:
+ * - The state IS the policy shape documented in lib/utils/safetyPolicy;
+ *   SafetyPolicyService reads it with getState() for every command
+ * - Defaults are seeded from DEFAULT_SAFETY_POLICY on first use only. New
+ *   default rules in a later version do not reach users who saved their
+ *   own; resetDefaults() brings them back
+ *
+ * Last Modified: v1.0.0 - Initial implementation
+ * ============================================
+ */
+
+import { create } from 'zustand';
+import { devtools, persist, createJSONStorage } from 'zustand/middleware';
+import { STORAGE_KEYS } from '../lib/constants';
+import { DEFAULT_SAFETY_POLICY } from '../lib/utils/safetyPolicy';
+
+const EMPTY_OVERRIDE = {
+  readOnly: false,
+  protectedPaths: [],
+  dangerousCommands: []
+};
+
+/**
+ * Safety Policy Store
+ */
+const useSafetyPolicyStore = create(
+  devtools(
+    persist((set, get) => ({
+      // ==================== State ====================
+
+      protectedPaths: DEFAULT_SAFETY_POLICY.protectedPaths,
+      dangerousCommands: DEFAULT_SAFETY_POLICY.dangerousCommands,
+
+      /**
+       * Overrides keyed by node reference
+       */
+      nodes: {},
+
+      // ==================== Actions ====================
+
+      /**
+       * Replace the default rules of one kind
+       * @param {'protectedPaths'|'dangerousCommands'} kind
+       * @param {Object[]} rules - [{ pattern, outcome, reason }]
+       */
+      setDefaultRules: (kind, rules) => {
+        set({ [kind]: rules });
+      },
+
+      resetDefaults: () => {
+        set({
+          protectedPaths: DEFAULT_SAFETY_POLICY.protectedPaths,
+          dangerousCommands: DEFAULT_SAFETY_POLICY.dangerousCommands
+        });
+      },
+
+      /**
+       * Change one node's override
+       * @param {string} nodeReference
+       * @param {Object} changes - Any of { readOnly, protectedPaths, dangerousCommands }
+       */
+      setNodeOverride: (nodeReference, changes) => {
+        const current = get().nodes[nodeReference] || EMPTY_OVERRIDE;
+        set(state => ({
+          nodes: { ...state.nodes, [nodeReference]: { ...current, ...changes } }
+        }));
+      },
+
+      clearNodeOverride: (nodeReference) => {
+        set((state) => {
+          const nodes = { ...state.nodes };
+          delete nodes[nodeReference];
+          return { nodes };
+        });
+      }
+    }), {
+      name: STORAGE_KEYS.SAFETY_POLICY,
+      storage: createJSONStorage(() => localStorage),
+      partialize: state => ({
+        protectedPaths: state.protectedPaths,
+        dangerousCommands: state.dangerousCommands,
+        nodes: state.nodes
+      })
+    }),
+    { name: 'safety-policy-store' }
+  )
+);
+
+// ==================== Selector Hooks ====================
+
+/**
+ * One node's override (null when it has none)
+ */
+export const useNodeSafetyOverride = (nodeReference) =>
+  useSafetyPolicyStore(state => state.nodes[nodeReference] || null);
+
+export default useSafetyPolicyStore;
@@ -22,6 +22,7 @@ import { devtools } from 'zustand/middleware';
 import { immer } from 'zustand/middleware/immer';
 import terminalService, { TERMINAL_STATE } from '../services/TerminalService';
 import webSocketService from '../services/WebSocketService';
+import useNodeStore from './nodeStore';
 
 /**
  * Terminal Store
@@ -371,24 +372,14 @@ function normalizeNodeStatus(node) {
 }
 
 // Set up WebSocket event listeners
-webSocketService.on('statusUpdate', (message) => {
-  if (message.nodes) {
-    useTerminalStore.getState().updateNodes(message.nodes);
+useNodeStore.subscribe((state, previous) => {
+  if (state.list !== previous.list) {
+    useTerminalStore.getState().updateNodes(state.list);
   }
 });
 
-webSocketService.on('stateChange', ({ newState }) => {
-  const wsStateMap = {
-    connected: { connected: true },
-    authenticated: { authenticated: true },
-    monitoring: { monitoring: true },
-    closed: { connected: false, authenticated: false, monitoring: false },
-    error: { connected: false }
-  };
-  
-  if (wsStateMap[newState]) {
-    useTerminalStore.getState().updateWsState(wsStateMap[newState]);
-  }
+webSocketService.on('connectionState', ({ connected, authenticated, monitoring }) => {
+  useTerminalStore.getState().updateWsState({ connected, authenticated, monitoring });
 });
 
 // Export Store